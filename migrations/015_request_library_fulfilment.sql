@@ -0,0 +1,19 @@
+-- Migration: 015_request_library_fulfilment
+-- Description: Record which library entry fulfilled a request.
+--
+-- With LIBRARY_AUTO_FULFIL=true the library sync moves an approved request to
+-- fulfilled when a newly indexed entry matches it. An admin looking at that
+-- request needs to see what the sync matched, because a title match can be
+-- wrong, and "fulfilled by Library sync" alone does not say which file.
+--
+-- A reference to ggr_library_entries.id rather than a copy of its name. Entries
+-- are soft-deleted by the sweep and never hard-deleted by the app, so the row
+-- outlives the file it describes; ON DELETE SET NULL covers an operator
+-- clearing the table by hand rather than leaving that to fail on the FK.
+--
+-- Nullable with no default. NULL means "fulfilled by a person", which is every
+-- fulfilled request that exists before this migration.
+
+ALTER TABLE ggr_game_requests
+  ADD COLUMN IF NOT EXISTS fulfilled_library_entry_id INTEGER
+    REFERENCES ggr_library_entries(id) ON DELETE SET NULL;
@@ -0,0 +1,41 @@
+-- Migration: 016_request_status_history
+-- Description: A per-request log of every status transition.
+--
+-- applyRequestStatusChange overwrites status and admin_notes in place, so once
+-- a request was fulfilled there was no record of who approved it, when, or
+-- what the notes said at each step. This table is that record.
+--
+-- Rows are written by the same statement that changes the status (see
+-- requestStatus.server.js), so a transition and its log entry commit or roll
+-- back together, and a transition that changed nothing logs nothing.
+--
+-- actor_name is stored as well as actor_user_id. The id is what links a row to
+-- an account, and is nulled if the account is deleted; the name is what the
+-- timeline shows, and keeps saying who acted after that. Transitions made by
+-- the app itself -- the library sync -- have a name and no id.
+--
+-- source names the door the transition came through: admin, bulk, api_key,
+-- rescind, auto_approve, submission, library_sync. TEXT with no CHECK on
+-- purpose: a new door should not need a migration, and the values are owned by
+-- REQUEST_SOURCES in the application.
+--
+-- Nothing is backfilled. The current status of an existing request says where
+-- it is, not how it got there, and inventing a history for it would be worse
+-- than starting one now.
+
+CREATE TABLE IF NOT EXISTS ggr_request_status_history (
+    id            SERIAL PRIMARY KEY,
+    request_id    UUID NOT NULL REFERENCES ggr_game_requests(id) ON DELETE CASCADE,
+    from_status   TEXT,
+    to_status     TEXT NOT NULL,
+    actor_user_id INTEGER REFERENCES ggr_users(id) ON DELETE SET NULL,
+    actor_name    TEXT,
+    notes         TEXT,
+    source        TEXT NOT NULL,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Every read is one request's timeline in order. id breaks the tie between
+-- the creation row and an auto-approval, which share a transaction timestamp.
+CREATE INDEX IF NOT EXISTS ggr_request_status_history_request_idx
+    ON ggr_request_status_history (request_id, created_at, id);
@@ -0,0 +1,31 @@
+-- Migration: 017_request_comments
+-- Description: A conversation thread on each request.
+--
+-- admin_notes is one column that an admin overwrites on every transition, and
+-- a requester cannot answer it. A question like "which region?" had nowhere to
+-- go except a rejection. This table is the thread: requesters and anyone with
+-- `request.edit` append to it, and nothing is ever overwritten.
+--
+-- is_internal marks a comment for staff only. It is filtered out of every
+-- requester-facing read in the application (see requestComments.server.js),
+-- not by a view or policy here, which keeps the admin page's read to one plain
+-- SELECT.
+--
+-- author_name is stored beside author_user_id for the same reason as in
+-- ggr_request_status_history (migration 016): the id is nulled when an account
+-- is deleted, and the thread should still say who wrote what.
+
+CREATE TABLE IF NOT EXISTS ggr_request_comments (
+    id             SERIAL PRIMARY KEY,
+    request_id     UUID NOT NULL REFERENCES ggr_game_requests(id) ON DELETE CASCADE,
+    author_user_id INTEGER REFERENCES ggr_users(id) ON DELETE SET NULL,
+    author_name    TEXT,
+    body           TEXT NOT NULL,
+    is_internal    BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Every read is one request's thread, or one page of requests' threads, in
+-- order.
+CREATE INDEX IF NOT EXISTS ggr_request_comments_request_idx
+    ON ggr_request_comments (request_id, created_at, id);
@@ -0,0 +1,31 @@
+-- Migration: 018_request_supporters
+-- Description: "Me too" -- users backing someone else's open request.
+--
+-- Migration 011 allows one open request per game, which is right for the
+-- download side and left no way to say "a dozen of us want this": the second
+-- person was turned away with a 409. A supporter row is that second person
+-- attaching themselves to the open request instead. The request itself is
+-- unchanged, so there is still exactly one dispatch per game.
+--
+-- The requester is never a supporter of their own request; demand is the
+-- requester plus this table's rows for the request. That rule is enforced in
+-- requestSupport.server.js rather than by a constraint here, because
+-- ggr_game_requests.user_id is TEXT and comparing it to an INTEGER in a CHECK
+-- would need a trigger for one line of application logic.
+--
+-- Rows outlive the request leaving the open set on purpose: who backed a
+-- fulfilled or rejected request is still worth knowing, and re-opening it
+-- brings its supporters back with it.
+
+CREATE TABLE IF NOT EXISTS ggr_request_supporters (
+    request_id UUID NOT NULL REFERENCES ggr_game_requests(id) ON DELETE CASCADE,
+    user_id    INTEGER NOT NULL REFERENCES ggr_users(id) ON DELETE CASCADE,
+    user_name  TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (request_id, user_id)
+);
+
+-- The primary key serves "who supports this request"; this serves "what does
+-- this user support".
+CREATE INDEX IF NOT EXISTS ggr_request_supporters_user_idx
+    ON ggr_request_supporters (user_id);
@@ -0,0 +1,40 @@
+-- Migration: 019_role_request_quotas
+-- Description: Per-role request quotas -- open requests and a rolling window.
+--
+-- Anyone holding request.create could submit without limit. A quota row caps
+-- one role's members for one request type, or for all types together
+-- (request_type 'all'). Two independent caps, either left NULL for "no cap":
+--
+--   max_open        requests still pending or approved at once
+--   max_per_window  submissions in the last window_days, whatever became of
+--                   them -- rescinding a request does not hand the slot back,
+--                   or the window would limit nothing
+--
+-- A user with several roles is held to the most generous one: a submission is
+-- allowed if any of their roles allows it, and a role with no rows for the type
+-- allows everything. So adding a quota to `user` does not restrict someone who
+-- also holds a role without one. The evaluation lives in
+-- requestQuota.server.js.
+--
+-- No rows are seeded, so upgrading changes nothing until an administrator sets
+-- a quota on the roles page.
+
+CREATE TABLE IF NOT EXISTS ggr_role_request_quotas (
+    id             SERIAL PRIMARY KEY,
+    role_id        INTEGER NOT NULL REFERENCES ggr_roles(id) ON DELETE CASCADE,
+    request_type   TEXT NOT NULL DEFAULT 'all'
+                   CHECK (request_type IN ('all', 'game', 'update', 'fix')),
+    max_open       INTEGER CHECK (max_open >= 0),
+    max_per_window INTEGER CHECK (max_per_window >= 0),
+    window_days    INTEGER NOT NULL DEFAULT 7 CHECK (window_days > 0),
+    created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (role_id, request_type)
+);
+
+-- Seeded and granted to no role, as with 012's permissions: assignable in the
+-- admin UI, neutral on upgrade. is_admin users hold it implicitly.
+INSERT INTO ggr_permissions (name, display_name, description, category) VALUES
+    ('request.quota_exempt', 'Bypass Request Quotas',
+     'Request quotas set on this user''s roles do not apply', 'requests')
+ON CONFLICT (name) DO NOTHING;
@@ -0,0 +1,32 @@
+-- Migration: 020_webhook_endpoints
+-- Description: Admin-managed outbound webhook endpoints with per-event subscriptions.
+--
+-- REQUEST_WEBHOOK_URL (or N8N_WEBHOOK_URL) names one receiver, and it only ever
+-- hears about approvals and comments. Each row here is another receiver, added
+-- in admin settings rather than the environment, that chooses which events it
+-- wants. `events` holds names from WEBHOOK_EVENTS in
+-- webhookEndpoints.server.js. An unknown name is not rejected here, so an event
+-- added later needs no migration; it matches nothing until an endpoint
+-- subscribes to it.
+--
+-- `secret` is sent with every delivery so a receiver can tell our calls from
+-- anyone else's. It is stored as entered: the receiver needs the same value,
+-- so there is nothing to hash it against.
+--
+-- The environment webhook is untouched and keeps its payloads, so upgrading
+-- changes nothing until an administrator adds an endpoint.
+
+CREATE TABLE IF NOT EXISTS ggr_webhook_endpoints (
+    id          SERIAL PRIMARY KEY,
+    name        TEXT NOT NULL,
+    url         TEXT NOT NULL,
+    secret      TEXT,
+    events      TEXT[] NOT NULL DEFAULT '{}',
+    enabled     BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Dispatch asks "which enabled endpoints want this event" on every event.
+CREATE INDEX IF NOT EXISTS idx_ggr_webhook_endpoints_events
+    ON ggr_webhook_endpoints USING GIN (events) WHERE enabled;
@@ -0,0 +1,71 @@
+-- Migration: 021_webhook_deliveries
+-- Description: Durable outbound deliveries -- webhooks and Gotify -- with retries and a log.
+--
+-- Until now a webhook or Gotify notification was one fetch with a five-second
+-- timeout, and a failure was a log line. A receiver that was down during an
+-- approval never heard about it, so the download it would have started never
+-- started, and nobody could tell short of reading logs.
+--
+-- Each outbound message is now a row here before anything is sent. A worker
+-- (deliveryQueue.server.js) claims due rows with FOR UPDATE SKIP LOCKED, so
+-- every PM2 worker can run one without two of them sending the same message,
+-- and reschedules a failure with exponential backoff. The row outlives a
+-- restart, so a retry scheduled before one still happens after it.
+--
+-- `delivering` is a lease, not a state a row can get stuck in: locked_until
+-- bounds it, and a row whose worker died mid-send is claimed again once the
+-- lease runs out. That attempt is counted, because it may have arrived.
+--
+-- What is not stored: credentials. An endpoint delivery keeps endpoint_id and
+-- reads the endpoint's URL and secret when it sends, and a Gotify delivery
+-- reads the configured server and token the same way, so fixing a wrong token
+-- in settings also fixes the retries already queued behind it.
+
+CREATE TABLE IF NOT EXISTS ggr_webhook_deliveries (
+    id                   BIGSERIAL PRIMARY KEY,
+    channel              TEXT NOT NULL CHECK (channel IN ('webhook', 'gotify')),
+    event                TEXT NOT NULL,
+    -- NULL for the environment webhook and for Gotify. Removing an endpoint
+    -- removes its deliveries: retries to it would have nowhere to go, and
+    -- NULL would make them look like environment-webhook deliveries.
+    endpoint_id          INTEGER REFERENCES ggr_webhook_endpoints(id) ON DELETE CASCADE,
+    -- The environment webhook's URL at the time, or the endpoint's, for the log.
+    target_url           TEXT,
+    payload              JSONB NOT NULL,
+    status               TEXT NOT NULL DEFAULT 'pending'
+                         CHECK (status IN ('pending', 'delivering', 'delivered', 'failed')),
+    attempts             INTEGER NOT NULL DEFAULT 0,
+    max_attempts         INTEGER NOT NULL DEFAULT 10,
+    next_attempt_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    locked_until         TIMESTAMPTZ,
+    last_response_status INTEGER,
+    last_error           TEXT,
+    delivered_at         TIMESTAMPTZ,
+    created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The worker's claim: due pending rows and expired leases, oldest first.
+CREATE INDEX IF NOT EXISTS idx_ggr_webhook_deliveries_due
+    ON ggr_webhook_deliveries (next_attempt_at)
+    WHERE status IN ('pending', 'delivering');
+
+-- The delivery log, newest first.
+CREATE INDEX IF NOT EXISTS idx_ggr_webhook_deliveries_created
+    ON ggr_webhook_deliveries (created_at DESC);
+
+-- One row per attempt, so the log can show what each try got back.
+CREATE TABLE IF NOT EXISTS ggr_webhook_delivery_attempts (
+    id              BIGSERIAL PRIMARY KEY,
+    delivery_id     BIGINT NOT NULL REFERENCES ggr_webhook_deliveries(id) ON DELETE CASCADE,
+    attempt         INTEGER NOT NULL,
+    response_status INTEGER,
+    -- Truncated by the worker; a receiver's error page can be any size.
+    response_body   TEXT,
+    error           TEXT,
+    duration_ms     INTEGER,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ggr_webhook_delivery_attempts_delivery
+    ON ggr_webhook_delivery_attempts (delivery_id, attempt);
@@ -0,0 +1,17 @@
+-- Migration: 022_webhook_delivery_ids
+-- Description: A stable, unguessable id per outbound delivery, sent as X-Webhook-Delivery.
+--
+-- Deliveries are at least once, so a receiver has to be able to tell a retry
+-- of a message it already acted on from a new message. The BIGSERIAL id would
+-- do within one install, but it restarts from 1 on a rebuilt database and
+-- gives away how much traffic an install sends. A UUID per row, generated
+-- once and sent unchanged on every attempt, does neither.
+--
+-- Existing rows get one from the default, so deliveries queued before this
+-- migration are sent with an id too.
+
+ALTER TABLE ggr_webhook_deliveries
+    ADD COLUMN IF NOT EXISTS delivery_uuid UUID NOT NULL DEFAULT uuid_generate_v4();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ggr_webhook_deliveries_uuid
+    ON ggr_webhook_deliveries (delivery_uuid);
@@ -0,0 +1,42 @@
+-- Migration: 023_request_progress
+-- Description: An in_progress status and the download progress behind it.
+--
+-- The download pipeline hears about an approval and then goes quiet until an
+-- admin marks the request fulfilled by hand. Its progress callbacks
+-- (POST /api/webhooks/request-status) land here: the request moves to
+-- in_progress when the download starts, and the progress columns record the
+-- last thing the pipeline said -- queued, downloading at N percent, or failed
+-- with its reason.
+--
+-- in_progress is an open status. A request being downloaded must keep
+-- blocking a duplicate of itself exactly as an approved one does, so both
+-- duplicate-guard indexes from migration 011 are rebuilt to cover it.
+--
+-- The progress columns are the pipeline's latest report, not a history: the
+-- status transitions it causes go to ggr_request_status_history as usual, and
+-- a percent ticking upwards is not worth a row each.
+
+ALTER TABLE ggr_game_requests
+    DROP CONSTRAINT IF EXISTS ggr_game_requests_status_check;
+
+ALTER TABLE ggr_game_requests
+    ADD CONSTRAINT ggr_game_requests_status_check
+    CHECK (status = ANY (ARRAY['pending', 'approved', 'in_progress', 'rejected', 'fulfilled', 'cancelled']));
+
+DROP INDEX IF EXISTS ggr_game_requests_open_igdb_uniq;
+CREATE UNIQUE INDEX IF NOT EXISTS ggr_game_requests_open_igdb_uniq
+    ON ggr_game_requests (igdb_id, request_type)
+ WHERE status IN ('pending', 'approved', 'in_progress') AND igdb_id IS NOT NULL;
+
+DROP INDEX IF EXISTS ggr_game_requests_open_title_uniq;
+CREATE UNIQUE INDEX IF NOT EXISTS ggr_game_requests_open_title_uniq
+    ON ggr_game_requests (lower(btrim(title)), request_type)
+ WHERE status IN ('pending', 'approved', 'in_progress') AND igdb_id IS NULL;
+
+ALTER TABLE ggr_game_requests
+    ADD COLUMN IF NOT EXISTS progress_state TEXT
+        CHECK (progress_state IN ('queued', 'downloading', 'failed', 'completed')),
+    ADD COLUMN IF NOT EXISTS progress_percent SMALLINT
+        CHECK (progress_percent BETWEEN 0 AND 100),
+    ADD COLUMN IF NOT EXISTS progress_message TEXT,
+    ADD COLUMN IF NOT EXISTS progress_updated_at TIMESTAMPTZ;
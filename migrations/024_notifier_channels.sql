@@ -0,0 +1,17 @@
+-- Migration: 024_notifier_channels
+-- Description: Delivery channels for Discord, Slack, Matrix and ntfy, beside webhooks and Gotify.
+--
+-- Notifications now go to any number of notifiers (src/lib/notifiers/), each
+-- queued as its own delivery so one service being down is retried without
+-- holding up the others. The channel is the notifier's kind, so the delivery
+-- log can be filtered by service.
+--
+-- Migration 021 pinned channel to ('webhook', 'gotify'). The list of channels
+-- now lives with the notifiers and the queue's transports, and a CHECK would
+-- have to be rebuilt in a migration for every service added; as with the
+-- history sources in migration 016, the application owns the values. A row
+-- with a channel the queue has no transport for fails its attempts with a
+-- message saying so, rather than being refused on insert.
+
+ALTER TABLE ggr_webhook_deliveries
+    DROP CONSTRAINT IF EXISTS ggr_webhook_deliveries_channel_check;
@@ -0,0 +1,51 @@
+-- Migration: 025_user_notifications
+-- Description: Per-user notifications -- an in-app inbox and each user's choice
+-- of events and channels.
+--
+-- Until now every notification went to the admins: Gotify and the chat
+-- notifiers are one install-wide destination each, and a requester only found
+-- out what happened to a request by looking at /profile again. These tables
+-- give each user their own.
+--
+-- ggr_user_notifications is the in-app inbox behind the sidebar bell. A row is
+-- what the user was told, written once and then only marked read; it links to
+-- the request and the game rather than holding a foreign key to them, so
+-- deleting a request does not empty the inbox of the people who heard about
+-- it.
+--
+-- ggr_user_notification_settings holds which channels each event goes to, as
+-- JSONB keyed by event, and the user's own ntfy topic and Discord webhook. The
+-- event and channel names are the app's (userNotifications.server.js), not a
+-- CHECK constraint, as migration 016 settled for request sources. A user
+-- without a row, or an event absent from the map, gets the in-app default.
+
+CREATE TABLE IF NOT EXISTS ggr_user_notifications (
+    id          BIGSERIAL PRIMARY KEY,
+    user_id     INTEGER NOT NULL REFERENCES ggr_users(id) ON DELETE CASCADE,
+    event       TEXT NOT NULL,
+    title       TEXT NOT NULL,
+    body        TEXT,
+    link        TEXT,
+    request_id  UUID,
+    igdb_id     TEXT,
+    read_at     TIMESTAMPTZ,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The bell reads a user's newest notifications and counts the unread ones.
+CREATE INDEX IF NOT EXISTS ggr_user_notifications_user_idx
+    ON ggr_user_notifications (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS ggr_user_notifications_unread_idx
+    ON ggr_user_notifications (user_id)
+ WHERE read_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS ggr_user_notification_settings (
+    user_id             INTEGER PRIMARY KEY REFERENCES ggr_users(id) ON DELETE CASCADE,
+    events              JSONB NOT NULL DEFAULT '{}',
+    ntfy_server_url     TEXT,
+    ntfy_topic          TEXT,
+    ntfy_token          TEXT,
+    discord_webhook_url TEXT,
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
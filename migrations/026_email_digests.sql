@@ -0,0 +1,25 @@
+-- Migration: 026_email_digests
+-- Description: Email digests -- which have gone out, and who wants the weekly
+-- watchlist one.
+--
+-- The admin digest of pending requests and the users' weekly digest of
+-- watchlisted games added to the library are sent on a schedule by every PM2
+-- worker's digest timer. ggr_email_digest_runs is how they agree that one of
+-- them sends each: a worker claims a digest for its period (a day, or an ISO
+-- week) by inserting the row, and only the one whose insert went in sends it.
+-- A restart within the period finds the row and sends nothing twice.
+--
+-- The watchlist digest is opt-in, so it is a column on the user's notification
+-- settings (migration 025) rather than an event: it is not about a request,
+-- and it has only the one channel.
+
+CREATE TABLE IF NOT EXISTS ggr_email_digest_runs (
+    kind        TEXT NOT NULL,
+    period      TEXT NOT NULL,
+    recipients  INTEGER NOT NULL DEFAULT 0,
+    sent_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (kind, period)
+);
+
+ALTER TABLE ggr_user_notification_settings
+    ADD COLUMN IF NOT EXISTS watchlist_digest BOOLEAN NOT NULL DEFAULT false;
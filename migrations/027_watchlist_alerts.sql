@@ -0,0 +1,42 @@
+-- Migration: 027_watchlist_alerts
+-- Description: Watchlist alerts -- when each watched game was announced as in
+-- the library, and as released.
+--
+-- A watchlist entry was a bookmark. It now tells its user, once, when the game
+-- lands in the library and once when an unreleased game comes out
+-- (watchlistAlerts.server.js). The two timestamps are how "once" holds: an
+-- alert is claimed by setting its column from NULL, so two workers -- or a
+-- sync batch and a re-run of it -- cannot both send it.
+--
+-- The backfill marks what is already true as announced. Without it the first
+-- release check after upgrading would tell every user about every watched game
+-- that came out since they watched it, however long ago.
+
+ALTER TABLE ggr_user_watchlist
+    ADD COLUMN IF NOT EXISTS library_alerted_at TIMESTAMPTZ;
+
+ALTER TABLE ggr_user_watchlist
+    ADD COLUMN IF NOT EXISTS release_alerted_at TIMESTAMPTZ;
+
+UPDATE ggr_user_watchlist w
+   SET library_alerted_at = NOW()
+ WHERE w.library_alerted_at IS NULL
+   AND EXISTS (
+        SELECT 1
+          FROM ggr_library_entries e
+         WHERE e.igdb_id = w.igdb_id
+           AND e.removed_at IS NULL
+   );
+
+UPDATE ggr_user_watchlist w
+   SET release_alerted_at = NOW()
+  FROM ggr_games_cache g
+ WHERE g.igdb_id = w.igdb_id
+   AND w.release_alerted_at IS NULL
+   AND g.release_date <= NOW();
+
+-- The release check reads the watches not yet announced, which after the
+-- backfill is the few still waiting on a release date.
+CREATE INDEX IF NOT EXISTS ggr_user_watchlist_release_pending_idx
+    ON ggr_user_watchlist (igdb_id)
+ WHERE release_alerted_at IS NULL;
@@ -0,0 +1,44 @@
+-- Migration: 028_pre_requests
+-- Description: An awaiting_release status for requests made before a game is
+-- out, and when each was last checked against IGDB.
+--
+-- A request for a game with a release date still in the future used to sit in
+-- the queue like any other, to be approved into a download pipeline that could
+-- find nothing to fetch. It now waits in awaiting_release until the date has
+-- passed, and then moves to pending, or straight to approved for a requester
+-- who auto-approves (preRequests.server.js). The approval is what reaches the
+-- automation, so it hears about the game when there is something to get.
+--
+-- awaiting_release is an open status. A request waiting for a game must block
+-- a second request for it and take on supporters exactly as a pending one
+-- does, so both duplicate-guard indexes from migration 011 are rebuilt again,
+-- as migration 023 did for in_progress.
+--
+-- release_checked_at is when the release check last asked IGDB about the
+-- request's game. It spaces the checks out -- a waiting request is looked up
+-- a few times a day, not every hour by every worker -- and is how the workers
+-- share them: each claims a batch by setting it.
+
+ALTER TABLE ggr_game_requests
+    DROP CONSTRAINT IF EXISTS ggr_game_requests_status_check;
+
+ALTER TABLE ggr_game_requests
+    ADD CONSTRAINT ggr_game_requests_status_check
+    CHECK (status = ANY (ARRAY['awaiting_release', 'pending', 'approved', 'in_progress', 'rejected', 'fulfilled', 'cancelled']));
+
+DROP INDEX IF EXISTS ggr_game_requests_open_igdb_uniq;
+CREATE UNIQUE INDEX IF NOT EXISTS ggr_game_requests_open_igdb_uniq
+    ON ggr_game_requests (igdb_id, request_type)
+ WHERE status IN ('awaiting_release', 'pending', 'approved', 'in_progress') AND igdb_id IS NOT NULL;
+
+DROP INDEX IF EXISTS ggr_game_requests_open_title_uniq;
+CREATE UNIQUE INDEX IF NOT EXISTS ggr_game_requests_open_title_uniq
+    ON ggr_game_requests (lower(btrim(title)), request_type)
+ WHERE status IN ('awaiting_release', 'pending', 'approved', 'in_progress') AND igdb_id IS NULL;
+
+ALTER TABLE ggr_game_requests
+    ADD COLUMN IF NOT EXISTS release_checked_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS ggr_game_requests_awaiting_release_idx
+    ON ggr_game_requests (release_checked_at NULLS FIRST)
+ WHERE status = 'awaiting_release';
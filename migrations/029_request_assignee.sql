@@ -0,0 +1,29 @@
+-- Migration: 029_request_assignee
+-- Description: Who is handling each request, and since when.
+--
+-- Any admin could act on any request and nothing said who had taken one on,
+-- so two admins would chase the same download while another request waited
+-- for anyone. A request now has an assignee: one user holding
+-- request.approve, set by themselves or by another admin from the request
+-- page or the bulk actions (requestAssignment.server.js).
+--
+-- The assignee is a local ggr_users id. Unlike user_id, which is TEXT for
+-- historical reasons, it is only ever written by this app and can be a real
+-- foreign key; deleting the admin's account leaves their requests unassigned
+-- rather than pointing at nobody.
+--
+-- assigned_at is when the current assignee took it on, for the workload
+-- summary's "oldest open" column. It is cleared with the assignee.
+
+ALTER TABLE ggr_game_requests
+    ADD COLUMN IF NOT EXISTS assignee_user_id INTEGER
+        REFERENCES ggr_users(id) ON DELETE SET NULL;
+
+ALTER TABLE ggr_game_requests
+    ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+
+-- "Assigned to me" and the workload summary both read open requests by
+-- assignee.
+CREATE INDEX IF NOT EXISTS ggr_game_requests_assignee_open_idx
+    ON ggr_game_requests (assignee_user_id)
+ WHERE status IN ('awaiting_release', 'pending', 'approved', 'in_progress') AND assignee_user_id IS NOT NULL;
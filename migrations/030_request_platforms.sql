@@ -0,0 +1,39 @@
+-- Migration: 030_request_platforms
+-- Description: Fulfilment tracked per requested platform.
+--
+-- A request names the platforms it wants in its `platforms` array, but its
+-- status is one value for all of them: "we got the Switch version, not the PS2
+-- one" could only be written in the admin notes, and the library sync closed
+-- the whole request on the first copy it found. Each platform of a request now
+-- has its own state here, and the request moves to fulfilled only once every
+-- platform still required has been (requestPlatforms.server.js).
+--
+-- The list of platforms stays where it is. A row here exists only once
+-- something has happened to that platform -- a copy landed, or an admin
+-- marked it done or not needed -- so no code path that creates a request has
+-- to know about this table, and a platform with no row is simply "required,
+-- not yet". `platform` is the name exactly as the request spells it.
+--
+-- `required` is the admin-chosen subset. A request prefilled from IGDB may
+-- list every platform the game ever shipped on; an admin unticks the ones
+-- nobody is going to fetch, and the rest decide when the request is done.
+--
+-- `library_entry_id` is which copy satisfied the platform, when the sync did,
+-- with the same ON DELETE SET NULL as fulfilled_library_entry_id (migration
+-- 015). `fulfilled_by` is the display name of whoever marked it, the sync
+-- included.
+--
+-- No backfill. A request fulfilled before this migration shows every platform
+-- as fulfilled because the request is, and an open one starts with every
+-- platform outstanding, which is what it was.
+
+CREATE TABLE IF NOT EXISTS ggr_request_platforms (
+    request_id       UUID NOT NULL REFERENCES ggr_game_requests(id) ON DELETE CASCADE,
+    platform         TEXT NOT NULL,
+    required         BOOLEAN NOT NULL DEFAULT TRUE,
+    fulfilled_at     TIMESTAMPTZ,
+    fulfilled_by     TEXT,
+    library_entry_id INTEGER REFERENCES ggr_library_entries(id) ON DELETE SET NULL,
+    updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (request_id, platform)
+);
@@ -0,0 +1,20 @@
+-- Migration: 031_request_merges
+-- Description: Which request a merged duplicate was folded into.
+--
+-- Migration 011's guard is best-effort: a request with an igdb_id and a
+-- title-only one for the same game can both be open, and so can two spellings
+-- of one title. An admin now merges them (requestMerge.server.js): one request
+-- survives, takes the others' reasons, platforms and people -- their
+-- requesters become its supporters -- and the others are cancelled.
+--
+-- A cancelled duplicate points at the request it went into, so the admin page
+-- can say "merged into ..." rather than leaving a cancellation with no reason,
+-- and the requester's notification can link to the request they now support.
+-- The status history records the cancellation itself with source `merge`.
+--
+-- ON DELETE SET NULL: deleting the survivor leaves the duplicate cancelled,
+-- which it is, without a pointer at nothing.
+
+ALTER TABLE ggr_game_requests
+    ADD COLUMN IF NOT EXISTS merged_into_request_id UUID
+        REFERENCES ggr_game_requests(id) ON DELETE SET NULL;
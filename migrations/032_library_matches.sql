@@ -0,0 +1,59 @@
+-- Migration: 032_library_matches
+-- Description: IGDB matches found for library entries their backend left
+-- without an igdb_id.
+--
+-- Retrom and Gaseous report no IGDB id for much of a library, and RomM none for
+-- a rom it never matched. Those rows cannot be found by entriesByIgdbIds, so
+-- the cross-reference reports them absent. After a sync pass, matching.js
+-- searches IGDB for a cleaned form of each such name and records what it found
+-- here, with how sure it is.
+--
+-- One row per entry, and only the latest attempt. `status`:
+--
+--   auto       confident enough to use without asking
+--   suggested  a likely game, waiting for an admin
+--   unmatched  IGDB found nothing like it
+--   confirmed  an admin chose this igdb_id, from the candidates or a search
+--   rejected   an admin said none of the candidates is right
+--
+-- entry_name is the name the match was made for. A renamed entry is matched
+-- again, unless an admin confirmed it -- that is a decision about the entry,
+-- and a rename does not unmake it.
+--
+-- ON DELETE CASCADE: the entry row is the thing matched. The index soft-deletes
+-- with removed_at, so this only fires when an entry is really gone.
+
+CREATE TABLE IF NOT EXISTS ggr_library_matches (
+    entry_id    INTEGER PRIMARY KEY
+                REFERENCES ggr_library_entries(id) ON DELETE CASCADE,
+    entry_name  TEXT NOT NULL,
+    query       TEXT NOT NULL,
+    status      TEXT NOT NULL
+                CHECK (status IN ('auto', 'suggested', 'unmatched', 'confirmed', 'rejected')),
+    igdb_id     TEXT,
+    igdb_title  TEXT,
+    confidence  NUMERIC(4, 3),
+    candidates  JSONB NOT NULL DEFAULT '[]'::jsonb,
+    matched_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    reviewed_by INTEGER REFERENCES ggr_users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMPTZ
+);
+
+-- The review page lists one status at a time, newest first.
+CREATE INDEX IF NOT EXISTS ggr_library_matches_status_idx
+    ON ggr_library_matches (status, matched_at DESC);
+
+-- The id a match puts in force, on the entry itself, so a read by IGDB id stays
+-- one indexed lookup on one table. Set for `auto` and `confirmed` and NULL
+-- otherwise, always in the same transaction as the match row.
+--
+-- A separate column rather than igdb_id, because igdb_id is the backend's and
+-- every sync pass writes it: a match stored there would be overwritten with
+-- NULL on the next pass. Reads prefer igdb_id, so a backend that learns the id
+-- itself wins over a guess made here.
+ALTER TABLE ggr_library_entries
+    ADD COLUMN IF NOT EXISTS match_igdb_id TEXT;
+
+CREATE INDEX IF NOT EXISTS ggr_library_entries_match_igdb_idx
+    ON ggr_library_entries (match_igdb_id)
+ WHERE removed_at IS NULL AND match_igdb_id IS NOT NULL;
@@ -0,0 +1,42 @@
+-- Migration: 033_library_trigram_search
+-- Description: A trigram index for the library name search, where pg_trgm can
+-- be installed.
+--
+-- 013 left the search as `name ILIKE '%term%'` and named pg_trgm as the way to
+-- index it, deferred because it is an extension and not a column list. On a
+-- 70k-entry library that search is a sequential scan per keystroke, and its
+-- results come back in recency order rather than by how well they match.
+--
+-- pg_trgm ships with PostgreSQL's contrib modules, which every official image
+-- includes, but installing it needs CREATE on the database -- a managed
+-- database or a locked-down role may refuse. That refusal is caught here and
+-- the migration completes without the index: router.js checks for the
+-- extension at startup and keeps the ILIKE search when it is missing. Whether
+-- the app got the fast path is in its startup log, not in a failed boot.
+--
+-- Installing the extension later (CREATE EXTENSION pg_trgm as a superuser)
+-- and re-running this file's index statement is enough; nothing else depends
+-- on this migration having found it.
+
+DO $$
+BEGIN
+    BEGIN
+        CREATE EXTENSION IF NOT EXISTS pg_trgm;
+    EXCEPTION WHEN OTHERS THEN
+        RAISE NOTICE 'pg_trgm could not be installed (%); library search stays on ILIKE', SQLERRM;
+    END;
+
+    -- EXECUTE rather than a plain statement: gin_trgm_ops does not exist
+    -- until the extension does, and a plain statement naming it would fail
+    -- to parse on a database without it.
+    --
+    -- On name itself, not lower(name): trigrams are case-folded already, and
+    -- the same index serves ILIKE, so the search can fall back to a
+    -- substring match without losing it.
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm') THEN
+        EXECUTE 'CREATE INDEX IF NOT EXISTS ggr_library_entries_name_trgm_idx
+                     ON ggr_library_entries USING gin (name gin_trgm_ops)
+                  WHERE removed_at IS NULL';
+    END IF;
+END
+$$;
@@ -0,0 +1,86 @@
+-- Migration: 034_library_sync_runs
+-- Description: A history of library sync passes, and a one-shot override for
+-- a refused sweep.
+--
+-- ggr_library_sync_state holds one row per library and only the latest of
+-- everything, so a pass that failed an hour ago and one that completed since
+-- leave the same trace: none. Until now the history of a library's syncs was
+-- its container log. The admin dashboard (Admin -> Library Sync) reads it from
+-- here instead.
+--
+-- One row per pass that won the lock. A pass that lost it did nothing and is
+-- not recorded. `status`:
+--
+--   running      the pass is walking the backend; upserted and fulfilled are
+--                written after each batch, so this is its progress
+--   completed    the enumeration finished; sweep_blocked says whether the
+--                removal half was refused
+--   failed       the pass threw; error says why
+--   interrupted  still `running` when the next pass on the same library took
+--                the lock, so the process that ran it died mid-pass
+--
+-- `trigger` is what started it: `schedule` for the sync loop, `manual` for
+-- the dashboard's buttons, with requested_by naming the admin. full_pass is a
+-- manual pass told to ignore the resume point.
+--
+-- Pruned to the newest few hundred per library by sync.js, so the table does
+-- not grow by one row per interval forever.
+
+CREATE TABLE IF NOT EXISTS ggr_library_sync_runs (
+    id               BIGSERIAL PRIMARY KEY,
+    library_kind     TEXT NOT NULL,
+    trigger          TEXT NOT NULL DEFAULT 'schedule'
+                     CHECK (trigger IN ('schedule', 'manual')),
+    full_pass        BOOLEAN NOT NULL DEFAULT FALSE,
+    requested_by     INTEGER REFERENCES ggr_users(id) ON DELETE SET NULL,
+    status           TEXT NOT NULL DEFAULT 'running'
+                     CHECK (status IN ('running', 'completed', 'failed', 'interrupted')),
+    resumed          BOOLEAN NOT NULL DEFAULT FALSE,
+    started_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at      TIMESTAMPTZ,
+    upserted         INTEGER NOT NULL DEFAULT 0,
+    removed          INTEGER NOT NULL DEFAULT 0,
+    fulfilled        INTEGER NOT NULL DEFAULT 0,
+    sweep_blocked    BOOLEAN NOT NULL DEFAULT FALSE,
+    sweep_overridden BOOLEAN NOT NULL DEFAULT FALSE,
+    error            TEXT
+);
+
+-- The dashboard lists one library's passes, or all of them, newest first.
+CREATE INDEX IF NOT EXISTS ggr_library_sync_runs_kind_idx
+    ON ggr_library_sync_runs (library_kind, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS ggr_library_sync_runs_started_idx
+    ON ggr_library_sync_runs (started_at DESC);
+
+-- Set by an admin after a refused sweep, and cleared by the next pass that
+-- sweeps: that pass removes what it did not see whatever the share, once.
+-- Never cleared by a resumed pass, which does not sweep at all.
+ALTER TABLE ggr_library_sync_state
+    ADD COLUMN IF NOT EXISTS sweep_override BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 013 left last_started_at and last_completed_at naive because no value of
+-- theirs ever reached the application. The dashboard now shows both, and a
+-- naive timestamp read into JS is shifted by the app container's offset, so
+-- they become TIMESTAMPTZ like every other timestamp on these tables.
+--
+-- The USING clause reads the stored digits in this session's zone, which is
+-- the zone NOW() wrote them in: neither this runner nor the app sets one, so
+-- both use the database's. The sweep compares synced_at with
+-- last_started_at, and after this that comparison needs no cast at all.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+         WHERE table_name = 'ggr_library_sync_state'
+           AND column_name = 'last_started_at'
+           AND data_type = 'timestamp without time zone'
+    ) THEN
+        ALTER TABLE ggr_library_sync_state
+            ALTER COLUMN last_started_at TYPE TIMESTAMPTZ
+                USING last_started_at AT TIME ZONE current_setting('TimeZone'),
+            ALTER COLUMN last_completed_at TYPE TIMESTAMPTZ
+                USING last_completed_at AT TIME ZONE current_setting('TimeZone');
+    END IF;
+END
+$$;
@@ -11,15 +11,28 @@ import { resolveRequiredScope } from "$lib/apiScopes.js";
 import { warmUpCache } from "$lib/gameCache.js";
 import { warmPool } from "$lib/database.js";
 import { probeRommAvailability } from "$lib/romm.server.js";
-import { resolveLibraryConfig } from "$lib/library/config.js";
-import { syncLibrary } from "$lib/library/sync.js";
+import { resolveLibraryConfigs } from "$lib/library/config.js";
+import { getLibrary } from "$lib/library/index.js";
+import { runSyncCycle } from "$lib/library/cycle.js";
+import { detectTrigramSearch } from "$lib/library/router.js";
+import {
+  processDueDeliveries,
+  pruneDeliveries,
+} from "$lib/deliveryQueue.server.js";
+import { runDigests } from "$lib/emailDigests.server.js";
+import { alertReleasedGames } from "$lib/watchlistAlerts.server.js";
+import { releaseDueRequests } from "$lib/preRequests.server.js";
 
 /**
- * Start the library index sync loop, if the operator asked for one.
+ * Start the library index sync loops, if the operator asked for them.
  *
  * Off unless LIBRARY_SYNC_ENABLED is exactly "true", so an existing install
  * behaves identically after upgrading.
  *
+ * One loop per configured library, each on its own interval and its own
+ * advisory lock (sync.js syncLockKey), so an hour-long RomM walk neither
+ * delays a Gaseous pass nor is delayed by one.
+ *
  * A cycle that throws is logged and dropped. It must not reject out of the
  * timer callback: an unhandled rejection from an async setInterval callback
  * does not stop the timer -- it terminates the *process*, as Node has done for
@@ -44,19 +57,41 @@ let librarySyncStarted = false;
 function startLibrarySync() {
   if (librarySyncStarted) return;
 
-  let config;
+  let configs;
   try {
-    config = resolveLibraryConfig();
+    configs = resolveLibraryConfigs();
   } catch (error) {
-    // A bad LIBRARY_KIND. resolveLibraryConfig refuses rather than guessing;
-    // report it once here instead of on every cycle.
+    // A bad LIBRARY_KIND or LIBRARIES. resolveLibraryConfigs refuses rather
+    // than guessing; report it once here instead of on every cycle.
     console.error("❌ Library sync not started:", error?.message);
     return;
   }
 
-  if (!config.syncEnabled) return;
+  // One switch for every library: it is what decides whether this app walks
+  // libraries on a timer at all.
+  if (!configs[0].syncEnabled) return;
 
   librarySyncStarted = true;
+  for (const config of configs) startLibrarySyncLoop(config);
+}
+
+/**
+ * One library's sync loop. What a cycle does is library/cycle.js, shared with
+ * the admin dashboard's "run now"; what is left here is the timer and its log.
+ *
+ * @param {Object} config - One of resolveLibraryConfigs()
+ */
+function startLibrarySyncLoop(config) {
+  let library;
+  try {
+    library = getLibrary(config.kind);
+  } catch (error) {
+    console.error(
+      `❌ Library sync for ${config.kind} not started:`,
+      error?.message,
+    );
+    return;
+  }
 
   // Logged on change only. With PM2_INSTANCES=max and a pass that outlives the
   // interval, every worker but the winner reports `locked` on every tick for as
@@ -64,30 +99,34 @@ function startLibrarySync() {
   // saying nothing new. The first is worth having; the rest bury everything
   // else in the log.
   let lastSkipReason = null;
+  let running = false;
 
   const cycle = async () => {
+    // A cycle is the pass and then its matching stage, and the two together
+    // can outlast the interval. The sync lock only covers the pass, so
+    // without this the next tick would start a pass while this one's matching
+    // is still searching IGDB.
+    if (running) return;
+    running = true;
     try {
-      const result = await syncLibrary({
-        batchSize: config.syncBatchSize,
-        maxSweepRatio: config.syncMaxSweepRatio,
-      });
+      const result = await runSyncCycle(config, library);
       if (result.completed) {
         lastSkipReason = null;
-        console.log(
-          `📚 Library sync: ${result.upserted} indexed, ${result.removed} marked removed` +
-            (result.resumed ? " (resumed pass, so nothing was swept)" : ""),
-        );
       } else if (result.reason) {
         if (result.reason !== lastSkipReason) {
-          console.log(`📚 Library sync skipped: ${result.reason}`);
+          console.log(
+            `📚 Library sync for ${config.kind} skipped: ${result.reason}`,
+          );
         }
         lastSkipReason = result.reason;
       }
     } catch (error) {
       console.error(
-        "❌ Library sync cycle failed (non-fatal):",
+        `❌ Library sync cycle for ${config.kind} failed (non-fatal):`,
         error?.message,
       );
+    } finally {
+      running = false;
     }
   };
 
@@ -96,11 +135,160 @@ function startLibrarySync() {
   timer.unref?.();
 
   console.log(
-    `📚 Library index sync enabled: every ${config.syncIntervalMs}ms, ${config.syncBatchSize} per batch`,
+    `📚 Library index sync enabled for ${config.kind}: every ${config.syncIntervalMs}ms, ${config.syncBatchSize} per batch` +
+      (config.autoFulfil ? ", auto-fulfilling approved requests" : "") +
+      (config.matchEnabled ? ", matching unmatched entries to IGDB" : ""),
   );
   cycle();
 }
 
+/**
+ * Start the outbound delivery worker: webhooks and Gotify notifications that
+ * did not go through on their first attempt.
+ *
+ * Always on -- with nothing due a cycle is one indexed UPDATE that matches no
+ * rows. Every PM2 worker runs one; the claim in deliveryQueue.server.js skips
+ * rows another worker holds, so they share the backlog rather than duplicate
+ * it. Started at most once, and kept off the rejection path, for the reasons
+ * given at startLibrarySync.
+ *
+ * Failures are logged on change only, like the library sync's skips: before
+ * migration 021 has run every cycle fails the same way, and once is enough.
+ */
+const DELIVERY_WORKER_INTERVAL_MS = 15 * 1000;
+const DELIVERY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let deliveryWorkerStarted = false;
+
+function startDeliveryWorker() {
+  if (deliveryWorkerStarted) return;
+  deliveryWorkerStarted = true;
+
+  let lastError = null;
+  let lastPruned = 0;
+  let running = false;
+
+  const cycle = async () => {
+    // A batch against slow receivers can outlast the interval. Overlap would
+    // be safe -- the claim sees to that -- but it would only add connections.
+    if (running) return;
+    running = true;
+    try {
+      const result = await processDueDeliveries();
+      if (result.claimed > 0) {
+        console.log(
+          `📬 Deliveries: ${result.delivered} of ${result.claimed} due delivered`,
+        );
+      }
+      if (Date.now() - lastPruned > DELIVERY_PRUNE_INTERVAL_MS) {
+        lastPruned = Date.now();
+        await pruneDeliveries();
+      }
+      lastError = null;
+    } catch (error) {
+      if (error?.message !== lastError) {
+        console.error(
+          "❌ Delivery worker cycle failed (non-fatal):",
+          error?.message,
+        );
+      }
+      lastError = error?.message;
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(cycle, DELIVERY_WORKER_INTERVAL_MS);
+  timer.unref?.();
+  cycle();
+}
+
+/**
+ * Start the email digest timer: the admins' digest of pending requests and
+ * the users' weekly watchlist digest, each at the hour set in admin settings.
+ *
+ * Always on, like the delivery worker. Until SMTP is set up a cycle is one
+ * settings read; after, one claim per digest per period, which every worker
+ * but the first finds taken (emailDigests.server.js). Every fifteen minutes is
+ * as close to the hour as a digest needs to be.
+ */
+const DIGEST_INTERVAL_MS = 15 * 60 * 1000;
+let digestWorkerStarted = false;
+
+function startDigestWorker() {
+  if (digestWorkerStarted) return;
+  digestWorkerStarted = true;
+
+  let lastError = null;
+
+  const cycle = async () => {
+    try {
+      const { admin, watchlist } = await runDigests();
+      if (admin) console.log(`📧 Admin digest queued for ${admin}`);
+      if (watchlist) console.log(`📧 Watchlist digest queued for ${watchlist}`);
+      lastError = null;
+    } catch (error) {
+      if (error?.message !== lastError) {
+        console.error(
+          "❌ Email digest cycle failed (non-fatal):",
+          error?.message,
+        );
+      }
+      lastError = error?.message;
+    }
+  };
+
+  const timer = setInterval(cycle, DIGEST_INTERVAL_MS);
+  timer.unref?.();
+  cycle();
+}
+
+/**
+ * Start the hourly release checks: users told when a watched game's release
+ * date passes (watchlistAlerts.server.js), and requests held for a game's
+ * release moved into the queue once it is out (preRequests.server.js).
+ *
+ * Always on, like the digest timer. Both claim their rows before acting, so
+ * every worker but the first to reach a due one finds it taken. Release dates
+ * are days, so hourly is soon enough. The two are separate steps: a failing
+ * IGDB does not stop the watchlist alerts, which read only the cache.
+ */
+const RELEASE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+let releaseChecksStarted = false;
+
+function startReleaseChecks() {
+  if (releaseChecksStarted) return;
+  releaseChecksStarted = true;
+
+  // Per step, so each logs a failure once until it changes.
+  const lastErrors = new Map();
+  const step = async (name, fn) => {
+    try {
+      await fn();
+      lastErrors.delete(name);
+    } catch (error) {
+      if (error?.message !== lastErrors.get(name)) {
+        console.error(`❌ ${name} failed (non-fatal):`, error?.message);
+      }
+      lastErrors.set(name, error?.message);
+    }
+  };
+
+  const cycle = async () => {
+    await step("Watchlist release check", async () => {
+      const alerted = await alertReleasedGames();
+      if (alerted) console.log(`🔔 Release alerts sent to ${alerted}`);
+    });
+    await step("Pre-request release check", async () => {
+      const { released } = await releaseDueRequests();
+      if (released) console.log(`📅 ${released} pre-request(s) released`);
+    });
+  };
+
+  const timer = setInterval(cycle, RELEASE_CHECK_INTERVAL_MS);
+  timer.unref?.();
+  cycle();
+}
+
 /**
  * Server startup hook: runs once at boot, before the first request.
  *
@@ -138,6 +326,28 @@ export async function init() {
   // Nothing else fills ggr_library_entries, so without this the index can
   // never become ready and every read stays on its backend fallback.
   startLibrarySync();
+
+  // Which library search this process runs: ranked and typo-tolerant where
+  // migration 033 could install pg_trgm, ILIKE where it could not. Said once
+  // here, since the search itself falls back without a word.
+  detectTrigramSearch().then((trigram) =>
+    console.log(
+      trigram
+        ? "🔎 Library search: pg_trgm (ranked, typo-tolerant)"
+        : "🔎 Library search: ILIKE (pg_trgm not installed)",
+    ),
+  );
+
+  // Picks up deliveries left queued by a restart, then retries as they fall
+  // due.
+  startDeliveryWorker();
+
+  // Sends nothing until SMTP is set up, and then only what is due.
+  startDigestWorker();
+
+  // Tells watchers when a game they are waiting for comes out, and queues the
+  // requests that were waiting for it.
+  startReleaseChecks();
 }
 
 // HTTP Cache headers hook
@@ -147,8 +357,16 @@ const cacheHeaders = async ({ event, resolve }) => {
   // Clone headers to make them mutable
   const headers = new Headers(response.headers);
 
+  // A live stream (api/events) sets its own no-cache. Five minutes of private
+  // caching would be wrong for something that never finishes.
+  const isEventStream = response.headers
+    .get("Content-Type")
+    ?.startsWith("text/event-stream");
+
   // Add cache headers for static assets
-  if (event.url.pathname.startsWith("/api/")) {
+  if (isEventStream) {
+    // Left as the stream set them.
+  } else if (event.url.pathname.startsWith("/api/")) {
     // API responses - short cache for dynamic content
     headers.set("Cache-Control", "private, max-age=300"); // 5 minutes
     headers.set("Vary", "Cookie");
@@ -239,16 +457,18 @@ const authGuard = async ({ event, resolve }) => {
     "/api/auth/", // Auth endpoints
     "/api/version", // Version endpoint
     "/api/images/proxy", // Image proxy
-    // Matches nothing: the route is "/api/webhooks", which does not start with
-    // "/api/webhooks/". So the endpoint has always required authentication,
-    // contrary to what this entry suggests.
+    // The download pipeline's progress callback. It carries no session or API
+    // key: every call is checked against an HMAC signature made with
+    // REQUEST_CALLBACK_SECRET, and the route answers 404 while that is unset.
     //
-    // Deliberately left ineffective. It relays a caller-supplied title, message
-    // and priority to Gotify and the outbound webhook receiver, so opening it up
-    // would hand anyone an unauthenticated push channel to the operator. If an
-    // external service ever does need to post here, give it an API key with
-    // `admin:write` rather than making the route public.
-    "/api/webhooks/",
+    // Listed by its full path on purpose. This used to be "/api/webhooks/",
+    // which matched nothing -- the relay is "/api/webhooks", with no trailing
+    // slash -- and opening the whole prefix would make the next route added
+    // under it public by accident. The relay itself stays authenticated: it
+    // forwards a caller-supplied title, message and priority to Gotify and the
+    // outbound receiver, and an external service that needs it should get an
+    // API key with `admin:write`.
+    "/api/webhooks/request-status",
     "/api/docs", // API documentation
     "/api/openapi.json", // OpenAPI spec (needed for API docs)
     "/api/setup/", // Setup endpoints (needed during initial setup)
@@ -83,6 +83,66 @@ export async function rescindRequest(requestId) {
   });
 }
 
+/**
+ * Get the comment thread on a request
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} - Response with `comments` and `can_post_internal`
+ */
+export async function getRequestComments(requestId) {
+  // Uncached: a thread read straight after posting must include the post.
+  return await apiClient.get(
+    `/api/request/comments?request_id=${encodeURIComponent(requestId)}`,
+    {},
+    null,
+  );
+}
+
+/**
+ * Post a comment on a request
+ * @param {string} requestId - Request ID
+ * @param {string} body - Comment text
+ * @param {boolean} [internal=false] - Staff-only comment
+ * @returns {Promise<Object>} - Response with the stored `comment`
+ */
+export async function postRequestComment(requestId, body, internal = false) {
+  return await apiClient.post("/api/request/comments", {
+    request_id: requestId,
+    body,
+    internal,
+  });
+}
+
+/**
+ * The caller's remaining request quota, per request type
+ * @returns {Promise<Object>} - Response with `quotas`; a type is null when unlimited
+ */
+export async function getRequestQuota() {
+  // Uncached: it changes with every submission.
+  return await apiClient.get("/api/request/quota", {}, null);
+}
+
+/**
+ * Back someone else's open request ("me too")
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} - Response with `supporters` and `supporter_count`
+ */
+export async function supportRequest(requestId) {
+  return await apiClient.post("/api/request/support", {
+    request_id: requestId,
+  });
+}
+
+/**
+ * Withdraw support from a request
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object>} - Response with `supporters` and `supporter_count`
+ */
+export async function withdrawSupport(requestId) {
+  return await apiClient.delete("/api/request/support", {
+    body: JSON.stringify({ request_id: requestId }),
+  });
+}
+
 /**
  * IGDB proxy request
  * @param {string} action - API action (search, game, popular, recent)
@@ -15,12 +15,20 @@ export {
   getGameById,
   submitGameRequest,
   rescindRequest,
+  getRequestComments,
+  postRequestComment,
+  getRequestQuota,
+  supportRequest,
+  withdrawSupport,
   igdbRequest,
 } from "./games.js";
 
 // Watchlist API
 export { watchlistClient, watchlistService } from "./watchlist.js";
 
+// Notifications API
+export { getNotifications, markNotificationsRead } from "./notifications.js";
+
 // Additional convenience APIs
 
 /**
@@ -0,0 +1,32 @@
+/**
+ * Notifications API client - the signed-in user's in-app notifications
+ */
+
+import { apiClient } from "./client.js";
+
+/**
+ * The newest notifications and the unread count
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] - Most to return, up to 50
+ * @returns {Promise<Object>} - Response with `notifications` and `unread_count`
+ */
+export async function getNotifications({ limit = 20 } = {}) {
+  // Uncached: a notification marked read must not come back unread.
+  return await apiClient.get(
+    `/api/user/notifications?limit=${limit}`,
+    {},
+    null,
+  );
+}
+
+/**
+ * Mark notifications read
+ * @param {number[]|null} ids - Notification IDs, or null for all of them
+ * @returns {Promise<Object>} - Response with `marked` and `unread_count`
+ */
+export async function markNotificationsRead(ids = null) {
+  return await apiClient.post(
+    "/api/user/notifications",
+    ids === null ? { all: true } : { ids },
+  );
+}
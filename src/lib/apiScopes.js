@@ -29,6 +29,12 @@ const ROUTE_SCOPES = [
     methods: ["POST"],
     scope: "requests:write",
   },
+  // DELETE withdraws support; the parent entries below have no DELETE rule.
+  {
+    prefix: "/api/request/support",
+    methods: ["POST", "DELETE"],
+    scope: "requests:write",
+  },
   { prefix: "/api/request", methods: ["GET"], scope: "requests:read" },
   { prefix: "/api/request", methods: ["POST"], scope: "requests:write" },
 
@@ -53,6 +59,13 @@ const ROUTE_SCOPES = [
   // User
   { prefix: "/api/user/preferences", methods: ["GET"], scope: "user:read" },
   { prefix: "/api/user/preferences", methods: ["POST"], scope: "user:write" },
+  // Marking notifications read is a POST, and a write to the user's own data.
+  { prefix: "/api/user/notifications", methods: ["GET"], scope: "user:read" },
+  { prefix: "/api/user/notifications", methods: ["POST"], scope: "user:write" },
+
+  // The live event stream. The library's events on it also need games:read,
+  // which the route checks itself; see api/events.
+  { prefix: "/api/events", methods: ["GET"], scope: "requests:read" },
 
   // Game data
   { prefix: "/api/games", methods: ["GET"], scope: "games:read" },
@@ -60,6 +73,7 @@ const ROUTE_SCOPES = [
   { prefix: "/api/search", methods: ["GET", "POST"], scope: "games:read" },
   { prefix: "/api/igdb", methods: ["GET", "POST"], scope: "games:read" },
   { prefix: "/api/romm/recent", methods: ["GET"], scope: "games:read" },
+  { prefix: "/api/library/search", methods: ["GET"], scope: "games:read" },
   {
     prefix: "/api/romm/cross-reference",
     methods: ["POST"],
@@ -272,6 +272,106 @@ export class WatchlistService {
   }
 }
 
+/**
+ * Live updates service - one EventSource on /api/events per tab, shared by
+ * every component that subscribes, opened with the first and closed with the
+ * last.
+ *
+ * The browser reconnects a dropped stream by itself. Events published while
+ * it was down are not replayed, so after a reconnect every subscriber gets a
+ * `live.reconnected` event and should reload what it shows.
+ */
+export class LiveEventsService {
+  constructor() {
+    this.source = null;
+    this.handlers = new Map(); // type -> Set of handlers
+    this.listening = new Set(); // types with a listener on the current source
+    this.wasOpen = false;
+  }
+
+  /**
+   * Call `handler(data, type)` for each of these events
+   * @param {Array<string>} types - Event types, e.g. "request.status_changed";
+   *   "live.reconnected" is always delivered
+   * @param {Function} handler
+   * @returns {Function} - Unsubscribes
+   */
+  subscribe(types, handler) {
+    if (!browser || typeof EventSource === "undefined") return () => {};
+
+    for (const type of [...types, "live.reconnected"]) {
+      if (!this.handlers.has(type)) this.handlers.set(type, new Set());
+      this.handlers.get(type).add(handler);
+    }
+    this.connect();
+
+    return () => {
+      for (const set of this.handlers.values()) set.delete(handler);
+      if ([...this.handlers.values()].every((set) => set.size === 0)) {
+        this.disconnect();
+      }
+    };
+  }
+
+  /**
+   * Open the stream, or add listeners for newly subscribed types to it
+   * @private
+   */
+  connect() {
+    if (!this.source) {
+      this.source = new EventSource("/api/events");
+      this.listening = new Set();
+      this.wasOpen = false;
+
+      this.source.onopen = () => {
+        if (this.wasOpen) this.emit("live.reconnected", {});
+        this.wasOpen = true;
+      };
+      this.source.onerror = () => {
+        // CLOSED means the server refused the stream (signed out, say), which
+        // the browser will not retry. Anything else it is retrying already.
+        if (this.source?.readyState === EventSource.CLOSED) {
+          this.disconnect();
+        }
+      };
+    }
+
+    for (const type of this.handlers.keys()) {
+      if (type === "live.reconnected" || this.listening.has(type)) continue;
+      this.listening.add(type);
+      this.source.addEventListener(type, (message) => {
+        let data;
+        try {
+          data = JSON.parse(message.data);
+        } catch (error) {
+          return;
+        }
+        this.emit(type, data);
+      });
+    }
+  }
+
+  /**
+   * @private
+   */
+  emit(type, data) {
+    for (const handler of this.handlers.get(type) || []) {
+      handler(data, type);
+    }
+  }
+
+  /**
+   * Close the stream
+   * @private
+   */
+  disconnect() {
+    this.source?.close();
+    this.source = null;
+    this.listening = new Set();
+  }
+}
+
 // Create singleton instances
 export const rommService = new RommCrossReferenceService();
 export const watchlistService = new WatchlistService();
+export const liveEvents = new LiveEventsService();
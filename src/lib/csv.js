@@ -0,0 +1,126 @@
+/**
+ * CSV as spreadsheets write and read it (RFC 4180): comma-separated, fields
+ * quoted when they hold a comma, a quote or a line break, quotes doubled
+ * inside them, and CRLF between records.
+ *
+ * Used by the request export and import (requestExchange.server.js), whose
+ * files go through Excel, LibreOffice and Google Sheets on their way back.
+ */
+
+// A cell a spreadsheet would run as a formula. Prefixed with an apostrophe
+// on the way out, which spreadsheets show as text, and unprefixed on the way
+// back in; a request title is not where anyone's formulas belong.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * One CSV field.
+ *
+ * @param {*} value - null and undefined are empty; anything else is String()'d
+ * @returns {string}
+ */
+function field(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV, with a header.
+ *
+ * @param {string[]} columns - Header names, and the keys read from each row
+ * @param {Object[]} rows
+ * @returns {string} CRLF-separated, ending in CRLF
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(field).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => field(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * CSV into one object per record, keyed by the header row.
+ *
+ * Header names are trimmed and lower-cased, so "Title " is `title`. A
+ * byte-order mark, blank lines and a missing final line break are all fine; a
+ * record shorter than the header leaves the rest of its keys empty.
+ *
+ * @param {string} text
+ * @returns {{columns: string[], rows: Array<{line: number, values: Object<string, string>}>}}
+ *   `line` is where the record starts in the file, 1 being the header
+ * @throws {Error} For a quoted field that never ends
+ */
+export function parseCsv(text) {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let value = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = 0;
+
+  const endField = () => {
+    record.push(value.replace(/^'(?=[=+\-@\t\r])/, ""));
+    value = "";
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some((cell) => cell !== "")) {
+      records.push({ line: recordLine, cells: record });
+    }
+    record = [];
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        value += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        value += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && value === "") {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+    i++;
+  }
+  if (quoted) {
+    throw new Error(`Line ${recordLine}: a quoted field is never closed`);
+  }
+  if (value !== "" || record.length > 0) endRecord();
+
+  const [header, ...body] = records;
+  if (!header) return { columns: [], rows: [] };
+  const columns = header.cells.map((name) => name.trim().toLowerCase());
+  return {
+    columns,
+    rows: body.map(({ line: start, cells }) => ({
+      line: start,
+      values: Object.fromEntries(
+        columns.map((column, index) => [column, cells[index] ?? ""]),
+      ),
+    })),
+  };
+}
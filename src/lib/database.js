@@ -1445,5 +1445,66 @@ export async function withClient(fn) {
   }
 }
 
+/**
+ * Hold one pooled client on `LISTEN channel` until the returned close().
+ *
+ * The one caller that must not share its connection: a notification is only
+ * delivered to the session that issued the LISTEN, so the client is kept out
+ * of the pool for as long as anyone is listening -- one connection per worker
+ * off POSTGRES_POOL_MAX, not one per subscriber.
+ *
+ * A client that errors is released as broken rather than handed back to the
+ * pool, and `onError` is told so the caller can listen again. The error is
+ * handled here either way: an 'error' on a checked-out client with no listener
+ * is an uncaught exception, which ends the worker.
+ *
+ * @param {string} channel - A plain lower-case identifier, not user input
+ * @param {(payload: string) => void} onNotification
+ * @param {(error: Error) => void} [onError]
+ * @returns {Promise<() => Promise<void>>} - Stops listening and releases the
+ *   client
+ */
+export async function listen(channel, onNotification, onError) {
+  if (!/^[a-z_][a-z0-9_]*$/.test(channel)) {
+    throw new Error(`Invalid LISTEN channel: ${channel}`);
+  }
+
+  const poolInstance = await getPool();
+  const client = await poolInstance.connect();
+  let released = false;
+
+  const release = (error) => {
+    if (released) return;
+    released = true;
+    client.removeAllListeners("notification");
+    client.release(error);
+  };
+
+  client.on("notification", (message) => {
+    if (message.channel === channel) onNotification(message.payload);
+  });
+  client.on("error", (error) => {
+    release(error);
+    onError?.(error);
+  });
+
+  try {
+    await client.query(`LISTEN ${channel}`);
+  } catch (error) {
+    release(error);
+    throw error;
+  }
+
+  return async () => {
+    if (released) return;
+    try {
+      await client.query(`UNLISTEN ${channel}`);
+      release();
+    } catch (error) {
+      release(error);
+    }
+  };
+}
+
 // Export direct query function for advanced usage
 export { query, warmPool, withTransaction };
@@ -0,0 +1,449 @@
+/**
+ * Durable outbound deliveries: webhooks and notifications (migration 021).
+ *
+ * Every outbound message is stored before it is sent, and a failed send is
+ * rescheduled rather than dropped. enqueueDelivery tries the first attempt
+ * straight away, so a healthy receiver hears as quickly as it did when this was
+ * a bare fetch; the worker started from hooks.server.js picks up everything
+ * that did not go through, on every PM2 worker at once. The claim is
+ * `FOR UPDATE SKIP LOCKED`, so two workers never hold the same row, and the
+ * lease it writes (locked_until) is what hands a row to another worker when
+ * the one holding it dies mid-send.
+ *
+ * Delivery is at least once. A receiver that accepts a message but answers
+ * after the timeout, or a worker that dies between the send and recording it,
+ * means the message is sent again. Receivers that act on an event should be
+ * idempotent on it, which the request payloads have always made possible.
+ *
+ * The queue knows nothing about payloads or credentials. Each channel's
+ * transport -- deliverQueuedWebhook, deliverQueuedNotification,
+ * deliverQueuedUserNotification, deliverQueuedEmail -- reads what it needs when
+ * it sends and answers with the receiver's status and body; the queue decides
+ * from the status whether that was a delivery, or from `ok` where the status
+ * is not HTTP's, as an SMTP server's 250 is not.
+ */
+
+import { query, withTransaction } from "$lib/database.js";
+
+/** Attempts before a delivery is given up on, counting the first. */
+export const MAX_ATTEMPTS = 10;
+
+// 30s, 1m, 2m ... doubling to a ceiling of six hours. Ten attempts span a
+// little over four hours, which covers a receiver restarted for an upgrade or
+// down overnight without retrying a dead one forever.
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// Longer than any one batch can take -- each send has its own five-second
+// timeout and a batch sends concurrently -- so a live worker never loses a row
+// to another mid-send.
+const LEASE_SECONDS = 300;
+
+const CLAIM_BATCH_SIZE = 20;
+
+// A receiver's error page can be any size; the log needs the start of it.
+const RESPONSE_BODY_LIMIT = 2000;
+
+/** Finished deliveries older than this are pruned by the worker. */
+export const DELIVERY_RETENTION_DAYS = 30;
+
+// Imported when first used rather than at the top: every transport enqueues
+// through this module, and a static import either way round is a cycle. That
+// is also why the notifier channels are listed here rather than read from
+// notifiers/index.js's NOTIFIER_KINDS -- keep the two in step.
+const notification = async (delivery) =>
+  (await import("$lib/notifiers/index.js")).deliverQueuedNotification(delivery);
+
+const personal = async (delivery) =>
+  (
+    await import("$lib/userNotifications.server.js")
+  ).deliverQueuedUserNotification(delivery);
+
+const TRANSPORTS = {
+  webhook: async (delivery) =>
+    (await import("$lib/webhooks.server.js")).deliverQueuedWebhook(delivery),
+  gotify: notification,
+  discord: notification,
+  slack: notification,
+  matrix: notification,
+  ntfy: notification,
+  user_ntfy: personal,
+  user_discord: personal,
+  email: async (delivery) =>
+    (await import("$lib/mail/index.js")).deliverQueuedEmail(delivery),
+};
+
+export const DELIVERY_CHANNELS = Object.keys(TRANSPORTS);
+
+export const DELIVERY_STATUSES = [
+  "pending",
+  "delivering",
+  "delivered",
+  "failed",
+];
+
+/**
+ * How long to wait before the next attempt, after `attempts` have failed.
+ *
+ * @param {number} attempts - Attempts made so far, at least 1
+ * @returns {number} Milliseconds
+ */
+export function retryDelayMs(attempts) {
+  return Math.min(
+    MAX_RETRY_DELAY_MS,
+    BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1),
+  );
+}
+
+/**
+ * Store a delivery and try it once straight away.
+ *
+ * Resolves once the row is stored, not once it is sent: the first attempt runs
+ * behind it, so a slow receiver costs the caller nothing. Rejects only if the
+ * row cannot be stored, which is the one failure that loses the message.
+ *
+ * @param {Object} delivery
+ * @param {string} delivery.channel - One of DELIVERY_CHANNELS
+ * @param {string} delivery.event - Event or notification type, for the log
+ * @param {Object} delivery.payload - The JSON body to send
+ * @param {number|null} [delivery.endpointId] - ggr_webhook_endpoints id, for
+ *   an admin-managed endpoint
+ * @param {string|null} [delivery.targetUrl] - Where it is going, for the log
+ * @returns {Promise<Object>} The stored ggr_webhook_deliveries row
+ */
+export async function enqueueDelivery({
+  channel,
+  event,
+  payload,
+  endpointId = null,
+  targetUrl = null,
+}) {
+  const result = await query(
+    `INSERT INTO ggr_webhook_deliveries
+         (channel, event, endpoint_id, target_url, payload, max_attempts)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [channel, event, endpointId, targetUrl, payload, MAX_ATTEMPTS],
+  );
+  const delivery = result.rows[0];
+
+  deliverNow(delivery.id).catch((error) => {
+    // The row is stored; the worker will get to it.
+    console.warn(
+      `Delivery ${delivery.id} first attempt failed:`,
+      error.message,
+    );
+  });
+
+  return delivery;
+}
+
+/**
+ * Claim and attempt every delivery that is due, up to one batch.
+ *
+ * Called on the worker's interval. Safe to call from any number of processes
+ * at once: each claims a disjoint set.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most deliveries to claim
+ * @returns {Promise<{claimed: number, delivered: number}>}
+ */
+export async function processDueDeliveries({ limit = CLAIM_BATCH_SIZE } = {}) {
+  const claimed = await claim(
+    `(status = 'pending' AND next_attempt_at <= NOW())
+      OR (status = 'delivering' AND locked_until < NOW())`,
+    [limit],
+  );
+
+  const outcomes = await Promise.all(claimed.map(attemptDelivery));
+  return {
+    claimed: claimed.length,
+    delivered: outcomes.filter((row) => row?.status === "delivered").length,
+  };
+}
+
+/**
+ * Attempt one pending delivery now, if no worker holds it.
+ *
+ * @param {number|string} id - ggr_webhook_deliveries id
+ * @returns {Promise<Object|null>} The updated row, or null if it was not
+ *   pending or another worker has it
+ */
+export async function deliverNow(id) {
+  const [delivery] = await claim("id = $2 AND status = 'pending'", [1, id]);
+  return delivery ? attemptDelivery(delivery) : null;
+}
+
+/**
+ * Send a delivery again, from the delivery log.
+ *
+ * Allowed from any state but `delivering`, whose row a worker is sending right
+ * now. A given-up delivery gets one more attempt; one still retrying keeps its
+ * remaining budget and simply goes now instead of later.
+ *
+ * @param {number|string} id - ggr_webhook_deliveries id
+ * @returns {Promise<{delivery: Object|null, reason: string|null}>} The row
+ *   after the attempt, or a reason: "not_found" or "in_flight"
+ */
+export async function redeliverDelivery(id) {
+  const reset = await query(
+    `UPDATE ggr_webhook_deliveries
+        SET status = 'pending', next_attempt_at = NOW(), locked_until = NULL,
+            max_attempts = GREATEST(max_attempts, attempts + 1),
+            updated_at = NOW()
+      WHERE id = $1 AND status <> 'delivering'
+      RETURNING id`,
+    [id],
+  );
+
+  if (reset.rows.length === 0) {
+    const existing = await getDelivery(id);
+    return {
+      delivery: null,
+      reason: existing ? "in_flight" : "not_found",
+    };
+  }
+
+  const delivered = await deliverNow(id);
+  // null only if a worker's interval claimed it in between, which is fine:
+  // it is being sent either way.
+  return { delivery: delivered ?? (await getDelivery(id)), reason: null };
+}
+
+/**
+ * One delivery by id.
+ *
+ * @param {number|string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getDelivery(id) {
+  const result = await query(
+    "SELECT * FROM ggr_webhook_deliveries WHERE id = $1",
+    [id],
+  );
+  return result.rows[0] ?? null;
+}
+
+/**
+ * A page of the delivery log, newest first.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - One of DELIVERY_STATUSES
+ * @param {string} [filters.channel] - One of DELIVERY_CHANNELS
+ * @param {number} [filters.limit=50]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{deliveries: Object[], total: number}>} Each delivery
+ *   carries `endpoint_name` when it went to a managed endpoint
+ */
+export async function listDeliveries({
+  status,
+  channel,
+  limit = 50,
+  offset = 0,
+} = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    conditions.push(`d.status = $${params.length}`);
+  }
+  if (channel) {
+    params.push(channel);
+    conditions.push(`d.channel = $${params.length}`);
+  }
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const total = await query(
+    `SELECT COUNT(*)::int AS count FROM ggr_webhook_deliveries d ${where}`,
+    params,
+  );
+
+  params.push(limit, offset);
+  const result = await query(
+    `SELECT d.*, e.name AS endpoint_name
+       FROM ggr_webhook_deliveries d
+       LEFT JOIN ggr_webhook_endpoints e ON e.id = d.endpoint_id
+       ${where}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params,
+  );
+
+  return { deliveries: result.rows, total: total.rows[0]?.count ?? 0 };
+}
+
+/**
+ * Every attempt for a set of deliveries, oldest first.
+ *
+ * @param {Array<number|string>} ids - ggr_webhook_deliveries ids
+ * @returns {Promise<Map<string, Object[]>>} Attempts keyed by delivery id, as
+ *   a string: BIGSERIAL ids come back from pg as strings
+ */
+export async function listDeliveryAttempts(ids) {
+  const attempts = new Map();
+  if (!ids || ids.length === 0) return attempts;
+
+  const result = await query(
+    `SELECT delivery_id, attempt, response_status, response_body, error,
+            duration_ms, created_at
+       FROM ggr_webhook_delivery_attempts
+      WHERE delivery_id = ANY($1::bigint[])
+      ORDER BY delivery_id, attempt`,
+    [ids],
+  );
+
+  for (const row of result.rows) {
+    const key = String(row.delivery_id);
+    const list = attempts.get(key) ?? [];
+    list.push(row);
+    attempts.set(key, list);
+  }
+  return attempts;
+}
+
+/**
+ * Delete finished deliveries past DELIVERY_RETENTION_DAYS.
+ *
+ * Pending ones are kept however old they are -- their retry schedule decides
+ * when they finish, not their age.
+ *
+ * @returns {Promise<number>} How many were removed
+ */
+export async function pruneDeliveries() {
+  const result = await query(
+    `DELETE FROM ggr_webhook_deliveries
+      WHERE status IN ('delivered', 'failed')
+        AND updated_at < NOW() - make_interval(days => $1::int)`,
+    [DELIVERY_RETENTION_DAYS],
+  );
+  return result.rowCount ?? 0;
+}
+
+/**
+ * Lease the rows a filter selects and count the attempt about to be made.
+ *
+ * The attempt is counted at the claim, not at the outcome, so a worker that
+ * dies mid-send still uses one up: the message may well have arrived.
+ *
+ * @param {string} filter - WHERE clause over ggr_webhook_deliveries; $1 is the
+ *   row limit
+ * @param {Array} params
+ * @returns {Promise<Object[]>}
+ */
+async function claim(filter, params) {
+  const result = await query(
+    `UPDATE ggr_webhook_deliveries
+        SET status = 'delivering', attempts = attempts + 1,
+            locked_until = NOW() + make_interval(secs => ${LEASE_SECONDS}),
+            updated_at = NOW()
+      WHERE id IN (
+              SELECT id FROM ggr_webhook_deliveries
+               WHERE ${filter}
+               ORDER BY next_attempt_at
+               LIMIT $1
+                 FOR UPDATE SKIP LOCKED
+            )
+      RETURNING *`,
+    params,
+  );
+  return result.rows;
+}
+
+/**
+ * Send one claimed delivery and record what came back.
+ *
+ * Never throws: a transport error is an outcome to record, the same as a 500.
+ *
+ * @param {Object} delivery - A claimed row, attempts already counted
+ * @returns {Promise<Object|null>} The updated row
+ */
+async function attemptDelivery(delivery) {
+  const started = Date.now();
+  let responseStatus = null;
+  let responseBody = null;
+  let failure = null;
+
+  try {
+    const transport = TRANSPORTS[delivery.channel];
+    if (!transport) {
+      throw new Error(`Unknown delivery channel: ${delivery.channel}`);
+    }
+    const response = await transport(delivery);
+    responseStatus = response.status;
+    responseBody = truncate(response.body);
+    const ok = response.ok ?? (responseStatus >= 200 && responseStatus < 300);
+    if (!ok) {
+      failure = `HTTP ${responseStatus}`;
+    }
+  } catch (error) {
+    failure =
+      error?.name === "TimeoutError"
+        ? "Timed out waiting for the receiver"
+        : error?.message || String(error);
+  }
+
+  const durationMs = Date.now() - started;
+  const givingUp =
+    failure !== null && delivery.attempts >= delivery.max_attempts;
+  const status =
+    failure === null ? "delivered" : givingUp ? "failed" : "pending";
+
+  if (failure !== null) {
+    console.warn(
+      `Delivery ${delivery.id} (${delivery.channel} ${delivery.event}) attempt ${delivery.attempts} failed: ${failure}` +
+        (givingUp ? "; giving up" : ""),
+    );
+  }
+
+  try {
+    return await withTransaction(async (tx) => {
+      await tx(
+        `INSERT INTO ggr_webhook_delivery_attempts
+             (delivery_id, attempt, response_status, response_body, error, duration_ms)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          delivery.id,
+          delivery.attempts,
+          responseStatus,
+          responseBody,
+          failure,
+          durationMs,
+        ],
+      );
+      const updated = await tx(
+        `UPDATE ggr_webhook_deliveries
+            SET status = $2, locked_until = NULL,
+                last_response_status = $3, last_error = $4,
+                delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END,
+                next_attempt_at = NOW() + make_interval(secs => $5::double precision),
+                updated_at = NOW()
+          WHERE id = $1
+          RETURNING *`,
+        [
+          delivery.id,
+          status,
+          responseStatus,
+          failure,
+          status === "pending" ? retryDelayMs(delivery.attempts) / 1000 : 0,
+        ],
+      );
+      return updated.rows[0] ?? null;
+    });
+  } catch (error) {
+    // The lease runs out and the row is claimed again, so the worst case is
+    // one extra send, not a lost message.
+    console.error(
+      `Failed to record delivery ${delivery.id} attempt:`,
+      error.message,
+    );
+    return null;
+  }
+}
+
+function truncate(text) {
+  if (text == null) return null;
+  const value = String(text);
+  return value.length > RESPONSE_BODY_LIMIT
+    ? `${value.slice(0, RESPONSE_BODY_LIMIT)}…`
+    : value;
+}
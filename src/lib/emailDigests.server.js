@@ -0,0 +1,287 @@
+/**
+ * Scheduled email digests (migration 026).
+ *
+ * Two, both sent by the timer hooks.server.js starts:
+ *
+ *   admin      the requests waiting for review, daily or weekly as set in
+ *              admin settings (`email.admin_digest`), to everyone who can
+ *              approve them. Off until an admin turns it on.
+ *   watchlist  each opted-in user's watchlisted games that reached the
+ *              library in the past week, weekly. Nothing is sent to a user
+ *              with nothing new.
+ *
+ * Both go out at `email.digest_hour` (default 8), in the server's time zone --
+ * UTC in the published image unless TZ is set. A weekly digest is due from
+ * that hour on Monday, and any later check in the same ISO week sends it if
+ * Monday's did not, so a server down over the weekend still sends one.
+ *
+ * Every PM2 worker runs the timer. What keeps a digest to one send per period
+ * is the claim in ggr_email_digest_runs: the worker whose insert goes in sends
+ * it, and the others find it done. A digest claimed and then not queued --
+ * the worker died in between -- is skipped for that period rather than risk
+ * sending it twice; the next period's carries the same pending requests.
+ */
+
+import { query } from "$lib/database.js";
+import { isMailConfigured, queueEmail, siteUrl } from "$lib/mail/index.js";
+import {
+  renderAdminDigest,
+  renderWatchlistDigest,
+} from "$lib/mail/templates.js";
+
+export const ADMIN_DIGEST_SCHEDULES = ["off", "daily", "weekly"];
+
+export const DEFAULT_DIGEST_HOUR = 8;
+
+const WATCHLIST_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// The template lists this many; the count covers the rest.
+const ADMIN_DIGEST_LIMIT = 25;
+
+/**
+ * The period a digest on this schedule is for: the day, or the ISO week.
+ *
+ * @param {string} schedule - "daily" or "weekly"
+ * @param {Date} now
+ * @returns {string} e.g. "2026-10-19" or "2026-W43"
+ */
+export function digestPeriod(schedule, now) {
+  if (schedule === "daily") {
+    return [
+      now.getFullYear(),
+      String(now.getMonth() + 1).padStart(2, "0"),
+      String(now.getDate()).padStart(2, "0"),
+    ].join("-");
+  }
+
+  // ISO 8601: the week belongs to the year its Thursday is in.
+  const thursday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  thursday.setDate(thursday.getDate() + 3 - ((thursday.getDay() + 6) % 7));
+  const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+  const week =
+    1 +
+    Math.round(
+      ((thursday - firstThursday) / 86400000 -
+        3 +
+        ((firstThursday.getDay() + 6) % 7)) /
+        7,
+    );
+  return `${thursday.getFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Whether a digest on this schedule may go out now. Not whether it has: the
+ * claim decides that.
+ *
+ * @param {string} schedule - "daily" or "weekly"
+ * @param {number} hour - 0-23
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isDigestDue(schedule, hour, now) {
+  if (schedule === "daily") return now.getHours() >= hour;
+  if (schedule === "weekly") {
+    // Monday before the hour is the only part of the week it is not due.
+    return now.getDay() !== 1 || now.getHours() >= hour;
+  }
+  return false;
+}
+
+/**
+ * Send whichever digests are due and not yet sent for their period.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{admin: number|null, watchlist: number|null}>} How many
+ *   emails each queued, or null when it was not sent this time
+ */
+export async function runDigests(now = new Date()) {
+  if (!(await isMailConfigured())) {
+    return { admin: null, watchlist: null };
+  }
+
+  const { schedule, hour } = await readDigestSettings();
+
+  const admin =
+    schedule !== "off" && isDigestDue(schedule, hour, now)
+      ? await sendAdminDigest(schedule, now)
+      : null;
+  const watchlist = isDigestDue("weekly", hour, now)
+    ? await sendWatchlistDigests(now)
+    : null;
+
+  return { admin, watchlist };
+}
+
+async function sendAdminDigest(schedule, now) {
+  const period = digestPeriod(schedule, now);
+  if (!(await claim("admin", period))) return null;
+
+  const pending = await query(
+    `SELECT r.id, r.title, r.user_name, r.created_at,
+            COUNT(s.user_id)::int AS supporter_count,
+            COUNT(*) OVER ()::int AS total
+       FROM ggr_game_requests r
+       LEFT JOIN ggr_request_supporters s ON s.request_id = r.id
+      WHERE r.status = 'pending'
+      GROUP BY r.id
+      ORDER BY r.created_at ASC
+      LIMIT $1`,
+    [ADMIN_DIGEST_LIMIT],
+  );
+  // Nothing waiting is nothing to say. The period stays claimed, so a request
+  // arriving this afternoon does not set off a digest at an odd hour.
+  if (pending.rows.length === 0) return 0;
+
+  const approvers = await query(
+    `SELECT u.id, u.email
+       FROM ggr_users u
+      WHERE u.is_active = TRUE
+        AND (u.is_admin = TRUE OR EXISTS (
+              SELECT 1
+                FROM ggr_user_roles ur
+                JOIN ggr_roles r ON r.id = ur.role_id
+                JOIN ggr_role_permissions rp ON rp.role_id = r.id
+                JOIN ggr_permissions p ON p.id = rp.permission_id
+               WHERE ur.user_id = u.id
+                 AND ur.is_active = TRUE
+                 AND r.is_active = TRUE
+                 AND p.is_active = TRUE
+                 AND p.name IN ('request.approve', 'admin.*')
+            ))`,
+  );
+
+  const email = renderAdminDigest({
+    requests: pending.rows,
+    total: pending.rows[0].total,
+    period: schedule,
+    siteUrl: siteUrl(),
+    now,
+  });
+
+  const sent = await queueEach(
+    approvers.rows.map(({ email: to }) => ({
+      to,
+      event: "digest.admin",
+      ...email,
+    })),
+  );
+  await recordRecipients("admin", period, sent);
+  return sent;
+}
+
+async function sendWatchlistDigests(now) {
+  const period = digestPeriod("weekly", now);
+  if (!(await claim("watchlist", period))) return null;
+
+  const since = new Date(now.getTime() - WATCHLIST_WINDOW_MS);
+  const result = await query(
+    `SELECT u.id AS user_id, u.email,
+            COALESCE(u.name, u.preferred_username, u.username) AS user_name,
+            e.igdb_id, e.name, e.platform_name
+       FROM ggr_user_notification_settings ns
+       JOIN ggr_users u ON u.id = ns.user_id AND u.is_active = TRUE
+       JOIN ggr_user_watchlist w ON w.user_id = ns.user_id::text
+       JOIN ggr_library_entries e
+         ON e.igdb_id = w.igdb_id
+        AND e.removed_at IS NULL
+        AND COALESCE(e.added_at, e.first_seen_at) >= $1
+      WHERE ns.watchlist_digest = TRUE
+      ORDER BY u.id, COALESCE(e.added_at, e.first_seen_at) DESC`,
+    [since],
+  );
+
+  // One entry per game, whatever number of platforms it arrived on.
+  const byUser = new Map();
+  for (const row of result.rows) {
+    if (!byUser.has(row.user_id)) {
+      byUser.set(row.user_id, {
+        email: row.email,
+        name: row.user_name,
+        games: new Map(),
+      });
+    }
+    const games = byUser.get(row.user_id).games;
+    if (!games.has(row.igdb_id)) {
+      games.set(row.igdb_id, {
+        igdb_id: row.igdb_id,
+        name: row.name,
+        platforms: [],
+      });
+    }
+    const platforms = games.get(row.igdb_id).platforms;
+    if (row.platform_name && !platforms.includes(row.platform_name)) {
+      platforms.push(row.platform_name);
+    }
+  }
+
+  const site = siteUrl();
+  const sent = await queueEach(
+    [...byUser.values()].map((user) => ({
+      to: user.email,
+      event: "digest.watchlist",
+      ...renderWatchlistDigest({
+        recipientName: user.name,
+        games: [...user.games.values()],
+        siteUrl: site,
+      }),
+    })),
+  );
+  await recordRecipients("watchlist", period, sent);
+  return sent;
+}
+
+/** Queue each email; one bad address is logged and the rest still go. */
+async function queueEach(emails) {
+  let sent = 0;
+  for (const email of emails) {
+    try {
+      await queueEmail(email);
+      sent += 1;
+    } catch (error) {
+      console.error(`❌ Failed to queue ${email.event} email:`, error.message);
+    }
+  }
+  return sent;
+}
+
+/** Whether this worker is the one to send a digest for a period. */
+async function claim(kind, period) {
+  const result = await query(
+    `INSERT INTO ggr_email_digest_runs (kind, period)
+     VALUES ($1, $2)
+     ON CONFLICT (kind, period) DO NOTHING
+     RETURNING kind`,
+    [kind, period],
+  );
+  return result.rows.length > 0;
+}
+
+async function recordRecipients(kind, period, recipients) {
+  await query(
+    `UPDATE ggr_email_digest_runs
+        SET recipients = $3
+      WHERE kind = $1 AND period = $2`,
+    [kind, period, recipients],
+  );
+}
+
+async function readDigestSettings() {
+  const result = await query(
+    `SELECT key, value FROM ggr_system_settings
+      WHERE key IN ('email.admin_digest', 'email.digest_hour')`,
+  );
+  const values = Object.fromEntries(
+    result.rows.map(({ key, value }) => [key, value]),
+  );
+
+  const hour = Number.parseInt(values["email.digest_hour"], 10);
+  return {
+    schedule: ADMIN_DIGEST_SCHEDULES.includes(values["email.admin_digest"])
+      ? values["email.admin_digest"]
+      : "off",
+    hour:
+      Number.isInteger(hour) && hour >= 0 && hour <= 23
+        ? hour
+        : DEFAULT_DIGEST_HOUR,
+  };
+}
@@ -1,139 +1,55 @@
 /**
- * Gotify notification utilities
- * Handles sending push notifications via Gotify server
+ * Admin notifications
+ *
+ * Builds the notification for each thing that happens to a request and hands
+ * it to the notifiers (see notifiers/), which send it to Gotify, Discord,
+ * Slack, Matrix and ntfy -- whichever are configured. The module is named for
+ * Gotify because Gotify was once the only way out.
+ *
+ * Messages are written as Gotify markdown; each notifier translates them for
+ * its service. Passing the request's `igdb_id` gets the game's cover onto the
+ * services that can show one.
  */
 
-import { query } from "$lib/database.js";
-import { env } from "$env/dynamic/private";
-
-// Use dynamic environment variables for runtime configuration
-const GOTIFY_URL =
-  env.GOTIFY_URL || process.env.GOTIFY_URL || process.env.VITE_GOTIFY_URL;
-const GOTIFY_TOKEN =
-  env.GOTIFY_TOKEN || process.env.GOTIFY_TOKEN || process.env.VITE_GOTIFY_TOKEN;
+import { queueNotification } from "$lib/notifiers/index.js";
 
 /**
- * Send a notification via Gotify
+ * Send a notification to every configured notifier
+ *
+ * Queued, not sent: each notifier gets a delivery in deliveryQueue.server.js,
+ * which retries a service that is down. So `true` means "queued somewhere",
+ * and an outage shows in the admin delivery log instead of vanishing into the
+ * server log.
+ *
  * @param {Object} notification - Notification data
  * @param {string} notification.title - Notification title
  * @param {string} notification.message - Notification message
  * @param {number} [notification.priority=2] - Notification priority (1-10)
  * @param {Object} [notification.extras] - Additional notification data
- * @param {string} [notification.type] - Notification type for filtering (new_requests, status_changes, admin_actions)
- * @returns {Promise<boolean>} - Success status
+ * @param {string} [notification.type] - Notification type for filtering (new_requests, status_changes, admin_actions, comments)
+ * @param {string|number|null} [notification.igdb_id] - The game, for its cover art
+ * @returns {Promise<boolean>} - Whether the notification was queued
  */
-export async function sendGotifyNotification({
+export async function sendNotification({
   title,
   message,
   priority = 2,
   extras = {},
   type = null,
+  igdb_id = null,
 }) {
   try {
-    let gotifyUrl = null;
-    let gotifyToken = null;
-
-    // First, check environment variables (highest priority)
-    if (GOTIFY_URL && GOTIFY_TOKEN) {
-      gotifyUrl = GOTIFY_URL;
-      gotifyToken = GOTIFY_TOKEN;
-    } else {
-      // Fallback to database settings
-
-      const settingsKeys = ["gotify.url", "gotify.token"];
-      if (type) {
-        settingsKeys.push(`gotify.notifications.${type}`);
-      }
-
-      const settingsResult = await query(
-        "SELECT key, value FROM ggr_system_settings WHERE key = ANY($1)",
-        [settingsKeys],
-      );
-
-      const settings = {};
-      settingsResult.rows.forEach((row) => {
-        settings[row.key] = row.value;
-      });
-
-      gotifyUrl = settings["gotify.url"];
-      gotifyToken = settings["gotify.token"];
-
-      // Check if basic Gotify is configured
-      if (!gotifyUrl || !gotifyToken) {
-        console.warn(
-          "⚠️ Gotify not configured in environment or database - skipping notification",
-        );
-        return false;
-      }
-
-      // Check if this notification type is enabled (if type is specified)
-      if (type) {
-        const typeSettingKey = `gotify.notifications.${type}`;
-        const typeEnabled = settings[typeSettingKey];
-
-        // Default to true if setting doesn't exist (for backward compatibility)
-        // But if it exists and is 'false', skip the notification
-        if (typeEnabled === "false") {
-          return false;
-        }
-      }
-    }
-
-    if (!gotifyUrl || !gotifyToken) {
-      console.warn("⚠️ Gotify URL or token missing - skipping notification");
-      return false;
-    }
-
-    // Validate URL format
-    let parsedUrl;
-    try {
-      parsedUrl = new URL(gotifyUrl);
-      if (!["http:", "https:"].includes(parsedUrl.protocol)) {
-        throw new Error("Invalid protocol");
-      }
-    } catch (error) {
-      console.error("❌ Invalid Gotify URL format:", gotifyUrl);
-      return false;
-    }
-
-    // Prepare notification payload
-    const notificationPayload = {
+    const queued = await queueNotification({
       title,
       message,
-      priority: Math.max(1, Math.min(10, priority)), // Clamp between 1-10
-      extras: {
-        "client::display": {
-          contentType: "text/markdown",
-        },
-        ...extras,
-      },
-    };
-
-    // Send notification
-    const notificationUrl = `${parsedUrl.toString().replace(/\/$/, "")}/message?token=${gotifyToken}`;
-
-    const response = await fetch(notificationUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(notificationPayload),
-      // Add timeout to prevent hanging
-      signal: AbortSignal.timeout(5000), // 5 second timeout
+      priority,
+      extras,
+      type,
+      igdb_id,
     });
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => "Unknown error");
-      throw new Error(
-        `Gotify API error: ${response.status} ${response.statusText} - ${errorText}`,
-      );
-    }
-
-    const result = await response.json();
-
-    return true;
+    return queued > 0;
   } catch (error) {
-    console.error("❌ Failed to send Gotify notification:", error);
+    console.error("❌ Failed to queue notification:", error);
 
     // Don't throw the error - just log it and return false
     // Notifications should not break the main functionality
@@ -150,6 +66,7 @@ export async function sendGotifyNotification({
  * @param {string} request.priority - Request priority
  * @param {string} request.user_name - User who submitted the request
  * @param {string} [request.description] - Request description
+ * @param {string|number|null} [request.igdb_id] - The game, for its cover art
  * @returns {Promise<boolean>} - Success status
  */
 export async function sendNewRequestNotification({
@@ -159,6 +76,7 @@ export async function sendNewRequestNotification({
   priority,
   user_name,
   description = "",
+  igdb_id = null,
 }) {
   const requestTypeLabels = {
     game: "🎮 New Game Request",
@@ -207,11 +125,12 @@ export async function sendNewRequestNotification({
       break;
   }
 
-  return await sendGotifyNotification({
+  return await sendNotification({
     title: requestTitle,
     message,
     priority: gotifyPriority,
     type: "new_requests",
+    igdb_id,
     extras: {
       game_request: {
         id,
@@ -233,6 +152,8 @@ export async function sendNewRequestNotification({
  * @param {string} request.new_status - New status
  * @param {string} request.user_name - User who submitted the request
  * @param {string} [request.admin_notes] - Admin notes
+ * @param {string[]} [request.supporters] - Names of users backing the request
+ * @param {string|number|null} [request.igdb_id] - The game, for its cover art
  * @returns {Promise<boolean>} - Success status
  */
 export async function sendRequestStatusNotification({
@@ -242,18 +163,24 @@ export async function sendRequestStatusNotification({
   new_status,
   user_name,
   admin_notes = "",
+  supporters = [],
+  igdb_id = null,
 }) {
   const statusEmojis = {
+    awaiting_release: "📅",
     pending: "⏳",
     approved: "✅",
+    in_progress: "⬇️",
     rejected: "❌",
     fulfilled: "🎉",
     cancelled: "🚫",
   };
 
   const statusLabels = {
+    awaiting_release: "Awaiting Release",
     pending: "Pending Review",
     approved: "Approved",
+    in_progress: "In Progress",
     rejected: "Rejected",
     fulfilled: "Fulfilled",
     cancelled: "Cancelled",
@@ -272,6 +199,10 @@ export async function sendRequestStatusNotification({
     `**Status Change:** ${oldStatusEmoji} ${oldStatusLabel} → ${newStatusEmoji} ${newStatusLabel}`,
   ];
 
+  if (supporters.length > 0) {
+    messageLines.push(`**Supporters:** ${supporters.join(", ")}`);
+  }
+
   if (admin_notes && admin_notes.trim()) {
     messageLines.push(`**Admin Notes:** ${admin_notes.trim()}`);
   }
@@ -292,6 +223,9 @@ export async function sendRequestStatusNotification({
     case "rejected":
       gotifyPriority = 4;
       break;
+    case "in_progress":
+      gotifyPriority = 3;
+      break;
     case "cancelled":
       gotifyPriority = 3;
       break;
@@ -299,11 +233,12 @@ export async function sendRequestStatusNotification({
       gotifyPriority = 4;
   }
 
-  return await sendGotifyNotification({
+  return await sendNotification({
     title: requestTitle,
     message,
     priority: gotifyPriority,
     type: "status_changes",
+    igdb_id,
     extras: {
       request_status_change: {
         id,
@@ -311,6 +246,7 @@ export async function sendRequestStatusNotification({
         old_status,
         new_status,
         user_name,
+        supporters,
       },
     },
   });
@@ -324,8 +260,8 @@ export async function sendRequestStatusNotification({
  * 100 pushes and 100 settings reads. The per-row notification remains the right
  * shape for a single-row action, where the reader wants the detail.
  *
- * Unlike the version this replaces, it goes through sendGotifyNotification, so
- * it honours GOTIFY_URL/GOTIFY_TOKEN from the environment as well as the
+ * Unlike the version this replaces, it goes through sendNotification, so it
+ * honours GOTIFY_URL/GOTIFY_TOKEN from the environment as well as the
  * database settings, and respects the status_changes notification toggle.
  *
  * @param {Object} update - Bulk update data
@@ -341,10 +277,12 @@ export async function sendBulkRequestStatusNotification({
 }) {
   const statusMessages = {
     approved: "✅ Approved",
+    in_progress: "⬇️ In Progress",
     rejected: "❌ Rejected",
     fulfilled: "🎮 Fulfilled",
     cancelled: "🚫 Cancelled",
     pending: "⏳ Pending Review",
+    awaiting_release: "📅 Awaiting Release",
   };
 
   const statusPriorities = {
@@ -372,7 +310,7 @@ export async function sendBulkRequestStatusNotification({
     messageLines.push("", `**By:** ${actor}`);
   }
 
-  return await sendGotifyNotification({
+  return await sendNotification({
     title: `Bulk Request Update: ${summary}`,
     message: messageLines.join("\n"),
     priority: statusPriorities[status] ?? 2,
@@ -413,7 +351,7 @@ export async function sendAdminActionNotification({
 
   const finalMessage = messageLines.join("\n");
 
-  return await sendGotifyNotification({
+  return await sendNotification({
     title: notificationTitle,
     message: finalMessage,
     priority: priority,
@@ -428,6 +366,115 @@ export async function sendAdminActionNotification({
   });
 }
 
+/**
+ * Send a notification about a new comment on a request
+ *
+ * Respects its own `comments` toggle rather than borrowing `status_changes`: a
+ * busy thread is a different volume of pushes from a status change, and an
+ * admin may well want one without the other.
+ *
+ * @param {Object} comment - Comment data
+ * @param {string} comment.id - Request ID
+ * @param {string} comment.title - Game title
+ * @param {string} comment.user_name - User who submitted the request
+ * @param {string} comment.author_name - Who wrote the comment
+ * @param {string} comment.body - The comment text
+ * @param {boolean} [comment.internal=false] - Whether the comment is staff-only
+ * @param {string|number|null} [comment.igdb_id] - The game, for its cover art
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function sendRequestCommentNotification({
+  id,
+  title,
+  user_name,
+  author_name,
+  body,
+  internal = false,
+  igdb_id = null,
+}) {
+  const notificationTitle = internal
+    ? "🔒 Internal Comment on Request"
+    : "💬 New Comment on Request";
+
+  const messageLines = [
+    `**Game:** ${title}`,
+    `**User:** ${user_name}`,
+    `**From:** ${author_name}`,
+    `**Comment:** ${body.trim()}`,
+    `**Request ID:** ${id}`,
+  ];
+
+  return await sendNotification({
+    title: notificationTitle,
+    message: messageLines.join("\n"),
+    priority: 4,
+    type: "comments",
+    igdb_id,
+    extras: {
+      request_comment: {
+        id,
+        title,
+        user_name,
+        author_name,
+        internal,
+      },
+    },
+  });
+}
+
+/**
+ * Send a notification that the download pipeline gave up on a request.
+ *
+ * A failed download leaves the request in_progress, so no status change
+ * announces it; without this an admin would only find out by opening the
+ * request. Sent once per failure, not for every repeat of the same callback.
+ *
+ * @param {Object} failure - Failure data
+ * @param {string} failure.id - Request ID
+ * @param {string} failure.title - Game title
+ * @param {string} failure.user_name - User who submitted the request
+ * @param {string} [failure.reason] - What the pipeline said went wrong
+ * @param {number|null} [failure.percent] - How far it got
+ * @param {string|number|null} [failure.igdb_id] - The game, for its cover art
+ * @returns {Promise<boolean>} - Success status
+ */
+export async function sendRequestDownloadFailedNotification({
+  id,
+  title,
+  user_name,
+  reason = "",
+  percent = null,
+  igdb_id = null,
+}) {
+  const messageLines = [`**Game:** ${title}`, `**User:** ${user_name}`];
+
+  if (reason && reason.trim()) {
+    messageLines.push(`**Reason:** ${reason.trim()}`);
+  }
+  if (percent != null) {
+    messageLines.push(`**Progress:** ${percent}%`);
+  }
+
+  messageLines.push(`**Request ID:** ${id}`);
+
+  return await sendNotification({
+    title: "⚠️ Download Failed",
+    message: messageLines.join("\n"),
+    priority: 6,
+    type: "status_changes",
+    igdb_id,
+    extras: {
+      request_download_failed: {
+        id,
+        title,
+        user_name,
+        reason,
+        percent,
+      },
+    },
+  });
+}
+
 /**
  * Send a notification specifically for cancelled/deleted requests
  * @param {Object} request - Request data
@@ -437,6 +484,8 @@ export async function sendAdminActionNotification({
  * @param {string} request.action - Action type ('cancelled' or 'deleted')
  * @param {string} [request.reason] - Reason for cancellation/deletion
  * @param {string} [request.admin_name] - Name of admin who performed action
+ * @param {string[]} [request.supporters] - Names of users backing the request
+ * @param {string|number|null} [request.igdb_id] - The game, for its cover art
  * @returns {Promise<boolean>} - Success status
  */
 export async function sendRequestCancelledDeletedNotification({
@@ -446,6 +495,8 @@ export async function sendRequestCancelledDeletedNotification({
   action, // 'cancelled' or 'deleted'
   reason = "",
   admin_name = "Admin",
+  supporters = [],
+  igdb_id = null,
 }) {
   const actionEmoji = action === "deleted" ? "🗑️" : "🚫";
   const actionLabel = action === "deleted" ? "Deleted" : "Cancelled";
@@ -458,6 +509,10 @@ export async function sendRequestCancelledDeletedNotification({
     `**Action:** Request has been ${action}`,
   ];
 
+  if (supporters.length > 0) {
+    messageLines.push(`**Supporters:** ${supporters.join(", ")}`);
+  }
+
   if (reason && reason.trim()) {
     messageLines.push(`**Reason:** ${reason.trim()}`);
   }
@@ -470,11 +525,12 @@ export async function sendRequestCancelledDeletedNotification({
   // Higher priority for deletions, medium for cancellations
   const gotifyPriority = action === "deleted" ? 6 : 4;
 
-  return await sendGotifyNotification({
+  return await sendNotification({
     title: notificationTitle,
     message,
     priority: gotifyPriority,
     type: "admin_actions",
+    igdb_id,
     extras: {
       request_cancelled_deleted: {
         id,
@@ -483,6 +539,7 @@ export async function sendRequestCancelledDeletedNotification({
         action,
         reason,
         admin_name,
+        supporters,
       },
     },
   });
@@ -169,6 +169,38 @@ export async function searchGamesByTitle(title, limit = 10) {
   }
 }
 
+/**
+ * Search for games by title, for matching rather than showing: only what a
+ * match is decided on (name, year, platforms, cover), without resolving age
+ * ratings, which costs a request per game.
+ *
+ * Unlike searchGamesByTitle this throws when IGDB does, so a caller working
+ * through a backlog can tell "nothing found" from "not asked" and try again
+ * later instead of recording a miss.
+ *
+ * @param {string} title - Game title to search
+ * @param {number} limit - Number of results to return
+ * @returns {Promise<Array>} - Array of game objects, formatted as by formatGameData
+ */
+export async function searchGameCandidates(title, limit = 10) {
+  if (browser) {
+    throw new Error(
+      "IGDB functions cannot be used in browser - use API routes instead",
+    );
+  }
+  // The search string is quoted in the query, so a quote in the title would
+  // end it early.
+  const search = String(title ?? "").replace(/["\\]/g, " ");
+  const query = `
+    fields id, name, slug, first_release_date, cover.url, platforms.name;
+    search "${search}";
+    limit ${limit};
+  `;
+
+  const games = await igdbRequest("games", query);
+  return games.map((game) => formatGameData(game));
+}
+
 /**
  * Get game details by IGDB ID
  * @param {number} igdbId - IGDB game ID
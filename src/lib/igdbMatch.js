@@ -0,0 +1,65 @@
+/**
+ * Deciding which IGDB game a bare title means.
+ *
+ * Titles arrive without an IGDB id from more than one place -- an imported
+ * spreadsheet (requestExchange.server.js), a library entry its backend left
+ * unmatched (library/matching.js) -- and each looks them up on IGDB.
+ * What comes back is IGDB's idea of relevant, which is generous: "Okami" finds
+ * Okamiden. So the results are scored against the title here, and only an
+ * answer nobody would argue with is taken without asking.
+ */
+
+import { titleSimilarity } from "$lib/utils.js";
+
+// How alike an IGDB title must be to be taken without asking, and to be
+// offered at all. As for the duplicates panel, numbered sequels never match
+// each other (utils.js titleSimilarity).
+const MATCH_THRESHOLD = 0.85;
+const CANDIDATE_THRESHOLD = 0.5;
+const CANDIDATE_LIMIT = 5;
+
+/**
+ * Whether a search found the title's game: one close title -- or one exact
+ * one among close ones -- is a match; several, or only loose ones, are
+ * ambiguous and left to a person; nothing like it is unmatched.
+ *
+ * @param {string} title - The title as it was given
+ * @param {Object[]} games - searchGameCandidates's results
+ * @returns {{match: "matched"|"ambiguous"|"unmatched", igdb_id: string|null,
+ *   candidates: Array<{igdb_id: string, title: string, year: number|null,
+ *   score: number}>}} Candidates best first, at most five
+ */
+export function classifyMatch(title, games) {
+  const candidates = (games ?? [])
+    .map((game) => ({
+      igdb_id: String(game.igdb_id ?? game.id),
+      title: game.title,
+      year: game.release_date
+        ? new Date(game.release_date).getUTCFullYear()
+        : null,
+      score: Math.round(titleSimilarity(title, game.title) * 100) / 100,
+    }))
+    .filter((candidate) => candidate.score >= CANDIDATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CANDIDATE_LIMIT);
+
+  const exact = candidates.filter((candidate) => candidate.score === 1);
+  const close = candidates.filter(
+    (candidate) => candidate.score >= MATCH_THRESHOLD,
+  );
+  const match =
+    exact.length === 1
+      ? exact[0]
+      : exact.length === 0 && close.length === 1
+        ? close[0]
+        : null;
+
+  if (match) {
+    return { match: "matched", igdb_id: match.igdb_id, candidates };
+  }
+  return {
+    match: candidates.length > 0 ? "ambiguous" : "unmatched",
+    igdb_id: null,
+    candidates,
+  };
+}
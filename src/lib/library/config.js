@@ -4,12 +4,39 @@
  * LIBRARY_* is the documented name. ROMM_* is honoured as a fallback so an
  * existing install upgrades without touching its configuration -- the same
  * trade REQUEST_WEBHOOK_URL made with N8N_WEBHOOK_URL.
+ *
+ * More than one library is LIBRARIES=romm,gaseous, each reading its own
+ * LIBRARY_<KIND>_* settings. The first is the primary and keeps the unprefixed
+ * names, so a single-library install is the one-item case of the same thing.
  */
 
+import path from "node:path";
 import { env } from "$env/dynamic/private";
 
 /** Backends this build knows how to talk to. */
-export const LIBRARY_KINDS = Object.freeze(["romm", "gaseous", "retrom"]);
+export const LIBRARY_KINDS = Object.freeze([
+  "romm",
+  "gaseous",
+  "retrom",
+  "filesystem",
+]);
+
+/** Entries the matching stage takes on after each completed pass. */
+const DEFAULT_MATCH_BATCH = 50;
+
+/**
+ * Pause between two matching searches. Longer than igdbRequest's own 100ms
+ * floor, since the stage runs in the background and a person searching the
+ * site at the same time shares IGDB's four-a-second allowance with it.
+ */
+const DEFAULT_MATCH_INTERVAL_MS = 500;
+
+/**
+ * Score a match needs to be used without review. Above classifyMatch's own
+ * 0.85 for "matched": a wrong id in a request form is corrected by its
+ * submitter, a wrong one here quietly tells everyone a game is owned.
+ */
+const DEFAULT_MATCH_MIN_CONFIDENCE = 0.9;
 
 /** How often the index sync runs, when it is enabled at all. */
 const DEFAULT_SYNC_INTERVAL_MS = 900000;
@@ -92,43 +119,183 @@ function readRatio(name, fallback) {
 }
 
 /**
- * Resolve the library configuration.
+ * A comma-separated list, trimmed, without empty items.
  *
- * Deliberately no timeout setting here. LIBRARY_CHECK_TIMEOUT_MS was resolved
- * and consumed by nothing: the setup check hardcodes its own 10s, this
- * defaulted to 5s, and the declared ROMM_CHECK_TIMEOUT_MS fallback had never
- * existed anywhere. Wiring it in would have changed a timeout nobody asked to
- * change, so it is gone until something genuinely reads it.
+ * @param {string} name - Environment variable name
+ * @returns {string[]}
+ */
+function readList(name) {
+  return (read(name) ?? "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Folder name to platform name, from `folder=Platform Name` pairs.
  *
- * @returns {{kind: string, url: string|undefined, publicUrl: string|undefined,
- *   apiToken: string|undefined, username: string|undefined,
- *   password: string|undefined, syncEnabled: boolean,
- *   syncIntervalMs: number, syncBatchSize: number,
- *   syncMaxSweepRatio: number}}
- * @throws {Error} When LIBRARY_KIND names a backend this build does not have
+ * Keys are lower-cased, because a folder called `SNES` and one called `snes`
+ * are the same platform to whoever named them. A pair without an `=` is
+ * warned about and dropped rather than guessed at.
+ *
+ * @param {string} name - Environment variable name
+ * @returns {Object<string, string>}
  */
-export function resolveLibraryConfig() {
-  const kind = (read("LIBRARY_KIND") || "romm").trim().toLowerCase();
+function readPlatformMap(name) {
+  const map = {};
+  for (const pair of readList(name)) {
+    const split = pair.indexOf("=");
+    const folder = split > 0 ? pair.slice(0, split).trim().toLowerCase() : "";
+    const platform = split > 0 ? pair.slice(split + 1).trim() : "";
+    if (!folder || !platform) {
+      console.warn(
+        `⚠️ ${name}: ${JSON.stringify(pair)} is not folder=Platform Name; ignored`,
+      );
+      continue;
+    }
+    map[folder] = platform;
+  }
+  return map;
+}
+
+/**
+ * The filesystem backend's roots, from `path` or `path=Platform Name` items.
+ *
+ * A root with a platform is that platform's directory, and everything in it is
+ * a game. A root without one holds a folder per platform. A relative path is
+ * warned about and dropped: it would be relative to wherever the server
+ * happened to start, which in a container is nowhere anyone chose.
+ *
+ * @param {string} name - Environment variable name
+ * @returns {Array<{path: string, platform: string|null}>}
+ */
+function readRoots(name) {
+  const roots = [];
+  for (const item of readList(name)) {
+    const split = item.indexOf("=");
+    const dir = (split > 0 ? item.slice(0, split) : item).trim();
+    const platform = split > 0 ? item.slice(split + 1).trim() : "";
+    if (!path.isAbsolute(dir)) {
+      console.warn(
+        `⚠️ ${name}: ${JSON.stringify(dir)} is not an absolute path; ignored`,
+      );
+      continue;
+    }
+    roots.push({ path: path.resolve(dir), platform: platform || null });
+  }
+  return roots;
+}
+
+/**
+ * Every setting name a library's value may come from, most specific first.
+ *
+ * A library's own `LIBRARY_<KIND>_*` name always comes first, so a second
+ * library can be added without touching the first one's settings. The
+ * unprefixed `LIBRARY_*` name is the primary library's alone -- read for every
+ * library, one LIBRARY_URL would point RomM and Gaseous at the same server.
+ * The ROMM_* names are RomM's whichever position it has, and the primary's as
+ * well, since that is what they have always been read for.
+ *
+ * @param {string} kind - Library kind
+ * @param {boolean} primary - Whether this is the first configured library
+ * @param {string} setting - Setting name without the LIBRARY_ prefix
+ * @param {string} [alias] - The ROMM_* name this setting used to have
+ * @returns {string[]}
+ */
+function settingNames(kind, primary, setting, alias) {
+  const names = [`LIBRARY_${kind.toUpperCase()}_${setting}`];
+  if (primary) names.push(`LIBRARY_${setting}`);
+  if (alias && (primary || kind === "romm")) names.push(alias);
+  return names;
+}
+
+/**
+ * A positive-integer or ratio setting from the first of `names` that is set,
+ * so a warning names the variable the operator actually wrote.
+ *
+ * @param {(name: string, fallback: number) => number} reader - readPositiveInt
+ *   or readRatio
+ * @param {string[]} names - Environment variable names, most specific first
+ * @param {number} fallback - Value to use when none is set or usable
+ * @returns {number}
+ */
+function readFirst(reader, names, fallback) {
+  const name = names.find((candidate) => read(candidate) !== undefined);
+  return name === undefined ? fallback : reader(name, fallback);
+}
 
+/** A kind from the environment, or a refusal naming what was accepted. */
+function parseKind(raw, name) {
+  const kind = raw.trim().toLowerCase();
   if (!LIBRARY_KINDS.includes(kind)) {
     // Refused rather than defaulted: silently ignoring a typo here means the
     // operator believes they are talking to Gaseous and are not.
     throw new Error(
-      `unknown LIBRARY_KIND ${JSON.stringify(kind)}; expected one of ${LIBRARY_KINDS.join(", ")}`,
+      `unknown ${name} ${JSON.stringify(kind)}; expected one of ${LIBRARY_KINDS.join(", ")}`,
     );
   }
+  return kind;
+}
 
-  const url = read("LIBRARY_URL", "ROMM_SERVER_URL");
+/**
+ * The kinds configured, primary first.
+ *
+ * LIBRARIES lists them when there is more than one. Without it the single
+ * LIBRARY_KIND is the whole list, which is every install from before there
+ * could be more. A kind listed twice is refused: the index is keyed by kind,
+ * so two of them would be one library synced twice with two configurations.
+ *
+ * @returns {string[]}
+ * @throws {Error} For an unknown or repeated kind
+ */
+function configuredKinds() {
+  const listed = readList("LIBRARIES").map((item) =>
+    parseKind(item, "kind in LIBRARIES"),
+  );
+  if (listed.length === 0) {
+    return [parseKind(read("LIBRARY_KIND") || "romm", "LIBRARY_KIND")];
+  }
+
+  const repeated = listed.find((kind, index) => listed.indexOf(kind) !== index);
+  if (repeated) {
+    throw new Error(
+      `LIBRARIES lists ${JSON.stringify(repeated)} twice; each backend can be configured once`,
+    );
+  }
+  return listed;
+}
+
+/**
+ * One library's configuration.
+ *
+ * Deliberately no timeout setting here. LIBRARY_CHECK_TIMEOUT_MS was resolved
+ * and consumed by nothing: the setup check hardcodes its own 10s, this
+ * defaulted to 5s, and the declared ROMM_CHECK_TIMEOUT_MS fallback had never
+ * existed anywhere. Wiring it in would have changed a timeout nobody asked to
+ * change, so it is gone until something genuinely reads it.
+ *
+ * @param {string} kind - Library kind
+ * @param {boolean} primary - Whether this is the first configured library
+ * @returns {Object} - See resolveLibraryConfig
+ */
+function libraryConfig(kind, primary) {
+  const names = (setting, alias) => settingNames(kind, primary, setting, alias);
+  const syncNames = (setting) => [
+    `LIBRARY_${kind.toUpperCase()}_${setting}`,
+    `LIBRARY_${setting}`,
+  ];
+  const url = read(...names("URL", "ROMM_SERVER_URL"));
 
   return {
     kind,
+    primary,
     url,
     // A split network -- Kubernetes, or any internal service address -- needs a
     // separate URL for the browser. Falls back to the internal one.
-    publicUrl: read("LIBRARY_PUBLIC_URL", "ROMM_SERVER_URL_PUBLIC") || url,
-    apiToken: read("LIBRARY_API_TOKEN", "ROMM_API_TOKEN"),
-    username: read("LIBRARY_USERNAME", "ROMM_USERNAME"),
-    password: read("LIBRARY_PASSWORD", "ROMM_PASSWORD"),
+    publicUrl: read(...names("PUBLIC_URL", "ROMM_SERVER_URL_PUBLIC")) || url,
+    apiToken: read(...names("API_TOKEN", "ROMM_API_TOKEN")),
+    username: read(...names("USERNAME", "ROMM_USERNAME")),
+    password: read(...names("PASSWORD", "ROMM_PASSWORD")),
 
     // Off unless asked for. Filling the index walks the entire library on a
     // timer, so an existing install must not start doing that because it
@@ -138,14 +305,92 @@ export function resolveLibraryConfig() {
     // Compared against the string, not coerced: any non-empty value is truthy,
     // so LIBRARY_SYNC_ENABLED=false would otherwise enable it.
     syncEnabled: read("LIBRARY_SYNC_ENABLED") === "true",
-    syncIntervalMs: readPositiveInt(
-      "LIBRARY_SYNC_INTERVAL_MS",
+    // Per library, so a RomM walk that takes an hour and a folder of PC
+    // installers that takes a second need not share a timer. The unprefixed
+    // names are every library's default rather than the primary's alone: a
+    // tuning knob pointing two libraries at the same value is harmless.
+    syncIntervalMs: readFirst(
+      readPositiveInt,
+      syncNames("SYNC_INTERVAL_MS"),
       DEFAULT_SYNC_INTERVAL_MS,
     ),
-    syncBatchSize: readPositiveInt("LIBRARY_SYNC_BATCH", DEFAULT_SYNC_BATCH),
-    syncMaxSweepRatio: readRatio(
-      "LIBRARY_SYNC_MAX_SWEEP_RATIO",
+    syncBatchSize: readFirst(
+      readPositiveInt,
+      syncNames("SYNC_BATCH"),
+      DEFAULT_SYNC_BATCH,
+    ),
+    syncMaxSweepRatio: readFirst(
+      readRatio,
+      syncNames("SYNC_MAX_SWEEP_RATIO"),
       DEFAULT_MAX_SWEEP_RATIO,
     ),
+
+    // Off unless asked for, for the same reason as the sync itself: turning it
+    // on closes requests without a person deciding to, and on the first pass
+    // that is every approved request whose game is already in the library. It
+    // does nothing without syncEnabled, since only the sync can see a game
+    // arrive.
+    autoFulfil: read("LIBRARY_AUTO_FULFIL") === "true",
+
+    // Off unless asked for, like the sync: it spends IGDB requests on a
+    // timer. Every library's, since which entries lack an id is a property of
+    // the entries, not of the library (matching.js). The filesystem backend
+    // is the exception: a file carries no id, and without matching nothing it
+    // indexes could be cross-referenced or fulfil a request, so it is on
+    // there unless LIBRARY_MATCH_ENABLED says exactly "false".
+    matchEnabled:
+      kind === "filesystem"
+        ? read("LIBRARY_MATCH_ENABLED") !== "false"
+        : read("LIBRARY_MATCH_ENABLED") === "true",
+    matchBatchSize: readPositiveInt("LIBRARY_MATCH_BATCH", DEFAULT_MATCH_BATCH),
+    matchIntervalMs: readPositiveInt(
+      "LIBRARY_MATCH_INTERVAL_MS",
+      DEFAULT_MATCH_INTERVAL_MS,
+    ),
+    matchMinConfidence: readRatio(
+      "LIBRARY_MATCH_MIN_CONFIDENCE",
+      DEFAULT_MATCH_MIN_CONFIDENCE,
+    ),
+
+    // The filesystem backend's settings; no other backend reads them. Roots
+    // are the directories walked, and platformFolders adds to or overrides
+    // the folder names filesystem.js already knows.
+    roots: readRoots("LIBRARY_FS_ROOTS"),
+    platformFolders: readPlatformMap("LIBRARY_FS_PLATFORMS"),
   };
 }
+
+/**
+ * Resolve every configured library, primary first.
+ *
+ * @returns {Array<Object>} - One resolveLibraryConfig()-shaped object each
+ * @throws {Error} When LIBRARY_KIND or LIBRARIES names a backend this build
+ *   does not have, or LIBRARIES names one twice
+ */
+export function resolveLibraryConfigs() {
+  return configuredKinds().map((kind, index) =>
+    libraryConfig(kind, index === 0),
+  );
+}
+
+/**
+ * Resolve the primary library's configuration.
+ *
+ * The primary is LIBRARY_KIND, or the first of LIBRARIES. It is the library
+ * the RomM-era parts of the app -- the setup check, the cross-reference
+ * badges, the "New in Library" links -- still mean when they say "the
+ * library".
+ *
+ * @returns {{kind: string, primary: boolean, url: string|undefined,
+ *   publicUrl: string|undefined, apiToken: string|undefined,
+ *   username: string|undefined, password: string|undefined,
+ *   syncEnabled: boolean, syncIntervalMs: number, syncBatchSize: number,
+ *   syncMaxSweepRatio: number, autoFulfil: boolean, matchEnabled: boolean,
+ *   matchBatchSize: number, matchIntervalMs: number,
+ *   matchMinConfidence: number, roots: Array<{path: string, platform: string|null}>,
+ *   platformFolders: Object<string, string>}}
+ * @throws {Error} When LIBRARY_KIND names a backend this build does not have
+ */
+export function resolveLibraryConfig() {
+  return resolveLibraryConfigs()[0];
+}
@@ -0,0 +1,186 @@
+/**
+ * One library's sync cycle: the pass, and everything that follows from it.
+ *
+ * The schedule in hooks.server.js runs it on a timer and the admin dashboard
+ * runs it on demand, and both must get the same cycle -- the live progress,
+ * the watchlist alerts, the webhook, the matching stage. A pass started from
+ * the dashboard that skipped those would be a second, quieter kind of sync.
+ */
+
+import { getLibrary } from "$lib/library/index.js";
+import { resolveLibraryConfigs } from "./config.js";
+import { matchUnmatchedEntries } from "./matching.js";
+import { syncLibrary } from "./sync.js";
+import { dispatchLibrarySyncEvent } from "$lib/webhooks.server.js";
+import { ENTRIES_PER_EVENT, publishLiveEvent } from "$lib/liveEvents.server.js";
+import { alertWatchersOfEntries } from "$lib/watchlistAlerts.server.js";
+
+/**
+ * Run one sync pass for one library and, when it completes, what follows.
+ *
+ * @param {Object} config - One of resolveLibraryConfigs()
+ * @param {Object} library - That library's backend
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Ignore the resume point
+ * @param {string} [options.trigger="schedule"] - One of SYNC_TRIGGERS
+ * @param {number|null} [options.requestedBy=null] - The admin who asked
+ * @param {() => void} [options.onStarted] - Told once the pass holds the lock
+ *   and has begun
+ * @returns {Promise<Object>} syncLibrary's result
+ */
+export async function runSyncCycle(
+  config,
+  library,
+  { full = false, trigger = "schedule", requestedBy = null, onStarted } = {},
+) {
+  const result = await syncLibrary({
+    library,
+    batchSize: config.syncBatchSize,
+    maxSweepRatio: config.syncMaxSweepRatio,
+    autoFulfil: config.autoFulfil,
+    full,
+    trigger,
+    requestedBy,
+    onProgress: (progress) => {
+      if (progress.phase === "started") onStarted?.();
+      publishSyncProgress(config.kind, progress);
+      // Not awaited: a watcher's alert must not hold up the next batch.
+      if (progress.firstSeen.length > 0) {
+        alertWatchersOfEntries(progress.firstSeen);
+      }
+    },
+  });
+
+  if (result.completed) {
+    dispatchLibrarySyncEvent(config.kind, result).catch((error) => {
+      console.warn("Failed to dispatch library webhooks:", error.message);
+    });
+    console.log(
+      `📚 Library sync for ${config.kind}: ${result.upserted} indexed, ${result.removed} marked removed` +
+        (result.fulfilled ? `, ${result.fulfilled} requests fulfilled` : "") +
+        (result.resumed ? " (resumed pass, so nothing was swept)" : "") +
+        (result.sweepOverridden ? " (sweep ratio overridden once)" : ""),
+    );
+    if (config.matchEnabled) await matchLibraryEntries(config);
+  }
+
+  return result;
+}
+
+/**
+ * Start a pass for one library now, for the admin dashboard.
+ *
+ * Resolves as soon as the pass has the lock and has begun, or has declined
+ * to run -- never after the walk, which can take an hour. The pass carries on
+ * in the background on this worker, exactly as a scheduled one would.
+ *
+ * Refused while the sync is off: a manual pass would build an index that
+ * every read then trusts, and that nothing keeps current afterwards.
+ *
+ * @param {string} kind - Library kind
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Walk from the start, ignoring the
+ *   resume point
+ * @param {number|null} [options.requestedBy=null] - The admin who asked
+ * @returns {Promise<{started: boolean, reason: string|null}>} reason is
+ *   "locked" while a pass is already running, "disabled", "unknown" for a
+ *   library that is not configured, or why the pass could not start
+ */
+export async function startSyncPass(
+  kind,
+  { full = false, requestedBy = null } = {},
+) {
+  const configs = resolveLibraryConfigs();
+  const config = configs.find((candidate) => candidate.kind === kind);
+  if (!config) return { started: false, reason: "unknown" };
+  if (!configs[0].syncEnabled) return { started: false, reason: "disabled" };
+
+  const library = getLibrary(kind);
+
+  return new Promise((resolve) => {
+    runSyncCycle(config, library, {
+      full,
+      trigger: "manual",
+      requestedBy,
+      onStarted: () => resolve({ started: true, reason: null }),
+    })
+      // A promise settles once, so after onStarted these change nothing;
+      // before it, they are the answer.
+      .then((result) => resolve({ started: result.ran, reason: result.reason }))
+      .catch((error) => {
+        console.error(
+          `❌ Manual library sync for ${kind} failed (non-fatal):`,
+          error?.message,
+        );
+        resolve({ started: false, reason: error?.message ?? "failed" });
+      });
+  });
+}
+
+/**
+ * The matching stage (matching.js), after a completed pass.
+ *
+ * Inside the cycle rather than on a timer of its own: it works on what the
+ * pass just indexed, and a library whose pass is not completing has nothing
+ * new to match. Awaited, so a cycle is not over until its matching is: the
+ * schedule in hooks.server.js skips a tick while the last cycle is still
+ * running, and that only covers the searches because they are part of it --
+ * the pass and the matching take different locks. A failure is logged here,
+ * not as a failed sync: the pass itself succeeded.
+ *
+ * @param {Object} config - One of resolveLibraryConfigs()
+ */
+async function matchLibraryEntries(config) {
+  try {
+    const result = await matchUnmatchedEntries({
+      kind: config.kind,
+      batchSize: config.matchBatchSize,
+      intervalMs: config.matchIntervalMs,
+      minConfidence: config.matchMinConfidence,
+      autoFulfil: config.autoFulfil,
+    });
+    if (result.examined > 0) {
+      console.log(
+        `🔎 Library matching for ${config.kind}: ${result.auto} matched, ` +
+          `${result.suggested} for review, ${result.unmatched} not found` +
+          (result.fulfilled ? `, ${result.fulfilled} requests fulfilled` : ""),
+      );
+    }
+  } catch (error) {
+    console.error(
+      `❌ Library matching for ${config.kind} failed (non-fatal):`,
+      error?.message,
+    );
+  }
+}
+
+/**
+ * Tell the open pages how a sync pass is going, and which games it has just
+ * indexed for the first time -- the latter in chunks, since NOTIFY caps a
+ * payload at 8000 bytes.
+ *
+ * A batch that is mostly new is a bulk import, above all the first pass over
+ * a library, and naming every game in it would be thousands of events nobody
+ * reads. Those are announced by count only, as `first_seen`.
+ */
+const MAX_ENTRIES_ANNOUNCED = 4 * ENTRIES_PER_EVENT;
+
+function publishSyncProgress(kind, { firstSeen, ...counts }) {
+  publishLiveEvent("library.sync_progress", {
+    library_kind: kind,
+    ...counts,
+    first_seen: firstSeen.length,
+  });
+  if (firstSeen.length > MAX_ENTRIES_ANNOUNCED) return;
+
+  for (let i = 0; i < firstSeen.length; i += ENTRIES_PER_EVENT) {
+    publishLiveEvent("library.entry_added", {
+      library_kind: kind,
+      entries: firstSeen.slice(i, i + ENTRIES_PER_EVENT).map((entry) => ({
+        igdb_id: entry.igdb_id,
+        name: entry.name,
+        platform_name: entry.platform_name ?? null,
+      })),
+    });
+  }
+}
@@ -0,0 +1,535 @@
+/**
+ * A directory tree as a library backend.
+ *
+ * For the library that is a disk rather than a server: ROMs and installers in
+ * folders, with nothing running in front of them. There is no API to
+ * translate, so this backend walks the tree itself and works out what the
+ * other backends are told -- the platform from the folder a game is in, the
+ * title from its file name.
+ *
+ * ## The layout it reads
+ *
+ * Each root in LIBRARY_FS_ROOTS holds a folder per platform, and each thing in
+ * a platform folder is one game:
+ *
+ *     /roms/snes/Super Metroid (Japan, USA).sfc          a game, a file
+ *     /roms/psx/Final Fantasy VII (USA)/                 a game, a directory
+ *     /roms/psx/Final Fantasy VII (USA)/Disc 1.chd       ...and its files
+ *
+ * A directory is one game however many files it holds -- a multi-disc set, an
+ * installer with its patches -- sized as the sum of them and dated by the
+ * newest. Nothing deeper is looked at as a game of its own, because there is
+ * no telling a game's subfolder from a collection's.
+ *
+ * A root may instead be one platform's directory (`/games/pc=PC (Microsoft
+ * Windows)`), and then everything in it is a game of that platform. Files
+ * directly in a platform-per-folder root have no platform.
+ *
+ * ## Platforms come from folder names
+ *
+ * Folder names are matched case-insensitively against PLATFORM_FOLDERS, the
+ * names ROM managers conventionally use, and LIBRARY_FS_PLATFORMS adds to or
+ * overrides them. A folder that is in neither is its own platform name, as
+ * Retrom does with a platform it has no metadata for: `nes` becomes "nes".
+ *
+ * ## Ids are paths, and getEntry checks them
+ *
+ * An entry's id is `<root index>:<path within the root>`. It is what the index
+ * keys on, so it has to be stable across passes, and a path is as stable as
+ * the file. The price is that reordering LIBRARY_FS_ROOTS renames every entry
+ * and the next pass re-indexes them -- the sweep's ratio guard refuses the
+ * removal half of that, so it is safe, but it is a full re-match too.
+ *
+ * An id arrives at getEntry from a URL, so it is a path someone else wrote.
+ * It is refused unless it names a game at the depth the walk produces inside a
+ * configured root: no `..`, no hidden names, nothing deeper.
+ *
+ * ## Entries have no IGDB id
+ *
+ * A file carries none, and this backend does not go looking for one: every
+ * entry is indexed with igdbId null, and the matching stage (matching.js) --
+ * on by default for this backend (config.js) -- finds ids after the pass, and
+ * fulfils requests and alerts watchers for an entry once it has one.
+ * Searching here would put one IGDB call per title inside the walk, while the
+ * pass holds the library's sync lock, and would take an id with neither the
+ * stage's confidence threshold nor its review queue.
+ *
+ * ## What it cannot do
+ *
+ * Recently-added and search would mean walking the whole tree per request, so
+ * like Retrom this declares neither and relies on the index, which makes
+ * LIBRARY_SYNC_ENABLED=true effectively required.
+ */
+
+import { readdir, stat } from "node:fs/promises";
+import path from "node:path";
+import {
+  CAPABILITIES,
+  CapabilityUnsupported,
+  normalizeEntry,
+} from "./types.js";
+import { titleFromFileName } from "./titles.js";
+
+const KIND = "filesystem";
+
+/**
+ * SYNC is a walk of the roots, GET_BY_ID a stat of one path and
+ * LIST_PLATFORMS a read of the roots' top level. LIST_RECENT and SEARCH are
+ * absent for the reason in the module docstring.
+ *
+ * Handed out as a copy rather than frozen: Object.freeze on a Set freezes its
+ * own properties and leaves `add` working, so a frozen Set is not immutable.
+ */
+const FILESYSTEM_CAPABILITIES = [
+  CAPABILITIES.SYNC,
+  CAPABILITIES.GET_BY_ID,
+  CAPABILITIES.LIST_PLATFORMS,
+];
+
+/**
+ * Platform names for the folder names ROM managers use -- RetroArch, EmuDeck,
+ * ES-DE and RomM's own slugs between them -- named as IGDB names the
+ * platform, so requestPlatforms.js can match a request's platforms to them.
+ */
+export const PLATFORM_FOLDERS = Object.freeze({
+  nes: "Nintendo Entertainment System",
+  famicom: "Nintendo Entertainment System",
+  fds: "Family Computer Disk System",
+  snes: "Super Nintendo Entertainment System",
+  sfc: "Super Nintendo Entertainment System",
+  n64: "Nintendo 64",
+  gc: "Nintendo GameCube",
+  ngc: "Nintendo GameCube",
+  gamecube: "Nintendo GameCube",
+  wii: "Wii",
+  wiiu: "Wii U",
+  switch: "Nintendo Switch",
+  gb: "Game Boy",
+  gbc: "Game Boy Color",
+  gba: "Game Boy Advance",
+  nds: "Nintendo DS",
+  "3ds": "Nintendo 3DS",
+  virtualboy: "Virtual Boy",
+  psx: "PlayStation",
+  ps1: "PlayStation",
+  ps2: "PlayStation 2",
+  ps3: "PlayStation 3",
+  ps4: "PlayStation 4",
+  psp: "PlayStation Portable",
+  psvita: "PlayStation Vita",
+  sms: "Sega Master System/Mark III",
+  mastersystem: "Sega Master System/Mark III",
+  genesis: "Sega Mega Drive/Genesis",
+  megadrive: "Sega Mega Drive/Genesis",
+  segacd: "Sega CD",
+  sega32x: "Sega 32X",
+  "32x": "Sega 32X",
+  gamegear: "Sega Game Gear",
+  saturn: "Sega Saturn",
+  dreamcast: "Dreamcast",
+  xbox: "Xbox",
+  xbox360: "Xbox 360",
+  atari2600: "Atari 2600",
+  atari7800: "Atari 7800",
+  lynx: "Atari Lynx",
+  jaguar: "Atari Jaguar",
+  pcengine: "TurboGrafx-16/PC Engine",
+  tg16: "TurboGrafx-16/PC Engine",
+  neogeo: "Neo Geo AES",
+  ngp: "Neo Geo Pocket",
+  ngpc: "Neo Geo Pocket Color",
+  arcade: "Arcade",
+  mame: "Arcade",
+  dos: "DOS",
+  pc: "PC (Microsoft Windows)",
+  windows: "PC (Microsoft Windows)",
+  win: "PC (Microsoft Windows)",
+  linux: "Linux",
+  mac: "Mac",
+  c64: "Commodore C64/128/MAX",
+  amiga: "Amiga",
+  msx: "MSX",
+  zxspectrum: "ZX Spectrum",
+});
+
+/**
+ * What sits beside games without being one: metadata, artwork, checksums,
+ * saves. Skipped in a platform folder; inside a game's directory they are
+ * part of the game and count towards its size.
+ */
+const SIDECAR_EXTENSIONS = new Set([
+  ".txt",
+  ".nfo",
+  ".md",
+  ".pdf",
+  ".xml",
+  ".json",
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".gif",
+  ".webp",
+  ".bmp",
+  ".sfv",
+  ".md5",
+  ".sha1",
+  ".db",
+  ".ini",
+  ".cfg",
+  ".log",
+  ".srm",
+  ".sav",
+  ".state",
+]);
+
+/** Dotfiles, and macOS's and Windows' housekeeping. */
+function isHidden(name) {
+  return name.startsWith(".") || name === "Thumbs.db" || name === "desktop.ini";
+}
+
+/**
+ * Throw when a capability was not declared.
+ *
+ * Exported for the same reason as Gaseous' and Retrom's: a guard that is never
+ * exercised is a guard nobody has shown to work.
+ *
+ * @param {string[]} declared - The capabilities the backend hands out
+ * @param {string} capability - The one being asked for
+ * @throws {CapabilityUnsupported} When `capability` is not in `declared`
+ */
+export function assertCapability(declared, capability) {
+  if (!declared.includes(capability)) {
+    throw new CapabilityUnsupported(KIND, capability);
+  }
+}
+
+/** A directory's entries, hidden ones dropped, in a stable order. */
+async function list(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries
+    .filter((entry) => !isHidden(entry.name))
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+}
+
+/** A directory, or a link to one. False for anything missing. */
+async function isDirectory(full) {
+  const info = await stat(full).catch(() => null);
+  return Boolean(info?.isDirectory());
+}
+
+/**
+ * Total size and newest modification time under a game's directory.
+ *
+ * Symlinked directories are not followed: a link back up the tree would make
+ * this a walk that never ends, and a game is not spread across links anyway.
+ */
+async function measureDirectory(dir) {
+  let sizeBytes = 0;
+  let newest = null;
+  let files = 0;
+
+  for (const entry of await list(dir)) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const inner = await measureDirectory(full);
+      sizeBytes += inner.sizeBytes;
+      files += inner.files;
+      if (inner.newest && (!newest || inner.newest > newest)) {
+        newest = inner.newest;
+      }
+      continue;
+    }
+    if (entry.isSymbolicLink()) {
+      const info = await stat(full).catch(() => null);
+      if (!info?.isFile()) continue;
+      sizeBytes += info.size;
+      files += 1;
+      if (!newest || info.mtime > newest) newest = info.mtime;
+      continue;
+    }
+    if (!entry.isFile()) continue;
+    const info = await stat(full);
+    sizeBytes += info.size;
+    files += 1;
+    if (!newest || info.mtime > newest) newest = info.mtime;
+  }
+
+  return { sizeBytes, newest, files };
+}
+
+/**
+ * Build the filesystem backend.
+ *
+ * @param {Object} config - As returned by resolveLibraryConfig()
+ * @param {Array<{path: string, platform: string|null}>} config.roots
+ * @param {Object<string, string>} [config.platformFolders] - Folder name to
+ *   platform name, on top of PLATFORM_FOLDERS
+ * @returns {Object} - A GameLibrary
+ */
+export function createFilesystemLibrary(config) {
+  const roots = config?.roots ?? [];
+  const folders = { ...PLATFORM_FOLDERS, ...(config?.platformFolders ?? {}) };
+
+  function requireConfigured() {
+    if (roots.length === 0) {
+      throw new Error(
+        "The filesystem library is not configured: set LIBRARY_FS_ROOTS to the directories to read",
+      );
+    }
+  }
+
+  function platformOf(folder) {
+    return folders[folder.toLowerCase()] ?? folder;
+  }
+
+  /**
+   * The entry for one game, or null for something that is not one: a
+   * sidecar file, an empty directory, anything but a file or a directory.
+   */
+  async function toEntry(rootIndex, relative, platformName) {
+    const full = path.join(roots[rootIndex].path, ...relative.split("/"));
+    const name = path.basename(full);
+    const info = await stat(full);
+
+    let sizeBytes;
+    let addedAt;
+    let title;
+    if (info.isDirectory()) {
+      const measured = await measureDirectory(full);
+      if (measured.files === 0) return null;
+      sizeBytes = measured.sizeBytes;
+      addedAt = measured.newest ?? info.mtime;
+      title = titleFromFileName(name, { isFile: false });
+    } else if (info.isFile()) {
+      if (SIDECAR_EXTENSIONS.has(path.extname(name).toLowerCase())) {
+        return null;
+      }
+      sizeBytes = info.size;
+      addedAt = info.mtime;
+      title = titleFromFileName(name);
+    } else {
+      return null;
+    }
+
+    return normalizeEntry({
+      id: `${rootIndex}:${relative}`,
+      name: title,
+      platformName,
+      igdbId: null,
+      sizeBytes,
+      addedAt,
+      coverUrl: null,
+      path: full,
+    });
+  }
+
+  /**
+   * Every game under one root, as [relative path, platform name] pairs.
+   *
+   * A root that is missing or unreadable throws rather than contributing
+   * nothing. A volume that is not mounted looks exactly like an empty one
+   * from here, and a pass that completed over it would ask the sweep to
+   * remove the whole root.
+   */
+  async function gamesIn(rootIndex) {
+    const root = roots[rootIndex];
+    const found = [];
+
+    let top;
+    try {
+      top = await list(root.path);
+    } catch (error) {
+      throw new Error(
+        `Cannot read library root ${root.path}: ${error.message}`,
+      );
+    }
+
+    for (const entry of top) {
+      if (
+        root.platform ||
+        !(await isDirectory(path.join(root.path, entry.name)))
+      ) {
+        found.push([entry.name, root.platform]);
+        continue;
+      }
+      const platform = platformOf(entry.name);
+      for (const game of await list(path.join(root.path, entry.name))) {
+        found.push([`${entry.name}/${game.name}`, platform]);
+      }
+    }
+    return found;
+  }
+
+  return {
+    kind: () => KIND,
+
+    capabilities: () => new Set(FILESYSTEM_CAPABILITIES),
+
+    /**
+     * Can every root be read?
+     *
+     * Shaped like the other backends' probes. There is no server and no
+     * credential, so a readable directory is the whole of being available.
+     */
+    probe: async () => {
+      const checkedAt = Date.now();
+      try {
+        requireConfigured();
+        for (const root of roots) {
+          const info = await stat(root.path);
+          if (!info.isDirectory()) {
+            throw new Error(`${root.path} is not a directory`);
+          }
+          await readdir(root.path);
+        }
+        return { ok: true, status: 200, reason: null, checkedAt };
+      } catch (error) {
+        return {
+          ok: false,
+          status: null,
+          reason: error?.message ?? "unreadable",
+          checkedAt,
+        };
+      }
+    },
+
+    /**
+     * The platforms the roots hold: each platform root, and each folder of
+     * the others. Ids are folder names, or the root's path for a platform
+     * root; two folders naming one platform are listed once.
+     */
+    listPlatforms: async () => {
+      assertCapability(FILESYSTEM_CAPABILITIES, CAPABILITIES.LIST_PLATFORMS);
+      requireConfigured();
+
+      const platforms = new Map();
+      for (const root of roots) {
+        if (root.platform) {
+          if (!platforms.has(root.platform)) {
+            platforms.set(root.platform, {
+              id: root.path,
+              name: root.platform,
+            });
+          }
+          continue;
+        }
+        for (const entry of await list(root.path)) {
+          if (!(await isDirectory(path.join(root.path, entry.name)))) continue;
+          const name = platformOf(entry.name);
+          if (!platforms.has(name)) {
+            platforms.set(name, { id: entry.name, name });
+          }
+        }
+      }
+      return [...platforms.values()];
+    },
+
+    /**
+     * One game by its id. Null for an id that does not name a game the walk
+     * would have found -- including one trying to leave its root.
+     */
+    getEntry: async (id) => {
+      assertCapability(FILESYSTEM_CAPABILITIES, CAPABILITIES.GET_BY_ID);
+      requireConfigured();
+
+      const match = /^(\d+):(.+)$/.exec(String(id ?? ""));
+      const root = match ? roots[Number(match[1])] : null;
+      if (!root) return null;
+
+      const relative = match[2];
+      const segments = relative.split("/");
+      if (
+        segments.some(
+          (segment) =>
+            !segment ||
+            segment === ".." ||
+            isHidden(segment) ||
+            segment.includes("\\"),
+        )
+      ) {
+        return null;
+      }
+
+      let platform;
+      if (root.platform) {
+        if (segments.length !== 1) return null;
+        platform = root.platform;
+      } else if (segments.length === 2) {
+        platform = platformOf(segments[0]);
+      } else if (segments.length === 1) {
+        // A file directly in the root, which has no platform. A directory
+        // there is a platform folder, not a game.
+        if (await isDirectory(path.join(root.path, relative))) return null;
+        platform = null;
+      } else {
+        return null;
+      }
+
+      try {
+        return await toEntry(Number(match[1]), relative, platform);
+      } catch (error) {
+        if (error?.code === "ENOENT" || error?.code === "ENOTDIR") return null;
+        throw error;
+      }
+    },
+
+    /**
+     * Not implementable without walking the tree per request. Throws, like
+     * Retrom's, so a caller that forgot to check capabilities is told which
+     * one it needed rather than handed a wrong page of games.
+     */
+    listEntries: async ({ search = null } = {}) => {
+      assertCapability(
+        FILESYSTEM_CAPABILITIES,
+        search ? CAPABILITIES.SEARCH : CAPABILITIES.LIST_RECENT,
+      );
+      // Unreachable: neither capability is declared.
+      return [];
+    },
+
+    /**
+     * Walk every root, a batch at a time.
+     *
+     * A file that vanishes between the listing and its stat is skipped, as a file
+     * deleted a moment earlier would have been; anything else unreadable fails
+     * the pass, for the reason gamesIn gives.
+     *
+     * @param {Object} options
+     * @param {number} [options.batchSize] - Entries per onBatch call
+     * @param {Function} options.onBatch - Receives each batch
+     */
+    syncEntries: async ({ batchSize = 500, onBatch }) => {
+      assertCapability(FILESYSTEM_CAPABILITIES, CAPABILITIES.SYNC);
+      requireConfigured();
+
+      const size =
+        Number.isInteger(batchSize) && batchSize > 0 ? batchSize : 500;
+      let buffer = [];
+
+      const flush = async () => {
+        await onBatch(buffer);
+        buffer = [];
+      };
+
+      for (let rootIndex = 0; rootIndex < roots.length; rootIndex++) {
+        for (const [relative, platform] of await gamesIn(rootIndex)) {
+          let entry;
+          try {
+            entry = await toEntry(rootIndex, relative, platform);
+          } catch (error) {
+            if (error?.code === "ENOENT") continue;
+            throw error;
+          }
+          if (!entry) continue;
+
+          buffer.push(entry);
+          if (buffer.length >= size) await flush();
+        }
+      }
+
+      // The remainder, skipped when empty so an evenly divided library does
+      // not end with a pointless empty upsert.
+      if (buffer.length > 0) await flush();
+    },
+  };
+}
@@ -0,0 +1,233 @@
+/**
+ * Closing requests the library has caught up with.
+ *
+ * An approved request used to stay approved until an admin noticed the
+ * download had landed and marked it fulfilled by hand. The sync already knows
+ * the moment a game appears, so with LIBRARY_AUTO_FULFIL=true it matches what
+ * it has just indexed against the approved queue and fulfils through the same
+ * owner as every other transition -- Gotify, the webhook and cache
+ * invalidation fire exactly as if an admin had clicked the button.
+ *
+ * A request that names platforms is fulfilled one platform at a time
+ * (migration 030): a copy credits the platforms it is for, and the request
+ * moves only once every platform still required has a copy. Getting the
+ * Switch version of a game does not close a request that also wants the PS2
+ * one.
+ */
+
+import {
+  applyRequestStatusChange,
+  REQUEST_SOURCES,
+} from "$lib/requestStatus.server.js";
+import {
+  creditPlatforms,
+  getPlatformState,
+} from "$lib/requestPlatforms.server.js";
+import {
+  platformKey,
+  platformsSatisfied,
+  platformStatuses,
+  requestedPlatforms,
+} from "$lib/requestPlatforms.js";
+import { normalizeTitle } from "$lib/utils.js";
+
+/** Who the transition is attributed to, in notifications and the log. */
+export const AUTO_FULFIL_ACTOR = "Library sync";
+
+/**
+ * Pair each approved or in-progress request with the entry that satisfies it,
+ * if one does.
+ *
+ * An igdb_id on both sides is decisive in both directions: equal is a match,
+ * different is not, whatever the names say. A remake and its original share a
+ * title and never an id. Only when one side has no id does the normalised
+ * title decide -- a title-only request, or an entry the backend never matched
+ * to IGDB.
+ *
+ * `entries` is every entry that is the requested game, one per platform it
+ * arrived on; `entry` is the first of them.
+ *
+ * @param {Array<Object>} requests - Approved or in_progress ggr_game_requests
+ *   rows
+ * @param {Array<Object>} entries - Newly indexed ggr_library_entries rows
+ * @returns {Array<{request: Object, entry: Object, entries: Object[]}>}
+ */
+export function matchRequestsToEntries(requests, entries) {
+  const byIgdbId = new Map();
+  const byTitle = new Map();
+
+  for (const entry of entries) {
+    if (entry.igdb_id) {
+      if (!byIgdbId.has(entry.igdb_id)) byIgdbId.set(entry.igdb_id, []);
+      byIgdbId.get(entry.igdb_id).push(entry);
+    }
+
+    const title = normalizeTitle(entry.name);
+    if (!title) continue;
+    if (!byTitle.has(title)) byTitle.set(title, []);
+    byTitle.get(title).push(entry);
+  }
+
+  const matches = [];
+  for (const request of requests) {
+    const requestIgdbId = request.igdb_id ? String(request.igdb_id) : null;
+
+    if (requestIgdbId && byIgdbId.has(requestIgdbId)) {
+      const found = byIgdbId.get(requestIgdbId);
+      matches.push({ request, entry: found[0], entries: found });
+      continue;
+    }
+
+    const candidates = byTitle.get(normalizeTitle(request.title)) ?? [];
+    const found = candidates.filter(
+      (candidate) => !requestIgdbId || !candidate.igdb_id,
+    );
+    if (found.length > 0) {
+      matches.push({ request, entry: found[0], entries: found });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Which of a request's outstanding platforms these entries -- copies of the
+ * requested game -- are for.
+ *
+ * An entry counts for a platform when their names agree under platformKey,
+ * so "PS2" in the library satisfies "PlayStation 2" on the request. An entry
+ * whose backend did not say what platform it is for cannot be credited to one
+ * of several, and is credited only to a request that names a single platform
+ * -- which is what fulfilling such a request whole always did.
+ *
+ * @param {ReturnType<typeof platformStatuses>} statuses - The request's
+ * @param {Array<Object>} entries - With platform_name
+ * @returns {Array<{platform: string, entry: Object}>}
+ */
+export function matchPlatformsToEntries(statuses, entries) {
+  const credited = [];
+  for (const status of statuses) {
+    if (status.fulfilled) continue;
+    const key = platformKey(status.platform);
+    const entry =
+      entries.find(
+        (candidate) => platformKey(candidate.platform_name) === key,
+      ) ??
+      (statuses.length === 1
+        ? entries.find((candidate) => !candidate.platform_name)
+        : undefined);
+    if (entry) credited.push({ platform: status.platform, entry });
+  }
+  return credited;
+}
+
+/**
+ * Fulfil every approved request one of these entries satisfies.
+ *
+ * In-progress requests count as approved here. The download pipeline reports
+ * `completed` when it finishes, but the library may index the game first, and
+ * whichever arrives second finds the request already fulfilled.
+ *
+ * Called per batch with the rows that batch indexed for the first time, not
+ * every row it touched. Re-opening a fulfilled request is how an admin asks
+ * for a game to be fetched again; matching against the whole library would
+ * close that request on the very next pass, because the old copy is still
+ * there. The matching stage calls it the same way, with the entries a match
+ * has just put an id in force on, as that id (matching.js followUpMatches).
+ *
+ * Only `game` requests. An `update` or `fix` is about a game that is already
+ * present, so a copy of it appearing says nothing about whether the update
+ * arrived or the fix worked.
+ *
+ * A request with platforms is credited per platform first, and fulfilled
+ * only when that leaves every required one done. A platform credited on a
+ * request that then stays open is not counted: the request is not fulfilled,
+ * and the admin page and the requester's list show which platforms are in.
+ *
+ * Runs on the pass's own connection. There is no transaction around it: each
+ * transition commits on its own and fires its side effects immediately, which
+ * is what an admin fulfilling the same requests one by one would do.
+ *
+ * @param {Function} query - Bound to the pass's single client
+ * @param {Array<Object>} entries - Rows with id, igdb_id, name and
+ *   platform_name
+ * @returns {Promise<number>} - Requests fulfilled
+ */
+export async function fulfilRequestsFromEntries(query, entries) {
+  if (!entries?.length) return 0;
+
+  const approved = await query(
+    `SELECT id, title, igdb_id, platforms
+       FROM ggr_game_requests
+      WHERE status IN ('approved', 'in_progress') AND request_type = 'game'`,
+  );
+  if (approved.rows.length === 0) return 0;
+
+  const matches = matchRequestsToEntries(approved.rows, entries);
+  const platformState = await getPlatformState(
+    matches
+      .filter(({ request }) => requestedPlatforms(request.platforms).length > 0)
+      .map(({ request }) => request.id),
+    query,
+  );
+
+  let fulfilled = 0;
+  for (const match of matches) {
+    const { request } = match;
+    let { entry } = match;
+
+    const statuses = platformStatuses({
+      platforms: request.platforms,
+      platform_state: platformState.get(request.id),
+    });
+    if (statuses.length > 0) {
+      const credited = matchPlatformsToEntries(statuses, match.entries);
+      if (credited.length === 0) continue;
+
+      for (const { platform, entry: copy } of credited) {
+        await creditPlatforms({
+          requestId: request.id,
+          platforms: [platform],
+          entryId: copy.id,
+          actor: AUTO_FULFIL_ACTOR,
+          tx: query,
+        });
+        console.log(
+          `📚 Request ${request.id} ("${request.title}"): ${platform} fulfilled by library entry "${copy.name}"`,
+        );
+      }
+
+      const done = new Set(credited.map(({ platform }) => platform));
+      const after = statuses.map((status) =>
+        done.has(status.platform) ? { ...status, fulfilled: true } : status,
+      );
+      if (!platformsSatisfied(after)) continue;
+      entry = credited.at(-1).entry;
+    }
+
+    const outcome = await applyRequestStatusChange({
+      id: request.id,
+      to: "fulfilled",
+      actor: AUTO_FULFIL_ACTOR,
+      source: REQUEST_SOURCES.LIBRARY_SYNC,
+      tx: query,
+    });
+
+    // Someone else moved it between the SELECT and here. Their transition
+    // stands, and the entry is not theirs to be credited with.
+    if (!outcome.changed) continue;
+
+    await query(
+      `UPDATE ggr_game_requests SET fulfilled_library_entry_id = $2
+        WHERE id = $1`,
+      [request.id, entry.id],
+    );
+
+    console.log(
+      `📚 Request ${request.id} ("${request.title}") fulfilled by library entry "${entry.name}"`,
+    );
+    fulfilled += 1;
+  }
+
+  return fulfilled;
+}
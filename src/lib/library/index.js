@@ -1,10 +1,11 @@
 /**
- * The configured game library.
+ * The configured game libraries.
  *
- * One place decides which backend is in play, so no caller has to know.
+ * One place decides which backends are in play, so no caller has to know.
  */
 
-import { resolveLibraryConfig } from "./config.js";
+import { resolveLibraryConfigs } from "./config.js";
+import { createFilesystemLibrary } from "./filesystem.js";
 import { createGaseousLibrary } from "./gaseous.js";
 import { createRommLibrary } from "./romm.js";
 import { createRetromLibrary } from "./retrom.js";
@@ -12,26 +13,21 @@ import { createRetromLibrary } from "./retrom.js";
 let cached = null;
 
 /**
- * The library backend this deployment is configured for.
+ * A backend for one library's configuration.
  *
+ * @param {Object} config - One of resolveLibraryConfigs()
  * @returns {Object} - A GameLibrary
- * @throws {Error} When LIBRARY_KIND names a backend this build lacks
  */
-export function getLibrary() {
-  if (cached) return cached;
-
-  const config = resolveLibraryConfig();
-
+function createLibrary(config) {
   switch (config.kind) {
     case "gaseous":
-      cached = createGaseousLibrary(config);
-      return cached;
+      return createGaseousLibrary(config);
     case "romm":
-      cached = createRommLibrary(config);
-      return cached;
+      return createRommLibrary(config);
     case "retrom":
-      cached = createRetromLibrary(config);
-      return cached;
+      return createRetromLibrary(config);
+    case "filesystem":
+      return createFilesystemLibrary(config);
     default:
       // Reachable only for a kind config.js accepts and this switch does not,
       // which means the two lists have drifted.
@@ -41,7 +37,39 @@ export function getLibrary() {
   }
 }
 
-/** Drop the cached backend. Tests and configuration reloads need this. */
+/**
+ * Every library backend this deployment is configured for, primary first.
+ *
+ * Built together and cached together: a backend holds state worth keeping --
+ * a RomM token, Gaseous's session -- and one configuration that cannot be
+ * built means none is used, rather than a deployment quietly running with
+ * half its libraries.
+ *
+ * @returns {Array<Object>} - GameLibrary backends
+ * @throws {Error} When LIBRARY_KIND or LIBRARIES names a backend this build
+ *   lacks
+ */
+export function getLibraries() {
+  if (!cached) cached = resolveLibraryConfigs().map(createLibrary);
+  return cached;
+}
+
+/**
+ * One configured library backend.
+ *
+ * @param {string} [kind] - Which library; the primary when omitted
+ * @returns {Object|null} - A GameLibrary, or null for a kind that is not
+ *   configured
+ * @throws {Error} When LIBRARY_KIND or LIBRARIES names a backend this build
+ *   lacks
+ */
+export function getLibrary(kind) {
+  const libraries = getLibraries();
+  if (kind === undefined) return libraries[0];
+  return libraries.find((library) => library.kind() === kind) ?? null;
+}
+
+/** Drop the cached backends. Tests and configuration reloads need this. */
 export function clearLibraryCache() {
   cached = null;
 }
@@ -0,0 +1,512 @@
+/**
+ * Finding IGDB ids for library entries their backend left without one.
+ *
+ * Retrom and Gaseous report no IGDB id for much of a library, RomM none for a
+ * rom it never matched, and the filesystem backend none at all. An entry
+ * without an id is invisible to entriesByIgdbIds, so the cross-reference says
+ * the game is not owned when it is.
+ *
+ * This is the only place an id is looked for. A backend that searched IGDB
+ * itself would take ids past the threshold and the review queue below, and
+ * would do it inside the pass, holding the sync lock.
+ *
+ * After a completed sync pass, a bounded batch of those entries is searched
+ * for by a cleaned form of its name (titles.js matchableTitle) and scored with
+ * classifyMatch. A confident answer is used straight away; a likely one waits
+ * on /admin/library/matches for a person. Either way the result is recorded in
+ * ggr_library_matches, so an entry is searched for once per name rather than
+ * once per pass -- see migration 032 for what each status means.
+ *
+ * What a match puts in force lives in ggr_library_entries.match_igdb_id, never
+ * igdb_id: that column is the backend's, and the next pass would overwrite it.
+ *
+ * An id put in force is the game arriving as far as the rest of the app can
+ * tell, so it sets off what a pass indexing the game with its id would have:
+ * the approved requests it satisfies are fulfilled and its watchers are told
+ * (followUpMatches). The pass itself could not, having had no id to go on.
+ */
+
+import { query as poolQuery, withClient } from "$lib/database.js";
+import { searchGameCandidates } from "$lib/igdb.js";
+import { classifyMatch } from "$lib/igdbMatch.js";
+import { platformKey } from "$lib/requestPlatforms.js";
+import { alertWatchersOfEntries } from "$lib/watchlistAlerts.server.js";
+import { LIBRARY_KINDS } from "./config.js";
+import { fulfilRequestsFromEntries } from "./fulfil.js";
+import { matchableTitle } from "./titles.js";
+
+/**
+ * Namespace for the matching lock, clear of the sync's (sync.js
+ * ADVISORY_LOCK_KEY and the three after it). A separate lock, so a library's
+ * next pass is never held up by its matching stage, nor matching by a pass.
+ */
+export const MATCH_LOCK_KEY = 4919010;
+
+/** Every status a match row can have, in the order the review page offers them. */
+export const MATCH_STATUSES = Object.freeze([
+  "suggested",
+  "auto",
+  "unmatched",
+  "confirmed",
+  "rejected",
+]);
+
+const DEFAULT_BATCH_SIZE = 50;
+const DEFAULT_INTERVAL_MS = 500;
+const DEFAULT_MIN_CONFIDENCE = 0.9;
+
+/** Results asked of IGDB per search. */
+const SEARCH_LIMIT = 10;
+
+/**
+ * The matching lock for one library, offset by its place in LIBRARY_KINDS as
+ * syncLockKey is.
+ *
+ * @param {string} kind - Library kind
+ * @returns {number}
+ */
+export function matchLockKey(kind) {
+  return MATCH_LOCK_KEY + Math.max(LIBRARY_KINDS.indexOf(kind), 0);
+}
+
+/**
+ * What one search says about one entry.
+ *
+ * Games on the entry's own platform are scored first, and decide it when they
+ * alone make a match: "Resident Evil" on a PlayStation is the 1996 game, not
+ * the GameCube remake that makes the title ambiguous everywhere else. When
+ * they do not, every result is scored, since IGDB's platform lists are not
+ * complete and a platform name it spells differently is not a reason to find
+ * nothing.
+ *
+ * @param {string} title - The cleaned title searched for
+ * @param {string|null} platformName - The entry's platform
+ * @param {Object[]} games - searchGameCandidates's results
+ * @param {number} minConfidence - Score an `auto` match needs
+ * @returns {{status: "auto"|"suggested"|"unmatched", igdbId: string|null,
+ *   igdbTitle: string|null, confidence: number|null, candidates: Object[]}}
+ */
+export function decideMatch(title, platformName, games, minConfidence) {
+  const platform = platformKey(platformName);
+  const onPlatform = platform
+    ? classifyMatch(
+        title,
+        games.filter((game) =>
+          (game.platforms ?? []).some((name) => platformKey(name) === platform),
+        ),
+      )
+    : null;
+  const result =
+    onPlatform?.match === "matched" ? onPlatform : classifyMatch(title, games);
+
+  const best =
+    result.candidates.find(
+      (candidate) => candidate.igdb_id === result.igdb_id,
+    ) ?? result.candidates[0];
+
+  if (!best) {
+    return {
+      status: "unmatched",
+      igdbId: null,
+      igdbTitle: null,
+      confidence: null,
+      candidates: [],
+    };
+  }
+
+  return {
+    status:
+      result.match === "matched" && best.score >= minConfidence
+        ? "auto"
+        : "suggested",
+    igdbId: best.igdb_id,
+    igdbTitle: best.title,
+    confidence: best.score,
+    candidates: result.candidates,
+  };
+}
+
+/**
+ * Record a match and put its id in force, in one statement.
+ *
+ * One statement rather than a transaction so the stage can write on the
+ * session holding its lock. The entry is only updated when the match row was:
+ * a pass that read an entry before an admin confirmed it must not replace the
+ * confirmation with its own guess, and the `status <> 'confirmed'` guard is
+ * what stops it -- unless the write is itself a confirmation.
+ *
+ * `newlyInForce` is whether the entry now stands for a game it did not stand
+ * for before: an id in force where there was none or another, on an entry the
+ * backend gave no id of its own. Confirming the id already in force is not.
+ *
+ * @param {Function} query - A query function
+ * @param {Object} match
+ * @returns {Promise<{written: boolean, newlyInForce: boolean}>}
+ */
+async function recordMatch(
+  query,
+  {
+    entryId,
+    entryName,
+    query: searched,
+    status,
+    igdbId = null,
+    igdbTitle = null,
+    confidence = null,
+    candidates = [],
+    reviewerId = null,
+  },
+) {
+  const inForce =
+    status === "auto" || status === "confirmed" ? (igdbId ?? null) : null;
+  const result = await query(
+    `WITH previous AS (
+       SELECT match_igdb_id FROM ggr_library_entries WHERE id = $1
+     ),
+     recorded AS (
+       INSERT INTO ggr_library_matches
+         (entry_id, entry_name, query, status, igdb_id, igdb_title, confidence,
+          candidates, matched_at, reviewed_by, reviewed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, NOW(), $9,
+               CASE WHEN $9::integer IS NULL THEN NULL ELSE NOW() END)
+       ON CONFLICT (entry_id) DO UPDATE
+          SET entry_name = EXCLUDED.entry_name,
+              query = EXCLUDED.query,
+              status = EXCLUDED.status,
+              igdb_id = EXCLUDED.igdb_id,
+              igdb_title = EXCLUDED.igdb_title,
+              confidence = EXCLUDED.confidence,
+              candidates = EXCLUDED.candidates,
+              matched_at = EXCLUDED.matched_at,
+              reviewed_by = EXCLUDED.reviewed_by,
+              reviewed_at = EXCLUDED.reviewed_at
+        WHERE EXCLUDED.reviewed_by IS NOT NULL
+           OR ggr_library_matches.status <> 'confirmed'
+       RETURNING entry_id
+     )
+     UPDATE ggr_library_entries e
+        SET match_igdb_id = $10
+       FROM recorded, previous
+      WHERE e.id = recorded.entry_id
+     RETURNING e.id,
+               (e.igdb_id IS NULL AND e.match_igdb_id IS NOT NULL
+                AND e.match_igdb_id IS DISTINCT FROM previous.match_igdb_id)
+                 AS newly_in_force`,
+    [
+      entryId,
+      entryName,
+      searched,
+      status,
+      igdbId,
+      igdbTitle,
+      confidence,
+      JSON.stringify(candidates),
+      reviewerId,
+      inForce,
+    ],
+  );
+  const row = result.rows[0];
+  return { written: Boolean(row), newlyInForce: Boolean(row?.newly_in_force) };
+}
+
+/**
+ * Fulfil and alert for entries whose match has just been put in force, as
+ * the pass does for the entries it indexes with an id (sync.js, cycle.js).
+ *
+ * Keyed on the id in force, COALESCE(igdb_id, match_igdb_id), read back from
+ * the entries rather than taken from the caller, so an entry that left the
+ * library in the meantime is skipped. Never throws: the match stands whether
+ * or not what follows from it went through, and a failure is logged.
+ *
+ * @param {number[]} entryIds - ggr_library_entries ids
+ * @param {Object} [options]
+ * @param {boolean} [options.autoFulfil=false] - LIBRARY_AUTO_FULFIL; without
+ *   it the watchers are still told
+ * @returns {Promise<number>} Requests fulfilled
+ */
+export async function followUpMatches(entryIds, { autoFulfil = false } = {}) {
+  if (!entryIds?.length) return 0;
+
+  try {
+    const entries = await poolQuery(
+      `SELECT id, name, platform_name,
+              COALESCE(igdb_id, match_igdb_id) AS igdb_id
+         FROM ggr_library_entries
+        WHERE id = ANY($1::int[]) AND removed_at IS NULL`,
+      [entryIds],
+    );
+    if (entries.rows.length === 0) return 0;
+
+    await alertWatchersOfEntries(entries.rows);
+    return autoFulfil
+      ? await fulfilRequestsFromEntries(poolQuery, entries.rows)
+      : 0;
+  } catch (error) {
+    console.warn("Failed to follow up library matches:", error.message);
+    return 0;
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Match one batch of one library's unmatched entries, if this worker wins the
+ * lock.
+ *
+ * Bounded per call rather than run to the end: a Retrom library with no ids
+ * at all is thousands of searches, and at two a second that is longer than a
+ * sync interval. What is left is taken by the next pass's call, oldest entry
+ * first.
+ *
+ * An IGDB failure stops the batch instead of being recorded: an outage is not
+ * evidence that a game does not exist, and an entry marked unmatched is never
+ * searched for again under the same name. The entries not reached are simply
+ * still candidates next time.
+ *
+ * The batch's `auto` matches are followed up once the lock is released, the
+ * ones an IGDB failure cut short included: they are recorded.
+ *
+ * @param {Object} options
+ * @param {string} options.kind - Library kind
+ * @param {number} [options.batchSize] - Entries to take on
+ * @param {number} [options.intervalMs] - Pause between two IGDB searches
+ * @param {number} [options.minConfidence] - Score an `auto` match needs
+ * @param {boolean} [options.autoFulfil=false] - Fulfil the approved requests
+ *   the batch's matches satisfy
+ * @returns {Promise<{ran: boolean, examined: number, searched: number,
+ *   auto: number, suggested: number, unmatched: number, fulfilled: number,
+ *   reason: string|null}>}
+ */
+export async function matchUnmatchedEntries({
+  kind,
+  batchSize = DEFAULT_BATCH_SIZE,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  minConfidence = DEFAULT_MIN_CONFIDENCE,
+  autoFulfil = false,
+}) {
+  const lockKey = matchLockKey(kind);
+  const counts = {
+    examined: 0,
+    searched: 0,
+    auto: 0,
+    suggested: 0,
+    unmatched: 0,
+    fulfilled: 0,
+  };
+  const matched = [];
+
+  const outcome = await withClient(async (query) => {
+    const lock = await query("SELECT pg_try_advisory_lock($1) AS locked", [
+      lockKey,
+    ]);
+    if (!lock.rows[0]?.locked) {
+      return { ran: false, reason: "locked" };
+    }
+
+    let reason = null;
+    try {
+      // An entry with no match row, or one renamed since its match was made.
+      // A confirmed match survives a rename; a rejected one does not, since
+      // what was rejected was a search for the old name.
+      const pending = await query(
+        `SELECT e.id, e.name, e.platform_name
+           FROM ggr_library_entries e
+           LEFT JOIN ggr_library_matches m ON m.entry_id = e.id
+          WHERE e.library_kind = $1
+            AND e.removed_at IS NULL
+            AND e.igdb_id IS NULL
+            AND (m.entry_id IS NULL
+                 OR (m.entry_name <> e.name AND m.status <> 'confirmed'))
+          ORDER BY e.id
+          LIMIT $2`,
+        [kind, batchSize],
+      );
+
+      // One search per title in a batch: a multi-disc set or one game on
+      // three platforms is the same question asked of IGDB.
+      const searches = new Map();
+
+      for (const entry of pending.rows) {
+        const title = matchableTitle(entry.name);
+        let games = searches.get(title);
+        if (!games) {
+          if (counts.searched > 0) await wait(intervalMs);
+          try {
+            games = await searchGameCandidates(title, SEARCH_LIMIT);
+          } catch (error) {
+            console.warn(
+              `⚠️ Library matching for ${kind}: IGDB search failed; ` +
+                `${pending.rows.length - counts.examined} entries left for the next pass:`,
+              error.message,
+            );
+            reason = "igdb_error";
+            break;
+          }
+          counts.searched++;
+          searches.set(title, games);
+        }
+
+        const decided = decideMatch(
+          title,
+          entry.platform_name,
+          games,
+          minConfidence,
+        );
+        const { written, newlyInForce } = await recordMatch(query, {
+          entryId: entry.id,
+          entryName: entry.name,
+          query: title,
+          ...decided,
+        });
+        if (written) counts[decided.status]++;
+        if (newlyInForce) matched.push(entry.id);
+        counts.examined++;
+      }
+    } finally {
+      await query("SELECT pg_advisory_unlock($1)", [lockKey]).catch(() => {});
+    }
+
+    return { ran: true, reason };
+  });
+
+  counts.fulfilled = await followUpMatches(matched, { autoFulfil });
+  return { ...outcome, ...counts };
+}
+
+/**
+ * Match rows for the review page, newest first, with the entry they are for.
+ *
+ * An entry its backend has since given an igdb_id, or that has left the
+ * library, is not listed: there is nothing left to decide about it.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.status="suggested"] - One of MATCH_STATUSES
+ * @param {string} [options.kind] - Only this library's entries
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{matches: Object[], total: number, counts: Object<string, number>}>}
+ */
+export async function listMatches({
+  status = "suggested",
+  kind = null,
+  limit = 50,
+  offset = 0,
+} = {}) {
+  const filters = ["e.removed_at IS NULL", "e.igdb_id IS NULL"];
+  const params = [];
+  if (kind) {
+    params.push(kind);
+    filters.push(`e.library_kind = $${params.length}`);
+  }
+  const where = filters.join(" AND ");
+
+  const [rows, counts] = await Promise.all([
+    poolQuery(
+      `SELECT m.entry_id, m.entry_name, m.query, m.status, m.igdb_id,
+              m.igdb_title, m.confidence, m.candidates, m.matched_at,
+              m.reviewed_at, COALESCE(u.name, u.username) AS reviewed_by_name,
+              e.library_kind, e.platform_name
+         FROM ggr_library_matches m
+         JOIN ggr_library_entries e ON e.id = m.entry_id
+         LEFT JOIN ggr_users u ON u.id = m.reviewed_by
+        WHERE ${where} AND m.status = $${params.length + 1}
+        ORDER BY m.matched_at DESC, m.entry_id DESC
+        LIMIT $${params.length + 2} OFFSET $${params.length + 3}`,
+      [...params, status, limit, offset],
+    ),
+    poolQuery(
+      `SELECT m.status, COUNT(*)::int AS count
+         FROM ggr_library_matches m
+         JOIN ggr_library_entries e ON e.id = m.entry_id
+        WHERE ${where}
+        GROUP BY m.status`,
+      params,
+    ),
+  ]);
+
+  const byStatus = Object.fromEntries(MATCH_STATUSES.map((name) => [name, 0]));
+  for (const row of counts.rows) byStatus[row.status] = row.count;
+
+  return {
+    matches: rows.rows.map((row) => ({
+      ...row,
+      confidence: row.confidence === null ? null : Number(row.confidence),
+    })),
+    total: byStatus[status] ?? 0,
+    counts: byStatus,
+  };
+}
+
+/** The entry a review is about, or null when it is gone. */
+async function reviewedEntry(entryId) {
+  const result = await poolQuery(
+    `SELECT e.id, e.name, m.query, m.candidates
+       FROM ggr_library_entries e
+       LEFT JOIN ggr_library_matches m ON m.entry_id = e.id
+      WHERE e.id = $1 AND e.removed_at IS NULL`,
+    [entryId],
+  );
+  return result.rows[0] ?? null;
+}
+
+/**
+ * Settle an entry on an IGDB id, chosen from its candidates or found by
+ * searching. Confirmed matches are never replaced by the matching stage, and
+ * survive the entry being renamed. An id this puts in force is followed up
+ * like the stage's own.
+ *
+ * @param {number} entryId - ggr_library_entries.id
+ * @param {{igdbId: string, title?: string|null}} game - The game chosen
+ * @param {number} reviewerId - The admin deciding
+ * @param {Object} [options]
+ * @param {boolean} [options.autoFulfil=false] - Fulfil the approved requests
+ *   the game satisfies
+ * @returns {Promise<boolean>} False when the entry is gone
+ */
+export async function confirmMatch(
+  entryId,
+  { igdbId, title = null },
+  reviewerId,
+  { autoFulfil = false } = {},
+) {
+  const entry = await reviewedEntry(entryId);
+  if (!entry) return false;
+
+  const { written, newlyInForce } = await recordMatch(poolQuery, {
+    entryId: entry.id,
+    entryName: entry.name,
+    query: entry.query ?? matchableTitle(entry.name),
+    status: "confirmed",
+    igdbId: String(igdbId),
+    igdbTitle: title,
+    confidence: null,
+    candidates: entry.candidates ?? [],
+    reviewerId,
+  });
+  if (newlyInForce) await followUpMatches([entry.id], { autoFulfil });
+  return written;
+}
+
+/**
+ * Say none of an entry's candidates is right. Its match stops being in force,
+ * and it is not searched for again until it is renamed. The candidates are
+ * kept, so the decision can be read back.
+ *
+ * @param {number} entryId - ggr_library_entries.id
+ * @param {number} reviewerId - The admin deciding
+ * @returns {Promise<boolean>} False when the entry is gone
+ */
+export async function rejectMatch(entryId, reviewerId) {
+  const entry = await reviewedEntry(entryId);
+  if (!entry) return false;
+
+  const { written } = await recordMatch(poolQuery, {
+    entryId: entry.id,
+    entryName: entry.name,
+    query: entry.query ?? matchableTitle(entry.name),
+    status: "rejected",
+    candidates: entry.candidates ?? [],
+    reviewerId,
+  });
+  return written;
+}
@@ -6,14 +6,21 @@
  * state when neither is possible. A Retrom install before its first sync is
  * not unreachable and not empty -- it is not indexed yet, and saying so is
  * better than inventing an outage.
+ *
+ * With several libraries configured, a read spans every one whose index is
+ * ready and each entry says which library it came from. The ones not indexed
+ * yet are named in `pending`, so a caller can tell "not in any library" from
+ * "not in the libraries that could be asked".
  */
 
-import { query } from "$lib/database.js";
-import { getLibrary } from "$lib/library/index.js";
-import { CAPABILITIES, LIST_ORDERS } from "./types.js";
+import { query, withTransaction } from "$lib/database.js";
+import { getLibraries } from "$lib/library/index.js";
+import { platformKey } from "$lib/requestPlatforms.js";
+import { CAPABILITIES, LIBRARY_NAMES, LIST_ORDERS } from "./types.js";
 
-const COLUMNS = `library_id, igdb_id, name, platform_name, size_bytes,
-                 cover_url, path, added_at, first_seen_at`;
+const COLUMNS = `library_kind, library_id, igdb_id, match_igdb_id, name,
+                 platform_name, size_bytes, cover_url, path, added_at,
+                 first_seen_at`;
 
 /**
  * Recency, preferring the backend's own timestamp over when we first saw it,
@@ -31,123 +38,383 @@ const COLUMNS = `library_id, igdb_id, name, platform_name, size_bytes,
  */
 const RECENCY_ORDER = "COALESCE(added_at, first_seen_at) DESC, library_id DESC";
 
+/**
+ * An entry labelled with the library it came from.
+ *
+ * @param {string} kind - Library kind
+ * @param {Object} entry - A LibraryEntry
+ * @returns {Object} - The entry, with libraryKind and libraryName
+ */
+function labelled(kind, entry) {
+  return {
+    ...entry,
+    libraryKind: kind,
+    libraryName: LIBRARY_NAMES[kind] ?? kind,
+  };
+}
+
 /** An index row, in the seam's vocabulary. */
 function fromRow(row) {
-  return {
+  return labelled(row.library_kind, {
     id: row.library_id,
     name: row.name,
     platformName: row.platform_name,
-    igdbId: row.igdb_id,
+    // The backend's own id, else the one the matching stage found for it
+    // (matching.js).
+    igdbId: row.igdb_id ?? row.match_igdb_id ?? null,
     sizeBytes: row.size_bytes === null ? null : Number(row.size_bytes),
     addedAt: row.added_at ?? row.first_seen_at ?? null,
     coverUrl: row.cover_url,
     path: row.path,
-  };
+  });
 }
 
-/** Has a sync ever finished for this backend? */
-async function indexIsReady(kind) {
+/**
+ * Which of these libraries a sync has ever finished for, in the order given.
+ *
+ * One query for all of them, since every read asks before anything else.
+ *
+ * @param {string[]} kinds - Configured library kinds
+ * @returns {Promise<string[]>}
+ */
+async function readyKinds(kinds) {
   const result = await query(
-    `SELECT last_completed_at FROM ggr_library_sync_state
-      WHERE library_kind = $1 AND last_completed_at IS NOT NULL`,
-    [kind],
+    `SELECT library_kind FROM ggr_library_sync_state
+      WHERE library_kind = ANY($1) AND last_completed_at IS NOT NULL`,
+    [kinds],
   );
-  return result.rows.length > 0;
+  const ready = new Set(result.rows.map((row) => row.library_kind));
+  return kinds.filter((kind) => ready.has(kind));
+}
+
+/**
+ * The configured libraries, split by whether their index can answer.
+ *
+ * @returns {Promise<{libraries: Array<Object>, ready: string[],
+ *   pending: string[]}>}
+ */
+async function readiness() {
+  const libraries = getLibraries();
+  const kinds = libraries.map((library) => library.kind());
+  const ready = await readyKinds(kinds);
+  return {
+    libraries,
+    ready,
+    pending: kinds.filter((kind) => !ready.includes(kind)),
+  };
 }
 
-function building() {
-  return { source: "none", indexBuilding: true, entries: [] };
+function building(pending) {
+  return { source: "none", indexBuilding: true, pending, entries: [] };
 }
 
 /**
- * The most recently added entries.
+ * Answer from one backend directly, when no index can.
+ *
+ * The first library that declares the capability, and only that one. Paging
+ * one query across several live backends means fetching offset + limit from
+ * each and merging, on every page -- the cost the index exists to avoid, and
+ * only ever paid until the first pass completes.
+ *
+ * @param {Array<Object>} libraries - Configured backends, primary first
+ * @param {string[]} pending - Every configured kind, since none is ready
+ * @param {string} capability - What the read needs
+ * @param {Object} options - listEntries options
+ * @returns {Promise<{source: string, indexBuilding: boolean,
+ *   pending: string[], entries: Array}>}
+ */
+async function fromBackend(libraries, pending, capability, options) {
+  const library = libraries.find((candidate) =>
+    candidate.capabilities().has(capability),
+  );
+  if (!library) return building(pending);
+
+  const kind = library.kind();
+  const entries = await library.listEntries(options);
+  return {
+    source: "backend",
+    indexBuilding: false,
+    pending: pending.filter((other) => other !== kind),
+    entries: entries.map((entry) => labelled(kind, entry)),
+  };
+}
+
+/**
+ * The most recently added entries, across every indexed library.
  *
  * @param {{limit?: number, offset?: number}} [options]
- * @returns {Promise<{source: string, indexBuilding: boolean, entries: Array}>}
+ * @returns {Promise<{source: string, indexBuilding: boolean,
+ *   pending: string[], entries: Array}>}
  */
 export async function recentEntries({ limit = 24, offset = 0 } = {}) {
-  const library = getLibrary();
-  const kind = library.kind();
+  const { libraries, ready, pending } = await readiness();
 
-  if (await indexIsReady(kind)) {
+  if (ready.length > 0) {
     const result = await query(
       `SELECT ${COLUMNS} FROM ggr_library_entries
-        WHERE library_kind = $1 AND removed_at IS NULL
+        WHERE library_kind = ANY($1) AND removed_at IS NULL
         ORDER BY ${RECENCY_ORDER}
         LIMIT $2 OFFSET $3`,
-      [kind, limit, offset],
+      [ready, limit, offset],
     );
     return {
       source: "index",
       indexBuilding: false,
+      pending,
       entries: result.rows.map(fromRow),
     };
   }
 
-  if (!library.capabilities().has(CAPABILITIES.LIST_RECENT)) return building();
+  return fromBackend(libraries, pending, CAPABILITIES.LIST_RECENT, {
+    limit,
+    offset,
+  });
+}
+
+/**
+ * How alike a word in a name must be to a search to match it, when pg_trgm is
+ * there to say. pg_trgm's own default is 0.6, which one transposed letter in
+ * a seven-letter word already falls below ("metriod" is 0.5 of "metroid");
+ * 0.4 keeps one typo in and leaves the rest to the ranking, which puts exact
+ * and whole-word matches first regardless.
+ */
+const TYPO_THRESHOLD = 0.4;
+
+/**
+ * Whether pg_trgm is installed, as a promise so concurrent first reads ask
+ * once. Reset when the question itself fails, so a database that was down at
+ * startup is asked again rather than searched with ILIKE forever.
+ */
+let trigramSupport = null;
+
+/**
+ * Whether the library search can use pg_trgm (migration 033).
+ *
+ * Asked once per process, at startup from hooks.server.js and otherwise by
+ * the first search. Not asked per search: the extension is installed or it
+ * is not, and a search that has to find out first is a round trip slower for
+ * nothing.
+ *
+ * @returns {Promise<boolean>}
+ */
+export function detectTrigramSearch() {
+  trigramSupport ??= query(
+    `SELECT EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm')
+            AS installed`,
+  )
+    .then((result) => Boolean(result.rows[0]?.installed))
+    .catch((error) => {
+      console.warn(
+        "⚠️ Could not check for pg_trgm; library search uses ILIKE for now:",
+        error.message,
+      );
+      trigramSupport = null;
+      return false;
+    });
+  return trigramSupport;
+}
+
+/** A search term as a LIKE pattern matches it: literally. */
+function likeEscaped(term) {
+  return term.replace(/[\\%_]/g, "\\$&");
+}
+
+/**
+ * The platform names the index uses for these platforms, however they are
+ * spelled. Backends name platforms their own way -- "PS2", "Sony PlayStation
+ * 2" -- so the names are compared by platformKey against what the index
+ * actually holds, and the query then filters on exact names it can index.
+ *
+ * @param {string[]} ready - Ready library kinds
+ * @param {string[]} platforms - Platform names as the caller spells them
+ * @returns {Promise<string[]|null>} Null when there is no platform filter
+ */
+async function indexedPlatformNames(ready, platforms) {
+  const keys = new Set((platforms ?? []).map(platformKey).filter(Boolean));
+  if (keys.size === 0) return null;
+
+  const names = await distinctPlatforms(ready);
+  return names.filter((name) => keys.has(platformKey(name)));
+}
+
+/** Every platform name the ready libraries' live entries carry. */
+async function distinctPlatforms(ready) {
+  const result = await query(
+    `SELECT DISTINCT platform_name FROM ggr_library_entries
+      WHERE library_kind = ANY($1) AND removed_at IS NULL
+        AND platform_name IS NOT NULL
+      ORDER BY platform_name`,
+    [ready],
+  );
+  return result.rows.map((row) => row.platform_name);
+}
+
+/**
+ * The platforms the library can be filtered by, across every indexed
+ * library. Empty until an index is ready: a backend asked directly has no
+ * cheap way to list what it holds per platform.
+ *
+ * @returns {Promise<{indexBuilding: boolean, platforms: string[]}>}
+ */
+export async function entryPlatforms() {
+  const { ready } = await readiness();
+  if (ready.length === 0) return { indexBuilding: true, platforms: [] };
+  return { indexBuilding: false, platforms: await distinctPlatforms(ready) };
+}
+
+/**
+ * The statement for an index search.
+ *
+ * With pg_trgm, a name matches when it contains the search or has a word
+ * within TYPO_THRESHOLD of it (`<%`), both served by the trigram index. The
+ * best match comes first: by word similarity, so a name holding the search as
+ * a word ranks above one only close to it, then by overall similarity, so
+ * "Zelda" ranks above "The Legend of Zelda". Without it, a substring match,
+ * ranked exact name first, then prefix, then the rest. Recency breaks every
+ * tie, and library_id after it, so paging is deterministic.
+ *
+ * @returns {{text: string, params: Array}}
+ */
+function searchStatement({ ready, search, names, limit, offset, trigram }) {
+  const params = [ready];
+  const where = ["library_kind = ANY($1)", "removed_at IS NULL"];
+  const order = [];
+  const param = (value) => `$${params.push(value)}`;
+
+  if (names) where.push(`platform_name = ANY(${param(names)})`);
+
+  if (search) {
+    const contains = param(`%${likeEscaped(search)}%`);
+    const term = param(search);
+    if (trigram) {
+      where.push(`(name ILIKE ${contains} OR ${term} <% name)`);
+      order.push(
+        `word_similarity(${term}, name) DESC`,
+        `similarity(name, ${term}) DESC`,
+      );
+    } else {
+      where.push(`name ILIKE ${contains}`);
+      order.push(
+        `(lower(name) = lower(${term})) DESC`,
+        `(name ILIKE ${param(`${likeEscaped(search)}%`)}) DESC`,
+      );
+    }
+  }
+  order.push(RECENCY_ORDER);
 
   return {
-    source: "backend",
-    indexBuilding: false,
-    entries: await library.listEntries({ limit, offset }),
+    text: `SELECT ${COLUMNS} FROM ggr_library_entries
+            WHERE ${where.join(" AND ")}
+            ORDER BY ${order.join(", ")}
+            LIMIT ${param(limit)} OFFSET ${param(offset)}`,
+    params,
   };
 }
 
 /**
- * Entries whose name matches.
+ * Entries whose name matches, best match first, across every indexed
+ * library. Typo-tolerant and ranked when pg_trgm is installed; a ranked
+ * substring match when it is not (see searchStatement).
+ *
+ * A blank search with platforms lists those platforms' entries, newest first,
+ * which is the library shelf's platform filter.
  *
- * @param {{search: string, limit?: number, offset?: number}} options
- * @returns {Promise<{source: string, indexBuilding: boolean, entries: Array}>}
+ * @param {{search: string, platforms?: string[], limit?: number,
+ *   offset?: number}} options - platforms are matched however the backend
+ *   spells them
+ * @returns {Promise<{source: string, indexBuilding: boolean,
+ *   pending: string[], entries: Array}>}
  */
-export async function searchEntries({ search, limit = 24, offset = 0 }) {
-  const library = getLibrary();
-  const kind = library.kind();
+export async function searchEntries({
+  search,
+  platforms = [],
+  limit = 24,
+  offset = 0,
+}) {
+  const { libraries, ready, pending } = await readiness();
+  const term = String(search ?? "").trim();
+
+  if (ready.length > 0) {
+    const names = await indexedPlatformNames(ready, platforms);
+    // A platform nothing in the index is on matches nothing; without this the
+    // empty list would read as "no filter".
+    if (names?.length === 0) {
+      return { source: "index", indexBuilding: false, pending, entries: [] };
+    }
+
+    const trigram = Boolean(term) && (await detectTrigramSearch());
+    const statement = searchStatement({
+      ready,
+      search: term,
+      names,
+      limit,
+      offset,
+      trigram,
+    });
+
+    // The threshold is set for this statement's transaction only: SET LOCAL
+    // on a pooled connection would otherwise outlive the search, and `<%`
+    // reads it rather than taking it as an argument.
+    const result = trigram
+      ? await withTransaction(async (tx) => {
+          await tx(
+            "SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)",
+            [String(TYPO_THRESHOLD)],
+          );
+          return tx(statement.text, statement.params);
+        })
+      : await query(statement.text, statement.params);
 
-  if (await indexIsReady(kind)) {
-    const result = await query(
-      `SELECT ${COLUMNS} FROM ggr_library_entries
-        WHERE library_kind = $1 AND removed_at IS NULL AND name ILIKE $2
-        ORDER BY ${RECENCY_ORDER}
-        LIMIT $3 OFFSET $4`,
-      [kind, `%${search}%`, limit, offset],
-    );
     return {
       source: "index",
       indexBuilding: false,
+      pending,
       entries: result.rows.map(fromRow),
     };
   }
 
-  if (!library.capabilities().has(CAPABILITIES.SEARCH)) return building();
+  const answer = await fromBackend(libraries, pending, CAPABILITIES.SEARCH, {
+    limit,
+    offset,
+    search: term,
+    // Asked for, not left to the default. Omitting `order` means RECENT,
+    // which makes RomM sort a *search* by created_at desc and throws the
+    // backend's own ranking away -- the exact inference LIST_ORDERS exists
+    // to replace.
+    order: LIST_ORDERS.RELEVANCE,
+  });
 
+  // No backend takes a platform filter, so it is applied to the page it
+  // returned. A short page, until the index is ready, rather than entries
+  // from a platform nobody asked for.
+  const keys = new Set(platforms.map(platformKey).filter(Boolean));
+  if (keys.size === 0) return answer;
   return {
-    source: "backend",
-    indexBuilding: false,
-    entries: await library.listEntries({
-      limit,
-      offset,
-      search,
-      // Asked for, not left to the default. Omitting `order` means RECENT,
-      // which makes RomM sort a *search* by created_at desc and throws the
-      // backend's own ranking away -- the exact inference LIST_ORDERS exists
-      // to replace.
-      order: LIST_ORDERS.RELEVANCE,
-    }),
+    ...answer,
+    entries: answer.entries.filter((entry) =>
+      keys.has(platformKey(entry.platformName)),
+    ),
   };
 }
 
 /**
- * Entries for a set of IGDB ids, for cross-referencing.
+ * Entries for a set of IGDB ids, for cross-referencing, from every indexed
+ * library -- a game held by two of them comes back once from each.
  *
  * One query for the whole set. The code this replaces fetched the 2000 most
  * recently added ROMs and matched against that window, which on a 72k
  * library is wrong for about 97 percent of it.
  *
+ * An entry its backend gave no IGDB id is found by the one the matching
+ * stage put in force for it, if any (matching.js). The backend's own id wins
+ * when both are set, so a match never outlives the backend learning better.
+ *
  * There is deliberately no backend fallback here, so a caller must keep using
  * its existing cross-reference path for as long as `indexBuilding` is true.
  *
  * @param {Array<string|number>} igdbIds
- * @returns {Promise<{source: string, indexBuilding: boolean, entries: Array}>}
+ * @returns {Promise<{source: string, indexBuilding: boolean,
+ *   pending: string[], entries: Array}>}
  */
 export async function entriesByIgdbIds(igdbIds) {
   const ids = (igdbIds ?? [])
@@ -156,8 +423,7 @@ export async function entriesByIgdbIds(igdbIds) {
     .map((id) => (id === null || id === undefined ? null : String(id)))
     .filter(Boolean);
 
-  const library = getLibrary();
-  const kind = library.kind();
+  const { ready, pending } = await readiness();
 
   // Readiness is decided first, even when there is nothing to look up.
   //
@@ -171,21 +437,27 @@ export async function entriesByIgdbIds(igdbIds) {
   //
   // The short-circuit below is a saving on the entries table. It is not a
   // licence to skip the state the whole contract is built on.
-  if (!(await indexIsReady(kind))) return building();
+  //
+  // With several libraries the flag means "none of them can answer". One that
+  // can answers for itself, and the rest are named in `pending`.
+  if (ready.length === 0) return building(pending);
 
   if (ids.length === 0) {
-    return { source: "index", indexBuilding: false, entries: [] };
+    return { source: "index", indexBuilding: false, pending, entries: [] };
   }
 
   const result = await query(
     `SELECT ${COLUMNS} FROM ggr_library_entries
-      WHERE library_kind = $1 AND removed_at IS NULL AND igdb_id = ANY($2)`,
-    [kind, ids],
+      WHERE library_kind = ANY($1) AND removed_at IS NULL
+        AND (igdb_id = ANY($2)
+             OR (igdb_id IS NULL AND match_igdb_id = ANY($2)))`,
+    [ready, ids],
   );
 
   return {
     source: "index",
     indexBuilding: false,
+    pending,
     entries: result.rows.map(fromRow),
   };
 }
@@ -0,0 +1,226 @@
+/**
+ * What the library sync is doing and has done, for the admin dashboard, and
+ * the two changes an admin can make to its state between passes.
+ *
+ * Whether a pass is running is asked of Postgres rather than remembered here.
+ * With PM2_INSTANCES=max the pass may be on any worker, and the one serving
+ * the dashboard would only know about its own. The sync lock is the one
+ * thing every worker agrees on, so a library is running exactly when its
+ * lock is held.
+ *
+ * The changes take that same lock. Clearing the resume point under a running
+ * pass would have it write the next batch's offset straight back, and an
+ * override armed mid-pass would be cleared by a pass that never read it.
+ * Between passes neither race exists, and a pass that starts meanwhile
+ * simply waits a cycle.
+ */
+
+import { query as poolQuery, withClient } from "$lib/database.js";
+import { SWEEP_REFUSED, syncLockKey } from "./sync.js";
+
+/** The statuses a run in ggr_library_sync_runs can have (migration 034). */
+export const RUN_STATUSES = Object.freeze([
+  "running",
+  "completed",
+  "failed",
+  "interrupted",
+]);
+
+/**
+ * The sync state of each library, with the pass running on it, if any.
+ *
+ * `run` is the library's newest pass. While `running` is true it is the pass
+ * in progress -- its upserted count moves with every batch -- and otherwise
+ * the one that last finished. A run still marked running when the lock is
+ * free belongs to a worker that died mid-pass. `sweepRefused` is whether
+ * allowSweepOnce would accept, by the same test.
+ *
+ * @param {string[]} kinds - Configured library kinds, in order
+ * @returns {Promise<Array<{kind: string, state: Object|null, running: boolean,
+ *   run: Object|null, sweepRefused: boolean}>>}
+ */
+export async function syncStatus(kinds) {
+  const [states, locks, runs, completedRuns] = await Promise.all([
+    poolQuery(
+      `SELECT library_kind, last_started_at, last_completed_at, last_error,
+              entry_count, resume_offset, resume_upserted, sweep_override
+         FROM ggr_library_sync_state
+        WHERE library_kind = ANY($1)`,
+      [kinds],
+    ),
+    // A one-key advisory lock shows in pg_locks as classid = the key's high
+    // half, objid = its low half, objsubid = 1; the keys are small, so the
+    // high half is 0. pg_locks spans every database on the server, hence the
+    // database filter.
+    poolQuery(
+      `SELECT objid::bigint AS key
+         FROM pg_locks
+        WHERE locktype = 'advisory' AND granted
+          AND classid = 0 AND objsubid = 1
+          AND database = (SELECT oid FROM pg_database
+                           WHERE datname = current_database())
+          AND objid::bigint = ANY($1::bigint[])`,
+      [kinds.map(syncLockKey)],
+    ),
+    poolQuery(
+      `SELECT DISTINCT ON (r.library_kind) r.*,
+              COALESCE(u.name, u.username) AS requested_by_name
+         FROM ggr_library_sync_runs r
+         LEFT JOIN ggr_users u ON u.id = r.requested_by
+        WHERE r.library_kind = ANY($1)
+        ORDER BY r.library_kind, r.started_at DESC, r.id DESC`,
+      [kinds],
+    ),
+    poolQuery(
+      `SELECT DISTINCT ON (library_kind) library_kind, sweep_blocked
+         FROM ggr_library_sync_runs
+        WHERE library_kind = ANY($1) AND status = 'completed'
+        ORDER BY library_kind, started_at DESC, id DESC`,
+      [kinds],
+    ),
+  ]);
+
+  const held = new Set(locks.rows.map((row) => Number(row.key)));
+  const stateOf = new Map(states.rows.map((row) => [row.library_kind, row]));
+  const runOf = new Map(runs.rows.map((row) => [row.library_kind, row]));
+  const completedOf = new Map(
+    completedRuns.rows.map((row) => [row.library_kind, row]),
+  );
+
+  return kinds.map((kind) => {
+    const state = stateOf.get(kind) ?? null;
+    const completed = completedOf.get(kind) ?? null;
+    return {
+      kind,
+      state,
+      running: held.has(syncLockKey(kind)),
+      run: runOf.get(kind) ?? null,
+      sweepRefused:
+        Boolean(state?.last_error?.startsWith(SWEEP_REFUSED)) ||
+        completed?.sweep_blocked === true,
+    };
+  });
+}
+
+/**
+ * Past and current passes, newest first.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.kind] - Only this library's passes
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{runs: Object[], total: number}>}
+ */
+export async function listRuns({ kind = null, limit = 50, offset = 0 } = {}) {
+  const params = [];
+  let where = "";
+  if (kind) {
+    params.push(kind);
+    where = "WHERE r.library_kind = $1";
+  }
+
+  const [rows, count] = await Promise.all([
+    poolQuery(
+      `SELECT r.*, COALESCE(u.name, u.username) AS requested_by_name,
+              EXTRACT(EPOCH FROM (r.finished_at - r.started_at))::float
+                AS duration_seconds
+         FROM ggr_library_sync_runs r
+         LEFT JOIN ggr_users u ON u.id = r.requested_by
+         ${where}
+        ORDER BY r.started_at DESC, r.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset],
+    ),
+    poolQuery(
+      `SELECT COUNT(*)::int AS total FROM ggr_library_sync_runs r ${where}`,
+      params,
+    ),
+  ]);
+
+  return { runs: rows.rows, total: count.rows[0]?.total ?? 0 };
+}
+
+/**
+ * Forget where an interrupted pass stopped, so the next one walks the whole
+ * library from the start.
+ *
+ * For a resume point that keeps landing on a page the backend cannot serve:
+ * every resumed pass starts on exactly that page. Nothing is lost but the
+ * walk's position; the rows the interrupted runs wrote stay indexed.
+ *
+ * @param {string} kind - Library kind
+ * @returns {Promise<{done: boolean, reason: string|null}>} reason is "locked"
+ *   while a pass is running, or "nothing_to_clear"
+ */
+export async function clearResumePoint(kind) {
+  return withSyncLock(kind, async (query) => {
+    const result = await query(
+      `UPDATE ggr_library_sync_state
+          SET resume_offset = NULL, resume_upserted = NULL
+        WHERE library_kind = $1 AND resume_offset IS NOT NULL
+        RETURNING library_kind`,
+      [kind],
+    );
+    return result.rows.length > 0
+      ? { done: true, reason: null }
+      : { done: false, reason: "nothing_to_clear" };
+  });
+}
+
+/**
+ * Let the next pass that sweeps remove what it did not see, however much of
+ * the library that is.
+ *
+ * Only after a refusal: the override answers "yes, those games really are
+ * gone" to a sweep that asked, and arming it in advance would switch the
+ * guard off for a refusal nobody has looked at. A refusal is the library's
+ * last_error, or the newest completed pass's when a failure has since
+ * replaced that.
+ *
+ * @param {string} kind - Library kind
+ * @returns {Promise<{done: boolean, reason: string|null}>} reason is "locked"
+ *   while a pass is running, or "not_refused"
+ */
+export async function allowSweepOnce(kind) {
+  return withSyncLock(kind, async (query) => {
+    const result = await query(
+      `UPDATE ggr_library_sync_state state
+          SET sweep_override = TRUE
+        WHERE state.library_kind = $1
+          AND (state.last_error LIKE ($2 || '%')
+               OR COALESCE((SELECT run.sweep_blocked
+                              FROM ggr_library_sync_runs run
+                             WHERE run.library_kind = $1
+                               AND run.status = 'completed'
+                             ORDER BY run.started_at DESC, run.id DESC
+                             LIMIT 1), FALSE))
+        RETURNING library_kind`,
+      [kind, SWEEP_REFUSED],
+    );
+    return result.rows.length > 0
+      ? { done: true, reason: null }
+      : { done: false, reason: "not_refused" };
+  });
+}
+
+/**
+ * Run `fn` holding one library's sync lock, or not at all.
+ *
+ * On one client, for the reason syncLibrary gives: the lock is session-scoped.
+ * Not waiting for it either: a pass can hold it for an hour.
+ */
+async function withSyncLock(kind, fn) {
+  const lockKey = syncLockKey(kind);
+  return withClient(async (query) => {
+    const lock = await query("SELECT pg_try_advisory_lock($1) AS locked", [
+      lockKey,
+    ]);
+    if (!lock.rows[0]?.locked) return { done: false, reason: "locked" };
+
+    try {
+      return await fn(query);
+    } finally {
+      await query("SELECT pg_advisory_unlock($1)", [lockKey]).catch(() => {});
+    }
+  });
+}
@@ -12,10 +12,16 @@
  * it is session-scoped. And every timestamp it compares comes from the
  * database, because the app's clock and Postgres's clock are not the same
  * clock -- see sweep().
+ *
+ * Each pass that wins the lock is recorded in ggr_library_sync_runs (migration
+ * 034), for the admin dashboard. Those writes are for people reading the
+ * history, so one that fails is logged and the pass goes on.
  */
 
 import { withClient } from "$lib/database.js";
 import { getLibrary } from "$lib/library/index.js";
+import { LIBRARY_KINDS } from "./config.js";
+import { fulfilRequestsFromEntries } from "./fulfil.js";
 import { CAPABILITIES } from "./types.js";
 
 /**
@@ -24,6 +30,26 @@ import { CAPABILITIES } from "./types.js";
  */
 export const ADVISORY_LOCK_KEY = 4919002;
 
+/**
+ * The sync lock for one library.
+ *
+ * One lock per library, not one for all of them: a RomM walk can take an hour,
+ * and a Gaseous pass due in the meantime must not lose every cycle to it. Each
+ * kind is offset from ADVISORY_LOCK_KEY by its place in LIBRARY_KINDS, so RomM
+ * -- the first, and the only library there was when the lock was introduced
+ * -- still takes exactly the key it always took, and a RomM worker from before
+ * this still excludes one from after it during a rolling restart.
+ *
+ * @param {string} kind - Library kind
+ * @returns {number}
+ */
+export function syncLockKey(kind) {
+  const slot = LIBRARY_KINDS.indexOf(kind);
+  // An unknown kind is a backend built wrong, and gets the base key rather
+  // than a number nobody chose.
+  return ADVISORY_LOCK_KEY + Math.max(slot, 0);
+}
+
 const DEFAULT_BATCH_SIZE = 500;
 
 /**
@@ -35,6 +61,18 @@ const DEFAULT_BATCH_SIZE = 500;
  */
 const DEFAULT_MAX_SWEEP_RATIO = 0.5;
 
+/** Passes kept per library in ggr_library_sync_runs; older ones are pruned. */
+export const RUN_HISTORY_LIMIT = 200;
+
+/**
+ * How last_error begins when the sweep refused, which is how runs.js tells a
+ * refusal from a failure.
+ */
+export const SWEEP_REFUSED = "sweep refused:";
+
+/** What can start a pass, as ggr_library_sync_runs.trigger records it. */
+export const SYNC_TRIGGERS = ["schedule", "manual"];
+
 /**
  * Run one sync pass, if this worker wins the lock.
  *
@@ -48,19 +86,42 @@ const DEFAULT_MAX_SWEEP_RATIO = 0.5;
  * permanently as soon as there is concurrent traffic.
  *
  * @param {Object} [options]
+ * @param {Object} [options.library] - The backend to sync; the primary
+ *   library when omitted
  * @param {number} [options.batchSize] - Entries per upsert
  * @param {number} [options.maxSweepRatio] - Largest share of the live index one
  *   pass may remove before the sweep refuses
+ * @param {boolean} [options.autoFulfil=false] - Fulfil approved requests that
+ *   an entry indexed for the first time satisfies (see fulfil.js)
+ * @param {boolean} [options.full=false] - Walk from the start even when an
+ *   interrupted pass left a resume point, so the pass can sweep
+ * @param {string} [options.trigger="schedule"] - One of SYNC_TRIGGERS, for
+ *   the run history
+ * @param {number|null} [options.requestedBy=null] - The admin who asked for
+ *   the pass, for the run history
+ * @param {(progress: {phase: "started"|"batch"|"completed"|"failed",
+ *   upserted: number, removed: number, fulfilled: number, resumed: boolean,
+ *   firstSeen: Array<Object>, error: string|null}) => void} [options.onProgress]
+ *   - Told when the pass starts, after each batch, and when it completes or
+ *   fails; `firstSeen` is the batch's newly indexed rows. For the live event
+ *   stream. Only a pass that won the lock reports, and a callback that throws
+ *   is logged rather than failing the pass.
  * @returns {Promise<{ran: boolean, completed: boolean, upserted: number,
- *   removed: number, sweepBlocked: boolean, resumed: boolean,
- *   reason: string|null}>}
+ *   removed: number, sweepBlocked: boolean, sweepOverridden: boolean,
+ *   resumed: boolean, fulfilled: number, reason: string|null}>}
  */
 export async function syncLibrary({
+  library = getLibrary(),
   batchSize = DEFAULT_BATCH_SIZE,
   maxSweepRatio = DEFAULT_MAX_SWEEP_RATIO,
+  autoFulfil = false,
+  full = false,
+  trigger = "schedule",
+  requestedBy = null,
+  onProgress = null,
 } = {}) {
-  const library = getLibrary();
   const kind = library.kind();
+  const lockKey = syncLockKey(kind);
 
   if (!library.capabilities().has(CAPABILITIES.SYNC)) {
     // Mandatory, so this means a backend was built wrong rather than an
@@ -71,7 +132,9 @@ export async function syncLibrary({
       upserted: 0,
       removed: 0,
       sweepBlocked: false,
+      sweepOverridden: false,
       resumed: false,
+      fulfilled: 0,
       reason: "unsupported",
     };
   }
@@ -80,7 +143,7 @@ export async function syncLibrary({
     // instances: "max" means a bare interval runs once per CPU core. Not
     // blocking: a cycle we lose is a cycle another worker is already running.
     const lock = await query("SELECT pg_try_advisory_lock($1) AS locked", [
-      ADVISORY_LOCK_KEY,
+      lockKey,
     ]);
 
     if (!lock.rows[0]?.locked) {
@@ -90,7 +153,9 @@ export async function syncLibrary({
         upserted: 0,
         removed: 0,
         sweepBlocked: false,
+        sweepOverridden: false,
         resumed: false,
+        fulfilled: 0,
         reason: "locked",
       };
     }
@@ -99,7 +164,30 @@ export async function syncLibrary({
     let removed = 0;
     let completed = false;
     let sweepBlocked = false;
+    let sweepOverridden = false;
     let resumed = false;
+    let fulfilled = 0;
+    let runId = null;
+
+    const report = (phase, { firstSeen = [], error = null } = {}) => {
+      if (!onProgress) return;
+      try {
+        onProgress({
+          phase,
+          upserted,
+          removed,
+          fulfilled,
+          resumed,
+          firstSeen,
+          error,
+        });
+      } catch (callbackError) {
+        console.warn(
+          `⚠️ Library sync for ${kind}: progress callback failed:`,
+          callbackError.message,
+        );
+      }
+    };
 
     try {
       // Where an interrupted pass stopped, if one did. RomM's /roms has no
@@ -115,14 +203,20 @@ export async function syncLibrary({
       // what makes worth pulling: the pages already taken are no longer
       // discarded on the way to finding a size that fits.
       const state = await query(
-        `SELECT resume_offset, resume_upserted
+        `SELECT resume_offset, resume_upserted, sweep_override
            FROM ggr_library_sync_state
           WHERE library_kind = $1`,
         [kind],
       );
 
-      const resumeOffset = Number(state.rows[0]?.resume_offset ?? 0) || 0;
+      // A full pass starts from zero on purpose: it is how an admin gets a
+      // pass that is allowed to sweep without waiting for the resumed one to
+      // finish first.
+      const resumeOffset = full
+        ? 0
+        : Number(state.rows[0]?.resume_offset ?? 0) || 0;
       resumed = resumeOffset > 0;
+      const overrideArmed = state.rows[0]?.sweep_override === true;
 
       if (resumed) {
         // last_started_at is deliberately NOT moved. It is the sweep's
@@ -154,11 +248,41 @@ export async function syncLibrary({
         );
       }
 
+      runId = await startRun(query, kind, {
+        trigger,
+        full,
+        requestedBy,
+        resumed,
+        upserted,
+      });
+
+      report("started");
+
       await library.syncEntries({
         batchSize,
         startOffset: resumeOffset,
         onBatch: async (entries, progress) => {
-          upserted += await upsertBatch(query, kind, entries);
+          const batch = await upsertBatch(query, kind, entries);
+          upserted += batch.written;
+
+          // Per batch rather than at the end, so a request is closed as soon as
+          // its game has landed, and a resumed pass has already closed the ones
+          // its earlier runs found. Never allowed to fail the pass: the index
+          // is the job, and a request left approved is what happened before
+          // this existed.
+          if (autoFulfil && batch.firstSeen.length > 0) {
+            try {
+              fulfilled += await fulfilRequestsFromEntries(
+                query,
+                batch.firstSeen,
+              );
+            } catch (error) {
+              console.warn(
+                `⚠️ Library sync for ${kind}: auto-fulfil failed for one batch:`,
+                error.message,
+              );
+            }
+          }
 
           // Recorded per batch, so what is resumed from is a page that
           // actually landed. A backend with no offset to report -- Retrom's
@@ -172,6 +296,15 @@ export async function syncLibrary({
               [kind, progress.nextOffset, upserted],
             );
           }
+
+          await recordRun(
+            query,
+            `UPDATE ggr_library_sync_runs SET upserted = $2, fulfilled = $3
+              WHERE id = $1`,
+            [runId, upserted, fulfilled],
+          );
+
+          report("batch", { firstSeen: batch.firstSeen });
         },
       });
 
@@ -202,7 +335,15 @@ export async function syncLibrary({
         );
         swept = null;
       } else {
-        swept = await sweep(query, kind, maxSweepRatio);
+        // An admin's override lifts the ratio for this one sweep. The ratio is
+        // the guard against a backend that answered empty; the override is an
+        // admin who has looked and says the removals are real.
+        sweepOverridden = overrideArmed;
+        swept = await sweep(
+          query,
+          kind,
+          sweepOverridden ? Infinity : maxSweepRatio,
+        );
         removed = swept.removed;
         sweepBlocked = swept.blocked;
       }
@@ -211,7 +352,7 @@ export async function syncLibrary({
       // sweepBlocked, so the counts below are always the ones this pass read.
       if (sweepBlocked) {
         const message =
-          `sweep refused: ${swept.stale} of ${swept.live} live entries ` +
+          `${SWEEP_REFUSED} ${swept.stale} of ${swept.live} live entries ` +
           `would have been removed, above LIBRARY_SYNC_MAX_SWEEP_RATIO=${maxSweepRatio}`;
 
         console.warn(`⚠️ Library sync for ${kind}: ${message}`);
@@ -242,16 +383,44 @@ export async function syncLibrary({
           [kind, upserted],
         );
       }
+
+      // Spent by the sweep it was armed for, and by nothing else.
+      if (sweepOverridden) {
+        await query(
+          `UPDATE ggr_library_sync_state SET sweep_override = FALSE
+            WHERE library_kind = $1`,
+          [kind],
+        );
+      }
+
+      await recordRun(
+        query,
+        `UPDATE ggr_library_sync_runs
+            SET status = 'completed', finished_at = NOW(), upserted = $2,
+                removed = $3, fulfilled = $4, sweep_blocked = $5,
+                sweep_overridden = $6
+          WHERE id = $1`,
+        [runId, upserted, removed, fulfilled, sweepBlocked, sweepOverridden],
+      );
+
+      report("completed");
     } catch (error) {
       console.error(`Library sync failed for ${kind}:`, error.message);
+      report("failed", { error: error.message });
       await query(
         "UPDATE ggr_library_sync_state SET last_error = $2 WHERE library_kind = $1",
         [kind, error.message],
       ).catch(() => {});
-    } finally {
-      await query("SELECT pg_advisory_unlock($1)", [ADVISORY_LOCK_KEY]).catch(
-        () => {},
+      await recordRun(
+        query,
+        `UPDATE ggr_library_sync_runs
+            SET status = 'failed', finished_at = NOW(), upserted = $2,
+                fulfilled = $3, error = $4
+          WHERE id = $1`,
+        [runId, upserted, fulfilled, error.message],
       );
+    } finally {
+      await query("SELECT pg_advisory_unlock($1)", [lockKey]).catch(() => {});
     }
 
     return {
@@ -260,12 +429,81 @@ export async function syncLibrary({
       upserted,
       removed,
       sweepBlocked,
+      sweepOverridden,
       resumed,
+      fulfilled,
       reason: null,
     };
   });
 }
 
+/**
+ * Open this pass's row in the run history.
+ *
+ * Called with the lock held, so no other pass on this library is running, and
+ * a row still marked running belongs to a process that died mid-pass: it is
+ * closed as interrupted here, since nothing else ever will. The history is
+ * pruned in the same place, once per pass.
+ *
+ * @param {Function} query - Bound to the pass's single client
+ * @param {string} kind - Library kind
+ * @returns {Promise<number|null>} The run's id, or null when it could not be
+ *   recorded
+ */
+async function startRun(
+  query,
+  kind,
+  { trigger, full, requestedBy, resumed, upserted },
+) {
+  await recordRun(
+    query,
+    `UPDATE ggr_library_sync_runs SET status = 'interrupted'
+      WHERE library_kind = $1 AND status = 'running'`,
+    [kind],
+  );
+  await recordRun(
+    query,
+    `DELETE FROM ggr_library_sync_runs
+      WHERE library_kind = $1
+        AND id NOT IN (SELECT id FROM ggr_library_sync_runs
+                        WHERE library_kind = $1
+                        ORDER BY started_at DESC, id DESC
+                        LIMIT $2)`,
+    [kind, RUN_HISTORY_LIMIT - 1],
+  );
+
+  const result = await recordRun(
+    query,
+    `INSERT INTO ggr_library_sync_runs
+       (library_kind, trigger, full_pass, requested_by, resumed, upserted)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [
+      kind,
+      SYNC_TRIGGERS.includes(trigger) ? trigger : "schedule",
+      full,
+      requestedBy,
+      resumed,
+      upserted,
+    ],
+  );
+  return result?.rows?.[0]?.id ?? null;
+}
+
+/**
+ * One write to the run history, which never fails the pass.
+ *
+ * @returns {Promise<Object|null>} The result, or null when the write failed
+ */
+async function recordRun(query, text, params) {
+  try {
+    return await query(text, params);
+  } catch (error) {
+    console.warn("⚠️ Library sync: could not record the run:", error.message);
+    return null;
+  }
+}
+
 /**
  * The last occurrence of each library_id.
  *
@@ -309,13 +547,20 @@ function dedupeByLibraryId(entries) {
  * left the read wrong by the app container's offset, because the driver
  * reapplies the local zone when it builds a Date from naive digits.
  *
+ * `first_seen` is decided by the database too. first_seen_at defaults to
+ * NOW(), which is the statement's transaction timestamp, and an update leaves
+ * it alone -- so within this statement the two are equal only for a row it has
+ * just inserted. An `xmax = 0` test says the same thing through a detail of
+ * Postgres's row versioning; this says it through the column's meaning.
+ *
  * @param {Function} query - Bound to the pass's single client
  * @param {string} kind - Library kind
  * @param {Array<Object>} rawEntries - One batch, as the backend produced it
- * @returns {Promise<number>} - Rows written
+ * @returns {Promise<{written: number, firstSeen: Array<Object>}>} - Rows
+ *   written, and the rows this batch indexed for the first time
  */
 async function upsertBatch(query, kind, rawEntries) {
-  if (!rawEntries?.length) return 0;
+  if (!rawEntries?.length) return { written: 0, firstSeen: [] };
 
   const entries = dedupeByLibraryId(rawEntries);
 
@@ -340,7 +585,9 @@ async function upsertBatch(query, kind, rawEntries) {
        path = EXCLUDED.path,
        added_at = EXCLUDED.added_at,
        synced_at = NOW(),
-       removed_at = NULL`,
+       removed_at = NULL
+     RETURNING id, igdb_id, name, platform_name,
+               first_seen_at = NOW() AS first_seen`,
     [
       kind,
       entries.map((entry) => entry.id),
@@ -354,7 +601,10 @@ async function upsertBatch(query, kind, rawEntries) {
     ],
   );
 
-  return result.rowCount ?? entries.length;
+  return {
+    written: result.rowCount ?? entries.length,
+    firstSeen: (result.rows ?? []).filter((row) => row.first_seen),
+  };
 }
 
 /**
@@ -0,0 +1,97 @@
+/**
+ * A game's title from the name of the file or directory it is kept in.
+ *
+ * ROM sets name files after a convention -- No-Intro, TOSEC, Redump -- that
+ * puts everything but the title in brackets: "Super Metroid (Japan, USA)
+ * (En,Ja).sfc", "Final Fantasy VII (Disc 1) (Rev 1).chd", "Sonic the
+ * Hedgehog [!].md". Searching IGDB for the whole name finds nothing, and
+ * showing it on a shelf is noise, so the brackets go.
+ *
+ * Deliberately import-free, like romm-fields.js: a backend reads names with it
+ * and nothing about that needs configuration.
+ */
+
+/**
+ * Extensions a file name is read without. Short and alphanumeric is the test
+ * rather than a list of ROM formats, which would never be complete; a dot
+ * inside a title ("Dr. Mario", "Super Mario Bros. 3") is followed by a space
+ * or by nothing, so it does not look like one.
+ */
+const EXTENSION = /\.[a-z0-9]{1,5}$/i;
+
+/** (...) and [...] groups, wherever they are. */
+const BRACKETED = /\s*(\([^)]*\)|\[[^\]]*\])/g;
+
+/**
+ * The title a file or directory name stands for.
+ *
+ * @param {string} name - A file or directory name, not a path
+ * @param {Object} [options]
+ * @param {boolean} [options.isFile=true] - Drop an extension; a directory
+ *   has none, and "Half-Life 2.5" is not one
+ * @returns {string} The name itself when cleaning would leave nothing
+ */
+export function titleFromFileName(name, { isFile = true } = {}) {
+  const original = String(name ?? "").trim();
+  let title = isFile ? original.replace(EXTENSION, "") : original;
+
+  title = title
+    .replace(BRACKETED, " ")
+    // Underscores are how a file name spells a space, and a run of either is
+    // one space.
+    .replace(/_+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    // "Legend of Zelda, The" is how sets sort an article; titles lead with it.
+    .replace(/^(.*), (The|A|An)$/i, "$2 $1")
+    .replace(/[\s,-]+$/, "");
+
+  return title || original;
+}
+
+/**
+ * Markers a ROM name carries outside brackets too: "Final Fantasy VII Disc 1",
+ * "Doom Rev 2", "Quake v1.06", "Myst CD2", "Game - Side B". Anchored to the
+ * end of the name, where sets put them, so "Disc Jam" and "Revolution X" keep
+ * their titles.
+ */
+const TRAILING_MARKERS = [
+  /[\s_-]+(disc|disk|cd|dvd)[\s_-]*\d+(\s*of\s*\d+)?$/i,
+  /[\s_-]+side[\s_-]*[ab]$/i,
+  /[\s_-]+rev(ision)?[\s_.-]*[0-9a-z]{1,3}$/i,
+  /[\s_-]+v\d+(\.\d+)*[a-z]?$/i,
+];
+
+/**
+ * Region names a set spells without brackets, after a dash: "Tetris - USA",
+ * "Sonic the Hedgehog - Europe, Brazil".
+ */
+const TRAILING_REGION =
+  /\s+-\s+(usa|us|europe|eu|japan|jp|world|asia|korea|brazil|australia|germany|france|spain|italy|uk)(\s*,\s*[a-z]+)*$/i;
+
+/**
+ * The title an IGDB search should be given for a library entry's name.
+ *
+ * titleFromFileName, then the markers a ROM set leaves outside brackets. The
+ * name is read as a directory's -- an index entry's name is what its backend
+ * calls the game, not a file name, and "F.E.A.R" is not "F.E.A" with an
+ * extension.
+ *
+ * @param {string} name - A library entry's name
+ * @returns {string} The name itself when cleaning would leave nothing
+ */
+export function matchableTitle(name) {
+  let title = titleFromFileName(name, { isFile: false });
+
+  // Until nothing more comes off, since "Disc 1 Rev 2" carries two.
+  let previous;
+  do {
+    previous = title;
+    for (const marker of [...TRAILING_MARKERS, TRAILING_REGION]) {
+      title = title.replace(marker, "");
+    }
+    title = title.replace(/[\s,:-]+$/, "").trim();
+  } while (title !== previous);
+
+  return title || titleFromFileName(name, { isFile: false });
+}
@@ -23,6 +23,19 @@ export const CAPABILITIES = Object.freeze({
   LIST_PLATFORMS: "LIST_PLATFORMS",
 });
 
+/**
+ * What each library kind is called where a person reads it.
+ *
+ * Here rather than in config.js because a page needs it too, and config.js
+ * reads the server's environment. A kind missing from it is shown as itself.
+ */
+export const LIBRARY_NAMES = Object.freeze({
+  romm: "RomM",
+  gaseous: "Gaseous",
+  retrom: "Retrom",
+  filesystem: "Local files",
+});
+
 /**
  * How listEntries should order its results.
  *
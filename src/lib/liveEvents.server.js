@@ -0,0 +1,226 @@
+/**
+ * Live updates for open pages and API clients, behind GET /api/events.
+ *
+ * What happens is published once, by whichever worker it happened on, with
+ * Postgres NOTIFY on one channel; every worker that has a stream open LISTENs
+ * on it and hands each event to its own subscribers. Postgres rather than
+ * Redis because Postgres is always there and Redis is optional (cache.js
+ * falls back to memory without it), and an event published into a Redis that
+ * is not configured would reach only the worker it started on -- with PM2 in
+ * cluster mode, a fraction of the open pages.
+ *
+ * The events, and what each carries in `data`:
+ *
+ *   request.created         the new request (see liveRequest)
+ *   request.status_changed  the request after the change, with `from`
+ *   request.progress        the request after a download progress report
+ *   request.assigned        the request after its assignee changed, with
+ *                           `assignee_user_id` (null when unassigned)
+ *   library.sync_progress   `phase` (started, batch, completed, failed) and
+ *                           the pass's counts so far
+ *   library.entry_added     games the index saw for the first time, as
+ *                           `entries`
+ *
+ * Nothing is stored or replayed. A page that was disconnected reloads what it
+ * shows when it reconnects, rather than this keeping a backlog per client;
+ * the streams are for keeping an open page current, and the delivery queue is
+ * for anything that must not be missed.
+ *
+ * Who hears what is decided at the stream by liveEventVisible, not here: a
+ * request's events go to its requester and to anyone holding
+ * request.view_all -- request.assigned only to the latter -- and the
+ * library's to everyone signed in.
+ */
+
+import { listen, query } from "$lib/database.js";
+
+export const LIVE_EVENT_TYPES = [
+  "request.created",
+  "request.status_changed",
+  "request.progress",
+  "request.assigned",
+  "library.sync_progress",
+  "library.entry_added",
+];
+
+const CHANNEL = "ggr_live_events";
+
+// NOTIFY refuses a payload of 8000 bytes or more. The request fields below
+// stay well under it; the library sends its entries in chunks of this many.
+const MAX_PAYLOAD_BYTES = 7500;
+export const ENTRIES_PER_EVENT = 25;
+
+// The listener is closed this long after the last stream does, so a page
+// reloading -- a close and an open a moment apart -- keeps the same
+// connection rather than giving it back to the pool and taking it again.
+const LISTENER_LINGER_MS = 60 * 1000;
+const RELISTEN_DELAY_MS = 5 * 1000;
+
+const subscribers = new Set();
+
+let publishing = Promise.resolve();
+
+let listening = null;
+let lingerTimer = null;
+let relistenTimer = null;
+
+/**
+ * The fields of a request a live page needs, and no more. A whole row would
+ * carry the description and reason, which every open page has already loaded
+ * and which could push a payload past what NOTIFY accepts.
+ *
+ * @param {Object} row - A ggr_game_requests row
+ * @returns {Object}
+ */
+export function liveRequest(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id ?? null,
+    user_name: row.user_name ?? null,
+    title: row.title,
+    igdb_id: row.igdb_id ?? null,
+    request_type: row.request_type ?? null,
+    priority: row.priority ?? null,
+    status: row.status,
+    admin_notes: row.admin_notes ?? null,
+    progress_state: row.progress_state ?? null,
+    progress_percent: row.progress_percent ?? null,
+    created_at: row.created_at ?? null,
+    updated_at: row.updated_at ?? null,
+  };
+}
+
+/**
+ * Tell every open stream, on every worker. Never throws: a page missing an
+ * update must not turn the write that caused it into an error.
+ *
+ * One at a time, in the order they were published. Each NOTIFY takes its own
+ * pooled client, and two issued together can commit in either order -- a
+ * download's first progress report publishes the status change and then the
+ * progress, and a page receiving them the other way round would show the
+ * percent from before the report.
+ *
+ * @param {string} type - One of LIVE_EVENT_TYPES
+ * @param {Object} data
+ * @returns {Promise<void>}
+ */
+export function publishLiveEvent(type, data) {
+  const payload = JSON.stringify({ type, data, at: new Date().toISOString() });
+  if (Buffer.byteLength(payload) > MAX_PAYLOAD_BYTES) {
+    console.warn(`⚠️ Live event ${type} too large to publish; dropped`);
+    return Promise.resolve();
+  }
+
+  publishing = publishing.then(async () => {
+    try {
+      await query("SELECT pg_notify($1, $2)", [CHANNEL, payload]);
+    } catch (error) {
+      console.warn(`Failed to publish live event ${type}:`, error.message);
+    }
+  });
+  return publishing;
+}
+
+/**
+ * Publish a request's event, shaped by liveRequest.
+ *
+ * @param {string} type - A request.* event
+ * @param {Object} row - The ggr_game_requests row after the change
+ * @param {Object} [extra] - Merged into `data`, e.g. `{ from }`
+ * @returns {Promise<void>}
+ */
+export function publishRequestEvent(type, row, extra = {}) {
+  return publishLiveEvent(type, { request: liveRequest(row), ...extra });
+}
+
+/**
+ * Receive every live event published from now on, on any worker.
+ *
+ * @param {(event: {type: string, data: Object, at: string}) => void} handler
+ * @returns {() => void} - Unsubscribes
+ */
+export function subscribeLiveEvents(handler) {
+  subscribers.add(handler);
+  clearTimeout(lingerTimer);
+  lingerTimer = null;
+  startListening();
+
+  return () => {
+    subscribers.delete(handler);
+    if (subscribers.size === 0 && !lingerTimer) {
+      lingerTimer = setTimeout(stopListening, LISTENER_LINGER_MS);
+      lingerTimer.unref?.();
+    }
+  };
+}
+
+/**
+ * Whether a stream's viewer may see an event.
+ *
+ * @param {{type: string, data: Object}} event
+ * @param {Object} viewer
+ * @param {number} viewer.userId - Local ggr_users id
+ * @param {boolean} viewer.viewAll - Holds request.view_all
+ * @param {boolean} viewer.requests - May read requests at all (an API key's
+ *   requests:read; always true for a session)
+ * @param {boolean} viewer.library - May read the library (an API key's
+ *   games:read; always true for a session)
+ * @returns {boolean}
+ */
+export function liveEventVisible(event, viewer) {
+  if (event.type.startsWith("library.")) return viewer.library;
+  if (!event.type.startsWith("request.") || !viewer.requests) return false;
+  if (viewer.viewAll) return true;
+  // Who on the staff is handling a request is the staff's business.
+  if (event.type === "request.assigned") return false;
+  return Number(event.data?.request?.user_id) === viewer.userId;
+}
+
+function startListening() {
+  if (listening || relistenTimer) return;
+
+  listening = listen(CHANNEL, deliver, (error) => {
+    console.warn("⚠️ Live event listener lost its connection:", error.message);
+    listening = null;
+    scheduleRelisten();
+  }).catch((error) => {
+    console.warn("⚠️ Live event listener failed to start:", error.message);
+    listening = null;
+    scheduleRelisten();
+    return null;
+  });
+}
+
+function scheduleRelisten() {
+  if (subscribers.size === 0 || relistenTimer) return;
+  relistenTimer = setTimeout(() => {
+    relistenTimer = null;
+    if (subscribers.size > 0) startListening();
+  }, RELISTEN_DELAY_MS);
+  relistenTimer.unref?.();
+}
+
+async function stopListening() {
+  lingerTimer = null;
+  if (subscribers.size > 0 || !listening) return;
+  const closing = listening;
+  listening = null;
+  const close = await closing;
+  await close?.();
+}
+
+function deliver(payload) {
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch {
+    return;
+  }
+  for (const handler of subscribers) {
+    try {
+      handler(event);
+    } catch (error) {
+      console.warn("Live event subscriber failed:", error.message);
+    }
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * Email: the SMTP settings, and sending what templates.js renders.
+ *
+ * The mail server is set in admin settings as `smtp.*` keys in
+ * ggr_system_settings, or with SMTP_* environment variables, which win -- as
+ * Gotify's do -- so a Compose file can set it up before anyone signs in. For
+ * testing, point it at MailHog or smtp4dev: host `mailhog`, port 1025,
+ * security none, no username.
+ *
+ * Every email goes through the delivery queue on the `email` channel, one
+ * delivery per recipient, with the rendered message in the payload. Unlike a
+ * notifier's, an email's content is fixed when it is queued: it was written
+ * for one person about one moment, and the digests that send most of them
+ * would not be rebuilt the same later. The SMTP settings are read when it
+ * sends, so correcting them fixes the retries already waiting.
+ */
+
+import crypto from "crypto";
+import { env } from "$env/dynamic/private";
+import { env as publicEnv } from "$env/dynamic/public";
+import { query } from "$lib/database.js";
+import { enqueueDelivery } from "$lib/deliveryQueue.server.js";
+import {
+  SMTP_DEFAULT_PORTS,
+  SMTP_SECURITY,
+  buildMessage,
+  parseAddress,
+  sendMail,
+} from "./smtp.js";
+import { renderTestEmail } from "./templates.js";
+
+/**
+ * The SMTP settings as admin settings shows them, shaped like a notifier's
+ * fields. Stored as `smtp.${name}`.
+ */
+export const MAIL_FIELDS = [
+  {
+    name: "host",
+    label: "SMTP Host",
+    type: "text",
+    placeholder: "smtp.example.org",
+    help: "Leave empty to turn email off",
+    required: true,
+  },
+  {
+    name: "security",
+    label: "Security",
+    type: "select",
+    options: [
+      { value: "starttls", label: "STARTTLS (port 587)" },
+      { value: "tls", label: "TLS (port 465)" },
+      { value: "none", label: "None (local test server)" },
+    ],
+    default: "starttls",
+  },
+  {
+    name: "port",
+    label: "Port",
+    type: "number",
+    placeholder: "587",
+    help: "Leave empty for the usual port for the security chosen",
+  },
+  {
+    name: "username",
+    label: "Username",
+    type: "text",
+    placeholder: "requests@example.org",
+    help: "Leave empty if the server does not need a login",
+  },
+  {
+    name: "password",
+    label: "Password",
+    type: "password",
+    placeholder: "",
+  },
+  {
+    name: "from",
+    label: "From Address",
+    type: "text",
+    placeholder: "G.G Requestz <requests@example.org>",
+    help: "Who emails come from; most providers require an address you own",
+    required: true,
+  },
+];
+
+const SETTING_PREFIX = "smtp.";
+
+// As for the notifiers: a queued send has the worker's time budget, a test
+// has someone watching who can wait for a slow greeting.
+const DELIVERY_TIMEOUT_MS = 10000;
+const TEST_TIMEOUT_MS = 20000;
+
+/**
+ * The SMTP fields with their settings keys, for the admin settings page.
+ *
+ * @returns {Object[]}
+ */
+export function describeMail() {
+  return MAIL_FIELDS.map((field) => ({
+    ...field,
+    key: `${SETTING_PREFIX}${field.name}`,
+  }));
+}
+
+/**
+ * A config from values keyed by field name, trimmed, with the defaults
+ * filled in. The port follows the security when it is not set.
+ *
+ * @param {Object} input
+ * @returns {{host: string, port: number, security: string, username: string, password: string, from: string}}
+ */
+export function mailConfigFromInput(input) {
+  const value = (name) =>
+    typeof input?.[name] === "string"
+      ? input[name].trim()
+      : input?.[name] === undefined || input?.[name] === null
+        ? ""
+        : String(input[name]);
+
+  const security = SMTP_SECURITY.includes(value("security"))
+    ? value("security")
+    : SMTP_SECURITY[0];
+  const port = Number.parseInt(value("port"), 10);
+
+  return {
+    host: value("host"),
+    port: Number.isInteger(port) ? port : SMTP_DEFAULT_PORTS[security],
+    security,
+    username: value("username"),
+    // Passwords may start or end with a space; only an absent one is empty.
+    password: typeof input?.password === "string" ? input.password : "",
+    from: value("from"),
+  };
+}
+
+/**
+ * Why a config cannot send, or null when it can.
+ *
+ * @param {Object} config - From mailConfigFromInput
+ * @returns {string|null}
+ */
+export function validateMailConfig({ host, port, from }) {
+  if (!host) return "Missing SMTP host";
+  if (/[\s/:]/.test(host)) return "The SMTP host is a name, not a URL";
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    return "Invalid SMTP port";
+  }
+  if (!from) return "Missing From address";
+  if (!parseAddress(from)) {
+    return "The From address must be an email address, optionally as Name <address>";
+  }
+  return null;
+}
+
+/**
+ * The SMTP config in force: the environment's when SMTP_HOST is set, the
+ * admin settings' otherwise.
+ *
+ * @returns {Promise<{config: Object, fromEnv: boolean}>}
+ */
+export async function getMailConfig() {
+  const fromEnv = envConfig();
+  if (fromEnv) return { config: fromEnv, fromEnv: true };
+
+  const result = await query(
+    "SELECT key, value FROM ggr_system_settings WHERE key = ANY($1)",
+    [MAIL_FIELDS.map((field) => `${SETTING_PREFIX}${field.name}`)],
+  );
+  const values = {};
+  for (const row of result.rows) {
+    values[row.key.slice(SETTING_PREFIX.length)] = row.value;
+  }
+  return { config: mailConfigFromInput(values), fromEnv: false };
+}
+
+/**
+ * Whether email can be sent: a config is in force and it validates. What
+ * decides whether the email channel is offered and used at all.
+ *
+ * @returns {Promise<boolean>}
+ */
+export async function isMailConfigured() {
+  try {
+    const { config } = await getMailConfig();
+    return validateMailConfig(config) === null;
+  } catch (error) {
+    console.warn("Failed to read the SMTP settings:", error.message);
+    return false;
+  }
+}
+
+/**
+ * The site's public URL without a trailing slash, for links in an email, or
+ * null when it is not set. Read from the public env module first, as oidc.js
+ * explains.
+ *
+ * @returns {string|null}
+ */
+export function siteUrl() {
+  const value = publicEnv.PUBLIC_SITE_URL ?? process.env.PUBLIC_SITE_URL;
+  return value ? value.replace(/\/+$/, "") : null;
+}
+
+/**
+ * Queue one rendered email for one recipient.
+ *
+ * Does not check that mail is configured: callers decide that once for a
+ * whole batch. An address that cannot be one is refused here rather than
+ * queued to fail ten times.
+ *
+ * @param {Object} email
+ * @param {string} email.to - Address
+ * @param {string} email.event - For the delivery log, e.g. "request.approved"
+ * @param {string} email.subject
+ * @param {string} email.text
+ * @param {string} email.html
+ * @returns {Promise<Object>} The stored delivery
+ */
+export async function queueEmail({ to, event, subject, text, html }) {
+  const recipient = parseAddress(to);
+  if (!recipient) {
+    throw new Error(`Not a usable email address: ${to}`);
+  }
+
+  return enqueueDelivery({
+    channel: "email",
+    event,
+    targetUrl: `mailto:${recipient.address}`,
+    payload: { to: recipient.address, subject, text, html },
+  });
+}
+
+/**
+ * Send one queued email. The transport deliveryQueue.server.js calls for the
+ * `email` channel.
+ *
+ * Answers with the server's reply code as the status, and `ok`, since 250 is
+ * not the 2xx the queue reads success from. A refusal throws, with the
+ * server's reply as the message.
+ *
+ * @param {Object} delivery - A ggr_webhook_deliveries row
+ * @returns {Promise<{status: number, ok: boolean, statusText: string, body: string}>}
+ */
+export async function deliverQueuedEmail(delivery) {
+  const { config } = await getMailConfig();
+  const invalid = validateMailConfig(config);
+  if (invalid) {
+    throw new Error(`Email is no longer configured: ${invalid}`);
+  }
+
+  return send(config, delivery.payload, {
+    messageId: delivery.delivery_uuid ?? delivery.id,
+    timeoutMs: DELIVERY_TIMEOUT_MS,
+  });
+}
+
+/**
+ * Send a test email straight away, bypassing the queue, with the config as
+ * typed into admin settings -- it need not be saved yet.
+ *
+ * @param {Object} input - Field values by field name
+ * @param {string} to - Usually the admin's own address
+ * @param {Object} [options]
+ * @param {string} [options.sentBy]
+ * @returns {Promise<{status: number, ok: boolean, statusText: string, body: string}>}
+ * @throws {Error} For an unusable config or address, with a message fit for
+ *   the admin, and for anything the server refused
+ */
+export async function sendTestEmail(input, to, { sentBy } = {}) {
+  const config = mailConfigFromInput(input);
+  const invalid = validateMailConfig(config);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+  if (!parseAddress(to)) {
+    throw new Error(`Not a usable email address: ${to}`);
+  }
+
+  return send(
+    config,
+    { to, ...renderTestEmail({ sentBy, siteUrl: siteUrl() }) },
+    { messageId: crypto.randomUUID(), timeoutMs: TEST_TIMEOUT_MS },
+  );
+}
+
+async function send(config, { to, subject, text, html }, options) {
+  const sender = parseAddress(config.from);
+  const domain = sender.address.split("@")[1];
+  const message = buildMessage({
+    from: config.from,
+    to,
+    subject,
+    text,
+    html,
+    messageId: `${options.messageId}@${domain}`,
+  });
+
+  const reply = await sendMail(
+    config,
+    { from: sender.address, to: parseAddress(to).address, message },
+    { timeoutMs: options.timeoutMs },
+  );
+  return { status: reply.code, ok: true, statusText: "", body: reply.text };
+}
+
+function envConfig() {
+  const read = (name) => env[name] || process.env[name];
+  if (!read("SMTP_HOST")) return null;
+
+  return mailConfigFromInput({
+    host: read("SMTP_HOST"),
+    port: read("SMTP_PORT"),
+    security: read("SMTP_SECURITY"),
+    username: read("SMTP_USERNAME"),
+    password: read("SMTP_PASSWORD"),
+    from: read("SMTP_FROM"),
+  });
+}
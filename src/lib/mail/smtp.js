@@ -0,0 +1,493 @@
+/**
+ * Just enough SMTP to hand one message to a mail server, and nothing more.
+ *
+ * ## Why this exists instead of a dependency
+ *
+ * Everything the app sends by email goes to one configured server -- a
+ * provider's submission port, the install's own relay, or a stand-in such as
+ * MailHog or smtp4dev while testing -- one message at a time, from the delivery
+ * queue. Nodemailer does that and a great deal more: pooling, DKIM, OAuth2,
+ * attachments, a dozen transports. Nothing here would use any of it, and the
+ * queue already owns retries and timeouts, which a mail library would want to
+ * own as well.
+ *
+ * The part of the protocol a submission client needs is small and has not
+ * moved in twenty years: a greeting, EHLO, STARTTLS, AUTH, one envelope and the
+ * DATA that follows it. That is what is implemented here, over node's own
+ * `net` and `tls`.
+ *
+ * ## What is and is not implemented
+ *
+ * **Three ways to connect.** `starttls` connects in the clear and upgrades
+ * before anything else is said, and refuses to go on if the server does not
+ * offer it (port 587). `tls` is TLS from the first byte (port 465). `none`
+ * never encrypts, for a stand-in on the same host or network (MailHog listens
+ * on 1025). Certificates are always verified: a self-signed test server is
+ * what `none` is for.
+ *
+ * **AUTH PLAIN, or LOGIN when that is all there is.** Both send the password
+ * base64-encoded rather than hashed, which is why `starttls` will not carry
+ * them over a connection that did not upgrade. CRAM-MD5 and XOAUTH2 are not
+ * offered by the servers this is meant for, or not without an OAuth app.
+ *
+ * **One recipient per connection.** Each email is its own delivery, so that a
+ * bad address fails on its own in the delivery log rather than taking a whole
+ * digest's recipient list with it.
+ *
+ * **MIME is multipart/alternative, text and HTML, both base64.** Base64 keeps
+ * every body line short and ASCII whatever the template holds, so there is no
+ * line-length or 8BITMIME negotiation to get wrong. Non-ASCII in the subject
+ * or a display name is RFC 2047 encoded, and the headers are folded at spaces
+ * so that a long subject does not run past the line limit a server enforces.
+ */
+
+import crypto from "crypto";
+import net from "net";
+import os from "os";
+import tls from "tls";
+
+/** The ways to connect, the default first. */
+export const SMTP_SECURITY = ["starttls", "tls", "none"];
+
+/** The usual port for each, used when none is set. */
+export const SMTP_DEFAULT_PORTS = Object.freeze({
+  starttls: 587,
+  tls: 465,
+  none: 25,
+});
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// RFC 2045: base64 lines are at most 76 characters.
+const BASE64_LINE_LENGTH = 76;
+
+// RFC 2047 keeps each encoded word under 75 characters; 42 bytes of UTF-8
+// encode to 56, and with the `=?UTF-8?B?...?=` around them a word still fits
+// on one header line after `Subject: `.
+const ENCODED_WORD_BYTES = 42;
+
+// RFC 5322 section 2.1.1: header lines should be at most 78 characters, and
+// must be at most 998. A word that will not fit in 78 is encoded, so it can be.
+const HEADER_LINE_LENGTH = 78;
+
+const ADDRESS_PATTERN = /^[^\s<>@",;]+@[^\s<>@",;]+$/;
+
+/** A reply the server was not expected to give, or a connection that failed. */
+export class SmtpError extends Error {
+  constructor(command, code, text) {
+    super(
+      code
+        ? `The mail server refused ${command} with ${code}: ${text}`
+        : `${command}: ${text}`,
+    );
+    this.name = "SmtpError";
+    this.command = command;
+    this.responseCode = code;
+  }
+}
+
+/**
+ * An address, with or without a display name: `admin@example.org` or
+ * `G.G Requestz <requests@example.org>`.
+ *
+ * @param {string} value
+ * @returns {{name: string, address: string}|null} Null when it is not one
+ */
+export function parseAddress(value) {
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+
+  const named = trimmed.match(/^(.*?)\s*<([^<>]+)>$/);
+  const name = named ? named[1].replace(/^"(.*)"$/, "$1").trim() : "";
+  const address = named ? named[2].trim() : trimmed;
+
+  if (!ADDRESS_PATTERN.test(address) || /[\r\n]/.test(name)) return null;
+  return { name, address };
+}
+
+/**
+ * The full text of one email: headers and a multipart/alternative body with
+ * the text and HTML versions of the same message.
+ *
+ * @param {Object} message
+ * @param {string} message.from - Address, optionally with a display name
+ * @param {string} message.to - Address
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} message.html
+ * @param {Date} [message.date]
+ * @param {string} [message.messageId] - Without the angle brackets
+ * @returns {string} CRLF line endings, not yet dot-stuffed
+ */
+export function buildMessage({
+  from,
+  to,
+  subject,
+  text,
+  html,
+  date = new Date(),
+  messageId,
+}) {
+  const sender = parseAddress(from);
+  const recipient = parseAddress(to);
+  if (!sender) throw new Error(`Not a usable From address: ${from}`);
+  if (!recipient) throw new Error(`Not a usable email address: ${to}`);
+
+  const domain = sender.address.split("@")[1];
+  const boundary = `ggr-${crypto.randomBytes(12).toString("hex")}`;
+
+  return [
+    foldHeader("From", formatAddress(sender)),
+    foldHeader("To", formatAddress(recipient)),
+    foldHeader("Subject", encodeHeader(subject)),
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${messageId || `${crypto.randomUUID()}@${domain}`}>`,
+    "MIME-Version: 1.0",
+    // RFC 3834: tells out-of-office replies not to answer.
+    "Auto-Submitted: auto-generated",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(text),
+    `--${boundary}`,
+    "Content-Type: text/html; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+/**
+ * Send one message to one recipient.
+ *
+ * Resolves once the server has accepted the message for delivery -- its 250
+ * after DATA -- which is as far as SMTP can say. A bounce later is the mail
+ * server's business.
+ *
+ * @param {Object} config
+ * @param {string} config.host
+ * @param {number} config.port
+ * @param {string} config.security - One of SMTP_SECURITY
+ * @param {string} [config.username]
+ * @param {string} [config.password]
+ * @param {Object} envelope
+ * @param {string} envelope.from - Bare address, for MAIL FROM
+ * @param {string} envelope.to - Bare address, for RCPT TO
+ * @param {string} envelope.message - From buildMessage
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - For each reply, not the whole send
+ * @param {string} [options.clientName] - What to say in EHLO
+ * @returns {Promise<{code: number, text: string}>} The server's final reply
+ * @throws {SmtpError} For a refusal, with the server's reply; an Error named
+ *   TimeoutError when the server goes quiet
+ */
+export async function sendMail(
+  config,
+  { from, to, message },
+  { timeoutMs = DEFAULT_TIMEOUT_MS, clientName = os.hostname() } = {},
+) {
+  let socket = await open(config, timeoutMs);
+  let session = converse(socket);
+
+  try {
+    await session.expect("connect", 220);
+    let hello = await session.command(`EHLO ${clientName}`, 250);
+
+    if (config.security === "starttls") {
+      if (!extensions(hello).has("STARTTLS")) {
+        throw new SmtpError(
+          "STARTTLS",
+          null,
+          "The mail server does not offer STARTTLS; choose TLS or none",
+        );
+      }
+      await session.command("STARTTLS", 220);
+      session.detach();
+      socket = await upgrade(socket, config.host, timeoutMs);
+      session = converse(socket);
+      hello = await session.command(`EHLO ${clientName}`, 250);
+    }
+
+    if (config.username) {
+      await authenticate(session, hello, config);
+    }
+
+    await session.command(`MAIL FROM:<${from}>`, 250, "MAIL FROM");
+    await session.command(`RCPT TO:<${to}>`, [250, 251], "RCPT TO");
+    await session.command("DATA", 354);
+    const accepted = await session.command(
+      `${dotStuff(message)}\r\n.`,
+      250,
+      "the message",
+    );
+
+    // The message is accepted; a server that hangs up rather than saying
+    // goodbye changes nothing.
+    await session.command("QUIT", 221).catch(() => {});
+    return accepted;
+  } finally {
+    socket.destroy();
+  }
+}
+
+/** Connect, in the clear or over TLS, and wait until the socket is ready. */
+function open({ host, port, security }, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket =
+      security === "tls"
+        ? tls.connect({ host, port, servername: serverName(host) })
+        : net.connect({ host, port });
+    const ready = security === "tls" ? "secureConnect" : "connect";
+
+    guard(socket, timeoutMs);
+    socket.once(ready, () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+/** Upgrade a connection after STARTTLS. */
+function upgrade(socket, host, timeoutMs) {
+  // From here the TLS socket carries the traffic, times out and reports
+  // errors; the plain one underneath would otherwise idle out mid-send.
+  socket.setTimeout(0);
+  socket.on("error", () => {});
+
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: serverName(host) });
+    guard(secure, timeoutMs);
+    secure.once("secureConnect", () => {
+      secure.off("error", reject);
+      resolve(secure);
+    });
+    secure.once("error", reject);
+  });
+}
+
+/** Destroy a socket that goes quiet for longer than the timeout. */
+function guard(socket, timeoutMs) {
+  socket.setTimeout(timeoutMs, () => {
+    const error = new Error("Timed out waiting for the mail server");
+    error.name = "TimeoutError";
+    socket.destroy(error);
+  });
+}
+
+// SNI takes a host name; node warns when given an IP address.
+function serverName(host) {
+  return net.isIP(host) ? undefined : host;
+}
+
+/**
+ * Reads replies off a socket, one at a time, in order.
+ *
+ * A reply is one or more lines `250-...` ending with one `250 ...`; what the
+ * caller sees is the code and the text of every line.
+ */
+function converse(socket) {
+  let buffered = "";
+  const lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const flush = () => {
+    if (!waiting) return;
+    const last = lines.findIndex((line) => /^\d{3}(?: |$)/.test(line));
+    if (last !== -1) {
+      const reply = lines.splice(0, last + 1);
+      const { resolve } = waiting;
+      waiting = null;
+      resolve({
+        code: Number(reply[last].slice(0, 3)),
+        text: reply.map((line) => line.slice(4)).join("\n"),
+        lines: reply.map((line) => line.slice(4)),
+      });
+    } else if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffered += chunk.toString("utf8");
+    let end;
+    while ((end = buffered.indexOf("\n")) !== -1) {
+      lines.push(buffered.slice(0, end).replace(/\r$/, ""));
+      buffered = buffered.slice(end + 1);
+    }
+    flush();
+  };
+  const onError = (error) => {
+    failure = error;
+    flush();
+  };
+  const onClose = () => {
+    failure ??= new SmtpError(
+      "the connection",
+      null,
+      "The mail server closed the connection",
+    );
+    flush();
+  };
+
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  const read = () =>
+    new Promise((resolve, reject) => {
+      waiting = { resolve, reject };
+      flush();
+    });
+
+  const expect = async (label, expected) => {
+    const reply = await read();
+    const codes = Array.isArray(expected) ? expected : [expected];
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(label, reply.code, reply.text);
+    }
+    return reply;
+  };
+
+  return {
+    expect,
+    /**
+     * Send a line and read the reply. `label` names it in an error, so a
+     * password or a whole message is never what the error repeats.
+     */
+    command(line, expected, label = line.split(" ")[0]) {
+      socket.write(`${line}\r\n`);
+      return expect(label, expected);
+    },
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onError);
+      socket.off("close", onClose);
+    },
+  };
+}
+
+/** The keywords an EHLO reply advertised, upper-cased: STARTTLS, AUTH... */
+function extensions(hello) {
+  return new Set(
+    hello.lines.slice(1).map((line) => line.split(" ")[0].toUpperCase()),
+  );
+}
+
+async function authenticate(session, hello, { username, password = "" }) {
+  const offered = new Set(
+    hello.lines
+      .slice(1)
+      .filter((line) => /^AUTH[ =]/i.test(line))
+      .flatMap((line) => line.slice(5).toUpperCase().split(/\s+/)),
+  );
+
+  if (offered.has("PLAIN")) {
+    const token = Buffer.from(`\0${username}\0${password}`).toString("base64");
+    await session.command(`AUTH PLAIN ${token}`, 235, "AUTH PLAIN");
+    return;
+  }
+  if (offered.has("LOGIN")) {
+    await session.command("AUTH LOGIN", 334);
+    await session.command(base64(username), 334, "the username");
+    await session.command(base64(password), 235, "the password");
+    return;
+  }
+  throw new SmtpError(
+    "AUTH",
+    null,
+    offered.size > 0
+      ? `The mail server offers only ${[...offered].join(", ")}, and PLAIN or LOGIN is needed`
+      : "A username is set, but the mail server does not offer authentication",
+  );
+}
+
+/** RFC 5321 section 4.5.2: a line starting with a dot gets another. */
+function dotStuff(message) {
+  return message.replace(/\r?\n/g, "\r\n").replace(/^\./gm, "..");
+}
+
+function formatAddress({ name, address }) {
+  if (!name) return address;
+  const display = sendsAsIs(name)
+    ? `"${name.replace(/["\\]/g, "\\$&")}"`
+    : encodeHeader(name);
+  return `${display} <${address}>`;
+}
+
+/**
+ * A header value as it may be sent: ASCII as it is, anything else as RFC 2047
+ * encoded words, split so that no word is over-long and no character is cut
+ * in half. Line breaks are dropped, so a value cannot add a header.
+ */
+function encodeHeader(value) {
+  const flat = String(value ?? "").replace(/[\r\n]+/g, " ");
+  if (sendsAsIs(flat)) return flat;
+
+  const words = [];
+  let current = "";
+  for (const character of flat) {
+    if (
+      Buffer.byteLength(current + character, "utf8") > ENCODED_WORD_BYTES &&
+      current
+    ) {
+      words.push(current);
+      current = "";
+    }
+    current += character;
+  }
+  if (current) words.push(current);
+
+  return words.map((word) => `=?UTF-8?B?${base64(word)}?=`).join(" ");
+}
+
+/** Printable ASCII, in words short enough to fold between. */
+function sendsAsIs(value) {
+  return (
+    /^[\x20-\x7e]*$/.test(value) &&
+    value.split(" ").every((word) => word.length < HEADER_LINE_LENGTH)
+  );
+}
+
+/**
+ * `Name: value`, folded at spaces into lines of HEADER_LINE_LENGTH where the
+ * words allow. Unfolding only removes the line breaks, so the value reads back
+ * as it was; a run of spaces is never broken, which would leave a line of
+ * nothing but whitespace.
+ */
+function foldHeader(name, value) {
+  const [first, ...words] = value.split(" ");
+  const lines = [];
+  let line = `${name}: ${first}`;
+  for (const word of words) {
+    if (word && line.length + 1 + word.length > HEADER_LINE_LENGTH) {
+      lines.push(line);
+      line = ` ${word}`;
+    } else {
+      line += ` ${word}`;
+    }
+  }
+  lines.push(line);
+  return lines.join("\r\n");
+}
+
+function base64(value) {
+  return Buffer.from(String(value), "utf8").toString("base64");
+}
+
+function base64Lines(value) {
+  const encoded = base64(value ?? "");
+  const lines = [];
+  for (let start = 0; start < encoded.length; start += BASE64_LINE_LENGTH) {
+    lines.push(encoded.slice(start, start + BASE64_LINE_LENGTH));
+  }
+  return lines.join("\r\n");
+}
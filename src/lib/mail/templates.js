@@ -0,0 +1,521 @@
+/**
+ * What each email says, as a subject and matching text and HTML bodies.
+ *
+ * Every template is a plain function of its data and the site URL, with no
+ * database and no config, so what a requester receives can be read -- and
+ * tested -- without a mail server. The HTML is one centred card with inline
+ * styles and no images: mail clients strip <style> blocks and block remote
+ * images by default, and a message that only looks right with both is one
+ * most people see broken.
+ *
+ * Links are absolute, built on PUBLIC_SITE_URL. A mail client has no page to
+ * resolve a relative link against, so without the site URL a link is left out
+ * rather than sent broken, and the message says where to look instead.
+ */
+
+import { clip, escapeHtml } from "$lib/notifiers/format.js";
+
+const APP_NAME = "G.G Requestz";
+
+// Admins get the oldest first, and this many before "and N more".
+const DIGEST_LIST_LIMIT = 25;
+
+/**
+ * The per-request emails, by event. `lines` is the body as paragraphs; each
+ * is given the request, the recipient's role on it, and the notes or comment
+ * that came with the change.
+ */
+const REQUEST_EMAILS = {
+  "request.submitted": {
+    subject: (title) => `We got your request for ${title}`,
+    heading: "Request received",
+    lines: ({ request }) => [
+      request.status === "approved"
+        ? `Your request for "${request.title}" was received and approved straight away.`
+        : request.status === "awaiting_release"
+          ? `Your request for "${request.title}" was received. The game is not out yet, so it will wait for its release day and join the queue then.`
+          : `Your request for "${request.title}" was received. An admin will review it soon.`,
+      "We will email you again when it moves.",
+    ],
+    action: "View your request",
+  },
+  "request.approved": {
+    subject: (title) => `Approved: ${title}`,
+    heading: "Request approved",
+    lines: ({ request, role }) => [
+      role === "supporter"
+        ? `"${request.title}", a request you support, was approved.`
+        : `Your request for "${request.title}" was approved.`,
+      "It will be added to the library as soon as it is available.",
+    ],
+    action: "View the request",
+  },
+  "request.in_progress": {
+    subject: (title) => `Downloading: ${title}`,
+    heading: "Download started",
+    lines: ({ request }) => [`"${request.title}" is being downloaded.`],
+    action: "View the request",
+  },
+  "request.fulfilled": {
+    subject: (title) => `Ready to play: ${title}`,
+    heading: "Request fulfilled",
+    lines: ({ request }) => [
+      `"${request.title}" is in the library and ready to play.`,
+    ],
+    action: "Open the game",
+  },
+  "request.rejected": {
+    subject: (title) => `Not this time: ${title}`,
+    heading: "Request rejected",
+    lines: ({ request, role }) => [
+      role === "supporter"
+        ? `"${request.title}", a request you support, was turned down.`
+        : `Your request for "${request.title}" was turned down.`,
+    ],
+    action: "View the request",
+  },
+  "request.cancelled": {
+    subject: (title) => `Cancelled: ${title}`,
+    heading: "Request cancelled",
+    lines: ({ request }) => [`"${request.title}" was cancelled by an admin.`],
+    action: "View the request",
+  },
+  "request.comment": {
+    subject: (title) => `New comment on ${title}`,
+    heading: "New comment",
+    lines: ({ request, comment }) => [
+      `${comment?.author_name || "Someone"} commented on "${request.title}":`,
+    ],
+    action: "Reply",
+  },
+};
+
+/** The events there is a request email for. */
+export const REQUEST_EMAIL_EVENTS = Object.keys(REQUEST_EMAILS);
+
+/**
+ * The email for something that happened to a request.
+ *
+ * @param {Object} params
+ * @param {string} params.event - One of REQUEST_EMAIL_EVENTS
+ * @param {Object} params.request - The ggr_game_requests row
+ * @param {string} [params.recipientName]
+ * @param {string} [params.role] - "requester" or "supporter"
+ * @param {string|null} [params.notes] - Admin notes the change wrote, e.g. a
+ *   rejection reason
+ * @param {Object|null} [params.comment] - The ggr_request_comments row
+ * @param {string|null} [params.link] - Site-relative path to the request
+ * @param {string|null} [params.siteUrl]
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderRequestEmail({
+  event,
+  request,
+  recipientName = "",
+  role = "requester",
+  notes = null,
+  comment = null,
+  link = null,
+  siteUrl = null,
+}) {
+  const template = REQUEST_EMAILS[event];
+  if (!template) {
+    throw new Error(`No email template for ${event}`);
+  }
+
+  const quote =
+    event === "request.comment" && comment
+      ? clip(comment.body, 1000)
+      : notes
+        ? clip(notes, 1000)
+        : null;
+
+  return render({
+    subject: template.subject(request.title),
+    heading: template.heading,
+    greeting: recipientName,
+    paragraphs: template.lines({ request, role, comment }),
+    quote,
+    action: { label: template.action, url: absolute(link, siteUrl) },
+    footer: settingsFooter(siteUrl),
+  });
+}
+
+/**
+ * The admins' digest of requests waiting for review.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.requests - Pending ggr_game_requests rows, oldest
+ *   first: id, title, user_name, created_at, supporter_count
+ * @param {number} params.total - How many are pending, which may be more than
+ *   were passed
+ * @param {string} params.period - "daily" or "weekly"
+ * @param {string|null} [params.siteUrl]
+ * @param {Date} [params.now]
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderAdminDigest({
+  requests,
+  total,
+  period,
+  siteUrl = null,
+  now = new Date(),
+}) {
+  const shown = requests.slice(0, DIGEST_LIST_LIMIT);
+  const more = total - shown.length;
+
+  return render({
+    subject: `${total} ${plural(total, "request")} waiting for review`,
+    heading: "Requests waiting for review",
+    paragraphs: [
+      `${total} ${plural(total, "request is", "requests are")} pending. This is your ${period} digest.`,
+    ],
+    items: shown.map((request) => {
+      const supporters = Number(request.supporter_count) || 0;
+      return {
+        title: request.title,
+        detail: [
+          `by ${request.user_name || "unknown"}`,
+          `waiting ${age(request.created_at, now)}`,
+          supporters > 0
+            ? `${supporters} ${plural(supporters, "supporter")}`
+            : null,
+        ]
+          .filter(Boolean)
+          .join(" · "),
+      };
+    }),
+    after: more > 0 ? [`And ${more} more.`] : [],
+    action: {
+      label: "Review requests",
+      url: absolute("/admin/requests?status=pending", siteUrl),
+    },
+    footer: `You get this because you can approve requests. The digest is set in admin settings${siteUrl ? ` at ${absolute("/admin/settings", siteUrl)}` : ""}.`,
+  });
+}
+
+/**
+ * A user's weekly digest of watchlisted games added to the library.
+ *
+ * @param {Object} params
+ * @param {string} [params.recipientName]
+ * @param {Object[]} params.games - igdb_id, name, platforms (string[])
+ * @param {string|null} [params.siteUrl]
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderWatchlistDigest({
+  recipientName = "",
+  games,
+  siteUrl = null,
+}) {
+  const count = games.length;
+
+  return render({
+    subject:
+      count === 1
+        ? `${games[0].name} from your watchlist is now in the library`
+        : `${count} games from your watchlist are now in the library`,
+    heading: "New in the library",
+    greeting: recipientName,
+    paragraphs: [
+      `${count === 1 ? "A game" : `${count} games`} you are watching ${count === 1 ? "was" : "were"} added to the library this week:`,
+    ],
+    items: games.map((game) => ({
+      title: game.name,
+      detail: (game.platforms || []).join(", "),
+      url: absolute(`/game/${game.igdb_id}`, siteUrl),
+    })),
+    action: {
+      label: "Open your watchlist",
+      url: absolute("/profile?tab=watchlist", siteUrl),
+    },
+    footer: `You get this weekly because you asked to. Turn it off in your notification settings${siteUrl ? ` at ${absolute("/profile?tab=preferences", siteUrl)}` : ""}.`,
+  });
+}
+
+/** The per-game watchlist emails, by event, as REQUEST_EMAILS are. */
+const WATCHLIST_EMAILS = {
+  "watchlist.in_library": {
+    subject: (title) => `In the library: ${title}`,
+    heading: "Now in the library",
+    lines: ({ game }) => [
+      `"${game.title}", on your watchlist, has been added to the library.`,
+    ],
+    action: "Open the game",
+  },
+  "watchlist.released": {
+    subject: (title) => `Out now: ${title}`,
+    heading: "Released",
+    lines: ({ game }) => [
+      `"${game.title}", on your watchlist, has been released.`,
+      "It is not in the library yet. Request it from your watchlist and an admin will take a look.",
+    ],
+    action: "Open your watchlist",
+  },
+};
+
+/**
+ * The email for a watched game that landed in the library or came out.
+ *
+ * @param {Object} params
+ * @param {string} params.event - `watchlist.in_library` or `watchlist.released`
+ * @param {{igdb_id: string, title: string}} params.game
+ * @param {string} [params.recipientName]
+ * @param {string|null} [params.link] - Site-relative path to the game or the
+ *   watchlist
+ * @param {string|null} [params.siteUrl]
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderWatchlistEmail({
+  event,
+  game,
+  recipientName = "",
+  link = null,
+  siteUrl = null,
+}) {
+  const template = WATCHLIST_EMAILS[event];
+  if (!template) {
+    throw new Error(`No email template for ${event}`);
+  }
+
+  return render({
+    subject: template.subject(game.title),
+    heading: template.heading,
+    greeting: recipientName,
+    paragraphs: template.lines({ game }),
+    action: { label: template.action, url: absolute(link, siteUrl) },
+    footer: settingsFooter(siteUrl),
+  });
+}
+
+/**
+ * The email telling a requester or supporter that their request was merged
+ * into another one for the same game, which they now support.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.requests - The merged ggr_game_requests rows this
+ *   recipient was behind
+ * @param {Object} params.survivor - The row they were merged into
+ * @param {string} [params.recipientName]
+ * @param {string|null} [params.link] - Site-relative path to the survivor
+ * @param {string|null} [params.siteUrl]
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderMergeEmail({
+  requests,
+  survivor,
+  recipientName = "",
+  link = null,
+  siteUrl = null,
+}) {
+  const titles = [...new Set(requests.map((request) => request.title))];
+  const merged =
+    titles.length === 1 && titles[0] === survivor.title
+      ? `Your request for "${survivor.title}" was merged into another request for the same game.`
+      : `${titles.map((title) => `"${title}"`).join(", ")} ${titles.length === 1 ? "was" : "were"} merged into the request for "${survivor.title}".`;
+
+  return render({
+    subject: `Merged: ${survivor.title}`,
+    heading: "Request merged",
+    greeting: recipientName,
+    paragraphs: [
+      merged,
+      "You now support that request, so nothing is lost: we will email you when it moves.",
+    ],
+    action: { label: "View the request", url: absolute(link, siteUrl) },
+    footer: settingsFooter(siteUrl),
+  });
+}
+
+/**
+ * The email telling an admin that requests were assigned to them: the one
+ * request, or a list when a bulk action assigned several.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.requests - The ggr_game_requests rows: id, title,
+ *   status
+ * @param {string|null} [params.actor] - Who assigned them
+ * @param {string} [params.recipientName]
+ * @param {string|null} [params.link] - Site-relative path to the request, or
+ *   to the queue filtered to the recipient's
+ * @param {string|null} [params.siteUrl]
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderAssignmentEmail({
+  requests,
+  actor = null,
+  recipientName = "",
+  link = null,
+  siteUrl = null,
+}) {
+  const count = requests.length;
+  const by = actor ? ` by ${actor}` : "";
+  const shown = requests.slice(0, DIGEST_LIST_LIMIT);
+
+  return render({
+    subject:
+      count === 1
+        ? `Assigned to you: ${requests[0].title}`
+        : `${count} requests assigned to you`,
+    heading: "Assigned to you",
+    greeting: recipientName,
+    paragraphs: [
+      count === 1
+        ? `"${requests[0].title}" was assigned to you${by}.`
+        : `${count} requests were assigned to you${by}:`,
+    ],
+    items:
+      count === 1
+        ? []
+        : shown.map((request) => ({
+            title: request.title,
+            detail: request.status?.replaceAll("_", " ") ?? "",
+            url: absolute(`/admin/requests/${request.id}`, siteUrl),
+          })),
+    after: count > shown.length ? [`And ${count - shown.length} more.`] : [],
+    action: {
+      label: count === 1 ? "Open the request" : "Open your requests",
+      url: absolute(link, siteUrl),
+    },
+    footer: settingsFooter(siteUrl),
+  });
+}
+
+/**
+ * The message admin settings sends to check the SMTP settings.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.sentBy]
+ * @param {string|null} [params.siteUrl]
+ * @returns {{subject: string, text: string, html: string}}
+ */
+export function renderTestEmail({ sentBy = "", siteUrl = null } = {}) {
+  return render({
+    subject: `${APP_NAME} test email`,
+    heading: "Email is working",
+    paragraphs: [
+      `This is a test message from the ${APP_NAME} admin panel.`,
+      sentBy ? `Sent by ${sentBy} at ${new Date().toISOString()}.` : null,
+      siteUrl
+        ? null
+        : "PUBLIC_SITE_URL is not set, so emails will not link back to the site.",
+    ].filter(Boolean),
+    action: { label: "Open the site", url: absolute("/", siteUrl) },
+  });
+}
+
+/**
+ * One layout for every email, as text and as HTML.
+ *
+ * paragraphs and after are plain text; items are `{ title, detail, url }`
+ * and render as a list; quote is shown set apart, as the reason or comment
+ * that came with the change.
+ */
+function render({
+  subject,
+  heading,
+  greeting = "",
+  paragraphs = [],
+  items = [],
+  after = [],
+  quote = null,
+  action = null,
+  footer = null,
+}) {
+  const opening = greeting ? `Hi ${greeting},` : null;
+
+  const text = [
+    opening,
+    ...paragraphs,
+    quote
+      ? quote
+          .split("\n")
+          .map((line) => `> ${line}`)
+          .join("\n")
+      : null,
+    items.length > 0
+      ? items
+          .map(
+            (item) =>
+              `- ${item.title}${item.detail ? ` (${item.detail})` : ""}${item.url ? `\n  ${item.url}` : ""}`,
+          )
+          .join("\n")
+      : null,
+    ...after,
+    action?.url ? `${action.label}: ${action.url}` : null,
+    footer ? `--\n${footer}` : null,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const paragraph = (value) =>
+    `<p style="margin:0 0 16px;line-height:1.5">${escapeHtml(value)}</p>`;
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:-apple-system,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#111827">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background:#ffffff;border-radius:8px;padding:24px">
+<tr><td>
+<p style="margin:0 0 8px;font-size:12px;color:#6b7280;text-transform:uppercase;letter-spacing:0.05em">${APP_NAME}</p>
+<h1 style="margin:0 0 16px;font-size:20px">${escapeHtml(heading)}</h1>
+${[opening, ...paragraphs].filter(Boolean).map(paragraph).join("\n")}
+${
+  quote
+    ? `<blockquote style="margin:0 0 16px;padding:8px 12px;border-left:3px solid #d1d5db;color:#374151;white-space:pre-line">${escapeHtml(quote)}</blockquote>`
+    : ""
+}
+${
+  items.length > 0
+    ? `<ul style="margin:0 0 16px;padding-left:20px">${items
+        .map(
+          (item) =>
+            `<li style="margin:0 0 8px">${
+              item.url
+                ? `<a href="${escapeHtml(item.url)}" style="color:#2563eb">${escapeHtml(item.title)}</a>`
+                : `<strong>${escapeHtml(item.title)}</strong>`
+            }${item.detail ? `<br><span style="font-size:13px;color:#6b7280">${escapeHtml(item.detail)}</span>` : ""}</li>`,
+        )
+        .join("")}</ul>`
+    : ""
+}
+${after.map(paragraph).join("\n")}
+${
+  action?.url
+    ? `<p style="margin:24px 0"><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 18px;background:#2563eb;color:#ffffff;border-radius:6px;text-decoration:none;font-weight:600">${escapeHtml(action.label)}</a></p>`
+    : ""
+}
+${
+  footer
+    ? `<p style="margin:24px 0 0;font-size:12px;color:#6b7280;line-height:1.5">${escapeHtml(footer)}</p>`
+    : ""
+}
+</td></tr>
+</table>
+</td></tr></table>
+</body>
+</html>
+`;
+
+  return { subject, text, html };
+}
+
+function settingsFooter(siteUrl) {
+  return `You get this because of your notification settings. Change them${siteUrl ? ` at ${absolute("/profile?tab=preferences", siteUrl)}` : " on your profile page"}.`;
+}
+
+/** A site path as an absolute URL, or null without a site URL to build on. */
+function absolute(path, siteUrl) {
+  if (!path || !siteUrl) return null;
+  return `${siteUrl.replace(/\/+$/, "")}${path.startsWith("/") ? "" : "/"}${path}`;
+}
+
+function age(createdAt, now) {
+  const days = Math.floor((now - new Date(createdAt)) / (24 * 60 * 60 * 1000));
+  if (days < 1) return "less than a day";
+  return `${days} ${plural(days, "day")}`;
+}
+
+function plural(count, one, many = `${one}s`) {
+  return count === 1 ? one : many;
+}
@@ -0,0 +1,216 @@
+/**
+ * Where a user may have the server send their personal notifications.
+ *
+ * The admin notifiers post wherever an admin points them, internal addresses
+ * included -- a Gotify on the LAN is the usual setup, and an admin already
+ * runs the server. A personal Discord webhook or ntfy server is typed by any
+ * signed-in user, and every event then has the server POST to it, so an
+ * unchecked URL would let anyone reach `localhost`, the internal services
+ * beside the app, or the cloud metadata service at 169.254.169.254.
+ *
+ * Discord is easy: a webhook is only ever on Discord's own hosts, so nothing
+ * else is accepted. ntfy can legitimately be anyone's server, so it is
+ * refused only when it is not on the public internet -- by its host as
+ * written, and again by what the name resolves to, when the settings are
+ * saved and before each delivery. A name that resolved publicly when it was
+ * saved can be pointed somewhere else later.
+ */
+
+import { lookup } from "node:dns/promises";
+import { isIP } from "node:net";
+
+/** The hosts a Discord webhook URL is on. */
+export const DISCORD_WEBHOOK_HOSTS = Object.freeze([
+  "discord.com",
+  "discordapp.com",
+]);
+
+/**
+ * IPv4 ranges that are not the public internet, as [first octets, prefix
+ * length]: "this network", private, carrier-grade NAT, loopback, link-local
+ * (the metadata service), IETF protocol assignments, benchmarking, and
+ * multicast with everything above it.
+ */
+const NON_PUBLIC_IPV4 = [
+  [[0, 0, 0, 0], 8],
+  [[10, 0, 0, 0], 8],
+  [[100, 64, 0, 0], 10],
+  [[127, 0, 0, 0], 8],
+  [[169, 254, 0, 0], 16],
+  [[172, 16, 0, 0], 12],
+  [[192, 0, 0, 0], 24],
+  [[192, 168, 0, 0], 16],
+  [[198, 18, 0, 0], 15],
+  [[224, 0, 0, 0], 3],
+];
+
+/**
+ * Whether a URL is a Discord webhook: https, on Discord's own host and
+ * default port, under /api/webhooks/.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isDiscordWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  return (
+    url.protocol === "https:" &&
+    url.port === "" &&
+    !url.username &&
+    !url.password &&
+    DISCORD_WEBHOOK_HOSTS.includes(url.hostname) &&
+    url.pathname.startsWith("/api/webhooks/")
+  );
+}
+
+/**
+ * Whether an IP address is on the public internet.
+ *
+ * @param {string} address - IPv4 or IPv6, without brackets
+ * @returns {boolean} False for anything that is not an address
+ */
+export function isPublicAddress(address) {
+  const version = isIP(address);
+  if (version === 4) return isPublicIpv4(address.split(".").map(Number));
+  if (version === 6) return isPublicIpv6(address);
+  return false;
+}
+
+/**
+ * Whether a URL's host, as written, could be on the public internet: false
+ * for `localhost` and for a non-public address. A name is given the benefit
+ * of the doubt here; resolvesPublicly settles it.
+ *
+ * @param {string} value - An http(s) URL
+ * @returns {boolean}
+ */
+export function isPublicHost(value) {
+  const host = hostOf(value);
+  if (!host) return false;
+  if (isIP(host)) return isPublicAddress(host);
+  return host !== "localhost" && !host.endsWith(".localhost");
+}
+
+/**
+ * Whether every address a URL's host resolves to is on the public internet.
+ * A name that does not resolve is not.
+ *
+ * @param {string} value - An http(s) URL
+ * @returns {Promise<boolean>}
+ */
+export async function resolvesPublicly(value) {
+  if (!isPublicHost(value)) return false;
+
+  const host = hostOf(value);
+  if (isIP(host)) return true;
+
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch {
+    return false;
+  }
+  return (
+    addresses.length > 0 &&
+    addresses.every(({ address }) => isPublicAddress(address))
+  );
+}
+
+/** The URL's hostname, lower-cased and without IPv6 brackets, or null. */
+function hostOf(value) {
+  try {
+    return new URL(value).hostname.toLowerCase().replace(/^\[(.*)\]$/, "$1");
+  } catch {
+    return null;
+  }
+}
+
+function isPublicIpv4(octets) {
+  const value = octetsToNumber(octets);
+  return !NON_PUBLIC_IPV4.some(([base, prefix]) => {
+    const mask = (~0 << (32 - prefix)) >>> 0;
+    return (value & mask) >>> 0 === (octetsToNumber(base) & mask) >>> 0;
+  });
+}
+
+function octetsToNumber(octets) {
+  return (
+    ((octets[0] << 24) >>> 0) + (octets[1] << 16) + (octets[2] << 8) + octets[3]
+  );
+}
+
+/**
+ * The unspecified and loopback addresses, unique-local, link-local and the
+ * old site-local, and multicast are not public. Nor is an IPv4 address
+ * wrapped in IPv6 -- mapped, compatible or NAT64 -- that would not be on its
+ * own.
+ */
+function isPublicIpv6(address) {
+  const words = ipv6Words(address);
+  if (!words) return false;
+
+  const [first] = words;
+  if ((first & 0xfe00) === 0xfc00) return false;
+  if ((first & 0xffc0) === 0xfe80 || (first & 0xffc0) === 0xfec0) return false;
+  if ((first & 0xff00) === 0xff00) return false;
+
+  const embedded = [
+    words[6] >> 8,
+    words[6] & 0xff,
+    words[7] >> 8,
+    words[7] & 0xff,
+  ];
+  const leadingZero = words.slice(0, 5).every((word) => word === 0);
+  if (leadingZero && (words[5] === 0xffff || words[5] === 0)) {
+    // ::, ::1 and ::a.b.c.d all land here, and are all refused by the IPv4
+    // ranges ("this network" and loopback) or judged as the address they wrap.
+    if (words[5] === 0 && words[6] === 0) return false;
+    return isPublicIpv4(embedded);
+  }
+  if (
+    first === 0x64 &&
+    words[1] === 0xff9b &&
+    words.slice(2, 6).every((word) => word === 0)
+  ) {
+    return isPublicIpv4(embedded);
+  }
+  return true;
+}
+
+/** An IPv6 address as its eight 16-bit words, or null. */
+function ipv6Words(address) {
+  let text = address.split("%")[0];
+
+  // A trailing dotted IPv4 part is two words.
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const octets = dotted[1].split(".").map(Number);
+    text =
+      text.slice(0, -dotted[1].length) +
+      `${((octets[0] << 8) | octets[1]).toString(16)}:` +
+      ((octets[2] << 8) | octets[3]).toString(16);
+  }
+
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(":") : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(":") : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+  const words = [
+    ...head,
+    ...Array(halves.length === 2 ? missing : 0).fill("0"),
+    ...tail,
+  ].map((word) => Number.parseInt(word, 16));
+  return words.some(
+    (word) => !Number.isInteger(word) || word < 0 || word > 0xffff,
+  )
+    ? null
+    : words;
+}
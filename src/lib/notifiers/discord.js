@@ -0,0 +1,77 @@
+/**
+ * Discord incoming webhooks as a notifier.
+ *
+ * One embed per notification: the title, the message as its description --
+ * Discord renders the `**Label:**` markdown as it is -- a colour for how
+ * urgent it is, and the game's cover as the thumbnail when there is one.
+ *
+ * Mentions are switched off. Titles, descriptions and comments are typed by
+ * requesters, and a request called "@everyone" must not page a whole server.
+ */
+
+import { clip, httpOrigin } from "./format.js";
+
+// Discord's own limits; a longer field fails the whole message with a 400.
+const TITLE_LIMIT = 256;
+const DESCRIPTION_LIMIT = 4096;
+
+/**
+ * The embed's side colour for a 1-10 priority: grey for routine, blue for
+ * status changes, amber for what wants attention, red for urgent.
+ */
+export function discordColor(priority) {
+  if (priority >= 8) return 0xdc2626;
+  if (priority >= 6) return 0xf59e0b;
+  if (priority >= 4) return 0x3b82f6;
+  return 0x6b7280;
+}
+
+export const discordNotifier = Object.freeze({
+  kind: "discord",
+  label: "Discord",
+  icon: "simple-icons:discord",
+  description:
+    "Posts each notification to a channel as an embed with the game's cover.",
+  fields: [
+    {
+      name: "webhook_url",
+      label: "Webhook URL",
+      type: "password",
+      placeholder: "https://discord.com/api/webhooks/...",
+      help: "Channel settings → Integrations → Webhooks → New Webhook → Copy Webhook URL",
+      required: true,
+    },
+  ],
+
+  validate({ webhook_url }) {
+    if (!webhook_url) return "Missing Discord webhook URL";
+    if (!httpOrigin(webhook_url)) return "Invalid Discord webhook URL format";
+    return null;
+  },
+
+  // The path is the credential, so the log gets the host alone.
+  target({ webhook_url }) {
+    return httpOrigin(webhook_url);
+  },
+
+  buildRequest(notification, { webhook_url }) {
+    const embed = {
+      title: clip(notification.title, TITLE_LIMIT),
+      description: clip(notification.message, DESCRIPTION_LIMIT),
+      color: discordColor(notification.priority),
+      timestamp: new Date().toISOString(),
+    };
+    if (notification.image_url) {
+      embed.thumbnail = { url: notification.image_url };
+    }
+
+    return {
+      url: webhook_url,
+      body: {
+        username: "G.G Requestz",
+        embeds: [embed],
+        allowed_mentions: { parse: [] },
+      },
+    };
+  },
+});
@@ -0,0 +1,91 @@
+/**
+ * Turning a notification's message into what each chat service renders.
+ *
+ * Messages are written once, as the Gotify markdown they always were:
+ * `**Label:** value` lines and the occasional bullet. Discord and ntfy render
+ * that as it is. Slack's mrkdwn and Matrix's HTML need it translated, and
+ * every service wants a plain-text fallback for the lock-screen preview.
+ *
+ * Only the markdown the builders in gotify.js actually write is translated.
+ * This is not a markdown parser, and a requester who types asterisks into a
+ * description gets them back as asterisks or bold, whichever the service
+ * makes of them.
+ */
+
+const BOLD = /\*\*(.+?)\*\*/g;
+
+/**
+ * The message with its markup removed.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function toPlainText(markdown) {
+  return String(markdown ?? "").replace(BOLD, "$1");
+}
+
+/**
+ * The message as Slack mrkdwn: single-asterisk bold, and `&`, `<` and `>`
+ * escaped, because Slack reads `<...>` as a link or a mention.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function toSlackMrkdwn(markdown) {
+  return String(markdown ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(BOLD, "*$1*");
+}
+
+/**
+ * The message as the HTML subset Matrix clients render in formatted_body.
+ *
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function toMatrixHtml(markdown) {
+  return escapeHtml(markdown)
+    .replace(BOLD, "<strong>$1</strong>")
+    .replace(/\n/g, "<br>");
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Cut text to a service's field limit, marking that it was cut.
+ *
+ * @param {string} text
+ * @param {number} limit
+ * @returns {string}
+ */
+export function clip(text, limit) {
+  const value = String(text ?? "");
+  return value.length > limit ? `${value.slice(0, limit - 1)}…` : value;
+}
+
+/**
+ * An http(s) URL's origin, or null for anything else.
+ *
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function httpOrigin(value) {
+  try {
+    const url = new URL(value);
+    return ["http:", "https:"].includes(url.protocol) ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Gotify as a notifier.
+ *
+ * The one provider there used to be, and still the only one that can be
+ * configured from the environment: GOTIFY_URL and GOTIFY_TOKEN, when both are
+ * set, win over the admin settings outright -- type toggles included, so an
+ * install that configured Gotify that way keeps getting every notification,
+ * as it always has.
+ */
+
+import { env } from "$env/dynamic/private";
+import { httpOrigin } from "./format.js";
+
+export const gotifyNotifier = Object.freeze({
+  kind: "gotify",
+  label: "Gotify",
+  icon: "heroicons:bell",
+  description:
+    "Push notifications through your own Gotify server, with the game's cover on Android.",
+  fields: [
+    {
+      name: "url",
+      label: "Gotify Server URL",
+      type: "url",
+      placeholder: "https://gotify.yourdomain.com",
+      help: "The base URL of your Gotify server (without /message)",
+      required: true,
+    },
+    {
+      name: "token",
+      label: "Application Token",
+      type: "password",
+      placeholder: "App token from Gotify",
+      help: "Create an application in Gotify and paste the token here",
+      required: true,
+    },
+  ],
+
+  /**
+   * The server and token from the environment, or null to use settings.
+   *
+   * @returns {{url: string, token: string}|null}
+   */
+  envConfig() {
+    const url =
+      env.GOTIFY_URL || process.env.GOTIFY_URL || process.env.VITE_GOTIFY_URL;
+    const token =
+      env.GOTIFY_TOKEN ||
+      process.env.GOTIFY_TOKEN ||
+      process.env.VITE_GOTIFY_TOKEN;
+    return url && token ? { url, token } : null;
+  },
+
+  validate({ url, token }) {
+    if (!url || !token) return "Missing Gotify URL or token";
+    if (!httpOrigin(url)) return "Invalid Gotify URL format";
+    return null;
+  },
+
+  target({ url }) {
+    return httpOrigin(url);
+  },
+
+  /**
+   * Gotify's message API. The cover goes in `client::notification`, which
+   * the Android client shows as the expanded notification's picture.
+   */
+  buildRequest(notification, { url, token }) {
+    const base = new URL(url).toString().replace(/\/$/, "");
+    const extras = {
+      "client::display": {
+        contentType: "text/markdown",
+      },
+      ...(notification.extras || {}),
+    };
+    if (notification.image_url) {
+      extras["client::notification"] = {
+        bigImageUrl: notification.image_url,
+      };
+    }
+
+    return {
+      url: `${base}/message?token=${encodeURIComponent(token)}`,
+      body: {
+        title: notification.title,
+        message: notification.message,
+        priority: notification.priority,
+        extras,
+      },
+    };
+  },
+});
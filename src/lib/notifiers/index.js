@@ -0,0 +1,394 @@
+/**
+ * The notifiers: where the admin notifications built in gotify.js are sent.
+ *
+ * Notifications used to go to Gotify and nowhere else. Each service is now a
+ * provider in this directory, and a notification goes to every one that is
+ * configured -- Gotify, Discord, Slack, Matrix, ntfy, or any mix of them.
+ *
+ * A provider is a plain object:
+ *
+ *   kind          the delivery channel and the settings prefix, e.g. "discord"
+ *   label, icon, description, fields
+ *                 what admin settings shows; each field is stored in
+ *                 ggr_system_settings as `${kind}.${field.name}`
+ *   validate(config)  an error message, or null when the config can send
+ *   target(config)    where it goes, for the delivery log. Never a credential
+ *   buildRequest(notification, config, { deliveryId })
+ *                 the HTTP request: { method = "POST", url, headers, body }
+ *   envConfig()   optional; a config from the environment, which wins over
+ *                 settings. Only Gotify has one.
+ *
+ * Nothing here knows one service from another. Adding one is a module and a
+ * line in NOTIFIERS -- and a line in deliveryQueue.server.js's TRANSPORTS,
+ * which cannot import this list without a cycle.
+ *
+ * Which notification types are sent is still decided by the
+ * `gotify.notifications.*` settings. They are named for the one provider
+ * there was, they now govern every provider, and renaming them would throw
+ * away every install's choices.
+ */
+
+import crypto from "crypto";
+import { query } from "$lib/database.js";
+import { enqueueDelivery } from "$lib/deliveryQueue.server.js";
+import { gotifyNotifier } from "./gotify.js";
+import { discordNotifier } from "./discord.js";
+import { slackNotifier } from "./slack.js";
+import { matrixNotifier } from "./matrix.js";
+import { ntfyNotifier } from "./ntfy.js";
+
+/** Every provider, in the order admin settings lists them. */
+export const NOTIFIERS = [
+  gotifyNotifier,
+  discordNotifier,
+  slackNotifier,
+  matrixNotifier,
+  ntfyNotifier,
+];
+
+export const NOTIFIER_KINDS = NOTIFIERS.map((notifier) => notifier.kind);
+
+const TYPE_TOGGLE_PREFIX = "gotify.notifications.";
+
+// A queued delivery has the worker's five seconds like any other; a test from
+// admin settings has someone watching, and a slow server deserves longer.
+const DELIVERY_TIMEOUT_MS = 5000;
+const TEST_TIMEOUT_MS = 10000;
+
+/**
+ * The provider for a kind.
+ *
+ * @param {string} kind
+ * @returns {Object|null}
+ */
+export function getNotifier(kind) {
+  return NOTIFIERS.find((notifier) => notifier.kind === kind) ?? null;
+}
+
+/**
+ * The providers as plain data, for the admin settings page: its load cannot
+ * return the functions.
+ *
+ * @returns {Array<{kind: string, label: string, icon: string, description: string, fields: Object[]}>}
+ */
+export function describeNotifiers() {
+  return NOTIFIERS.map(({ kind, label, icon, description, fields }) => ({
+    kind,
+    label,
+    icon,
+    description,
+    fields: fields.map((field) => ({
+      ...field,
+      key: settingKey(kind, field.name),
+    })),
+  }));
+}
+
+/**
+ * A provider's config from a settings map, or from the environment when the
+ * provider takes it from there. Empty fields fall back to their default.
+ *
+ * @param {Object} notifier
+ * @param {Object<string, string>} settings - ggr_system_settings key/values
+ * @returns {{config: Object, fromEnv: boolean}}
+ */
+export function notifierConfig(notifier, settings) {
+  const fromEnv = notifier.envConfig?.();
+  if (fromEnv) return { config: fromEnv, fromEnv: true };
+
+  return {
+    config: fieldValues(
+      notifier,
+      (name) => settings[settingKey(notifier.kind, name)],
+    ),
+    fromEnv: false,
+  };
+}
+
+/**
+ * A provider's config from values typed into admin settings, keyed by field
+ * name. Empty fields fall back to their default.
+ *
+ * @param {Object} notifier
+ * @param {Object} input
+ * @returns {Object}
+ */
+export function notifierConfigFromInput(notifier, input) {
+  return fieldValues(notifier, (name) => input?.[name]);
+}
+
+/**
+ * Queue a notification for every configured provider.
+ *
+ * Queued, not sent: each provider gets its own delivery, stored and sent by
+ * deliveryQueue.server.js, so a Discord outage is retried on its own and shows
+ * in the delivery log without holding up Matrix. Credentials are not stored
+ * with the delivery; deliverQueuedNotification reads them when it sends.
+ *
+ * A provider with nothing filled in is skipped quietly. One filled in wrongly
+ * -- a URL that is not one -- is skipped with an error in the log, since
+ * queuing it would only fail ten times.
+ *
+ * @param {Object} notification
+ * @param {string} notification.title
+ * @param {string} notification.message - Markdown, as gotify.js writes it
+ * @param {number} notification.priority - 1-10
+ * @param {string|null} [notification.type] - The toggle that governs it
+ * @param {Object} [notification.extras] - Gotify extras
+ * @param {string|number|null} [notification.igdb_id] - The game, for its cover
+ * @returns {Promise<number>} How many providers it was queued for
+ */
+export async function queueNotification({
+  title,
+  message,
+  priority,
+  type = null,
+  extras = {},
+  igdb_id = null,
+}) {
+  const keys = NOTIFIERS.flatMap((notifier) =>
+    notifier.fields.map((field) => settingKey(notifier.kind, field.name)),
+  );
+  if (type) {
+    keys.push(`${TYPE_TOGGLE_PREFIX}${type}`);
+  }
+  const settings = await readSettings(keys);
+
+  // Absent means on: the toggles were only ever seeded for some types.
+  const typeEnabled =
+    !type || settings[`${TYPE_TOGGLE_PREFIX}${type}`] !== "false";
+
+  const targets = [];
+  for (const notifier of NOTIFIERS) {
+    const { config, fromEnv } = notifierConfig(notifier, settings);
+    if (!fromEnv && !typeEnabled) continue;
+    if (!isFilledIn(notifier, config)) continue;
+
+    const invalid = notifier.validate(config);
+    if (invalid) {
+      console.error(`❌ ${notifier.label} notifier misconfigured: ${invalid}`);
+      continue;
+    }
+    targets.push({ notifier, config });
+  }
+
+  if (targets.length === 0) {
+    return 0;
+  }
+
+  const payload = {
+    title,
+    message,
+    priority: Math.max(1, Math.min(10, priority)), // Clamp between 1-10
+    type,
+    extras,
+    image_url: igdb_id ? await coverImageUrl(igdb_id) : null,
+  };
+
+  let queued = 0;
+  for (const { notifier, config } of targets) {
+    try {
+      await enqueueDelivery({
+        channel: notifier.kind,
+        event: type || "notification",
+        targetUrl: notifier.target(config),
+        payload,
+      });
+      queued += 1;
+    } catch (error) {
+      console.error(
+        `❌ Failed to queue ${notifier.label} notification:`,
+        error.message,
+      );
+    }
+  }
+  return queued;
+}
+
+/**
+ * Send one queued notification. The transport deliveryQueue.server.js calls
+ * for every notifier channel.
+ *
+ * The config is read now rather than when the notification was queued, so
+ * correcting a webhook URL in settings also fixes the retries already waiting.
+ * The type toggle is not re-read: it decided whether to queue, and a
+ * notification already queued is sent.
+ *
+ * @param {Object} delivery - A ggr_webhook_deliveries row
+ * @returns {Promise<{status: number, statusText: string, body: string}>}
+ */
+export async function deliverQueuedNotification(delivery) {
+  const notifier = getNotifier(delivery.channel);
+  if (!notifier) {
+    throw new Error(`Unknown notifier: ${delivery.channel}`);
+  }
+
+  const settings = await readSettings(
+    notifier.fields.map((field) => settingKey(notifier.kind, field.name)),
+  );
+  const { config } = notifierConfig(notifier, settings);
+  const invalid = notifier.validate(config);
+  if (invalid) {
+    throw new Error(`${notifier.label} is no longer configured: ${invalid}`);
+  }
+
+  return sendToNotifier(notifier, config, delivery.payload, {
+    deliveryId: delivery.delivery_uuid ?? delivery.id,
+    timeoutMs: DELIVERY_TIMEOUT_MS,
+  });
+}
+
+/**
+ * Send a test notification straight away, bypassing the queue, with the
+ * config as typed into admin settings -- it need not be saved yet.
+ *
+ * @param {string} kind
+ * @param {Object} config - Field values by field name
+ * @param {Object} [options]
+ * @param {string} [options.sentBy] - Who pressed the button
+ * @returns {Promise<{status: number, statusText: string, body: string}>}
+ * @throws {Error} For an unknown kind or an unusable config, with a message
+ *   fit for the admin, and for a network failure or timeout
+ */
+export async function sendTestNotification(kind, config, { sentBy } = {}) {
+  const notifier = getNotifier(kind);
+  if (!notifier) {
+    throw new Error(`Unknown notifier: ${kind}`);
+  }
+
+  const resolved = notifierConfigFromInput(notifier, config);
+  const invalid = notifier.validate(resolved);
+  if (invalid) {
+    throw new Error(invalid);
+  }
+
+  const lines = ["Test message from G.G Requestz admin panel."];
+  if (sentBy) lines.push("", `**Admin:** ${sentBy}`);
+  lines.push(`**Time:** ${new Date().toISOString()}`);
+
+  return sendToNotifier(
+    notifier,
+    resolved,
+    {
+      title: "🧪 GameRequest Test Notification",
+      message: lines.join("\n"),
+      priority: 2,
+      type: null,
+      extras: {},
+      image_url: null,
+    },
+    { deliveryId: crypto.randomUUID(), timeoutMs: TEST_TIMEOUT_MS },
+  );
+}
+
+/**
+ * A game's cover as an absolute https URL a chat service can fetch, or null.
+ *
+ * From the games cache, as IGDB gave it. The app's own image proxy is no use
+ * here: Discord's servers cannot reach a relative URL on this install.
+ *
+ * @param {string|number} igdbId
+ * @returns {Promise<string|null>}
+ */
+export async function coverImageUrl(igdbId) {
+  try {
+    const result = await query(
+      "SELECT cover_url FROM ggr_games_cache WHERE igdb_id = $1",
+      [String(igdbId)],
+    );
+    const raw = result.rows[0]?.cover_url;
+    if (!raw) return null;
+
+    const url = (raw.startsWith("//") ? `https:${raw}` : raw)
+      .replace("t_thumb", "t_cover_big")
+      .replace(/,f_webp/g, "");
+    return url.startsWith("https://") ? url : null;
+  } catch (error) {
+    // A notification without a picture is still worth sending.
+    console.warn("Failed to look up notification cover:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Send one notification through a provider with a config already resolved.
+ *
+ * The common path for the admin notifiers above and for the personal ntfy
+ * topics and Discord webhooks in userNotifications.server.js, which use these
+ * same providers with a user's config instead of the install's.
+ *
+ * @param {Object} notifier - A provider from NOTIFIERS
+ * @param {Object} config - Its field values, already validated
+ * @param {Object} notification - title, message, priority, extras, image_url
+ * @param {Object} options
+ * @param {string|number} options.deliveryId - Idempotency key where the
+ *   service has one
+ * @param {number} [options.timeoutMs]
+ * @param {"follow"|"manual"} [options.redirect="follow"] - "manual" for a
+ *   destination checked before sending, where a redirect would go unchecked
+ * @returns {Promise<{status: number, statusText: string, body: string}>}
+ */
+export async function sendToNotifier(
+  notifier,
+  config,
+  notification,
+  { deliveryId, timeoutMs = DELIVERY_TIMEOUT_MS, redirect = "follow" },
+) {
+  const {
+    method = "POST",
+    url,
+    headers = {},
+    body,
+  } = notifier.buildRequest(notification, config, { deliveryId });
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...headers,
+    },
+    body: JSON.stringify(body),
+    redirect,
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    body: await response.text().catch(() => ""),
+  };
+}
+
+/** Each field's trimmed value, or its default when empty. */
+function fieldValues(notifier, valueOf) {
+  const config = {};
+  for (const field of notifier.fields) {
+    const value = valueOf(field.name);
+    config[field.name] =
+      (typeof value === "string" ? value.trim() : "") || field.default || "";
+  }
+  return config;
+}
+
+/** Whether any required field has a value, i.e. an admin set this one up. */
+function isFilledIn(notifier, config) {
+  return notifier.fields.some(
+    (field) => field.required && Boolean(config[field.name]),
+  );
+}
+
+function settingKey(kind, name) {
+  return `${kind}.${name}`;
+}
+
+async function readSettings(keys) {
+  const result = await query(
+    "SELECT key, value FROM ggr_system_settings WHERE key = ANY($1)",
+    [keys],
+  );
+  const settings = {};
+  for (const row of result.rows) {
+    settings[row.key] = row.value;
+  }
+  return settings;
+}
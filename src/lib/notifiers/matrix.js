@@ -0,0 +1,90 @@
+/**
+ * Matrix rooms as a notifier, through the client-server API.
+ *
+ * Sends an `m.notice` -- the msgtype for bots, which clients do not answer
+ * with bots of their own -- as the access token's user, who must already have
+ * joined the room. The message goes as HTML with a plain-text body beside it.
+ *
+ * No cover art: a Matrix image has to be uploaded to the homeserver's media
+ * repository first, and a notification is not worth a second upload per room.
+ *
+ * Sending is a PUT keyed by a transaction id, and the homeserver treats a
+ * repeat of the same id as the same message. The id is the delivery's UUID, so
+ * a retry after a timeout that had in fact arrived does not post twice.
+ */
+
+import { escapeHtml, httpOrigin, toMatrixHtml, toPlainText } from "./format.js";
+
+export const matrixNotifier = Object.freeze({
+  kind: "matrix",
+  label: "Matrix",
+  icon: "simple-icons:matrix",
+  description:
+    "Posts each notification to a room as a bot user. Invite the user to the room first.",
+  fields: [
+    {
+      name: "homeserver_url",
+      label: "Homeserver URL",
+      type: "url",
+      placeholder: "https://matrix.example.org",
+      help: "The client-server API base URL of the bot user's homeserver",
+      required: true,
+    },
+    {
+      name: "access_token",
+      label: "Access Token",
+      type: "password",
+      placeholder: "syt_...",
+      help: "The bot user's access token. A dedicated account is best.",
+      required: true,
+    },
+    {
+      name: "room_id",
+      label: "Room ID",
+      type: "text",
+      placeholder: "!abcdefghijklmnop:example.org",
+      help: "Room settings → Advanced → Internal room ID (an alias will not work)",
+      required: true,
+    },
+  ],
+
+  validate({ homeserver_url, access_token, room_id }) {
+    if (!homeserver_url || !access_token || !room_id) {
+      return "Missing Matrix homeserver URL, access token or room ID";
+    }
+    if (!httpOrigin(homeserver_url)) {
+      return "Invalid Matrix homeserver URL format";
+    }
+    // Sending to an alias fails on every homeserver; resolving one is a
+    // separate call, and the room ID is one copy away in any client.
+    if (!room_id.startsWith("!")) {
+      return "Room ID must be the internal ID starting with !, not an alias";
+    }
+    return null;
+  },
+
+  target({ homeserver_url, room_id }) {
+    const origin = httpOrigin(homeserver_url);
+    return origin ? `${origin} ${room_id}` : null;
+  },
+
+  buildRequest(notification, config, { deliveryId }) {
+    const base = new URL(config.homeserver_url).toString().replace(/\/$/, "");
+    const room = encodeURIComponent(config.room_id);
+    const txnId = encodeURIComponent(`ggr-${deliveryId}`);
+
+    return {
+      method: "PUT",
+      url: `${base}/_matrix/client/v3/rooms/${room}/send/m.room.message/${txnId}`,
+      headers: {
+        Authorization: `Bearer ${config.access_token}`,
+      },
+      body: {
+        msgtype: "m.notice",
+        body: `${toPlainText(notification.title)}\n\n${toPlainText(notification.message)}`,
+        format: "org.matrix.custom.html",
+        formatted_body: `<strong>${escapeHtml(notification.title)}</strong><br>${toMatrixHtml(notification.message)}`,
+      },
+    };
+  },
+});
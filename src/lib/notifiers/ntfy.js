@@ -0,0 +1,91 @@
+/**
+ * ntfy topics as a notifier.
+ *
+ * Uses ntfy's JSON publishing, a POST of the whole message to the server root,
+ * rather than headers on the topic URL: titles carry emoji, and HTTP headers
+ * cannot. The cover is sent as the notification icon.
+ *
+ * On ntfy.sh a topic without access control is readable by anyone who knows
+ * its name, so the name is the secret there; the delivery log only ever shows
+ * the server.
+ */
+
+import { httpOrigin } from "./format.js";
+
+export const NTFY_DEFAULT_SERVER = "https://ntfy.sh";
+
+/**
+ * ntfy's 1-5 priority for a 1-10 one. Nothing maps to 1, which ntfy files
+ * away without a sound: every notification here was worth sending.
+ */
+export function ntfyPriority(priority) {
+  if (priority >= 8) return 5;
+  if (priority >= 6) return 4;
+  if (priority >= 4) return 3;
+  return 2;
+}
+
+export const ntfyNotifier = Object.freeze({
+  kind: "ntfy",
+  label: "ntfy",
+  icon: "heroicons:megaphone",
+  description:
+    "Publishes each notification to an ntfy topic, on ntfy.sh or your own server.",
+  fields: [
+    {
+      name: "server_url",
+      label: "Server URL",
+      type: "url",
+      placeholder: NTFY_DEFAULT_SERVER,
+      help: "Leave empty for ntfy.sh",
+      default: NTFY_DEFAULT_SERVER,
+    },
+    {
+      name: "topic",
+      label: "Topic",
+      type: "text",
+      placeholder: "ggrequestz-admins",
+      help: "Pick a name nobody could guess if the topic has no access control",
+      required: true,
+    },
+    {
+      name: "token",
+      label: "Access Token",
+      type: "password",
+      placeholder: "tk_...",
+      help: "Only for a topic that requires authentication",
+    },
+  ],
+
+  validate({ server_url, topic }) {
+    if (!topic) return "Missing ntfy topic";
+    if (!/^[-_A-Za-z0-9]{1,64}$/.test(topic)) {
+      return "ntfy topics are 1-64 letters, numbers, dashes and underscores";
+    }
+    if (!httpOrigin(server_url)) return "Invalid ntfy server URL format";
+    return null;
+  },
+
+  target({ server_url }) {
+    return httpOrigin(server_url);
+  },
+
+  buildRequest(notification, { server_url, topic, token }) {
+    const body = {
+      topic,
+      title: notification.title,
+      message: notification.message,
+      priority: ntfyPriority(notification.priority),
+      markdown: true,
+    };
+    if (notification.image_url) {
+      body.icon = notification.image_url;
+    }
+
+    return {
+      url: new URL(server_url).toString().replace(/\/$/, ""),
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body,
+    };
+  },
+});
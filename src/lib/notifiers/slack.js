@@ -0,0 +1,82 @@
+/**
+ * Slack incoming webhooks as a notifier.
+ *
+ * A header block for the title and a section for the message, with the game's
+ * cover as the section's image accessory. `text` repeats the title because it
+ * is what Slack shows in the desktop notification and the sidebar preview,
+ * where blocks are not rendered.
+ *
+ * Also works for anything that accepts Slack-format webhooks, such as
+ * Mattermost or Rocket.Chat, though those may ignore the blocks and show only
+ * `text`.
+ */
+
+import { clip, httpOrigin, toPlainText, toSlackMrkdwn } from "./format.js";
+
+// Slack's own limits; a longer block fails the whole message with a 400.
+const HEADER_LIMIT = 150;
+const SECTION_LIMIT = 3000;
+
+export const slackNotifier = Object.freeze({
+  kind: "slack",
+  label: "Slack",
+  icon: "simple-icons:slack",
+  description:
+    "Posts each notification to a channel through an incoming webhook, with the game's cover.",
+  fields: [
+    {
+      name: "webhook_url",
+      label: "Webhook URL",
+      type: "password",
+      placeholder: "https://hooks.slack.com/services/...",
+      help: "Create an app with Incoming Webhooks enabled and add a webhook for the channel",
+      required: true,
+    },
+  ],
+
+  validate({ webhook_url }) {
+    if (!webhook_url) return "Missing Slack webhook URL";
+    if (!httpOrigin(webhook_url)) return "Invalid Slack webhook URL format";
+    return null;
+  },
+
+  // The path is the credential, so the log gets the host alone.
+  target({ webhook_url }) {
+    return httpOrigin(webhook_url);
+  },
+
+  buildRequest(notification, { webhook_url }) {
+    const section = {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: clip(toSlackMrkdwn(notification.message), SECTION_LIMIT),
+      },
+    };
+    if (notification.image_url) {
+      section.accessory = {
+        type: "image",
+        image_url: notification.image_url,
+        alt_text: "Cover art",
+      };
+    }
+
+    return {
+      url: webhook_url,
+      body: {
+        text: toPlainText(notification.title),
+        blocks: [
+          {
+            type: "header",
+            text: {
+              type: "plain_text",
+              text: clip(toPlainText(notification.title), HEADER_LIMIT),
+              emoji: true,
+            },
+          },
+          section,
+        ],
+      },
+    };
+  },
+});
@@ -0,0 +1,165 @@
+/**
+ * Pre-requests (migration 028): a request for a game that is not out yet
+ * waits in awaiting_release, and moves into the queue on release day.
+ *
+ *   at submission  /api/request holds a game request whose IGDB release date
+ *                  is still in the future, instead of queueing it
+ *   release day    an hourly check asks IGDB about each waiting request's
+ *                  game again and, once the date has passed, moves it to
+ *                  pending -- or to approved, for a requester who
+ *                  auto-approves, exactly as if they had asked that day
+ *
+ * The move is an ordinary status change, so an approval fires the game_request
+ * webhook and request.approved then, and not before: automation watching for
+ * approvals hears about the game when there is something to download.
+ *
+ * The check re-fetches from IGDB (gameCache.getGameById with forceRefresh)
+ * rather than trusting the cache, because release dates slip. A game delayed
+ * since it was requested keeps waiting for the new date; one moved earlier is
+ * let through on it. Waiting requests are spaced out by release_checked_at, so
+ * each is looked up a few times a day however many workers run the check:
+ * every PM2 worker does, and each claims its batch by setting the column.
+ */
+
+import { query, withTransaction } from "$lib/database.js";
+import { getGameById } from "$lib/gameCache.js";
+import { mayAutoApprove } from "$lib/requestPolicy.server.js";
+import {
+  applyRequestStatusChange,
+  REQUEST_SOURCES,
+} from "$lib/requestStatus.server.js";
+
+export const AWAITING_RELEASE = "awaiting_release";
+
+/** The history's actor name for a request released by the check. */
+export const RELEASE_ACTOR = "Release check";
+
+// How many waiting requests one check takes on. Each is an IGDB call, and the
+// rest are picked up an hour later.
+const RELEASE_CHECK_BATCH = 50;
+
+/**
+ * Whether a release date is still to come.
+ *
+ * No date is not "unreleased": IGDB leaves out the date of plenty of games
+ * that have long been out, and a request held for a date that never comes
+ * would wait forever. Such a request is queued as before.
+ *
+ * @param {string|number|Date|null} releaseDate - As IGDB or the cache give it
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isUnreleased(releaseDate, now = new Date()) {
+  if (releaseDate == null || releaseDate === "") return false;
+  const date = new Date(releaseDate);
+  return !Number.isNaN(date.getTime()) && date > now;
+}
+
+/**
+ * Whether a new game request should wait for its game's release.
+ *
+ * Cache-first: the route has just cached the game data the client sent, and
+ * the release check re-asks IGDB later anyway. Fails open -- a lookup that
+ * fails queues the request as before rather than failing the submission.
+ *
+ * @param {string|null} igdbId
+ * @returns {Promise<boolean>}
+ */
+export async function awaitsRelease(igdbId) {
+  if (!igdbId) return false;
+  try {
+    const game = await getGameById(igdbId);
+    return isUnreleased(game?.release_date);
+  } catch (error) {
+    console.warn("Failed to read release date for request:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Check the waiting requests that are due and release the ones whose game is
+ * out.
+ *
+ * Due is a request never checked, one last checked more than six hours ago,
+ * or one whose cached release date has passed since -- so a game out today is
+ * picked up within the hour, not at its next spaced-out check.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - At most this many requests this run
+ * @returns {Promise<{checked: number, released: number}>}
+ */
+export async function releaseDueRequests({ limit = RELEASE_CHECK_BATCH } = {}) {
+  const claimed = await query(
+    `UPDATE ggr_game_requests r
+        SET release_checked_at = NOW()
+      WHERE r.id IN (
+              SELECT w.id
+                FROM ggr_game_requests w
+                LEFT JOIN ggr_games_cache g ON g.igdb_id = w.igdb_id
+               WHERE w.status = 'awaiting_release'
+                 AND w.igdb_id IS NOT NULL
+                 AND (w.release_checked_at IS NULL
+                      OR w.release_checked_at < NOW() - INTERVAL '6 hours'
+                      OR g.release_date <= NOW())
+               ORDER BY w.release_checked_at NULLS FIRST
+               LIMIT $1
+                 FOR UPDATE OF w SKIP LOCKED
+            )
+  RETURNING r.id, r.igdb_id, r.user_id, r.title`,
+    [limit],
+  );
+
+  let released = 0;
+  for (const request of claimed.rows) {
+    try {
+      const game = await getGameById(request.igdb_id, true);
+      // A date IGDB has since taken away -- delayed to TBA -- is not a
+      // release either; the request waits on.
+      if (!game?.release_date || isUnreleased(game.release_date)) continue;
+      if (await releaseRequest(request)) released += 1;
+    } catch (error) {
+      // One game IGDB cannot answer for must not hold up the rest. The
+      // request is checked again at its next turn.
+      console.warn(
+        `Failed to check release of request ${request.id}:`,
+        error.message,
+      );
+    }
+  }
+
+  return { checked: claimed.rows.length, released };
+}
+
+/**
+ * Move one waiting request into the queue.
+ *
+ * The status is re-read under a lock first: an admin may have approved or
+ * rejected the request since it was claimed, and their decision stands.
+ *
+ * @param {{id: string, user_id: string}} request
+ * @returns {Promise<boolean>} Whether it moved
+ */
+async function releaseRequest(request) {
+  const to = (await mayAutoApprove(request.user_id)) ? "approved" : "pending";
+
+  const outcome = await withTransaction(async (tx) => {
+    const current = await tx(
+      "SELECT status FROM ggr_game_requests WHERE id = $1 FOR UPDATE",
+      [request.id],
+    );
+    if (current.rows[0]?.status !== AWAITING_RELEASE) return null;
+
+    return applyRequestStatusChange({
+      id: request.id,
+      to,
+      actor: RELEASE_ACTOR,
+      source: REQUEST_SOURCES.RELEASE,
+      tx,
+      deferSideEffects: true,
+    });
+  });
+
+  if (!outcome?.changed) return false;
+  outcome.runSideEffects();
+  return true;
+}
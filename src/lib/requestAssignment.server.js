@@ -0,0 +1,224 @@
+/**
+ * Who is handling a request (migration 029).
+ *
+ * An assignee is one user who may approve requests -- request.approve, which
+ * every admin has -- and says "this one is mine": the request page and the
+ * bulk actions set it, the queue filters on it ("assigned to me"), and
+ * admin/analytics sums it up per admin. Assigning someone else tells them, on
+ * the channels they picked for `request.assigned`; taking a request yourself
+ * tells nobody.
+ *
+ * An assignment is not a lock. Any admin may still act on any request, as
+ * before; the assignee is there so that two of them do not set out to do the
+ * same thing without knowing. It is also not a status change: it leaves the
+ * history, the webhooks and the requester alone, since none of them care who
+ * on the admin side is doing the work.
+ */
+
+import { query } from "$lib/database.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { notifyAssignee } from "$lib/userNotifications.server.js";
+import { invalidateRequestCaches } from "$lib/requestStatus.server.js";
+import { OPEN_STATUSES } from "$lib/requestPolicy.server.js";
+import { publishRequestEvent } from "$lib/liveEvents.server.js";
+
+/** The permission a user needs to be assigned a request, or to assign one. */
+export const ASSIGNEE_PERMISSION = "request.approve";
+
+/**
+ * Thrown by assignRequests for an assignee who may not take requests. The
+ * message is fit for the admin who picked them.
+ */
+export class InvalidAssigneeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidAssigneeError";
+  }
+}
+
+/**
+ * The users a request can be assigned to: active admins, and active users
+ * whose roles grant ASSIGNEE_PERMISSION. As userHasPermission decides it, so
+ * the picker offers no one the endpoint would refuse.
+ *
+ * @returns {Promise<Array<{id: number, name: string}>>} By name
+ */
+export async function listAssignees() {
+  const result = await query(
+    `SELECT u.id, COALESCE(u.name, u.preferred_username, u.username) AS name
+       FROM ggr_users u
+      WHERE u.is_active = TRUE
+        AND (u.is_admin = TRUE
+             OR EXISTS (
+                  SELECT 1
+                    FROM ggr_user_roles ur
+                    JOIN ggr_roles r ON r.id = ur.role_id
+                    JOIN ggr_role_permissions rp ON rp.role_id = r.id
+                    JOIN ggr_permissions p ON p.id = rp.permission_id
+                   WHERE ur.user_id = u.id
+                     AND ur.is_active = TRUE
+                     AND r.is_active = TRUE
+                     AND p.is_active = TRUE
+                     AND (p.name = $1 OR p.name = 'admin.*')
+                ))
+      ORDER BY name, u.id`,
+    [ASSIGNEE_PERMISSION],
+  );
+  return result.rows;
+}
+
+/**
+ * Check an assignee as a client sent it, before anything is written.
+ *
+ * @param {unknown} assigneeId - A local ggr_users id, or null for none
+ * @returns {Promise<number|null>} The id as a number, or null
+ * @throws {InvalidAssigneeError} When it is not a user who may take requests
+ */
+export async function assertAssignable(assigneeId) {
+  if (assigneeId === null) return null;
+  const id = Number(assigneeId);
+  if (typeof assigneeId === "boolean" || !Number.isInteger(id) || id <= 0) {
+    throw new InvalidAssigneeError(
+      "assignee_user_id must be a user id or null",
+    );
+  }
+  if (!(await userHasPermission(id, ASSIGNEE_PERMISSION))) {
+    throw new InvalidAssigneeError(
+      "The assignee must be an active user who can approve requests",
+    );
+  }
+  return id;
+}
+
+/**
+ * Assign requests to a user, or unassign them.
+ *
+ * Only the requests whose assignee actually changes are written, so
+ * re-assigning a batch that is already yours neither resets assigned_at nor
+ * tells anyone again.
+ *
+ * Inside a transaction, pass its `tx`: nothing is sent until the caller runs
+ * the returned runSideEffects after commit, as for a status change.
+ * Otherwise the side effects run before this returns.
+ *
+ * @param {Object} params
+ * @param {string[]} params.ids - The requests
+ * @param {number|null} params.assigneeId - Local ggr_users id, or null to
+ *   unassign
+ * @param {string} [params.actor] - Display name of whoever assigned them
+ * @param {number|null} [params.actorId] - Their local ggr_users id; assigning
+ *   yourself tells no one
+ * @param {Function} [params.tx] - A transaction's query function
+ * @returns {Promise<{rows: Object[], runSideEffects: () => void}>} The
+ *   requests that changed, as they are now
+ * @throws {InvalidAssigneeError} When the assignee may not take requests
+ */
+export async function assignRequests({
+  ids,
+  assigneeId,
+  actor = null,
+  actorId = null,
+  tx = null,
+}) {
+  const assignee = await assertAssignable(assigneeId);
+
+  const result = await (tx ?? query)(
+    `UPDATE ggr_game_requests
+        SET assignee_user_id = $2::int,
+            assigned_at = CASE WHEN $2::int IS NULL THEN NULL ELSE NOW() END,
+            updated_at = NOW()
+      WHERE id = ANY($1::uuid[])
+        AND assignee_user_id IS DISTINCT FROM $2::int
+  RETURNING *`,
+    [ids, assignee],
+  );
+  const rows = result.rows;
+
+  const runSideEffects = () => {
+    if (rows.length === 0) return;
+    invalidateRequestCaches(rows);
+    for (const row of rows) {
+      publishRequestEvent("request.assigned", row, {
+        assignee_user_id: row.assignee_user_id,
+      });
+    }
+    if (assignee !== null && assignee !== Number(actorId)) {
+      notifyAssignee({ requests: rows, assigneeId: assignee, actor });
+    }
+  };
+
+  if (!tx) runSideEffects();
+  return { rows, runSideEffects };
+}
+
+/**
+ * Each assignee's share of the open requests, for admin/analytics.
+ *
+ * Everyone who can be assigned is listed, idle or not -- an admin with
+ * nothing on is part of the picture -- and so is anyone still holding
+ * requests after losing the permission, whose requests would otherwise
+ * vanish from the summary.
+ *
+ * @returns {Promise<{assignees: Array<{id: number, name: string, open: number, by_status: Object<string, number>, fulfilled_30d: number, oldest_assigned_at: string|null}>, unassigned: number}>}
+ *   Busiest first
+ */
+export async function getWorkload() {
+  const [load, unassigned, assignable] = await Promise.all([
+    query(
+      `SELECT u.id, COALESCE(u.name, u.preferred_username, u.username) AS name,
+              COUNT(*) FILTER (WHERE r.status = 'awaiting_release')::int AS awaiting_release,
+              COUNT(*) FILTER (WHERE r.status = 'pending')::int AS pending,
+              COUNT(*) FILTER (WHERE r.status = 'approved')::int AS approved,
+              COUNT(*) FILTER (WHERE r.status = 'in_progress')::int AS in_progress,
+              COUNT(*) FILTER (
+                WHERE r.status = 'fulfilled'
+                  AND EXISTS (
+                        SELECT 1 FROM ggr_request_status_history h
+                         WHERE h.request_id = r.id
+                           AND h.to_status = 'fulfilled'
+                           AND h.created_at >= NOW() - INTERVAL '30 days'
+                      )
+              )::int AS fulfilled_30d,
+              MIN(r.assigned_at) FILTER (WHERE r.status = ANY($1)) AS oldest_assigned_at
+         FROM ggr_game_requests r
+         JOIN ggr_users u ON u.id = r.assignee_user_id
+        GROUP BY u.id`,
+      [OPEN_STATUSES],
+    ),
+    query(
+      `SELECT COUNT(*)::int AS count
+         FROM ggr_game_requests
+        WHERE assignee_user_id IS NULL AND status = ANY($1)`,
+      [OPEN_STATUSES],
+    ),
+    listAssignees(),
+  ]);
+
+  const byId = new Map(load.rows.map((row) => [row.id, row]));
+  const people = [
+    ...assignable,
+    ...load.rows.filter(
+      (row) => !assignable.some((assignee) => assignee.id === row.id),
+    ),
+  ];
+
+  const assignees = people.map(({ id, name }) => {
+    const row = byId.get(id) ?? {};
+    const by_status = Object.fromEntries(
+      OPEN_STATUSES.map((status) => [status, row[status] ?? 0]),
+    );
+    return {
+      id,
+      name,
+      open: Object.values(by_status).reduce((sum, count) => sum + count, 0),
+      by_status,
+      fulfilled_30d: row.fulfilled_30d ?? 0,
+      oldest_assigned_at: row.oldest_assigned_at ?? null,
+    };
+  });
+  assignees.sort(
+    (a, b) => b.open - a.open || String(a.name).localeCompare(String(b.name)),
+  );
+
+  return { assignees, unassigned: unassigned.rows[0]?.count ?? 0 };
+}
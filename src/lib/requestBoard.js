@@ -0,0 +1,133 @@
+/**
+ * The admin request board: which columns and swimlanes a request lands in,
+ * and which moves between them the viewer may make.
+ *
+ * Shared by the board component and the requests page so that a card, the
+ * column it can be dropped on and the status the page then asks the server
+ * for all come from one list. Nothing here writes: a drop is an ordinary
+ * POST to /admin/api/requests/update, which goes through
+ * applyRequestStatusChange like every other status change -- notifications,
+ * webhooks, history and the duplicate-guard 409 included.
+ */
+
+/**
+ * One column per status, in the order a request moves through them. The
+ * closed statuses come last; the board shows only the most recent of those
+ * (see BOARD_COLUMN_LIMIT in the page's loader).
+ */
+export const BOARD_COLUMNS = Object.freeze([
+  { status: "awaiting_release", label: "Awaiting Release" },
+  { status: "pending", label: "Pending" },
+  { status: "approved", label: "Approved" },
+  { status: "in_progress", label: "In Progress" },
+  { status: "fulfilled", label: "Fulfilled" },
+  { status: "rejected", label: "Rejected" },
+  { status: "cancelled", label: "Cancelled" },
+]);
+
+/**
+ * The ways the board can split its columns into rows. `none` is one row.
+ * Keys are the `lanes` URL parameter.
+ */
+export const BOARD_LANES = Object.freeze({
+  none: { label: "None", field: null, values: [] },
+  priority: {
+    label: "Priority",
+    field: "priority",
+    values: ["urgent", "high", "medium", "low"],
+  },
+  type: {
+    label: "Request type",
+    field: "request_type",
+    values: ["game", "update", "fix"],
+  },
+});
+
+// The statuses the approve permission guards, as the update endpoint checks
+// them. Anyone who may edit a request may move it to the others.
+const APPROVE_STATUSES = new Set([
+  "approved",
+  "in_progress",
+  "rejected",
+  "fulfilled",
+]);
+
+/**
+ * Whether the viewer may move a request into a column.
+ *
+ * Mirrors the update endpoint's checks so the board does not offer a drop the
+ * server will refuse. The server still decides.
+ *
+ * @param {string} status - The target column's status
+ * @param {{canApprove: boolean, canEdit: boolean}} permissions
+ * @returns {boolean}
+ */
+export function canMoveTo(status, { canApprove, canEdit }) {
+  if (APPROVE_STATUSES.has(status)) return canApprove;
+  return canApprove || canEdit;
+}
+
+/**
+ * Lay requests out as lanes of columns.
+ *
+ * Every lane has every column, empty or not, so the grid lines up and an
+ * empty column is still somewhere to drop a card. A request whose lane value
+ * is not in the list (a priority set by hand in the database, say) goes in a
+ * trailing "Other" lane rather than disappearing from the board.
+ *
+ * @param {Array<Object>} requests - In the order cards should appear
+ * @param {string} [lanes] - A BOARD_LANES key
+ * @returns {Array<{key: string, label: string|null, columns: Array<{status: string, label: string, requests: Array<Object>}>}>}
+ */
+export function groupBoard(requests, lanes = "none") {
+  const lane = BOARD_LANES[lanes] ?? BOARD_LANES.none;
+  const keys = lane.field ? [...lane.values] : ["all"];
+  const laneOf = (request) => {
+    if (!lane.field) return "all";
+    return keys.includes(request[lane.field]) ? request[lane.field] : "other";
+  };
+
+  if (lane.field && requests.some((request) => laneOf(request) === "other")) {
+    keys.push("other");
+  }
+
+  const grid = new Map(
+    keys.map((key) => [
+      key,
+      new Map(BOARD_COLUMNS.map((column) => [column.status, []])),
+    ]),
+  );
+  for (const request of requests) {
+    grid.get(laneOf(request)).get(request.status)?.push(request);
+  }
+
+  return keys.map((key) => ({
+    key,
+    label: lane.field ? (key === "other" ? "Other" : key) : null,
+    columns: BOARD_COLUMNS.map((column) => ({
+      ...column,
+      requests: grid.get(key).get(column.status),
+    })),
+  }));
+}
+
+/**
+ * The column a keyboard move lands on: the next one in `direction` the viewer
+ * may move to, skipping those they may not. Stays put at either end.
+ *
+ * @param {string} status - The column the card is over now
+ * @param {-1|1} direction - Left or right
+ * @param {{canApprove: boolean, canEdit: boolean}} permissions
+ * @returns {string}
+ */
+export function adjacentColumn(status, direction, permissions) {
+  const statuses = BOARD_COLUMNS.map((column) => column.status);
+  for (
+    let index = statuses.indexOf(status) + direction;
+    index >= 0 && index < statuses.length;
+    index += direction
+  ) {
+    if (canMoveTo(statuses[index], permissions)) return statuses[index];
+  }
+  return status;
+}
@@ -0,0 +1,140 @@
+/**
+ * Comment threads on game requests.
+ *
+ * The one reader and the one writer of ggr_request_comments (migration 017).
+ * Both the requester-facing API and the admin page go through here, so the
+ * rule that keeps internal comments away from requesters lives in one place
+ * instead of in every SELECT that happens to touch the table.
+ */
+
+import { query } from "$lib/database.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { sendRequestCommentNotification } from "$lib/gotify.js";
+import {
+  dispatchRequestCommentEvent,
+  sendRequestCommentWebhook,
+} from "$lib/webhooks.server.js";
+import { notifyRequestParticipants } from "$lib/userNotifications.server.js";
+
+/** Long enough for a real explanation, short enough not to be a paste bin. */
+export const COMMENT_MAX_LENGTH = 4000;
+
+/**
+ * What a user may do on one request's thread.
+ *
+ * The requester may read and post. Anyone holding `request.edit` is staff: they
+ * may post on any request, see internal comments and write them. Everyone else
+ * may do neither -- a request's thread is not public the way the request list
+ * is.
+ *
+ * @param {Object} request - The ggr_game_requests row (needs `user_id`)
+ * @param {number|string} localUserId - Local ggr_users id of the caller
+ * @returns {Promise<{canComment: boolean, isStaff: boolean}>}
+ */
+export async function resolveCommentAccess(request, localUserId) {
+  const isStaff = await userHasPermission(localUserId, "request.edit");
+  const isRequester = String(request.user_id) === String(localUserId);
+  return { canComment: isStaff || isRequester, isStaff };
+}
+
+/**
+ * The threads of a set of requests, oldest comment first.
+ *
+ * Internal comments are left out unless the caller says otherwise, so
+ * forgetting the option fails closed.
+ *
+ * @param {string[]} ids - Request UUIDs
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInternal=false] - Include staff-only
+ *   comments; only for callers that have established the reader is staff
+ * @returns {Promise<Map<string, Object[]>>} Comments keyed by request id
+ */
+export async function listRequestComments(
+  ids,
+  { includeInternal = false } = {},
+) {
+  const threads = new Map();
+  if (!ids || ids.length === 0) return threads;
+
+  const result = await query(
+    `SELECT id, request_id, author_user_id, author_name, body, is_internal,
+            created_at
+       FROM ggr_request_comments
+      WHERE request_id = ANY($1::uuid[])
+        AND ($2 OR NOT is_internal)
+      ORDER BY created_at, id`,
+    [ids, includeInternal],
+  );
+
+  for (const comment of result.rows) {
+    const thread = threads.get(comment.request_id) ?? [];
+    thread.push(comment);
+    threads.set(comment.request_id, thread);
+  }
+  return threads;
+}
+
+/**
+ * Append a comment to a request's thread and announce it.
+ *
+ * The caller has already checked access with resolveCommentAccess and
+ * validated the body. The admin notification, the `request.comment` webhooks
+ * and the requester's and supporters' own notifications are fire and forget,
+ * as for a status change: the comment is stored, and a slow receiver must not
+ * turn that into an error.
+ *
+ * @param {Object} params
+ * @param {Object} params.request - The ggr_game_requests row being commented on
+ * @param {number|string|null} params.authorId - Local ggr_users id of the author
+ * @param {string} params.authorName - Display name of the author
+ * @param {string} params.body - The comment text, already trimmed
+ * @param {boolean} [params.internal=false] - Staff-only comment
+ * @returns {Promise<Object>} The stored ggr_request_comments row
+ */
+export async function addRequestComment({
+  request,
+  authorId,
+  authorName,
+  body,
+  internal = false,
+}) {
+  const result = await query(
+    `INSERT INTO ggr_request_comments
+         (request_id, author_user_id, author_name, body, is_internal)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [request.id, authorId ?? null, authorName, body, internal],
+  );
+  const comment = result.rows[0];
+
+  sendRequestCommentNotification({
+    id: request.id,
+    title: request.title,
+    user_name: request.user_name,
+    author_name: comment.author_name,
+    body: comment.body,
+    internal: comment.is_internal,
+    igdb_id: request.igdb_id,
+  }).catch((error) => {
+    console.warn("Failed to send comment notification:", error.message);
+  });
+
+  sendRequestCommentWebhook(request, comment).catch((error) => {
+    console.warn("Failed to send comment webhook:", error.message);
+  });
+  dispatchRequestCommentEvent(request, comment).catch((error) => {
+    console.warn("Failed to dispatch comment webhooks:", error.message);
+  });
+
+  // Staff talking among themselves is not news for the requester.
+  if (!comment.is_internal) {
+    notifyRequestParticipants({
+      event: "request.comment",
+      request,
+      actorId: authorId,
+      comment,
+    });
+  }
+
+  return comment;
+}
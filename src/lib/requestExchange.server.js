@@ -0,0 +1,608 @@
+/**
+ * Requests in and out of ggr_game_requests as CSV or JSON.
+ *
+ * The export is the admin queue as filtered -- see requestList.server.js --
+ * with every page of it, for the spreadsheet an admin keeps or the next
+ * tool. The import reads the same columns back, so an export from one
+ * instance goes into another, and so does a legacy spreadsheet that has at
+ * least a `title` column.
+ *
+ * Times go out as UTC instants and come back as them. The columns are
+ * TIMESTAMP without a zone, filled by NOW() in the database's time zone, so
+ * both ways convert through timestamptz: a created_at read as if it were UTC
+ * would move by the zone's offset on each trip.
+ *
+ * An import is previewed before it is committed. Each row's title is looked up
+ * on IGDB (searchGameCandidates) unless the file already names the game, and
+ * comes out matched, ambiguous -- several games fit, or none fits well -- or
+ * unmatched. When IGDB cannot be asked, the preview does not go ahead: a row
+ * marked unmatched would be imported without an IGDB id, past the duplicate
+ * guard, and never auto-fulfilled. The admin picks a game for the ambiguous
+ * rows, or none, and then imports: matched and unmatched rows go in, the
+ * latter without an IGDB id like any title-only request, and ambiguous ones
+ * only once resolved.
+ *
+ * The commit does not search IGDB again. It takes the preview's decision for
+ * every row as `resolutions` -- the dialog sends them all -- and re-checks
+ * only what can have changed since: the file's values and the duplicates. A
+ * row that needed a search and comes without a decision is left out as
+ * ambiguous.
+ *
+ * Imported requests are history, not news. Nobody is notified and no webhook
+ * fires; each request's timeline starts with an `import` entry at the status
+ * the file gave it. An open request for a game that already has one is
+ * skipped, as the duplicate guard (migration 011) would refuse it anyway.
+ */
+
+import { query, withTransaction } from "$lib/database.js";
+import { searchGameCandidates } from "$lib/igdb.js";
+import { classifyMatch } from "$lib/igdbMatch.js";
+import { parseCsv, toCsv } from "$lib/csv.js";
+import { requestListFilters } from "$lib/requestList.server.js";
+import { findOpenDuplicate, OPEN_STATUSES } from "$lib/requestPolicy.server.js";
+import {
+  invalidateRequestCaches,
+  isDuplicateRequestViolation,
+  REQUEST_SOURCES,
+} from "$lib/requestStatus.server.js";
+import { requestedPlatforms } from "$lib/requestPlatforms.js";
+
+/**
+ * The columns of an export, in order, and what an import reads. An import
+ * needs `title`; `id`, `supporter_count`, `assignee_name` and `updated_at`
+ * describe the exporting instance and are ignored.
+ */
+export const EXCHANGE_COLUMNS = [
+  "id",
+  "title",
+  "igdb_id",
+  "request_type",
+  "status",
+  "priority",
+  "platforms",
+  "user_name",
+  "user_email",
+  "reason",
+  "description",
+  "admin_notes",
+  "supporter_count",
+  "assignee_name",
+  "created_at",
+  "updated_at",
+];
+
+export const EXCHANGE_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+/**
+ * Rows per import. Every one may be an IGDB search, and IGDB allows four a
+ * second.
+ */
+export const IMPORT_LIMIT = 500;
+
+const STATUSES = [
+  "awaiting_release",
+  "pending",
+  "approved",
+  "in_progress",
+  "fulfilled",
+  "rejected",
+  "cancelled",
+];
+const REQUEST_TYPES = ["game", "update", "fix"];
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+// Between the platforms of one CSV cell. Not a comma, which the cell would
+// have to be quoted for, and which "Nintendo 64, PAL" could hold.
+const PLATFORM_SEPARATOR = "; ";
+
+/**
+ * Thrown for a file that cannot be imported at all -- unreadable, empty,
+ * without a title column or too long -- or when IGDB could not be asked to
+ * match its titles. Problems with single rows are part of
+ * the preview instead. The message is fit for the admin who sent it.
+ */
+export class InvalidImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidImportError";
+  }
+}
+
+/**
+ * The requests the admin queue shows for these URL parameters, every page of
+ * them, as export rows.
+ *
+ * @param {URLSearchParams} searchParams - The queue's own parameters
+ * @param {Object} [options]
+ * @param {number|null} [options.localUserId] - The viewer, for `assigned=me`
+ * @returns {Promise<Object[]>} Keyed by EXCHANGE_COLUMNS, platforms as an
+ *   array and dates as ISO strings
+ */
+export async function exportRequests(
+  searchParams,
+  { localUserId = null } = {},
+) {
+  const { whereClause, queryParams, orderByClause } = requestListFilters(
+    searchParams,
+    { localUserId },
+  );
+
+  const result = await query(
+    `SELECT * FROM (
+       SELECT id, title, igdb_id, request_type, status, priority, platforms,
+              user_name, reason, description, admin_notes,
+              created_at::timestamptz AS created_at,
+              updated_at::timestamptz AS updated_at, assignee_user_id,
+              (SELECT u.email FROM ggr_users u
+                WHERE u.id::text = ggr_game_requests.user_id) AS user_email,
+              (SELECT COALESCE(u.name, u.preferred_username, u.username)
+                 FROM ggr_users u
+                WHERE u.id = ggr_game_requests.assignee_user_id) AS assignee_name,
+              (SELECT COUNT(*)::int FROM ggr_request_supporters s
+                WHERE s.request_id = ggr_game_requests.id) AS supporter_count
+         FROM ggr_game_requests
+     ) requests
+     ${whereClause}
+     ${orderByClause}`,
+    queryParams,
+  );
+
+  return result.rows.map((row) => ({
+    ...Object.fromEntries(
+      EXCHANGE_COLUMNS.map((column) => [column, row[column] ?? null]),
+    ),
+    platforms: requestedPlatforms(row.platforms),
+    created_at: isoDate(row.created_at),
+    updated_at: isoDate(row.updated_at),
+  }));
+}
+
+/**
+ * Export rows as a file.
+ *
+ * @param {Object[]} rows - From exportRequests
+ * @param {"csv"|"json"} format
+ * @returns {string}
+ */
+export function serializeRequests(rows, format) {
+  if (format === "json") {
+    return `${JSON.stringify(rows, null, 2)}\n`;
+  }
+  return toCsv(
+    EXCHANGE_COLUMNS,
+    rows.map((row) => ({
+      ...row,
+      platforms: row.platforms.join(PLATFORM_SEPARATOR),
+    })),
+  );
+}
+
+/**
+ * What an import would do, without doing it.
+ *
+ * @param {Object} params
+ * @param {string} params.content - The file's text
+ * @param {"csv"|"json"} params.format
+ * @param {Object<string, string|null>} [params.resolutions] - By line: the
+ *   IGDB id the admin picked for a row, or null for none
+ * @returns {Promise<{rows: Object[], summary: Object<string, number>}>} One
+ *   preview row per record, and how many came out each way
+ * @throws {InvalidImportError}
+ */
+export async function previewImport({ content, format, resolutions = {} }) {
+  const rows = await planImport({
+    content,
+    format,
+    resolutions,
+    search: true,
+  });
+  return { rows: rows.map(previewRow), summary: summarize(rows) };
+}
+
+/**
+ * Import a file: the rows previewImport would import, in one transaction.
+ *
+ * The file is read and checked again rather than trusting a preview sent
+ * back, but not searched on IGDB again: `resolutions` carries the preview's
+ * game for each row, or the admin's pick, and a row without one that the
+ * file does not name a game for is skipped as ambiguous.
+ *
+ * @param {Object} params
+ * @param {string} params.content
+ * @param {"csv"|"json"} params.format
+ * @param {Object<string, string|null>} [params.resolutions]
+ * @param {string|null} [params.actor] - Display name of the admin importing
+ * @param {number|null} [params.actorId] - Their local ggr_users id; rows whose
+ *   requester is not a user here are theirs
+ * @returns {Promise<{imported: Object[], rows: Object[], summary: Object<string, number>}>}
+ *   The inserted requests, and the preview of every row
+ * @throws {InvalidImportError} Also when an open request for one of the
+ *   games was made while this ran; nothing is imported then
+ */
+export async function importRequests({
+  content,
+  format,
+  resolutions = {},
+  actor = null,
+  actorId = null,
+}) {
+  const rows = await planImport({
+    content,
+    format,
+    resolutions,
+    search: false,
+  });
+  const importing = rows.filter((row) => row.outcome === "import");
+
+  let imported = [];
+  if (importing.length > 0) {
+    imported = await withTransaction(async (tx) => {
+      const inserted = [];
+      for (const row of importing) {
+        try {
+          const result = await tx(
+            `WITH inserted AS (
+               INSERT INTO ggr_game_requests (
+                 user_id, user_name, request_type, title, igdb_id, platforms,
+                 priority, description, reason, status, admin_notes,
+                 created_at
+               ) VALUES (
+                 $1, $2, $3, $4, $5, $6::jsonb, $7, $8, $9, $10, $11,
+                 COALESCE($12::timestamptz::timestamp, NOW())
+               ) RETURNING *
+             ),
+             logged AS (
+               INSERT INTO ggr_request_status_history
+                 (request_id, from_status, to_status, actor_user_id,
+                  actor_name, notes, source)
+               SELECT id, NULL, status, $13::int, $14::text, $15::text, $16::text
+                 FROM inserted
+             )
+             SELECT * FROM inserted`,
+            [
+              String(row.user_id ?? actorId),
+              row.user_name,
+              row.request_type,
+              row.title,
+              row.igdb_id,
+              JSON.stringify(row.platforms),
+              row.priority,
+              row.description,
+              row.reason,
+              row.status,
+              row.admin_notes,
+              row.created_at,
+              actorId,
+              actor,
+              `Imported from line ${row.line}`,
+              REQUEST_SOURCES.IMPORT,
+            ],
+          );
+          inserted.push(result.rows[0]);
+        } catch (error) {
+          if (!isDuplicateRequestViolation(error)) throw error;
+          throw new InvalidImportError(
+            `Line ${row.line}: "${row.title}" was requested while importing; nothing was imported`,
+          );
+        }
+      }
+      return inserted;
+    });
+    invalidateRequestCaches(imported);
+  }
+
+  return { imported, rows: rows.map(previewRow), summary: summarize(rows) };
+}
+
+/**
+ * Read, check, match and de-duplicate a file's rows. Each comes back with an
+ * `outcome`: import, ambiguous, duplicate or invalid.
+ */
+async function planImport({ content, format, resolutions, search }) {
+  const records = readRecords(content, format);
+  const rows = records.map(readRow);
+
+  await matchGames(rows, resolutions ?? {}, search);
+  await findRequesters(rows);
+
+  // An open request per game, as migration 011 keys it: the earlier of two in
+  // the file wins, and one already here beats both.
+  const seen = new Map();
+  for (const row of rows) {
+    if (row.problems.length > 0) {
+      row.outcome = "invalid";
+      continue;
+    }
+    if (row.match === "ambiguous") {
+      row.outcome = "ambiguous";
+      continue;
+    }
+    row.outcome = "import";
+    if (!OPEN_STATUSES.includes(row.status)) continue;
+
+    const key = row.igdb_id
+      ? `${row.request_type}:igdb:${row.igdb_id}`
+      : `${row.request_type}:title:${row.title.trim().toLowerCase()}`;
+    if (seen.has(key)) {
+      row.outcome = "duplicate";
+      row.duplicate_of = { line: seen.get(key) };
+      continue;
+    }
+    const existing = await findOpenDuplicate({
+      igdbId: row.igdb_id,
+      title: row.title,
+      requestType: row.request_type,
+    });
+    if (existing) {
+      row.outcome = "duplicate";
+      row.duplicate_of = { id: existing.id, status: existing.status };
+      continue;
+    }
+    seen.set(key, row.line);
+  }
+  return rows;
+}
+
+/** The file's records as {line, values}, whatever its format. */
+function readRecords(content, format) {
+  if (!EXCHANGE_FORMATS[format]) {
+    throw new InvalidImportError("The format must be csv or json");
+  }
+  if (typeof content !== "string" || !content.trim()) {
+    throw new InvalidImportError("The file is empty");
+  }
+
+  let records;
+  if (format === "json") {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new InvalidImportError(
+        `The file is not valid JSON: ${error.message}`,
+      );
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.requests;
+    if (!Array.isArray(list)) {
+      throw new InvalidImportError(
+        "The JSON must be an array of requests, or an object with a requests array",
+      );
+    }
+    // JSON has no lines to speak of; a row is numbered by its place.
+    records = list.map((values, index) => ({
+      line: index + 1,
+      values: values && typeof values === "object" ? values : {},
+    }));
+  } else {
+    let parsed;
+    try {
+      parsed = parseCsv(content);
+    } catch (error) {
+      throw new InvalidImportError(error.message);
+    }
+    if (!parsed.columns.includes("title")) {
+      throw new InvalidImportError('The CSV needs a "title" column');
+    }
+    records = parsed.rows;
+  }
+
+  if (records.length === 0) {
+    throw new InvalidImportError("The file has no requests in it");
+  }
+  if (records.length > IMPORT_LIMIT) {
+    throw new InvalidImportError(
+      `At most ${IMPORT_LIMIT} requests can be imported at a time; split the file`,
+    );
+  }
+  return records;
+}
+
+/** One record as a request, with what is wrong with it. */
+function readRow({ line, values }) {
+  const text = (key) => {
+    const value = values[key];
+    if (value === null || value === undefined) return "";
+    return String(value).trim();
+  };
+  const problems = [];
+  const oneOf = (key, allowed, fallback) => {
+    const value = text(key)
+      .toLowerCase()
+      .replace(/[\s-]+/g, "_");
+    if (!value) return fallback;
+    if (!allowed.includes(value)) {
+      problems.push(
+        `${key} "${text(key)}" is not one of ${allowed.join(", ")}`,
+      );
+      return fallback;
+    }
+    return value;
+  };
+
+  const title = text("title");
+  if (!title) problems.push("title is missing");
+
+  const igdbId = text("igdb_id");
+  if (igdbId && !/^\d+$/.test(igdbId)) {
+    problems.push(`igdb_id "${igdbId}" is not an IGDB id`);
+  }
+
+  let createdAt = null;
+  if (text("created_at")) {
+    const date = new Date(text("created_at"));
+    if (Number.isNaN(date.getTime())) {
+      problems.push(`created_at "${text("created_at")}" is not a date`);
+    } else {
+      createdAt = date.toISOString();
+    }
+  }
+
+  return {
+    line,
+    title,
+    igdb_id: /^\d+$/.test(igdbId) ? igdbId : null,
+    request_type: oneOf("request_type", REQUEST_TYPES, "game"),
+    status: oneOf("status", STATUSES, "pending"),
+    priority: oneOf("priority", PRIORITIES, "medium"),
+    platforms: requestedPlatforms(
+      Array.isArray(values.platforms)
+        ? values.platforms
+        : text("platforms").split(PLATFORM_SEPARATOR.trim()),
+    ),
+    user_name: text("user_name") || null,
+    user_email: text("user_email") || null,
+    reason: text("reason") || null,
+    description: text("description") || null,
+    admin_notes: text("admin_notes") || null,
+    created_at: createdAt,
+    problems,
+    match: null,
+    candidates: [],
+  };
+}
+
+/**
+ * Find each row's IGDB game. A row the file gives an id for, or the admin
+ * resolved, is not searched; each title is searched once however many rows
+ * carry it. Without `search` nothing is: the rest come out ambiguous with no
+ * candidates.
+ *
+ * @throws {InvalidImportError} When IGDB cannot be reached
+ */
+async function matchGames(rows, resolutions, search) {
+  const searches = new Map();
+
+  for (const row of rows) {
+    if (row.problems.length > 0) continue;
+
+    if (Object.hasOwn(resolutions, row.line)) {
+      const choice = resolutions[row.line];
+      row.igdb_id =
+        choice && /^\d+$/.test(String(choice)) ? String(choice) : null;
+      row.match = "resolved";
+      continue;
+    }
+    if (row.igdb_id) {
+      row.match = "file";
+      continue;
+    }
+    if (!search) {
+      Object.assign(row, { match: "ambiguous", igdb_id: null, candidates: [] });
+      continue;
+    }
+
+    const key = row.title.toLowerCase();
+    if (!searches.has(key)) {
+      try {
+        searches.set(key, await searchGameCandidates(row.title));
+      } catch (error) {
+        console.error("Import IGDB search error:", error);
+        throw new InvalidImportError(
+          "IGDB could not be reached to match the titles, so nothing was imported. Try again later.",
+        );
+      }
+    }
+    Object.assign(row, classifyMatch(row.title, searches.get(key)));
+  }
+}
+
+/**
+ * Whose each request is: the user here with the row's email, else the one
+ * user whose name or username is the row's user_name. Anyone else's request
+ * is the importing admin's, under the name the file gave it.
+ */
+async function findRequesters(rows) {
+  const emails = [
+    ...new Set(
+      rows.map((row) => row.user_email?.toLowerCase()).filter(Boolean),
+    ),
+  ];
+  const names = [
+    ...new Set(rows.map((row) => row.user_name?.toLowerCase()).filter(Boolean)),
+  ];
+  if (emails.length === 0 && names.length === 0) return;
+
+  const result = await query(
+    `SELECT id, lower(email) AS email, lower(name) AS name,
+            lower(username) AS username,
+            lower(preferred_username) AS preferred_username,
+            COALESCE(name, preferred_username, username) AS display_name
+       FROM ggr_users
+      WHERE lower(email) = ANY($1)
+         OR lower(name) = ANY($2)
+         OR lower(username) = ANY($2)
+         OR lower(preferred_username) = ANY($2)`,
+    [emails, names],
+  );
+
+  for (const row of rows) {
+    const email = row.user_email?.toLowerCase();
+    const name = row.user_name?.toLowerCase();
+    let user =
+      email && result.rows.find((candidate) => candidate.email === email);
+    if (!user && name) {
+      const named = result.rows.filter((candidate) =>
+        [
+          candidate.name,
+          candidate.username,
+          candidate.preferred_username,
+        ].includes(name),
+      );
+      if (named.length === 1) user = named[0];
+    }
+    if (user) {
+      row.user_id = user.id;
+      row.user_name = row.user_name || user.display_name;
+    }
+  }
+}
+
+/** What the admin is shown of a planned row. */
+function previewRow(row) {
+  return {
+    line: row.line,
+    title: row.title,
+    request_type: row.request_type,
+    status: row.status,
+    priority: row.priority,
+    platforms: row.platforms,
+    user_name: row.user_name,
+    requester_found: row.user_id !== undefined,
+    igdb_id: row.igdb_id,
+    match: row.match,
+    candidates: row.candidates,
+    outcome: row.outcome,
+    problems: row.problems,
+    duplicate_of: row.duplicate_of ?? null,
+  };
+}
+
+function summarize(rows) {
+  const count = (test) => rows.filter(test).length;
+  return {
+    total: rows.length,
+    importable: count((row) => row.outcome === "import"),
+    matched: count(
+      (row) =>
+        ["matched", "file", "resolved"].includes(row.match) && row.igdb_id,
+    ),
+    ambiguous: count((row) => row.outcome === "ambiguous"),
+    unmatched: count(
+      (row) =>
+        row.outcome !== "invalid" &&
+        row.outcome !== "ambiguous" &&
+        !row.igdb_id,
+    ),
+    duplicate: count((row) => row.outcome === "duplicate"),
+    invalid: count((row) => row.outcome === "invalid"),
+  };
+}
+
+function isoDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
@@ -0,0 +1,125 @@
+/**
+ * The admin request queue's filters and sort, read from its URL.
+ *
+ * Shared by the queue page (admin/requests/+page.server.js) and its export
+ * (admin/api/requests/export), so that the file an admin downloads holds the
+ * requests they were looking at, in the order they saw them -- every page of
+ * them rather than the one on screen.
+ */
+
+/** The columns the queue can be sorted by, as `?sort=` names them. */
+export const REQUEST_SORT_COLUMNS = [
+  "title",
+  "user_name",
+  "status",
+  "priority",
+  "request_type",
+  "created_at",
+  "updated_at",
+  "supporter_count",
+];
+
+/**
+ * The WHERE and ORDER BY clauses for the queue's `status`, `assigned`,
+ * `search`, `sort` and `dir` parameters.
+ *
+ * The board has no status filter -- its columns are the statuses -- so
+ * `status` only applies to the table. ORDER BY may name supporter_count, which
+ * is a column of the queue's select rather than of the table.
+ *
+ * @param {URLSearchParams} searchParams
+ * @param {Object} [options]
+ * @param {number|null} [options.localUserId] - The viewer, for `assigned=me`
+ * @param {"table"|"board"} [options.view]
+ * @returns {{status: string, search: string, assigned: string, sortBy: string, sortDir: string, whereClause: string, queryParams: Array, orderByClause: string}}
+ *   sortBy and sortDir as applied, after falling back from anything unknown
+ */
+export function requestListFilters(
+  searchParams,
+  { localUserId = null, view = "table" } = {},
+) {
+  const status = searchParams.get("status") || "all";
+  const search = searchParams.get("search") || "";
+  const sortBy = searchParams.get("sort") || "created_at";
+  const sortDir = searchParams.get("dir") || "desc";
+  // "me" is the viewer's own requests, "none" the ones no one has taken.
+  // Both views apply it.
+  const assigned = ["me", "none"].includes(searchParams.get("assigned"))
+    ? searchParams.get("assigned")
+    : "all";
+
+  // Build query conditions
+  let whereConditions = [];
+  let queryParams = [];
+  let paramIndex = 1;
+
+  if (status !== "all" && view === "table") {
+    whereConditions.push(`status = $${paramIndex}`);
+    queryParams.push(status);
+    paramIndex++;
+  }
+
+  if (assigned === "me") {
+    whereConditions.push(`assignee_user_id = $${paramIndex}`);
+    queryParams.push(localUserId);
+    paramIndex++;
+  } else if (assigned === "none") {
+    whereConditions.push("assignee_user_id IS NULL");
+  }
+
+  if (search) {
+    whereConditions.push(
+      `(title ILIKE $${paramIndex} OR user_name ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`,
+    );
+    queryParams.push(`%${search}%`);
+    paramIndex++;
+  }
+
+  const whereClause =
+    whereConditions.length > 0 ? `WHERE ${whereConditions.join(" AND ")}` : "";
+
+  // Validate sort parameters
+  const finalSortBy = REQUEST_SORT_COLUMNS.includes(sortBy)
+    ? sortBy
+    : "created_at";
+  const finalSortDir = ["asc", "desc"].includes(sortDir.toLowerCase())
+    ? sortDir.toLowerCase()
+    : "desc";
+  const direction = finalSortDir === "desc" ? "DESC" : "ASC";
+
+  // Build ORDER BY clause
+  let orderByClause = "";
+  if (finalSortBy === "priority") {
+    // Custom priority sorting (urgent > high > medium > low)
+    orderByClause = `ORDER BY
+        CASE priority
+          WHEN 'urgent' THEN 1
+          WHEN 'high' THEN 2
+          WHEN 'medium' THEN 3
+          WHEN 'low' THEN 4
+          ELSE 5
+        END ${direction}`;
+  } else if (finalSortBy === "status") {
+    // Custom status sorting (pending first, then others)
+    orderByClause = `ORDER BY
+        CASE WHEN status = 'pending' THEN 1 ELSE 2 END ${direction},
+        ${finalSortBy} ${direction}`;
+  } else if (finalSortBy === "supporter_count") {
+    // Demand: most-supported first, then oldest first among equals, so a
+    // request that has waited longest wins a tie.
+    orderByClause = `ORDER BY supporter_count ${direction}, created_at ASC`;
+  } else {
+    orderByClause = `ORDER BY ${finalSortBy} ${direction}`;
+  }
+
+  return {
+    status,
+    search,
+    assigned,
+    sortBy: finalSortBy,
+    sortDir: finalSortDir,
+    whereClause,
+    queryParams,
+    orderByClause,
+  };
+}
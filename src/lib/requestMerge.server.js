@@ -0,0 +1,337 @@
+/**
+ * Merging duplicate requests into one (migration 031).
+ *
+ * The duplicate guard (requestPolicy.server.js, migration 011) keeps one open
+ * request per IGDB game, but a title-only request and an IGDB one for the
+ * same game both get through, and so do "The Witcher 3" and "Witcher III:
+ * Wild Hunt" typed by hand. An admin folds them together: one request
+ * survives, and the rest are cancelled into it.
+ *
+ * Nobody's demand is lost on the way. The survivor takes each duplicate's
+ * reason, with whose it was, and the platforms it does not already name; the
+ * duplicates' requesters and supporters become its supporters. Their
+ * duplicates are cancelled through applyRequestStatusChange, so the history
+ * records it with source `merge`, and point at the survivor. They are told by
+ * notifyMerged -- once, and that their request went somewhere -- rather than
+ * with the "cancelled" a cancellation would send.
+ *
+ * findDuplicateGroups is what the admin queue's "possible duplicates" panel
+ * suggests merges from; it decides nothing on its own.
+ */
+
+import { query, withTransaction } from "$lib/database.js";
+import {
+  applyRequestStatusChange,
+  invalidateRequestCaches,
+  REQUEST_SOURCES,
+} from "$lib/requestStatus.server.js";
+import { OPEN_STATUSES } from "$lib/requestPolicy.server.js";
+import { requestedPlatforms } from "$lib/requestPlatforms.js";
+import { notifyMerged } from "$lib/userNotifications.server.js";
+import { titleSimilarity } from "$lib/utils.js";
+
+/**
+ * How alike two titles must be (utils.js titleSimilarity) to be suggested as
+ * one game. High enough that "Hollow Knight" and "Hollow Knight: Silksong"
+ * stay apart; sequels never meet, since a differing number scores 0.
+ */
+export const DUPLICATE_TITLE_THRESHOLD = 0.85;
+
+/** As many requests as one merge takes, like a bulk update's limit. */
+const MERGE_LIMIT = 50;
+
+/**
+ * Thrown by mergeRequests for a merge that cannot be made. The message is fit
+ * for the admin who asked for it.
+ */
+export class InvalidMergeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidMergeError";
+  }
+}
+
+/**
+ * Merge open duplicates into one surviving open request.
+ *
+ * One transaction, with every row involved locked first, so nothing moves
+ * underneath: either the survivor has taken everything and every duplicate
+ * is cancelled, or nothing happened. Supporters are copied rather than
+ * moved, so a cancelled duplicate still lists who was behind it.
+ *
+ * Refused when a request is missing or closed, when they are not all the
+ * same kind of request, or when two of them name different IGDB games --
+ * that is two games with similar titles, not one game twice.
+ *
+ * @param {Object} params
+ * @param {string} params.survivorId - The request that stays open
+ * @param {string[]} params.duplicateIds - The requests folded into it
+ * @param {string|null} [params.actor] - Display name of the admin
+ * @param {number|null} [params.actorId] - Their local ggr_users id
+ * @returns {Promise<{survivor: Object, merged: Object[], supportersAdded: number}>}
+ *   The survivor as it now stands and the cancelled duplicates
+ * @throws {InvalidMergeError}
+ */
+export async function mergeRequests({
+  survivorId,
+  duplicateIds,
+  actor = null,
+  actorId = null,
+}) {
+  const ids = [...new Set(duplicateIds ?? [])].filter(Boolean);
+  if (!survivorId || ids.length === 0) {
+    throw new InvalidMergeError(
+      "Pick a request to keep and at least one to merge into it",
+    );
+  }
+  if (ids.includes(survivorId)) {
+    throw new InvalidMergeError("A request cannot be merged into itself");
+  }
+  if (ids.length > MERGE_LIMIT) {
+    throw new InvalidMergeError(
+      `At most ${MERGE_LIMIT} requests can be merged at a time`,
+    );
+  }
+
+  const outcome = await withTransaction(async (tx) => {
+    const found = await tx(
+      `SELECT id, user_id, user_name, request_type, title, igdb_id, platforms,
+              reason, status, created_at
+         FROM ggr_game_requests
+        WHERE id = ANY($1::uuid[])
+        ORDER BY created_at
+          FOR UPDATE`,
+      [[survivorId, ...ids]],
+    );
+    const byId = new Map(found.rows.map((row) => [row.id, row]));
+    const survivor = byId.get(survivorId);
+    const duplicates = ids.map((id) => byId.get(id));
+
+    if (!survivor || duplicates.some((row) => !row)) {
+      throw new InvalidMergeError("One of these requests no longer exists");
+    }
+    for (const row of [survivor, ...duplicates]) {
+      if (!OPEN_STATUSES.includes(row.status)) {
+        throw new InvalidMergeError(
+          `"${row.title}" is ${row.status}; only open requests can be merged`,
+        );
+      }
+      if (row.request_type !== survivor.request_type) {
+        throw new InvalidMergeError(
+          "Only requests of the same type can be merged",
+        );
+      }
+    }
+    const games = new Set(
+      [survivor, ...duplicates]
+        .map((row) => row.igdb_id)
+        .filter(Boolean)
+        .map(String),
+    );
+    if (games.size > 1) {
+      throw new InvalidMergeError(
+        "These requests are for different IGDB games",
+      );
+    }
+
+    // Each reason under whose it was; the survivor's own stays first, as is.
+    const reasons = duplicates
+      .filter((row) => row.reason?.trim())
+      .map(
+        (row) =>
+          `From ${row.user_name || "another request"} (merged): ${row.reason.trim()}`,
+      );
+    const reason =
+      [survivor.reason?.trim(), ...reasons].filter(Boolean).join("\n\n") ||
+      null;
+
+    const platforms = requestedPlatforms([
+      ...requestedPlatforms(survivor.platforms),
+      ...duplicates.flatMap((row) => requestedPlatforms(row.platforms)),
+    ]);
+
+    const updated = await tx(
+      `UPDATE ggr_game_requests
+          SET reason = $2, platforms = $3::jsonb, updated_at = NOW()
+        WHERE id = $1
+    RETURNING *`,
+      [survivorId, reason, JSON.stringify(platforms)],
+    );
+
+    // A platform already fulfilled or unticked on a duplicate keeps that on
+    // the survivor, unless the survivor has its own say about it.
+    await tx(
+      `INSERT INTO ggr_request_platforms
+         (request_id, platform, required, fulfilled_at, fulfilled_by,
+          library_entry_id)
+       SELECT DISTINCT ON (platform) $1::uuid, platform, required,
+              fulfilled_at, fulfilled_by, library_entry_id
+         FROM ggr_request_platforms
+        WHERE request_id = ANY($2::uuid[])
+        ORDER BY platform, fulfilled_at NULLS LAST
+       ON CONFLICT (request_id, platform) DO NOTHING`,
+      [survivorId, ids],
+    );
+
+    // The duplicates' requesters, then their supporters. Never the
+    // survivor's own requester, who is its demand already.
+    const supporters = await tx(
+      `INSERT INTO ggr_request_supporters (request_id, user_id, user_name)
+       SELECT $1::uuid, backer.user_id, backer.user_name
+         FROM (
+           SELECT u.id AS user_id, COALESCE(r.user_name, u.name) AS user_name,
+                  r.created_at
+             FROM ggr_game_requests r
+             JOIN ggr_users u ON u.id::text = r.user_id
+            WHERE r.id = ANY($2::uuid[])
+           UNION ALL
+           SELECT s.user_id, s.user_name, s.created_at
+             FROM ggr_request_supporters s
+            WHERE s.request_id = ANY($2::uuid[])
+            ORDER BY created_at
+         ) AS backer
+        WHERE backer.user_id::text IS DISTINCT FROM $3::text
+       ON CONFLICT (request_id, user_id) DO NOTHING
+    RETURNING user_id`,
+      [survivorId, ids, survivor.user_id],
+    );
+
+    await tx(
+      `UPDATE ggr_game_requests
+          SET merged_into_request_id = $1
+        WHERE id = ANY($2::uuid[])`,
+      [survivorId, ids],
+    );
+
+    const merged = [];
+    const sideEffects = [];
+    for (const duplicate of duplicates) {
+      const change = await applyRequestStatusChange({
+        id: duplicate.id,
+        to: "cancelled",
+        actor,
+        actorId,
+        source: REQUEST_SOURCES.MERGE,
+        historyNotes: `Merged into "${survivor.title}" (${survivorId})`,
+        tx,
+        deferSideEffects: true,
+        perRowNotifications: false,
+        notifyParticipants: false,
+      });
+      merged.push(change.row ?? duplicate);
+      sideEffects.push(change.runSideEffects);
+    }
+
+    return {
+      survivor: updated.rows[0],
+      merged,
+      supportersAdded: supporters.rowCount ?? supporters.rows.length,
+      sideEffects,
+    };
+  });
+
+  const { sideEffects, ...result } = outcome;
+  for (const run of sideEffects) run?.();
+  invalidateRequestCaches([result.survivor, ...result.merged]);
+  notifyMerged({
+    duplicates: result.merged,
+    survivor: result.survivor,
+    actorId,
+  });
+  return result;
+}
+
+/**
+ * Group requests that look like the same game, for an admin to confirm.
+ *
+ * Two requests go together when they are the same type and either name the
+ * same IGDB game or have titles at least `threshold` alike -- but never when
+ * both name an IGDB game and they differ. Groups are transitive: A like B
+ * and B like C puts all three together.
+ *
+ * The suggested survivor is the oldest request that names an IGDB game, or
+ * the oldest one if none does: it is the one the library sync and the watch
+ * alerts can match.
+ *
+ * @param {Object[]} requests - Open ggr_game_requests rows, with id,
+ *   request_type, title, igdb_id and created_at
+ * @param {Object} [options]
+ * @param {number} [options.threshold]
+ * @returns {Array<{survivor_id: string, requests: Object[], score: number}>}
+ *   Each group oldest first, with the lowest similarity that joined it; the
+ *   groups themselves most requests first
+ */
+export function findDuplicateGroups(
+  requests,
+  { threshold = DUPLICATE_TITLE_THRESHOLD } = {},
+) {
+  const rows = [...requests].sort(
+    (a, b) => new Date(a.created_at) - new Date(b.created_at),
+  );
+  const parent = rows.map((_, index) => index);
+  const root = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const scores = rows.map(() => 1);
+
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) {
+      const a = rows[i];
+      const b = rows[j];
+      if (a.request_type !== b.request_type) continue;
+
+      let score;
+      if (a.igdb_id && b.igdb_id) {
+        if (String(a.igdb_id) !== String(b.igdb_id)) continue;
+        score = 1;
+      } else {
+        score = titleSimilarity(a.title, b.title);
+        if (score < threshold) continue;
+      }
+
+      const left = root(i);
+      const right = root(j);
+      const joined = Math.min(scores[left], scores[right], score);
+      if (left !== right) parent[right] = left;
+      scores[left] = joined;
+    }
+  }
+
+  const groups = new Map();
+  rows.forEach((row, index) => {
+    const key = root(index);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([key, members]) => ({
+      survivor_id: (members.find((row) => row.igdb_id) ?? members[0]).id,
+      requests: members,
+      score: Math.round(scores[key] * 100) / 100,
+    }))
+    .sort((a, b) => b.requests.length - a.requests.length);
+}
+
+/**
+ * The open requests that look like duplicates of each other, grouped by
+ * findDuplicateGroups.
+ *
+ * @returns {Promise<ReturnType<typeof findDuplicateGroups>>}
+ */
+export async function findPossibleDuplicates() {
+  const result = await query(
+    `SELECT id, user_id, user_name, request_type, title, igdb_id, platforms,
+            status, priority, created_at
+       FROM ggr_game_requests
+      WHERE status = ANY($1)
+      ORDER BY created_at`,
+    [OPEN_STATUSES],
+  );
+  return findDuplicateGroups(result.rows);
+}
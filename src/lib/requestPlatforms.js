@@ -0,0 +1,173 @@
+/**
+ * Where each platform of a multi-platform request stands (migration 030).
+ *
+ * Shared by the server, which decides from it whether a request is done, and
+ * by the pages that show it -- the requester's list and the admin request
+ * page -- so that what a requester sees ticked is exactly what the server
+ * counted. Nothing here reads or writes the database; see
+ * requestPlatforms.server.js for that.
+ */
+
+/**
+ * Spellings of one platform, under the key platformKey gives all of them.
+ *
+ * The names come from three places that never agreed on one: the request
+ * form's list ("PC (Steam)", "Mobile (iOS)"), IGDB when a request is
+ * prefilled ("PC (Microsoft Windows)", "PlayStation 2") and each library
+ * backend's own platform names ("Sony PlayStation 2", "PS2", "Switch").
+ * Only the variants that differ once case and punctuation are gone need to
+ * be listed.
+ */
+const PLATFORM_ALIASES = {
+  pc: [
+    "pcsteam",
+    "pcepicgames",
+    "pcgog",
+    "pcother",
+    "pcmicrosoftwindows",
+    "pcwindows",
+    "windows",
+    "microsoftwindows",
+    "win",
+    "dos",
+    "pcdos",
+  ],
+  mac: ["macos", "osx", "macintosh", "applemacintosh"],
+  ios: ["mobileios", "iphone", "ipad", "appleios"],
+  android: ["mobileandroid", "googleandroid"],
+  playstation: ["ps1", "psx", "psone", "sonyplaystation"],
+  playstation2: ["ps2", "sonyplaystation2"],
+  playstation3: ["ps3", "sonyplaystation3"],
+  playstation4: ["ps4", "sonyplaystation4"],
+  playstation5: ["ps5", "sonyplaystation5"],
+  playstationportable: ["psp", "sonyplaystationportable"],
+  playstationvita: ["psvita", "vita", "sonyplaystationvita"],
+  xbox: ["microsoftxbox", "originalxbox"],
+  xbox360: ["microsoftxbox360"],
+  xboxone: ["microsoftxboxone"],
+  xboxseriesxs: ["xboxseriesx", "xboxseriess", "xboxseries"],
+  nintendoswitch: ["switch"],
+  nintendoswitch2: ["switch2"],
+  nes: ["nintendoentertainmentsystem", "famicom", "nintendofamicom"],
+  snes: [
+    "supernintendo",
+    "supernintendoentertainmentsystem",
+    "superfamicom",
+    "nintendosupernintendoentertainmentsystem",
+  ],
+  nintendo64: ["n64"],
+  gamecube: ["nintendogamecube", "ngc", "gcn"],
+  wii: ["nintendowii"],
+  wiiu: ["nintendowiiu"],
+  gameboy: ["gb", "nintendogameboy"],
+  gameboycolor: ["gbc", "nintendogameboycolor"],
+  gameboyadvance: ["gba", "nintendogameboyadvance"],
+  nintendods: ["nds", "ds"],
+  nintendo3ds: ["3ds", "n3ds"],
+  segagenesis: [
+    "genesis",
+    "megadrive",
+    "segamegadrive",
+    "segagenesismegadrive",
+  ],
+  dreamcast: ["segadreamcast"],
+  saturn: ["segasaturn"],
+};
+
+const ALIAS_KEYS = new Map(
+  Object.entries(PLATFORM_ALIASES).flatMap(([key, aliases]) =>
+    aliases.map((alias) => [alias, key]),
+  ),
+);
+
+/**
+ * The key two spellings of one platform share, for matching a request's
+ * platforms against library entries' platform_name. Case, accents and
+ * punctuation are ignored; the known variants above collapse onto one key.
+ * An unknown name is still its own key, so two spellings of it match only
+ * when they agree letter for letter.
+ *
+ * @param {string|null|undefined} name
+ * @returns {string} "" for no name
+ */
+export function platformKey(name) {
+  if (!name || typeof name !== "string") return "";
+  const key = name
+    .normalize("NFKD")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+  return ALIAS_KEYS.get(key) ?? key;
+}
+
+/**
+ * A request's platforms as a list of names, however the row carries them.
+ * Older rows hold the array as a JSON string; the same name twice is one
+ * platform.
+ *
+ * @param {string[]|string|null|undefined} platforms
+ * @returns {string[]}
+ */
+export function requestedPlatforms(platforms) {
+  let list = platforms;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return [
+    ...new Set(
+      list
+        .filter((name) => typeof name === "string" && name.trim())
+        .map((name) => name.trim()),
+    ),
+  ];
+}
+
+/**
+ * Each requested platform and where it stands.
+ *
+ * `platform_state` is the request's ggr_request_platforms rows; a platform
+ * without one is required and outstanding. A request that is itself
+ * fulfilled counts every required platform as fulfilled, which covers
+ * everything fulfilled before per-platform tracking existed and an admin
+ * fulfilling the request as a whole.
+ *
+ * @param {{status?: string, platforms?: string[]|string, platform_state?: Array<{platform: string, required: boolean, fulfilled_at: string|null, fulfilled_by?: string|null, library_entry_id?: number|null}>}} request
+ * @returns {Array<{platform: string, required: boolean, fulfilled: boolean, fulfilled_at: string|null, fulfilled_by: string|null, library_entry_id: number|null}>}
+ *   In the request's own order
+ */
+export function platformStatuses(request) {
+  const state = new Map(
+    (request?.platform_state ?? []).map((row) => [row.platform, row]),
+  );
+  const wholeRequest = request?.status === "fulfilled";
+
+  return requestedPlatforms(request?.platforms).map((platform) => {
+    const row = state.get(platform);
+    const required = row?.required ?? true;
+    return {
+      platform,
+      required,
+      fulfilled: Boolean(row?.fulfilled_at) || (wholeRequest && required),
+      fulfilled_at: row?.fulfilled_at ?? null,
+      fulfilled_by: row?.fulfilled_by ?? null,
+      library_entry_id: row?.library_entry_id ?? null,
+    };
+  });
+}
+
+/**
+ * Whether every required platform has been fulfilled. False for a request
+ * that names no platforms: there is nothing to be satisfied by, and such a
+ * request is fulfilled as a whole, as it always was.
+ *
+ * @param {ReturnType<typeof platformStatuses>} statuses
+ * @returns {boolean}
+ */
+export function platformsSatisfied(statuses) {
+  const required = statuses.filter((status) => status.required);
+  return required.length > 0 && required.every((status) => status.fulfilled);
+}
@@ -0,0 +1,240 @@
+/**
+ * Fulfilment per requested platform (migration 030).
+ *
+ * A request for a game on the Switch and the PS2 is two things to fetch, and
+ * either can land first. Each platform is marked fulfilled on its own -- by
+ * the library sync when a copy for that platform is indexed (library/fulfil.js)
+ * or by an admin from the request page -- and the request itself moves to
+ * fulfilled only once every platform still required has been. Which platforms
+ * are required is the admin's call: one nobody is going to fetch is unticked
+ * rather than holding the request open forever.
+ *
+ * That last transition goes through applyRequestStatusChange like any other,
+ * so the requester hears about the request being fulfilled once, when all of
+ * it is, and not per platform. A request that names no platforms is fulfilled
+ * as a whole, as it always was.
+ */
+
+import { query, withTransaction } from "$lib/database.js";
+import {
+  applyRequestStatusChange,
+  REQUEST_SOURCES,
+} from "$lib/requestStatus.server.js";
+import { OPEN_STATUSES } from "$lib/requestPolicy.server.js";
+import {
+  platformsSatisfied,
+  platformStatuses,
+  requestedPlatforms,
+} from "$lib/requestPlatforms.js";
+
+/** The statuses in which reaching every platform fulfils the request. */
+const COMPLETABLE_STATUSES = ["approved", "in_progress"];
+
+/**
+ * Thrown by updateRequestPlatform for a change the request cannot take. The
+ * message is fit for the admin who asked for it.
+ */
+export class InvalidPlatformError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidPlatformError";
+  }
+}
+
+/**
+ * The ggr_request_platforms rows of some requests.
+ *
+ * @param {string[]} ids - Request UUIDs
+ * @param {Function} [run] - A query function; the pass's or a transaction's
+ * @returns {Promise<Map<string, Array<Object>>>} Rows by request id; a
+ *   request with none is absent
+ */
+export async function getPlatformState(ids, run = query) {
+  const state = new Map();
+  if (!ids?.length) return state;
+
+  const result = await run(
+    `SELECT request_id, platform, required, fulfilled_at, fulfilled_by,
+            library_entry_id
+       FROM ggr_request_platforms
+      WHERE request_id = ANY($1::uuid[])`,
+    [ids],
+  );
+  for (const row of result.rows) {
+    if (!state.has(row.request_id)) state.set(row.request_id, []);
+    state.get(row.request_id).push(row);
+  }
+  return state;
+}
+
+/**
+ * Mark platforms of one request fulfilled by a library entry. A platform that
+ * is already fulfilled keeps whoever fulfilled it first.
+ *
+ * @param {Object} params
+ * @param {string} params.requestId
+ * @param {string[]} params.platforms - Names as the request spells them
+ * @param {number|null} params.entryId - ggr_library_entries id
+ * @param {string|null} params.actor - Display name, "Library sync" for the
+ *   sync
+ * @param {Function} [params.tx] - A query function
+ * @returns {Promise<string[]>} The platforms this call fulfilled
+ */
+export async function creditPlatforms({
+  requestId,
+  platforms,
+  entryId,
+  actor,
+  tx = null,
+}) {
+  if (!platforms.length) return [];
+  const result = await (tx ?? query)(
+    `INSERT INTO ggr_request_platforms
+       (request_id, platform, fulfilled_at, fulfilled_by, library_entry_id)
+     SELECT $1, platform, NOW(), $3, $4
+       FROM unnest($2::text[]) AS platform
+     ON CONFLICT (request_id, platform) DO UPDATE
+        SET fulfilled_at = NOW(),
+            fulfilled_by = EXCLUDED.fulfilled_by,
+            library_entry_id = EXCLUDED.library_entry_id,
+            updated_at = NOW()
+      WHERE ggr_request_platforms.fulfilled_at IS NULL
+  RETURNING platform`,
+    [requestId, platforms, actor, entryId],
+  );
+  return result.rows.map((row) => row.platform);
+}
+
+/**
+ * An admin marking one platform of a request fulfilled or not, or required or
+ * not.
+ *
+ * Only while the request is open. A closed request's platforms say what
+ * happened to it; re-opening one is a status change, made as one. When the
+ * change leaves every required platform fulfilled on an approved or
+ * in-progress request, the request is fulfilled in the same transaction --
+ * unticking the last platform nobody is fetching counts, as much as ticking
+ * the last one that arrived.
+ *
+ * At least one platform stays required: a request with none would have
+ * nothing left to be fulfilled by.
+ *
+ * @param {Object} params
+ * @param {string} params.requestId
+ * @param {string} params.platform - As the request spells it
+ * @param {boolean} [params.fulfilled] - Omit to leave as is
+ * @param {boolean} [params.required] - Omit to leave as is
+ * @param {string|null} [params.actor] - Display name of the admin
+ * @param {number|null} [params.actorId] - Their local ggr_users id
+ * @returns {Promise<{request: Object, platforms: ReturnType<typeof platformStatuses>, completed: boolean}|null>}
+ *   null when there is no such request
+ * @throws {InvalidPlatformError} For a platform the request does not name,
+ *   a closed request, or unticking the last required platform
+ */
+export async function updateRequestPlatform({
+  requestId,
+  platform,
+  fulfilled,
+  required,
+  actor = null,
+  actorId = null,
+}) {
+  const outcome = await withTransaction(async (tx) => {
+    const found = await tx(
+      `SELECT id, title, status, platforms, updated_at
+         FROM ggr_game_requests
+        WHERE id = $1
+          FOR UPDATE`,
+      [requestId],
+    );
+    const request = found.rows[0];
+    if (!request) return null;
+
+    if (!requestedPlatforms(request.platforms).includes(platform)) {
+      throw new InvalidPlatformError(
+        `"${platform}" is not one of this request's platforms`,
+      );
+    }
+    if (!OPEN_STATUSES.includes(request.status)) {
+      throw new InvalidPlatformError(
+        "Platforms can only be changed while the request is open",
+      );
+    }
+
+    const before = platformStatuses({
+      ...request,
+      platform_state: (await getPlatformState([requestId], tx)).get(requestId),
+    });
+    if (
+      required === false &&
+      !before.some((status) => status.required && status.platform !== platform)
+    ) {
+      throw new InvalidPlatformError(
+        "At least one platform has to stay required",
+      );
+    }
+
+    await tx(
+      `INSERT INTO ggr_request_platforms
+         (request_id, platform, required, fulfilled_at, fulfilled_by)
+       VALUES ($1, $2, COALESCE($3::boolean, TRUE),
+               CASE WHEN $4::boolean THEN NOW() END,
+               CASE WHEN $4::boolean THEN $5::text END)
+       ON CONFLICT (request_id, platform) DO UPDATE
+          SET required = COALESCE($3::boolean, ggr_request_platforms.required),
+              fulfilled_at = CASE
+                WHEN $4::boolean IS NULL THEN ggr_request_platforms.fulfilled_at
+                WHEN $4::boolean THEN COALESCE(ggr_request_platforms.fulfilled_at, NOW())
+              END,
+              fulfilled_by = CASE
+                WHEN $4::boolean IS NULL THEN ggr_request_platforms.fulfilled_by
+                WHEN $4::boolean AND ggr_request_platforms.fulfilled_at IS NOT NULL
+                  THEN ggr_request_platforms.fulfilled_by
+                WHEN $4::boolean THEN $5::text
+              END,
+              library_entry_id = CASE
+                WHEN $4::boolean IS FALSE THEN NULL
+                ELSE ggr_request_platforms.library_entry_id
+              END,
+              updated_at = NOW()`,
+      [requestId, platform, required ?? null, fulfilled ?? null, actor],
+    );
+
+    const platforms = platformStatuses({
+      ...request,
+      platform_state: (await getPlatformState([requestId], tx)).get(requestId),
+    });
+
+    if (
+      !COMPLETABLE_STATUSES.includes(request.status) ||
+      !platformsSatisfied(platforms)
+    ) {
+      return { request, platforms, completed: false, runSideEffects: null };
+    }
+
+    const change = await applyRequestStatusChange({
+      id: requestId,
+      to: "fulfilled",
+      actor,
+      actorId,
+      source: REQUEST_SOURCES.ADMIN,
+      historyNotes: `Fulfilled on ${platforms
+        .filter((status) => status.required)
+        .map((status) => status.platform)
+        .join(", ")}`,
+      tx,
+      deferSideEffects: true,
+    });
+    return {
+      request: change.row ?? request,
+      platforms,
+      completed: change.changed,
+      runSideEffects: change.runSideEffects,
+    };
+  });
+
+  if (!outcome) return null;
+  const { runSideEffects, ...result } = outcome;
+  runSideEffects?.();
+  return result;
+}
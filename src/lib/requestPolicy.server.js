@@ -9,8 +9,15 @@ import { query } from "$lib/database.js";
 import { userHasPermission } from "$lib/userProfile.js";
 
 // A request still in play. A rejected, cancelled or fulfilled request must not
-// block a new one, so a failed fetch can be retried.
-const OPEN_STATUSES = ["pending", "approved"];
+// block a new one, so a failed fetch can be retried. Also the set a request
+// must be in to take on supporters (see requestSupport.server.js). Mirrors the
+// WHERE clause of migration 011's indexes, as rebuilt by migrations 023 and 028.
+export const OPEN_STATUSES = [
+  "awaiting_release",
+  "pending",
+  "approved",
+  "in_progress",
+];
 
 // One string, used twice on purpose: the per-role permission name and the
 // global settings key are deliberately identical, so the two switches read as
@@ -33,12 +40,12 @@ const AUTO_APPROVE_KEY = "request.auto_approve";
  * @param {string|null} params.igdbId - IGDB id, may be null
  * @param {string} params.title - Request title
  * @param {string} params.requestType - game | update | fix
- * @returns {Promise<{id: string, status: string, user_name: string}|null>}
+ * @returns {Promise<{id: string, status: string, user_id: string, user_name: string}|null>}
  */
 export async function findOpenDuplicate({ igdbId, title, requestType }) {
   if (igdbId) {
     const result = await query(
-      `SELECT id, status, user_name
+      `SELECT id, status, user_id, user_name
          FROM ggr_game_requests
         WHERE igdb_id = $1 AND request_type = $2 AND status = ANY($3)
         LIMIT 1`,
@@ -48,7 +55,7 @@ export async function findOpenDuplicate({ igdbId, title, requestType }) {
   }
 
   const result = await query(
-    `SELECT id, status, user_name
+    `SELECT id, status, user_id, user_name
        FROM ggr_game_requests
       WHERE igdb_id IS NULL
         AND lower(btrim(title)) = lower(btrim($1))
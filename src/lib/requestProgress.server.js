@@ -0,0 +1,235 @@
+/**
+ * Progress reports from the download pipeline.
+ *
+ * The pipeline hears about an approval through the outbound webhook and used
+ * to have no way back except an admin API key on admin/api/requests/update,
+ * which can do anything an admin can. Its callbacks come here instead, signed
+ * with a shared secret rather than carrying a key, and can only say what the
+ * pipeline knows: the download is queued, running, failed, or done.
+ *
+ * A report moves the request through the status owner like any other door:
+ * the first one takes an approved request to `in_progress`, `completed` takes
+ * it to `fulfilled`, and each of those notifies, dispatches and invalidates
+ * exactly as an admin's click would. Everything in between -- a percent ticking
+ * upwards, a retry after a failure -- only updates the progress columns from
+ * migration 023.
+ */
+
+import { env } from "$env/dynamic/private";
+import { withTransaction } from "$lib/database.js";
+import {
+  applyRequestStatusChange,
+  invalidateRequestCaches,
+  REQUEST_SOURCES,
+  RequestConflictError,
+} from "$lib/requestStatus.server.js";
+import { requestWebhookSecret } from "$lib/webhooks.server.js";
+import { sendRequestDownloadFailedNotification } from "$lib/gotify.js";
+import { publishRequestEvent } from "$lib/liveEvents.server.js";
+
+/** What a callback can report, in the order a download goes through them. */
+export const PROGRESS_STATES = ["queued", "downloading", "failed", "completed"];
+
+/** Who the transitions are attributed to, in notifications and the log. */
+export const DOWNLOADER_ACTOR = "Download pipeline";
+
+// A reason is for a person to read in the admin UI and a push notification,
+// not a log file. Anything longer is cut rather than refused, so a pipeline
+// that forwards a stack trace still gets its failure recorded.
+const MAX_MESSAGE_LENGTH = 1000;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * The secret progress callbacks are signed with.
+ *
+ * REQUEST_CALLBACK_SECRET when set; otherwise the outbound webhook's secret,
+ * so a pipeline that already verifies our signatures can sign its answers with
+ * the same value.
+ *
+ * @returns {string} - The secret, or "" when callbacks are not accepted
+ */
+export function requestCallbackSecret() {
+  return (
+    env.REQUEST_CALLBACK_SECRET ||
+    process.env.REQUEST_CALLBACK_SECRET ||
+    requestWebhookSecret()
+  );
+}
+
+/**
+ * Check a parsed callback body and normalise it.
+ *
+ * `percent` is optional everywhere and rounded, so a downloader reporting
+ * 41.7 is not refused. `message` is the reason for `failed` and a free-form
+ * note otherwise.
+ *
+ * @param {*} body - The parsed JSON body
+ * @returns {{update: {requestId: string, state: string, percent: number|null, message: string|null}|null, error: string|null}}
+ */
+export function validateProgressUpdate(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { update: null, error: "Body must be a JSON object" };
+  }
+
+  const { request_id: requestId, state, percent, message } = body;
+
+  if (typeof requestId !== "string" || !UUID_PATTERN.test(requestId)) {
+    return { update: null, error: "request_id must be a request UUID" };
+  }
+  if (!PROGRESS_STATES.includes(state)) {
+    return {
+      update: null,
+      error: `state must be one of: ${PROGRESS_STATES.join(", ")}`,
+    };
+  }
+  if (
+    percent != null &&
+    (typeof percent !== "number" ||
+      !Number.isFinite(percent) ||
+      percent < 0 ||
+      percent > 100)
+  ) {
+    return { update: null, error: "percent must be a number from 0 to 100" };
+  }
+  if (message != null && typeof message !== "string") {
+    return { update: null, error: "message must be a string" };
+  }
+
+  return {
+    update: {
+      requestId,
+      state,
+      percent: percent == null ? null : Math.round(percent),
+      message: message?.trim().slice(0, MAX_MESSAGE_LENGTH) || null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Reflect one progress report on its request.
+ *
+ * Only a request the pipeline was told about can be reported on: `approved`
+ * or already `in_progress`. Anything still pending, or closed by an admin or
+ * its requester since, is refused with `not_approved` -- the pipeline should
+ * stop rather than resurrect it. A `completed` for a request that is already
+ * fulfilled is accepted and changes nothing, because callbacks are retried
+ * and the library sync may have got there first.
+ *
+ * A failure does not leave `in_progress`. The pipeline may retry, and an admin
+ * deciding otherwise has the usual buttons: approving again re-sends the
+ * approval webhook, rejecting closes it.
+ *
+ * The status change and the progress columns are written in one transaction,
+ * and the side effects run after it commits.
+ *
+ * @param {Object} update - As returned by validateProgressUpdate
+ * @param {string} update.requestId
+ * @param {string} update.state
+ * @param {number|null} update.percent
+ * @param {string|null} update.message
+ * @returns {Promise<{request: Object|null, changed: boolean, reason: "not_found"|"not_approved"|null}>}
+ */
+export async function applyRequestProgress({
+  requestId,
+  state,
+  percent,
+  message,
+}) {
+  const outcome = await withTransaction(async (tx) => {
+    const current = await tx(
+      `SELECT id, status, progress_state, progress_percent, progress_message,
+              progress_updated_at
+         FROM ggr_game_requests
+        WHERE id = $1 FOR UPDATE`,
+      [requestId],
+    );
+    const stored = current.rows[0];
+    if (!stored) return { request: null, reason: "not_found" };
+
+    if (stored.status === "fulfilled" && state === "completed") {
+      return { request: stored, reason: null, unchanged: true };
+    }
+    if (!["approved", "in_progress"].includes(stored.status)) {
+      return { request: stored, reason: "not_approved" };
+    }
+
+    const transition = await applyRequestStatusChange({
+      id: requestId,
+      to: state === "completed" ? "fulfilled" : "in_progress",
+      actor: DOWNLOADER_ACTOR,
+      source: REQUEST_SOURCES.DOWNLOADER,
+      historyNotes: state === "failed" ? message : null,
+      tx,
+      deferSideEffects: true,
+    });
+
+    // Neither target re-enters the open set from outside it, so the duplicate
+    // guard has nothing to object to. Should that ever change, roll the
+    // progress back with the transition.
+    if (transition.conflict) {
+      throw new RequestConflictError(
+        transition.conflict,
+        "recording download progress",
+      );
+    }
+
+    // A failure keeps the last percent reached; completion is 100 whatever
+    // the last report said.
+    const written = await tx(
+      `UPDATE ggr_game_requests
+          SET progress_state = $2,
+              progress_percent = CASE
+                  WHEN $2::text = 'completed' THEN 100
+                  WHEN $2::text = 'failed' THEN COALESCE($3::smallint, progress_percent)
+                  ELSE $3::smallint
+              END,
+              progress_message = $4,
+              progress_updated_at = NOW()
+        WHERE id = $1
+        RETURNING *`,
+      [requestId, state, percent, message],
+    );
+
+    return {
+      request: written.rows[0],
+      reason: null,
+      changed: transition.changed,
+      newlyFailed: state === "failed" && stored.progress_state !== "failed",
+      runSideEffects: transition.runSideEffects,
+    };
+  });
+
+  if (outcome.reason || outcome.unchanged) {
+    return { request: outcome.request, changed: false, reason: outcome.reason };
+  }
+
+  // A report that moved no status has no side effects of its own, but the
+  // lists showing the percent are cached all the same.
+  if (outcome.changed) {
+    outcome.runSideEffects();
+  } else {
+    invalidateRequestCaches([outcome.request]);
+  }
+
+  // Published after the status change's own event, so a page patching from
+  // both ends on the progress this report wrote.
+  publishRequestEvent("request.progress", outcome.request);
+
+  if (outcome.newlyFailed) {
+    sendRequestDownloadFailedNotification({
+      id: outcome.request.id,
+      title: outcome.request.title,
+      user_name: outcome.request.user_name,
+      reason: outcome.request.progress_message || "",
+      percent: outcome.request.progress_percent,
+      igdb_id: outcome.request.igdb_id,
+    }).catch((error) => {
+      console.warn("Failed to send download failure notification:", error);
+    });
+  }
+
+  return { request: outcome.request, changed: outcome.changed, reason: null };
+}
@@ -0,0 +1,277 @@
+/**
+ * Per-role request quotas (migration 019).
+ *
+ * A role can cap its members' open requests and their submissions in a rolling
+ * window, for all request types together or for one type. A user is held to
+ * their most generous role: a submission is allowed if any of their roles
+ * allows it. A role with no quota row for the type is unlimited, and so is
+ * anyone holding `request.quota_exempt`, which every is_admin user does.
+ *
+ * The check runs before the insert and is not locked against it, so a burst
+ * of simultaneous submissions from one user can overshoot by the number in
+ * flight. That is fine for a fairness limit. It would not be fine for a
+ * security boundary, and this is not one.
+ */
+
+import { query, withTransaction } from "$lib/database.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { OPEN_STATUSES } from "$lib/requestPolicy.server.js";
+
+/** Quota scopes: every request type together, or one type. */
+export const QUOTA_SCOPES = ["all", "game", "update", "fix"];
+
+export const QUOTA_EXEMPT_KEY = "request.quota_exempt";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const UNLIMITED = Object.freeze({
+  limited: false,
+  allowed: true,
+  limit: null,
+  remaining: null,
+  reset_at: null,
+});
+
+/**
+ * Every role's quota rows, for the roles page.
+ *
+ * @returns {Promise<Map<number, Object[]>>} Rows keyed by role id
+ */
+export async function listRoleQuotas() {
+  const result = await query(
+    `SELECT role_id, request_type, max_open, max_per_window, window_days
+       FROM ggr_role_request_quotas
+      ORDER BY role_id, request_type`,
+  );
+
+  const quotas = new Map();
+  for (const row of result.rows) {
+    const list = quotas.get(row.role_id) ?? [];
+    list.push(row);
+    quotas.set(row.role_id, list);
+  }
+  return quotas;
+}
+
+/**
+ * Replace a role's quotas.
+ *
+ * A scope with neither cap set is not stored, so clearing both fields on the
+ * roles page removes the limit rather than leaving an empty row behind.
+ *
+ * @param {number} roleId - Role id
+ * @param {Array<{request_type: string, max_open: number|null, max_per_window: number|null, window_days: number}>} quotas
+ * @returns {Promise<void>}
+ */
+export async function saveRoleQuotas(roleId, quotas) {
+  await withTransaction(async (tx) => {
+    await tx("DELETE FROM ggr_role_request_quotas WHERE role_id = $1", [
+      roleId,
+    ]);
+    for (const quota of quotas) {
+      if (quota.max_open == null && quota.max_per_window == null) continue;
+      await tx(
+        `INSERT INTO ggr_role_request_quotas
+           (role_id, request_type, max_open, max_per_window, window_days)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          roleId,
+          quota.request_type,
+          quota.max_open,
+          quota.max_per_window,
+          quota.window_days,
+        ],
+      );
+    }
+  });
+}
+
+/**
+ * Where a user stands against one quota row.
+ *
+ * @param {Object} rule - A ggr_role_request_quotas row
+ * @param {Object[]} requests - The user's open and recent requests
+ * @param {number} now - Epoch milliseconds
+ * @returns {Object[]} One entry per cap the row sets
+ */
+function evaluateRule(rule, requests, now) {
+  const inScope =
+    rule.request_type === "all"
+      ? requests
+      : requests.filter((r) => r.request_type === rule.request_type);
+  const checks = [];
+
+  if (rule.max_open != null) {
+    const used = inScope.filter((r) => OPEN_STATUSES.includes(r.status)).length;
+    checks.push({
+      kind: "open",
+      scope: rule.request_type,
+      limit: rule.max_open,
+      remaining: Math.max(0, rule.max_open - used),
+      // An open slot comes back when a request is decided, not at a time.
+      reset_at: null,
+    });
+  }
+
+  if (rule.max_per_window != null) {
+    const windowMs = rule.window_days * DAY_MS;
+    const counted = inScope
+      .map((r) => new Date(r.created_at).getTime())
+      .filter((created) => created > now - windowMs)
+      .sort((a, b) => a - b);
+    const used = counted.length;
+    // The next slot frees when enough of the oldest submissions age out to
+    // bring the count below the cap; under the cap, when the oldest does.
+    const freeing = counted[Math.max(0, used - rule.max_per_window)];
+    checks.push({
+      kind: "window",
+      scope: rule.request_type,
+      limit: rule.max_per_window,
+      remaining: Math.max(0, rule.max_per_window - used),
+      window_days: rule.window_days,
+      reset_at: freeing === undefined ? null : new Date(freeing + windowMs),
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * Whether a user may submit a request of a type, and how many they have left.
+ *
+ * `remaining` and `reset_at` describe the binding cap: the tightest cap of the
+ * user's most generous role.
+ *
+ * @param {number} userId - Local ggr_users id
+ * @param {string} requestType - game, update or fix
+ * @returns {Promise<{limited: boolean, allowed: boolean, limit: number|null, remaining: number|null, reset_at: Date|null, kind?: string, scope?: string, window_days?: number}>}
+ */
+export async function checkRequestQuota(userId, requestType) {
+  if (await userHasPermission(userId, QUOTA_EXEMPT_KEY)) {
+    return UNLIMITED;
+  }
+
+  const roleRows = await query(
+    `SELECT ur.role_id, q.request_type, q.max_open, q.max_per_window, q.window_days
+       FROM ggr_user_roles ur
+       JOIN ggr_roles r ON r.id = ur.role_id AND r.is_active = TRUE
+       LEFT JOIN ggr_role_request_quotas q
+         ON q.role_id = ur.role_id AND q.request_type IN ('all', $2)
+      WHERE ur.user_id = $1
+        AND ur.is_active = TRUE
+        AND (ur.expires_at IS NULL OR ur.expires_at > NOW())`,
+    [userId, requestType],
+  );
+
+  const rulesByRole = new Map();
+  for (const row of roleRows.rows) {
+    const rules = rulesByRole.get(row.role_id) ?? [];
+    if (row.request_type) rules.push(row);
+    rulesByRole.set(row.role_id, rules);
+  }
+
+  // No roles, or one role without a quota for this type: nothing to enforce.
+  if (
+    rulesByRole.size === 0 ||
+    [...rulesByRole.values()].some((rules) => rules.length === 0)
+  ) {
+    return UNLIMITED;
+  }
+
+  const longestWindow = Math.max(
+    0,
+    ...roleRows.rows
+      .filter((row) => row.max_per_window != null)
+      .map((row) => row.window_days),
+  );
+  const requestRows = await query(
+    `SELECT request_type, status, created_at
+       FROM ggr_game_requests
+      WHERE user_id = $1::text
+        AND (status = ANY($2)
+             OR created_at > NOW() - make_interval(days => $3::int))`,
+    [userId, OPEN_STATUSES, longestWindow],
+  );
+
+  const now = Date.now();
+  let best = null;
+  for (const rules of rulesByRole.values()) {
+    const checks = rules.flatMap((rule) =>
+      evaluateRule(rule, requestRows.rows, now),
+    );
+    if (checks.length === 0) return UNLIMITED;
+
+    const binding = checks.reduce((tightest, check) =>
+      check.remaining < tightest.remaining ? check : tightest,
+    );
+    if (!best || binding.remaining > best.remaining) {
+      best = binding;
+    }
+  }
+
+  return { limited: true, allowed: best.remaining > 0, ...best };
+}
+
+/**
+ * Rate-limit headers describing a quota, for integrations to back off on.
+ *
+ * Empty for an unlimited caller, so the absence of the headers means "no
+ * quota", not "unknown".
+ *
+ * @param {Object} quota - A checkRequestQuota result
+ * @returns {Object<string, string>}
+ */
+export function quotaHeaders(quota) {
+  if (!quota?.limited) return {};
+
+  const headers = {
+    "X-RateLimit-Limit": String(quota.limit),
+    "X-RateLimit-Remaining": String(quota.remaining),
+  };
+  if (quota.reset_at) {
+    const reset = Math.ceil(quota.reset_at.getTime() / 1000);
+    headers["X-RateLimit-Reset"] = String(reset);
+    if (!quota.allowed) {
+      headers["Retry-After"] = String(
+        Math.max(0, reset - Math.floor(Date.now() / 1000)),
+      );
+    }
+  }
+  return headers;
+}
+
+/**
+ * Why a submission was refused, in words for the requester.
+ *
+ * @param {Object} quota - A checkRequestQuota result with allowed false
+ * @returns {string}
+ */
+export function quotaMessage(quota) {
+  const what = quota.scope === "all" ? "" : ` ${quota.scope}`;
+  if (quota.kind === "open") {
+    return `You have ${quota.limit} open${what} request${quota.limit === 1 ? "" : "s"}, the most your role allows. You can submit another once one is fulfilled, rejected or cancelled.`;
+  }
+  const until = quota.reset_at
+    ? ` You can submit again after ${quota.reset_at.toISOString()}.`
+    : "";
+  return `You have submitted ${quota.limit}${what} request${quota.limit === 1 ? "" : "s"} in the last ${quota.window_days} day${quota.window_days === 1 ? "" : "s"}, the most your role allows.${until}`;
+}
+
+/**
+ * A quota as it goes into a JSON response, or null for an unlimited caller.
+ *
+ * @param {Object|null} quota - A checkRequestQuota result
+ * @returns {Object|null}
+ */
+export function describeQuota(quota) {
+  if (!quota?.limited) return null;
+  return {
+    allowed: quota.allowed,
+    limit: quota.limit,
+    remaining: quota.remaining,
+    reset_at: quota.reset_at ? quota.reset_at.toISOString() : null,
+    kind: quota.kind,
+    scope: quota.scope,
+    window_days: quota.window_days ?? null,
+  };
+}
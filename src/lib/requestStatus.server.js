@@ -18,32 +18,87 @@ import {
   sendBulkRequestStatusNotification,
 } from "$lib/gotify.js";
 import { invalidateCache } from "$lib/cache.js";
-import { sendGameRequestWebhook } from "$lib/webhooks.server.js";
+import {
+  dispatchRequestEvent,
+  sendGameRequestWebhook,
+} from "$lib/webhooks.server.js";
 import { findOpenDuplicate } from "$lib/requestPolicy.server.js";
+import { listSupporters } from "$lib/requestSupport.server.js";
+import { notifyRequestParticipants } from "$lib/userNotifications.server.js";
+import { publishRequestEvent } from "$lib/liveEvents.server.js";
 
 // Postgres unique_violation. Raised by migration 011's two partial unique
-// indexes over status IN ('pending','approved').
+// indexes over the open statuses (widened to in_progress by migration 023).
 const UNIQUE_VIOLATION = "23505";
 
 /** Deferred side effects for an outcome that has none. */
 const NO_SIDE_EFFECTS = () => {};
 
+/**
+ * Webhook events for the statuses a request can move into after the queue.
+ * `approved` has its own door (onRequestApproved) and `pending` announces
+ * nothing.
+ */
+const LIFECYCLE_EVENTS = {
+  in_progress: "request.in_progress",
+  rejected: "request.rejected",
+  fulfilled: "request.fulfilled",
+  cancelled: "request.cancelled",
+};
+
 const NO_CONFLICT_FOUND = {
   existing_request_id: null,
   existing_status: null,
   existing_user_name: null,
 };
 
+/**
+ * The doors a status change can come through, as recorded in the history.
+ *
+ * Owned here rather than by a CHECK constraint, so adding a door is a line in
+ * this list and not a migration. See migration 016.
+ */
+export const REQUEST_SOURCES = Object.freeze({
+  ADMIN: "admin",
+  BULK: "bulk",
+  API_KEY: "api_key",
+  RESCIND: "rescind",
+  AUTO_APPROVE: "auto_approve",
+  SUBMISSION: "submission",
+  LIBRARY_SYNC: "library_sync",
+  DOWNLOADER: "downloader",
+  RELEASE: "release",
+  MERGE: "merge",
+  IMPORT: "import",
+});
+
+// The history row is written by the same statement as the transition, so the
+// two cannot disagree: a rolled-back transition leaves no entry behind and a
+// committed one cannot lose its entry. A re-save that changes nothing writes
+// nothing, which is what `IS DISTINCT FROM` is for. The parameters in the
+// INSERT ... SELECT list are cast because Postgres would otherwise resolve them
+// as text, which actor_user_id (INTEGER) refuses.
 const STATUS_SQL = `WITH previous AS (
          SELECT id, status FROM ggr_game_requests WHERE id = $1 FOR UPDATE
+     ),
+     updated AS (
+         UPDATE ggr_game_requests r
+            SET status = $2,
+                admin_notes = CASE WHEN $4 THEN $3 ELSE r.admin_notes END,
+                updated_at = NOW()
+           FROM previous p
+          WHERE r.id = p.id
+         RETURNING r.*, p.status AS previous_status
+     ),
+     logged AS (
+         INSERT INTO ggr_request_status_history
+             (request_id, from_status, to_status, actor_user_id, actor_name,
+              notes, source)
+         SELECT id, previous_status, status, $5::int, $6::text, $7::text, $8::text
+           FROM updated
+          WHERE previous_status IS DISTINCT FROM status
      )
-     UPDATE ggr_game_requests r
-        SET status = $2,
-            admin_notes = CASE WHEN $4 THEN $3 ELSE r.admin_notes END,
-            updated_at = NOW()
-       FROM previous p
-      WHERE r.id = p.id
-     RETURNING r.*, p.status AS previous_status`;
+     SELECT * FROM updated`;
 
 /**
  * Whether an error is one of the duplicate-guard indexes rejecting a write.
@@ -165,18 +220,24 @@ export async function describeRequestConflict({ id, title }) {
  * not supplied" (or vice versa) the way a single COALESCE-on-value would.
  *
  * A row re-entering the open set -- `rejected`, `cancelled` or `fulfilled`
- * back to `pending` or `approved` -- can lose to migration 011's partial
- * unique indexes when another open request already covers that game. Every
- * step of that sequence is legitimate, so it is reported as a `conflict`
- * outcome rather than thrown: the caller can answer 409 naming the blocking
- * row instead of emitting a bare 500 and stranding the request.
+ * back to `pending`, `approved` or `in_progress` -- can lose to migration
+ * 011's partial unique indexes when another open request already covers that
+ * game. Every step of that sequence is legitimate, so it is reported as a
+ * `conflict` outcome rather than thrown: the caller can answer 409 naming the
+ * blocking row instead of emitting a bare 500 and stranding the request.
  *
  * @param {Object} params
  * @param {string} params.id - Request UUID
  * @param {string} params.to - New status
  * @param {string|null} [params.actor] - Display name of whoever acted
+ * @param {number|string|null} [params.actorId] - Local ggr_users id of whoever
+ *   acted, or null when the app itself did
+ * @param {string} [params.source] - One of REQUEST_SOURCES, for the history
  * @param {string|null} [params.adminNotes] - Notes to write; omit (leave
  *   undefined) to keep the existing value, pass "" or null to clear it
+ * @param {string|null} [params.historyNotes] - Notes to record in the history
+ *   when the caller wrote admin_notes in its own statement and left
+ *   `adminNotes` out. Ignored when `adminNotes` is given.
  * @param {Function} [params.tx] - A transaction-scoped query function from
  *   `withTransaction`. When given, the write joins that transaction, and the
  *   caller should also pass `deferSideEffects` so nothing is dispatched for a
@@ -188,20 +249,31 @@ export async function describeRequestConflict({ id, title }) {
  *   caller is sending one summary notification and invalidating cache once for
  *   the whole batch. The approval dispatch is never batched: it stays per row,
  *   exactly once.
+ * @param {boolean} [params.notifyParticipants=true] - Set false when the
+ *   caller tells the requester and supporters itself, with a message of its
+ *   own: a merge cancels the duplicates, and "your request was merged" is
+ *   what their people need to hear, not "your request was cancelled".
  * @returns {Promise<{row: Object|null, from: string|null, to: string, changed: boolean, conflict?: Object, runSideEffects?: Function}>}
  */
 export async function applyRequestStatusChange({
   id,
   to,
   actor = null,
+  actorId = null,
+  source = REQUEST_SOURCES.ADMIN,
   adminNotes,
+  historyNotes = null,
   tx = null,
   deferSideEffects = false,
   perRowNotifications = true,
+  notifyParticipants = true,
 }) {
   const run = tx ?? query;
   const setNotes = adminNotes !== undefined;
   const notesValue = setNotes ? adminNotes || null : null;
+  // Like the notification, the history only carries notes this transition
+  // wrote -- never whatever an earlier one left in the column.
+  const loggedNotes = setNotes ? notesValue : historyNotes || null;
 
   // Callers in deferred mode invoke runSideEffects() unconditionally, so every
   // outcome carries one -- a no-op for the outcomes that have no side effects.
@@ -212,7 +284,16 @@ export async function applyRequestStatusChange({
 
   let result;
   try {
-    result = await run(STATUS_SQL, [id, to, notesValue, setNotes]);
+    result = await run(STATUS_SQL, [
+      id,
+      to,
+      notesValue,
+      setNotes,
+      actorId ?? null,
+      actor,
+      loggedNotes,
+      source,
+    ]);
   } catch (error) {
     if (!isDuplicateRequestViolation(error)) throw error;
     return deferred({
@@ -255,8 +336,35 @@ export async function applyRequestStatusChange({
       // re-saved never reaches here. `from` travels with it so a receiver can
       // tell a re-fetch from a first fetch.
       onRequestApproved(row, from);
+    } else if (LIFECYCLE_EVENTS[to]) {
+      // Unlike the notification above, not gated on perRowNotifications: a
+      // bulk update is one Gotify message, but each endpoint subscribed to the
+      // event still hears about every request that moved.
+      dispatchRequestEvent(LIFECYCLE_EVENTS[to], row, {
+        previousStatus: from,
+        notes: setNotes ? row.admin_notes : undefined,
+      }).catch((error) => {
+        console.warn("Failed to dispatch request webhooks:", error.message);
+      });
+    }
+
+    // Also not gated: the bulk summary goes to the admins, and each requester
+    // in the batch still hears about their own request.
+    const userEvent =
+      to === "approved" ? "request.approved" : LIFECYCLE_EVENTS[to];
+    if (userEvent && notifyParticipants) {
+      notifyRequestParticipants({
+        event: userEvent,
+        request: row,
+        actorId,
+        notes: setNotes ? row.admin_notes : null,
+      });
     }
 
+    // Per row too: an open list patches the rows it shows, and a batch is
+    // still each of them changing.
+    publishRequestEvent("request.status_changed", row, { from });
+
     if (perRowNotifications) {
       invalidateRequestCaches([row]);
     }
@@ -292,6 +400,8 @@ export async function applyRequestStatusChange({
  * @param {string[]} params.ids - Request UUIDs
  * @param {string} params.to - New status
  * @param {string|null} [params.actor] - Display name of whoever acted
+ * @param {number|string|null} [params.actorId] - Local ggr_users id of whoever
+ *   acted
  * @param {string|null} [params.adminNotes] - Notes to write, as for
  *   applyRequestStatusChange
  * @param {Function} [params.tx] - Transaction-scoped query function
@@ -301,6 +411,7 @@ export async function applyRequestStatusChangeBatch({
   ids,
   to,
   actor = null,
+  actorId = null,
   adminNotes,
   tx = null,
 }) {
@@ -312,6 +423,8 @@ export async function applyRequestStatusChangeBatch({
       id,
       to,
       actor,
+      actorId,
+      source: REQUEST_SOURCES.BULK,
       adminNotes,
       tx,
       deferSideEffects: true,
@@ -353,7 +466,40 @@ export async function applyRequestStatusChangeBatch({
 }
 
 /**
- * A request has entered `approved`. Announce it to configured automation.
+ * The status timelines of a set of requests, oldest entry first.
+ *
+ * One query for the whole set, so a list page costs one round trip however
+ * many requests it shows. Requests with no history -- anything created before
+ * migration 016 -- are simply absent from the map; callers default to `[]`.
+ *
+ * @param {string[]} ids - Request UUIDs
+ * @returns {Promise<Map<string, Object[]>>} Entries keyed by request id
+ */
+export async function getRequestHistory(ids) {
+  const history = new Map();
+  if (!ids || ids.length === 0) return history;
+
+  const result = await query(
+    `SELECT id, request_id, from_status, to_status, actor_name, notes, source,
+            created_at
+       FROM ggr_request_status_history
+      WHERE request_id = ANY($1::uuid[])
+      ORDER BY created_at, id`,
+    [ids],
+  );
+
+  for (const entry of result.rows) {
+    const entries = history.get(entry.request_id) ?? [];
+    entries.push(entry);
+    history.set(entry.request_id, entries);
+  }
+  return history;
+}
+
+/**
+ * A request has entered `approved`. Announce it to configured automation:
+ * the environment webhook's `game_request`, and `request.approved` to the
+ * endpoints subscribed to it.
  *
  * The one dispatch point. Reached from auto-approved creation and from an
  * admin approving, so a receiver sees one event per approval regardless of
@@ -372,6 +518,11 @@ export function onRequestApproved(row, previousStatus = null) {
   sendGameRequestWebhook(row, { previousStatus }).catch((error) => {
     console.warn("Failed to send request webhook:", error.message);
   });
+  dispatchRequestEvent("request.approved", row, { previousStatus }).catch(
+    (error) => {
+      console.warn("Failed to dispatch request webhooks:", error.message);
+    },
+  );
 }
 
 /** Cache keys a request's status change can stale. */
@@ -388,9 +539,13 @@ function cacheKeysFor(row) {
  * Drop the caches these rows appear in, in one call.
  *
  * Fire and forget, as every caller did before: the rows are committed and a
- * cold cache must not turn a successful action into an error.
+ * cold cache must not turn a successful action into an error. Exported for
+ * writes that change what a request shows without changing its status.
+ *
+ * @param {Object[]} rows - ggr_game_requests rows, with user_id
+ * @returns {void}
  */
-function invalidateRequestCaches(rows) {
+export function invalidateRequestCaches(rows) {
   const keys = new Set();
   for (const row of rows) {
     for (const key of cacheKeysFor(row)) keys.add(key);
@@ -407,30 +562,60 @@ function invalidateRequestCaches(rows) {
  * `notes` is the admin notes this transition wrote, or `undefined` when the
  * caller didn't set any -- never the persisted column read unconditionally,
  * since that could resurface a stale note from an earlier transition.
+ *
+ * This is the admin notification, and it names the request's supporters
+ * alongside the requester, so whoever acts on a request sees how many people
+ * are waiting on it. It tells the supporters nothing: they hear about the
+ * change, as the requester does, from notifyRequestParticipants.
  */
 function notify({ row, from, to, actor, notes }) {
   const failed = (error) => {
     console.warn("Failed to send request status notification:", error.message);
   };
 
-  if (to === "cancelled") {
-    sendRequestCancelledDeletedNotification({
-      id: row.id,
-      title: row.title,
-      user_name: row.user_name,
-      action: "cancelled",
-      reason: notes || "",
-      admin_name: actor || "Admin",
-    }).catch(failed);
-    return;
-  }
+  supporterNames(row.id)
+    .then((supporters) => {
+      if (to === "cancelled") {
+        return sendRequestCancelledDeletedNotification({
+          id: row.id,
+          title: row.title,
+          user_name: row.user_name,
+          action: "cancelled",
+          reason: notes || "",
+          admin_name: actor || "Admin",
+          supporters,
+          igdb_id: row.igdb_id,
+        });
+      }
+
+      return sendRequestStatusNotification({
+        id: row.id,
+        title: row.title,
+        old_status: from,
+        new_status: to,
+        user_name: row.user_name,
+        admin_notes: notes,
+        supporters,
+        igdb_id: row.igdb_id,
+      });
+    })
+    .catch(failed);
+}
 
-  sendRequestStatusNotification({
-    id: row.id,
-    title: row.title,
-    old_status: from,
-    new_status: to,
-    user_name: row.user_name,
-    admin_notes: notes,
-  }).catch(failed);
+/**
+ * Display names of a request's supporters, for a notification.
+ *
+ * A failed read is not a reason to skip the notification, so it degrades to
+ * naming nobody beyond the requester.
+ */
+async function supporterNames(requestId) {
+  try {
+    const supporters = await listSupporters([requestId]);
+    return (supporters.get(requestId) || []).map(
+      (supporter) => supporter.user_name || `user ${supporter.user_id}`,
+    );
+  } catch (error) {
+    console.warn("Failed to read request supporters:", error.message);
+    return [];
+  }
 }
@@ -0,0 +1,117 @@
+/**
+ * "Me too": users backing an open request someone else made.
+ *
+ * The duplicate guard (requestPolicy.server.js, migration 011) keeps one open
+ * request per game, and still does. This module is what a second user does
+ * instead of being turned away: they attach to the request that is already
+ * open, which records demand without creating a second download.
+ */
+
+import { query } from "$lib/database.js";
+import { OPEN_STATUSES } from "$lib/requestPolicy.server.js";
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether a value can be a request id. ggr_game_requests.id is a UUID, and
+ * anything else compared against it is a Postgres error rather than no match.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isRequestId(value) {
+  return typeof value === "string" && UUID_PATTERN.test(value);
+}
+
+/**
+ * Attach a user to an open request as a supporter.
+ *
+ * One statement, so the checks and the insert see the same row. Idempotent:
+ * supporting twice is not an error, it just adds nothing.
+ *
+ * Refusals are outcomes rather than throws, as in applyRequestStatusChange, so
+ * the route decides the status code:
+ * - `not_found`: no such request, including an id that is not a UUID
+ * - `not_open`: the request is no longer pending or approved
+ * - `own_request`: the user made it; they are already its demand
+ *
+ * @param {Object} params
+ * @param {string} params.requestId - Request UUID
+ * @param {number|string} params.userId - Local ggr_users id
+ * @param {string|null} [params.userName] - Display name, kept for the list
+ * @returns {Promise<{added: boolean, reason?: string}>}
+ */
+export async function addSupporter({ requestId, userId, userName = null }) {
+  if (!isRequestId(requestId)) return { added: false, reason: "not_found" };
+
+  const result = await query(
+    `WITH target AS (
+         SELECT id, user_id, status FROM ggr_game_requests WHERE id = $1
+     ),
+     added AS (
+         INSERT INTO ggr_request_supporters (request_id, user_id, user_name)
+         SELECT id, $2::int, $3::text FROM target
+          WHERE status = ANY($4) AND user_id IS DISTINCT FROM $2::int::text
+         ON CONFLICT (request_id, user_id) DO NOTHING
+         RETURNING request_id
+     )
+     SELECT t.status, t.user_id, EXISTS (SELECT 1 FROM added) AS added
+       FROM target t`,
+    [requestId, userId, userName, OPEN_STATUSES],
+  );
+
+  const row = result.rows[0];
+  if (!row) return { added: false, reason: "not_found" };
+  if (String(row.user_id) === String(userId)) {
+    return { added: false, reason: "own_request" };
+  }
+  if (!OPEN_STATUSES.includes(row.status)) {
+    return { added: false, reason: "not_open" };
+  }
+  return { added: row.added };
+}
+
+/**
+ * Withdraw a user's support. Allowed whatever the request's status.
+ *
+ * @param {Object} params
+ * @param {string} params.requestId - Request UUID
+ * @param {number|string} params.userId - Local ggr_users id
+ * @returns {Promise<boolean>} Whether the user had been a supporter
+ */
+export async function removeSupporter({ requestId, userId }) {
+  if (!isRequestId(requestId)) return false;
+
+  const result = await query(
+    "DELETE FROM ggr_request_supporters WHERE request_id = $1 AND user_id = $2",
+    [requestId, userId],
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * The supporters of a set of requests, earliest first.
+ *
+ * @param {string[]} ids - Request UUIDs
+ * @returns {Promise<Map<string, Object[]>>} Supporters keyed by request id
+ */
+export async function listSupporters(ids) {
+  const supporters = new Map();
+  if (!ids || ids.length === 0) return supporters;
+
+  const result = await query(
+    `SELECT request_id, user_id, user_name, created_at
+       FROM ggr_request_supporters
+      WHERE request_id = ANY($1::uuid[])
+      ORDER BY created_at, user_id`,
+    [ids],
+  );
+
+  for (const supporter of result.rows) {
+    const list = supporters.get(supporter.request_id) ?? [];
+    list.push(supporter);
+    supporters.set(supporter.request_id, list);
+  }
+  return supporters;
+}
@@ -68,6 +68,9 @@ const DEFAULT_TOKEN_TTL_MS = 25 * 60 * 1000;
 // Configuration variables
 let ROMM_SERVER_URL, ROMM_SERVER_URL_PUBLIC;
 let ROMM_USERNAME, ROMM_PASSWORD, ROMM_API_TOKEN;
+// The kind those settings belong to. Only its index entries can be linked
+// with ROMM_SERVER_URL_PUBLIC; see annotateFromIndex.
+let LIBRARY_PRIMARY_KIND;
 
 // Lazy load environment variables only when needed on server
 async function loadEnvironmentVariables() {
@@ -105,6 +108,7 @@ async function loadEnvironmentVariables() {
   // grant: it carries an explicit scope set, does not expire every 30 minutes,
   // and means the ROMM account password never has to be stored here.
   ROMM_API_TOKEN = config.apiToken;
+  LIBRARY_PRIMARY_KIND = config.kind;
 }
 
 // Session token storage for authenticated requests.
@@ -1139,11 +1143,23 @@ async function readLibraryIndex(igdbGames) {
  * reports not-in-library, which is what the index knows, rather than
  * occasionally matching an arbitrary rom that happens to share a name.
  *
+ * With several libraries indexed, an entry from the primary one is preferred,
+ * because only its ids mean anything under ROMM_SERVER_URL_PUBLIC. A game held
+ * only elsewhere is still in the library, but has no link: a Gaseous id
+ * appended to RomM's /rom/ is some other game, or none.
+ *
  * @param {Array} igdbGames - Array of IGDB games
  * @param {Array} entries - LibraryEntry rows from the index
  * @returns {Array} - IGDB games with library availability flags
  */
 function annotateFromIndex(igdbGames, entries) {
+  const linkable = (entry) => entry.libraryKind === LIBRARY_PRIMARY_KIND;
+  // The primary library's entry first, then the lowest library_id.
+  const precedes = (entry, other) =>
+    linkable(entry) !== linkable(other)
+      ? linkable(entry)
+      : String(entry.id) < String(other.id);
+
   const byIgdbId = new Map();
   for (const entry of entries) {
     const key = igdbKey(entry?.igdbId);
@@ -1156,7 +1172,7 @@ function annotateFromIndex(igdbGames, entries) {
     // loads of the same page. First by library_id, compared as text exactly as
     // the column stores it, is equally arbitrary and does not move.
     const existing = byIgdbId.get(key);
-    if (existing && String(existing.id) <= String(entry.id)) continue;
+    if (existing && !precedes(entry, existing)) continue;
 
     byIgdbId.set(key, entry);
   }
@@ -1169,12 +1185,16 @@ function annotateFromIndex(igdbGames, entries) {
       return { ...game, in_library: false, is_in_romm: false };
     }
 
-    const libraryUrl = `${ROMM_SERVER_URL_PUBLIC}/rom/${entry.id}`;
+    const libraryUrl = linkable(entry)
+      ? `${ROMM_SERVER_URL_PUBLIC}/rom/${entry.id}`
+      : null;
     return {
       ...game,
       in_library: true,
       library_id: String(entry.id),
       library_url: libraryUrl,
+      library_kind: entry.libraryKind ?? null,
+      library_name: entry.libraryName ?? null,
       // Deprecated aliases. Svelte components read these, so they stay until a
       // major release drops them.
       is_in_romm: true,
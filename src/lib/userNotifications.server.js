@@ -0,0 +1,983 @@
+/**
+ * Notifications for the people behind a request (migration 025).
+ *
+ * gotify.js and the notifiers tell the admins. This tells the requester, and
+ * everyone who supports the request, when it is approved, starts downloading,
+ * is fulfilled, rejected or cancelled, or gets a comment -- each on the
+ * channels they picked on /profile for that event:
+ *
+ *   in_app    a row in ggr_user_notifications, behind the sidebar bell
+ *   email     to the address on their account, once an admin has set up SMTP
+ *             (mail/); until then it is shown but cannot be picked
+ *   ntfy      their own topic, on ntfy.sh or their own server
+ *   discord   their own Discord webhook, e.g. a channel on their server
+ *
+ * An event the user never chose channels for goes to its defaults: in-app for
+ * everything, and email as well for the four a requester most wants in their
+ * inbox -- submitted, approved, fulfilled and rejected -- and for a merge,
+ * without which their request would seem to have vanished. Email defaults to on
+ * there because it is the one channel that needs nothing from the user; it
+ * sends nothing until SMTP is set up.
+ *
+ * The personal ntfy and Discord messages go through the delivery queue like
+ * the admin ones, on channels of their own (`user_ntfy`, `user_discord`), and
+ * are built by the same providers in notifiers/. What differs is where the
+ * config comes from: the recipient's settings row rather than
+ * ggr_system_settings. And where they go: any signed-in user types these URLs,
+ * so a personal Discord webhook must be Discord's, and a personal ntfy server
+ * must be on the public internet (notifiers/destinations.js).
+ *
+ * Whoever caused the event hears nothing about it. An admin approving their
+ * own request, or a requester commenting on theirs, does not need telling. The
+ * exception is `request.submitted`, a receipt for the requester, which is
+ * sent without an actor for that reason.
+ *
+ * A merge (requestMerge.server.js) cancels the duplicates without the usual
+ * "cancelled": their requesters and supporters are told through notifyMerged,
+ * once each, that their request went into another they now support.
+ *
+ * One event is for the admins rather than the requester: a request was
+ * assigned to them by someone else (requestAssignment.server.js), sent through
+ * notifyAssignee. A non-admin is never sent it.
+ *
+ * Two events are about a watched game rather than a request: it landed in the
+ * library, or it came out. Those go to whoever has it on their watchlist, sent
+ * by watchlistAlerts.server.js through notifyWatchers, on the same channels.
+ */
+
+import { query } from "$lib/database.js";
+import { enqueueDelivery } from "$lib/deliveryQueue.server.js";
+import { listSupporters } from "$lib/requestSupport.server.js";
+import { sendToNotifier } from "$lib/notifiers/index.js";
+import { discordNotifier } from "$lib/notifiers/discord.js";
+import { NTFY_DEFAULT_SERVER, ntfyNotifier } from "$lib/notifiers/ntfy.js";
+import { clip } from "$lib/notifiers/format.js";
+import {
+  isDiscordWebhookUrl,
+  isPublicHost,
+  resolvesPublicly,
+} from "$lib/notifiers/destinations.js";
+import { isMailConfigured, queueEmail, siteUrl } from "$lib/mail/index.js";
+import {
+  renderAssignmentEmail,
+  renderMergeEmail,
+  renderRequestEmail,
+  renderWatchlistEmail,
+} from "$lib/mail/templates.js";
+
+/**
+ * Every event a user can be told about, in the order /profile lists them,
+ * with the channels it goes to until the user says otherwise. The request
+ * events are named as the webhook events are, so the two read the same; the
+ * watchlist ones have no webhook.
+ */
+export const USER_NOTIFICATION_EVENTS = [
+  {
+    name: "request.submitted",
+    label: "Submitted",
+    description: "A receipt for a request you made",
+    defaults: ["email"],
+  },
+  {
+    name: "request.approved",
+    label: "Approved",
+    description: "A request you made or support was approved",
+    defaults: ["in_app", "email"],
+  },
+  {
+    name: "request.in_progress",
+    label: "Downloading",
+    description: "The download for it has started",
+    defaults: ["in_app"],
+  },
+  {
+    name: "request.fulfilled",
+    label: "Fulfilled",
+    description: "The game is ready to play",
+    defaults: ["in_app", "email"],
+  },
+  {
+    name: "request.rejected",
+    label: "Rejected",
+    description: "A request you made or support was turned down",
+    defaults: ["in_app", "email"],
+  },
+  {
+    name: "request.cancelled",
+    label: "Cancelled",
+    description: "An admin cancelled it",
+    defaults: ["in_app"],
+  },
+  {
+    name: "request.comment",
+    label: "Comments",
+    description: "Someone else commented on it",
+    defaults: ["in_app"],
+  },
+  {
+    name: "request.merged",
+    label: "Merged",
+    description: "It was merged into another request for the same game",
+    defaults: ["in_app", "email"],
+  },
+  {
+    name: "request.assigned",
+    label: "Assigned to you",
+    description: "Another admin assigned you a request to handle",
+    defaults: ["in_app", "email"],
+  },
+  {
+    name: "watchlist.in_library",
+    label: "In the library",
+    description: "A game on your watchlist was added to the library",
+    defaults: ["in_app"],
+  },
+  {
+    name: "watchlist.released",
+    label: "Released",
+    description: "An unreleased game on your watchlist came out",
+    defaults: ["in_app"],
+  },
+];
+
+/**
+ * Every channel, in the order /profile shows them. Email is stored like the
+ * others whether or not SMTP is set up; describeUserNotificationChannels says
+ * whether it can be picked right now.
+ */
+export const USER_NOTIFICATION_CHANNELS = [
+  { name: "in_app", label: "In-app", available: true },
+  { name: "email", label: "Email", available: true },
+  { name: "ntfy", label: "ntfy", available: true },
+  { name: "discord", label: "Discord", available: true },
+];
+
+/** The queue channel for each personal channel that is sent over HTTP. */
+const QUEUE_CHANNELS = {
+  ntfy: "user_ntfy",
+  discord: "user_discord",
+};
+
+const QUEUE_NOTIFIERS = {
+  user_ntfy: ntfyNotifier,
+  user_discord: discordNotifier,
+};
+
+const EVENT_NAMES = new Set(USER_NOTIFICATION_EVENTS.map(({ name }) => name));
+
+const PRIVATE_NTFY_SERVER =
+  "The ntfy server must be on the public internet, not a local or private address";
+
+const CHANNEL_NAMES = USER_NOTIFICATION_CHANNELS.map(({ name }) => name);
+
+const SETTINGS_COLUMNS = `events, ntfy_server_url, ntfy_topic, ntfy_token,
+            discord_webhook_url, watchlist_digest`;
+
+// The bell shows the newest few; nothing reads further back than this.
+const MAX_LIST_LIMIT = 50;
+
+const NOTIFICATION_COLUMNS =
+  "id, event, title, body, link, request_id, igdb_id, read_at, created_at";
+
+/**
+ * The title, text and priority of each event, for a request or watched game
+ * titled `title`. Priority is on the admin notifications' 1-10 scale.
+ */
+const MESSAGES = {
+  "request.submitted": (title) => ({
+    title: "📝 Request received",
+    body: `Your request for "${title}" was received.`,
+    priority: 2,
+  }),
+  "request.approved": (title) => ({
+    title: "✅ Request approved",
+    body: `"${title}" was approved.`,
+    priority: 5,
+  }),
+  "request.in_progress": (title) => ({
+    title: "⬇️ Download started",
+    body: `"${title}" is being downloaded.`,
+    priority: 3,
+  }),
+  "request.fulfilled": (title) => ({
+    title: "🎉 Request fulfilled",
+    body: `"${title}" is ready to play.`,
+    priority: 6,
+  }),
+  "request.rejected": (title) => ({
+    title: "❌ Request rejected",
+    body: `"${title}" was rejected.`,
+    priority: 5,
+  }),
+  "request.cancelled": (title) => ({
+    title: "🚫 Request cancelled",
+    body: `"${title}" was cancelled.`,
+    priority: 4,
+  }),
+  "request.comment": (title) => ({
+    title: "💬 New comment",
+    body: `New comment on "${title}".`,
+    priority: 4,
+  }),
+  "request.merged": (title) => ({
+    title: "🔗 Request merged",
+    body: `Your request was merged into the one for "${title}", which you now support.`,
+    priority: 4,
+  }),
+  "request.assigned": (title) => ({
+    title: "📌 Assigned to you",
+    body: `"${title}" was assigned to you.`,
+    priority: 5,
+  }),
+  "watchlist.in_library": (title) => ({
+    title: "📚 Now in the library",
+    body: `"${title}" from your watchlist is in the library.`,
+    priority: 5,
+  }),
+  "watchlist.released": (title) => ({
+    title: "📅 Out now",
+    body: `"${title}" from your watchlist has been released.`,
+    priority: 4,
+  }),
+};
+
+const WATCHLIST_EVENTS = new Set([
+  "watchlist.in_library",
+  "watchlist.released",
+]);
+
+/**
+ * The channels for /profile, with email available only once SMTP is set up.
+ *
+ * @returns {Promise<Array<{name: string, label: string, available: boolean}>>}
+ */
+export async function describeUserNotificationChannels() {
+  const mailReady = await isMailConfigured();
+  return USER_NOTIFICATION_CHANNELS.map((channel) =>
+    channel.name === "email" ? { ...channel, available: mailReady } : channel,
+  );
+}
+
+/**
+ * A user's settings, with every event present: an event they never chose
+ * channels for comes back with its defaults.
+ *
+ * @param {number} userId - Local ggr_users id
+ * @returns {Promise<{events: Object<string, string[]>, ntfy_server_url: string, ntfy_topic: string, ntfy_token: string, discord_webhook_url: string, watchlist_digest: boolean}>}
+ */
+export async function getUserNotificationSettings(userId) {
+  const result = await query(
+    `SELECT ${SETTINGS_COLUMNS}
+       FROM ggr_user_notification_settings
+      WHERE user_id = $1`,
+    [userId],
+  );
+  return withDefaults(result.rows[0]);
+}
+
+/**
+ * Check and normalise settings as submitted from /profile.
+ *
+ * Throws with a message fit for the user on the first problem: a channel
+ * picked without the details it needs would only fail on every event, and
+ * one pointed at a destination refusedDestination refuses would never be
+ * sent. Async because an ntfy server's name is resolved to check it.
+ *
+ * @param {Object} input - events, ntfy_server_url, ntfy_topic, ntfy_token,
+ *   discord_webhook_url, watchlist_digest
+ * @returns {Promise<Object>} The settings to store
+ */
+export async function validateUserNotificationSettings(input) {
+  const submitted =
+    input?.events && typeof input.events === "object" ? input.events : {};
+
+  const unknown = Object.keys(submitted).filter(
+    (event) => !EVENT_NAMES.has(event),
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event: ${unknown.join(", ")}`);
+  }
+
+  const events = {};
+  for (const { name } of USER_NOTIFICATION_EVENTS) {
+    const channels = submitted[name];
+    if (channels === undefined) continue;
+    if (!Array.isArray(channels)) {
+      throw new Error(`Channels for ${name} must be a list`);
+    }
+    // Stored in channel order, so a re-save does not reorder the column.
+    events[name] = CHANNEL_NAMES.filter((channel) =>
+      channels.includes(channel),
+    );
+  }
+
+  const settings = {
+    events,
+    ntfy_server_url: trimmed(input?.ntfy_server_url),
+    ntfy_topic: trimmed(input?.ntfy_topic),
+    ntfy_token: trimmed(input?.ntfy_token),
+    discord_webhook_url: trimmed(input?.discord_webhook_url),
+    watchlist_digest: input?.watchlist_digest === true,
+  };
+
+  const picked = new Set(Object.values(events).flat());
+  for (const channel of Object.keys(QUEUE_CHANNELS)) {
+    const notifier = QUEUE_NOTIFIERS[QUEUE_CHANNELS[channel]];
+    const config = personalConfig(channel, settings);
+    const filledIn = notifier.fields.some(
+      (field) => field.required && config[field.name],
+    );
+    // Details without the channel picked are kept, for switching it back on.
+    if (!picked.has(channel) && !filledIn) continue;
+
+    const invalid =
+      notifier.validate(config) ?? refusedDestination(channel, config);
+    if (invalid) {
+      throw new Error(invalid);
+    }
+    if (channel === "ntfy" && !(await resolvesPublicly(config.server_url))) {
+      throw new Error(PRIVATE_NTFY_SERVER);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Store a user's settings, replacing what was there.
+ *
+ * @param {number} userId - Local ggr_users id
+ * @param {Object} input - As for validateUserNotificationSettings
+ * @returns {Promise<Object>} The stored settings, as getUserNotificationSettings
+ */
+export async function saveUserNotificationSettings(userId, input) {
+  const settings = await validateUserNotificationSettings(input);
+  const result = await query(
+    `INSERT INTO ggr_user_notification_settings
+         (user_id, events, ntfy_server_url, ntfy_topic, ntfy_token,
+          discord_webhook_url, watchlist_digest, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+     ON CONFLICT (user_id) DO UPDATE
+        SET events = EXCLUDED.events,
+            ntfy_server_url = EXCLUDED.ntfy_server_url,
+            ntfy_topic = EXCLUDED.ntfy_topic,
+            ntfy_token = EXCLUDED.ntfy_token,
+            discord_webhook_url = EXCLUDED.discord_webhook_url,
+            watchlist_digest = EXCLUDED.watchlist_digest,
+            updated_at = NOW()
+     RETURNING ${SETTINGS_COLUMNS}`,
+    [
+      userId,
+      JSON.stringify(settings.events),
+      settings.ntfy_server_url || null,
+      settings.ntfy_topic || null,
+      settings.ntfy_token || null,
+      settings.discord_webhook_url || null,
+      settings.watchlist_digest,
+    ],
+  );
+  return withDefaults(result.rows[0]);
+}
+
+/**
+ * Tell a request's requester and supporters that something happened to it.
+ *
+ * Fire and forget, like the admin notifications: called from a status
+ * change's or a comment's side effects, after the write has committed, and
+ * never throws. A failure to notify is logged, not a failure of the change.
+ *
+ * @param {Object} params
+ * @param {string} params.event - A USER_NOTIFICATION_EVENTS name
+ * @param {Object} params.request - The ggr_game_requests row
+ * @param {number|string|null} [params.actorId] - Local ggr_users id of whoever
+ *   caused it, who is not told
+ * @param {string|null} [params.notes] - Admin notes this change wrote, e.g. a
+ *   rejection reason
+ * @param {Object|null} [params.comment] - The ggr_request_comments row, for
+ *   `request.comment`
+ * @returns {Promise<number>} How many users were notified on any channel
+ */
+export async function notifyRequestParticipants({
+  event,
+  request,
+  actorId = null,
+  notes = null,
+  comment = null,
+}) {
+  try {
+    if (!EVENT_NAMES.has(event)) {
+      throw new Error(`Unknown user notification event: ${event}`);
+    }
+
+    const recipients = await recipientsOf(request, actorId);
+    if (recipients.length === 0) return 0;
+
+    return await notifyEach(recipients, {
+      event,
+      message: describeEvent(event, request, { notes, comment }),
+      requestId: request.id,
+      igdbId: request.igdb_id ?? null,
+      linkTo: (recipient) => linkFor(request, recipient.role),
+      renderEmail: (recipient, account, link, site) =>
+        renderRequestEmail({
+          event,
+          request,
+          recipientName: account.name,
+          role: recipient.role,
+          notes,
+          comment,
+          link,
+          siteUrl: site,
+        }),
+    });
+  } catch (error) {
+    console.warn("Failed to send user notifications:", error.message);
+    return 0;
+  }
+}
+
+/**
+ * Tell the users watching a game that it landed in the library or came out.
+ *
+ * Fire and forget like notifyRequestParticipants, and never throws. Who is
+ * told is the caller's business: watchlistAlerts.server.js has already claimed
+ * these alerts, so each user is told once whichever worker found it.
+ *
+ * @param {Object} params
+ * @param {string} params.event - `watchlist.in_library` or
+ *   `watchlist.released`
+ * @param {{igdb_id: string, title: string}} params.game
+ * @param {Array<number|string>} params.userIds - Local ggr_users ids
+ * @returns {Promise<number>} How many users were notified on any channel
+ */
+export async function notifyWatchers({ event, game, userIds }) {
+  try {
+    if (!WATCHLIST_EVENTS.has(event)) {
+      throw new Error(`Unknown watchlist notification event: ${event}`);
+    }
+
+    // user_id is TEXT on ggr_user_watchlist too, holding the local id.
+    const recipients = [...new Set(userIds.map(Number))]
+      .filter(Number.isInteger)
+      .map((userId) => ({ userId, role: "watcher" }));
+    if (recipients.length === 0) return 0;
+
+    // A released game is requested from the watchlist; one in the library is
+    // played from its page.
+    const link =
+      event === "watchlist.released"
+        ? "/profile?tab=watchlist"
+        : `/game/${game.igdb_id}`;
+    return await notifyEach(recipients, {
+      event,
+      message: MESSAGES[event](game.title),
+      requestId: null,
+      igdbId: game.igdb_id,
+      linkTo: () => link,
+      renderEmail: (recipient, account, _link, site) =>
+        renderWatchlistEmail({
+          event,
+          game,
+          recipientName: account.name,
+          link,
+          siteUrl: site,
+        }),
+    });
+  } catch (error) {
+    console.warn("Failed to send watchlist notifications:", error.message);
+    return 0;
+  }
+}
+
+/**
+ * Tell an admin that requests were assigned to them.
+ *
+ * One notification however many requests: a bulk assignment of thirty is one
+ * message listing them, not thirty. It links to the request when there is one,
+ * and to the queue filtered to the assignee's requests when there are more.
+ *
+ * Fire and forget like notifyRequestParticipants, and never throws. The
+ * caller leaves out self-assignment.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.requests - The ggr_game_requests rows assigned
+ * @param {number} params.assigneeId - Local ggr_users id
+ * @param {string|null} [params.actor] - Display name of whoever assigned them
+ * @returns {Promise<number>} 1 if the assignee was notified on any channel
+ */
+export async function notifyAssignee({ requests, assigneeId, actor = null }) {
+  try {
+    const userId = Number(assigneeId);
+    if (!Number.isInteger(userId) || requests.length === 0) return 0;
+
+    const [first] = requests;
+    const single = requests.length === 1;
+    const link = single
+      ? `/admin/requests/${first.id}`
+      : "/admin/requests?assigned=me";
+
+    const message = MESSAGES["request.assigned"](first.title);
+    if (!single) {
+      message.body = `${requests.length} requests were assigned to you: ${clip(
+        requests.map((request) => `"${request.title}"`).join(", "),
+        280,
+      )}`;
+    }
+    if (actor) message.body += `\nAssigned by ${actor}.`;
+
+    return await notifyEach([{ userId, role: "assignee" }], {
+      event: "request.assigned",
+      message,
+      requestId: single ? first.id : null,
+      igdbId: single ? (first.igdb_id ?? null) : null,
+      linkTo: () => link,
+      renderEmail: (recipient, account, _link, site) =>
+        renderAssignmentEmail({
+          requests,
+          actor,
+          recipientName: account.name,
+          link,
+          siteUrl: site,
+        }),
+    });
+  } catch (error) {
+    console.warn("Failed to send assignment notification:", error.message);
+    return 0;
+  }
+}
+
+/**
+ * Tell the people behind merged requests where their request went.
+ *
+ * Everyone who made or supported one of the duplicates hears once, however
+ * many of them they were behind, and is linked to the surviving request as
+ * the supporter they now are. Whoever did the merge is not told, nor is the
+ * survivor's own requester.
+ *
+ * Fire and forget like notifyRequestParticipants, and never throws.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.duplicates - The cancelled ggr_game_requests rows
+ * @param {Object} params.survivor - The row they went into
+ * @param {number|string|null} [params.actorId] - Local ggr_users id of the
+ *   admin who merged them
+ * @returns {Promise<number>} How many users were notified on any channel
+ */
+export async function notifyMerged({ duplicates, survivor, actorId = null }) {
+  try {
+    // The survivor's requester had nothing merged away from them.
+    const owner = Number.parseInt(survivor.user_id, 10);
+    const behind = new Map();
+    for (const duplicate of duplicates) {
+      for (const { userId } of await recipientsOf(duplicate, actorId)) {
+        if (userId === owner) continue;
+        if (!behind.has(userId)) behind.set(userId, []);
+        behind.get(userId).push(duplicate);
+      }
+    }
+    if (behind.size === 0) return 0;
+
+    const link = linkFor(survivor, "supporter");
+    return await notifyEach(
+      [...behind.keys()].map((userId) => ({ userId, role: "supporter" })),
+      {
+        event: "request.merged",
+        message: MESSAGES["request.merged"](survivor.title),
+        requestId: survivor.id,
+        igdbId: survivor.igdb_id ?? null,
+        linkTo: () => link,
+        renderEmail: (recipient, account, _link, site) =>
+          renderMergeEmail({
+            requests: behind.get(recipient.userId),
+            survivor,
+            recipientName: account.name,
+            link,
+            siteUrl: site,
+          }),
+      },
+    );
+  } catch (error) {
+    console.warn("Failed to send merge notifications:", error.message);
+    return 0;
+  }
+}
+
+/**
+ * A user's newest in-app notifications and how many are unread.
+ *
+ * @param {number} userId - Local ggr_users id
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @param {boolean} [options.unreadOnly=false]
+ * @returns {Promise<{notifications: Object[], unread_count: number}>}
+ */
+export async function listUserNotifications(
+  userId,
+  { limit = 20, unreadOnly = false } = {},
+) {
+  const capped = Math.max(1, Math.min(MAX_LIST_LIMIT, Number(limit) || 20));
+
+  const [list, unread] = await Promise.all([
+    query(
+      `SELECT ${NOTIFICATION_COLUMNS}
+         FROM ggr_user_notifications
+        WHERE user_id = $1 AND ($2::boolean IS FALSE OR read_at IS NULL)
+        ORDER BY created_at DESC, id DESC
+        LIMIT $3`,
+      [userId, unreadOnly, capped],
+    ),
+    query(
+      `SELECT COUNT(*)::int AS count
+         FROM ggr_user_notifications
+        WHERE user_id = $1 AND read_at IS NULL`,
+      [userId],
+    ),
+  ]);
+
+  return {
+    notifications: list.rows,
+    unread_count: unread.rows[0]?.count ?? 0,
+  };
+}
+
+/**
+ * Mark some or all of a user's notifications read. Ids belonging to someone
+ * else are ignored rather than refused: the caller learns nothing about them.
+ *
+ * @param {number} userId - Local ggr_users id
+ * @param {number[]|null} ids - The notifications, or null for all of them
+ * @returns {Promise<number>} How many were unread and now are not
+ */
+export async function markUserNotificationsRead(userId, ids = null) {
+  if (ids !== null && ids.length === 0) return 0;
+
+  const result = await query(
+    `UPDATE ggr_user_notifications
+        SET read_at = NOW()
+      WHERE user_id = $1
+        AND read_at IS NULL
+        AND ($2::bigint[] IS NULL OR id = ANY($2::bigint[]))`,
+    [userId, ids],
+  );
+  return result.rowCount ?? 0;
+}
+
+/**
+ * Send one queued personal notification. The transport deliveryQueue.server.js
+ * calls for the `user_ntfy` and `user_discord` channels.
+ *
+ * As for the admin notifiers, the config is read now, so a user fixing their
+ * topic also fixes the retries already waiting; the channel choice is not,
+ * since it decided whether to queue.
+ *
+ * @param {Object} delivery - A ggr_webhook_deliveries row
+ * @returns {Promise<{status: number, statusText: string, body: string}>}
+ */
+export async function deliverQueuedUserNotification(delivery) {
+  const notifier = QUEUE_NOTIFIERS[delivery.channel];
+  if (!notifier) {
+    throw new Error(`Unknown user notification channel: ${delivery.channel}`);
+  }
+
+  const channel = notifier.kind;
+  const settings = await getUserNotificationSettings(delivery.payload.user_id);
+  const config = personalConfig(channel, settings);
+  const invalid =
+    notifier.validate(config) ?? refusedDestination(channel, config);
+  if (invalid) {
+    throw new Error(
+      `The user's ${notifier.label} is no longer set up: ${invalid}`,
+    );
+  }
+  // Resolved again for every delivery, retries included: the name may point
+  // somewhere else now than when it was saved.
+  if (channel === "ntfy" && !(await resolvesPublicly(config.server_url))) {
+    throw new Error(`The user's ntfy is refused: ${PRIVATE_NTFY_SERVER}`);
+  }
+
+  // Not following redirects, which would take the POST wherever the
+  // server sends it, checked or not.
+  return sendToNotifier(notifier, config, delivery.payload, {
+    deliveryId: delivery.delivery_uuid ?? delivery.id,
+    redirect: "manual",
+  });
+}
+
+/**
+ * Send one event to each recipient on the channels they picked for it.
+ * Resolves to how many were notified on any channel.
+ */
+async function notifyEach(
+  recipients,
+  { event, message, requestId, igdbId, linkTo, renderEmail },
+) {
+  const settings = await settingsFor(recipients.map(({ userId }) => userId));
+
+  // Looked up only when someone wants this by email, and only once.
+  const emailTo = recipients.filter(({ userId }) =>
+    settings.get(userId).events[event].includes("email"),
+  );
+  const mail =
+    emailTo.length > 0
+      ? await mailAccounts(emailTo.map(({ userId }) => userId))
+      : null;
+
+  let notified = 0;
+  for (const recipient of recipients) {
+    const channels = settings.get(recipient.userId).events[event];
+    if (channels.length === 0) continue;
+
+    const link = linkTo(recipient);
+    const sent = await Promise.all(
+      channels.map((channel) =>
+        deliver(channel, {
+          recipient,
+          settings: settings.get(recipient.userId),
+          event,
+          message,
+          link,
+          requestId,
+          igdbId,
+          mail,
+          renderEmail,
+        }),
+      ),
+    );
+    if (sent.some(Boolean)) notified += 1;
+  }
+  return notified;
+}
+
+/**
+ * Send on one channel. Resolves to whether it was stored or queued; a
+ * personal channel picked but no longer set up is skipped, and so is email
+ * while SMTP is not.
+ */
+async function deliver(
+  channel,
+  {
+    recipient,
+    settings,
+    event,
+    message,
+    link,
+    requestId,
+    igdbId,
+    mail,
+    renderEmail,
+  },
+) {
+  if (channel === "in_app") {
+    try {
+      await query(
+        `INSERT INTO ggr_user_notifications
+             (user_id, event, title, body, link, request_id, igdb_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          recipient.userId,
+          event,
+          message.title,
+          message.body,
+          link,
+          requestId,
+          igdbId,
+        ],
+      );
+      return true;
+    } catch (error) {
+      // A user whose account has since been deleted, most likely. The others
+      // are still told.
+      console.warn(
+        `Failed to store notification for user ${recipient.userId}:`,
+        error.message,
+      );
+      return false;
+    }
+  }
+
+  if (channel === "email") {
+    const account = mail?.accounts.get(recipient.userId);
+    if (!account?.email) return false;
+
+    try {
+      await queueEmail({
+        to: account.email,
+        event,
+        ...renderEmail(recipient, account, link, mail.siteUrl),
+      });
+      return true;
+    } catch (error) {
+      console.error(
+        `❌ Failed to queue email for user ${recipient.userId}:`,
+        error.message,
+      );
+      return false;
+    }
+  }
+
+  const queueChannel = QUEUE_CHANNELS[channel];
+  if (!queueChannel) return false;
+
+  const notifier = QUEUE_NOTIFIERS[queueChannel];
+  const config = personalConfig(channel, settings);
+  if (notifier.validate(config) || refusedDestination(channel, config)) {
+    return false;
+  }
+
+  try {
+    await enqueueDelivery({
+      channel: queueChannel,
+      event,
+      targetUrl: notifier.target(config),
+      payload: {
+        user_id: recipient.userId,
+        title: message.title,
+        message: message.body,
+        priority: message.priority,
+        type: event,
+        extras: {},
+        image_url: null,
+      },
+    });
+    return true;
+  } catch (error) {
+    console.error(
+      `❌ Failed to queue ${notifier.label} notification for user ${recipient.userId}:`,
+      error.message,
+    );
+    return false;
+  }
+}
+
+/**
+ * The requester and the supporters, each once, without the actor. Supporters
+ * are read fresh: someone who withdrew support is no longer told.
+ */
+async function recipientsOf(request, actorId) {
+  const recipients = new Map();
+
+  // user_id is TEXT on ggr_game_requests and has always held the local id.
+  const requesterId = Number.parseInt(request.user_id, 10);
+  if (Number.isInteger(requesterId)) {
+    recipients.set(requesterId, { userId: requesterId, role: "requester" });
+  }
+
+  const supporters = (await listSupporters([request.id])).get(request.id) ?? [];
+  for (const supporter of supporters) {
+    const userId = Number(supporter.user_id);
+    if (!recipients.has(userId)) {
+      recipients.set(userId, { userId, role: "supporter" });
+    }
+  }
+
+  if (actorId !== null && actorId !== undefined) {
+    recipients.delete(Number(actorId));
+  }
+  return [...recipients.values()];
+}
+
+function describeEvent(event, request, { notes, comment }) {
+  const message = MESSAGES[event](request.title);
+
+  if (event === "request.comment" && comment) {
+    message.body =
+      `${comment.author_name || "Someone"} commented on "${request.title}":\n` +
+      clip(comment.body, 280);
+  } else if (notes) {
+    message.body += `\n${clip(notes, 280)}`;
+  }
+  return message;
+}
+
+/**
+ * Where a notification takes its reader. The requester has the request on
+ * /profile; a supporter does not, so they get the game page when there is one.
+ */
+function linkFor(request, role) {
+  if (role === "supporter" && request.igdb_id) {
+    return `/game/${request.igdb_id}`;
+  }
+  return `/profile?tab=requests#request-${request.id}`;
+}
+
+/**
+ * The address and name of each user, when mail can be sent at all; null
+ * otherwise, which skips the email channel for everyone.
+ */
+async function mailAccounts(userIds) {
+  if (!(await isMailConfigured())) return null;
+
+  const result = await query(
+    `SELECT id, email, COALESCE(name, preferred_username, username) AS name
+       FROM ggr_users
+      WHERE id = ANY($1::int[]) AND is_active = TRUE`,
+    [userIds],
+  );
+  return {
+    siteUrl: siteUrl(),
+    accounts: new Map(result.rows.map((row) => [row.id, row])),
+  };
+}
+
+async function settingsFor(userIds) {
+  const result = await query(
+    `SELECT user_id, ${SETTINGS_COLUMNS}
+       FROM ggr_user_notification_settings
+      WHERE user_id = ANY($1::int[])`,
+    [userIds],
+  );
+
+  const stored = new Map(result.rows.map((row) => [row.user_id, row]));
+  return new Map(
+    userIds.map((userId) => [userId, withDefaults(stored.get(userId))]),
+  );
+}
+
+/** A provider's config from a user's settings, named as its fields are. */
+function personalConfig(channel, settings) {
+  if (channel === "ntfy") {
+    return {
+      server_url: settings.ntfy_server_url || NTFY_DEFAULT_SERVER,
+      topic: settings.ntfy_topic || "",
+      token: settings.ntfy_token || "",
+    };
+  }
+  return { webhook_url: settings.discord_webhook_url || "" };
+}
+
+/**
+ * Why a personal channel's destination is refused, as written, or null. The
+ * ntfy server's name is resolved separately, since that needs awaiting.
+ */
+function refusedDestination(channel, config) {
+  if (channel === "discord" && !isDiscordWebhookUrl(config.webhook_url)) {
+    return "A Discord webhook URL starts with https://discord.com/api/webhooks/";
+  }
+  if (channel === "ntfy" && !isPublicHost(config.server_url)) {
+    return PRIVATE_NTFY_SERVER;
+  }
+  return null;
+}
+
+function withDefaults(row) {
+  const stored = row?.events ?? {};
+  const events = {};
+  for (const { name, defaults } of USER_NOTIFICATION_EVENTS) {
+    events[name] = Array.isArray(stored[name])
+      ? stored[name].filter((channel) => CHANNEL_NAMES.includes(channel))
+      : [...defaults];
+  }
+
+  return {
+    events,
+    ntfy_server_url: row?.ntfy_server_url ?? "",
+    ntfy_topic: row?.ntfy_topic ?? "",
+    ntfy_token: row?.ntfy_token ?? "",
+    discord_webhook_url: row?.discord_webhook_url ?? "",
+    watchlist_digest: row?.watchlist_digest ?? false,
+  };
+}
+
+function trimmed(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
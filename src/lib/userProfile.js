@@ -3,6 +3,7 @@
  */
 
 import { query } from "./database.js";
+import { dispatchUserRegisteredEvent } from "$lib/webhooks.server.js";
 
 /**
  * Find user by Authentik subject ID
@@ -63,6 +64,10 @@ export async function createUserFromAuthentik(userInfo) {
       console.log(`✅ First Authentik user created as admin: ${user.email}`);
     }
 
+    dispatchUserRegisteredEvent(user, "oidc").catch((error) => {
+      console.warn("Failed to dispatch registration webhooks:", error.message);
+    });
+
     // Assign roles based on Authentik groups (but skip admin flag update for first user)
     await assignRolesFromAuthentikGroups(
       user.id,
@@ -522,6 +527,14 @@ export async function upsertUserFromAuthentik(userInfo) {
 
 /**
  * Get user's watchlist with game details
+ *
+ * Each item says where the game stands, as `watch_status`: `in_library` when
+ * the library index has it, `released` once its IGDB release date has passed,
+ * and `upcoming` before that or while IGDB has no date. `request_id` and
+ * `request_status` are the open request the user made or supports for it, if
+ * any, so the watchlist can offer to request only what is not already asked
+ * for.
+ *
  * @param {number} userId - Local user ID
  * @returns {Promise<Array>} - Array of watchlist items with game details
  */
@@ -531,9 +544,33 @@ export async function getUserWatchlist(userId) {
       `
       SELECT 
         w.*,
-        g.title, g.cover_url, g.platforms, g.genres, g.rating, g.release_date
+        g.title, g.cover_url, g.platforms, g.genres, g.rating, g.release_date,
+        CASE
+          WHEN EXISTS (
+            SELECT 1 FROM ggr_library_entries e
+             WHERE e.igdb_id = w.igdb_id AND e.removed_at IS NULL
+          ) THEN 'in_library'
+          WHEN g.release_date <= NOW() THEN 'released'
+          ELSE 'upcoming'
+        END AS watch_status,
+        r.id AS request_id,
+        r.status AS request_status
       FROM ggr_user_watchlist w
       LEFT JOIN ggr_games_cache g ON w.igdb_id = g.igdb_id
+      LEFT JOIN LATERAL (
+        SELECT gr.id, gr.status
+          FROM ggr_game_requests gr
+         WHERE gr.igdb_id = w.igdb_id
+           -- requestPolicy.server.js's OPEN_STATUSES, which imports this
+           -- module and so cannot be imported by it.
+           AND gr.status IN ('awaiting_release', 'pending', 'approved', 'in_progress')
+           AND (gr.user_id = w.user_id OR EXISTS (
+                 SELECT 1 FROM ggr_request_supporters s
+                  WHERE s.request_id = gr.id AND s.user_id::text = w.user_id
+               ))
+         ORDER BY gr.created_at DESC
+         LIMIT 1
+      ) r ON TRUE
       WHERE w.user_id = $1
       ORDER BY w.added_at DESC`,
       [userId.toString()],
@@ -572,13 +609,29 @@ export async function isGameInWatchlist(userId, igdbId) {
 
 /**
  * Get user's game requests
+ *
+ * Each carries `platform_state`, its ggr_request_platforms rows, for the
+ * per-platform status the list shows (see platformStatuses).
+ *
  * @param {number} userId - Local user ID
  * @returns {Promise<Array>} - Array of user's game requests
  */
 export async function getUserRequests(userId) {
   try {
     const result = await query(
-      "SELECT * FROM ggr_game_requests WHERE user_id = $1 AND status != 'cancelled' ORDER BY created_at DESC",
+      `SELECT r.*,
+              COALESCE(
+                (SELECT json_agg(json_build_object(
+                          'platform', p.platform,
+                          'required', p.required,
+                          'fulfilled_at', p.fulfilled_at))
+                   FROM ggr_request_platforms p
+                  WHERE p.request_id = r.id),
+                '[]'::json
+              ) AS platform_state
+         FROM ggr_game_requests r
+        WHERE r.user_id = $1 AND r.status != 'cancelled'
+        ORDER BY r.created_at DESC`,
       [userId.toString()],
     );
 
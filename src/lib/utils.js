@@ -68,6 +68,79 @@ export function normalizeTitle(title) {
   return words.join(" ");
 }
 
+/**
+ * How alike two game titles are once normalised, from 0 to 1.
+ *
+ * The Dice coefficient of the normalised titles' letter pairs, so a stray
+ * colon, a dropped "The" or "Pokemon" for "Pokémon" costs little and a
+ * different game costs a lot. Roman numerals count as their numbers, so
+ * "Witcher III" is "Witcher 3", and titles whose numbers differ score 0
+ * whatever their letters say: "Final Fantasy VII" and "Final Fantasy VIII" are
+ * one letter apart and two games.
+ *
+ * @param {string} a - A game title
+ * @param {string} b - Another
+ * @returns {number} - 1 for the same normalised title, 0 for nothing shared
+ */
+export function titleSimilarity(a, b) {
+  const left = comparableTitle(a);
+  const right = comparableTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const numbers = (title) =>
+    title
+      .split(" ")
+      .filter((word) => /^\d+$/.test(word))
+      .join(" ");
+  if (numbers(left) !== numbers(right)) return 0;
+
+  const pairs = (title) => {
+    const compact = title.replace(/ /g, "");
+    const counts = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+      const pair = compact.slice(i, i + 2);
+      counts.set(pair, (counts.get(pair) ?? 0) + 1);
+    }
+    return counts;
+  };
+  const leftPairs = pairs(left);
+  const rightPairs = pairs(right);
+
+  let shared = 0;
+  let total = 0;
+  for (const [pair, count] of leftPairs) {
+    shared += Math.min(count, rightPairs.get(pair) ?? 0);
+    total += count;
+  }
+  for (const count of rightPairs.values()) total += count;
+
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+const ROMAN_NUMERALS = Object.fromEntries(
+  "i ii iii iv v vi vii viii ix x xi xii xiii xiv xv xvi xvii xviii xix xx"
+    .split(" ")
+    .map((numeral, index) => [numeral, String(index + 1)]),
+);
+
+/**
+ * A title as titleSimilarity compares it: normalised, without accents, and
+ * with roman numerals as digits. Not a leading one, which is a word more
+ * often than a number -- "I Am Setsuna", "X-COM".
+ */
+function comparableTitle(title) {
+  const normalized = normalizeTitle(
+    typeof title === "string"
+      ? title.normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+      : title,
+  );
+  return normalized
+    .split(" ")
+    .map((word, index) => (index > 0 && ROMAN_NUMERALS[word]) || word)
+    .join(" ");
+}
+
 /**
  * Create search variations for a game title
  * @param {string} title - The original title
@@ -0,0 +1,120 @@
+/**
+ * Watchlist alerts (migration 027): telling a user once when a game they
+ * watch lands in the library, and once when an unreleased one comes out.
+ *
+ *   in the library  from the library sync, for each batch's newly indexed
+ *                   entries (cycle.js passes them on), and for the entries
+ *                   a match has just given an id (matching.js)
+ *   released        from an hourly check of the watched games whose IGDB
+ *                   release date has passed
+ *
+ * Each alert is claimed before it is sent, by setting its timestamp on the
+ * watchlist row from NULL in the statement that finds it. Every PM2 worker
+ * runs the release check and any of them may run the sync, and a row that
+ * one worker's UPDATE has claimed no longer matches another's; the second
+ * finds nothing to send. An alert claimed and then not delivered -- the
+ * worker died in between -- is lost rather than risk sending it twice, as
+ * the digests do.
+ *
+ * A game watched after its release is not "released" news to anyone, so the
+ * check only announces a release date later than the watch. Nor is a release
+ * worth announcing for a game already in the library: the library alert said
+ * more, and the release email's "request it" would be wrong.
+ */
+
+import { query } from "$lib/database.js";
+import { notifyWatchers } from "$lib/userNotifications.server.js";
+
+/**
+ * Claim and send the library alerts for games the sync has just indexed.
+ *
+ * Never throws. A watcher missing an alert is logged, not a failed batch.
+ *
+ * @param {Array<{igdb_id: string|null, name: string}>} entries - The batch's
+ *   newly indexed ggr_library_entries rows
+ * @returns {Promise<number>} How many users were alerted
+ */
+export async function alertWatchersOfEntries(entries) {
+  const igdbIds = [
+    ...new Set(entries.map((entry) => entry.igdb_id).filter(Boolean)),
+  ];
+  if (igdbIds.length === 0) return 0;
+
+  try {
+    const claimed = await query(
+      `UPDATE ggr_user_watchlist w
+          SET library_alerted_at = NOW()
+        WHERE w.igdb_id = ANY($1::text[])
+          AND w.library_alerted_at IS NULL
+    RETURNING w.user_id, w.igdb_id,
+              (SELECT g.title FROM ggr_games_cache g
+                WHERE g.igdb_id = w.igdb_id) AS title`,
+      [igdbIds],
+    );
+
+    // The library's own name when the cache has none, which it should.
+    const names = new Map(entries.map((entry) => [entry.igdb_id, entry.name]));
+    return await sendPerGame("watchlist.in_library", claimed.rows, names);
+  } catch (error) {
+    console.warn("Failed to send watchlist library alerts:", error.message);
+    return 0;
+  }
+}
+
+/**
+ * Claim and send the release alerts that are due.
+ *
+ * "Due" is on the database's clock, as everything the sync compares is: the
+ * release dates and watch times are its timestamps, not the app's.
+ *
+ * "In the library" is by the id in force, the backend's or a match's
+ * (matching.js), as the game page's check is: a game held through a match is
+ * held. Spelled as router.js spells COALESCE(igdb_id, match_igdb_id), so each
+ * column's index still serves it.
+ *
+ * @returns {Promise<number>} How many users were alerted
+ */
+export async function alertReleasedGames() {
+  const claimed = await query(
+    `UPDATE ggr_user_watchlist w
+        SET release_alerted_at = NOW()
+       FROM ggr_games_cache g
+      WHERE g.igdb_id = w.igdb_id
+        AND w.release_alerted_at IS NULL
+        AND g.release_date <= NOW()
+        AND g.release_date > w.added_at
+        AND NOT EXISTS (
+              SELECT 1
+                FROM ggr_library_entries e
+               WHERE (e.igdb_id = w.igdb_id
+                      OR (e.igdb_id IS NULL AND e.match_igdb_id = w.igdb_id))
+                 AND e.removed_at IS NULL
+            )
+  RETURNING w.user_id, w.igdb_id, g.title`,
+  );
+
+  return sendPerGame("watchlist.released", claimed.rows);
+}
+
+/** One notification per game, to everyone whose watch was claimed for it. */
+async function sendPerGame(event, rows, names = new Map()) {
+  const byGame = new Map();
+  for (const row of rows) {
+    if (!byGame.has(row.igdb_id)) {
+      byGame.set(row.igdb_id, {
+        game: {
+          igdb_id: row.igdb_id,
+          title: row.title || names.get(row.igdb_id) || "A game",
+        },
+        userIds: [],
+      });
+    }
+    byGame.get(row.igdb_id).userIds.push(row.user_id);
+  }
+
+  let alerted = 0;
+  for (const { game, userIds } of byGame.values()) {
+    alerted += await notifyWatchers({ event, game, userIds });
+  }
+  return alerted;
+}
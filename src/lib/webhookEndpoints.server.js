@@ -0,0 +1,187 @@
+/**
+ * Admin-managed outbound webhook endpoints (migration 020).
+ *
+ * The environment webhook (REQUEST_WEBHOOK_URL) is one receiver that hears
+ * about approvals and comments. These are any number more, each subscribed to
+ * the events it wants, with its own secret and an enable flag so a receiver
+ * that is down for maintenance can be switched off without losing its
+ * configuration. Delivery lives in webhooks.server.js; this module only stores
+ * and validates.
+ */
+
+import { query } from "$lib/database.js";
+
+/**
+ * Every event an endpoint can subscribe to, in the order the settings page
+ * lists them. The name is the payload's `type`.
+ */
+export const WEBHOOK_EVENTS = [
+  { name: "request.created", label: "Request created" },
+  { name: "request.approved", label: "Request approved" },
+  { name: "request.in_progress", label: "Request in progress" },
+  { name: "request.rejected", label: "Request rejected" },
+  { name: "request.fulfilled", label: "Request fulfilled" },
+  { name: "request.cancelled", label: "Request cancelled" },
+  { name: "request.comment", label: "Request commented on" },
+  { name: "user.registered", label: "User registered" },
+  { name: "library.sync_completed", label: "Library sync completed" },
+];
+
+const EVENT_NAMES = new Set(WEBHOOK_EVENTS.map((event) => event.name));
+
+const COLUMNS =
+  "id, name, url, secret, events, enabled, created_at, updated_at";
+
+/**
+ * Every endpoint, for the settings page.
+ *
+ * @returns {Promise<Object[]>}
+ */
+export async function listWebhookEndpoints() {
+  const result = await query(
+    `SELECT ${COLUMNS} FROM ggr_webhook_endpoints ORDER BY name, id`,
+  );
+  return result.rows;
+}
+
+/**
+ * One endpoint by id.
+ *
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getWebhookEndpoint(id) {
+  const result = await query(
+    `SELECT ${COLUMNS} FROM ggr_webhook_endpoints WHERE id = $1`,
+    [id],
+  );
+  return result.rows[0] ?? null;
+}
+
+/**
+ * The enabled endpoints subscribed to an event.
+ *
+ * @param {string} event - A WEBHOOK_EVENTS name
+ * @returns {Promise<Object[]>}
+ */
+export async function listSubscribedEndpoints(event) {
+  // `@>` rather than `= ANY(events)`, so the GIN index can answer it.
+  const result = await query(
+    `SELECT ${COLUMNS} FROM ggr_webhook_endpoints
+      WHERE enabled AND events @> ARRAY[$1::text]
+      ORDER BY id`,
+    [event],
+  );
+  return result.rows;
+}
+
+/**
+ * Check and normalise an endpoint as submitted by the settings page.
+ *
+ * Throws with a message fit for the admin on the first problem, rather than
+ * storing something that would fail on every delivery.
+ *
+ * @param {Object} input - name, url, secret, events, enabled
+ * @returns {{name: string, url: string, secret: string|null, events: string[], enabled: boolean}}
+ */
+export function validateWebhookEndpoint(input) {
+  const name = String(input?.name ?? "").trim();
+  if (!name) {
+    throw new Error("Name is required");
+  }
+
+  const url = String(input?.url ?? "").trim();
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("URL is not valid");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new Error("URL must use http:// or https://");
+  }
+
+  const events = Array.isArray(input?.events) ? input.events : [];
+  const unknown = events.filter((event) => !EVENT_NAMES.has(event));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event: ${unknown.join(", ")}`);
+  }
+
+  const secret = String(input?.secret ?? "").trim();
+
+  return {
+    name,
+    url,
+    secret: secret || null,
+    // Stored in WEBHOOK_EVENTS order, so a re-save does not reorder the column.
+    events: WEBHOOK_EVENTS.map((event) => event.name).filter((event) =>
+      events.includes(event),
+    ),
+    enabled: input?.enabled !== false,
+  };
+}
+
+/**
+ * Store a new endpoint.
+ *
+ * @param {Object} input - As for validateWebhookEndpoint
+ * @returns {Promise<Object>} The stored row
+ */
+export async function createWebhookEndpoint(input) {
+  const endpoint = validateWebhookEndpoint(input);
+  const result = await query(
+    `INSERT INTO ggr_webhook_endpoints (name, url, secret, events, enabled)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${COLUMNS}`,
+    [
+      endpoint.name,
+      endpoint.url,
+      endpoint.secret,
+      endpoint.events,
+      endpoint.enabled,
+    ],
+  );
+  return result.rows[0];
+}
+
+/**
+ * Replace an endpoint's settings.
+ *
+ * @param {number} id
+ * @param {Object} input - As for validateWebhookEndpoint
+ * @returns {Promise<Object|null>} The stored row, or null if there is no such
+ *   endpoint
+ */
+export async function updateWebhookEndpoint(id, input) {
+  const endpoint = validateWebhookEndpoint(input);
+  const result = await query(
+    `UPDATE ggr_webhook_endpoints
+        SET name = $2, url = $3, secret = $4, events = $5, enabled = $6,
+            updated_at = NOW()
+      WHERE id = $1
+      RETURNING ${COLUMNS}`,
+    [
+      id,
+      endpoint.name,
+      endpoint.url,
+      endpoint.secret,
+      endpoint.events,
+      endpoint.enabled,
+    ],
+  );
+  return result.rows[0] ?? null;
+}
+
+/**
+ * Remove an endpoint.
+ *
+ * @param {number} id
+ * @returns {Promise<boolean>} Whether there was one to remove
+ */
+export async function deleteWebhookEndpoint(id) {
+  const result = await query(
+    "DELETE FROM ggr_webhook_endpoints WHERE id = $1",
+    [id],
+  );
+  return result.rowCount > 0;
+}
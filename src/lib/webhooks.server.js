@@ -10,9 +10,30 @@
  * `/api/request`: the route calls the sender directly rather than posting to our
  * own HTTP endpoint. `/api/webhooks` shares these functions so both paths emit
  * a byte-identical payload and a receiver need not care which produced it.
+ *
+ * Alongside that one environment-configured receiver sit the endpoints an
+ * admin adds in settings (webhookEndpoints.server.js). Those subscribe to named
+ * events -- dispatchWebhookEvent and the helpers built on it -- and the
+ * environment webhook keeps its two payloads exactly as they were.
+ *
+ * Every event is queued rather than sent (deliveryQueue.server.js), so a
+ * receiver that is down when a request is approved hears about it when it
+ * comes back. Only the two paths with someone waiting on the answer -- the
+ * /api/webhooks relay and the settings page's test button -- post directly.
+ *
+ * Every post is signed when its receiver has a secret: an HMAC-SHA256 over the
+ * timestamp and the exact body sent, in X-Webhook-Signature. The secret itself
+ * never travels. verifyWebhookSignature is the receiving side of it, for our
+ * own tests and for anyone writing a receiver in JavaScript.
  */
 
+import crypto from "crypto";
 import { env } from "$env/dynamic/private";
+import {
+  getWebhookEndpoint,
+  listSubscribedEndpoints,
+} from "$lib/webhookEndpoints.server.js";
+import { enqueueDelivery } from "$lib/deliveryQueue.server.js";
 
 // A receiver that is slow must not hold a user's request open. By the time this
 // runs the request is already committed; the webhook is a courtesy.
@@ -29,6 +50,12 @@ const WEBHOOK_PRIORITIES = {
 };
 const DEFAULT_WEBHOOK_PRIORITY = WEBHOOK_PRIORITIES.medium;
 
+// How far a signature's timestamp may be from the receiver's clock. Wide
+// enough for ordinary clock drift and a slow network, narrow enough that a
+// captured request cannot be replayed later in the day. Each attempt is
+// signed afresh, so a retry hours after the event is still inside it.
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
 /**
  * The configured outbound webhook URL.
  *
@@ -47,21 +74,161 @@ export function requestWebhookUrl() {
 }
 
 /**
- * Post a payload to the configured receiver.
+ * The secret the environment webhook is signed with.
+ *
+ * @returns {string} - The secret, or "" to send unsigned
+ */
+export function requestWebhookSecret() {
+  return env.REQUEST_WEBHOOK_SECRET || process.env.REQUEST_WEBHOOK_SECRET || "";
+}
+
+/**
+ * Sign a webhook body.
+ *
+ * The signed string is the timestamp, a full stop, and the body exactly as
+ * sent -- not a re-serialisation of the parsed JSON, which need not come out
+ * byte for byte the same.
+ *
+ * @param {string} secret - The receiver's secret
+ * @param {number|string} timestamp - Unix time in seconds, as sent in
+ *   X-Webhook-Timestamp
+ * @param {string} body - The raw request body
+ * @returns {string} - `sha256=` and the hex digest, as sent in
+ *   X-Webhook-Signature
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a received webhook's signature and timestamp.
+ *
+ * False for a missing or wrong signature, and for a timestamp further than
+ * the tolerance from `now` either way -- a replay of a captured request, or
+ * one held back. Replays inside the window are the receiver's to catch, by
+ * remembering X-Webhook-Delivery ids it has already handled.
+ *
+ * @param {Object} received
+ * @param {string} received.secret - The secret shared with the sender
+ * @param {string} received.body - The raw request body
+ * @param {string|null} received.timestamp - X-Webhook-Timestamp
+ * @param {string|null} received.signature - X-Webhook-Signature
+ * @param {number} [received.toleranceSeconds]
+ * @param {number} [received.now] - Milliseconds, for tests
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature({
+  secret,
+  body,
+  timestamp,
+  signature,
+  toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS,
+  now = Date.now(),
+}) {
+  if (!secret || !signature || !/^\d+$/.test(String(timestamp ?? ""))) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(signature));
+  // timingSafeEqual throws on a length mismatch rather than answering false.
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+/**
+ * Post a payload to the configured receiver, now.
+ *
+ * Not queued: for /api/webhooks, whose caller is waiting for the receiver's
+ * answer and can retry for itself. Events this app raises go through
+ * enqueueDelivery instead.
+ *
  * @param {Object} payload - The webhook payload
  * @returns {Promise<Object>} - The receiver's response, or a status summary
  */
 export async function sendRequestWebhook(payload) {
-  const response = await fetch(requestWebhookUrl(), {
+  return postWebhook(requestWebhookUrl(), payload, {
+    secret: requestWebhookSecret(),
+  });
+}
+
+/**
+ * Post a payload to one receiver and report what it answered.
+ *
+ * Shared by every outbound webhook -- queued or not, environment or managed
+ * endpoint -- so a timeout and a signature mean the same thing for all of
+ * them. A non-2xx answer is not an error here; the caller decides what it
+ * means.
+ *
+ * Every post carries X-Webhook-Delivery and X-Webhook-Timestamp, and
+ * X-Webhook-Signature when there is a secret. A queued delivery's id is the
+ * same on every attempt, so a receiver can tell a retry of a message it
+ * already acted on from a new one.
+ *
+ * @param {string} url - Receiver URL
+ * @param {Object} payload - The webhook payload
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Sign with this, if set
+ * @param {string} [options.deliveryId] - Sent as X-Webhook-Delivery; a fresh
+ *   UUID when not given
+ * @param {string} [options.event] - Sent as X-Webhook-Event, if set
+ * @returns {Promise<{status: number, statusText: string, body: string}>}
+ */
+async function postPayload(url, payload, { secret, deliveryId, event } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Webhook-Delivery": deliveryId || crypto.randomUUID(),
+    "X-Webhook-Timestamp": String(timestamp),
+  };
+  if (event) {
+    headers["X-Webhook-Event"] = event;
+  }
+  if (secret) {
+    headers["X-Webhook-Signature"] = signWebhookPayload(
+      secret,
+      timestamp,
+      body,
+    );
+  }
+
+  const response = await fetch(url, {
     method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
+    headers,
+    body,
     signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
   });
 
-  if (!response.ok) {
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    body: await response.text().catch(() => ""),
+  };
+}
+
+/**
+ * postPayload for a caller that is waiting: throws on a non-2xx answer.
+ *
+ * @param {string} url - Receiver URL
+ * @param {Object} payload - The webhook payload
+ * @param {Object} [options] - As for postPayload
+ * @returns {Promise<Object>} - The receiver's response, or a status summary
+ */
+async function postWebhook(url, payload, options = {}) {
+  const response = await postPayload(url, payload, options);
+
+  if (response.status < 200 || response.status >= 300) {
     throw new Error(
       `Request webhook error: ${response.status} ${response.statusText}`,
     );
@@ -69,12 +236,156 @@ export async function sendRequestWebhook(payload) {
 
   // Receivers return whatever they like; a non-JSON body is still a success.
   try {
-    return await response.json();
+    return JSON.parse(response.body);
   } catch {
     return { status: "sent", statusCode: response.status };
   }
 }
 
+/**
+ * Send one queued webhook delivery. The transport deliveryQueue.server.js
+ * calls for the `webhook` channel.
+ *
+ * The receiver is resolved now, not when the delivery was queued: a managed
+ * endpoint's current URL and secret, or the environment webhook's URL. So an
+ * admin who fixes a wrong URL or secret fixes the retries already queued, and
+ * a disabled endpoint's deliveries wait -- failing, and so backing off --
+ * until it is enabled again or they run out of attempts.
+ *
+ * @param {Object} delivery - A ggr_webhook_deliveries row
+ * @returns {Promise<{status: number, statusText: string, body: string}>}
+ */
+export async function deliverQueuedWebhook(delivery) {
+  if (delivery.endpoint_id != null) {
+    const endpoint = await getWebhookEndpoint(delivery.endpoint_id);
+    if (!endpoint) {
+      throw new Error("The webhook endpoint no longer exists");
+    }
+    if (!endpoint.enabled) {
+      throw new Error("The webhook endpoint is disabled");
+    }
+    // The event name travels in X-Webhook-Event as well as the payload's
+    // `type`, so a receiver can route without parsing the body.
+    return postPayload(endpoint.url, delivery.payload, {
+      secret: endpoint.secret,
+      deliveryId: delivery.delivery_uuid,
+      event: delivery.payload.type,
+    });
+  }
+
+  const url = requestWebhookUrl();
+  if (!url) {
+    throw new Error("REQUEST_WEBHOOK_URL is no longer set");
+  }
+  return postPayload(url, delivery.payload, {
+    secret: requestWebhookSecret(),
+    deliveryId: delivery.delivery_uuid,
+  });
+}
+
+/**
+ * Queue an event for every enabled endpoint subscribed to it.
+ *
+ * One delivery per endpoint, so each retries on its own schedule and one
+ * receiver being down costs the others nothing. The subscription is read now:
+ * an endpoint that subscribes later does not receive events raised before.
+ *
+ * @param {string} event - A WEBHOOK_EVENTS name, sent as the payload's `type`
+ * @param {Object} content
+ * @param {string} content.title
+ * @param {string} content.message
+ * @param {number} [content.priority]
+ * @param {Object} [content.data]
+ * @returns {Promise<number>} - How many deliveries were queued
+ */
+export async function dispatchWebhookEvent(
+  event,
+  { title, message, priority = DEFAULT_WEBHOOK_PRIORITY, data = {} },
+) {
+  const endpoints = await listSubscribedEndpoints(event);
+  if (endpoints.length === 0) return 0;
+
+  const payload = {
+    type: event,
+    title,
+    message,
+    priority,
+    data,
+    timestamp: new Date().toISOString(),
+  };
+
+  const results = await Promise.allSettled(
+    endpoints.map((endpoint) =>
+      enqueueDelivery({
+        channel: "webhook",
+        event,
+        endpointId: endpoint.id,
+        targetUrl: endpoint.url,
+        payload,
+      }),
+    ),
+  );
+
+  let queued = 0;
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") {
+      queued += 1;
+    } else {
+      console.warn(
+        `Failed to queue webhook "${endpoints[index].name}" for ${event}:`,
+        result.reason?.message,
+      );
+    }
+  });
+  return queued;
+}
+
+/**
+ * Send a `webhook.test` event to one endpoint, for the settings page's test
+ * button.
+ *
+ * Sent whether or not the endpoint is enabled or subscribed to anything, so an
+ * endpoint can be checked before it is switched on. Sent now rather than
+ * queued, and throws on failure, because here the admin is waiting for the
+ * answer.
+ *
+ * @param {Object} endpoint - A ggr_webhook_endpoints row
+ * @param {string} [sentBy] - Display name of the admin who asked
+ * @returns {Promise<Object>} - The receiver's response, or a status summary
+ */
+export function sendWebhookTestEvent(endpoint, sentBy) {
+  const payload = {
+    type: "webhook.test",
+    title: "🧪 G.G Requestz Test Event",
+    message: `Test event for webhook "${endpoint.name}"${sentBy ? ` sent by ${sentBy}` : ""}.`,
+    priority: WEBHOOK_PRIORITIES.low,
+    data: {
+      endpoint_id: endpoint.id,
+      events: endpoint.events,
+    },
+    timestamp: new Date().toISOString(),
+  };
+  return postWebhook(endpoint.url, payload, {
+    secret: endpoint.secret,
+    event: payload.type,
+  });
+}
+
+/**
+ * Queue a payload for the environment webhook.
+ *
+ * @param {Object} payload - The webhook payload
+ * @returns {Promise<Object>} The stored delivery
+ */
+function enqueueWebhook(payload) {
+  return enqueueDelivery({
+    channel: "webhook",
+    event: payload.type,
+    targetUrl: requestWebhookUrl(),
+    payload,
+  });
+}
+
 /**
  * Announce a game request entering `approved`.
  *
@@ -94,26 +405,17 @@ export async function sendRequestWebhook(payload) {
  * @param {Object} [options]
  * @param {string|null} [options.previousStatus] - The status the request left,
  *   or null when it was created already approved
- * @returns {Promise<boolean>} - Whether a webhook was dispatched
+ * @returns {Promise<boolean>} - Whether a webhook was queued
  */
 export async function sendGameRequestWebhook(request, { previousStatus } = {}) {
   if (!requestWebhookUrl()) return false;
 
-  // JSONB comes back parsed, so this is normally already an array. Tolerate a
-  // bare string rather than emitting a one-character-per-index mess.
-  const platforms = Array.isArray(request.platforms)
-    ? request.platforms
-    : request.platforms
-      ? [request.platforms]
-      : [];
+  const platforms = requestPlatforms(request);
 
-  await sendRequestWebhook({
+  await enqueueWebhook({
     type: "game_request",
     title: `New Game Request: ${request.title}`,
-    message:
-      `${request.user_name} requested "${request.title}"\n\n` +
-      `Reason: ${request.reason || "No reason provided"}\n` +
-      `Platforms: ${platforms.join(", ") || "Not specified"}`,
+    message: requestSummary(request, platforms),
     priority: WEBHOOK_PRIORITIES[request.priority] ?? DEFAULT_WEBHOOK_PRIORITY,
     data: {
       request_id: request.id,
@@ -130,6 +432,211 @@ export async function sendGameRequestWebhook(request, { previousStatus } = {}) {
   return true;
 }
 
+/**
+ * Announce a new comment on a request.
+ *
+ * A separate event from `game_request`, so a receiver that only acts on
+ * approvals can ignore it on `type` alone. Internal comments are sent too,
+ * flagged: the receiver is the operator's own automation, not the requester,
+ * and it may be exactly where staff want to see them.
+ *
+ * @param {Object} request - The stored ggr_game_requests row
+ * @param {Object} comment - The stored ggr_request_comments row
+ * @returns {Promise<boolean>} - Whether a webhook was queued
+ */
+export async function sendRequestCommentWebhook(request, comment) {
+  if (!requestWebhookUrl()) return false;
+
+  await enqueueWebhook({
+    type: "request.comment",
+    ...commentContent(request, comment),
+    timestamp: new Date().toISOString(),
+  });
+
+  return true;
+}
+
+/**
+ * Send `request.comment` to the admin-managed endpoints subscribed to it.
+ *
+ * The same payload sendRequestCommentWebhook sends to the environment webhook,
+ * internal comments included and flagged, for the same reason.
+ *
+ * @param {Object} request - The stored ggr_game_requests row
+ * @param {Object} comment - The stored ggr_request_comments row
+ * @returns {Promise<number>} - How many deliveries were queued
+ */
+export function dispatchRequestCommentEvent(request, comment) {
+  return dispatchWebhookEvent(
+    "request.comment",
+    commentContent(request, comment),
+  );
+}
+
+const REQUEST_EVENT_TITLES = {
+  "request.created": "New Request",
+  "request.approved": "Request Approved",
+  "request.in_progress": "Request In Progress",
+  "request.rejected": "Request Rejected",
+  "request.fulfilled": "Request Fulfilled",
+  "request.cancelled": "Request Cancelled",
+};
+
+/**
+ * Send a request lifecycle event to the admin-managed endpoints subscribed to
+ * it.
+ *
+ * Unlike the environment webhook's `game_request`, every lifecycle event has
+ * its own `type`, and `data` carries the stored status and the one it left, so
+ * a receiver can follow a request through its life without reading our
+ * database. `request.approved` also carries the re-dispatch marker, for the
+ * reasons given at redispatchMarker.
+ *
+ * @param {string} event - request.created, .approved, .in_progress,
+ *   .rejected, .fulfilled or .cancelled
+ * @param {Object} request - The stored ggr_game_requests row
+ * @param {Object} [options]
+ * @param {string|null} [options.previousStatus] - The status the request left,
+ *   or null when it was just created
+ * @param {string} [options.notes] - Admin notes written by this transition
+ * @returns {Promise<number>} - How many deliveries were queued
+ */
+export function dispatchRequestEvent(
+  event,
+  request,
+  { previousStatus = null, notes } = {},
+) {
+  const platforms = requestPlatforms(request);
+  const creating = event === "request.created" || event === "request.approved";
+
+  return dispatchWebhookEvent(event, {
+    title: `${REQUEST_EVENT_TITLES[event] ?? "Request Updated"}: ${request.title}`,
+    message: creating
+      ? requestSummary(request, platforms)
+      : `"${request.title}", requested by ${request.user_name}, is now ${request.status}` +
+        (notes ? `\n\nNotes: ${notes}` : ""),
+    priority: WEBHOOK_PRIORITIES[request.priority] ?? DEFAULT_WEBHOOK_PRIORITY,
+    data: {
+      request_id: request.id,
+      user_id: request.user_id,
+      user_name: request.user_name,
+      game_title: request.title,
+      igdb_id: request.igdb_id,
+      platforms,
+      request_type: request.request_type,
+      status: request.status,
+      previous_status: previousStatus,
+      ...(notes ? { admin_notes: notes } : {}),
+      ...(event === "request.approved" ? redispatchMarker(previousStatus) : {}),
+    },
+  });
+}
+
+/**
+ * Send `user.registered` for a newly created account.
+ *
+ * Emitted from both places an account is created on first contact: basic-auth
+ * registration and an OIDC user's first sign-in. The initial admin created by
+ * setup is not announced; nothing can be subscribed yet.
+ *
+ * @param {Object} user - The stored ggr_users row
+ * @param {string} method - "basic_auth" or "oidc"
+ * @returns {Promise<number>} - How many deliveries were queued
+ */
+export function dispatchUserRegisteredEvent(user, method) {
+  const name = user.name || user.preferred_username || user.username;
+  return dispatchWebhookEvent("user.registered", {
+    title: `New User: ${name}`,
+    message: `${name} registered (${method === "oidc" ? "single sign-on" : "username and password"})`,
+    priority: WEBHOOK_PRIORITIES.low,
+    data: {
+      user_id: user.id,
+      username: user.username || user.preferred_username || null,
+      name: user.name || null,
+      email: user.email || null,
+      registration_method: method,
+    },
+  });
+}
+
+/**
+ * Send `library.sync_completed` for a pass that walked the whole library.
+ *
+ * Only completed passes are announced. A pass that lost the lock or threw has
+ * nothing new to report, and one that refused its sweep still completed, so
+ * `sweep_blocked` is how a receiver hears about that.
+ *
+ * @param {string} kind - The library backend's kind
+ * @param {Object} result - What syncLibrary returned
+ * @returns {Promise<number>} - How many deliveries were queued
+ */
+export function dispatchLibrarySyncEvent(kind, result) {
+  return dispatchWebhookEvent("library.sync_completed", {
+    title: "Library Sync Completed",
+    message:
+      `${result.upserted} indexed, ${result.removed} marked removed` +
+      (result.fulfilled ? `, ${result.fulfilled} requests fulfilled` : "") +
+      (result.sweepBlocked ? " (removal refused: too many at once)" : ""),
+    priority: result.sweepBlocked
+      ? WEBHOOK_PRIORITIES.high
+      : WEBHOOK_PRIORITIES.low,
+    data: {
+      library_kind: kind,
+      upserted: result.upserted,
+      removed: result.removed,
+      fulfilled: result.fulfilled,
+      resumed: result.resumed,
+      sweep_blocked: result.sweepBlocked,
+    },
+  });
+}
+
+/**
+ * A request's platforms as an array.
+ *
+ * JSONB comes back parsed, so this is normally already an array. Tolerate a
+ * bare string rather than emitting a one-character-per-index mess.
+ */
+function requestPlatforms(request) {
+  return Array.isArray(request.platforms)
+    ? request.platforms
+    : request.platforms
+      ? [request.platforms]
+      : [];
+}
+
+/** The message body for a new or approved request. */
+function requestSummary(request, platforms) {
+  return (
+    `${request.user_name} requested "${request.title}"\n\n` +
+    `Reason: ${request.reason || "No reason provided"}\n` +
+    `Platforms: ${platforms.join(", ") || "Not specified"}`
+  );
+}
+
+/** Everything but `type` and `timestamp` of a comment event. */
+function commentContent(request, comment) {
+  return {
+    title: `New Comment: ${request.title}`,
+    message: `${comment.author_name} commented on "${request.title}"\n\n${comment.body}`,
+    priority: DEFAULT_WEBHOOK_PRIORITY,
+    data: {
+      request_id: request.id,
+      user_id: request.user_id,
+      game_title: request.title,
+      igdb_id: request.igdb_id,
+      comment_id: comment.id,
+      author_user_id: comment.author_user_id,
+      author_name: comment.author_name,
+      body: comment.body,
+      internal: comment.is_internal,
+    },
+  };
+}
+
+// Statuses an approval out of reads as a first dispatch. See below.
+const NEVER_APPROVED = new Set(["pending", "awaiting_release"]);
+
 /**
  * The `data` keys that mark a dispatch as not the first for this request.
  *
@@ -142,15 +649,16 @@ export async function sendGameRequestWebhook(request, { previousStatus } = {}) {
  * the documented re-open path and always implies a prior approval. `rejected`
  * and `cancelled` are also treated as re-dispatches: a request in either state
  * may or may not have been approved before, and claiming "first dispatch" when
- * it was is the more damaging of the two mistakes. `pending` and creation are
- * the genuine first-dispatch cases and carry no marker at all.
+ * it was is the more damaging of the two mistakes. `pending`, creation and
+ * `awaiting_release` -- a pre-request approved on release day -- are the
+ * genuine first-dispatch cases and carry no marker at all.
  *
  * One case cannot be detected from the transition: approved -> pending ->
  * approved dispatches twice and the second carries no marker, because the
  * transition into it is indistinguishable from a first approval.
  */
 function redispatchMarker(previousStatus) {
-  if (!previousStatus || previousStatus === "pending") return {};
+  if (!previousStatus || NEVER_APPROVED.has(previousStatus)) return {};
 
   return { redispatch: true, previous_status: previousStatus };
 }
@@ -4,6 +4,7 @@
 
 import { redirect } from "@sveltejs/kit";
 import { query } from "$lib/database.js";
+import { getWorkload } from "$lib/requestAssignment.server.js";
 
 export async function load({ parent }) {
   const { userPermissions } = await parent();
@@ -121,6 +122,14 @@ export async function load({ parent }) {
         ? systemHealthResult.value.rows[0]
         : { total_users: 0, active_users: 0, recent_users: 0 };
 
+    // Who is handling what. A failure leaves the rest of the page.
+    let workload = { assignees: [], unassigned: 0 };
+    try {
+      workload = await getWorkload();
+    } catch (error) {
+      console.error("Failed to load admin workload:", error);
+    }
+
     // Calculate some derived metrics
     const totalRequests = statusStats.reduce(
       (sum, stat) => sum + parseInt(stat.count),
@@ -189,6 +198,7 @@ export async function load({ parent }) {
           count: parseInt(p.count),
         })),
       },
+      workload,
     };
   } catch (error) {
     console.error("Analytics page load error:", error);
@@ -209,6 +219,7 @@ export async function load({ parent }) {
         topUsers: [],
         popularPlatforms: [],
       },
+      workload: { assignees: [], unassigned: 0 },
     };
   }
 }
@@ -1,5 +1,6 @@
 /**
- * Admin API endpoint for bulk updating requests
+ * Admin API endpoint for bulk updating requests: their status, their
+ * assignee, or both
  */
 
 import { json } from "@sveltejs/kit";
@@ -11,6 +12,12 @@ import {
   applyRequestStatusChangeBatch,
   RequestConflictError,
 } from "$lib/requestStatus.server.js";
+import {
+  ASSIGNEE_PERMISSION,
+  assertAssignable,
+  assignRequests,
+  InvalidAssigneeError,
+} from "$lib/requestAssignment.server.js";
 
 export async function POST({ request, cookies }) {
   try {
@@ -79,7 +86,10 @@ export async function POST({ request, cookies }) {
     }
 
     // Parse request data
-    const { request_ids, status, admin_notes } = await request.json();
+    const body = await request.json();
+    const { request_ids, status, admin_notes } = body;
+    // Present at all -- null included, which unassigns -- is an assignment.
+    const assigning = Object.hasOwn(body, "assignee_user_id");
 
     if (
       !request_ids ||
@@ -95,25 +105,51 @@ export async function POST({ request, cookies }) {
       );
     }
 
-    if (!status) {
+    if (!status && !assigning) {
       return json(
         {
           success: false,
-          error: "Missing required field: status",
+          error: "Missing required field: status or assignee_user_id",
         },
         { status: 400 },
       );
     }
 
+    let assigneeId = null;
+    if (assigning) {
+      if (!(await userHasPermission(localUserId, ASSIGNEE_PERMISSION))) {
+        return json(
+          {
+            success: false,
+            error: "Approval permission required to assign requests",
+          },
+          { status: 403 },
+        );
+      }
+      try {
+        assigneeId = await assertAssignable(body.assignee_user_id);
+      } catch (assigneeError) {
+        if (!(assigneeError instanceof InvalidAssigneeError)) {
+          throw assigneeError;
+        }
+        return json(
+          { success: false, error: assigneeError.message },
+          { status: 400 },
+        );
+      }
+    }
+
     // Validate status
     const validStatuses = [
+      "awaiting_release",
       "pending",
       "approved",
+      "in_progress",
       "rejected",
       "fulfilled",
       "cancelled",
     ];
-    if (!validStatuses.includes(status)) {
+    if (status && !validStatuses.includes(status)) {
       return json(
         {
           success: false,
@@ -125,7 +161,7 @@ export async function POST({ request, cookies }) {
 
     // Check if specific status changes require approve permission
     if (
-      ["approved", "rejected", "fulfilled"].includes(status) &&
+      ["approved", "in_progress", "rejected", "fulfilled"].includes(status) &&
       !hasApprovePermission
     ) {
       return json(
@@ -161,23 +197,41 @@ export async function POST({ request, cookies }) {
     // admin_notes passed through as-is: absent from the request body it is
     // `undefined` (owner keeps the existing value per row); present --
     // including "" -- the owner writes it (and normalises "" to null).
+    //
+    // An assignment joins the same transaction, after the statuses: a batch
+    // rolled back by a conflict is not left assigned either.
     let batch;
+    let assignment = null;
     try {
       batch = await withTransaction(async (tx) => {
-        const outcome = await applyRequestStatusChangeBatch({
-          ids: request_ids,
-          to: status,
-          actor: user.name || user.email,
-          adminNotes: admin_notes,
-          tx,
-        });
+        let outcome = { rows: [], runSideEffects: () => {} };
+        if (status) {
+          outcome = await applyRequestStatusChangeBatch({
+            ids: request_ids,
+            to: status,
+            actor: user.name || user.email,
+            actorId: localUserId,
+            adminNotes: admin_notes,
+            tx,
+          });
+
+          // Throwing is what rolls the batch back.
+          if (outcome.conflict) {
+            throw new RequestConflictError(
+              outcome.conflict,
+              `moving these requests to ${status}`,
+            );
+          }
+        }
 
-        // Throwing is what rolls the batch back.
-        if (outcome.conflict) {
-          throw new RequestConflictError(
-            outcome.conflict,
-            `moving these requests to ${status}`,
-          );
+        if (assigning) {
+          assignment = await assignRequests({
+            ids: request_ids,
+            assigneeId,
+            actor: user.name || user.email,
+            actorId: localUserId,
+            tx,
+          });
         }
 
         return outcome;
@@ -196,10 +250,17 @@ export async function POST({ request, cookies }) {
       throw transactionError;
     }
 
-    const updatedRequests = batch.rows;
+    // A request both moved and assigned is one request updated.
+    const updated = new Map(batch.rows.map((req) => [req.id, req]));
+    for (const req of assignment?.rows ?? []) {
+      updated.set(req.id, { ...updated.get(req.id), ...req });
+    }
+    const updatedRequests = [...updated.values()];
     const updatedCount = updatedRequests.length;
 
-    if (updatedCount === 0) {
+    // An assignment that changed nothing -- every request already had that
+    // assignee -- is not a failure.
+    if (updatedCount === 0 && !assigning) {
       return json(
         { success: false, error: "No requests were updated" },
         { status: 404 },
@@ -207,8 +268,10 @@ export async function POST({ request, cookies }) {
     }
 
     // Committed. Now the one summary notification, the single cache
-    // invalidation, and the per-row approval dispatches.
+    // invalidation, and the per-row approval dispatches -- and the one
+    // message telling the assignee.
     batch.runSideEffects();
+    assignment?.runSideEffects();
 
     // Log the bulk action for analytics
     try {
@@ -222,8 +285,9 @@ export async function POST({ request, cookies }) {
           "admin_bulk_request_update",
           JSON.stringify({
             request_ids: request_ids,
-            new_status: status,
+            new_status: status || null,
             admin_notes: admin_notes,
+            ...(assigning && { assignee_user_id: assigneeId }),
             updated_count: updatedCount,
           }),
         ],
@@ -233,7 +297,7 @@ export async function POST({ request, cookies }) {
     }
 
     console.log(
-      `✅ Bulk updated ${updatedCount} requests to ${status} by admin ${user.name || user.email}`,
+      `✅ Bulk updated ${updatedCount} requests${status ? ` to ${status}` : ""}${assigning ? `, assigned to ${assigneeId ?? "no one"}` : ""} by admin ${user.name || user.email}`,
     );
 
     return json({
@@ -243,6 +307,7 @@ export async function POST({ request, cookies }) {
         id: req.id,
         title: req.title,
         status: req.status,
+        assignee_user_id: req.assignee_user_id ?? null,
       })),
     });
   } catch (error) {
@@ -87,7 +87,7 @@ export async function DELETE({ request, cookies }) {
 
     // Get request details for logging before deletion
     const requestsToDelete = await query(
-      `SELECT id, title, user_name, status, request_type 
+      `SELECT id, title, user_name, status, request_type, igdb_id 
        FROM ggr_game_requests 
        WHERE id = ANY($1)`,
       [requestIds],
@@ -145,6 +145,7 @@ export async function DELETE({ request, cookies }) {
         action: "deleted",
         reason: reason || "",
         admin_name: user.name || user.email,
+        igdb_id: req.igdb_id,
       }).catch((error) => {
         console.warn(
           `Failed to send Gotify deletion notification for request ${req.id}:`,
@@ -0,0 +1,79 @@
+/**
+ * Admin API endpoint listing open requests that look like duplicates of each
+ * other, for the request queue's "possible duplicates" panel
+ */
+
+import { json } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { getBasicAuthUser } from "$lib/basicAuth.js";
+import { findPossibleDuplicates } from "$lib/requestMerge.server.js";
+
+export async function GET({ cookies }) {
+  try {
+    // Verify authentication - support both auth types
+    const sessionCookie = cookies.get("session");
+    const basicAuthSessionCookie = cookies.get("basic_auth_session");
+
+    if (!sessionCookie && !basicAuthSessionCookie) {
+      return json(
+        { success: false, error: "Authentication required" },
+        { status: 401 },
+      );
+    }
+
+    let user = null;
+    if (sessionCookie) {
+      user = await verifySessionToken(sessionCookie);
+    } else if (basicAuthSessionCookie) {
+      user = getBasicAuthUser(basicAuthSessionCookie);
+    }
+
+    if (!user) {
+      return json(
+        { success: false, error: "Invalid session" },
+        { status: 401 },
+      );
+    }
+
+    // Get user's local ID - support both basic auth and Authentik users
+    let userResult;
+    if (user.auth_type === "basic") {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE id = $1 AND password_hash IS NOT NULL",
+        [parseInt(user.id)],
+      );
+    } else {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE authentik_sub = $1",
+        [user.sub],
+      );
+    }
+
+    if (userResult.rows.length === 0) {
+      return json({ success: false, error: "User not found" }, { status: 404 });
+    }
+
+    const localUserId = userResult.rows[0].id;
+
+    // Whoever can merge them.
+    if (
+      !(await userHasPermission(localUserId, "request.approve")) &&
+      !(await userHasPermission(localUserId, "request.edit"))
+    ) {
+      return json(
+        { success: false, error: "Insufficient permissions" },
+        { status: 403 },
+      );
+    }
+
+    return json({ success: true, groups: await findPossibleDuplicates() });
+  } catch (error) {
+    console.error("Admin duplicate requests error:", error);
+    return json(
+      { success: false, error: "Failed to find possible duplicates" },
+      { status: 500 },
+    );
+  }
+}
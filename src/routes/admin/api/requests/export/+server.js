@@ -0,0 +1,98 @@
+/**
+ * Admin API endpoint exporting the request queue, as filtered, to CSV or JSON
+ */
+
+import { json } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { getBasicAuthUser } from "$lib/basicAuth.js";
+import {
+  EXCHANGE_FORMATS,
+  exportRequests,
+  serializeRequests,
+} from "$lib/requestExchange.server.js";
+
+export async function GET({ url, cookies }) {
+  try {
+    // Verify authentication - support both auth types
+    const sessionCookie = cookies.get("session");
+    const basicAuthSessionCookie = cookies.get("basic_auth_session");
+
+    if (!sessionCookie && !basicAuthSessionCookie) {
+      return json(
+        { success: false, error: "Authentication required" },
+        { status: 401 },
+      );
+    }
+
+    let user = null;
+    if (sessionCookie) {
+      user = await verifySessionToken(sessionCookie);
+    } else if (basicAuthSessionCookie) {
+      user = getBasicAuthUser(basicAuthSessionCookie);
+    }
+
+    if (!user) {
+      return json(
+        { success: false, error: "Invalid session" },
+        { status: 401 },
+      );
+    }
+
+    // Get user's local ID - support both basic auth and Authentik users
+    let userResult;
+    if (user.auth_type === "basic") {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE id = $1 AND password_hash IS NOT NULL",
+        [parseInt(user.id)],
+      );
+    } else {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE authentik_sub = $1",
+        [user.sub],
+      );
+    }
+
+    if (userResult.rows.length === 0) {
+      return json({ success: false, error: "User not found" }, { status: 404 });
+    }
+
+    const localUserId = userResult.rows[0].id;
+
+    // Whoever can see the queue can take it away with them.
+    if (!(await userHasPermission(localUserId, "request.view_all"))) {
+      return json(
+        { success: false, error: "Insufficient permissions" },
+        { status: 403 },
+      );
+    }
+
+    const format = url.searchParams.get("format") || "csv";
+    if (!EXCHANGE_FORMATS[format]) {
+      return json(
+        { success: false, error: "Invalid format. Must be one of: csv, json" },
+        { status: 400 },
+      );
+    }
+
+    // The rest of the parameters are the queue's own filters and sort.
+    const rows = await exportRequests(url.searchParams, { localUserId });
+    const { contentType, extension } = EXCHANGE_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+
+    return new Response(serializeRequests(rows, format), {
+      headers: {
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="requests-${date}.${extension}"`,
+        "Cache-Control": "no-store",
+      },
+    });
+  } catch (error) {
+    console.error("Admin request export error:", error);
+    return json(
+      { success: false, error: "Failed to export requests" },
+      { status: 500 },
+    );
+  }
+}
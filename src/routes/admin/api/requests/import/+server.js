@@ -0,0 +1,156 @@
+/**
+ * Admin API endpoint importing requests from CSV or JSON, previewed with a dry
+ * run before anything is written
+ */
+
+import { json } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { getBasicAuthUser } from "$lib/basicAuth.js";
+import {
+  importRequests,
+  InvalidImportError,
+  previewImport,
+} from "$lib/requestExchange.server.js";
+
+export async function POST({ request, cookies }) {
+  try {
+    // Verify authentication - support both auth types
+    const sessionCookie = cookies.get("session");
+    const basicAuthSessionCookie = cookies.get("basic_auth_session");
+
+    if (!sessionCookie && !basicAuthSessionCookie) {
+      return json(
+        { success: false, error: "Authentication required" },
+        { status: 401 },
+      );
+    }
+
+    let user = null;
+    if (sessionCookie) {
+      user = await verifySessionToken(sessionCookie);
+    } else if (basicAuthSessionCookie) {
+      user = getBasicAuthUser(basicAuthSessionCookie);
+    }
+
+    if (!user) {
+      return json(
+        { success: false, error: "Invalid session" },
+        { status: 401 },
+      );
+    }
+
+    // Get user's local ID - support both basic auth and Authentik users
+    let userResult;
+    if (user.auth_type === "basic") {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE id = $1 AND password_hash IS NOT NULL",
+        [parseInt(user.id)],
+      );
+    } else {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE authentik_sub = $1",
+        [user.sub],
+      );
+    }
+
+    if (userResult.rows.length === 0) {
+      return json({ success: false, error: "User not found" }, { status: 404 });
+    }
+
+    const localUserId = userResult.rows[0].id;
+
+    // An import sets statuses -- approved, fulfilled -- and makes requests in
+    // other users' names.
+    if (!(await userHasPermission(localUserId, "request.approve"))) {
+      return json(
+        {
+          success: false,
+          error: "Approval permission required to import requests",
+        },
+        { status: 403 },
+      );
+    }
+
+    const {
+      format,
+      content,
+      dry_run = true,
+      resolutions = {},
+    } = await request.json();
+
+    if (
+      resolutions === null ||
+      typeof resolutions !== "object" ||
+      Array.isArray(resolutions)
+    ) {
+      return json(
+        {
+          success: false,
+          error: "resolutions must map line numbers to an IGDB id or null",
+        },
+        { status: 400 },
+      );
+    }
+
+    let result;
+    try {
+      result =
+        dry_run !== false
+          ? await previewImport({ content, format, resolutions })
+          : await importRequests({
+              content,
+              format,
+              resolutions,
+              actor: user.name || user.email,
+              actorId: localUserId,
+            });
+    } catch (importError) {
+      if (!(importError instanceof InvalidImportError)) {
+        throw importError;
+      }
+      return json(
+        { success: false, error: importError.message },
+        { status: 400 },
+      );
+    }
+
+    if (dry_run === false) {
+      // Log the import for analytics
+      try {
+        await query(
+          `INSERT INTO ggr_user_analytics (user_id, action, metadata)
+           VALUES ($1, $2, $3)`,
+          [
+            localUserId,
+            "admin_request_import",
+            JSON.stringify({ format, ...result.summary }),
+          ],
+        );
+      } catch (analyticsError) {
+        console.warn("Failed to log analytics:", analyticsError);
+      }
+
+      console.log(
+        `✅ Imported ${result.imported.length} of ${result.summary.total} requests by admin ${user.name || user.email}`,
+      );
+    }
+
+    return json({
+      success: true,
+      dry_run: dry_run !== false,
+      summary: result.summary,
+      rows: result.rows,
+      ...(result.imported && {
+        imported_ids: result.imported.map((row) => row.id),
+      }),
+    });
+  } catch (error) {
+    console.error("Admin request import error:", error);
+    return json(
+      { success: false, error: "Failed to import requests" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * Admin API endpoint for merging duplicate requests into one that survives
+ */
+
+import { json } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { getBasicAuthUser } from "$lib/basicAuth.js";
+import { InvalidMergeError, mergeRequests } from "$lib/requestMerge.server.js";
+
+export async function POST({ request, cookies }) {
+  try {
+    // Verify authentication - support both auth types
+    const sessionCookie = cookies.get("session");
+    const basicAuthSessionCookie = cookies.get("basic_auth_session");
+
+    if (!sessionCookie && !basicAuthSessionCookie) {
+      return json(
+        { success: false, error: "Authentication required" },
+        { status: 401 },
+      );
+    }
+
+    let user = null;
+    if (sessionCookie) {
+      user = await verifySessionToken(sessionCookie);
+    } else if (basicAuthSessionCookie) {
+      user = getBasicAuthUser(basicAuthSessionCookie);
+    }
+
+    if (!user) {
+      return json(
+        { success: false, error: "Invalid session" },
+        { status: 401 },
+      );
+    }
+
+    // Get user's local ID - support both basic auth and Authentik users
+    let userResult;
+    if (user.auth_type === "basic") {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE id = $1 AND password_hash IS NOT NULL",
+        [parseInt(user.id)],
+      );
+    } else {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE authentik_sub = $1",
+        [user.sub],
+      );
+    }
+
+    if (userResult.rows.length === 0) {
+      return json({ success: false, error: "User not found" }, { status: 404 });
+    }
+
+    const localUserId = userResult.rows[0].id;
+
+    // A merge is a cancellation as far as the duplicates go, which an editor
+    // can make as well as an approver.
+    if (
+      !(await userHasPermission(localUserId, "request.approve")) &&
+      !(await userHasPermission(localUserId, "request.edit"))
+    ) {
+      return json(
+        { success: false, error: "Insufficient permissions" },
+        { status: 403 },
+      );
+    }
+
+    const { survivor_id, request_ids } = await request.json();
+
+    if (
+      !survivor_id ||
+      !Array.isArray(request_ids) ||
+      request_ids.length === 0
+    ) {
+      return json(
+        {
+          success: false,
+          error: "Missing required fields: survivor_id and request_ids",
+        },
+        { status: 400 },
+      );
+    }
+
+    let result;
+    try {
+      result = await mergeRequests({
+        survivorId: survivor_id,
+        duplicateIds: request_ids,
+        actor: user.name || user.email,
+        actorId: localUserId,
+      });
+    } catch (mergeError) {
+      if (!(mergeError instanceof InvalidMergeError)) {
+        throw mergeError;
+      }
+      return json(
+        { success: false, error: mergeError.message },
+        { status: 400 },
+      );
+    }
+
+    // Log the merge for analytics
+    try {
+      await query(
+        `INSERT INTO ggr_user_analytics (user_id, action, metadata)
+         VALUES ($1, $2, $3)`,
+        [
+          localUserId,
+          "admin_request_merge",
+          JSON.stringify({
+            survivor_id,
+            request_ids: result.merged.map((row) => row.id),
+            supporters_added: result.supportersAdded,
+          }),
+        ],
+      );
+    } catch (analyticsError) {
+      console.warn("Failed to log analytics:", analyticsError);
+    }
+
+    console.log(
+      `✅ Merged ${result.merged.length} requests into ${survivor_id} by admin ${user.name || user.email}`,
+    );
+
+    return json({
+      success: true,
+      request: result.survivor,
+      merged_ids: result.merged.map((row) => row.id),
+      supporters_added: result.supportersAdded,
+    });
+  } catch (error) {
+    console.error("Admin request merge error:", error);
+    return json(
+      { success: false, error: "Failed to merge requests" },
+      { status: 500 },
+    );
+  }
+}
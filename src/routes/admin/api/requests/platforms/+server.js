@@ -0,0 +1,148 @@
+/**
+ * Admin API endpoint for one platform of a multi-platform request: marking it
+ * fulfilled or not, and required or not
+ */
+
+import { json } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { getBasicAuthUser } from "$lib/basicAuth.js";
+import {
+  InvalidPlatformError,
+  updateRequestPlatform,
+} from "$lib/requestPlatforms.server.js";
+
+export async function POST({ request, cookies }) {
+  try {
+    // Verify authentication - support both auth types
+    const sessionCookie = cookies.get("session");
+    const basicAuthSessionCookie = cookies.get("basic_auth_session");
+
+    if (!sessionCookie && !basicAuthSessionCookie) {
+      return json(
+        { success: false, error: "Authentication required" },
+        { status: 401 },
+      );
+    }
+
+    let user = null;
+    if (sessionCookie) {
+      user = await verifySessionToken(sessionCookie);
+    } else if (basicAuthSessionCookie) {
+      user = getBasicAuthUser(basicAuthSessionCookie);
+    }
+
+    if (!user) {
+      return json(
+        { success: false, error: "Invalid session" },
+        { status: 401 },
+      );
+    }
+
+    // Get user's local ID - support both basic auth and Authentik users
+    let userResult;
+    if (user.auth_type === "basic") {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE id = $1 AND password_hash IS NOT NULL",
+        [parseInt(user.id)],
+      );
+    } else {
+      userResult = await query(
+        "SELECT id FROM ggr_users WHERE authentik_sub = $1",
+        [user.sub],
+      );
+    }
+
+    if (userResult.rows.length === 0) {
+      return json({ success: false, error: "User not found" }, { status: 404 });
+    }
+
+    const localUserId = userResult.rows[0].id;
+
+    // Fulfilling a platform can fulfil the request, which is an
+    // approve-guarded status change.
+    if (!(await userHasPermission(localUserId, "request.approve"))) {
+      return json(
+        {
+          success: false,
+          error: "Approval permission required to change request platforms",
+        },
+        { status: 403 },
+      );
+    }
+
+    const { request_id, platform, fulfilled, required } = await request.json();
+
+    if (!request_id || typeof platform !== "string" || !platform) {
+      return json(
+        {
+          success: false,
+          error: "Missing required fields: request_id and platform",
+        },
+        { status: 400 },
+      );
+    }
+    if (
+      (fulfilled !== undefined && typeof fulfilled !== "boolean") ||
+      (required !== undefined && typeof required !== "boolean") ||
+      (fulfilled === undefined && required === undefined)
+    ) {
+      return json(
+        {
+          success: false,
+          error: "Give fulfilled, required or both, as true or false",
+        },
+        { status: 400 },
+      );
+    }
+
+    let result;
+    try {
+      result = await updateRequestPlatform({
+        requestId: request_id,
+        platform,
+        fulfilled,
+        required,
+        actor: user.name || user.email,
+        actorId: localUserId,
+      });
+    } catch (platformError) {
+      if (!(platformError instanceof InvalidPlatformError)) {
+        throw platformError;
+      }
+      return json(
+        { success: false, error: platformError.message },
+        { status: 400 },
+      );
+    }
+
+    if (!result) {
+      return json(
+        { success: false, error: "Request not found" },
+        { status: 404 },
+      );
+    }
+
+    console.log(
+      `✅ Request ${request_id} platform "${platform}" updated by admin ${user.name || user.email}${result.completed ? "; request fulfilled" : ""}`,
+    );
+
+    return json({
+      success: true,
+      request: {
+        id: result.request.id,
+        status: result.request.status,
+        updated_at: result.request.updated_at,
+      },
+      platforms: result.platforms,
+      completed: result.completed,
+    });
+  } catch (error) {
+    console.error("Admin request platform update error:", error);
+    return json(
+      { success: false, error: "Failed to update request platform" },
+      { status: 500 },
+    );
+  }
+}
@@ -1,5 +1,6 @@
 /**
- * Admin API endpoint for updating individual requests
+ * Admin API endpoint for updating individual requests: its status, its
+ * assignee, or both
  */
 
 import { json } from "@sveltejs/kit";
@@ -11,6 +12,12 @@ import {
   applyRequestStatusChange,
   requestConflictMessage,
 } from "$lib/requestStatus.server.js";
+import {
+  ASSIGNEE_PERMISSION,
+  assertAssignable,
+  assignRequests,
+  InvalidAssigneeError,
+} from "$lib/requestAssignment.server.js";
 
 export async function POST({ request, cookies }) {
   try {
@@ -79,27 +86,59 @@ export async function POST({ request, cookies }) {
     }
 
     // Parse request data
-    const { request_id, status, admin_notes } = await request.json();
+    const body = await request.json();
+    const { request_id, status, admin_notes } = body;
+    // Present at all -- null included, which unassigns -- is an assignment.
+    const assigning = Object.hasOwn(body, "assignee_user_id");
 
-    if (!request_id || !status) {
+    if (!request_id || (!status && !assigning)) {
       return json(
         {
           success: false,
-          error: "Missing required fields: request_id and status",
+          error:
+            "Missing required fields: request_id and status or assignee_user_id",
         },
         { status: 400 },
       );
     }
 
+    // Checked before anything is written, so a bad assignee does not leave
+    // the status changed and the request unassigned.
+    let assigneeId = null;
+    if (assigning) {
+      if (!(await userHasPermission(localUserId, ASSIGNEE_PERMISSION))) {
+        return json(
+          {
+            success: false,
+            error: "Approval permission required to assign requests",
+          },
+          { status: 403 },
+        );
+      }
+      try {
+        assigneeId = await assertAssignable(body.assignee_user_id);
+      } catch (assigneeError) {
+        if (!(assigneeError instanceof InvalidAssigneeError)) {
+          throw assigneeError;
+        }
+        return json(
+          { success: false, error: assigneeError.message },
+          { status: 400 },
+        );
+      }
+    }
+
     // Validate status
     const validStatuses = [
+      "awaiting_release",
       "pending",
       "approved",
+      "in_progress",
       "rejected",
       "fulfilled",
       "cancelled",
     ];
-    if (!validStatuses.includes(status)) {
+    if (status && !validStatuses.includes(status)) {
       return json(
         {
           success: false,
@@ -111,7 +150,7 @@ export async function POST({ request, cookies }) {
 
     // Check if specific status changes require approve permission
     if (
-      ["approved", "rejected", "fulfilled"].includes(status) &&
+      ["approved", "in_progress", "rejected", "fulfilled"].includes(status) &&
       !hasApprovePermission
     ) {
       return json(
@@ -126,12 +165,15 @@ export async function POST({ request, cookies }) {
     // admin_notes is passed through as-is: absent from the request body it
     // is `undefined` (owner keeps the existing value); present -- including
     // "" -- the owner writes it (and normalises "" to null).
-    const { row: updatedRequest, conflict } = await applyRequestStatusChange({
-      id: request_id,
-      to: status,
-      actor: user.name || user.email,
-      adminNotes: admin_notes,
-    });
+    const { row: statusRow, conflict } = status
+      ? await applyRequestStatusChange({
+          id: request_id,
+          to: status,
+          actor: user.name || user.email,
+          actorId: localUserId,
+          adminNotes: admin_notes,
+        })
+      : { row: null, conflict: null };
 
     // Re-opening a rejected, cancelled or fulfilled request can collide with
     // another request that is already open for the same game. Answering 409
@@ -152,6 +194,26 @@ export async function POST({ request, cookies }) {
       );
     }
 
+    let updatedRequest = statusRow;
+    if (assigning) {
+      const { rows } = await assignRequests({
+        ids: [request_id],
+        assigneeId,
+        actor: user.name || user.email,
+        actorId: localUserId,
+      });
+      // No row back is a request already assigned that way, or none at all.
+      updatedRequest =
+        rows[0] ??
+        (
+          await query(
+            `SELECT id, status, admin_notes, updated_at, assignee_user_id
+               FROM ggr_game_requests WHERE id = $1`,
+            [request_id],
+          )
+        ).rows[0];
+    }
+
     if (!updatedRequest) {
       return json(
         { success: false, error: "Request not found" },
@@ -172,8 +234,9 @@ export async function POST({ request, cookies }) {
           JSON.stringify({
             request_id: request_id,
             old_status: null, // Could be enhanced to track old status
-            new_status: status,
+            new_status: status || null,
             admin_notes: admin_notes,
+            ...(assigning && { assignee_user_id: assigneeId }),
           }),
         ],
       );
@@ -182,7 +245,7 @@ export async function POST({ request, cookies }) {
     }
 
     console.log(
-      `✅ Request ${request_id} updated to ${status} by admin ${user.name || user.email}`,
+      `✅ Request ${request_id} updated${status ? ` to ${status}` : ""}${assigning ? `, assigned to ${assigneeId ?? "no one"}` : ""} by admin ${user.name || user.email}`,
     );
 
     return json({
@@ -192,6 +255,7 @@ export async function POST({ request, cookies }) {
         status: updatedRequest.status,
         admin_notes: updatedRequest.admin_notes,
         updated_at: updatedRequest.updated_at,
+        assignee_user_id: updatedRequest.assignee_user_id ?? null,
       },
     });
   } catch (error) {
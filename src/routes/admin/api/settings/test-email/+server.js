@@ -0,0 +1,155 @@
+/**
+ * Admin API endpoint for testing the SMTP settings
+ * Sends a test email with the settings as typed -- they need not be saved
+ * first -- to the address given, or to the admin's own. Requires cookie-based
+ * authentication and the system.settings permission.
+ */
+
+import { json, error } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { getBasicAuthUser } from "$lib/basicAuth.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import {
+  mailConfigFromInput,
+  sendTestEmail,
+  validateMailConfig,
+} from "$lib/mail/index.js";
+import { parseAddress } from "$lib/mail/smtp.js";
+
+/**
+ * The signed-in admin, or a thrown 401/403.
+ *
+ * @param {Object} cookies
+ * @returns {Promise<{user: Object, localUserId: number}>}
+ */
+async function requireSettingsAdmin(cookies) {
+  const sessionCookie = cookies.get("session");
+  const basicAuthSessionCookie = cookies.get("basic_auth_session");
+
+  if (!sessionCookie && !basicAuthSessionCookie) {
+    throw error(401, "Authentication required");
+  }
+
+  let user = null;
+  if (sessionCookie) {
+    user = await verifySessionToken(sessionCookie);
+  } else if (basicAuthSessionCookie) {
+    user = getBasicAuthUser(basicAuthSessionCookie);
+  }
+
+  if (!user) {
+    throw error(401, "Invalid session");
+  }
+
+  const localUserId = await getUserIdFromAuth(user, query);
+  if (!(await userHasPermission(localUserId, "system.settings"))) {
+    throw error(
+      403,
+      "Insufficient permissions. system.settings permission required.",
+    );
+  }
+
+  return { user, localUserId };
+}
+
+/** What to tell the admin about a failed test, from the error. */
+function describeFailure(failure) {
+  if (failure?.name === "TimeoutError") {
+    return "Connection timed out - check the SMTP host, port and security";
+  }
+  const code = failure?.code || "";
+  if (code === "ENOTFOUND" || code === "EAI_AGAIN") {
+    return "Cannot find the SMTP host - check the name";
+  }
+  if (code === "ECONNREFUSED") {
+    return "The SMTP server refused the connection - check the port";
+  }
+  if (code.startsWith("ERR_SSL") || code.includes("CERT")) {
+    return `TLS failed (${code}) - check the security setting, or the server's certificate`;
+  }
+  if (failure?.responseCode === 535) {
+    return "The SMTP server refused the username or password";
+  }
+  return failure?.message || "The test email could not be sent";
+}
+
+export async function POST({ request, cookies }) {
+  const { user, localUserId } = await requireSettingsAdmin(cookies);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json(
+      { success: false, error: "Body must be JSON" },
+      { status: 400 },
+    );
+  }
+
+  const config = mailConfigFromInput(body?.config);
+  const invalid = validateMailConfig(config);
+  if (invalid) {
+    return json({ success: false, error: invalid }, { status: 400 });
+  }
+
+  let to = typeof body?.to === "string" ? body.to.trim() : "";
+  if (!to) {
+    const account = await query("SELECT email FROM ggr_users WHERE id = $1", [
+      localUserId,
+    ]);
+    to = account.rows[0]?.email || user.email || "";
+  }
+  if (!parseAddress(to)) {
+    return json(
+      { success: false, error: "No address to send the test to" },
+      { status: 400 },
+    );
+  }
+
+  let outcome;
+  try {
+    const reply = await sendTestEmail(body.config, to, {
+      sentBy: user.name || user.email,
+    });
+    outcome = { status: reply.status, error: null };
+  } catch (err) {
+    outcome = { status: err?.responseCode ?? null, error: err };
+  }
+
+  const success = outcome.error === null;
+
+  // Log the test for analytics
+  try {
+    await query(
+      `INSERT INTO ggr_user_analytics (user_id, action, metadata)
+       VALUES ($1, $2, $3)`,
+      [
+        localUserId,
+        "admin_email_test",
+        JSON.stringify({ success, response_status: outcome.status }),
+      ],
+    );
+  } catch (analyticsError) {
+    console.warn("Failed to log analytics:", analyticsError);
+  }
+
+  if (!success) {
+    console.error("❌ SMTP test failed:", outcome.error?.message);
+    return json(
+      {
+        success: false,
+        error: describeFailure(outcome.error),
+        response_status: outcome.status,
+      },
+      { status: 502 },
+    );
+  }
+
+  return json({
+    success: true,
+    message: `Test email sent to ${to}`,
+    response_status: outcome.status,
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Admin API endpoint for testing a notifier
+ * Sends a test notification through Discord, Slack, Matrix, ntfy or Gotify,
+ * with the settings as typed -- they need not be saved first. Requires
+ * cookie-based authentication and the system.settings permission.
+ */
+
+import { json, error } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { getBasicAuthUser } from "$lib/basicAuth.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import {
+  getNotifier,
+  notifierConfigFromInput,
+  sendTestNotification,
+} from "$lib/notifiers/index.js";
+
+/**
+ * The signed-in admin, or a thrown 401/403.
+ *
+ * @param {Object} cookies
+ * @returns {Promise<{user: Object, localUserId: number}>}
+ */
+async function requireSettingsAdmin(cookies) {
+  const sessionCookie = cookies.get("session");
+  const basicAuthSessionCookie = cookies.get("basic_auth_session");
+
+  if (!sessionCookie && !basicAuthSessionCookie) {
+    throw error(401, "Authentication required");
+  }
+
+  let user = null;
+  if (sessionCookie) {
+    user = await verifySessionToken(sessionCookie);
+  } else if (basicAuthSessionCookie) {
+    user = getBasicAuthUser(basicAuthSessionCookie);
+  }
+
+  if (!user) {
+    throw error(401, "Invalid session");
+  }
+
+  const localUserId = await getUserIdFromAuth(user, query);
+  if (!(await userHasPermission(localUserId, "system.settings"))) {
+    throw error(
+      403,
+      "Insufficient permissions. system.settings permission required.",
+    );
+  }
+
+  return { user, localUserId };
+}
+
+/**
+ * What to tell the admin about a failed test, from the service's status or
+ * the network error.
+ */
+function describeFailure(label, { status, error: failure }) {
+  if (failure?.name === "TimeoutError") {
+    return `Connection timed out - check your ${label} URL`;
+  }
+  if (failure) {
+    const message = failure.cause?.code || failure.message || "";
+    if (message.includes("ENOTFOUND") || message.includes("ECONNREFUSED")) {
+      return `Cannot reach ${label} - check the URL and network connection`;
+    }
+    return `Failed to connect to ${label}: ${failure.message}`;
+  }
+  if (status === 401 || status === 403) {
+    return `${label} refused the credentials - check your token or webhook URL`;
+  }
+  if (status === 404) {
+    return `${label} endpoint not found - check the URL, topic or room`;
+  }
+  return `${label} answered HTTP ${status}`;
+}
+
+export async function POST({ request, cookies }) {
+  const { user, localUserId } = await requireSettingsAdmin(cookies);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json(
+      { success: false, error: "Body must be JSON" },
+      { status: 400 },
+    );
+  }
+
+  const notifier = getNotifier(body?.kind);
+  if (!notifier) {
+    return json({ success: false, error: "Unknown notifier" }, { status: 400 });
+  }
+
+  const config = notifierConfigFromInput(notifier, body.config);
+  const invalid = notifier.validate(config);
+  if (invalid) {
+    return json({ success: false, error: invalid }, { status: 400 });
+  }
+
+  let outcome;
+  try {
+    const response = await sendTestNotification(notifier.kind, config, {
+      sentBy: user.name || user.email,
+    });
+    outcome = { status: response.status, body: response.body };
+  } catch (err) {
+    outcome = { status: null, error: err };
+  }
+
+  const success =
+    outcome.status !== null && outcome.status >= 200 && outcome.status < 300;
+
+  // Log the test for analytics
+  try {
+    await query(
+      `INSERT INTO ggr_user_analytics (user_id, action, metadata)
+       VALUES ($1, $2, $3)`,
+      [
+        localUserId,
+        "admin_notifier_test",
+        JSON.stringify({
+          kind: notifier.kind,
+          success,
+          response_status: outcome.status,
+        }),
+      ],
+    );
+  } catch (analyticsError) {
+    console.warn("Failed to log analytics:", analyticsError);
+  }
+
+  if (!success) {
+    console.error(
+      `❌ ${notifier.label} test failed:`,
+      outcome.error?.message || `HTTP ${outcome.status} ${outcome.body ?? ""}`,
+    );
+    return json(
+      {
+        success: false,
+        error: describeFailure(notifier.label, outcome),
+        response_status: outcome.status,
+      },
+      { status: 502 },
+    );
+  }
+
+  return json({
+    success: true,
+    message: `Test notification sent to ${notifier.label}`,
+    response_status: outcome.status,
+  });
+}
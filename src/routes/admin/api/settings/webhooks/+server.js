@@ -0,0 +1,152 @@
+/**
+ * Webhook endpoints API
+ * Lists, adds, edits and removes the outbound webhook endpoints managed in
+ * admin settings. Requires cookie-based authentication (no API key support for
+ * security) and the system.settings permission.
+ */
+
+import { json, error } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { getBasicAuthUser } from "$lib/basicAuth.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import {
+  WEBHOOK_EVENTS,
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  listWebhookEndpoints,
+  updateWebhookEndpoint,
+} from "$lib/webhookEndpoints.server.js";
+
+/**
+ * The signed-in admin, or a thrown 401/403.
+ *
+ * @param {Object} cookies
+ * @returns {Promise<{user: Object, localUserId: number}>}
+ */
+async function requireSettingsAdmin(cookies) {
+  const sessionCookie = cookies.get("session");
+  const basicAuthSessionCookie = cookies.get("basic_auth_session");
+
+  if (!sessionCookie && !basicAuthSessionCookie) {
+    throw error(401, "Authentication required");
+  }
+
+  let user = null;
+  if (sessionCookie) {
+    user = await verifySessionToken(sessionCookie);
+  } else if (basicAuthSessionCookie) {
+    user = getBasicAuthUser(basicAuthSessionCookie);
+  }
+
+  if (!user) {
+    throw error(401, "Invalid session");
+  }
+
+  const localUserId = await getUserIdFromAuth(user, query);
+  if (!(await userHasPermission(localUserId, "system.settings"))) {
+    throw error(
+      403,
+      "Insufficient permissions. system.settings permission required.",
+    );
+  }
+
+  return { user, localUserId };
+}
+
+/** The endpoint id from a JSON body, or a thrown 400. */
+function readId(body) {
+  const id = Number(body?.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw error(400, "A valid endpoint id is required");
+  }
+  return id;
+}
+
+/**
+ * Store an endpoint, turning a validation failure into a 400 rather than a 500.
+ */
+async function save(operation) {
+  try {
+    return await operation();
+  } catch (err) {
+    if (err.status || err.code) throw err;
+    throw error(400, err.message);
+  }
+}
+
+// GET - Every endpoint, and the events one can subscribe to
+export async function GET({ cookies }) {
+  try {
+    await requireSettingsAdmin(cookies);
+
+    return json({
+      success: true,
+      endpoints: await listWebhookEndpoints(),
+      events: WEBHOOK_EVENTS,
+    });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Webhook endpoints API GET error:", err);
+    throw error(500, "Failed to load webhook endpoints");
+  }
+}
+
+// POST - Add an endpoint
+export async function POST({ request, cookies }) {
+  try {
+    const { user } = await requireSettingsAdmin(cookies);
+    const body = await request.json().catch(() => ({}));
+
+    const endpoint = await save(() => createWebhookEndpoint(body));
+
+    console.log(
+      `✅ Admin ${user.email || user.username} added webhook "${endpoint.name}"`,
+    );
+
+    return json({ success: true, endpoint }, { status: 201 });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Webhook endpoints API POST error:", err);
+    throw error(500, "Failed to add webhook endpoint");
+  }
+}
+
+// PUT - Replace an endpoint's settings
+export async function PUT({ request, cookies }) {
+  try {
+    await requireSettingsAdmin(cookies);
+    const body = await request.json().catch(() => ({}));
+    const id = readId(body);
+
+    const endpoint = await save(() => updateWebhookEndpoint(id, body));
+    if (!endpoint) {
+      throw error(404, "Webhook endpoint not found");
+    }
+
+    return json({ success: true, endpoint });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Webhook endpoints API PUT error:", err);
+    throw error(500, "Failed to update webhook endpoint");
+  }
+}
+
+// DELETE - Remove an endpoint
+export async function DELETE({ request, cookies }) {
+  try {
+    await requireSettingsAdmin(cookies);
+    const id = readId(await request.json().catch(() => ({})));
+
+    if (!(await deleteWebhookEndpoint(id))) {
+      throw error(404, "Webhook endpoint not found");
+    }
+
+    return json({ success: true });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Webhook endpoints API DELETE error:", err);
+    throw error(500, "Failed to remove webhook endpoint");
+  }
+}
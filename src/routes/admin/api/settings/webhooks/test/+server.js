@@ -0,0 +1,72 @@
+/**
+ * Admin API endpoint for sending a test event to one webhook endpoint
+ * Requires cookie-based authentication and the system.settings permission.
+ */
+
+import { json, error } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { getBasicAuthUser } from "$lib/basicAuth.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { getWebhookEndpoint } from "$lib/webhookEndpoints.server.js";
+import { sendWebhookTestEvent } from "$lib/webhooks.server.js";
+
+export async function POST({ request, cookies }) {
+  try {
+    const sessionCookie = cookies.get("session");
+    const basicAuthSessionCookie = cookies.get("basic_auth_session");
+
+    if (!sessionCookie && !basicAuthSessionCookie) {
+      throw error(401, "Authentication required");
+    }
+
+    let user = null;
+    if (sessionCookie) {
+      user = await verifySessionToken(sessionCookie);
+    } else if (basicAuthSessionCookie) {
+      user = getBasicAuthUser(basicAuthSessionCookie);
+    }
+
+    if (!user) {
+      throw error(401, "Invalid session");
+    }
+
+    const localUserId = await getUserIdFromAuth(user, query);
+    if (!(await userHasPermission(localUserId, "system.settings"))) {
+      throw error(
+        403,
+        "Insufficient permissions. system.settings permission required.",
+      );
+    }
+
+    const { id } = await request.json().catch(() => ({}));
+    const endpoint = Number.isInteger(Number(id))
+      ? await getWebhookEndpoint(Number(id))
+      : null;
+    if (!endpoint) {
+      throw error(404, "Webhook endpoint not found");
+    }
+
+    try {
+      await sendWebhookTestEvent(endpoint, user.name || user.username);
+    } catch (deliveryError) {
+      // The receiver's failure, not ours: answer 502 with what went wrong so
+      // the settings page can show it beside the endpoint.
+      const message =
+        deliveryError.name === "TimeoutError"
+          ? "The endpoint did not answer in time"
+          : deliveryError.message;
+      return json({ success: false, error: message }, { status: 502 });
+    }
+
+    return json({
+      success: true,
+      message: `Test event sent to "${endpoint.name}"`,
+    });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Webhook test error:", err);
+    throw error(500, "Failed to send test event");
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Admin delivery log data loader and redeliver action
+ */
+
+import { redirect } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import {
+  DELIVERY_CHANNELS,
+  DELIVERY_STATUSES,
+  listDeliveries,
+  listDeliveryAttempts,
+  redeliverDelivery,
+} from "$lib/deliveryQueue.server.js";
+import { NOTIFIERS } from "$lib/notifiers/index.js";
+
+const PAGE_SIZE = 50;
+
+// What the channel filter and the target column call each channel.
+const CHANNEL_LABELS = {
+  webhook: "Webhook",
+  ...Object.fromEntries(
+    NOTIFIERS.map((notifier) => [notifier.kind, notifier.label]),
+  ),
+  // A user's own topic or webhook, from their notification settings.
+  user_ntfy: "ntfy (user)",
+  user_discord: "Discord (user)",
+  email: "Email",
+};
+
+// Helper function to get user ID from session - support both auth types
+async function getUserId(cookies) {
+  const sessionCookie = cookies.get("session");
+  if (sessionCookie) {
+    const user = await verifySessionToken(sessionCookie);
+    if (user) {
+      const result = await query(
+        "SELECT id FROM ggr_users WHERE authentik_sub = $1",
+        [user.sub],
+      );
+      return result.rows.length > 0 ? result.rows[0].id : null;
+    }
+  }
+
+  const basicAuthSessionCookie = cookies.get("basic_auth_session");
+  if (basicAuthSessionCookie) {
+    try {
+      const { getBasicAuthUser } = await import("$lib/basicAuth.js");
+      const user = getBasicAuthUser(basicAuthSessionCookie);
+      if (user && user.auth_type === "basic") {
+        const result = await query(
+          "SELECT id FROM ggr_users WHERE id = $1 AND password_hash IS NOT NULL",
+          [parseInt(user.id)],
+        );
+        return result.rows.length > 0 ? result.rows[0].id : null;
+      }
+    } catch (error) {
+      console.warn("Failed to get basic auth user:", error);
+    }
+  }
+
+  return null;
+}
+
+export async function load({ parent, url }) {
+  const { userPermissions } = await parent();
+
+  if (!userPermissions.includes("system.settings")) {
+    throw redirect(302, "/admin?error=permission_denied");
+  }
+
+  // Unknown filter values are dropped rather than passed to the query.
+  const status = DELIVERY_STATUSES.includes(url.searchParams.get("status"))
+    ? url.searchParams.get("status")
+    : null;
+  const channel = DELIVERY_CHANNELS.includes(url.searchParams.get("channel"))
+    ? url.searchParams.get("channel")
+    : null;
+  const page = Math.max(1, parseInt(url.searchParams.get("page")) || 1);
+
+  try {
+    const { deliveries, total } = await listDeliveries({
+      status,
+      channel,
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE,
+    });
+    const attempts = await listDeliveryAttempts(deliveries.map((d) => d.id));
+
+    return {
+      deliveries: deliveries.map((delivery) => ({
+        ...delivery,
+        attempt_log: attempts.get(String(delivery.id)) || [],
+      })),
+      total,
+      currentPage: page,
+      totalPages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+      filters: { status, channel },
+      statuses: DELIVERY_STATUSES,
+      channels: DELIVERY_CHANNELS,
+      channelLabels: CHANNEL_LABELS,
+    };
+  } catch (error) {
+    // Before migration 021 there is no log to show.
+    console.error("Delivery log load error:", error);
+    return {
+      deliveries: [],
+      total: 0,
+      currentPage: 1,
+      totalPages: 1,
+      filters: { status, channel },
+      statuses: DELIVERY_STATUSES,
+      channels: DELIVERY_CHANNELS,
+      channelLabels: CHANNEL_LABELS,
+      loadError: "Failed to load the delivery log",
+    };
+  }
+}
+
+export const actions = {
+  redeliver: async ({ request, cookies }) => {
+    try {
+      const userId = await getUserId(cookies);
+      if (!userId) {
+        return { success: false, error: "Authentication required" };
+      }
+      if (!(await userHasPermission(userId, "system.settings"))) {
+        return { success: false, error: "Permission denied" };
+      }
+
+      const formData = await request.formData();
+      const id = String(formData.get("delivery_id") ?? "").trim();
+      if (!/^\d+$/.test(id)) {
+        return { success: false, error: "Invalid delivery ID" };
+      }
+
+      const { delivery, reason } = await redeliverDelivery(id);
+      if (reason === "not_found") {
+        return { success: false, error: "Delivery not found" };
+      }
+      if (reason === "in_flight") {
+        return {
+          success: false,
+          error: "That delivery is being sent right now",
+        };
+      }
+
+      if (delivery?.status === "delivered") {
+        return { success: true, message: "Delivered" };
+      }
+      const failure = `Attempt failed${delivery?.last_error ? `: ${delivery.last_error}` : ""}`;
+      return {
+        success: true,
+        message:
+          delivery?.status === "pending"
+            ? `${failure}; it will be retried`
+            : failure,
+      };
+    } catch (error) {
+      console.error("Redeliver error:", error);
+      return { success: false, error: "Failed to redeliver" };
+    }
+  },
+};
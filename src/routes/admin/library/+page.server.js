@@ -0,0 +1,243 @@
+/**
+ * Admin library sync dashboard: the load, and the run, full pass, clear
+ * resume point and sweep override actions
+ */
+
+import { redirect } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { resolveLibraryConfigs } from "$lib/library/config.js";
+import { startSyncPass } from "$lib/library/cycle.js";
+import {
+  allowSweepOnce,
+  clearResumePoint,
+  listRuns,
+  syncStatus,
+} from "$lib/library/runs.js";
+import { LIBRARY_NAMES } from "$lib/library/types.js";
+
+const PAGE_SIZE = 50;
+
+// Helper function to get user ID from session - support both auth types
+async function getUserId(cookies) {
+  const sessionCookie = cookies.get("session");
+  if (sessionCookie) {
+    const user = await verifySessionToken(sessionCookie);
+    if (user) {
+      const result = await query(
+        "SELECT id FROM ggr_users WHERE authentik_sub = $1",
+        [user.sub],
+      );
+      return result.rows.length > 0 ? result.rows[0].id : null;
+    }
+  }
+
+  const basicAuthSessionCookie = cookies.get("basic_auth_session");
+  if (basicAuthSessionCookie) {
+    try {
+      const { getBasicAuthUser } = await import("$lib/basicAuth.js");
+      const user = getBasicAuthUser(basicAuthSessionCookie);
+      if (user && user.auth_type === "basic") {
+        const result = await query(
+          "SELECT id FROM ggr_users WHERE id = $1 AND password_hash IS NOT NULL",
+          [parseInt(user.id)],
+        );
+        return result.rows.length > 0 ? result.rows[0].id : null;
+      }
+    } catch (error) {
+      console.warn("Failed to get basic auth user:", error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The acting admin and the library the form names, or the error an action
+ * answers with instead. Only a configured library is accepted.
+ *
+ * @returns {Promise<{userId: number, kind: string, name: string}|{error: string}>}
+ */
+async function actionTarget(request, cookies) {
+  const userId = await getUserId(cookies);
+  if (!userId) return { error: "Authentication required" };
+  if (!(await userHasPermission(userId, "system.settings"))) {
+    return { error: "Permission denied" };
+  }
+
+  const formData = await request.formData();
+  const kind = String(formData.get("library") ?? "");
+  const configured = resolveLibraryConfigs().map((config) => config.kind);
+  if (!configured.includes(kind)) return { error: "Unknown library" };
+
+  return { userId, kind, name: LIBRARY_NAMES[kind] || kind };
+}
+
+/** What an action says when the lock, or the state, turned it down. */
+function refusal(reason, name) {
+  switch (reason) {
+    case "locked":
+      return `A ${name} pass is running. Try again when it has finished.`;
+    case "disabled":
+      return "Library sync is off. Set LIBRARY_SYNC_ENABLED=true to run it.";
+    case "nothing_to_clear":
+      return `${name} has no resume point to clear`;
+    case "not_refused":
+      return `${name}'s last pass did not refuse a sweep`;
+    default:
+      return `${name}: ${reason || "the pass did not start"}`;
+  }
+}
+
+export async function load({ parent, url }) {
+  const { userPermissions } = await parent();
+
+  if (!userPermissions.includes("system.settings")) {
+    throw redirect(302, "/admin?error=permission_denied");
+  }
+
+  let configs;
+  try {
+    configs = resolveLibraryConfigs();
+  } catch (error) {
+    return {
+      libraries: [],
+      runs: [],
+      total: 0,
+      currentPage: 1,
+      totalPages: 1,
+      syncEnabled: false,
+      filters: { library: null },
+      libraryNames: LIBRARY_NAMES,
+      loadError: error.message,
+    };
+  }
+
+  const kinds = configs.map((config) => config.kind);
+  // Unknown filter values fall back rather than reaching the query.
+  const kind = kinds.includes(url.searchParams.get("library"))
+    ? url.searchParams.get("library")
+    : null;
+  const page = Math.max(1, parseInt(url.searchParams.get("page")) || 1);
+
+  const settings = Object.fromEntries(
+    configs.map((config) => [
+      config.kind,
+      {
+        intervalMs: config.syncIntervalMs,
+        batchSize: config.syncBatchSize,
+        maxSweepRatio: config.syncMaxSweepRatio,
+      },
+    ]),
+  );
+
+  try {
+    const [status, { runs, total }] = await Promise.all([
+      syncStatus(kinds),
+      listRuns({ kind, limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE }),
+    ]);
+
+    return {
+      libraries: status.map((library) => ({
+        ...library,
+        name: LIBRARY_NAMES[library.kind] || library.kind,
+        settings: settings[library.kind],
+      })),
+      runs,
+      total,
+      currentPage: page,
+      totalPages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+      syncEnabled: configs[0].syncEnabled,
+      filters: { library: kind },
+      libraryNames: LIBRARY_NAMES,
+    };
+  } catch (error) {
+    // Before migration 034 there is no history to show.
+    console.error("Library sync dashboard load error:", error);
+    return {
+      libraries: [],
+      runs: [],
+      total: 0,
+      currentPage: 1,
+      totalPages: 1,
+      syncEnabled: configs[0].syncEnabled,
+      filters: { library: kind },
+      libraryNames: LIBRARY_NAMES,
+      loadError: "Failed to load the library sync state",
+    };
+  }
+}
+
+/**
+ * A pass started from the dashboard, resumed from where the last one stopped
+ * or, for `full`, from the start.
+ */
+function passAction(full) {
+  return async ({ request, cookies }) => {
+    try {
+      const target = await actionTarget(request, cookies);
+      if (target.error) return { success: false, error: target.error };
+
+      const { started, reason } = await startSyncPass(target.kind, {
+        full,
+        requestedBy: target.userId,
+      });
+      if (!started) {
+        return { success: false, error: refusal(reason, target.name) };
+      }
+
+      return {
+        success: true,
+        message: full
+          ? `Full ${target.name} pass started`
+          : `${target.name} pass started`,
+      };
+    } catch (error) {
+      console.error("Start library sync error:", error);
+      return { success: false, error: "Failed to start the pass" };
+    }
+  };
+}
+
+export const actions = {
+  run: passAction(false),
+
+  full: passAction(true),
+
+  clearResume: async ({ request, cookies }) => {
+    try {
+      const target = await actionTarget(request, cookies);
+      if (target.error) return { success: false, error: target.error };
+
+      const { done, reason } = await clearResumePoint(target.kind);
+      if (!done) return { success: false, error: refusal(reason, target.name) };
+
+      return {
+        success: true,
+        message: `Resume point cleared. The next ${target.name} pass starts from the beginning.`,
+      };
+    } catch (error) {
+      console.error("Clear library resume point error:", error);
+      return { success: false, error: "Failed to clear the resume point" };
+    }
+  },
+
+  allowSweep: async ({ request, cookies }) => {
+    try {
+      const target = await actionTarget(request, cookies);
+      if (target.error) return { success: false, error: target.error };
+
+      const { done, reason } = await allowSweepOnce(target.kind);
+      if (!done) return { success: false, error: refusal(reason, target.name) };
+
+      return {
+        success: true,
+        message: `The next completed ${target.name} pass will remove what it did not find, once`,
+      };
+    } catch (error) {
+      console.error("Library sweep override error:", error);
+      return { success: false, error: "Failed to override the sweep" };
+    }
+  },
+};
@@ -0,0 +1,220 @@
+/**
+ * Admin review of IGDB matches for library entries: the load, and the
+ * confirm, reject and search actions
+ */
+
+import { redirect } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { verifySessionToken } from "$lib/auth.server.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { getGameById, searchGameCandidates } from "$lib/igdb.js";
+import { LIBRARY_KINDS, resolveLibraryConfig } from "$lib/library/config.js";
+import {
+  MATCH_STATUSES,
+  confirmMatch,
+  listMatches,
+  rejectMatch,
+} from "$lib/library/matching.js";
+import { LIBRARY_NAMES } from "$lib/library/types.js";
+
+const PAGE_SIZE = 50;
+
+// Helper function to get user ID from session - support both auth types
+async function getUserId(cookies) {
+  const sessionCookie = cookies.get("session");
+  if (sessionCookie) {
+    const user = await verifySessionToken(sessionCookie);
+    if (user) {
+      const result = await query(
+        "SELECT id FROM ggr_users WHERE authentik_sub = $1",
+        [user.sub],
+      );
+      return result.rows.length > 0 ? result.rows[0].id : null;
+    }
+  }
+
+  const basicAuthSessionCookie = cookies.get("basic_auth_session");
+  if (basicAuthSessionCookie) {
+    try {
+      const { getBasicAuthUser } = await import("$lib/basicAuth.js");
+      const user = getBasicAuthUser(basicAuthSessionCookie);
+      if (user && user.auth_type === "basic") {
+        const result = await query(
+          "SELECT id FROM ggr_users WHERE id = $1 AND password_hash IS NOT NULL",
+          [parseInt(user.id)],
+        );
+        return result.rows.length > 0 ? result.rows[0].id : null;
+      }
+    } catch (error) {
+      console.warn("Failed to get basic auth user:", error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The acting admin, or the error an action answers with instead.
+ *
+ * @returns {Promise<{userId: number}|{error: string}>}
+ */
+async function reviewer(cookies) {
+  const userId = await getUserId(cookies);
+  if (!userId) return { error: "Authentication required" };
+  if (!(await userHasPermission(userId, "system.settings"))) {
+    return { error: "Permission denied" };
+  }
+  return { userId };
+}
+
+/** A positive integer from the form, or null. */
+function formId(formData, name) {
+  const value = String(formData.get(name) ?? "").trim();
+  return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+export async function load({ parent, url }) {
+  const { userPermissions } = await parent();
+
+  if (!userPermissions.includes("system.settings")) {
+    throw redirect(302, "/admin?error=permission_denied");
+  }
+
+  // Unknown filter values fall back rather than reaching the query.
+  const status = MATCH_STATUSES.includes(url.searchParams.get("status"))
+    ? url.searchParams.get("status")
+    : "suggested";
+  const kind = LIBRARY_KINDS.includes(url.searchParams.get("library"))
+    ? url.searchParams.get("library")
+    : null;
+  const page = Math.max(1, parseInt(url.searchParams.get("page")) || 1);
+
+  try {
+    const { matches, total, counts } = await listMatches({
+      status,
+      kind,
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE,
+    });
+
+    return {
+      matches,
+      total,
+      counts,
+      currentPage: page,
+      totalPages: Math.max(1, Math.ceil(total / PAGE_SIZE)),
+      filters: { status, library: kind },
+      statuses: MATCH_STATUSES,
+      libraryNames: LIBRARY_NAMES,
+    };
+  } catch (error) {
+    // Before migration 032 there is nothing to review.
+    console.error("Library match load error:", error);
+    return {
+      matches: [],
+      total: 0,
+      counts: {},
+      currentPage: 1,
+      totalPages: 1,
+      filters: { status, library: kind },
+      statuses: MATCH_STATUSES,
+      libraryNames: LIBRARY_NAMES,
+      loadError: "Failed to load library matches",
+    };
+  }
+}
+
+export const actions = {
+  // A candidate, a search result, or an id typed in. Only the last arrives
+  // without a title, and is looked up so a mistyped id is refused rather than
+  // put in force.
+  confirm: async ({ request, cookies }) => {
+    try {
+      const actor = await reviewer(cookies);
+      if (actor.error) return { success: false, error: actor.error };
+
+      const formData = await request.formData();
+      const entryId = formId(formData, "entry_id");
+      const igdbId = formId(formData, "igdb_id");
+      if (!entryId) return { success: false, error: "Invalid entry ID" };
+      if (!igdbId) return { success: false, error: "Invalid IGDB ID" };
+
+      let title = String(formData.get("title") ?? "").trim() || null;
+      if (!title) {
+        const game = await getGameById(igdbId);
+        if (!game) {
+          return { success: false, error: `No IGDB game with ID ${igdbId}` };
+        }
+        title = game.title;
+      }
+
+      // A confirmed id fulfils and alerts as the stage's own matches do.
+      const { autoFulfil } = resolveLibraryConfig();
+      if (
+        !(await confirmMatch(entryId, { igdbId, title }, actor.userId, {
+          autoFulfil,
+        }))
+      ) {
+        return { success: false, error: "Library entry not found" };
+      }
+      return { success: true, message: `Matched to ${title}` };
+    } catch (error) {
+      console.error("Confirm library match error:", error);
+      return { success: false, error: "Failed to confirm the match" };
+    }
+  },
+
+  reject: async ({ request, cookies }) => {
+    try {
+      const actor = await reviewer(cookies);
+      if (actor.error) return { success: false, error: actor.error };
+
+      const formData = await request.formData();
+      const entryId = formId(formData, "entry_id");
+      if (!entryId) return { success: false, error: "Invalid entry ID" };
+
+      if (!(await rejectMatch(entryId, actor.userId))) {
+        return { success: false, error: "Library entry not found" };
+      }
+      return { success: true, message: "Match rejected" };
+    } catch (error) {
+      console.error("Reject library match error:", error);
+      return { success: false, error: "Failed to reject the match" };
+    }
+  },
+
+  // Nothing is written: the results come back in the form, for one of them
+  // to be confirmed.
+  search: async ({ request, cookies }) => {
+    const formData = await request.formData();
+    const entryId = formId(formData, "entry_id");
+    const search = String(formData.get("q") ?? "").trim();
+
+    try {
+      const actor = await reviewer(cookies);
+      if (actor.error) return { success: false, error: actor.error };
+      if (!entryId) return { success: false, error: "Invalid entry ID" };
+      if (!search) return { success: false, error: "Enter a title to search" };
+
+      const games = await searchGameCandidates(search, 10);
+      return {
+        success: true,
+        search: {
+          entryId,
+          query: search,
+          results: games.map((game) => ({
+            igdb_id: game.igdb_id,
+            title: game.title,
+            year: game.release_date
+              ? new Date(game.release_date).getUTCFullYear()
+              : null,
+            platforms: game.platforms,
+          })),
+        },
+      };
+    } catch (error) {
+      console.error("Library match search error:", error);
+      return { success: false, error: "IGDB search failed" };
+    }
+  },
+};
@@ -4,9 +4,18 @@
 
 import { redirect } from "@sveltejs/kit";
 import { query } from "$lib/database.js";
+import { listSupporters } from "$lib/requestSupport.server.js";
+import { BOARD_LANES } from "$lib/requestBoard.js";
+import { listAssignees } from "$lib/requestAssignment.server.js";
+import { requestListFilters } from "$lib/requestList.server.js";
+
+// Cards per board column. The open columns rarely come near it; the closed
+// ones would otherwise carry every request ever fulfilled, so the board shows
+// their most recent and says how many more the table has.
+const BOARD_COLUMN_LIMIT = 50;
 
 export async function load({ url, parent }) {
-  const { userPermissions } = await parent();
+  const { userPermissions, localUserId } = await parent();
 
   // Check permission
   if (!userPermissions.includes("request.view_all")) {
@@ -14,55 +23,27 @@ export async function load({ url, parent }) {
   }
 
   try {
-    // Get query parameters
-    const status = url.searchParams.get("status") || "all";
-    const search = url.searchParams.get("search") || "";
-    const sortBy = url.searchParams.get("sort") || "created_at";
-    const sortDir = url.searchParams.get("dir") || "desc";
     const page = parseInt(url.searchParams.get("page")) || 1;
+    // The board and the table share the search and the sort. The board has no
+    // status filter -- its columns are the statuses -- and no pages.
+    const view = url.searchParams.get("view") === "board" ? "board" : "table";
+    const lanes = Object.hasOwn(BOARD_LANES, url.searchParams.get("lanes"))
+      ? url.searchParams.get("lanes")
+      : "none";
     const limit = 20;
     const offset = (page - 1) * limit;
 
-    // Build query conditions
-    let whereConditions = [];
-    let queryParams = [];
-    let paramIndex = 1;
-
-    if (status !== "all") {
-      whereConditions.push(`status = $${paramIndex}`);
-      queryParams.push(status);
-      paramIndex++;
-    }
-
-    if (search) {
-      whereConditions.push(
-        `(title ILIKE $${paramIndex} OR user_name ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`,
-      );
-      queryParams.push(`%${search}%`);
-      paramIndex++;
-    }
-
-    const whereClause =
-      whereConditions.length > 0
-        ? `WHERE ${whereConditions.join(" AND ")}`
-        : "";
-
-    // Validate sort parameters
-    const validSortColumns = [
-      "title",
-      "user_name",
-      "status",
-      "priority",
-      "request_type",
-      "created_at",
-      "updated_at",
-    ];
-    const finalSortBy = validSortColumns.includes(sortBy)
-      ? sortBy
-      : "created_at";
-    const finalSortDir = ["asc", "desc"].includes(sortDir.toLowerCase())
-      ? sortDir.toLowerCase()
-      : "desc";
+    const {
+      status,
+      search,
+      assigned,
+      sortBy: finalSortBy,
+      sortDir: finalSortDir,
+      whereClause,
+      queryParams,
+      orderByClause,
+    } = requestListFilters(url.searchParams, { localUserId, view });
+    const paramIndex = queryParams.length + 1;
 
     // Get total count
     const countQuery = `SELECT COUNT(*) as count FROM ggr_game_requests ${whereClause}`;
@@ -70,41 +51,58 @@ export async function load({ url, parent }) {
     const totalRequests = parseInt(countResult.rows[0].count) || 0;
     const totalPages = Math.ceil(totalRequests / limit);
 
-    // Build ORDER BY clause
-    let orderByClause = "";
-    if (finalSortBy === "priority") {
-      // Custom priority sorting (urgent > high > medium > low)
-      orderByClause = `ORDER BY 
-        CASE priority 
-          WHEN 'urgent' THEN 1 
-          WHEN 'high' THEN 2 
-          WHEN 'medium' THEN 3 
-          WHEN 'low' THEN 4 
-          ELSE 5 
-        END ${finalSortDir === "desc" ? "DESC" : "ASC"}`;
-    } else if (finalSortBy === "status") {
-      // Custom status sorting (pending first, then others)
-      orderByClause = `ORDER BY 
-        CASE WHEN status = 'pending' THEN 1 ELSE 2 END ${finalSortDir === "desc" ? "DESC" : "ASC"},
-        ${finalSortBy} ${finalSortDir === "desc" ? "DESC" : "ASC"}`;
-    } else {
-      orderByClause = `ORDER BY ${finalSortBy} ${finalSortDir === "desc" ? "DESC" : "ASC"}`;
-    }
-
-    // Get requests
-    const requestsQuery = `
-      SELECT 
+    const requestColumns = `
         id, title, user_id, user_name, status, request_type, priority,
         description, reason, platforms, admin_notes, igdb_id,
-        created_at, updated_at
+        created_at, updated_at, progress_state, progress_percent,
+        assignee_user_id,
+        (SELECT COALESCE(u.name, u.preferred_username, u.username)
+           FROM ggr_users u
+          WHERE u.id = ggr_game_requests.assignee_user_id) AS assignee_name,
+        (SELECT COUNT(*)::int FROM ggr_request_supporters s
+          WHERE s.request_id = ggr_game_requests.id) AS supporter_count`;
+
+    // Get requests. The board takes the first BOARD_COLUMN_LIMIT of each
+    // status in the page's sort order, which is also the order its cards are
+    // in; the sort is applied over the inner select so it can name
+    // supporter_count.
+    const requestsQuery =
+      view === "board"
+        ? `
+      SELECT * FROM (
+        SELECT ranked.*,
+               ROW_NUMBER() OVER (PARTITION BY status ${orderByClause}) AS board_rank
+          FROM (SELECT ${requestColumns} FROM ggr_game_requests ${whereClause}) ranked
+      ) board
+      WHERE board_rank <= $${paramIndex}
+      ${orderByClause}
+    `
+        : `
+      SELECT ${requestColumns}
       FROM ggr_game_requests 
       ${whereClause}
       ${orderByClause}
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
     `;
 
-    queryParams.push(limit, offset);
-    const requestsResult = await query(requestsQuery, queryParams);
+    const requestsResult = await query(requestsQuery, [
+      ...queryParams,
+      ...(view === "board" ? [BOARD_COLUMN_LIMIT] : [limit, offset]),
+    ]);
+
+    // Per column, so a capped column can say how many it is not showing.
+    let columnTotals = {};
+    if (view === "board") {
+      const totals = await query(
+        `SELECT status, COUNT(*)::int AS count
+           FROM ggr_game_requests ${whereClause}
+          GROUP BY status`,
+        queryParams,
+      );
+      columnTotals = Object.fromEntries(
+        totals.rows.map((row) => [row.status, row.count]),
+      );
+    }
 
     // Fetch cover URLs from games cache for requests with igdb_id
     const igdbIds = requestsResult.rows
@@ -129,8 +127,33 @@ export async function load({ url, parent }) {
       }
     }
 
+    // Names for the page's supporter counts; a failure leaves the counts.
+    let supporters = new Map();
+    try {
+      supporters = await listSupporters(
+        requestsResult.rows
+          .filter((row) => row.supporter_count > 0)
+          .map((row) => row.id),
+      );
+    } catch (error) {
+      console.error("Error fetching request supporters:", error);
+    }
+
+    // For the bulk "Assign to" picker; a failure leaves only "Assign to me".
+    let assignees = [];
+    if (userPermissions.includes("request.approve")) {
+      try {
+        assignees = await listAssignees();
+      } catch (error) {
+        console.error("Error fetching assignees:", error);
+      }
+    }
+
     const requests = requestsResult.rows.map((row) => ({
       ...row,
+      supporter_names: (supporters.get(row.id) || []).map(
+        (supporter) => supporter.user_name,
+      ),
       platforms:
         typeof row.platforms === "string"
           ? JSON.parse(row.platforms)
@@ -144,9 +167,15 @@ export async function load({ url, parent }) {
       currentPage: page,
       totalPages,
       totalRequests,
+      view,
+      lanes,
+      columnTotals,
+      assignees,
+      localUserId,
       filters: {
         status,
         search,
+        assigned,
       },
       sorting: {
         sortBy: finalSortBy,
@@ -161,9 +190,15 @@ export async function load({ url, parent }) {
       currentPage: 1,
       totalPages: 1,
       totalRequests: 0,
+      view: "table",
+      lanes: "none",
+      columnTotals: {},
+      assignees: [],
+      localUserId: null,
       filters: {
         status: "all",
         search: "",
+        assigned: "all",
       },
       sorting: {
         sortBy: "created_at",
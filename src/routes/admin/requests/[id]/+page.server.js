@@ -4,6 +4,10 @@
 
 import { error, redirect } from "@sveltejs/kit";
 import { query } from "$lib/database.js";
+import { getRequestHistory } from "$lib/requestStatus.server.js";
+import { listRequestComments } from "$lib/requestComments.server.js";
+import { listSupporters } from "$lib/requestSupport.server.js";
+import { listAssignees } from "$lib/requestAssignment.server.js";
 
 export async function load({ params, parent }) {
   const { userPermissions } = await parent();
@@ -22,9 +26,21 @@ export async function load({ params, parent }) {
         r.id, r.title, r.user_id, r.user_name, r.status, r.request_type, r.priority,
         r.description, r.reason, r.platforms, r.admin_notes,
         r.created_at, r.updated_at, r.igdb_id,
-        g.cover_url, g.title as game_title
+        r.progress_state, r.progress_percent, r.progress_message,
+        r.progress_updated_at,
+        r.assignee_user_id, r.assigned_at,
+        COALESCE(au.name, au.preferred_username, au.username) as assignee_name,
+        r.merged_into_request_id, mr.title as merged_into_title,
+        g.cover_url, g.title as game_title,
+        le.name as fulfilled_entry_name,
+        le.platform_name as fulfilled_entry_platform,
+        le.library_kind as fulfilled_entry_kind,
+        le.removed_at as fulfilled_entry_removed_at
       FROM ggr_game_requests r
       LEFT JOIN ggr_games_cache g ON r.igdb_id = g.igdb_id
+      LEFT JOIN ggr_library_entries le ON r.fulfilled_library_entry_id = le.id
+      LEFT JOIN ggr_users au ON r.assignee_user_id = au.id
+      LEFT JOIN ggr_game_requests mr ON r.merged_into_request_id = mr.id
       WHERE r.id = $1
     `;
 
@@ -45,6 +61,36 @@ export async function load({ params, parent }) {
       }
     }
 
+    // Where each requested platform stands, with the copy that satisfied it
+    // when the library sync did.
+    request.platform_state = (
+      await query(
+        `SELECT p.platform, p.required, p.fulfilled_at, p.fulfilled_by,
+                p.library_entry_id, le.name AS entry_name,
+                le.platform_name AS entry_platform
+           FROM ggr_request_platforms p
+           LEFT JOIN ggr_library_entries le ON le.id = p.library_entry_id
+          WHERE p.request_id = $1`,
+        [requestId],
+      )
+    ).rows;
+
+    const history = (await getRequestHistory([requestId])).get(requestId) || [];
+
+    // This page is staff-only (request.view_all), so the whole thread is shown,
+    // internal comments included.
+    const comments =
+      (await listRequestComments([requestId], { includeInternal: true })).get(
+        requestId,
+      ) || [];
+
+    const supporters = (await listSupporters([requestId])).get(requestId) || [];
+
+    // Only someone who may assign is offered the picker.
+    const assignees = userPermissions.includes("request.approve")
+      ? await listAssignees()
+      : [];
+
     // Get user details - handle both legacy (authentik_sub/email) and new (integer id) user_id formats
     let requestUser = null;
 
@@ -142,12 +188,20 @@ export async function load({ params, parent }) {
       return {
         request,
         requestUser: fallbackUser,
+        history,
+        comments,
+        supporters,
+        assignees,
       };
     }
 
     return {
       request,
       requestUser,
+      history,
+      comments,
+      supporters,
+      assignees,
     };
   } catch (err) {
     console.error("Request view page load error:", err);
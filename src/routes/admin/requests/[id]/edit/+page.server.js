@@ -155,8 +155,10 @@ export const actions = {
 
       // Validate status
       const validStatuses = [
+        "awaiting_release",
         "pending",
         "approved",
+        "in_progress",
         "rejected",
         "fulfilled",
         "cancelled",
@@ -174,7 +176,7 @@ export const actions = {
       // Check if status change requires approve permission
       if (
         status &&
-        ["approved", "rejected", "fulfilled"].includes(status) &&
+        ["approved", "in_progress", "rejected", "fulfilled"].includes(status) &&
         !hasApprovePermission
       ) {
         return {
@@ -242,13 +244,17 @@ export const actions = {
           // invalidates cache like the others. It previously did neither.
           // admin_notes is deliberately omitted here (left undefined): this
           // form's own UPDATE above already owns title/priority/notes, so the
-          // owner must not write admin_notes a second time on this path.
+          // owner must not write admin_notes a second time on this path. The
+          // notes still belong in this transition's history entry, so they
+          // travel as historyNotes, which records without writing.
           let statusChange = null;
           if (status) {
             statusChange = await applyRequestStatusChange({
               id: requestId,
               to: status,
               actor: user.name || user.email,
+              actorId: localUserId,
+              historyNotes: adminNotes,
               tx,
               deferSideEffects: true,
             });
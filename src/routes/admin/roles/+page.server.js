@@ -6,6 +6,11 @@ import { error, redirect } from "@sveltejs/kit";
 import { query } from "$lib/database.js";
 import { verifySessionToken } from "$lib/auth.server.js";
 import { userHasPermission } from "$lib/userProfile.js";
+import {
+  QUOTA_SCOPES,
+  listRoleQuotas,
+  saveRoleQuotas,
+} from "$lib/requestQuota.server.js";
 
 // Helper function to get user ID from session - support both auth types
 async function getUserId(cookies) {
@@ -44,6 +49,37 @@ async function getUserId(cookies) {
   return null;
 }
 
+// is_admin, or an active holder of the `admin` role
+async function isAdministrator(userId) {
+  const result = await query(
+    `SELECT EXISTS (
+      SELECT 1 FROM ggr_users WHERE id = $1 AND is_admin = TRUE
+    ) OR EXISTS (
+      SELECT 1 FROM ggr_user_roles ur
+      JOIN ggr_roles r ON ur.role_id = r.id
+      WHERE ur.user_id = $1 AND r.name = 'admin' AND ur.is_active = TRUE
+    ) as is_admin`,
+    [userId],
+  );
+  return result.rows[0]?.is_admin || false;
+}
+
+/**
+ * One quota field from the form: blank is "no cap", anything else must be a
+ * whole number of at least `min`.
+ */
+function readQuotaField(formData, name, min) {
+  const raw = String(formData.get(name) ?? "").trim();
+  if (raw === "") return { value: null };
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min) {
+    return {
+      error: `${name.replace(/_/g, " ")} must be a whole number of at least ${min}`,
+    };
+  }
+  return { value };
+}
+
 export async function load({ cookies }) {
   try {
     const userId = await getUserId(cookies);
@@ -62,17 +98,7 @@ export async function load({ cookies }) {
       userId,
       "role.edit_permissions",
     );
-    const isAdminResult = await query(
-      `SELECT EXISTS (
-        SELECT 1 FROM ggr_users WHERE id = $1 AND is_admin = TRUE
-      ) OR EXISTS (
-        SELECT 1 FROM ggr_user_roles ur
-        JOIN ggr_roles r ON ur.role_id = r.id
-        WHERE ur.user_id = $1 AND r.name = 'admin' AND ur.is_active = TRUE
-      ) as is_admin`,
-      [userId],
-    );
-    const isAdmin = isAdminResult.rows[0]?.is_admin || false;
+    const isAdmin = await isAdministrator(userId);
     const canEditPermissions = hasEditPermission && isAdmin;
 
     // Get all roles with their permissions
@@ -103,9 +129,20 @@ export async function load({ cookies }) {
     `;
 
     const rolesResult = await query(rolesQuery);
+
+    // Quotas are an addition to the page; without migration 019 the roles
+    // still load, just with no quotas shown.
+    let quotas = new Map();
+    try {
+      quotas = await listRoleQuotas();
+    } catch (quotaError) {
+      console.warn("Failed to load role quotas:", quotaError);
+    }
+
     const roles = rolesResult.rows.map((role) => ({
       ...role,
       permissions: role.permissions || [],
+      quotas: quotas.get(role.id) || [],
     }));
 
     // Get all available permissions
@@ -166,18 +203,7 @@ export const actions = {
       }
 
       // SECURITY: Verify user is an administrator
-      const isAdminResult = await query(
-        `SELECT EXISTS (
-          SELECT 1 FROM ggr_users WHERE id = $1 AND is_admin = TRUE
-        ) OR EXISTS (
-          SELECT 1 FROM ggr_user_roles ur
-          JOIN ggr_roles r ON ur.role_id = r.id
-          WHERE ur.user_id = $1 AND r.name = 'admin' AND ur.is_active = TRUE
-        ) as is_admin`,
-        [userId],
-      );
-
-      const isAdmin = isAdminResult.rows[0]?.is_admin || false;
+      const isAdmin = await isAdministrator(userId);
       if (!isAdmin) {
         return {
           success: false,
@@ -248,4 +274,75 @@ export const actions = {
       return { success: false, error: "Failed to update role permissions" };
     }
   },
+
+  updateRoleQuotas: async ({ request, cookies }) => {
+    try {
+      const userId = await getUserId(cookies);
+
+      if (!userId) {
+        return { success: false, error: "Authentication required" };
+      }
+
+      // Same gate as permissions: a quota decides what a role may do.
+      const hasEditPermission = await userHasPermission(
+        userId,
+        "role.edit_permissions",
+      );
+      if (!hasEditPermission || !(await isAdministrator(userId))) {
+        return {
+          success: false,
+          error:
+            "Only administrators with the 'role.edit_permissions' permission can change role quotas.",
+        };
+      }
+
+      const formData = await request.formData();
+      const roleId = parseInt(formData.get("role_id"));
+
+      if (!roleId) {
+        return { success: false, error: "Role ID is required" };
+      }
+
+      const roleCheck = await query(
+        "SELECT name FROM ggr_roles WHERE id = $1",
+        [roleId],
+      );
+      if (roleCheck.rows.length === 0) {
+        return { success: false, error: "Role not found" };
+      }
+
+      const quotas = [];
+      for (const scope of QUOTA_SCOPES) {
+        const maxOpen = readQuotaField(formData, `max_open_${scope}`, 0);
+        const maxPerWindow = readQuotaField(
+          formData,
+          `max_per_window_${scope}`,
+          0,
+        );
+        const windowDays = readQuotaField(formData, `window_days_${scope}`, 1);
+        const invalid = [maxOpen, maxPerWindow, windowDays].find(
+          (f) => f.error,
+        );
+        if (invalid) {
+          return { success: false, error: invalid.error };
+        }
+        quotas.push({
+          request_type: scope,
+          max_open: maxOpen.value,
+          max_per_window: maxPerWindow.value,
+          window_days: windowDays.value ?? 7,
+        });
+      }
+
+      await saveRoleQuotas(roleId, quotas);
+
+      return {
+        success: true,
+        message: `Request quotas updated for ${roleCheck.rows[0].name}`,
+      };
+    } catch (err) {
+      console.error("❌ Role quotas update error:", err);
+      return { success: false, error: "Failed to update role quotas" };
+    }
+  },
 };
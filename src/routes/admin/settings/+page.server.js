@@ -6,6 +6,12 @@ import { redirect } from "@sveltejs/kit";
 import { query } from "$lib/database.js";
 import { getGlobalFilters } from "$lib/globalFilters.js";
 import { getAvailableGenres } from "$lib/genreFiltering.js";
+import {
+  WEBHOOK_EVENTS,
+  listWebhookEndpoints,
+} from "$lib/webhookEndpoints.server.js";
+import { describeNotifiers } from "$lib/notifiers/index.js";
+import { describeMail, getMailConfig } from "$lib/mail/index.js";
 
 export async function load({ parent }) {
   const { userPermissions } = await parent();
@@ -33,10 +39,28 @@ export async function load({ parent }) {
     // Load available genres for filter selection
     const availableGenres = await getAvailableGenres();
 
+    // Before migration 020 the table does not exist; the rest of the page
+    // still works.
+    const webhookEndpoints = await listWebhookEndpoints().catch((error) => {
+      console.warn("Failed to load webhook endpoints:", error.message);
+      return [];
+    });
+
+    // SMTP_HOST in the environment overrides what is typed here, and the
+    // page says so.
+    const mailFromEnv = await getMailConfig()
+      .then(({ fromEnv }) => fromEnv)
+      .catch(() => false);
+
     return {
       settings,
       globalFilters,
       availableGenres,
+      webhookEndpoints,
+      webhookEvents: WEBHOOK_EVENTS,
+      notifiers: describeNotifiers(),
+      mailFields: describeMail(),
+      mailFromEnv,
     };
   } catch (error) {
     console.error("Settings page load error:", error);
@@ -44,6 +68,11 @@ export async function load({ parent }) {
       settings: {},
       globalFilters: {},
       availableGenres: [],
+      webhookEndpoints: [],
+      webhookEvents: WEBHOOK_EVENTS,
+      notifiers: describeNotifiers(),
+      mailFields: describeMail(),
+      mailFromEnv: false,
     };
   }
 }
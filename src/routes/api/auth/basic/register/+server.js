@@ -7,6 +7,7 @@ import { json } from "@sveltejs/kit";
 import { query } from "$lib/database.js";
 import { hashPassword } from "$lib/basicAuth.js";
 import { generateId } from "$lib/utils.js";
+import { dispatchUserRegisteredEvent } from "$lib/webhooks.server.js";
 
 export async function POST({ request }) {
   try {
@@ -148,6 +149,10 @@ export async function POST({ request }) {
       // Don't fail the registration if analytics logging fails
     }
 
+    dispatchUserRegisteredEvent(newUser, "basic_auth").catch((error) => {
+      console.warn("Failed to dispatch registration webhooks:", error.message);
+    });
+
     return json(
       {
         success: true,
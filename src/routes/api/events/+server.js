@@ -0,0 +1,120 @@
+/**
+ * Server-sent event stream of live updates
+ * One long-lived GET per open page or API client, carrying the events in
+ * liveEvents.server.js that the caller may see. `?types=` narrows it to a
+ * comma-separated list of event types. A comment line every 25 seconds keeps
+ * proxies from closing an idle stream. API keys need `requests:read`, and
+ * `games:read` as well for the library's events.
+ */
+
+import { error } from "@sveltejs/kit";
+import { query } from "$lib/database.js";
+import { getAuthenticatedUser } from "$lib/auth.server.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { userHasPermission } from "$lib/userProfile.js";
+import { verifyScopes } from "$lib/apiKeys.js";
+import {
+  LIVE_EVENT_TYPES,
+  liveEventVisible,
+  subscribeLiveEvents,
+} from "$lib/liveEvents.server.js";
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long a browser waits before reconnecting a dropped stream.
+const RETRY_MS = 5 * 1000;
+
+/**
+ * The event types asked for, or all of them.
+ *
+ * @param {string|null} param - e.g. "request.created,request.status_changed"
+ * @returns {Set<string>|null} - null when a named type does not exist
+ */
+function requestedTypes(param) {
+  if (!param) return new Set(LIVE_EVENT_TYPES);
+  const types = param
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+  if (types.some((type) => !LIVE_EVENT_TYPES.includes(type))) return null;
+  return new Set(types);
+}
+
+export async function GET({ url, cookies, request }) {
+  const user = await getAuthenticatedUser(cookies, request);
+  if (!user) {
+    throw error(401, "Authentication required");
+  }
+
+  const types = requestedTypes(url.searchParams.get("types"));
+  if (!types) {
+    throw error(400, `types must be among: ${LIVE_EVENT_TYPES.join(", ")}`);
+  }
+
+  let viewer;
+  try {
+    const userId = await getUserIdFromAuth(user, query);
+    const scopes = user.auth_type === "api_key" ? user.scopes || [] : null;
+    viewer = {
+      userId,
+      viewAll: await userHasPermission(userId, "request.view_all"),
+      requests: !scopes || verifyScopes(scopes, ["requests:read"]),
+      library: !scopes || verifyScopes(scopes, ["games:read"]),
+    };
+  } catch (err) {
+    console.error("Live event stream error:", err);
+    throw error(500, "Failed to open the event stream");
+  }
+
+  const encoder = new TextEncoder();
+  let stop = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+
+      const send = (text) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(text));
+        } catch {
+          // The client went away between the check and the write.
+          stop();
+        }
+      };
+
+      const unsubscribe = subscribeLiveEvents((event) => {
+        if (!types.has(event.type) || !liveEventVisible(event, viewer)) return;
+        send(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+      });
+
+      const heartbeat = setInterval(
+        () => send(": heartbeat\n\n"),
+        HEARTBEAT_MS,
+      );
+
+      stop = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+      };
+
+      send(`retry: ${RETRY_MS}\n: connected\n\n`);
+    },
+    cancel() {
+      stop();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // nginx buffers responses by default, which holds events back until
+      // the buffer fills.
+      "X-Accel-Buffering": "no",
+    },
+  });
+}
@@ -0,0 +1,61 @@
+/**
+ * Library search: entries across every configured library, best match first
+ *
+ * Answered from the index where a sync has completed (ranked and
+ * typo-tolerant where pg_trgm is installed, see library/router.js), from a
+ * backend that can search while none has. The homepage library shelf and the
+ * search page both read it, through LibrarySearch.svelte.
+ */
+
+import { json } from "@sveltejs/kit";
+import { entryPlatforms, searchEntries } from "$lib/library/router.js";
+
+const MAX_LIMIT = 48;
+
+export async function GET({ url }) {
+  const search = (url.searchParams.get("q") || "").trim();
+  // Repeated or comma-separated, like the search page's own platform filter.
+  const platforms = url.searchParams
+    .getAll("platform")
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const page = Math.max(1, parseInt(url.searchParams.get("page")) || 1);
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(url.searchParams.get("limit")) || 24),
+  );
+
+  try {
+    // Nothing to search for is not "everything": an unfiltered search of a
+    // 70k library is the recent shelf in the wrong order.
+    const result =
+      search || platforms.length > 0
+        ? await searchEntries({
+            search,
+            platforms,
+            limit,
+            offset: (page - 1) * limit,
+          })
+        : { source: "none", indexBuilding: false, pending: [], entries: [] };
+
+    // The filter's options, on the first page only: they do not change as
+    // the user pages.
+    const options = page === 1 ? await entryPlatforms() : null;
+
+    return json({
+      success: true,
+      ...result,
+      platforms: options?.platforms ?? null,
+      page,
+      limit,
+      hasMore: result.entries.length === limit,
+    });
+  } catch (error) {
+    console.error("Library search error:", error);
+    return json(
+      { success: false, error: "Library search failed", entries: [] },
+      { status: 500 },
+    );
+  }
+}
@@ -7,12 +7,63 @@ import { json } from "@sveltejs/kit";
 import { query } from "$lib/database.js";
 import { getAuthenticatedUser } from "$lib/auth.server.js";
 import { sendNewRequestNotification } from "$lib/gotify.js";
-import { onRequestApproved } from "$lib/requestStatus.server.js";
+import { dispatchRequestEvent } from "$lib/webhooks.server.js";
+import { notifyRequestParticipants } from "$lib/userNotifications.server.js";
+import { publishRequestEvent } from "$lib/liveEvents.server.js";
+import {
+  onRequestApproved,
+  getRequestHistory,
+  REQUEST_SOURCES,
+} from "$lib/requestStatus.server.js";
 import { invalidateCache } from "$lib/cache.js";
 import {
   findOpenDuplicate,
   mayAutoApprove,
 } from "$lib/requestPolicy.server.js";
+import {
+  checkRequestQuota,
+  describeQuota,
+  quotaHeaders,
+  quotaMessage,
+} from "$lib/requestQuota.server.js";
+import { AWAITING_RELEASE, awaitsRelease } from "$lib/preRequests.server.js";
+
+/**
+ * Which door a new request came through, for its first history entry.
+ *
+ * An auto-approval is recorded as such whichever way it was submitted: what
+ * the timeline needs to explain is why the request never sat in pending. A
+ * request held for its game's release is not one: it is approved, if at all,
+ * on release day, and that entry says so.
+ *
+ * @param {Object} user - The authenticated user
+ * @param {string} status - The status the request is created with
+ * @returns {string} One of REQUEST_SOURCES
+ */
+function creationSource(user, status) {
+  if (status === "approved") return REQUEST_SOURCES.AUTO_APPROVE;
+  if (user.auth_type === "api_key") return REQUEST_SOURCES.API_KEY;
+  return REQUEST_SOURCES.SUBMISSION;
+}
+
+/**
+ * A user's quota for a request type, or null when it could not be read.
+ *
+ * Fails open: a quota is a fairness limit, and a database hiccup (or an
+ * install that has not run migration 019) should not stop every submission.
+ *
+ * @param {number} userId - Local user id
+ * @param {string} requestType - game, update or fix
+ * @returns {Promise<Object|null>}
+ */
+async function readQuota(userId, requestType) {
+  try {
+    return await checkRequestQuota(userId, requestType);
+  } catch (error) {
+    console.warn("Failed to check request quota:", error);
+    return null;
+  }
+}
 
 /**
  * Submit a new game request
@@ -207,6 +258,16 @@ export async function POST({ request, cookies }) {
       }
     }
 
+    // A game that is not out yet waits for its release day rather than
+    // joining the queue now, auto-approval or not (preRequests.server.js).
+    // After the caching above, so the date the client sent is the one read.
+    if (
+      insertData.request_type === "game" &&
+      (await awaitsRelease(insertData.igdb_id))
+    ) {
+      insertData.status = AWAITING_RELEASE;
+    }
+
     // Handle request-type specific fields
     switch (requestData.request_type) {
       case "update":
@@ -248,26 +309,54 @@ export async function POST({ request, cookies }) {
       requestType: insertData.request_type,
     });
 
+    // Someone else's open request can take the caller as a supporter instead
+    // (POST /api/request/support); `can_support` tells the client to offer it.
     if (duplicate) {
       return json(
         {
           success: false,
           error: `"${insertData.title}" has already been requested and is ${duplicate.status}.`,
           existing_request_id: duplicate.id,
+          can_support: String(duplicate.user_id) !== String(localUserId),
         },
         { status: 409 },
       );
     }
 
-    // Insert into database
+    // Per-role quotas. Checked after the duplicate guard, so a user at their
+    // limit who asks for a game that is already requested still gets the 409
+    // that lets them support it -- supporting costs no quota.
+    const quota = await readQuota(localUserId, insertData.request_type);
+    if (quota && !quota.allowed) {
+      return json(
+        {
+          success: false,
+          error: quotaMessage(quota),
+          quota: describeQuota(quota),
+        },
+        { status: 429, headers: quotaHeaders(quota) },
+      );
+    }
+
+    // Insert into database. The request's first history entry -- from nothing
+    // to its initial status -- is written by the same statement, so a request
+    // can never exist without the start of its timeline.
     const result = await query(
       `
-      INSERT INTO ggr_game_requests (
-        user_id, user_name, request_type, title, igdb_id, 
-        platforms, priority, description, reason, status
-      ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10
-      ) RETURNING *
+      WITH inserted AS (
+        INSERT INTO ggr_game_requests (
+          user_id, user_name, request_type, title, igdb_id, 
+          platforms, priority, description, reason, status
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+        ) RETURNING *
+      ),
+      logged AS (
+        INSERT INTO ggr_request_status_history
+          (request_id, from_status, to_status, actor_user_id, actor_name, source)
+        SELECT id, NULL, status, $11::int, $12::text, $13::text FROM inserted
+      )
+      SELECT * FROM inserted
     `,
       [
         insertData.user_id,
@@ -280,6 +369,9 @@ export async function POST({ request, cookies }) {
         insertData.description,
         insertData.reason || null,
         insertData.status,
+        localUserId,
+        insertData.user_name,
+        creationSource(user, insertData.status),
       ],
     );
 
@@ -321,11 +413,27 @@ export async function POST({ request, cookies }) {
       priority: insertedRequest.priority,
       user_name: insertedRequest.user_name,
       description: insertedRequest.description,
+      igdb_id: insertedRequest.igdb_id,
     }).catch((error) => {
       console.warn("Failed to send Gotify notification:", error);
       // Don't fail the request if notification fails
     });
 
+    // A receipt for the requester, by email unless they chose otherwise.
+    // Never throws.
+    notifyRequestParticipants({
+      event: "request.submitted",
+      request: insertedRequest,
+    });
+
+    // Every new request, whatever its status, to the endpoints that asked.
+    dispatchRequestEvent("request.created", insertedRequest).catch((error) => {
+      console.warn("Failed to dispatch request webhooks:", error.message);
+    });
+
+    // And to the pages open on it. Never throws.
+    publishRequestEvent("request.created", insertedRequest);
+
     // Dispatch only if this request is already approved -- auto-approve on, or
     // the requester holds the permission. A pending request dispatches when an
     // admin approves it, not now.
@@ -333,6 +441,12 @@ export async function POST({ request, cookies }) {
       onRequestApproved(insertedRequest);
     }
 
+    // Re-read rather than subtract one: the new request may also be what
+    // starts the window, which moves the reset time.
+    const quotaAfter = quota?.limited
+      ? await readQuota(localUserId, insertData.request_type)
+      : null;
+
     return json(
       {
         success: true,
@@ -344,8 +458,9 @@ export async function POST({ request, cookies }) {
           status: insertedRequest.status,
           created_at: insertedRequest.created_at,
         },
+        quota: describeQuota(quotaAfter),
       },
-      { status: 201 },
+      { status: 201, headers: quotaHeaders(quotaAfter) },
     );
   } catch (error) {
     console.error("❌ Game request submission error:", error);
@@ -497,6 +612,7 @@ export async function GET({ url, cookies, request }) {
     const limit = parseInt(url.searchParams.get("limit")) || 20;
     const offset = parseInt(url.searchParams.get("offset")) || 0;
     const status = url.searchParams.get("status");
+    const includeHistory = url.searchParams.get("include_history") === "true";
 
     // Build query
     let queryText = `
@@ -518,6 +634,13 @@ export async function GET({ url, cookies, request }) {
     const result = await query(queryText, params);
     const requests = result.rows;
 
+    // Opt-in: most callers want the list, and the timeline is one more query
+    // per page. Only the requester's own rows reach here, so every entry --
+    // notes included -- is theirs to see.
+    const history = includeHistory
+      ? await getRequestHistory(requests.map((req) => req.id))
+      : null;
+
     return json({
       success: true,
       requests: requests.map((req) => ({
@@ -526,6 +649,7 @@ export async function GET({ url, cookies, request }) {
           typeof req.platforms === "string"
             ? JSON.parse(req.platforms)
             : req.platforms,
+        ...(history && { history: history.get(req.id) || [] }),
       })),
     });
   } catch (error) {
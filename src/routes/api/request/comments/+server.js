@@ -0,0 +1,144 @@
+/**
+ * Comment thread on a game request
+ * GET lists the thread, POST appends to it. Open to the requester and to anyone
+ * with `request.edit`; internal comments are visible to, and writable by, the
+ * latter only.
+ */
+
+import { json, error } from "@sveltejs/kit";
+import { getAuthenticatedUser } from "$lib/auth.server.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { query } from "$lib/database.js";
+import {
+  COMMENT_MAX_LENGTH,
+  addRequestComment,
+  listRequestComments,
+  resolveCommentAccess,
+} from "$lib/requestComments.server.js";
+
+/**
+ * The caller, their local id, the request and what they may do on it.
+ *
+ * A request the caller may not comment on answers 404 rather than 403, as
+ * rescind does, so the endpoint does not confirm which request ids exist.
+ *
+ * @returns {Promise<{user: Object, localUserId: number, gameRequest: Object, access: Object}|Response>}
+ */
+async function loadThreadContext(cookies, request, requestId) {
+  const user = await getAuthenticatedUser(cookies, request);
+  if (!user) {
+    throw error(401, "Authentication required");
+  }
+
+  if (!requestId) {
+    throw error(400, "Missing request_id");
+  }
+
+  const localUserId = await getUserIdFromAuth(user, query);
+
+  const requestResult = await query(
+    "SELECT id, title, user_id, user_name, igdb_id FROM ggr_game_requests WHERE id = $1",
+    [requestId],
+  );
+  const gameRequest = requestResult.rows[0];
+  const access = gameRequest
+    ? await resolveCommentAccess(gameRequest, localUserId)
+    : null;
+
+  if (!access?.canComment) {
+    return json(
+      { success: false, error: "Request not found" },
+      { status: 404 },
+    );
+  }
+
+  return { user, localUserId, gameRequest, access };
+}
+
+export async function GET({ url, request, cookies }) {
+  try {
+    const context = await loadThreadContext(
+      cookies,
+      request,
+      url.searchParams.get("request_id"),
+    );
+    if (context instanceof Response) return context;
+
+    const { gameRequest, access } = context;
+    const threads = await listRequestComments([gameRequest.id], {
+      includeInternal: access.isStaff,
+    });
+
+    return json({
+      success: true,
+      comments: threads.get(gameRequest.id) || [],
+      can_post_internal: access.isStaff,
+    });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("List request comments error:", err);
+    throw error(500, "Failed to load comments");
+  }
+}
+
+export async function POST({ request, cookies }) {
+  try {
+    // A malformed body is reported as a missing request_id, after the
+    // authentication check, rather than as a 500 before it.
+    const payload = await request.json().catch(() => ({}));
+
+    const context = await loadThreadContext(
+      cookies,
+      request,
+      payload.request_id,
+    );
+    if (context instanceof Response) return context;
+
+    const { user, localUserId, gameRequest, access } = context;
+
+    const body = typeof payload.body === "string" ? payload.body.trim() : "";
+    if (!body) {
+      return json(
+        { success: false, error: "Comment cannot be empty" },
+        { status: 400 },
+      );
+    }
+    if (body.length > COMMENT_MAX_LENGTH) {
+      return json(
+        {
+          success: false,
+          error: `Comment must be ${COMMENT_MAX_LENGTH} characters or fewer`,
+        },
+        { status: 400 },
+      );
+    }
+
+    // Refused rather than quietly posted as public: a requester who somehow
+    // sends the flag meant it to be private, and publishing it would be worse.
+    const internal = payload.internal === true;
+    if (internal && !access.isStaff) {
+      return json(
+        {
+          success: false,
+          error: "Only staff can post internal comments",
+        },
+        { status: 403 },
+      );
+    }
+
+    const comment = await addRequestComment({
+      request: gameRequest,
+      authorId: localUserId,
+      authorName:
+        user.name || user.preferred_username || user.username || user.email,
+      body,
+      internal,
+    });
+
+    return json({ success: true, comment }, { status: 201 });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Post request comment error:", err);
+    throw error(500, "Failed to post comment");
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * The caller's request quota
+ * What POST /api/request would allow right now, per request type, so a form
+ * can show "3 left this week" before the user fills it in. POST's responses
+ * carry the same numbers as X-RateLimit-* headers.
+ */
+
+import { json, error } from "@sveltejs/kit";
+import { getAuthenticatedUser } from "$lib/auth.server.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { query } from "$lib/database.js";
+import {
+  QUOTA_SCOPES,
+  checkRequestQuota,
+  describeQuota,
+  quotaHeaders,
+} from "$lib/requestQuota.server.js";
+
+const REQUEST_TYPES = QUOTA_SCOPES.filter((scope) => scope !== "all");
+
+export async function GET({ url, request, cookies }) {
+  try {
+    const user = await getAuthenticatedUser(cookies, request);
+    if (!user) {
+      throw error(401, "Authentication required");
+    }
+    const localUserId = await getUserIdFromAuth(user, query);
+
+    const only = url.searchParams.get("request_type");
+    if (only && !REQUEST_TYPES.includes(only)) {
+      throw error(
+        400,
+        "Invalid request_type. Must be one of: game, update, fix",
+      );
+    }
+
+    const types = only ? [only] : REQUEST_TYPES;
+    const quotas = {};
+    for (const type of types) {
+      quotas[type] = await checkRequestQuota(localUserId, type);
+    }
+
+    return json(
+      {
+        success: true,
+        quotas: Object.fromEntries(
+          types.map((type) => [type, describeQuota(quotas[type])]),
+        ),
+      },
+      // Headers only make sense for a single type.
+      { headers: only ? quotaHeaders(quotas[only]) : {} },
+    );
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Request quota error:", err);
+    throw error(500, "Failed to read request quota");
+  }
+}
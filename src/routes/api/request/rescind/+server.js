@@ -1,13 +1,17 @@
 /**
  * Rescind (withdraw) a game request
- * Allows users to withdraw their own pending or approved requests
+ * Allows users to withdraw their own open requests
  */
 
 import { json, error } from "@sveltejs/kit";
 import { getAuthenticatedUser } from "$lib/auth.server.js";
 import { getUserIdFromAuth } from "$lib/getUserId.js";
 import { query } from "$lib/database.js";
-import { applyRequestStatusChange } from "$lib/requestStatus.server.js";
+import { OPEN_STATUSES } from "$lib/requestPolicy.server.js";
+import {
+  applyRequestStatusChange,
+  REQUEST_SOURCES,
+} from "$lib/requestStatus.server.js";
 
 export async function POST({ request, cookies }) {
   try {
@@ -49,12 +53,14 @@ export async function POST({ request, cookies }) {
 
     const gameRequest = requestCheck.rows[0];
 
-    // Check if request can be rescinded (only pending and approved requests)
-    if (!["pending", "approved"].includes(gameRequest.status)) {
+    // Check if request can be rescinded (only open requests). One being
+    // downloaded still can: the pipeline's next callback is refused, and it
+    // stops there.
+    if (!OPEN_STATUSES.includes(gameRequest.status)) {
       return json(
         {
           success: false,
-          error: `Cannot rescind ${gameRequest.status} requests. Only pending or approved requests can be rescinded.`,
+          error: `Cannot rescind ${gameRequest.status} requests. Only pending, approved or in-progress requests can be rescinded.`,
         },
         { status: 400 },
       );
@@ -69,11 +75,16 @@ export async function POST({ request, cookies }) {
     // Ownership is already established by the SELECT above; the owner writes by
     // id alone. No conflict branch is needed: `cancelled` leaves the open set
     // rather than entering it, so it cannot violate the duplicate-guard
-    // indexes, which cover only `pending` and `approved`.
+    // indexes, which cover only the open statuses.
     const { row: updatedRequest } = await applyRequestStatusChange({
       id: request_id,
       to: "cancelled",
       actor: user.name || user.email || gameRequest.user_name,
+      actorId: localUserId,
+      source:
+        user.auth_type === "api_key"
+          ? REQUEST_SOURCES.API_KEY
+          : REQUEST_SOURCES.RESCIND,
     });
 
     if (!updatedRequest) {
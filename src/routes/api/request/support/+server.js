@@ -0,0 +1,108 @@
+/**
+ * "Me too" on an open game request
+ * POST attaches the caller as a supporter, DELETE withdraws them. Both answer
+ * with the request's current supporter list, so the caller can redraw its count
+ * without a second round trip.
+ */
+
+import { json, error } from "@sveltejs/kit";
+import { getAuthenticatedUser } from "$lib/auth.server.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { query } from "$lib/database.js";
+import {
+  addSupporter,
+  isRequestId,
+  listSupporters,
+  removeSupporter,
+} from "$lib/requestSupport.server.js";
+
+// addSupporter's refusals, as responses. 404 for a request that does not
+// exist; 409 for the two that exist but cannot take this supporter.
+const REFUSALS = {
+  not_found: { status: 404, error: "Request not found" },
+  not_open: {
+    status: 409,
+    error: "This request is no longer open and cannot take supporters.",
+  },
+  own_request: {
+    status: 409,
+    error: "You made this request, so you are already counted.",
+  },
+};
+
+async function authenticate(cookies, request) {
+  const user = await getAuthenticatedUser(cookies, request);
+  if (!user) {
+    throw error(401, "Authentication required");
+  }
+  const localUserId = await getUserIdFromAuth(user, query);
+  return { user, localUserId };
+}
+
+async function readRequestId(request) {
+  const { request_id } = await request.json().catch(() => ({}));
+  if (!request_id) {
+    throw error(400, "Missing request_id");
+  }
+  if (!isRequestId(request_id)) {
+    throw error(400, "request_id must be a request UUID");
+  }
+  return request_id;
+}
+
+async function supportersResponse(requestId, extra = {}) {
+  const supporters = (await listSupporters([requestId])).get(requestId) || [];
+  return json({
+    success: true,
+    ...extra,
+    supporter_count: supporters.length,
+    supporters: supporters.map(({ user_id, user_name, created_at }) => ({
+      user_id,
+      user_name,
+      created_at,
+    })),
+  });
+}
+
+export async function POST({ request, cookies }) {
+  try {
+    const { user, localUserId } = await authenticate(cookies, request);
+    const requestId = await readRequestId(request);
+
+    const outcome = await addSupporter({
+      requestId,
+      userId: localUserId,
+      userName:
+        user.name || user.preferred_username || user.username || user.email,
+    });
+
+    const refusal = REFUSALS[outcome.reason];
+    if (refusal) {
+      return json(
+        { success: false, error: refusal.error },
+        { status: refusal.status },
+      );
+    }
+
+    return supportersResponse(requestId, { added: outcome.added });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Support request error:", err);
+    throw error(500, "Failed to support request");
+  }
+}
+
+export async function DELETE({ request, cookies }) {
+  try {
+    const { localUserId } = await authenticate(cookies, request);
+    const requestId = await readRequestId(request);
+
+    const removed = await removeSupporter({ requestId, userId: localUserId });
+
+    return supportersResponse(requestId, { removed });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Withdraw support error:", err);
+    throw error(500, "Failed to withdraw support");
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * The signed-in user's in-app notifications
+ * GET lists the newest with the unread count, for the sidebar bell. POST marks
+ * some of them read by id, or all of them with `{ all: true }`, and answers
+ * with the new unread count.
+ */
+
+import { json, error } from "@sveltejs/kit";
+import { getAuthenticatedUser } from "$lib/auth.server.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { query } from "$lib/database.js";
+import {
+  listUserNotifications,
+  markUserNotificationsRead,
+} from "$lib/userNotifications.server.js";
+
+async function authenticate(cookies, request) {
+  const user = await getAuthenticatedUser(cookies, request);
+  if (!user) {
+    throw error(401, "Authentication required");
+  }
+  return getUserIdFromAuth(user, query);
+}
+
+export async function GET({ url, cookies, request }) {
+  try {
+    const localUserId = await authenticate(cookies, request);
+
+    const { notifications, unread_count } = await listUserNotifications(
+      localUserId,
+      {
+        limit: url.searchParams.get("limit") ?? undefined,
+        unreadOnly: url.searchParams.get("unread") === "true",
+      },
+    );
+
+    return json({ success: true, notifications, unread_count });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("List notifications error:", err);
+    throw error(500, "Failed to load notifications");
+  }
+}
+
+export async function POST({ request, cookies }) {
+  try {
+    const localUserId = await authenticate(cookies, request);
+    const body = await request.json().catch(() => ({}));
+
+    let ids = null;
+    if (body?.all !== true) {
+      if (!Array.isArray(body?.ids)) {
+        return json(
+          { success: false, error: "Send ids, or all: true" },
+          { status: 400 },
+        );
+      }
+      ids = body.ids.map(Number).filter(Number.isSafeInteger);
+    }
+
+    const marked = await markUserNotificationsRead(localUserId, ids);
+    const { unread_count } = await listUserNotifications(localUserId, {
+      limit: 1,
+    });
+
+    return json({ success: true, marked, unread_count });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Mark notifications read error:", err);
+    throw error(500, "Failed to mark notifications read");
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * The signed-in user's notification settings
+ * GET answers with the channels chosen for each event and the user's own ntfy
+ * topic and Discord webhook. POST replaces them; a channel picked without the
+ * details it needs is refused with 400 and the reason.
+ */
+
+import { json, error } from "@sveltejs/kit";
+import { getAuthenticatedUser } from "$lib/auth.server.js";
+import { getUserIdFromAuth } from "$lib/getUserId.js";
+import { query } from "$lib/database.js";
+import {
+  getUserNotificationSettings,
+  saveUserNotificationSettings,
+  validateUserNotificationSettings,
+} from "$lib/userNotifications.server.js";
+
+async function authenticate(cookies, request) {
+  const user = await getAuthenticatedUser(cookies, request);
+  if (!user) {
+    throw error(401, "Authentication required");
+  }
+  return getUserIdFromAuth(user, query);
+}
+
+export async function GET({ cookies, request }) {
+  try {
+    const localUserId = await authenticate(cookies, request);
+    const settings = await getUserNotificationSettings(localUserId);
+    return json({ success: true, settings });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Get notification settings error:", err);
+    throw error(500, "Failed to load notification settings");
+  }
+}
+
+export async function POST({ request, cookies }) {
+  try {
+    const localUserId = await authenticate(cookies, request);
+
+    let body;
+    try {
+      body = await request.json();
+    } catch {
+      return json(
+        { success: false, error: "Body must be JSON" },
+        { status: 400 },
+      );
+    }
+
+    // Validated here as well as on save, so a mistake is a 400 with the
+    // reason rather than a 500.
+    try {
+      await validateUserNotificationSettings(body);
+    } catch (invalid) {
+      return json({ success: false, error: invalid.message }, { status: 400 });
+    }
+
+    const settings = await saveUserNotificationSettings(localUserId, body);
+    return json({
+      success: true,
+      message: "Notification settings saved",
+      settings,
+    });
+  } catch (err) {
+    if (err.status) throw err;
+    console.error("Save notification settings error:", err);
+    throw error(500, "Failed to save notification settings");
+  }
+}
@@ -19,7 +19,10 @@ export async function GET() {
   // bad kind gets reported.
   let libraryConfigured = false;
   try {
-    libraryConfigured = !!resolveLibraryConfig().url;
+    const config = resolveLibraryConfig();
+    // The filesystem backend has directories where the others have a server.
+    libraryConfigured =
+      config.kind === "filesystem" ? config.roots.length > 0 : !!config.url;
   } catch (configError) {
     console.warn(
       "Library configuration is invalid:",
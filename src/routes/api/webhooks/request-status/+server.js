@@ -0,0 +1,100 @@
+/**
+ * Progress callbacks from the download pipeline
+ * POST reports queued, downloading, failed or completed for a request, keyed
+ * by the `request_id` the approval webhook carried. Public in hooks.server.js:
+ * the signature is the authentication, so a pipeline needs no admin API key.
+ */
+
+import { json } from "@sveltejs/kit";
+import { verifyWebhookSignature } from "$lib/webhooks.server.js";
+import {
+  applyRequestProgress,
+  requestCallbackSecret,
+  validateProgressUpdate,
+} from "$lib/requestProgress.server.js";
+
+// applyRequestProgress's refusals, as responses. 409 tells the pipeline the
+// request was closed or never approved, and that it should stop.
+const REFUSALS = {
+  not_found: { status: 404, error: "Request not found" },
+  not_approved: {
+    status: 409,
+    error: "This request is not approved, so there is no download to report.",
+  },
+};
+
+export async function POST({ request }) {
+  // Without a secret there is nothing to verify against, and an unsigned
+  // callback must never be accepted. 404 rather than 401, so the route does
+  // not advertise itself on installs that have not set it up.
+  const secret = requestCallbackSecret();
+  if (!secret) {
+    return json({ success: false, error: "Not found" }, { status: 404 });
+  }
+
+  try {
+    // The raw body, not request.json(): the signature covers the bytes sent.
+    const body = await request.text();
+    const verified = verifyWebhookSignature({
+      secret,
+      body,
+      timestamp: request.headers.get("x-webhook-timestamp"),
+      signature: request.headers.get("x-webhook-signature"),
+    });
+    if (!verified) {
+      return json(
+        { success: false, error: "Invalid or expired signature" },
+        { status: 401 },
+      );
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return json(
+        { success: false, error: "Body must be JSON" },
+        { status: 400 },
+      );
+    }
+
+    const { update, error } = validateProgressUpdate(parsed);
+    if (error) {
+      return json({ success: false, error }, { status: 400 });
+    }
+
+    const outcome = await applyRequestProgress(update);
+
+    const refusal = REFUSALS[outcome.reason];
+    if (refusal) {
+      return json(
+        {
+          success: false,
+          error: refusal.error,
+          status: outcome.request?.status ?? null,
+        },
+        { status: refusal.status },
+      );
+    }
+
+    const { request: stored } = outcome;
+    return json({
+      success: true,
+      changed: outcome.changed,
+      request: {
+        id: stored.id,
+        status: stored.status,
+        progress_state: stored.progress_state ?? null,
+        progress_percent: stored.progress_percent ?? null,
+        progress_message: stored.progress_message ?? null,
+        progress_updated_at: stored.progress_updated_at ?? null,
+      },
+    });
+  } catch (err) {
+    console.error("Request progress callback error:", err);
+    return json(
+      { success: false, error: "Failed to record progress" },
+      { status: 500 },
+    );
+  }
+}
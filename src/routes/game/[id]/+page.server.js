@@ -7,6 +7,36 @@ import { getGameById } from "$lib/gameCache.js";
 import { watchlist } from "$lib/database.js";
 import { crossReferenceWithROMM } from "$lib/romm.server.js";
 import { cacheGameDetails, withCache } from "$lib/cache.js";
+import { findOpenDuplicate } from "$lib/requestPolicy.server.js";
+import { listSupporters } from "$lib/requestSupport.server.js";
+import { entriesByIgdbIds } from "$lib/library/router.js";
+
+/**
+ * Which libraries hold this game, and on which platforms.
+ *
+ * From the index, so every configured library answers -- the cross-reference
+ * above names at most one copy, and only links the primary library's. Empty
+ * when no index is ready; the badge still says what it can.
+ *
+ * @param {string} gameId - IGDB id
+ * @returns {Promise<Array<{kind: string, name: string, platforms: string[]}>>}
+ */
+async function loadLibraryHoldings(gameId) {
+  const { entries } = await entriesByIgdbIds([gameId]);
+  const byKind = new Map();
+  for (const entry of entries) {
+    const holding = byKind.get(entry.libraryKind) ?? {
+      kind: entry.libraryKind,
+      name: entry.libraryName,
+      platforms: [],
+    };
+    if (entry.platformName && !holding.platforms.includes(entry.platformName)) {
+      holding.platforms.push(entry.platformName);
+    }
+    byKind.set(entry.libraryKind, holding);
+  }
+  return [...byKind.values()];
+}
 
 export async function load({ params, parent, request, url }) {
   const { user } = await parent();
@@ -71,10 +101,10 @@ export async function load({ params, parent, request, url }) {
 
     // Check if game is in user's watchlist
     let isInWatchlist = false;
+    let userId = null;
     if (user) {
       try {
         // Get user's local database ID using the same logic as API endpoints
-        let userId;
         if (user.sub?.startsWith("basic_auth_")) {
           // For Basic Auth users, extract actual user ID from sub
           userId = user.sub.replace("basic_auth_", "");
@@ -102,9 +132,51 @@ export async function load({ params, parent, request, url }) {
       }
     }
 
+    // The open request for this game, if someone has made one, so the page can
+    // offer to back it rather than sending the user to make a duplicate.
+    let openRequest = null;
+    try {
+      const existing = await findOpenDuplicate({
+        igdbId: gameId,
+        title: game.title,
+        requestType: "game",
+      });
+      if (existing) {
+        const supporters =
+          (await listSupporters([existing.id])).get(existing.id) || [];
+        openRequest = {
+          id: existing.id,
+          status: existing.status,
+          user_name: existing.user_name,
+          is_mine:
+            userId != null && String(existing.user_id) === String(userId),
+          is_supporter: supporters.some(
+            (supporter) => String(supporter.user_id) === String(userId),
+          ),
+          supporters: supporters.map(({ user_id, user_name }) => ({
+            user_id,
+            user_name,
+          })),
+        };
+      }
+    } catch (requestError) {
+      console.error("Failed to load open request for game:", requestError);
+      // Continue without it; the page falls back to "Request This Game"
+    }
+
+    let libraryHoldings = [];
+    try {
+      libraryHoldings = await loadLibraryHoldings(gameId);
+    } catch (libraryError) {
+      console.warn("Failed to load library holdings for game:", libraryError);
+      // Continue without them; the page shows no library panel
+    }
+
     return {
       game,
       isInWatchlist,
+      openRequest,
+      libraryHoldings,
     };
   } catch (err) {
     console.error("Game details load error:", err);
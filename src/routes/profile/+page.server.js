@@ -4,9 +4,21 @@
 
 import { redirect } from "@sveltejs/kit";
 import { query } from "$lib/database.js";
-import { getUserWatchlist, getUserRequests } from "$lib/userProfile.js";
+import {
+  getUserWatchlist,
+  getUserRequests,
+  userHasPermission,
+} from "$lib/userProfile.js";
 import { getUserPreferences } from "$lib/userPreferences.js";
 import { getAvailableGenres } from "$lib/genreFiltering.js";
+import { getRequestHistory } from "$lib/requestStatus.server.js";
+import {
+  USER_NOTIFICATION_CHANNELS,
+  USER_NOTIFICATION_EVENTS,
+  describeUserNotificationChannels,
+  getUserNotificationSettings,
+} from "$lib/userNotifications.server.js";
+import { ASSIGNEE_PERMISSION } from "$lib/requestAssignment.server.js";
 
 export async function load({ parent, depends }) {
   // Add dependency for watchlist data invalidation
@@ -45,32 +57,59 @@ export async function load({ parent, depends }) {
 
     localUserId = userResult.rows[0].id;
 
-    // Fetch user's watchlist, requests, preferences, and available genres in parallel
-    const [userWatchlist, userRequests, userPreferences, availableGenres] =
-      await Promise.all([
-        getUserWatchlist(localUserId).catch((err) => {
-          console.error("Profile load: Failed to get watchlist:", err);
-          return [];
-        }),
-        getUserRequests(localUserId).catch((err) => {
+    // Fetch watchlist, requests, preferences, genres and notification settings in parallel
+    const [
+      userWatchlist,
+      userRequests,
+      userPreferences,
+      availableGenres,
+      notificationSettings,
+      notificationChannels,
+      assignable,
+    ] = await Promise.all([
+      getUserWatchlist(localUserId).catch((err) => {
+        console.error("Profile load: Failed to get watchlist:", err);
+        return [];
+      }),
+      getUserRequests(localUserId)
+        .then(attachHistory)
+        .catch((err) => {
           console.error("Profile load: Failed to get requests:", err);
           return [];
         }),
-        getUserPreferences(localUserId).catch((err) => {
-          console.error("Profile load: Failed to get user preferences:", err);
-          return null;
-        }),
-        getAvailableGenres().catch((err) => {
-          console.error("Profile load: Failed to get available genres:", err);
-          return [];
-        }),
-      ]);
+      getUserPreferences(localUserId).catch((err) => {
+        console.error("Profile load: Failed to get user preferences:", err);
+        return null;
+      }),
+      getAvailableGenres().catch((err) => {
+        console.error("Profile load: Failed to get available genres:", err);
+        return [];
+      }),
+      getUserNotificationSettings(localUserId).catch((err) => {
+        console.error(
+          "Profile load: Failed to get notification settings:",
+          err,
+        );
+        return null;
+      }),
+      // Email is offered only once an admin has set up SMTP.
+      describeUserNotificationChannels(),
+      // Only someone who can be assigned requests is asked about it.
+      userHasPermission(localUserId, ASSIGNEE_PERMISSION),
+    ]);
 
     return {
       userWatchlist,
       userRequests,
       userPreferences,
       availableGenres,
+      notificationSettings,
+      notificationEvents: assignable
+        ? USER_NOTIFICATION_EVENTS
+        : USER_NOTIFICATION_EVENTS.filter(
+            ({ name }) => name !== "request.assigned",
+          ),
+      notificationChannels,
       localUserId, // Pass this for API calls
     };
   } catch (error) {
@@ -85,7 +124,26 @@ export async function load({ parent, depends }) {
       userRequests: [],
       userPreferences: null,
       availableGenres: [],
+      notificationSettings: null,
+      notificationEvents: USER_NOTIFICATION_EVENTS,
+      notificationChannels: USER_NOTIFICATION_CHANNELS,
       localUserId: null,
     };
   }
 }
+
+/**
+ * Give each request its status timeline.
+ *
+ * The timeline is extra detail, not the list: if it cannot be read the
+ * requests are still returned, just without it.
+ */
+async function attachHistory(requests) {
+  try {
+    const history = await getRequestHistory(requests.map((r) => r.id));
+    return requests.map((r) => ({ ...r, history: history.get(r.id) || [] }));
+  } catch (err) {
+    console.error("Profile load: Failed to get request history:", err);
+    return requests;
+  }
+}
@@ -26,6 +26,25 @@ describe("resolveRequiredScope", () => {
     );
   });
 
+  it("maps withdrawing support, which the parent rules have no DELETE for", () => {
+    expect(resolveRequiredScope("/api/request/support", "DELETE")).toBe(
+      "requests:write",
+    );
+    expect(resolveRequiredScope("/api/request", "DELETE")).toBeNull();
+  });
+
+  it("treats a user's notifications and their settings as user data", () => {
+    expect(resolveRequiredScope("/api/user/notifications", "GET")).toBe(
+      "user:read",
+    );
+    expect(resolveRequiredScope("/api/user/notifications", "POST")).toBe(
+      "user:write",
+    );
+    expect(
+      resolveRequiredScope("/api/user/notifications/settings", "POST"),
+    ).toBe("user:write");
+  });
+
   it("does not match a path that merely shares a prefix string", () => {
     expect(resolveRequiredScope("/api/requests-elsewhere", "GET")).toBeNull();
   });
@@ -70,13 +89,20 @@ describe("resolveRequiredScope", () => {
     );
   });
 
+  it("treats the library search as a game read", () => {
+    expect(resolveRequiredScope("/api/library/search", "GET")).toBe(
+      "games:read",
+    );
+    expect(resolveRequiredScope("/api/library/search", "POST")).toBeNull();
+  });
+
   it("treats HEAD as GET", () => {
     expect(resolveRequiredScope("/api/request", "HEAD")).toBe("requests:read");
   });
 
   it("maps the webhook relay, which is not the public route it looks like", () => {
-    // hooks.server.js lists "/api/webhooks/" as public, but the real path has no
-    // trailing slash so it never matched and the route has always been
+    // hooks.server.js used to list "/api/webhooks/" as public, but the real path
+    // has no trailing slash so it never matched and the route has always been
     // authenticated. Unmapped, default-deny rejected every API key that used it.
     expect(resolveRequiredScope("/api/webhooks", "POST")).toBe("admin:write");
   });
@@ -0,0 +1,62 @@
+/**
+ * Coverage for the CSV the request export writes and the import reads.
+ *
+ * The files go through a spreadsheet and back, so what is pinned is the round
+ * trip: commas, quotes and line breaks inside a field survive it, and so does
+ * a title a spreadsheet would otherwise run as a formula.
+ */
+
+import { describe, expect, it } from "vitest";
+import { parseCsv, toCsv } from "$lib/csv.js";
+
+describe("toCsv", () => {
+  it("quotes only the fields that need it", () => {
+    expect(
+      toCsv(
+        ["title", "reason", "igdb_id"],
+        [
+          { title: "Okami", reason: 'Says "brush", twice', igdb_id: 1234 },
+          { title: "Celeste", reason: "line one\nline two", igdb_id: null },
+        ],
+      ),
+    ).toBe(
+      'title,reason,igdb_id\r\nOkami,"Says ""brush"", twice",1234\r\nCeleste,"line one\nline two",\r\n',
+    );
+  });
+
+  it("keeps a spreadsheet from running a cell as a formula", () => {
+    expect(toCsv(["title"], [{ title: "=HYPERLINK(1)" }])).toBe(
+      "title\r\n'=HYPERLINK(1)\r\n",
+    );
+  });
+});
+
+describe("parseCsv", () => {
+  it("reads back what toCsv wrote", () => {
+    const rows = [
+      { title: "Okami", reason: 'Says "brush", twice' },
+      { title: "=1+1", reason: "line one\r\nline two" },
+    ];
+
+    const parsed = parseCsv(toCsv(["title", "reason"], rows));
+
+    expect(parsed.columns).toEqual(["title", "reason"]);
+    expect(parsed.rows.map((row) => row.values)).toEqual(rows);
+  });
+
+  it("numbers records by the line they start on, past blank lines and breaks in quotes", () => {
+    const parsed = parseCsv(
+      '\uFEFFTitle ,Reason\n"Okami","two\nlines"\n\nCeleste\n',
+    );
+
+    expect(parsed.columns).toEqual(["title", "reason"]);
+    expect(parsed.rows).toEqual([
+      { line: 2, values: { title: "Okami", reason: "two\nlines" } },
+      { line: 5, values: { title: "Celeste", reason: "" } },
+    ]);
+  });
+
+  it("refuses a quoted field that never ends", () => {
+    expect(() => parseCsv('title\n"Okami')).toThrow("never closed");
+  });
+});
@@ -20,6 +20,18 @@ const KEYS = [
   "ROMM_API_TOKEN",
   "ROMM_USERNAME",
   "ROMM_PASSWORD",
+  "LIBRARY_AUTO_FULFIL",
+  "LIBRARY_FS_ROOTS",
+  "LIBRARY_FS_PLATFORMS",
+  "LIBRARIES",
+  "LIBRARY_ROMM_URL",
+  "LIBRARY_GASEOUS_URL",
+  "LIBRARY_GASEOUS_USERNAME",
+  "LIBRARY_GASEOUS_SYNC_INTERVAL_MS",
+  "LIBRARY_SYNC_INTERVAL_MS",
+  "LIBRARY_MATCH_ENABLED",
+  "LIBRARY_MATCH_BATCH",
+  "LIBRARY_MATCH_MIN_CONFIDENCE",
 ];
 
 async function fresh() {
@@ -74,7 +86,7 @@ describe("resolveLibraryConfig", () => {
   it("accepts every supported kind", async () => {
     const { resolveLibraryConfig, LIBRARY_KINDS } = await fresh();
 
-    expect(LIBRARY_KINDS).toEqual(["romm", "gaseous", "retrom"]);
+    expect(LIBRARY_KINDS).toEqual(["romm", "gaseous", "retrom", "filesystem"]);
 
     for (const kind of LIBRARY_KINDS) {
       process.env.LIBRARY_KIND = kind;
@@ -154,4 +166,172 @@ describe("resolveLibraryConfig", () => {
 
     expect(resolveLibraryConfig()).not.toHaveProperty("checkTimeoutMs");
   });
+
+  it("leaves auto-fulfil off unless it is exactly true", async () => {
+    // Turning it on closes requests nobody chose to close, so an upgraded
+    // install must not start doing that -- and "false" is a non-empty string.
+    process.env.LIBRARY_AUTO_FULFIL = "false";
+    const { resolveLibraryConfig } = await fresh();
+    expect(resolveLibraryConfig().autoFulfil).toBe(false);
+
+    process.env.LIBRARY_AUTO_FULFIL = "true";
+    expect(resolveLibraryConfig().autoFulfil).toBe(true);
+  });
+
+  it("leaves IGDB matching off unless asked, with a guarded threshold", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { resolveLibraryConfig } = await fresh();
+
+    expect(resolveLibraryConfig()).toMatchObject({
+      matchEnabled: false,
+      matchBatchSize: 50,
+      matchIntervalMs: 500,
+      matchMinConfidence: 0.9,
+    });
+
+    process.env.LIBRARY_MATCH_ENABLED = "true";
+    process.env.LIBRARY_MATCH_BATCH = "20";
+    // Above 1 nothing could ever be used without review; refused, not read.
+    process.env.LIBRARY_MATCH_MIN_CONFIDENCE = "1.5";
+    expect(resolveLibraryConfig()).toMatchObject({
+      matchEnabled: true,
+      matchBatchSize: 20,
+      matchMinConfidence: 0.9,
+    });
+    expect(warn).toHaveBeenCalledWith(
+      expect.stringContaining("LIBRARY_MATCH_MIN_CONFIDENCE"),
+    );
+    warn.mockRestore();
+  });
+
+  it("matches a filesystem library's entries unless told not to", async () => {
+    // A file carries no IGDB id, so without matching the library would never
+    // count as holding anything.
+    process.env.LIBRARIES = "romm,filesystem";
+    const { resolveLibraryConfigs } = await fresh();
+
+    expect(
+      resolveLibraryConfigs().map((config) => config.matchEnabled),
+    ).toEqual([false, true]);
+
+    process.env.LIBRARY_MATCH_ENABLED = "false";
+    expect(
+      resolveLibraryConfigs().map((config) => config.matchEnabled),
+    ).toEqual([false, false]);
+  });
+
+  it("reads the filesystem roots, with or without a platform each", async () => {
+    process.env.LIBRARY_FS_ROOTS =
+      " /roms , /games/pc=PC (Microsoft Windows), relative/dir ,";
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { resolveLibraryConfig } = await fresh();
+
+    expect(resolveLibraryConfig().roots).toEqual([
+      { path: "/roms", platform: null },
+      { path: "/games/pc", platform: "PC (Microsoft Windows)" },
+    ]);
+    // Relative to wherever the server started is nowhere anyone chose.
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("relative/dir"));
+    warn.mockRestore();
+  });
+
+  it("reads folder names to platforms, lower-casing the folder", async () => {
+    process.env.LIBRARY_FS_PLATFORMS =
+      "SFC=Super Famicom, junk, md=Sega Mega Drive/Genesis";
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { resolveLibraryConfig } = await fresh();
+
+    expect(resolveLibraryConfig().platformFolders).toEqual({
+      sfc: "Super Famicom",
+      md: "Sega Mega Drive/Genesis",
+    });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("junk"));
+    warn.mockRestore();
+  });
+
+  it("reads no filesystem roots unless given some", async () => {
+    const { resolveLibraryConfig } = await fresh();
+    expect(resolveLibraryConfig().roots).toEqual([]);
+  });
+});
+
+describe("resolveLibraryConfigs", () => {
+  beforeEach(() => {
+    for (const key of KEYS) delete process.env[key];
+  });
+
+  it("is the one library LIBRARY_KIND names when LIBRARIES is unset", async () => {
+    process.env.LIBRARY_KIND = "gaseous";
+    const { resolveLibraryConfigs } = await fresh();
+
+    const configs = resolveLibraryConfigs();
+
+    expect(configs.map(({ kind, primary }) => [kind, primary])).toEqual([
+      ["gaseous", true],
+    ]);
+  });
+
+  it("gives each listed library its own settings, and the first the unprefixed ones", async () => {
+    process.env.LIBRARIES = "romm, Gaseous";
+    process.env.LIBRARY_URL = "http://romm.test";
+    process.env.LIBRARY_GASEOUS_URL = "http://gaseous.test";
+    process.env.LIBRARY_GASEOUS_USERNAME = "admin@example.org";
+    const { resolveLibraryConfig, resolveLibraryConfigs } = await fresh();
+
+    const [romm, gaseous] = resolveLibraryConfigs();
+
+    expect(romm).toMatchObject({
+      kind: "romm",
+      primary: true,
+      url: "http://romm.test",
+    });
+    expect(gaseous).toMatchObject({
+      kind: "gaseous",
+      primary: false,
+      url: "http://gaseous.test",
+      username: "admin@example.org",
+    });
+    expect(resolveLibraryConfig()).toEqual(romm);
+
+    // LIBRARY_URL is the primary's. Read for Gaseous too, it would point both
+    // at one server.
+    delete process.env.LIBRARY_GASEOUS_URL;
+    expect(resolveLibraryConfigs()[1].url).toBeUndefined();
+  });
+
+  it("keeps reading ROMM_* for RomM wherever it is listed", async () => {
+    process.env.LIBRARIES = "gaseous,romm";
+    process.env.ROMM_SERVER_URL = "http://romm.test";
+    const { resolveLibraryConfigs } = await fresh();
+
+    const [gaseous, romm] = resolveLibraryConfigs();
+
+    expect(romm.url).toBe("http://romm.test");
+    // The primary has always read them, whatever its kind.
+    expect(gaseous.url).toBe("http://romm.test");
+
+    process.env.LIBRARY_ROMM_URL = "http://romm-own.test";
+    expect(resolveLibraryConfigs()[1].url).toBe("http://romm-own.test");
+  });
+
+  it("syncs each library on its own interval, defaulting to the shared one", async () => {
+    process.env.LIBRARIES = "romm,gaseous";
+    process.env.LIBRARY_SYNC_INTERVAL_MS = "600000";
+    process.env.LIBRARY_GASEOUS_SYNC_INTERVAL_MS = "60000";
+    const { resolveLibraryConfigs } = await fresh();
+
+    expect(resolveLibraryConfigs().map((c) => c.syncIntervalMs)).toEqual([
+      600000, 60000,
+    ]);
+  });
+
+  it("refuses an unknown kind, or one listed twice", async () => {
+    const { resolveLibraryConfigs } = await fresh();
+
+    process.env.LIBRARIES = "romm,plex";
+    expect(() => resolveLibraryConfigs()).toThrow(/plex/);
+
+    process.env.LIBRARIES = "romm,gaseous,romm";
+    expect(() => resolveLibraryConfigs()).toThrow(/"romm" twice/);
+  });
 });
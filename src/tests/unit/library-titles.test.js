@@ -0,0 +1,71 @@
+/**
+ * Coverage for reading a game's title out of a ROM set's file name.
+ *
+ * The filesystem backend shows these names and searches IGDB for them, so
+ * what is pinned is that the set's tags go and the title stays: brackets of
+ * any kind, extensions but not the dots inside a title, and the sorted-article
+ * form. matchableTitle goes further for the matching stage, and is pinned to
+ * stop at the end of the name.
+ */
+
+import { describe, expect, it } from "vitest";
+import { matchableTitle, titleFromFileName } from "$lib/library/titles.js";
+
+describe("titleFromFileName", () => {
+  it("drops the tags a ROM set adds", () => {
+    expect(titleFromFileName("Super Metroid (Japan, USA) (En,Ja).sfc")).toBe(
+      "Super Metroid",
+    );
+    expect(titleFromFileName("Sonic the Hedgehog (USA, Europe) [!].md")).toBe(
+      "Sonic the Hedgehog",
+    );
+    expect(titleFromFileName("Final_Fantasy_VII_(Disc 1)_(Rev 1).chd")).toBe(
+      "Final Fantasy VII",
+    );
+  });
+
+  it("keeps a dot that is part of the title", () => {
+    expect(titleFromFileName("Super Mario Bros. 3 (USA).nes")).toBe(
+      "Super Mario Bros. 3",
+    );
+    expect(titleFromFileName("Dr. Mario")).toBe("Dr. Mario");
+    expect(titleFromFileName("Half-Life 2.5", { isFile: false })).toBe(
+      "Half-Life 2.5",
+    );
+  });
+
+  it("puts a sorted article back in front", () => {
+    expect(titleFromFileName("Legend of Zelda, The (USA).nes")).toBe(
+      "The Legend of Zelda",
+    );
+  });
+
+  it("keeps the name when nothing would be left", () => {
+    expect(titleFromFileName("(Unknown).bin")).toBe("(Unknown).bin");
+  });
+});
+
+describe("matchableTitle", () => {
+  it("drops disc, revision, version and region markers outside brackets", () => {
+    expect(matchableTitle("Final Fantasy VII (USA) Disc 1")).toBe(
+      "Final Fantasy VII",
+    );
+    expect(matchableTitle("Metal Gear Solid Disc 1 of 2 Rev A")).toBe(
+      "Metal Gear Solid",
+    );
+    expect(matchableTitle("Quake v1.06")).toBe("Quake");
+    expect(matchableTitle("Myst CD2")).toBe("Myst");
+    expect(matchableTitle("Sonic the Hedgehog - Europe, Brazil")).toBe(
+      "Sonic the Hedgehog",
+    );
+  });
+
+  it("leaves a title that only starts like a marker", () => {
+    expect(matchableTitle("Disc Jam")).toBe("Disc Jam");
+    expect(matchableTitle("Revolution X")).toBe("Revolution X");
+    expect(matchableTitle("Pokemon - Red Version")).toBe(
+      "Pokemon - Red Version",
+    );
+    expect(matchableTitle("F.E.A.R")).toBe("F.E.A.R");
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Coverage for where a user's personal notifications may be sent.
+ *
+ * Any signed-in user types these URLs and the server then POSTs to them, so
+ * what is pinned is what gets refused: a "Discord" webhook on any host but
+ * Discord's, and an ntfy server on loopback, a private network or link-local
+ * -- the cloud metadata service above all -- however the address is spelt,
+ * and whatever a public-looking name resolves to.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const lookup = vi.fn();
+vi.mock("node:dns/promises", () => ({ lookup, default: { lookup } }));
+
+const { isDiscordWebhookUrl, isPublicAddress, isPublicHost, resolvesPublicly } =
+  await import("$lib/notifiers/destinations.js");
+
+beforeEach(() => {
+  lookup.mockReset();
+});
+
+describe("isDiscordWebhookUrl", () => {
+  it("accepts Discord's own webhook URLs", () => {
+    expect(isDiscordWebhookUrl("https://discord.com/api/webhooks/1/abc")).toBe(
+      true,
+    );
+    expect(
+      isDiscordWebhookUrl("https://discordapp.com/api/webhooks/1/abc"),
+    ).toBe(true);
+  });
+
+  it("refuses anything else", () => {
+    for (const url of [
+      "http://discord.com/api/webhooks/1/abc",
+      "https://discord.com:8443/api/webhooks/1/abc",
+      "https://discord.com/api/channels/1",
+      "https://discord.com.evil.example/api/webhooks/1/abc",
+      "https://user@discord.com/api/webhooks/1/abc",
+      "http://169.254.169.254/api/webhooks/1/abc",
+      "not a url",
+    ]) {
+      expect(isDiscordWebhookUrl(url)).toBe(false);
+    }
+  });
+});
+
+describe("isPublicAddress", () => {
+  it("refuses loopback, private, link-local and the like", () => {
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.16.0.1",
+      "172.31.255.255",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "224.0.0.1",
+      "::",
+      "::1",
+      "fc00::1",
+      "fd12:3456::1",
+      "fe80::1",
+      "::ffff:127.0.0.1",
+      "::ffff:a9fe:a9fe",
+      "64:ff9b::a9fe:a9fe",
+      "localhost",
+    ]) {
+      expect(isPublicAddress(address), address).toBe(false);
+    }
+  });
+
+  it("accepts public addresses", () => {
+    for (const address of [
+      "8.8.8.8",
+      "172.32.0.1",
+      "1.1.1.1",
+      "2606:4700:4700::1111",
+      "::ffff:8.8.8.8",
+    ]) {
+      expect(isPublicAddress(address), address).toBe(true);
+    }
+  });
+});
+
+describe("isPublicHost", () => {
+  it("judges the host as written", () => {
+    expect(isPublicHost("http://localhost:8080")).toBe(false);
+    expect(isPublicHost("http://ntfy.localhost")).toBe(false);
+    expect(isPublicHost("http://[::1]:80")).toBe(false);
+    expect(isPublicHost("http://2130706433")).toBe(false);
+    expect(isPublicHost("http://169.254.169.254/latest")).toBe(false);
+    expect(isPublicHost("https://ntfy.example.org")).toBe(true);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+});
+
+describe("resolvesPublicly", () => {
+  it("refuses a public-looking name that resolves to a private address", async () => {
+    lookup.mockResolvedValue([
+      { address: "203.0.113.9", family: 4 },
+      { address: "10.0.0.5", family: 4 },
+    ]);
+
+    expect(await resolvesPublicly("https://ntfy.example.org")).toBe(false);
+    expect(lookup).toHaveBeenCalledWith("ntfy.example.org", {
+      all: true,
+      verbatim: true,
+    });
+  });
+
+  it("refuses a name that does not resolve", async () => {
+    lookup.mockRejectedValue(new Error("ENOTFOUND"));
+
+    expect(await resolvesPublicly("https://ntfy.example.org")).toBe(false);
+  });
+
+  it("accepts a name whose every address is public", async () => {
+    lookup.mockResolvedValue([
+      { address: "203.0.113.9", family: 4 },
+      { address: "2001:db8::9", family: 6 },
+    ]);
+
+    expect(await resolvesPublicly("https://ntfy.example.org")).toBe(true);
+  });
+});
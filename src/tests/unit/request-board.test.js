@@ -0,0 +1,118 @@
+/**
+ * Coverage for the admin request board's layout and move rules.
+ *
+ * The board offers a drop only where the update endpoint would accept it, so
+ * canMoveTo has to agree with that endpoint's approve-permission list; a
+ * mismatch shows an admin a column that answers 403. groupBoard has to place
+ * every request somewhere -- a card missing from the board is a request no
+ * one is looking at -- and give every lane every column, so an empty one is
+ * still a drop target.
+ */
+
+import { describe, expect, it } from "vitest";
+import {
+  adjacentColumn,
+  BOARD_COLUMNS,
+  canMoveTo,
+  groupBoard,
+} from "$lib/requestBoard.js";
+
+const editor = { canApprove: false, canEdit: true };
+const approver = { canApprove: true, canEdit: false };
+
+function request(id, status, extra = {}) {
+  return { id, status, priority: "medium", request_type: "game", ...extra };
+}
+
+describe("canMoveTo", () => {
+  it("keeps the approve-guarded statuses to approvers", () => {
+    for (const status of ["approved", "in_progress", "rejected", "fulfilled"]) {
+      expect(canMoveTo(status, editor)).toBe(false);
+      expect(canMoveTo(status, approver)).toBe(true);
+    }
+  });
+
+  it("lets an editor move to the rest", () => {
+    for (const status of ["awaiting_release", "pending", "cancelled"]) {
+      expect(canMoveTo(status, editor)).toBe(true);
+    }
+    expect(canMoveTo("pending", { canApprove: false, canEdit: false })).toBe(
+      false,
+    );
+  });
+});
+
+describe("groupBoard", () => {
+  it("puts each request in its status column, in the order given", () => {
+    const [lane] = groupBoard([
+      request("a", "pending"),
+      request("b", "approved"),
+      request("c", "pending"),
+    ]);
+
+    expect(lane.label).toBeNull();
+    expect(lane.columns.map((column) => column.status)).toEqual(
+      BOARD_COLUMNS.map((column) => column.status),
+    );
+    const byStatus = Object.fromEntries(
+      lane.columns.map((column) => [
+        column.status,
+        column.requests.map((r) => r.id),
+      ]),
+    );
+    expect(byStatus.pending).toEqual(["a", "c"]);
+    expect(byStatus.approved).toEqual(["b"]);
+    expect(byStatus.cancelled).toEqual([]);
+  });
+
+  it("splits into swimlanes, each with every column", () => {
+    const board = groupBoard(
+      [
+        request("a", "pending", { priority: "urgent" }),
+        request("b", "pending", { priority: "low" }),
+      ],
+      "priority",
+    );
+
+    expect(board.map((lane) => lane.key)).toEqual([
+      "urgent",
+      "high",
+      "medium",
+      "low",
+    ]);
+    expect(board[0].columns[1].requests.map((r) => r.id)).toEqual(["a"]);
+    expect(board[1].columns).toHaveLength(BOARD_COLUMNS.length);
+    expect(board[3].columns[1].requests.map((r) => r.id)).toEqual(["b"]);
+  });
+
+  it("keeps a request whose lane value is unknown, in an Other lane", () => {
+    const board = groupBoard(
+      [request("a", "pending", { request_type: "dlc" })],
+      "type",
+    );
+
+    const other = board.at(-1);
+    expect(other).toMatchObject({ key: "other", label: "Other" });
+    expect(other.columns[1].requests.map((r) => r.id)).toEqual(["a"]);
+  });
+
+  it("falls back to one lane for an unknown lanes key", () => {
+    expect(groupBoard([request("a", "pending")], "status")).toHaveLength(1);
+  });
+});
+
+describe("adjacentColumn", () => {
+  it("steps one column, and stays put at either end", () => {
+    expect(adjacentColumn("pending", 1, approver)).toBe("approved");
+    expect(adjacentColumn("pending", -1, approver)).toBe("awaiting_release");
+    expect(adjacentColumn("awaiting_release", -1, approver)).toBe(
+      "awaiting_release",
+    );
+    expect(adjacentColumn("cancelled", 1, approver)).toBe("cancelled");
+  });
+
+  it("skips the columns the viewer may not move to", () => {
+    expect(adjacentColumn("pending", 1, editor)).toBe("cancelled");
+    expect(adjacentColumn("cancelled", -1, editor)).toBe("pending");
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Coverage for per-platform request status.
+ *
+ * platformKey is what lets a library's "Sony PlayStation 2" fulfil a request
+ * for "PlayStation 2"; too strict and a request waits forever for a copy it
+ * already has, too loose and the iOS version closes the Android one.
+ * platformStatuses is read by the server to decide a request is done and by
+ * the requester's list to show it, so it has to agree with itself: a platform
+ * shown ticked is a platform that was counted.
+ */
+
+import { describe, expect, it } from "vitest";
+import {
+  platformKey,
+  platformsSatisfied,
+  platformStatuses,
+  requestedPlatforms,
+} from "$lib/requestPlatforms.js";
+
+describe("platformKey", () => {
+  it("gives every spelling of one platform the same key", () => {
+    for (const [a, b] of [
+      ["PlayStation 2", "Sony PlayStation 2"],
+      ["PlayStation 2", "PS2"],
+      ["Nintendo Switch", "Switch"],
+      ["PC (Steam)", "PC (Microsoft Windows)"],
+      ["Xbox Series X/S", "Xbox Series X"],
+      ["Super Nintendo Entertainment System", "SNES"],
+    ]) {
+      expect(platformKey(a)).toBe(platformKey(b));
+    }
+  });
+
+  it("keeps different platforms apart", () => {
+    expect(platformKey("Mobile (iOS)")).not.toBe(
+      platformKey("Mobile (Android)"),
+    );
+    expect(platformKey("PlayStation 4")).not.toBe(platformKey("PlayStation 5"));
+    expect(platformKey("Nintendo Switch")).not.toBe(platformKey("Switch 2"));
+  });
+
+  it("matches an unknown name only letter for letter", () => {
+    expect(platformKey("Atari Jaguar")).toBe(platformKey("atari-jaguar"));
+    expect(platformKey("Atari Jaguar")).not.toBe(platformKey("Jaguar"));
+    expect(platformKey(null)).toBe("");
+  });
+});
+
+describe("requestedPlatforms", () => {
+  it("reads an array or its JSON string, once per name", () => {
+    expect(requestedPlatforms(["Wii", " Wii ", "", 3])).toEqual(["Wii"]);
+    expect(requestedPlatforms('["PlayStation 2","Wii"]')).toEqual([
+      "PlayStation 2",
+      "Wii",
+    ]);
+    expect(requestedPlatforms("not json")).toEqual([]);
+    expect(requestedPlatforms(null)).toEqual([]);
+  });
+});
+
+describe("platformStatuses", () => {
+  it("treats a platform with no row as required and outstanding", () => {
+    const [status] = platformStatuses({
+      status: "approved",
+      platforms: ["Wii"],
+    });
+
+    expect(status).toMatchObject({
+      platform: "Wii",
+      required: true,
+      fulfilled: false,
+    });
+  });
+
+  it("lays the rows over the request's platforms, in the request's order", () => {
+    const statuses = platformStatuses({
+      status: "approved",
+      platforms: ["Nintendo Switch", "PlayStation 2", "Wii"],
+      platform_state: [
+        { platform: "Wii", required: false, fulfilled_at: null },
+        {
+          platform: "Nintendo Switch",
+          required: true,
+          fulfilled_at: "2026-10-01T00:00:00Z",
+        },
+        // No longer on the request: ignored.
+        { platform: "GameCube", required: true, fulfilled_at: null },
+      ],
+    });
+
+    expect(
+      statuses.map(({ platform, required, fulfilled }) => [
+        platform,
+        required,
+        fulfilled,
+      ]),
+    ).toEqual([
+      ["Nintendo Switch", true, true],
+      ["PlayStation 2", true, false],
+      ["Wii", false, false],
+    ]);
+    expect(platformsSatisfied(statuses)).toBe(false);
+  });
+
+  it("counts every required platform of a fulfilled request as fulfilled", () => {
+    const statuses = platformStatuses({
+      status: "fulfilled",
+      platforms: ["Nintendo Switch", "Wii"],
+      platform_state: [
+        { platform: "Wii", required: false, fulfilled_at: null },
+      ],
+    });
+
+    expect(statuses.map((status) => status.fulfilled)).toEqual([true, false]);
+    expect(platformsSatisfied(statuses)).toBe(true);
+  });
+});
+
+describe("platformsSatisfied", () => {
+  it("needs a required platform to be satisfied by", () => {
+    expect(platformsSatisfied([])).toBe(false);
+    expect(
+      platformsSatisfied([
+        { platform: "Wii", required: false, fulfilled: false },
+      ]),
+    ).toBe(false);
+  });
+});
@@ -6,10 +6,11 @@
  * vi.mock("$lib/requestPolicy.server.js", ...), so neither query below has
  * ever run. findOpenDuplicate exists purely to agree with the two partial
  * unique indexes in migrations/009_request_duplicate_guard.sql -- igdb_id
- * present vs. null, both scoped to status IN ('pending', 'approved') -- so a
- * mismatch here (a swapped placeholder, `status = $3` instead of
- * `status = ANY($3)`) would let the pre-check and the index disagree and
- * turn a handled duplicate into an unhandled 500. These tests pin the SQL
+ * present vs. null, both scoped to status IN ('awaiting_release', 'pending',
+ * 'approved', 'in_progress') since migration 028 -- so a mismatch here (a swapped
+ * placeholder, `status = $3` instead of `status = ANY($3)`) would let the
+ * pre-check and the index disagree and turn a handled duplicate into an
+ * unhandled 500. These tests pin the SQL
  * and the parameters directly against that intended semantics.
  */
 
@@ -54,7 +55,11 @@ describe("findOpenDuplicate", () => {
       const [sql, params] = query.mock.calls[0];
       expect(sql).toContain("igdb_id = $1");
       expect(sql).toContain("status = ANY($3)");
-      expect(params).toEqual(["1234", "game", ["pending", "approved"]]);
+      expect(params).toEqual([
+        "1234",
+        "game",
+        ["awaiting_release", "pending", "approved", "in_progress"],
+      ]);
     });
 
     it("does not query on title", async () => {
@@ -117,7 +122,7 @@ describe("findOpenDuplicate", () => {
       expect(params).toEqual([
         "  Chrono Trigger  ",
         "fix",
-        ["pending", "approved"],
+        ["awaiting_release", "pending", "approved", "in_progress"],
       ]);
     });
 
@@ -163,7 +168,7 @@ describe("findOpenDuplicate", () => {
   });
 
   describe("open-status axis", () => {
-    it("restricts both branches to exactly pending and approved, via status = ANY($3)", async () => {
+    it("restricts both branches to exactly the open statuses, via status = ANY($3)", async () => {
       query.mockResolvedValue({ rows: [] });
       const { findOpenDuplicate } = await freshPolicy();
 
@@ -174,7 +179,12 @@ describe("findOpenDuplicate", () => {
       });
       const [igdbSql, igdbParams] = query.mock.calls[0];
       expect(igdbSql).toContain("status = ANY($3)");
-      expect(igdbParams[2]).toEqual(["pending", "approved"]);
+      expect(igdbParams[2]).toEqual([
+        "awaiting_release",
+        "pending",
+        "approved",
+        "in_progress",
+      ]);
 
       query.mockClear();
       query.mockResolvedValue({ rows: [] });
@@ -186,7 +196,12 @@ describe("findOpenDuplicate", () => {
       });
       const [titleSql, titleParams] = query.mock.calls[0];
       expect(titleSql).toContain("status = ANY($3)");
-      expect(titleParams[2]).toEqual(["pending", "approved"]);
+      expect(titleParams[2]).toEqual([
+        "awaiting_release",
+        "pending",
+        "approved",
+        "in_progress",
+      ]);
     });
   });
 });
@@ -9,10 +9,17 @@
  *
  * These tests pin the payload contract a receiver depends on, and the
  * resolution order between REQUEST_WEBHOOK_URL and its deprecated alias.
+ * Dispatch is queued (deliveryQueue.server.js), so the payload is read from
+ * what was queued, and the receiver-facing behaviour from the queue's
+ * transport, deliverQueuedWebhook.
  */
 
 import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
 
+const enqueueDelivery = vi.fn(async (delivery) => ({ id: "1", ...delivery }));
+
+vi.mock("$lib/deliveryQueue.server.js", () => ({ enqueueDelivery }));
+
 const URL_KEYS = ["REQUEST_WEBHOOK_URL", "N8N_WEBHOOK_URL"];
 
 /** A row as `INSERT ... RETURNING *` hands it back: UUID id, JSONB platforms. */
@@ -38,14 +45,19 @@ function okResponse() {
     ok: true,
     status: 200,
     statusText: "OK",
-    json: async () => ({ received: true }),
+    text: async () => JSON.stringify({ received: true }),
   };
 }
 
-/** The JSON body of the single dispatch that was made. */
+/** The payload of the single delivery that was queued. */
 function dispatchedPayload() {
-  expect(global.fetch).toHaveBeenCalledTimes(1);
-  return JSON.parse(global.fetch.mock.calls[0][1].body);
+  expect(enqueueDelivery).toHaveBeenCalledTimes(1);
+  return enqueueDelivery.mock.calls[0][0].payload;
+}
+
+/** Where the single queued delivery is going. */
+function dispatchedUrl() {
+  return enqueueDelivery.mock.calls[0][0].targetUrl;
 }
 
 /** Import a pristine copy, so nothing caches a URL across tests. */
@@ -60,6 +72,7 @@ describe("outbound request webhook", () => {
       delete process.env[key];
     }
     global.fetch = vi.fn(async () => okResponse());
+    enqueueDelivery.mockClear();
   });
 
   afterEach(() => {
@@ -72,7 +85,7 @@ describe("outbound request webhook", () => {
       const { sendGameRequestWebhook } = await freshWebhooks();
 
       await expect(sendGameRequestWebhook(requestRow())).resolves.toBe(false);
-      expect(global.fetch).not.toHaveBeenCalled();
+      expect(enqueueDelivery).not.toHaveBeenCalled();
     });
 
     it("honours the deprecated N8N_WEBHOOK_URL alone, so existing installs keep working", async () => {
@@ -80,7 +93,7 @@ describe("outbound request webhook", () => {
       const { sendGameRequestWebhook } = await freshWebhooks();
 
       await expect(sendGameRequestWebhook(requestRow())).resolves.toBe(true);
-      expect(global.fetch.mock.calls[0][0]).toBe("http://legacy.test/hook");
+      expect(dispatchedUrl()).toBe("http://legacy.test/hook");
     });
 
     it("uses REQUEST_WEBHOOK_URL when set alone", async () => {
@@ -88,7 +101,7 @@ describe("outbound request webhook", () => {
       const { sendGameRequestWebhook } = await freshWebhooks();
 
       await sendGameRequestWebhook(requestRow());
-      expect(global.fetch.mock.calls[0][0]).toBe("http://current.test/hook");
+      expect(dispatchedUrl()).toBe("http://current.test/hook");
     });
 
     it("prefers REQUEST_WEBHOOK_URL when both are set", async () => {
@@ -97,7 +110,7 @@ describe("outbound request webhook", () => {
       const { sendGameRequestWebhook } = await freshWebhooks();
 
       await sendGameRequestWebhook(requestRow());
-      expect(global.fetch.mock.calls[0][0]).toBe("http://current.test/hook");
+      expect(dispatchedUrl()).toBe("http://current.test/hook");
     });
 
     it("prefers the runtime env over process.env for the same name", async () => {
@@ -113,7 +126,7 @@ describe("outbound request webhook", () => {
       );
 
       await sendGameRequestWebhook(requestRow());
-      expect(global.fetch.mock.calls[0][0]).toBe("http://runtime.test/hook");
+      expect(dispatchedUrl()).toBe("http://runtime.test/hook");
     });
   });
 
@@ -122,14 +135,15 @@ describe("outbound request webhook", () => {
       process.env.REQUEST_WEBHOOK_URL = "http://receiver.test/hook";
     });
 
-    it("sends the documented shape as JSON", async () => {
+    it("queues the documented shape for the webhook channel", async () => {
       const { sendGameRequestWebhook } = await freshWebhooks();
 
       await sendGameRequestWebhook(requestRow());
 
-      const [, init] = global.fetch.mock.calls[0];
-      expect(init.method).toBe("POST");
-      expect(init.headers["Content-Type"]).toBe("application/json");
+      expect(enqueueDelivery.mock.calls[0][0]).toMatchObject({
+        channel: "webhook",
+        event: "game_request",
+      });
 
       const payload = dispatchedPayload();
       expect(payload.type).toBe("game_request");
@@ -178,7 +192,7 @@ describe("outbound request webhook", () => {
     it("orders priority so urgent outranks high", async () => {
       const { sendGameRequestWebhook } = await freshWebhooks();
       const priorityFor = async (priority) => {
-        global.fetch.mockClear();
+        enqueueDelivery.mockClear();
         await sendGameRequestWebhook(requestRow({ priority }));
         return dispatchedPayload().priority;
       };
@@ -240,6 +254,16 @@ describe("outbound request webhook", () => {
       expect(data).not.toHaveProperty("previous_status");
     });
 
+    it("leaves a pre-request approved on release day unmarked", async () => {
+      const { sendGameRequestWebhook } = await freshWebhooks();
+
+      await sendGameRequestWebhook(requestRow({ status: "approved" }), {
+        previousStatus: "awaiting_release",
+      });
+
+      expect(dispatchedPayload().data).not.toHaveProperty("redispatch");
+    });
+
     it("leaves an auto-approved creation unmarked, which has no previous status", async () => {
       const { sendGameRequestWebhook } = await freshWebhooks();
 
@@ -254,7 +278,7 @@ describe("outbound request webhook", () => {
       const { sendGameRequestWebhook } = await freshWebhooks();
 
       for (const previousStatus of ["rejected", "cancelled"]) {
-        global.fetch.mockClear();
+        enqueueDelivery.mockClear();
         await sendGameRequestWebhook(requestRow({ status: "approved" }), {
           previousStatus,
         });
@@ -277,43 +301,98 @@ describe("outbound request webhook", () => {
     });
   });
 
-  describe("failure handling", () => {
+  describe("queued delivery", () => {
     beforeEach(() => {
       process.env.REQUEST_WEBHOOK_URL = "http://receiver.test/hook";
     });
 
-    it("reports a rejecting receiver, so the caller can log it", async () => {
+    const queued = (payload = { type: "game_request" }) => ({
+      id: "7",
+      channel: "webhook",
+      endpoint_id: null,
+      payload,
+    });
+
+    it("posts the queued payload as JSON to the current URL", async () => {
+      const { deliverQueuedWebhook } = await freshWebhooks();
+
+      await deliverQueuedWebhook(queued({ type: "game_request", data: {} }));
+
+      const [url, init] = global.fetch.mock.calls[0];
+      expect(url).toBe("http://receiver.test/hook");
+      expect(init.method).toBe("POST");
+      expect(init.headers["Content-Type"]).toBe("application/json");
+      expect(JSON.parse(init.body)).toEqual({ type: "game_request", data: {} });
+    });
+
+    it("reports a rejecting receiver's status, so the queue can retry it", async () => {
       global.fetch = vi.fn(async () => ({
         ok: false,
         status: 502,
         statusText: "Bad Gateway",
-        json: async () => ({}),
+        text: async () => "upstream down",
       }));
-      const { sendGameRequestWebhook } = await freshWebhooks();
+      const { deliverQueuedWebhook } = await freshWebhooks();
 
-      await expect(sendGameRequestWebhook(requestRow())).rejects.toThrow("502");
+      await expect(deliverQueuedWebhook(queued())).resolves.toMatchObject({
+        status: 502,
+        body: "upstream down",
+      });
     });
 
-    it("gives the receiver a deadline, so a hung one cannot pin the request open", async () => {
-      const { sendGameRequestWebhook } = await freshWebhooks();
+    it("gives the receiver a deadline, so a hung one cannot hold a worker", async () => {
+      const { deliverQueuedWebhook } = await freshWebhooks();
 
-      await sendGameRequestWebhook(requestRow());
+      await deliverQueuedWebhook(queued());
 
       expect(global.fetch.mock.calls[0][1].signal).toBeDefined();
     });
 
-    it("treats a non-JSON body from the receiver as success", async () => {
+    it("treats an empty body from the receiver as an answer", async () => {
       global.fetch = vi.fn(async () => ({
         ok: true,
         status: 204,
         statusText: "No Content",
-        json: async () => {
-          throw new SyntaxError("Unexpected end of JSON input");
-        },
+        text: async () => "",
       }));
-      const { sendGameRequestWebhook } = await freshWebhooks();
+      const { deliverQueuedWebhook } = await freshWebhooks();
 
-      await expect(sendGameRequestWebhook(requestRow())).resolves.toBe(true);
+      await expect(deliverQueuedWebhook(queued())).resolves.toMatchObject({
+        status: 204,
+      });
+    });
+
+    it("signs with REQUEST_WEBHOOK_SECRET when it is set", async () => {
+      process.env.REQUEST_WEBHOOK_SECRET = "env-secret";
+      try {
+        const { deliverQueuedWebhook, verifyWebhookSignature } =
+          await freshWebhooks();
+
+        await deliverQueuedWebhook({ ...queued(), delivery_uuid: "d-1" });
+
+        const { headers, body } = global.fetch.mock.calls[0][1];
+        expect(headers["X-Webhook-Delivery"]).toBe("d-1");
+        expect(
+          verifyWebhookSignature({
+            secret: "env-secret",
+            body,
+            timestamp: headers["X-Webhook-Timestamp"],
+            signature: headers["X-Webhook-Signature"],
+          }),
+        ).toBe(true);
+      } finally {
+        delete process.env.REQUEST_WEBHOOK_SECRET;
+      }
+    });
+
+    it("fails the attempt when the URL has since been unset", async () => {
+      const { deliverQueuedWebhook } = await freshWebhooks();
+      delete process.env.REQUEST_WEBHOOK_URL;
+
+      await expect(deliverQueuedWebhook(queued())).rejects.toThrow(
+        /no longer set/,
+      );
+      expect(global.fetch).not.toHaveBeenCalled();
     });
   });
 });
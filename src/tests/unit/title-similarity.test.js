@@ -0,0 +1,40 @@
+/**
+ * Coverage for titleSimilarity, which the admin queue's "possible duplicates"
+ * panel groups requests by.
+ *
+ * Too loose and the panel suggests merging a game into its sequel, which is
+ * two requests' worth of people told their request went somewhere it did
+ * not; too strict and the same game typed twice is never suggested at all.
+ */
+
+import { describe, expect, it } from "vitest";
+import { titleSimilarity } from "$lib/utils.js";
+
+describe("titleSimilarity", () => {
+  it("scores spellings of one title as the same", () => {
+    expect(
+      titleSimilarity("The Witcher 3: Wild Hunt", "witcher 3 - wild hunt"),
+    ).toBe(1);
+    expect(titleSimilarity("Pokémon Emerald", "Pokemon Emerald")).toBe(1);
+    expect(titleSimilarity("Witcher III", "The Witcher 3")).toBe(1);
+  });
+
+  it("scores a typo close and a different game far", () => {
+    expect(titleSimilarity("Celeste", "Celest")).toBeGreaterThan(0.85);
+    expect(
+      titleSimilarity("Hollow Knight", "Hollow Knight: Silksong"),
+    ).toBeLessThan(0.85);
+    expect(titleSimilarity("Okami", "Halo")).toBeLessThan(0.3);
+  });
+
+  it("keeps numbered entries of a series apart", () => {
+    expect(titleSimilarity("Final Fantasy VII", "Final Fantasy VIII")).toBe(0);
+    expect(titleSimilarity("Portal", "Portal 2")).toBe(0);
+    expect(titleSimilarity("Mega Man X", "Mega Man")).toBe(0);
+  });
+
+  it("scores nothing for a missing title", () => {
+    expect(titleSimilarity("", "Okami")).toBe(0);
+    expect(titleSimilarity(null, undefined)).toBe(0);
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Regression tests for the durable delivery queue.
+ *
+ * Several workers run the queue at once, so the claim must skip rows another
+ * holds -- that is the SQL, so its shape is pinned here. An attempt's outcome
+ * is recorded whichever way it goes: a 2xx is delivered, or whatever a
+ * transport that is not HTTP calls ok; anything else or a thrown transport
+ * error is rescheduled with backoff, and the attempt that exhausts the budget
+ * gives up rather than retrying forever. Redelivery from
+ * the log refuses only a row a worker is sending right now.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+let claimedRows;
+let resetRows;
+let existingRows;
+const statements = [];
+
+const query = vi.fn(async (sql, params) => {
+  statements.push({ sql, params });
+  if (sql.includes("SET status = 'delivering'")) return { rows: claimedRows };
+  if (sql.includes("SET status = 'pending', next_attempt_at = NOW()")) {
+    return { rows: resetRows };
+  }
+  if (sql.includes("SELECT * FROM ggr_webhook_deliveries")) {
+    return { rows: existingRows };
+  }
+  return { rows: [] };
+});
+
+// The outcome update echoes what was written, as RETURNING * would.
+const tx = vi.fn(async (sql, params) => {
+  statements.push({ sql, params });
+  if (sql.includes("UPDATE ggr_webhook_deliveries")) {
+    return {
+      rows: [{ id: params[0], status: params[1], last_error: params[3] }],
+    };
+  }
+  return { rows: [] };
+});
+const withTransaction = vi.fn(async (fn) => fn(tx));
+
+const deliverQueuedWebhook = vi.fn();
+
+vi.mock("$lib/database.js", () => ({ query, withTransaction }));
+vi.mock("$lib/webhooks.server.js", () => ({ deliverQueuedWebhook }));
+vi.mock("$lib/notifiers/index.js", () => ({
+  deliverQueuedNotification: vi.fn(),
+}));
+const deliverQueuedEmail = vi.fn();
+vi.mock("$lib/mail/index.js", () => ({ deliverQueuedEmail }));
+
+async function queue() {
+  vi.resetModules();
+  return import("$lib/deliveryQueue.server.js");
+}
+
+const row = (fields = {}) => ({
+  id: "5",
+  channel: "webhook",
+  event: "request.approved",
+  endpoint_id: 1,
+  payload: { type: "request.approved" },
+  status: "delivering",
+  attempts: 1,
+  max_attempts: 10,
+  ...fields,
+});
+
+/** The outcome UPDATE's parameters: id, status, response status, error, delay. */
+function outcome() {
+  const update = statements.find(
+    ({ sql }) =>
+      sql.includes("UPDATE ggr_webhook_deliveries") &&
+      sql.includes("last_response_status"),
+  );
+  return update?.params;
+}
+
+/** The attempt INSERT's parameters. */
+function attempt() {
+  return statements.find(({ sql }) =>
+    sql.includes("INSERT INTO ggr_webhook_delivery_attempts"),
+  )?.params;
+}
+
+describe("processDueDeliveries", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    statements.length = 0;
+    claimedRows = [row()];
+    deliverQueuedWebhook.mockResolvedValue({
+      status: 200,
+      statusText: "OK",
+      body: "{}",
+    });
+  });
+
+  it("claims due rows and expired leases, skipping rows another worker holds", async () => {
+    const { processDueDeliveries } = await queue();
+
+    await processDueDeliveries({ limit: 7 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("FOR UPDATE SKIP LOCKED");
+    expect(sql).toContain("attempts = attempts + 1");
+    expect(sql).toContain("status = 'pending' AND next_attempt_at <= NOW()");
+    expect(sql).toContain("status = 'delivering' AND locked_until < NOW()");
+    expect(params).toEqual([7]);
+  });
+
+  it("marks a 2xx answer delivered and records the attempt", async () => {
+    const { processDueDeliveries } = await queue();
+
+    const result = await processDueDeliveries();
+
+    expect(result).toEqual({ claimed: 1, delivered: 1 });
+    expect(outcome().slice(0, 4)).toEqual(["5", "delivered", 200, null]);
+    expect(attempt()).toEqual(["5", 1, 200, "{}", null, expect.any(Number)]);
+  });
+
+  it("takes a transport's ok over the status, as for an SMTP 250", async () => {
+    claimedRows = [row({ channel: "email", event: "digest.admin" })];
+    deliverQueuedEmail.mockResolvedValue({
+      status: 250,
+      ok: true,
+      statusText: "",
+      body: "2.0.0 Ok: queued",
+    });
+    const { processDueDeliveries } = await queue();
+
+    const result = await processDueDeliveries();
+
+    expect(result).toEqual({ claimed: 1, delivered: 1 });
+    expect(outcome().slice(0, 4)).toEqual(["5", "delivered", 250, null]);
+  });
+
+  it("reschedules a failed answer with backoff", async () => {
+    claimedRows = [row({ attempts: 3 })];
+    deliverQueuedWebhook.mockResolvedValue({
+      status: 503,
+      statusText: "Service Unavailable",
+      body: "down",
+    });
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { processDueDeliveries, retryDelayMs } = await queue();
+
+    const result = await processDueDeliveries();
+
+    expect(result.delivered).toBe(0);
+    expect(outcome()).toEqual([
+      "5",
+      "pending",
+      503,
+      "HTTP 503",
+      retryDelayMs(3) / 1000,
+    ]);
+    warn.mockRestore();
+  });
+
+  it("records a thrown transport error as the attempt's failure", async () => {
+    deliverQueuedWebhook.mockRejectedValue(
+      new Error("The webhook endpoint is disabled"),
+    );
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { processDueDeliveries } = await queue();
+
+    await processDueDeliveries();
+
+    expect(outcome().slice(1, 4)).toEqual([
+      "pending",
+      null,
+      "The webhook endpoint is disabled",
+    ]);
+    warn.mockRestore();
+  });
+
+  it("gives up on the attempt that exhausts the budget", async () => {
+    claimedRows = [row({ attempts: 10, max_attempts: 10 })];
+    deliverQueuedWebhook.mockResolvedValue({
+      status: 500,
+      statusText: "Internal Server Error",
+      body: "",
+    });
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { processDueDeliveries } = await queue();
+
+    await processDueDeliveries();
+
+    expect(outcome()[1]).toBe("failed");
+    expect(warn.mock.calls[0][0]).toContain("giving up");
+    warn.mockRestore();
+  });
+
+  it("keeps the start of a large response body, not all of it", async () => {
+    deliverQueuedWebhook.mockResolvedValue({
+      status: 200,
+      statusText: "OK",
+      body: "x".repeat(10000),
+    });
+    const { processDueDeliveries } = await queue();
+
+    await processDueDeliveries();
+
+    expect(attempt()[3].length).toBeLessThan(2100);
+  });
+});
+
+describe("retryDelayMs", () => {
+  it("doubles from thirty seconds and stops at six hours", async () => {
+    const { retryDelayMs } = await queue();
+
+    expect(retryDelayMs(1)).toBe(30 * 1000);
+    expect(retryDelayMs(2)).toBe(60 * 1000);
+    expect(retryDelayMs(5)).toBe(16 * 30 * 1000);
+    expect(retryDelayMs(30)).toBe(6 * 60 * 60 * 1000);
+  });
+});
+
+describe("redeliverDelivery", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    statements.length = 0;
+    deliverQueuedWebhook.mockResolvedValue({
+      status: 200,
+      statusText: "OK",
+      body: "",
+    });
+  });
+
+  it("sends a given-up delivery once more", async () => {
+    resetRows = [{ id: "5" }];
+    claimedRows = [row({ attempts: 11, max_attempts: 11 })];
+    const { redeliverDelivery } = await queue();
+
+    const result = await redeliverDelivery("5");
+
+    expect(result.reason).toBeNull();
+    expect(result.delivery.status).toBe("delivered");
+    const reset = statements.find(({ sql }) =>
+      sql.includes("SET status = 'pending', next_attempt_at = NOW()"),
+    );
+    expect(reset.sql).toContain("GREATEST(max_attempts, attempts + 1)");
+    expect(reset.sql).toContain("status <> 'delivering'");
+  });
+
+  it("refuses a delivery a worker is sending right now", async () => {
+    resetRows = [];
+    existingRows = [row()];
+    const { redeliverDelivery } = await queue();
+
+    expect(await redeliverDelivery("5")).toEqual({
+      delivery: null,
+      reason: "in_flight",
+    });
+    expect(deliverQueuedWebhook).not.toHaveBeenCalled();
+  });
+
+  it("reports a delivery that does not exist", async () => {
+    resetRows = [];
+    existingRows = [];
+    const { redeliverDelivery } = await queue();
+
+    expect((await redeliverDelivery("404")).reason).toBe("not_found");
+  });
+});
@@ -0,0 +1,460 @@
+/**
+ * Regression tests for email: the SMTP client, the messages and the digests.
+ *
+ * The client is talked to by a fake server on a local port, which is as close
+ * to MailHog as a test can get without one. What is pinned: the dialogue in
+ * order, with AUTH PLAIN when a username is set; a body line starting with a
+ * dot surviving the trip; the server's refusal coming back with its code;
+ * STARTTLS being required rather than skipped when asked for; a message
+ * whose headers cannot be split by a subject with a line break in it; and a
+ * long subject or sender folded into header lines a server will take.
+ *
+ * For the digests: the ISO week a weekly digest is claimed for, including the
+ * week that belongs to the previous year; and a digest claimed by another
+ * worker not being sent again.
+ */
+
+import net from "net";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  SmtpError,
+  buildMessage,
+  parseAddress,
+  sendMail,
+} from "$lib/mail/smtp.js";
+import {
+  renderAdminDigest,
+  renderAssignmentEmail,
+  renderMergeEmail,
+  renderRequestEmail,
+} from "$lib/mail/templates.js";
+
+let systemSettings;
+let claimed;
+let pendingRows;
+let approverRows;
+const query = vi.fn(async (sql) => {
+  if (sql.includes("FROM ggr_system_settings")) {
+    return {
+      rows: Object.entries(systemSettings).map(([key, value]) => ({
+        key,
+        value,
+      })),
+    };
+  }
+  if (sql.includes("INSERT INTO ggr_email_digest_runs")) {
+    return { rows: claimed ? [] : [{ kind: "admin" }] };
+  }
+  if (sql.includes("FROM ggr_game_requests")) return { rows: pendingRows };
+  if (sql.includes("FROM ggr_users")) return { rows: approverRows };
+  return { rows: [], rowCount: 0 };
+});
+const enqueueDelivery = vi.fn(async (delivery) => ({ id: "1", ...delivery }));
+
+vi.mock("$lib/database.js", () => ({ query }));
+vi.mock("$lib/deliveryQueue.server.js", () => ({ enqueueDelivery }));
+
+/**
+ * A scripted SMTP server. `reply(command)` answers each command line; the
+ * message after DATA is collected whole and answered with 250.
+ */
+async function fakeServer(reply = () => "250 OK") {
+  const received = { commands: [], message: null };
+  const server = net.createServer((socket) => {
+    let buffered = "";
+    let data = null;
+    socket.write("220 fake.test ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffered += chunk.toString("utf8");
+      let end;
+      while ((end = buffered.indexOf("\r\n")) !== -1) {
+        const line = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        if (data !== null) {
+          if (line === ".") {
+            received.message = data.join("\r\n");
+            data = null;
+            socket.write("250 2.0.0 Ok: queued as 1234\r\n");
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        received.commands.push(line);
+        if (line === "DATA") {
+          data = [];
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (line === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write(`${reply(line)}\r\n`);
+        }
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, received, port: server.address().port };
+}
+
+const ehlo = (...extensions) =>
+  ["250-fake.test", ...extensions]
+    .map((line, index, all) =>
+      index === all.length - 1 ? line.replace("250-", "250 ") : line,
+    )
+    .join("\r\n");
+
+describe("sendMail", () => {
+  let running;
+
+  afterEach(async () => {
+    await new Promise((resolve) => running?.server.close(resolve));
+    running = null;
+  });
+
+  it("speaks the dialogue in order, authenticates, and dot-stuffs the body", async () => {
+    running = await fakeServer((line) =>
+      line.startsWith("EHLO")
+        ? ehlo("250-AUTH LOGIN PLAIN", "250-8BITMIME")
+        : line.startsWith("AUTH PLAIN")
+          ? "235 2.7.0 Authentication successful"
+          : "250 OK",
+    );
+
+    const reply = await sendMail(
+      {
+        host: "127.0.0.1",
+        port: running.port,
+        security: "none",
+        username: "alice",
+        password: "s3cret",
+      },
+      {
+        from: "requests@example.org",
+        to: "bob@example.org",
+        message: "Subject: hi\r\n\r\nline one\r\n.hidden line\r\n",
+      },
+      { clientName: "client.test" },
+    );
+
+    expect(reply.code).toBe(250);
+    expect(running.received.commands).toEqual([
+      "EHLO client.test",
+      `AUTH PLAIN ${Buffer.from("\0alice\0s3cret").toString("base64")}`,
+      "MAIL FROM:<requests@example.org>",
+      "RCPT TO:<bob@example.org>",
+      "DATA",
+      "QUIT",
+    ]);
+    // Stuffed on the wire; a server removes the extra dot again.
+    expect(running.received.message).toContain("\r\n..hidden line");
+  });
+
+  it("throws the server's refusal with its code and the command refused", async () => {
+    running = await fakeServer((line) =>
+      line.startsWith("RCPT")
+        ? "550 5.1.1 No such user here"
+        : line.startsWith("EHLO")
+          ? ehlo("250-AUTH PLAIN")
+          : line.startsWith("AUTH")
+            ? "235 OK"
+            : "250 OK",
+    );
+
+    const sending = sendMail(
+      {
+        host: "127.0.0.1",
+        port: running.port,
+        security: "none",
+        username: "alice",
+        password: "s3cret",
+      },
+      { from: "a@example.org", to: "nobody@example.org", message: "x" },
+    );
+
+    await expect(sending).rejects.toBeInstanceOf(SmtpError);
+    await sending.catch((error) => {
+      expect(error.responseCode).toBe(550);
+      expect(error.message).toContain("RCPT TO");
+      expect(error.message).toContain("No such user here");
+    });
+  });
+
+  it("refuses to go on in the clear when STARTTLS was asked for and is not offered", async () => {
+    running = await fakeServer((line) =>
+      line.startsWith("EHLO") ? ehlo("250-AUTH PLAIN") : "250 OK",
+    );
+
+    await expect(
+      sendMail(
+        {
+          host: "127.0.0.1",
+          port: running.port,
+          security: "starttls",
+          username: "alice",
+          password: "s3cret",
+        },
+        { from: "a@example.org", to: "b@example.org", message: "x" },
+      ),
+    ).rejects.toThrow(/does not offer STARTTLS/);
+    expect(running.received.commands.some((c) => c.startsWith("AUTH"))).toBe(
+      false,
+    );
+  });
+});
+
+describe("buildMessage", () => {
+  it("encodes a non-ASCII subject and keeps a line break out of the headers", () => {
+    const message = buildMessage({
+      from: "G.G Requestz <requests@example.org>",
+      to: "bob@example.org",
+      subject: "Ready to play: Ōkami\r\nBcc: everyone@example.org",
+      text: "Plain ✓",
+      html: "<p>HTML ✓</p>",
+    });
+
+    const [headers] = message.split("\r\n\r\n");
+    expect(headers).not.toMatch(/^Bcc:/m);
+    expect(headers).toMatch(/^Subject: =\?UTF-8\?B\?/m);
+    expect(headers).toContain('From: "G.G Requestz" <requests@example.org>');
+    expect(headers).toContain("Auto-Submitted: auto-generated");
+
+    const parts = [
+      ...message.matchAll(/base64\r\n\r\n([A-Za-z0-9+/=\r\n]+?)\r\n--/g),
+    ].map(([, body]) =>
+      Buffer.from(body.replace(/\r\n/g, ""), "base64").toString("utf8"),
+    );
+    expect(parts).toEqual(["Plain ✓", "<p>HTML ✓</p>"]);
+  });
+
+  it("folds a long subject, ASCII or not, into short header lines", () => {
+    const words = Array.from({ length: 200 }, (_, i) => `Game${i}`);
+    const unbroken = "x".repeat(1200);
+
+    for (const subject of [
+      words.join(" "),
+      `Ōkami ${words.join(" ")}`,
+      unbroken,
+    ]) {
+      const [headers] = buildMessage({
+        from: `${"Requests ".repeat(20)}<requests@example.org>`,
+        to: "bob@example.org",
+        subject,
+        text: "",
+        html: "",
+      }).split("\r\n\r\n");
+
+      for (const line of headers.split("\r\n")) {
+        expect(line.length).toBeLessThanOrEqual(78);
+      }
+      // Unfolded, the subject reads as it was sent.
+      const folded = headers.match(/^Subject: (.*(?:\r\n .*)*)/m)[1];
+      const unfolded = folded.replace(/\r\n/g, "");
+      const decoded = /^=\?/.test(unfolded)
+        ? unfolded
+            .split(" ")
+            .map((word) =>
+              Buffer.from(word.slice(10, -2), "base64").toString("utf8"),
+            )
+            .join("")
+        : unfolded;
+      expect(decoded).toBe(subject);
+    }
+  });
+
+  it("reads addresses with and without a display name", () => {
+    expect(parseAddress("Alice <alice@example.org>")).toEqual({
+      name: "Alice",
+      address: "alice@example.org",
+    });
+    expect(parseAddress(" bob@example.org ")).toEqual({
+      name: "",
+      address: "bob@example.org",
+    });
+    expect(parseAddress("not an address")).toBeNull();
+    expect(parseAddress("a@b.org\r\nBcc: c@d.org")).toBeNull();
+  });
+});
+
+describe("templates", () => {
+  const request = {
+    id: "9b2f6a52-0000-4000-8000-000000000001",
+    title: "<Chrono Trigger>",
+    status: "pending",
+  };
+
+  it("escapes what users typed and links absolutely", () => {
+    const email = renderRequestEmail({
+      event: "request.rejected",
+      request,
+      recipientName: "Alice",
+      notes: "Not on <b>any</b> platform",
+      link: `/profile?tab=requests#request-${request.id}`,
+      siteUrl: "https://games.example.org/",
+    });
+
+    expect(email.subject).toBe("Not this time: <Chrono Trigger>");
+    expect(email.html).toContain("&lt;Chrono Trigger&gt;");
+    expect(email.html).not.toContain("<b>any</b>");
+    expect(email.html).toContain(
+      `href="https://games.example.org/profile?tab=requests#request-${request.id}"`,
+    );
+    expect(email.text).toContain("> Not on <b>any</b> platform");
+  });
+
+  it("leaves links out without a site URL rather than send them relative", () => {
+    const email = renderRequestEmail({
+      event: "request.submitted",
+      request,
+      link: "/profile?tab=requests",
+    });
+
+    expect(email.html).not.toContain("href=");
+    expect(email.text).not.toContain("/profile");
+    expect(email.text).toContain("An admin will review it soon.");
+  });
+
+  it("counts the requests an admin digest does not list", () => {
+    const requests = Array.from({ length: 30 }, (_, index) => ({
+      id: String(index),
+      title: `Game ${index}`,
+      user_name: "alice",
+      created_at: "2026-10-12T08:00:00Z",
+      supporter_count: 0,
+    }));
+
+    const email = renderAdminDigest({
+      requests,
+      total: 40,
+      period: "weekly",
+      now: new Date("2026-10-19T08:00:00Z"),
+    });
+
+    expect(email.subject).toBe("40 requests waiting for review");
+    expect(email.text).toContain("And 15 more.");
+    expect(email.text).toContain("waiting 7 days");
+  });
+
+  it("names the one request assigned, and lists a bulk assignment", () => {
+    const one = renderAssignmentEmail({
+      requests: [request],
+      actor: "Blair",
+      link: `/admin/requests/${request.id}`,
+      siteUrl: "https://games.example.org",
+    });
+    expect(one.subject).toBe("Assigned to you: <Chrono Trigger>");
+    expect(one.text).toContain(
+      '"<Chrono Trigger>" was assigned to you by Blair.',
+    );
+    expect(one.html).toContain(
+      `href="https://games.example.org/admin/requests/${request.id}"`,
+    );
+
+    const many = renderAssignmentEmail({
+      requests: [request, { id: "2", title: "Okami", status: "in_progress" }],
+      link: "/admin/requests?assigned=me",
+    });
+    expect(many.subject).toBe("2 requests assigned to you");
+    expect(many.text).toContain("- Okami (in progress)");
+  });
+
+  it("says which request a merged one went into", () => {
+    const same = renderMergeEmail({
+      requests: [request],
+      survivor: { ...request, id: "2" },
+      link: "/game/1234",
+      siteUrl: "https://games.example.org",
+    });
+    expect(same.subject).toBe("Merged: <Chrono Trigger>");
+    expect(same.text).toContain(
+      'Your request for "<Chrono Trigger>" was merged into another request',
+    );
+    expect(same.html).toContain('href="https://games.example.org/game/1234"');
+
+    const renamed = renderMergeEmail({
+      requests: [{ id: "3", title: "Chrono Trigger DS" }],
+      survivor: request,
+    });
+    expect(renamed.text).toContain(
+      '"Chrono Trigger DS" was merged into the request for "<Chrono Trigger>".',
+    );
+  });
+});
+
+describe("digests", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    claimed = false;
+    systemSettings = {
+      "smtp.host": "mailhog",
+      "smtp.security": "none",
+      "smtp.from": "requests@example.org",
+      "email.admin_digest": "daily",
+      "email.digest_hour": "8",
+    };
+    pendingRows = [
+      {
+        id: "1",
+        title: "Chrono Trigger",
+        user_name: "alice",
+        created_at: "2026-10-18T08:00:00",
+        supporter_count: 2,
+        total: 1,
+      },
+    ];
+    approverRows = [{ id: 1, email: "admin@example.org" }];
+  });
+
+  async function digests() {
+    vi.resetModules();
+    return import("$lib/emailDigests.server.js");
+  }
+
+  it("names the ISO week, including one that belongs to last year", async () => {
+    const { digestPeriod } = await digests();
+
+    expect(digestPeriod("weekly", new Date(2026, 9, 19, 9))).toBe("2026-W43");
+    expect(digestPeriod("weekly", new Date(2021, 0, 3, 9))).toBe("2020-W53");
+    expect(digestPeriod("daily", new Date(2026, 9, 19, 9))).toBe("2026-10-19");
+  });
+
+  it("sends the admin digest once per period, at or after the hour", async () => {
+    const { runDigests } = await digests();
+
+    const early = await runDigests(new Date(2026, 9, 20, 7));
+    expect(early.admin).toBeNull();
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+
+    const due = await runDigests(new Date(2026, 9, 20, 9));
+    expect(due.admin).toBe(1);
+    expect(enqueueDelivery).toHaveBeenCalledWith(
+      expect.objectContaining({
+        channel: "email",
+        event: "digest.admin",
+        payload: expect.objectContaining({
+          to: "admin@example.org",
+          subject: "1 request waiting for review",
+        }),
+      }),
+    );
+
+    // Another worker, or this one after a restart, finds it claimed.
+    claimed = true;
+    enqueueDelivery.mockClear();
+    const again = await runDigests(new Date(2026, 9, 20, 10));
+    expect(again.admin).toBeNull();
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+  });
+
+  it("does nothing at all until SMTP is set up", async () => {
+    systemSettings = { "email.admin_digest": "daily" };
+    const { runDigests } = await digests();
+
+    expect(await runDigests(new Date(2026, 9, 20, 9))).toEqual({
+      admin: null,
+      watchlist: null,
+    });
+    expect(
+      query.mock.calls.some(([sql]) => sql.includes("ggr_email_digest_runs")),
+    ).toBe(false);
+  });
+});
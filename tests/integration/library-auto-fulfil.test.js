@@ -0,0 +1,403 @@
+/**
+ * Regression tests for closing approved requests from the library sync.
+ *
+ * Two mistakes are expensive here and both are silent. Matching too loosely
+ * fulfils a request with the wrong game -- a remake for its original, because
+ * the titles are equal -- and the requester is told their download landed when
+ * it did not. Matching against every row a pass touches, rather than the rows
+ * it has just seen for the first time, undoes an admin re-opening a request to
+ * fetch a game again, on the very next pass.
+ *
+ * A request that names platforms is fulfilled per platform: a copy for one
+ * of them credits that one, and the request moves only once every required
+ * platform has a copy. Closing it on the first copy tells someone who asked
+ * for the PS2 version that it is there because the Switch one arrived.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const applyRequestStatusChange = vi.fn(async () => ({ changed: true }));
+
+vi.mock("$lib/requestStatus.server.js", () => ({
+  applyRequestStatusChange,
+  REQUEST_SOURCES: { LIBRARY_SYNC: "library_sync" },
+}));
+
+/** The sync's pass client, recording statements; see library-sync.test.js. */
+const calls = [];
+let approved = [];
+let upsertRows = [];
+let platformRows = [];
+
+const passQuery = vi.fn(async (text, params) => {
+  calls.push([text, params]);
+  if (text.includes("pg_try_advisory_lock")) {
+    return { rows: [{ locked: true }] };
+  }
+  if (text.includes("count(*) AS live")) {
+    return { rows: [{ live: "0", stale: "0" }] };
+  }
+  if (text.includes("INSERT INTO ggr_library_entries")) {
+    return { rows: upsertRows, rowCount: upsertRows.length };
+  }
+  if (text.includes("status IN ('approved', 'in_progress')")) {
+    return { rows: approved };
+  }
+  if (text.includes("FROM ggr_request_platforms")) {
+    return { rows: platformRows };
+  }
+  return { rows: [] };
+});
+
+const syncEntries = vi.fn(async ({ onBatch }) => {
+  await onBatch([{ id: "1", name: "Chrono Trigger" }]);
+});
+
+vi.mock("$lib/database.js", () => ({
+  query: vi.fn(),
+  withClient: vi.fn(async (fn) => fn(passQuery)),
+}));
+vi.mock("$lib/library/index.js", () => ({
+  getLibrary: () => ({
+    kind: () => "romm",
+    capabilities: () => new Set(["SYNC"]),
+    syncEntries,
+  }),
+}));
+
+async function fulfilModule() {
+  vi.resetModules();
+  return import("$lib/library/fulfil.js");
+}
+
+async function sync(options) {
+  vi.resetModules();
+  const { syncLibrary } = await import("$lib/library/sync.js");
+  return syncLibrary(options);
+}
+
+describe("matchRequestsToEntries", () => {
+  it("matches on igdb_id", async () => {
+    const { matchRequestsToEntries } = await fulfilModule();
+
+    const matches = matchRequestsToEntries(
+      [{ id: "r1", title: "Something Else", igdb_id: "100" }],
+      [{ id: 7, igdb_id: "100", name: "Chrono Trigger (USA)" }],
+    );
+
+    expect(matches).toHaveLength(1);
+    expect(matches[0].entry.id).toBe(7);
+  });
+
+  it("matches a numeric request id against the stored string", async () => {
+    const { matchRequestsToEntries } = await fulfilModule();
+
+    const matches = matchRequestsToEntries(
+      [{ id: "r1", title: "Chrono Trigger", igdb_id: 100 }],
+      [{ id: 7, igdb_id: "100", name: "Chrono Trigger" }],
+    );
+
+    expect(matches).toHaveLength(1);
+  });
+
+  it("never matches two different igdb_ids, even with the same title", async () => {
+    // A remake and its original. The title says yes and the ids say no, and
+    // the ids are the only side of that argument that knows.
+    const { matchRequestsToEntries } = await fulfilModule();
+
+    const matches = matchRequestsToEntries(
+      [{ id: "r1", title: "Final Fantasy VII", igdb_id: "427" }],
+      [{ id: 7, igdb_id: "103329", name: "Final Fantasy VII" }],
+    );
+
+    expect(matches).toHaveLength(0);
+  });
+
+  it("falls back to the normalised title when the request has no igdb_id", async () => {
+    const { matchRequestsToEntries } = await fulfilModule();
+
+    const matches = matchRequestsToEntries(
+      [{ id: "r1", title: "The Legend of Zelda", igdb_id: null }],
+      [{ id: 7, igdb_id: "1022", name: "legend of zelda" }],
+    );
+
+    expect(matches).toHaveLength(1);
+  });
+
+  it("falls back to the normalised title when the entry has no igdb_id", async () => {
+    const { matchRequestsToEntries } = await fulfilModule();
+
+    const matches = matchRequestsToEntries(
+      [{ id: "r1", title: "Chrono Trigger", igdb_id: "100" }],
+      [{ id: 7, igdb_id: null, name: "Chrono Trigger" }],
+    );
+
+    expect(matches).toHaveLength(1);
+  });
+});
+
+describe("matchPlatformsToEntries", () => {
+  const outstanding = (...platforms) =>
+    platforms.map((platform) => ({
+      platform,
+      required: true,
+      fulfilled: false,
+    }));
+
+  it("credits the platform a copy is for, whatever either side calls it", async () => {
+    const { matchPlatformsToEntries } = await fulfilModule();
+
+    const credited = matchPlatformsToEntries(
+      outstanding("Nintendo Switch", "PlayStation 2"),
+      [{ id: 7, platform_name: "Sony PlayStation 2" }],
+    );
+
+    expect(credited.map(({ platform, entry }) => [platform, entry.id])).toEqual(
+      [["PlayStation 2", 7]],
+    );
+  });
+
+  it("credits a copy of unknown platform only to a single-platform request", async () => {
+    const { matchPlatformsToEntries } = await fulfilModule();
+    const copy = [{ id: 7, platform_name: null }];
+
+    expect(
+      matchPlatformsToEntries(outstanding("PC (Steam)"), copy),
+    ).toHaveLength(1);
+    expect(
+      matchPlatformsToEntries(
+        outstanding("PC (Steam)", "Nintendo Switch"),
+        copy,
+      ),
+    ).toHaveLength(0);
+  });
+
+  it("skips platforms that are already fulfilled", async () => {
+    const { matchPlatformsToEntries } = await fulfilModule();
+
+    const credited = matchPlatformsToEntries(
+      [{ platform: "Nintendo Switch", required: true, fulfilled: true }],
+      [{ id: 7, platform_name: "Switch" }],
+    );
+
+    expect(credited).toHaveLength(0);
+  });
+});
+
+describe("fulfilRequestsFromEntries", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    calls.length = 0;
+    platformRows = [];
+    approved = [{ id: "r1", title: "Chrono Trigger", igdb_id: "100" }];
+    applyRequestStatusChange.mockResolvedValue({ changed: true });
+  });
+
+  it("fulfils through the status owner, so the usual side effects fire", async () => {
+    const { fulfilRequestsFromEntries, AUTO_FULFIL_ACTOR } =
+      await fulfilModule();
+
+    const count = await fulfilRequestsFromEntries(passQuery, [
+      { id: 7, igdb_id: "100", name: "Chrono Trigger" },
+    ]);
+
+    expect(count).toBe(1);
+    expect(applyRequestStatusChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: "r1",
+        to: "fulfilled",
+        actor: AUTO_FULFIL_ACTOR,
+        tx: passQuery,
+      }),
+    );
+  });
+
+  it("only considers approved and in-progress game requests", async () => {
+    const { fulfilRequestsFromEntries } = await fulfilModule();
+
+    await fulfilRequestsFromEntries(passQuery, [
+      { id: 7, igdb_id: "100", name: "Chrono Trigger" },
+    ]);
+
+    const [select] = calls.find(([text]) =>
+      text.includes("FROM ggr_game_requests"),
+    );
+    expect(select).toContain("status IN ('approved', 'in_progress')");
+    expect(select).toContain("request_type = 'game'");
+  });
+
+  it("records which entry fulfilled the request", async () => {
+    const { fulfilRequestsFromEntries } = await fulfilModule();
+
+    await fulfilRequestsFromEntries(passQuery, [
+      { id: 7, igdb_id: "100", name: "Chrono Trigger" },
+    ]);
+
+    const link = calls.find(([text]) =>
+      text.includes("fulfilled_library_entry_id"),
+    );
+    expect(link[1]).toEqual(["r1", 7]);
+  });
+
+  it("credits nothing when someone else moved the request first", async () => {
+    applyRequestStatusChange.mockResolvedValue({ changed: false });
+    const { fulfilRequestsFromEntries } = await fulfilModule();
+
+    const count = await fulfilRequestsFromEntries(passQuery, [
+      { id: 7, igdb_id: "100", name: "Chrono Trigger" },
+    ]);
+
+    expect(count).toBe(0);
+    expect(
+      calls.some(([text]) => text.includes("fulfilled_library_entry_id")),
+    ).toBe(false);
+  });
+
+  it("credits one platform of several and leaves the request open", async () => {
+    approved = [
+      {
+        id: "r1",
+        title: "Okami",
+        igdb_id: "100",
+        platforms: ["Nintendo Switch", "PlayStation 2"],
+      },
+    ];
+    const { fulfilRequestsFromEntries } = await fulfilModule();
+
+    const count = await fulfilRequestsFromEntries(passQuery, [
+      { id: 7, igdb_id: "100", name: "Okami HD", platform_name: "Switch" },
+    ]);
+
+    expect(count).toBe(0);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+    const [, params] = calls.find(([text]) =>
+      text.includes("INSERT INTO ggr_request_platforms"),
+    );
+    expect(params).toEqual(["r1", ["Nintendo Switch"], "Library sync", 7]);
+  });
+
+  it("fulfils once the last required platform lands", async () => {
+    approved = [
+      {
+        id: "r1",
+        title: "Okami",
+        igdb_id: "100",
+        platforms: ["Nintendo Switch", "PlayStation 2", "Wii"],
+      },
+    ];
+    platformRows = [
+      {
+        request_id: "r1",
+        platform: "Nintendo Switch",
+        required: true,
+        fulfilled_at: "2026-10-01T00:00:00Z",
+      },
+      // Unticked by an admin: nobody is fetching it.
+      {
+        request_id: "r1",
+        platform: "Wii",
+        required: false,
+        fulfilled_at: null,
+      },
+    ];
+    const { fulfilRequestsFromEntries } = await fulfilModule();
+
+    const count = await fulfilRequestsFromEntries(passQuery, [
+      { id: 8, igdb_id: "100", name: "Okami", platform_name: "PlayStation 2" },
+    ]);
+
+    expect(count).toBe(1);
+    const link = calls.find(([text]) =>
+      text.includes("fulfilled_library_entry_id"),
+    );
+    expect(link[1]).toEqual(["r1", 8]);
+  });
+
+  it("does nothing with a copy for a platform nobody asked for", async () => {
+    approved = [
+      {
+        id: "r1",
+        title: "Okami",
+        igdb_id: "100",
+        platforms: ["PlayStation 2"],
+      },
+    ];
+    const { fulfilRequestsFromEntries } = await fulfilModule();
+
+    const count = await fulfilRequestsFromEntries(passQuery, [
+      { id: 7, igdb_id: "100", name: "Okami", platform_name: "PC (Windows)" },
+    ]);
+
+    expect(count).toBe(0);
+    expect(
+      calls.some(([text]) =>
+        text.includes("INSERT INTO ggr_request_platforms"),
+      ),
+    ).toBe(false);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+  });
+});
+
+describe("syncLibrary with autoFulfil", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    calls.length = 0;
+    approved = [{ id: "r1", title: "Chrono Trigger", igdb_id: "100" }];
+    applyRequestStatusChange.mockResolvedValue({ changed: true });
+  });
+
+  it("does nothing unless asked to", async () => {
+    upsertRows = [
+      { id: 7, igdb_id: "100", name: "Chrono Trigger", first_seen: true },
+    ];
+
+    const result = await sync();
+
+    expect(result.fulfilled).toBe(0);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+  });
+
+  it("fulfils from rows indexed for the first time", async () => {
+    upsertRows = [
+      { id: 7, igdb_id: "100", name: "Chrono Trigger", first_seen: true },
+    ];
+
+    const result = await sync({ autoFulfil: true });
+
+    expect(result.fulfilled).toBe(1);
+  });
+
+  it("ignores rows the index already held, so a re-opened request stays open", async () => {
+    upsertRows = [
+      { id: 7, igdb_id: "100", name: "Chrono Trigger", first_seen: false },
+    ];
+
+    const result = await sync({ autoFulfil: true });
+
+    expect(result.fulfilled).toBe(0);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+  });
+
+  it("decides first-seen on the database clock", async () => {
+    upsertRows = [];
+
+    await sync({ autoFulfil: true });
+
+    const [upsert] = calls.find(([text]) =>
+      text.includes("INSERT INTO ggr_library_entries"),
+    );
+    expect(upsert).toContain("first_seen_at = NOW() AS first_seen");
+  });
+
+  it("still completes the pass when fulfilling throws", async () => {
+    upsertRows = [
+      { id: 7, igdb_id: "100", name: "Chrono Trigger", first_seen: true },
+    ];
+    applyRequestStatusChange.mockRejectedValue(new Error("db hiccup"));
+
+    const result = await sync({ autoFulfil: true });
+
+    expect(result.completed).toBe(true);
+    expect(result.fulfilled).toBe(0);
+  });
+});
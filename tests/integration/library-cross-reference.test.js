@@ -38,6 +38,8 @@ const ENTRY = {
   addedAt: null,
   coverUrl: null,
   path: null,
+  libraryKind: "romm",
+  libraryName: "RomM",
 };
 
 /** The same game as RomM's /roms returns it, for the window fallback. */
@@ -224,6 +226,31 @@ describe("cross-reference through the index", () => {
     expect(second.library_id).toBe("10422");
   });
 
+  it("links the primary library's copy, and no other library's", async () => {
+    // A Gaseous id under RomM's /rom/ is some other game, or none.
+    const gaseous = {
+      ...ENTRY,
+      id: "12",
+      libraryKind: "gaseous",
+      libraryName: "Gaseous",
+    };
+
+    indexHolds([gaseous, { ...ENTRY, id: "58231" }]);
+    const [both] = await crossReference([{ igdb_id: 1721, title: "x" }]);
+    indexHolds([gaseous]);
+    const [elsewhere] = await crossReference([{ igdb_id: 1721, title: "x" }]);
+
+    expect(both.library_id).toBe("58231");
+    expect(both.library_kind).toBe("romm");
+    expect(elsewhere).toMatchObject({
+      in_library: true,
+      library_kind: "gaseous",
+      library_name: "Gaseous",
+      library_url: null,
+      romm_url: null,
+    });
+  });
+
   it("annotates nothing for an empty batch, without reaching RomM", async () => {
     // The window path fetched 2000 roms to answer a question about no games.
     const games = await crossReference([]);
@@ -0,0 +1,244 @@
+/**
+ * Regression tests for the filesystem backend.
+ *
+ * The tree is real: each test builds one under the system temp directory, so
+ * the walk, the stat calls and the path checks run against an actual
+ * filesystem rather than a mock of one. IGDB and the index are mocked, to pin
+ * that the walk asks neither.
+ *
+ * What is pinned: a file or a directory in a platform folder is one game,
+ * named without its ROM-set tags and platformed from the folder's name or the
+ * mapping; sidecar files and hidden names are not games; a missing root fails
+ * the pass instead of completing it empty; no entry gets an IGDB id here,
+ * which is the matching stage's job; and getEntry refuses an id that leaves
+ * its root.
+ */
+
+import { mkdir, mkdtemp, rm, utimes, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+const query = vi.fn();
+const searchGamesByTitle = vi.fn();
+const searchGameCandidates = vi.fn();
+
+vi.mock("$lib/database.js", () => ({ query }));
+vi.mock("$lib/igdb.js", () => ({ searchGamesByTitle, searchGameCandidates }));
+
+const { createFilesystemLibrary } = await import("$lib/library/filesystem.js");
+const { CapabilityUnsupported } = await import("$lib/library/types.js");
+
+let root;
+
+/** Write a file under the test root, with its parents. */
+async function put(relative, bytes = 1, mtime = null) {
+  const full = path.join(root, relative);
+  await mkdir(path.dirname(full), { recursive: true });
+  await writeFile(full, Buffer.alloc(bytes));
+  if (mtime) await utimes(full, new Date(mtime), new Date(mtime));
+  return full;
+}
+
+function library(overrides = {}) {
+  return createFilesystemLibrary({
+    roots: [{ path: root, platform: null }],
+    platformFolders: {},
+    ...overrides,
+  });
+}
+
+async function syncAll(backend, batchSize = 500) {
+  const batches = [];
+  await backend.syncEntries({
+    batchSize,
+    onBatch: async (entries) => batches.push(entries),
+  });
+  return batches;
+}
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  root = await mkdtemp(path.join(tmpdir(), "ggr-library-"));
+  query.mockResolvedValue({ rows: [] });
+});
+
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+describe("filesystem library backend", () => {
+  it("declares exactly SYNC, GET_BY_ID and LIST_PLATFORMS", async () => {
+    const backend = library();
+
+    expect(backend.kind()).toBe("filesystem");
+    expect([...backend.capabilities()].sort()).toEqual([
+      "GET_BY_ID",
+      "LIST_PLATFORMS",
+      "SYNC",
+    ]);
+    await expect(backend.listEntries({ search: "zelda" })).rejects.toThrow(
+      CapabilityUnsupported,
+    );
+    await expect(backend.listEntries()).rejects.toThrow(
+      "filesystem does not support LIST_RECENT",
+    );
+  });
+
+  it("indexes each file and directory in a platform folder as one game", async () => {
+    await put("snes/Super Metroid (Japan, USA) (En,Ja).sfc", 3, "2026-01-02");
+    await put("psx/Final Fantasy VII (USA)/Disc 1.chd", 5, "2026-02-01");
+    await put("psx/Final Fantasy VII (USA)/Disc 2.chd", 7, "2026-03-01");
+    await put("psx/Final Fantasy VII (USA)/cover.png", 1, "2026-01-01");
+    await put("psx/gamelist.xml");
+    await put("psx/.DS_Store");
+    await put(".hidden/Secret.nes");
+
+    const [batch] = await syncAll(library());
+
+    expect(batch).toEqual([
+      {
+        id: "0:psx/Final Fantasy VII (USA)",
+        name: "Final Fantasy VII",
+        platformName: "PlayStation",
+        igdbId: null,
+        sizeBytes: 13,
+        addedAt: new Date("2026-03-01"),
+        coverUrl: null,
+        path: path.join(root, "psx", "Final Fantasy VII (USA)"),
+      },
+      {
+        id: "0:snes/Super Metroid (Japan, USA) (En,Ja).sfc",
+        name: "Super Metroid",
+        platformName: "Super Nintendo Entertainment System",
+        igdbId: null,
+        sizeBytes: 3,
+        addedAt: new Date("2026-01-02"),
+        coverUrl: null,
+        path: path.join(root, "snes", "Super Metroid (Japan, USA) (En,Ja).sfc"),
+      },
+    ]);
+  });
+
+  it("names platforms from the mapping, then the folder itself", async () => {
+    await put("SNES/Earthbound.sfc");
+    await put("homebrew/Tiny Game.bin");
+    await put("roms-pc/Quake.zip");
+    const backend = library({ platformFolders: { "roms-pc": "DOS" } });
+
+    const [batch] = await syncAll(backend);
+
+    expect(batch.map((entry) => entry.platformName)).toEqual([
+      "Super Nintendo Entertainment System",
+      "homebrew",
+      "DOS",
+    ]);
+    expect(await backend.listPlatforms()).toEqual([
+      { id: "SNES", name: "Super Nintendo Entertainment System" },
+      { id: "homebrew", name: "homebrew" },
+      { id: "roms-pc", name: "DOS" },
+    ]);
+  });
+
+  it("reads a platform root as that platform's games", async () => {
+    await put("Half-Life/setup.exe", 4);
+    await put("Portal.iso", 2);
+    const backend = library({
+      roots: [{ path: root, platform: "PC (Microsoft Windows)" }],
+    });
+
+    const [batch] = await syncAll(backend);
+
+    expect(
+      batch.map(({ id, name, platformName }) => [id, name, platformName]),
+    ).toEqual([
+      ["0:Half-Life", "Half-Life", "PC (Microsoft Windows)"],
+      ["0:Portal.iso", "Portal", "PC (Microsoft Windows)"],
+    ]);
+  });
+
+  it("fills batches of batchSize across platform folders", async () => {
+    for (const name of ["a.nes", "b.nes", "c.nes"]) await put(`nes/${name}`);
+    for (const name of ["d.gb", "e.gb"]) await put(`gb/${name}`);
+
+    const batches = await syncAll(library(), 2);
+
+    expect(batches.map((batch) => batch.length)).toEqual([2, 2, 1]);
+  });
+
+  it("fails the pass for a root that is not there, rather than finding it empty", async () => {
+    const backend = library({
+      roots: [{ path: path.join(root, "unmounted"), platform: null }],
+    });
+    const onBatch = vi.fn();
+
+    await expect(backend.syncEntries({ onBatch })).rejects.toThrow(
+      /Cannot read library root .*unmounted/,
+    );
+    expect(onBatch).not.toHaveBeenCalled();
+
+    const probe = await backend.probe();
+    expect(probe.ok).toBe(false);
+    expect(probe.reason).toContain("unmounted");
+    expect((await library().probe()).ok).toBe(true);
+  });
+
+  it("refuses to run without a root", async () => {
+    const backend = library({ roots: [] });
+
+    await expect(backend.syncEntries({ onBatch: vi.fn() })).rejects.toThrow(
+      "LIBRARY_FS_ROOTS",
+    );
+    expect((await backend.probe()).ok).toBe(false);
+  });
+
+  it("indexes every game without an IGDB id, asking neither IGDB nor the index", async () => {
+    await put("snes/Super Metroid (USA).sfc");
+    await put("psx/Resident Evil (USA).bin");
+
+    const backend = library();
+    const [batch] = await syncAll(backend);
+    await backend.getEntry("0:snes/Super Metroid (USA).sfc");
+
+    expect(batch.map((entry) => entry.igdbId)).toEqual([null, null]);
+    expect(searchGamesByTitle).not.toHaveBeenCalled();
+    expect(searchGameCandidates).not.toHaveBeenCalled();
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it("gets one game by the id the walk gave it", async () => {
+    await put("snes/Super Metroid (USA).sfc", 3);
+    await put("psx/Final Fantasy VII (USA)/Disc 1.chd", 5);
+    const backend = library();
+
+    expect(
+      await backend.getEntry("0:snes/Super Metroid (USA).sfc"),
+    ).toMatchObject({
+      name: "Super Metroid",
+      platformName: "Super Nintendo Entertainment System",
+    });
+    expect(
+      await backend.getEntry("0:psx/Final Fantasy VII (USA)"),
+    ).toMatchObject({ name: "Final Fantasy VII", sizeBytes: 5 });
+    expect(await backend.getEntry("0:snes/Missing.sfc")).toBeNull();
+  });
+
+  it("refuses an id that leaves its root or is not a game", async () => {
+    await put("snes/Super Metroid (USA).sfc");
+    await put("psx/Final Fantasy VII (USA)/Disc 1.chd");
+    const backend = library();
+
+    for (const id of [
+      "0:../etc/passwd",
+      "0:snes/../../etc/passwd",
+      "0:psx/Final Fantasy VII (USA)/Disc 1.chd",
+      "0:snes",
+      "0:snes/.hidden",
+      "1:snes/Super Metroid (USA).sfc",
+      "snes/Super Metroid (USA).sfc",
+      "0:/etc/passwd",
+    ]) {
+      expect(await backend.getEntry(id)).toBeNull();
+    }
+  });
+});
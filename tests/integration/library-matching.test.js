@@ -0,0 +1,439 @@
+/**
+ * Regression tests for matching library entries to IGDB.
+ *
+ * What is pinned: an entry is searched for by its cleaned name, once per title
+ * in a batch, and a game on the entry's own platform can settle a title that
+ * is ambiguous elsewhere; only a confident match is put in force, and a
+ * likely one waits for review; an IGDB failure records nothing, so the
+ * entries it stopped are still candidates on the next pass; the stage runs
+ * on one client under its own lock; an admin's confirmation is put in force
+ * and is not replaced by the stage; and an id newly put in force, by the
+ * stage or an admin, fulfils the approved requests for that game and tells
+ * its watchers, as the pass would have had the backend known the id.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const query = vi.fn();
+const searchGameCandidates = vi.fn();
+const applyRequestStatusChange = vi.fn(async () => ({ changed: true }));
+const notifyWatchers = vi.fn(async ({ userIds }) => userIds.length);
+
+/** Statements issued on the client withClient handed out. */
+let calls = [];
+let lockGranted = true;
+let pendingRows = [];
+
+const clientQuery = vi.fn(async (text, params) => {
+  calls.push([text, params]);
+  if (text.includes("pg_try_advisory_lock")) {
+    return { rows: [{ locked: lockGranted }] };
+  }
+  if (text.includes("LEFT JOIN ggr_library_matches")) {
+    return { rows: pendingRows };
+  }
+  if (text.includes("INSERT INTO ggr_library_matches")) {
+    return { rows: [{ id: params[0], newly_in_force: params[9] !== null }] };
+  }
+  return { rows: [] };
+});
+
+const withClient = vi.fn(async (fn) => fn(clientQuery));
+
+vi.mock("$lib/database.js", () => ({ query, withClient }));
+vi.mock("$lib/igdb.js", () => ({ searchGameCandidates }));
+vi.mock("$lib/requestStatus.server.js", () => ({
+  applyRequestStatusChange,
+  REQUEST_SOURCES: { LIBRARY_SYNC: "library_sync" },
+}));
+vi.mock("$lib/userNotifications.server.js", () => ({ notifyWatchers }));
+
+const {
+  confirmMatch,
+  decideMatch,
+  matchLockKey,
+  matchUnmatchedEntries,
+  rejectMatch,
+} = await import("$lib/library/matching.js");
+
+const game = (id, title, platforms = [], year = null) => ({
+  id,
+  igdb_id: String(id),
+  title,
+  platforms,
+  release_date: year ? Date.UTC(year, 0, 1) : null,
+});
+
+/** The match rows written, as {entryId, status, igdbId, inForce}. */
+function recorded() {
+  return calls
+    .filter(([text]) => text.includes("INSERT INTO ggr_library_matches"))
+    .map(([, params]) => ({
+      entryId: params[0],
+      query: params[2],
+      status: params[3],
+      igdbId: params[4],
+      inForce: params[9],
+    }));
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  calls = [];
+  lockGranted = true;
+  pendingRows = [];
+  query.mockReset();
+  query.mockResolvedValue({ rows: [] });
+  searchGameCandidates.mockReset();
+  searchGameCandidates.mockResolvedValue([]);
+});
+
+describe("matchUnmatchedEntries", () => {
+  it("puts a confident match in force and leaves a likely one for review", async () => {
+    pendingRows = [
+      { id: 1, name: "Super Metroid (USA) Rev 1", platform_name: "SNES" },
+      { id: 2, name: "Okami", platform_name: "PlayStation 2" },
+      { id: 3, name: "Unknown Homebrew", platform_name: null },
+    ];
+    searchGameCandidates.mockImplementation(async (title) => {
+      if (title === "Super Metroid") return [game(1103, "Super Metroid")];
+      if (title === "Okami") return [game(1, "Okamiden"), game(2, "Okami HD")];
+      return [];
+    });
+
+    const result = await matchUnmatchedEntries({
+      kind: "retrom",
+      intervalMs: 1,
+    });
+
+    expect(result).toMatchObject({
+      ran: true,
+      examined: 3,
+      searched: 3,
+      auto: 1,
+      suggested: 1,
+      unmatched: 1,
+      reason: null,
+    });
+    expect(searchGameCandidates).toHaveBeenCalledWith("Super Metroid", 10);
+    expect(recorded()).toEqual([
+      {
+        entryId: 1,
+        query: "Super Metroid",
+        status: "auto",
+        igdbId: "1103",
+        inForce: "1103",
+      },
+      {
+        entryId: 2,
+        query: "Okami",
+        status: "suggested",
+        igdbId: "2",
+        inForce: null,
+      },
+      {
+        entryId: 3,
+        query: "Unknown Homebrew",
+        status: "unmatched",
+        igdbId: null,
+        inForce: null,
+      },
+    ]);
+  });
+
+  it("searches a title once per batch, and lets the entry's platform settle it", async () => {
+    pendingRows = [
+      {
+        id: 1,
+        name: "Resident Evil (USA) Disc 1",
+        platform_name: "PlayStation",
+      },
+      {
+        id: 2,
+        name: "Resident Evil (USA) Disc 2",
+        platform_name: "PlayStation",
+      },
+      { id: 3, name: "Resident Evil", platform_name: "Nintendo GameCube" },
+      { id: 4, name: "Resident Evil", platform_name: "Sega Saturn" },
+    ];
+    searchGameCandidates.mockResolvedValue([
+      game(356, "Resident Evil", ["PlayStation", "Sega Saturn"], 1996),
+      game(1024, "Resident Evil", ["Nintendo GameCube", "Wii"], 2002),
+    ]);
+
+    await matchUnmatchedEntries({ kind: "retrom", intervalMs: 1 });
+
+    expect(searchGameCandidates).toHaveBeenCalledTimes(1);
+    expect(recorded().map(({ entryId, igdbId }) => [entryId, igdbId])).toEqual([
+      [1, "356"],
+      [2, "356"],
+      [3, "1024"],
+      [4, "356"],
+    ]);
+  });
+
+  it("stops at an IGDB failure without recording it as a miss", async () => {
+    pendingRows = [
+      { id: 1, name: "Super Metroid", platform_name: null },
+      { id: 2, name: "Earthbound", platform_name: null },
+    ];
+    searchGameCandidates
+      .mockResolvedValueOnce([game(1103, "Super Metroid")])
+      .mockRejectedValueOnce(new Error("IGDB API error: Too Many Requests"));
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const result = await matchUnmatchedEntries({
+      kind: "gaseous",
+      intervalMs: 1,
+    });
+
+    expect(result).toMatchObject({
+      ran: true,
+      examined: 1,
+      reason: "igdb_error",
+    });
+    expect(recorded().map((match) => match.entryId)).toEqual([1]);
+    expect(calls.at(-1)).toEqual([
+      "SELECT pg_advisory_unlock($1)",
+      [matchLockKey("gaseous")],
+    ]);
+  });
+
+  it("runs on one client under its own per-library lock", async () => {
+    lockGranted = false;
+
+    const result = await matchUnmatchedEntries({ kind: "gaseous" });
+
+    expect(result).toMatchObject({ ran: false, reason: "locked" });
+    expect(withClient).toHaveBeenCalledTimes(1);
+    expect(query).not.toHaveBeenCalled();
+    expect(searchGameCandidates).not.toHaveBeenCalled();
+    expect(calls[0][1]).toEqual([matchLockKey("gaseous")]);
+    expect(matchLockKey("gaseous")).not.toBe(matchLockKey("romm"));
+  });
+
+  it("takes entries without a match, and renamed ones an admin did not confirm", async () => {
+    await matchUnmatchedEntries({ kind: "retrom", batchSize: 25 });
+
+    const [sql, params] = calls.find(([text]) =>
+      text.includes("LEFT JOIN ggr_library_matches"),
+    );
+    expect(sql).toContain("e.igdb_id IS NULL");
+    expect(sql).toContain("e.removed_at IS NULL");
+    expect(sql).toContain("m.entry_name <> e.name AND m.status <> 'confirmed'");
+    expect(params).toEqual(["retrom", 25]);
+  });
+});
+
+describe("decideMatch", () => {
+  it("holds a match below the confidence threshold for review", () => {
+    const games = [game(192, "Sonic Adventure DX")];
+
+    expect(decideMatch("Sonic Adventure", null, games, 0.9)).toMatchObject({
+      status: "auto",
+      igdbId: "192",
+      confidence: 0.93,
+    });
+    expect(decideMatch("Sonic Adventure", null, games, 0.95)).toMatchObject({
+      status: "suggested",
+      igdbId: "192",
+    });
+  });
+});
+
+describe("reviewing a match", () => {
+  it("puts a confirmed id in force, past a match the stage would not replace", async () => {
+    query.mockImplementation(async (text, params) => {
+      if (text.includes("FROM ggr_library_entries e")) {
+        return {
+          rows: [
+            {
+              id: 5,
+              name: "Okami",
+              query: "Okami",
+              candidates: [{ igdb_id: "2" }],
+            },
+          ],
+        };
+      }
+      return { rows: [{ id: params[0] }] };
+    });
+
+    expect(await confirmMatch(5, { igdbId: 1203, title: "Okami" }, 9)).toBe(
+      true,
+    );
+
+    const [sql, params] = query.mock.calls.at(-1);
+    // A reviewer's write passes the guard that stops the stage's.
+    expect(sql).toContain("EXCLUDED.reviewed_by IS NOT NULL");
+    expect(params[3]).toBe("confirmed");
+    expect(params[4]).toBe("1203");
+    expect(JSON.parse(params[7])).toEqual([{ igdb_id: "2" }]);
+    expect(params[8]).toBe(9);
+    expect(params[9]).toBe("1203");
+  });
+
+  it("takes a rejected match out of force", async () => {
+    query.mockImplementation(async (text, params) =>
+      text.includes("FROM ggr_library_entries e")
+        ? { rows: [{ id: 5, name: "Okami", query: "Okami", candidates: [] }] }
+        : { rows: [{ id: params[0] }] },
+    );
+
+    expect(await rejectMatch(5, 9)).toBe(true);
+
+    const params = query.mock.calls.at(-1)[1];
+    expect(params[3]).toBe("rejected");
+    expect(params[9]).toBeNull();
+  });
+
+  it("reports an entry that has left the library", async () => {
+    query.mockResolvedValue({ rows: [] });
+
+    expect(await rejectMatch(5, 9)).toBe(false);
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("following up a match", () => {
+  /**
+   * The pool, as the follow-up sees it: the matched entries read back with
+   * the id in force, one approved request for Super Metroid under another
+   * name, and one watcher of it.
+   */
+  function library({ entries }) {
+    query.mockImplementation(async (text, params) => {
+      if (text.includes("FROM ggr_library_entries e")) {
+        return {
+          rows: [{ id: 1, name: "SM", query: "SM", candidates: [] }],
+        };
+      }
+      if (text.includes("INSERT INTO ggr_library_matches")) {
+        return { rows: [{ id: params[0], newly_in_force: true }] };
+      }
+      if (text.includes("COALESCE(igdb_id, match_igdb_id)")) {
+        return { rows: entries };
+      }
+      if (text.includes("status IN ('approved', 'in_progress')")) {
+        return {
+          rows: [
+            { id: "r1", title: "Metroid 3", igdb_id: "1103", platforms: [] },
+          ],
+        };
+      }
+      if (text.includes("UPDATE ggr_user_watchlist")) {
+        return { rows: [{ user_id: 4, igdb_id: "1103", title: null }] };
+      }
+      return { rows: [] };
+    });
+  }
+
+  const superMetroid = {
+    id: 1,
+    name: "Super Metroid (USA) Rev 1",
+    platform_name: "SNES",
+    igdb_id: "1103",
+  };
+
+  it("fulfils a request and alerts its watchers through the stage's match", async () => {
+    pendingRows = [
+      { id: 1, name: "Super Metroid (USA) Rev 1", platform_name: "SNES" },
+    ];
+    searchGameCandidates.mockResolvedValue([game(1103, "Super Metroid")]);
+    library({ entries: [superMetroid] });
+
+    const result = await matchUnmatchedEntries({
+      kind: "filesystem",
+      intervalMs: 1,
+      autoFulfil: true,
+    });
+
+    expect(result).toMatchObject({ auto: 1, fulfilled: 1 });
+    const [sql, params] = query.mock.calls.find(([text]) =>
+      text.includes("COALESCE(igdb_id, match_igdb_id)"),
+    );
+    expect(sql).toContain("removed_at IS NULL");
+    expect(params).toEqual([[1]]);
+    // The request's own title is no help; only the matched id ties them.
+    expect(applyRequestStatusChange).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "r1", to: "fulfilled" }),
+    );
+    expect(
+      query.mock.calls.find(([text]) =>
+        text.includes("UPDATE ggr_user_watchlist"),
+      )[1],
+    ).toEqual([["1103"]]);
+    expect(notifyWatchers).toHaveBeenCalledWith(
+      expect.objectContaining({
+        event: "watchlist.in_library",
+        userIds: [4],
+      }),
+    );
+  });
+
+  it("alerts but leaves requests alone without LIBRARY_AUTO_FULFIL", async () => {
+    pendingRows = [
+      { id: 1, name: "Super Metroid (USA) Rev 1", platform_name: "SNES" },
+    ];
+    searchGameCandidates.mockResolvedValue([game(1103, "Super Metroid")]);
+    library({ entries: [superMetroid] });
+
+    const result = await matchUnmatchedEntries({
+      kind: "filesystem",
+      intervalMs: 1,
+    });
+
+    expect(result.fulfilled).toBe(0);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+    expect(notifyWatchers).toHaveBeenCalledTimes(1);
+  });
+
+  it("follows up nothing the batch left out of force", async () => {
+    pendingRows = [{ id: 2, name: "Okami", platform_name: null }];
+    searchGameCandidates.mockResolvedValue([
+      game(1, "Okamiden"),
+      game(2, "Okami HD"),
+    ]);
+
+    await matchUnmatchedEntries({
+      kind: "retrom",
+      intervalMs: 1,
+      autoFulfil: true,
+    });
+
+    expect(query).not.toHaveBeenCalled();
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+  });
+
+  it("fulfils a request through an admin's confirmation", async () => {
+    library({ entries: [superMetroid] });
+
+    expect(
+      await confirmMatch(1, { igdbId: 1103, title: "Super Metroid" }, 9, {
+        autoFulfil: true,
+      }),
+    ).toBe(true);
+
+    expect(applyRequestStatusChange).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "r1", to: "fulfilled" }),
+    );
+    expect(notifyWatchers).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not follow up a confirmation of the id already in force", async () => {
+    library({ entries: [superMetroid] });
+    const respond = query.getMockImplementation();
+    query.mockImplementation(async (text, params) =>
+      text.includes("INSERT INTO ggr_library_matches")
+        ? { rows: [{ id: params[0], newly_in_force: false }] }
+        : respond(text, params),
+    );
+
+    await confirmMatch(1, { igdbId: 1103, title: "Super Metroid" }, 9, {
+      autoFulfil: true,
+    });
+
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+    expect(notifyWatchers).not.toHaveBeenCalled();
+  });
+});
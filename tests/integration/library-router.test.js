@@ -5,6 +5,13 @@
  * the backend declares the capability, and an explicit indexBuilding state
  * when neither is possible. That third state exists because the alternative
  * is asserting an outage nobody observed, which is what issue 15 objected to.
+ *
+ * With several libraries, a read spans every one whose index is ready, labels
+ * each entry with its library, and names the others as pending.
+ *
+ * A search is ranked and typo-tolerant through pg_trgm when the extension is
+ * installed, and a ranked substring match when it is not; a platform filter
+ * matches the index's names however the caller spells the platform.
  */
 
 import { beforeEach, describe, expect, it, vi } from "vitest";
@@ -14,20 +21,44 @@ const query = vi.fn(async () => ({ rows: [] }));
 const listEntries = vi.fn(async () => []);
 let capabilities = new Set(["SYNC", "LIST_RECENT", "SEARCH", "GET_BY_ID"]);
 let synced = false;
+let libraries;
+let trigramInstalled = false;
+
+/** Statements run inside a search's transaction. */
+let transactionCalls = [];
+const withTransaction = vi.fn(async (fn) =>
+  fn(async (sql, params) => {
+    transactionCalls.push([sql, params]);
+    return query(sql, params);
+  }),
+);
 
-vi.mock("$lib/database.js", () => ({ query }));
+vi.mock("$lib/database.js", () => ({ query, withTransaction }));
 vi.mock("$lib/library/index.js", () => ({
-  getLibrary: () => ({
-    kind: () => "romm",
-    capabilities: () => capabilities,
-    listEntries,
-  }),
+  getLibraries: () => libraries,
 }));
 
-function stubQueries({ rows = [] } = {}) {
-  query.mockImplementation(async (sql) => {
+const romm = {
+  kind: () => "romm",
+  capabilities: () => capabilities,
+  listEntries,
+};
+
+/**
+ * Which kinds have completed a sync: all of the configured ones when `synced`
+ * is true, or exactly the ones listed.
+ */
+function stubQueries({ rows = [], ready = null, platforms = [] } = {}) {
+  query.mockImplementation(async (sql, params) => {
+    if (sql.includes("pg_extension")) {
+      return { rows: [{ installed: trigramInstalled }] };
+    }
+    if (sql.includes("DISTINCT platform_name")) {
+      return { rows: platforms.map((name) => ({ platform_name: name })) };
+    }
     if (sql.includes("ggr_library_sync_state")) {
-      return { rows: synced ? [{ last_completed_at: new Date() }] : [] };
+      const kinds = ready ?? (synced ? params[0] : []);
+      return { rows: kinds.map((kind) => ({ library_kind: kind })) };
     }
     if (sql.includes("FROM ggr_library_entries")) return { rows };
     return { rows: [] };
@@ -44,6 +75,9 @@ describe("read routing", () => {
     vi.clearAllMocks();
     capabilities = new Set(["SYNC", "LIST_RECENT", "SEARCH", "GET_BY_ID"]);
     synced = false;
+    libraries = [romm];
+    trigramInstalled = false;
+    transactionCalls = [];
     stubQueries();
   });
 
@@ -219,4 +253,228 @@ describe("read routing", () => {
     )[1];
     expect(params[1]).toEqual(["1721"]);
   });
+
+  it("finds an entry by the id the matching stage found, the backend's first", async () => {
+    synced = true;
+    stubQueries({
+      rows: [
+        {
+          library_kind: "romm",
+          library_id: "1",
+          name: "Okami",
+          igdb_id: null,
+          match_igdb_id: "1203",
+        },
+        {
+          library_kind: "romm",
+          library_id: "2",
+          name: "Doom",
+          igdb_id: "673",
+          match_igdb_id: "999",
+        },
+      ],
+    });
+    const { entriesByIgdbIds } = await router();
+
+    const result = await entriesByIgdbIds(["1203", "673"]);
+
+    const read = query.mock.calls
+      .map(([sql]) => sql)
+      .find((sql) => sql.includes("FROM ggr_library_entries"));
+    expect(read).toContain("igdb_id IS NULL AND match_igdb_id = ANY($2)");
+    expect(result.entries.map((entry) => entry.igdbId)).toEqual([
+      "1203",
+      "673",
+    ]);
+  });
+
+  describe("searching the index", () => {
+    /** The search statement, wherever it ran. */
+    const searchCall = () =>
+      [...query.mock.calls].reverse().find(([sql]) => sql.includes("LIMIT"));
+
+    beforeEach(() => {
+      synced = true;
+    });
+
+    it("ranks by trigram similarity, with the typo threshold set for the statement only", async () => {
+      trigramInstalled = true;
+      const { searchEntries } = await router();
+
+      await searchEntries({ search: " metriod ", limit: 5, offset: 0 });
+
+      expect(withTransaction).toHaveBeenCalledTimes(1);
+      const [setConfig, search] = transactionCalls;
+      expect(setConfig[0]).toContain(
+        "set_config('pg_trgm.word_similarity_threshold', $1, true)",
+      );
+      expect(setConfig[1]).toEqual(["0.4"]);
+      expect(search[0]).toContain("<% name");
+      expect(search[0]).toMatch(
+        /ORDER BY word_similarity\(\$\d, name\) DESC, similarity\(name, \$\d\) DESC, /,
+      );
+      expect(search[1]).toContain("metriod");
+    });
+
+    it("falls back to a ranked ILIKE, searching for the term literally", async () => {
+      const { searchEntries } = await router();
+
+      await searchEntries({ search: "100%_Mario", limit: 5, offset: 0 });
+
+      expect(withTransaction).not.toHaveBeenCalled();
+      const [sql, params] = searchCall();
+      expect(sql).not.toContain("<%");
+      expect(sql).toMatch(/ORDER BY \(lower\(name\) = lower\(\$\d\)\) DESC/);
+      expect(params).toContain("%100\\%\\_Mario%");
+      expect(params).toContain("100\\%\\_Mario%");
+    });
+
+    it("asks whether pg_trgm is installed once, and again after the question failed", async () => {
+      const { detectTrigramSearch } = await router();
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      query.mockRejectedValueOnce(new Error("connection refused"));
+
+      expect(await detectTrigramSearch()).toBe(false);
+      trigramInstalled = true;
+      expect(await detectTrigramSearch()).toBe(true);
+      expect(await detectTrigramSearch()).toBe(true);
+
+      const asked = query.mock.calls.filter(([sql]) =>
+        sql.includes("pg_extension"),
+      );
+      expect(asked).toHaveLength(2);
+    });
+
+    it("filters by the index's name for a platform, however it is spelled", async () => {
+      stubQueries({ platforms: ["PlayStation 2", "Super Nintendo"] });
+      const { searchEntries } = await router();
+
+      await searchEntries({
+        search: "",
+        platforms: ["PS2"],
+        limit: 5,
+        offset: 0,
+      });
+
+      const [sql, params] = searchCall();
+      expect(sql).toContain("platform_name = ANY($2)");
+      expect(params[1]).toEqual(["PlayStation 2"]);
+      // A blank search is a platform listing: no name predicate, no pg_trgm.
+      expect(sql).not.toContain("ILIKE");
+      expect(withTransaction).not.toHaveBeenCalled();
+    });
+
+    it("finds nothing for a platform the index does not hold, rather than everything", async () => {
+      stubQueries({ platforms: ["PlayStation 2"] });
+      const { searchEntries } = await router();
+
+      const result = await searchEntries({
+        search: "doom",
+        platforms: ["Sega Saturn"],
+      });
+
+      expect(result.entries).toEqual([]);
+      expect(searchCall()).toBeUndefined();
+    });
+
+    it("filters a backend's answer by platform until the index is ready", async () => {
+      synced = false;
+      listEntries.mockResolvedValueOnce([
+        { id: "1", name: "Okami", platformName: "Sony PlayStation 2" },
+        { id: "2", name: "Okami HD", platformName: "PC" },
+      ]);
+      const { searchEntries } = await router();
+
+      const result = await searchEntries({
+        search: "okami",
+        platforms: ["PS2"],
+      });
+
+      expect(result.source).toBe("backend");
+      expect(result.entries.map((entry) => entry.id)).toEqual(["1"]);
+    });
+  });
+
+  describe("with several libraries", () => {
+    const gaseousListEntries = vi.fn(async () => [{ id: "g1", name: "Doom" }]);
+    const gaseous = {
+      kind: () => "gaseous",
+      capabilities: () => new Set(["SYNC", "LIST_RECENT", "SEARCH"]),
+      listEntries: gaseousListEntries,
+    };
+
+    beforeEach(() => {
+      libraries = [romm, gaseous];
+    });
+
+    it("reads every ready library in one query and labels each entry", async () => {
+      stubQueries({
+        ready: ["gaseous", "romm"],
+        rows: [
+          { library_kind: "gaseous", library_id: "g1", name: "Doom" },
+          { library_kind: "romm", library_id: "7", name: "Earthbound" },
+        ],
+      });
+      const { searchEntries } = await router();
+
+      const result = await searchEntries({ search: "o", limit: 5, offset: 0 });
+
+      const [sql, params] = query.mock.calls.find(([text]) =>
+        text.includes("FROM ggr_library_entries"),
+      );
+      expect(sql).toContain("library_kind = ANY($1)");
+      // Configured order, whatever order the state rows came back in.
+      expect(params[0]).toEqual(["romm", "gaseous"]);
+      expect(result.pending).toEqual([]);
+      expect(
+        result.entries.map(({ id, libraryKind, libraryName }) => [
+          id,
+          libraryKind,
+          libraryName,
+        ]),
+      ).toEqual([
+        ["g1", "gaseous", "Gaseous"],
+        ["7", "romm", "RomM"],
+      ]);
+    });
+
+    it("answers from the indexed library and names the one still building", async () => {
+      stubQueries({ ready: ["gaseous"], rows: [] });
+      const { entriesByIgdbIds } = await router();
+
+      const result = await entriesByIgdbIds(["10"]);
+
+      expect(result.indexBuilding).toBe(false);
+      expect(result.pending).toEqual(["romm"]);
+      const [, params] = query.mock.calls.find(([text]) =>
+        text.includes("FROM ggr_library_entries"),
+      );
+      expect(params[0]).toEqual(["gaseous"]);
+    });
+
+    it("falls back to the first backend that can answer, and only that one", async () => {
+      capabilities = new Set(["SYNC"]);
+      const { recentEntries } = await router();
+
+      const result = await recentEntries({ limit: 5, offset: 0 });
+
+      expect(result.source).toBe("backend");
+      expect(listEntries).not.toHaveBeenCalled();
+      expect(gaseousListEntries).toHaveBeenCalledTimes(1);
+      expect(result.entries[0]).toMatchObject({
+        id: "g1",
+        libraryKind: "gaseous",
+      });
+      expect(result.pending).toEqual(["romm"]);
+    });
+
+    it("says indexBuilding only when no library can answer", async () => {
+      const { entriesByIgdbIds } = await router();
+
+      const result = await entriesByIgdbIds(["10"]);
+
+      expect(result.indexBuilding).toBe(true);
+      expect(result.pending).toEqual(["romm", "gaseous"]);
+    });
+  });
 });
@@ -0,0 +1,339 @@
+/**
+ * Regression tests for the library sync's run history and the dashboard's
+ * controls over it.
+ *
+ * What is pinned: every pass that wins the lock leaves a row, its progress is
+ * written per batch, and a row left running by a dead worker is closed as
+ * interrupted by the next pass; the history never fails a pass it records; a
+ * full pass ignores the resume point; an admin's sweep override lifts the
+ * ratio for exactly one sweep, and a resumed pass, which does not sweep, does
+ * not spend it; and the dashboard's changes to the sync state take the same
+ * per-library lock a pass does, on one client.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const query = vi.fn(async () => ({ rows: [] }));
+const syncEntries = vi.fn(async () => {});
+
+/** Every client withClient has handed out during the current test. */
+const clients = [];
+let lockGranted = true;
+
+/** What SELECT resume_offset answers, or null for "no row yet". */
+let stateRow = null;
+let sweepCounts = { live: "0", stale: "0" };
+let failHistory = false;
+let updatedStateRows = [];
+
+function checkOutClient() {
+  const calls = [];
+  return {
+    calls,
+    query: vi.fn(async (text, params) => {
+      calls.push([text, params]);
+      if (failHistory && text.includes("ggr_library_sync_runs")) {
+        throw new Error('relation "ggr_library_sync_runs" does not exist');
+      }
+      if (text.includes("pg_try_advisory_lock")) {
+        return { rows: [{ locked: lockGranted }] };
+      }
+      if (text.includes("count(*) AS live")) {
+        return { rows: [sweepCounts] };
+      }
+      if (text.includes("SELECT resume_offset")) {
+        return { rows: stateRow ? [stateRow] : [] };
+      }
+      if (text.includes("INSERT INTO ggr_library_sync_runs")) {
+        return { rows: [{ id: "41" }] };
+      }
+      if (text.includes("RETURNING library_kind")) {
+        return { rows: updatedStateRows };
+      }
+      return { rows: [] };
+    }),
+  };
+}
+
+const withClient = vi.fn(async (fn) => {
+  const client = checkOutClient();
+  clients.push(client);
+  return fn(client.query);
+});
+
+vi.mock("$lib/database.js", () => ({ query, withClient }));
+vi.mock("$lib/library/index.js", () => ({
+  getLibrary: () => ({
+    kind: () => "gaseous",
+    capabilities: () => new Set(["SYNC"]),
+    syncEntries,
+  }),
+}));
+
+const { syncLibrary, syncLockKey, SWEEP_REFUSED } = await import(
+  "$lib/library/sync.js"
+);
+const { allowSweepOnce, clearResumePoint, syncStatus } = await import(
+  "$lib/library/runs.js"
+);
+
+/** Every statement whose SQL contains `fragment`, as [text, params]. */
+function statements(fragment) {
+  return clients.flatMap((client) =>
+    client.calls.filter(([text]) => text.includes(fragment)),
+  );
+}
+
+/** A backend that walks `pages` pages of `size` entries and then stops. */
+function walks(pages, size) {
+  syncEntries.mockImplementation(async ({ startOffset = 0, onBatch }) => {
+    let offset = startOffset;
+    for (let page = 0; page < pages; page += 1) {
+      const entries = Array.from({ length: size }, (_, i) => ({
+        id: String(offset + i),
+        name: `game ${offset + i}`,
+      }));
+      offset += size;
+      await onBatch(entries, { nextOffset: offset });
+    }
+  });
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  clients.length = 0;
+  lockGranted = true;
+  stateRow = null;
+  sweepCounts = { live: "0", stale: "0" };
+  failHistory = false;
+  updatedStateRows = [];
+  query.mockReset();
+  walks(2, 3);
+});
+
+describe("the run history", () => {
+  it("records a pass from its start, through each batch, to its counts", async () => {
+    await syncLibrary({ trigger: "manual", requestedBy: 7 });
+
+    const [[insert, insertParams]] = statements(
+      "INSERT INTO ggr_library_sync_runs",
+    );
+    expect(insert).toContain("RETURNING id");
+    expect(insertParams).toEqual(["gaseous", "manual", false, 7, false, 0]);
+
+    const progress = statements("UPDATE ggr_library_sync_runs SET upserted");
+    expect(progress.map(([, params]) => params)).toEqual([
+      ["41", 3, 0],
+      ["41", 6, 0],
+    ]);
+
+    const [[, completed]] = statements("status = 'completed'");
+    expect(completed).toEqual(["41", 6, 0, 0, false, false]);
+  });
+
+  it("closes a run a dead worker left running before opening its own", async () => {
+    await syncLibrary();
+
+    const issued = clients[0].calls.map(([text]) => text);
+    const interrupted = issued.findIndex((text) =>
+      text.includes("SET status = 'interrupted'"),
+    );
+    const opened = issued.findIndex((text) =>
+      text.includes("INSERT INTO ggr_library_sync_runs"),
+    );
+    expect(interrupted).toBeGreaterThan(-1);
+    expect(interrupted).toBeLessThan(opened);
+    // After the lock, never before it: only the lock proves nothing else is
+    // running.
+    expect(issued[0]).toContain("pg_try_advisory_lock");
+  });
+
+  it("records a failed pass with its error", async () => {
+    syncEntries.mockRejectedValue(new Error("gateway timeout"));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    await syncLibrary();
+
+    const [[text, params]] = statements("status = 'failed'");
+    expect(text).toContain("error = $4");
+    expect(params).toEqual(["41", 0, 0, "gateway timeout"]);
+  });
+
+  it("leaves no row for a pass that lost the lock", async () => {
+    lockGranted = false;
+
+    await syncLibrary();
+
+    expect(statements("ggr_library_sync_runs")).toEqual([]);
+  });
+
+  it("does not fail the pass when the history cannot be written", async () => {
+    failHistory = true;
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const result = await syncLibrary();
+
+    expect(result).toMatchObject({ completed: true, upserted: 6 });
+    expect(statements("last_completed_at")).toHaveLength(1);
+  });
+});
+
+describe("a full pass", () => {
+  it("walks from the start, past a resume point", async () => {
+    stateRow = { resume_offset: 3000, resume_upserted: 3000 };
+
+    const result = await syncLibrary({ full: true, trigger: "manual" });
+
+    expect(syncEntries).toHaveBeenCalledWith(
+      expect.objectContaining({ startOffset: 0 }),
+    );
+    expect(result.resumed).toBe(false);
+    // The fresh-pass branch, which moves the sweep boundary and clears the
+    // resume columns.
+    expect(statements("INSERT INTO ggr_library_sync_state")).toHaveLength(1);
+    expect(statements("count(*) AS live")).toHaveLength(1);
+    expect(statements("INSERT INTO ggr_library_sync_runs")[0][1][2]).toBe(true);
+  });
+});
+
+describe("the sweep override", () => {
+  it("lets one refused sweep through, and is spent by it", async () => {
+    stateRow = { resume_offset: null, sweep_override: true };
+    sweepCounts = { live: "1000", stale: "900" };
+
+    const result = await syncLibrary({ maxSweepRatio: 0.5 });
+
+    expect(result).toMatchObject({
+      sweepBlocked: false,
+      sweepOverridden: true,
+    });
+    expect(statements("SET removed_at")).toHaveLength(1);
+    expect(statements("SET sweep_override = FALSE")).toHaveLength(1);
+    const [[, completed]] = statements("status = 'completed'");
+    expect(completed.slice(-2)).toEqual([false, true]);
+  });
+
+  it("still refuses without it", async () => {
+    stateRow = { resume_offset: null, sweep_override: false };
+    sweepCounts = { live: "1000", stale: "900" };
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const result = await syncLibrary({ maxSweepRatio: 0.5 });
+
+    expect(result.sweepBlocked).toBe(true);
+    expect(statements("SET removed_at")).toHaveLength(0);
+    const [[, params]] = statements("last_completed_at");
+    expect(params[2].startsWith(SWEEP_REFUSED)).toBe(true);
+  });
+
+  it("is kept by a resumed pass, which does not sweep", async () => {
+    stateRow = { resume_offset: 6, resume_upserted: 6, sweep_override: true };
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    const result = await syncLibrary();
+
+    expect(result).toMatchObject({ resumed: true, sweepOverridden: false });
+    expect(statements("SET sweep_override = FALSE")).toHaveLength(0);
+  });
+});
+
+describe("the dashboard's changes to the sync state", () => {
+  it("clears a resume point under the library's lock", async () => {
+    updatedStateRows = [{ library_kind: "gaseous" }];
+
+    const result = await clearResumePoint("gaseous");
+
+    expect(result).toEqual({ done: true, reason: null });
+    expect(clients).toHaveLength(1);
+    const issued = clients[0].calls;
+    expect(issued[0]).toEqual([
+      "SELECT pg_try_advisory_lock($1) AS locked",
+      [syncLockKey("gaseous")],
+    ]);
+    expect(issued[1][0]).toContain("SET resume_offset = NULL");
+    expect(issued.at(-1)).toEqual([
+      "SELECT pg_advisory_unlock($1)",
+      [syncLockKey("gaseous")],
+    ]);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it("changes nothing while a pass holds the lock", async () => {
+    lockGranted = false;
+
+    expect(await clearResumePoint("gaseous")).toEqual({
+      done: false,
+      reason: "locked",
+    });
+    expect(await allowSweepOnce("gaseous")).toEqual({
+      done: false,
+      reason: "locked",
+    });
+    expect(statements("UPDATE ggr_library_sync_state")).toEqual([]);
+    expect(statements("pg_advisory_unlock")).toEqual([]);
+  });
+
+  it("arms the override only after a refusal", async () => {
+    const refused = await allowSweepOnce("gaseous");
+
+    expect(refused).toEqual({ done: false, reason: "not_refused" });
+    const [[text, params]] = statements("SET sweep_override = TRUE");
+    expect(text).toContain("last_error LIKE ($2 || '%')");
+    expect(text).toContain("run.sweep_blocked");
+    expect(params).toEqual(["gaseous", SWEEP_REFUSED]);
+
+    updatedStateRows = [{ library_kind: "gaseous" }];
+    expect(await allowSweepOnce("gaseous")).toEqual({
+      done: true,
+      reason: null,
+    });
+  });
+});
+
+describe("syncStatus", () => {
+  it("reports a library running exactly when its lock is held", async () => {
+    query.mockImplementation(async (text) => {
+      if (text.includes("FROM pg_locks")) {
+        return { rows: [{ key: String(syncLockKey("gaseous")) }] };
+      }
+      if (text.includes("FROM ggr_library_sync_state")) {
+        return {
+          rows: [
+            {
+              library_kind: "romm",
+              last_error: `${SWEEP_REFUSED} 900 of 1000 live entries`,
+            },
+          ],
+        };
+      }
+      if (text.includes("status = 'completed'")) {
+        return { rows: [{ library_kind: "gaseous", sweep_blocked: false }] };
+      }
+      if (text.includes("FROM ggr_library_sync_runs")) {
+        return {
+          rows: [{ library_kind: "gaseous", id: "41", status: "running" }],
+        };
+      }
+      return { rows: [] };
+    });
+
+    const status = await syncStatus(["romm", "gaseous"]);
+
+    expect(status.map(({ kind, running }) => [kind, running])).toEqual([
+      ["romm", false],
+      ["gaseous", true],
+    ]);
+    expect(status[1].run).toMatchObject({ id: "41", status: "running" });
+    expect(status.map((library) => library.sweepRefused)).toEqual([
+      true,
+      false,
+    ]);
+
+    const [, params] = query.mock.calls.find(([text]) =>
+      text.includes("FROM pg_locks"),
+    );
+    expect(params).toEqual([[syncLockKey("romm"), syncLockKey("gaseous")]]);
+    // Read, not taken: asking must not block the pass it is asking about.
+    expect(withClient).not.toHaveBeenCalled();
+  });
+});
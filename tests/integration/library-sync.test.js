@@ -209,6 +209,26 @@ describe("syncLibrary", () => {
     expect(sql().some((text) => text.includes("SET removed_at"))).toBe(false);
   });
 
+  it("reports each phase to onProgress, and a callback that throws fails nothing", async () => {
+    syncEntries.mockImplementation(async ({ onBatch }) => {
+      await onBatch([{ id: "1", name: "a" }]);
+    });
+    const phases = [];
+    const onProgress = vi.fn((progress) => {
+      phases.push(progress.phase);
+      throw new Error("stream gone");
+    });
+
+    const result = await run({ onProgress });
+
+    expect(phases).toEqual(["started", "batch", "completed"]);
+    expect(result.completed).toBe(true);
+    expect(onProgress.mock.calls[1][0]).toMatchObject({
+      upserted: 1,
+      firstSeen: [],
+    });
+  });
+
   it("records the failure so it is visible outside the logs", async () => {
     syncEntries.mockRejectedValue(new Error("backend down"));
 
@@ -254,6 +274,38 @@ describe("syncLibrary", () => {
     expect(query).not.toHaveBeenCalled();
   });
 
+  it("locks each library on its own key, RomM's being the one it always was", async () => {
+    const { ADVISORY_LOCK_KEY } = await import("$lib/library/sync.js");
+    const gaseous = {
+      kind: () => "gaseous",
+      capabilities: () => new Set(["SYNC"]),
+      syncEntries,
+    };
+
+    await run();
+    await run({ library: gaseous });
+
+    const keys = (fragment) =>
+      clients.map(
+        (client) =>
+          client.calls.find(([text]) => text.includes(fragment))[1][0],
+      );
+    expect(keys("pg_try_advisory_lock")).toEqual([
+      ADVISORY_LOCK_KEY,
+      ADVISORY_LOCK_KEY + 1,
+    ]);
+    expect(keys("pg_advisory_unlock")).toEqual(keys("pg_try_advisory_lock"));
+    // The state written is the library's own.
+    expect(statement("INSERT INTO ggr_library_sync_state")[1]).toEqual([
+      "romm",
+    ]);
+    expect(
+      clients[1].calls.find(([text]) =>
+        text.includes("INSERT INTO ggr_library_sync_state"),
+      )[1],
+    ).toEqual(["gaseous"]);
+  });
+
   it("runs the whole pass on that client, sweep and state writes included", async () => {
     syncEntries.mockImplementation(async ({ onBatch }) => {
       await onBatch([{ id: "1", name: "a" }]);
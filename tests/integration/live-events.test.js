@@ -0,0 +1,218 @@
+/**
+ * Regression tests for the live event stream.
+ *
+ * What matters most is who hears what: a request's events go to its requester
+ * and to request.view_all holders, never to another user, and an API key only
+ * gets the library's events with games:read. After that, the fan-out: an event
+ * published on one worker arrives through the LISTEN connection, one
+ * connection however many streams are open; events are published in the
+ * order they happened; and a payload NOTIFY would refuse is dropped here
+ * rather than failing the write that caused it.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const query = vi.fn(async () => ({ rows: [] }));
+let notify = null;
+const close = vi.fn(async () => {});
+const listen = vi.fn(async (channel, onNotification) => {
+  notify = onNotification;
+  return close;
+});
+const getAuthenticatedUser = vi.fn();
+const userHasPermission = vi.fn(async () => false);
+
+vi.mock("$lib/database.js", () => ({ query, listen }));
+vi.mock("$lib/auth.server.js", () => ({ getAuthenticatedUser }));
+vi.mock("$lib/userProfile.js", () => ({ userHasPermission }));
+vi.mock("$lib/getUserId.js", () => ({
+  getUserIdFromAuth: vi.fn(async (user) => Number(user.user_id)),
+}));
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const REQUEST = {
+  id: "9b2f6a52-0000-4000-8000-000000000001",
+  user_id: "12",
+  user_name: "alice",
+  title: "Chrono Trigger",
+  status: "approved",
+  description: "x".repeat(5000),
+  updated_at: "2026-10-19T09:00:00Z",
+};
+
+async function liveEvents() {
+  vi.resetModules();
+  return import("$lib/liveEvents.server.js");
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  notify = null;
+  userHasPermission.mockResolvedValue(false);
+});
+
+describe("liveEventVisible", () => {
+  const event = { type: "request.status_changed", data: { request: REQUEST } };
+  const viewer = { userId: 12, viewAll: false, requests: true, library: true };
+
+  it("shows a request's events to its requester and to request.view_all only", async () => {
+    const { liveEventVisible } = await liveEvents();
+
+    expect(liveEventVisible(event, viewer)).toBe(true);
+    expect(liveEventVisible(event, { ...viewer, userId: 13 })).toBe(false);
+    expect(
+      liveEventVisible(event, { ...viewer, userId: 13, viewAll: true }),
+    ).toBe(true);
+    expect(liveEventVisible(event, { ...viewer, requests: false })).toBe(false);
+  });
+
+  it("keeps who is assigned a request to request.view_all", async () => {
+    const { liveEventVisible } = await liveEvents();
+    const assigned = { ...event, type: "request.assigned" };
+
+    expect(liveEventVisible(assigned, viewer)).toBe(false);
+    expect(liveEventVisible(assigned, { ...viewer, viewAll: true })).toBe(true);
+  });
+
+  it("shows the library's events to anyone who may read games", async () => {
+    const { liveEventVisible } = await liveEvents();
+    const added = { type: "library.entry_added", data: { entries: [] } };
+
+    expect(liveEventVisible(added, { ...viewer, userId: 99 })).toBe(true);
+    expect(liveEventVisible(added, { ...viewer, library: false })).toBe(false);
+  });
+});
+
+describe("publishing", () => {
+  it("sends a slim request in order, and drops what NOTIFY would refuse", async () => {
+    const { publishRequestEvent, publishLiveEvent } = await liveEvents();
+    const order = [];
+    query.mockImplementation(async (sql, [, payload]) => {
+      const { type } = JSON.parse(payload);
+      // The first NOTIFY is the slow one; the second must still go after it.
+      if (type === "request.status_changed") await settle();
+      order.push(type);
+      return { rows: [] };
+    });
+
+    publishRequestEvent("request.status_changed", REQUEST, { from: "pending" });
+    await publishRequestEvent("request.progress", REQUEST);
+
+    expect(order).toEqual(["request.status_changed", "request.progress"]);
+    const [sql, [channel, payload]] = query.mock.calls[0];
+    expect(sql).toBe("SELECT pg_notify($1, $2)");
+    expect(channel).toBe("ggr_live_events");
+    const { data } = JSON.parse(payload);
+    expect(data.from).toBe("pending");
+    expect(data.request).not.toHaveProperty("description");
+    expect(data.request.user_id).toBe("12");
+
+    query.mockClear();
+    await publishLiveEvent("library.entry_added", { blob: "x".repeat(9000) });
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it("never throws when the database does", async () => {
+    const { publishRequestEvent } = await liveEvents();
+    query.mockRejectedValueOnce(new Error("connection refused"));
+
+    await expect(
+      publishRequestEvent("request.created", REQUEST),
+    ).resolves.toBeUndefined();
+  });
+});
+
+describe("GET /api/events", () => {
+  async function open(user, search = "") {
+    vi.resetModules();
+    getAuthenticatedUser.mockResolvedValue(user);
+    const { GET } = await import("../../src/routes/api/events/+server.js");
+    const response = await GET({
+      url: new URL(`http://localhost/api/events${search}`),
+      cookies: {},
+      request: new Request(`http://localhost/api/events${search}`),
+    });
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = "";
+    return {
+      response,
+      reader,
+      async read() {
+        await settle();
+        // Everything enqueued so far, without waiting for more.
+        while (true) {
+          const chunk = await Promise.race([
+            reader.read(),
+            settle().then(() => null),
+          ]);
+          if (!chunk || chunk.done) break;
+          text += decoder.decode(chunk.value);
+        }
+        return text;
+      },
+    };
+  }
+
+  it("streams the caller's own request events and nobody else's", async () => {
+    const stream = await open({ user_id: "12" });
+    expect(stream.response.headers.get("Content-Type")).toMatch(
+      /^text\/event-stream/,
+    );
+    expect(listen).toHaveBeenCalledTimes(1);
+
+    notify(
+      JSON.stringify({
+        type: "request.status_changed",
+        data: { request: { ...REQUEST, user_id: 13 } },
+      }),
+    );
+    notify(
+      JSON.stringify({
+        type: "request.status_changed",
+        data: { request: { id: REQUEST.id, user_id: 12, status: "fulfilled" } },
+      }),
+    );
+
+    const text = await stream.read();
+    expect(text).toContain("retry: 5000");
+    expect(text.match(/^event: /gm)).toHaveLength(1);
+    expect(text).toContain('"status":"fulfilled"');
+
+    await stream.reader.cancel();
+  });
+
+  it("keeps library events from an API key without games:read", async () => {
+    const stream = await open({
+      user_id: "12",
+      auth_type: "api_key",
+      scopes: ["requests:read"],
+    });
+
+    notify(
+      JSON.stringify({
+        type: "library.entry_added",
+        data: { entries: [{ igdb_id: "1", name: "Ōkami" }] },
+      }),
+    );
+    notify(
+      JSON.stringify({
+        type: "request.created",
+        data: { request: { id: "r", user_id: 12, status: "pending" } },
+      }),
+    );
+
+    const text = await stream.read();
+    expect(text).not.toContain("library.entry_added");
+    expect(text).toContain("event: request.created");
+
+    await stream.reader.cancel();
+  });
+
+  it("refuses an unknown event type", async () => {
+    await expect(
+      open({ user_id: "12" }, "?types=request.created,request.deleted"),
+    ).rejects.toMatchObject({ status: 400 });
+  });
+});
@@ -0,0 +1,400 @@
+/**
+ * Regression tests for the notifier layer.
+ *
+ * A notification goes to every notifier that is configured, each as its own
+ * queued delivery, so one service being down costs the others nothing. What
+ * is pinned: a notifier nobody set up is skipped without noise and one set up
+ * wrongly is skipped with it; the type toggles govern every notifier except a
+ * Gotify configured in the environment, which has always ignored them; the
+ * delivery log only ever sees a server, never a webhook path or token; and
+ * the cover reaches the services that can show it as an absolute https URL.
+ *
+ * Then each service's request shape, since that is what its API accepts or
+ * refuses with a 400: Discord's embed with mentions off, Slack's mrkdwn,
+ * Matrix's idempotent PUT and ntfy's 1-5 priorities.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+let settings;
+let coverUrl;
+const query = vi.fn(async (sql, params) => {
+  if (sql.includes("FROM ggr_system_settings")) {
+    return {
+      rows: params[0]
+        .filter((key) => key in settings)
+        .map((key) => ({ key, value: settings[key] })),
+    };
+  }
+  if (sql.includes("FROM ggr_games_cache")) {
+    return { rows: coverUrl ? [{ cover_url: coverUrl }] : [] };
+  }
+  return { rows: [] };
+});
+
+const enqueueDelivery = vi.fn(async (delivery) => ({ id: "1", ...delivery }));
+
+vi.mock("$lib/database.js", () => ({ query }));
+vi.mock("$lib/deliveryQueue.server.js", () => ({ enqueueDelivery }));
+
+const fetchMock = vi.fn();
+vi.stubGlobal("fetch", fetchMock);
+
+async function notifiers() {
+  vi.resetModules();
+  return import("$lib/notifiers/index.js");
+}
+
+const DISCORD_HOOK = "https://discord.com/api/webhooks/123/secret-token";
+
+const NOTIFICATION = {
+  title: "🎮 New Game Request",
+  message: "**Game:** Chrono Trigger\n**User:** alice",
+  priority: 6,
+  type: "new_requests",
+  extras: { game_request: { id: "req-1" } },
+};
+
+/** The request a notifier's delivery sends, as fetch saw it. */
+function sent(call = 0) {
+  const [url, init] = fetchMock.mock.calls[call];
+  return { url, ...init, body: JSON.parse(init.body) };
+}
+
+describe("queueNotification", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    settings = {};
+    coverUrl = null;
+  });
+
+  afterEach(() => {
+    delete process.env.GOTIFY_URL;
+    delete process.env.GOTIFY_TOKEN;
+  });
+
+  it("queues one delivery per configured notifier and skips the rest", async () => {
+    settings = {
+      "discord.webhook_url": DISCORD_HOOK,
+      "matrix.homeserver_url": "https://matrix.example.org",
+      "matrix.access_token": "syt_token",
+      "matrix.room_id": "!room:example.org",
+    };
+    const { queueNotification } = await notifiers();
+
+    const queued = await queueNotification(NOTIFICATION);
+
+    expect(queued).toBe(2);
+    expect(enqueueDelivery.mock.calls.map(([d]) => d.channel)).toEqual([
+      "discord",
+      "matrix",
+    ]);
+    expect(enqueueDelivery).toHaveBeenCalledWith(
+      expect.objectContaining({ channel: "discord", event: "new_requests" }),
+    );
+  });
+
+  it("never puts a credential in the delivery", async () => {
+    settings = {
+      "discord.webhook_url": DISCORD_HOOK,
+      "ntfy.topic": "secret-topic",
+      "ntfy.token": "tk_secret",
+    };
+    const { queueNotification } = await notifiers();
+
+    await queueNotification(NOTIFICATION);
+
+    const deliveries = enqueueDelivery.mock.calls.map(([d]) => d);
+    expect(deliveries.map((d) => d.targetUrl)).toEqual([
+      "https://discord.com",
+      "https://ntfy.sh",
+    ]);
+    const stored = JSON.stringify(deliveries);
+    expect(stored).not.toContain("secret-token");
+    expect(stored).not.toContain("secret-topic");
+    expect(stored).not.toContain("tk_secret");
+  });
+
+  it("skips a notifier that is set up wrongly, and still sends the rest", async () => {
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+    settings = {
+      "slack.webhook_url": "not a url",
+      "discord.webhook_url": DISCORD_HOOK,
+      "matrix.homeserver_url": "https://matrix.example.org",
+      "matrix.access_token": "syt_token",
+      "matrix.room_id": "#alias:example.org",
+    };
+    const { queueNotification } = await notifiers();
+
+    const queued = await queueNotification(NOTIFICATION);
+
+    expect(queued).toBe(1);
+    expect(enqueueDelivery.mock.calls[0][0].channel).toBe("discord");
+    expect(error).toHaveBeenCalledTimes(2);
+    error.mockRestore();
+  });
+
+  it("applies the type toggles to every notifier but an environment Gotify", async () => {
+    settings = {
+      "discord.webhook_url": DISCORD_HOOK,
+      "gotify.url": "https://gotify.example.com",
+      "gotify.token": "db-token",
+      "gotify.notifications.new_requests": "false",
+    };
+    const { queueNotification } = await notifiers();
+
+    expect(await queueNotification(NOTIFICATION)).toBe(0);
+
+    process.env.GOTIFY_URL = "https://push.example.com";
+    process.env.GOTIFY_TOKEN = "env-token";
+    const queued = await queueNotification(NOTIFICATION);
+
+    expect(queued).toBe(1);
+    expect(enqueueDelivery).toHaveBeenCalledWith(
+      expect.objectContaining({
+        channel: "gotify",
+        targetUrl: "https://push.example.com",
+      }),
+    );
+  });
+
+  it("looks the cover up once and makes it an absolute https URL", async () => {
+    settings = {
+      "discord.webhook_url": DISCORD_HOOK,
+      "slack.webhook_url": "https://hooks.slack.com/services/T/B/X",
+    };
+    coverUrl = "//images.igdb.com/igdb/image/upload/t_thumb/co1xyz.jpg";
+    const { queueNotification } = await notifiers();
+
+    await queueNotification({ ...NOTIFICATION, igdb_id: 1234 });
+
+    const covers = query.mock.calls.filter(([sql]) =>
+      sql.includes("ggr_games_cache"),
+    );
+    expect(covers).toHaveLength(1);
+    expect(covers[0][1]).toEqual(["1234"]);
+    for (const [delivery] of enqueueDelivery.mock.calls) {
+      expect(delivery.payload.image_url).toBe(
+        "https://images.igdb.com/igdb/image/upload/t_cover_big/co1xyz.jpg",
+      );
+    }
+  });
+
+  it("does not look anything up when nothing is configured", async () => {
+    const { queueNotification } = await notifiers();
+
+    const queued = await queueNotification({ ...NOTIFICATION, igdb_id: 1 });
+
+    expect(queued).toBe(0);
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+    expect(
+      query.mock.calls.some(([sql]) => sql.includes("ggr_games_cache")),
+    ).toBe(false);
+  });
+});
+
+describe("deliverQueuedNotification", () => {
+  const delivery = (channel, payload = {}) => ({
+    id: "9",
+    delivery_uuid: "6f1c1f5e-8a43-4a57-9d8c-4f4b1c7a2e11",
+    channel,
+    payload: { ...NOTIFICATION, image_url: null, ...payload },
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    settings = {};
+    fetchMock.mockResolvedValue(new Response(null, { status: 204 }));
+  });
+
+  it("reads the config when it sends, not when it was queued", async () => {
+    settings = { "discord.webhook_url": `${DISCORD_HOOK}-rotated` };
+    const { deliverQueuedNotification } = await notifiers();
+
+    const response = await deliverQueuedNotification(delivery("discord"));
+
+    expect(response.status).toBe(204);
+    expect(sent().url).toBe(`${DISCORD_HOOK}-rotated`);
+  });
+
+  it("fails the attempt once the notifier has been removed", async () => {
+    const { deliverQueuedNotification } = await notifiers();
+
+    await expect(
+      deliverQueuedNotification(delivery("discord")),
+    ).rejects.toThrow("Discord is no longer configured");
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("sends Discord an embed with the cover and mentions off", async () => {
+    settings = { "discord.webhook_url": DISCORD_HOOK };
+    const { deliverQueuedNotification } = await notifiers();
+
+    await deliverQueuedNotification(
+      delivery("discord", {
+        title: "@everyone look",
+        image_url: "https://images.igdb.com/cover.jpg",
+      }),
+    );
+
+    const { method, body } = sent();
+    expect(method).toBe("POST");
+    expect(body.allowed_mentions).toEqual({ parse: [] });
+    expect(body.embeds[0]).toMatchObject({
+      title: "@everyone look",
+      description: NOTIFICATION.message,
+      color: 0xf59e0b,
+      thumbnail: { url: "https://images.igdb.com/cover.jpg" },
+    });
+  });
+
+  it("sends Slack mrkdwn with the cover as an accessory", async () => {
+    settings = {
+      "slack.webhook_url": "https://hooks.slack.com/services/T/B/X",
+    };
+    const { deliverQueuedNotification } = await notifiers();
+
+    await deliverQueuedNotification(
+      delivery("slack", {
+        message: "**Game:** <Chrono & Trigger>",
+        image_url: "https://images.igdb.com/cover.jpg",
+      }),
+    );
+
+    const { body } = sent();
+    expect(body.text).toBe(NOTIFICATION.title);
+    const section = body.blocks.find((block) => block.type === "section");
+    expect(section.text.text).toBe("*Game:* &lt;Chrono &amp; Trigger&gt;");
+    expect(section.accessory).toMatchObject({
+      type: "image",
+      image_url: "https://images.igdb.com/cover.jpg",
+    });
+  });
+
+  it("puts to Matrix with the delivery id as the transaction id", async () => {
+    settings = {
+      "matrix.homeserver_url": "https://matrix.example.org/",
+      "matrix.access_token": "syt_token",
+      "matrix.room_id": "!room:example.org",
+    };
+    fetchMock.mockResolvedValue(
+      new Response('{"event_id":"$e"}', { status: 200 }),
+    );
+    const { deliverQueuedNotification } = await notifiers();
+
+    await deliverQueuedNotification(
+      delivery("matrix", { message: "**Game:** <b>Chrono</b>" }),
+    );
+    await deliverQueuedNotification(
+      delivery("matrix", { message: "**Game:** <b>Chrono</b>" }),
+    );
+
+    const first = sent(0);
+    expect(first.method).toBe("PUT");
+    expect(first.url).toBe(
+      "https://matrix.example.org/_matrix/client/v3/rooms/!room%3Aexample.org/send/m.room.message/ggr-6f1c1f5e-8a43-4a57-9d8c-4f4b1c7a2e11",
+    );
+    // A retry is the same transaction, which the homeserver does not repeat.
+    expect(sent(1).url).toBe(first.url);
+    expect(first.headers.Authorization).toBe("Bearer syt_token");
+    expect(first.body).toMatchObject({
+      msgtype: "m.notice",
+      format: "org.matrix.custom.html",
+    });
+    expect(first.body.body).toContain("Game: <b>Chrono</b>");
+    expect(first.body.formatted_body).toContain(
+      "<strong>Game:</strong> &lt;b&gt;Chrono&lt;/b&gt;",
+    );
+  });
+
+  it("publishes to ntfy as JSON with its own priority scale", async () => {
+    settings = {
+      "ntfy.server_url": "https://ntfy.example.com",
+      "ntfy.topic": "ggr-admins",
+      "ntfy.token": "tk_secret",
+    };
+    fetchMock.mockResolvedValue(new Response("{}", { status: 200 }));
+    const { deliverQueuedNotification } = await notifiers();
+
+    await deliverQueuedNotification(
+      delivery("ntfy", {
+        priority: 8,
+        image_url: "https://images.igdb.com/cover.jpg",
+      }),
+    );
+
+    const { url, headers, body } = sent();
+    expect(url).toBe("https://ntfy.example.com");
+    expect(headers.Authorization).toBe("Bearer tk_secret");
+    expect(body).toMatchObject({
+      topic: "ggr-admins",
+      title: NOTIFICATION.title,
+      priority: 5,
+      markdown: true,
+      icon: "https://images.igdb.com/cover.jpg",
+    });
+  });
+
+  it("keeps sending Gotify what it always did, plus the cover", async () => {
+    settings = {
+      "gotify.url": "https://gotify.example.com/",
+      "gotify.token": "app-token",
+    };
+    fetchMock.mockResolvedValue(new Response('{"id":7}', { status: 200 }));
+    const { deliverQueuedNotification } = await notifiers();
+
+    await deliverQueuedNotification(
+      delivery("gotify", { image_url: "https://images.igdb.com/cover.jpg" }),
+    );
+
+    const { url, body } = sent();
+    expect(url).toBe("https://gotify.example.com/message?token=app-token");
+    expect(body).toMatchObject({
+      title: NOTIFICATION.title,
+      message: NOTIFICATION.message,
+      priority: 6,
+      extras: {
+        "client::display": { contentType: "text/markdown" },
+        game_request: { id: "req-1" },
+        "client::notification": {
+          bigImageUrl: "https://images.igdb.com/cover.jpg",
+        },
+      },
+    });
+  });
+});
+
+describe("sendTestNotification", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    settings = {};
+    fetchMock.mockResolvedValue(new Response(null, { status: 204 }));
+  });
+
+  it("sends with the config as typed, without touching the queue", async () => {
+    const { sendTestNotification } = await notifiers();
+
+    const response = await sendTestNotification(
+      "discord",
+      { webhook_url: ` ${DISCORD_HOOK} ` },
+      { sentBy: "Admin" },
+    );
+
+    expect(response.status).toBe(204);
+    expect(sent().url).toBe(DISCORD_HOOK);
+    expect(sent().body.embeds[0].description).toContain("**Admin:** Admin");
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+  });
+
+  it("refuses a config that could not send, before any request", async () => {
+    const { sendTestNotification } = await notifiers();
+
+    await expect(sendTestNotification("ntfy", { topic: "" })).rejects.toThrow(
+      "Missing ntfy topic",
+    );
+    await expect(sendTestNotification("pager", {})).rejects.toThrow(
+      "Unknown notifier",
+    );
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
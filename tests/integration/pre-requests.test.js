@@ -0,0 +1,143 @@
+/**
+ * Regression tests for the pre-request release check.
+ *
+ * A request for an unreleased game waits in awaiting_release until IGDB says
+ * the game is out, then moves into the queue as an ordinary status change --
+ * pending, or approved for a requester who auto-approves, so the approval
+ * dispatch fires on release day. What is pinned: the claim only taking
+ * waiting requests that are due; the date re-read from IGDB, not the cache; a
+ * slipped or withdrawn date keeping the request waiting; an admin's decision
+ * made since the claim standing; the side effects running after commit; and
+ * one game IGDB cannot answer for not holding up the rest.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let claimed;
+let lockedStatus;
+const query = vi.fn(async () => ({ rows: claimed }));
+const tx = vi.fn(async () => ({ rows: [{ status: lockedStatus }] }));
+const withTransaction = vi.fn(async (fn) => fn(tx));
+const getGameById = vi.fn();
+const mayAutoApprove = vi.fn(async () => false);
+const runSideEffects = vi.fn();
+const applyRequestStatusChange = vi.fn(async () => ({
+  changed: true,
+  runSideEffects,
+}));
+
+vi.mock("$lib/database.js", () => ({ query, withTransaction }));
+vi.mock("$lib/gameCache.js", () => ({ getGameById }));
+vi.mock("$lib/requestPolicy.server.js", () => ({ mayAutoApprove }));
+vi.mock("$lib/requestStatus.server.js", () => ({
+  applyRequestStatusChange,
+  REQUEST_SOURCES: { RELEASE: "release" },
+}));
+
+async function preRequests() {
+  vi.resetModules();
+  return import("$lib/preRequests.server.js");
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  claimed = [
+    { id: "req-1", igdb_id: "2048", user_id: "12", title: "Silksong" },
+  ];
+  lockedStatus = "awaiting_release";
+  getGameById.mockResolvedValue({ release_date: Date.now() - DAY });
+  mayAutoApprove.mockResolvedValue(false);
+});
+
+describe("isUnreleased", () => {
+  it("is true only for a date still to come", async () => {
+    const { isUnreleased } = await preRequests();
+    const now = new Date("2026-10-19T12:00:00Z");
+
+    expect(isUnreleased("2026-11-01T00:00:00Z", now)).toBe(true);
+    expect(isUnreleased(now.getTime() + DAY, now)).toBe(true);
+    expect(isUnreleased("2026-10-01T00:00:00Z", now)).toBe(false);
+    // No date is not a promise of one.
+    expect(isUnreleased(null, now)).toBe(false);
+    expect(isUnreleased("not a date", now)).toBe(false);
+  });
+});
+
+describe("releaseDueRequests", () => {
+  it("claims only waiting requests that are due", async () => {
+    const { releaseDueRequests } = await preRequests();
+
+    await releaseDueRequests({ limit: 10 });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("SET release_checked_at = NOW()");
+    expect(sql).toContain("w.status = 'awaiting_release'");
+    expect(sql).toContain("w.release_checked_at IS NULL");
+    expect(sql).toContain("g.release_date <= NOW()");
+    expect(sql).toContain("SKIP LOCKED");
+    expect(params).toEqual([10]);
+  });
+
+  it("moves a released game's request to pending, re-reading IGDB", async () => {
+    const { releaseDueRequests, RELEASE_ACTOR } = await preRequests();
+
+    expect(await releaseDueRequests()).toEqual({ checked: 1, released: 1 });
+
+    expect(getGameById).toHaveBeenCalledWith("2048", true);
+    expect(tx.mock.calls[0][0]).toContain("FOR UPDATE");
+    expect(applyRequestStatusChange).toHaveBeenCalledWith({
+      id: "req-1",
+      to: "pending",
+      actor: RELEASE_ACTOR,
+      source: "release",
+      tx,
+      deferSideEffects: true,
+    });
+    expect(runSideEffects).toHaveBeenCalledTimes(1);
+  });
+
+  it("approves it for a requester who auto-approves", async () => {
+    mayAutoApprove.mockResolvedValue(true);
+    const { releaseDueRequests } = await preRequests();
+
+    await releaseDueRequests();
+
+    expect(mayAutoApprove).toHaveBeenCalledWith("12");
+    expect(applyRequestStatusChange.mock.calls[0][0].to).toBe("approved");
+  });
+
+  it("keeps waiting when the date slipped or was withdrawn", async () => {
+    const { releaseDueRequests } = await preRequests();
+
+    getGameById.mockResolvedValueOnce({ release_date: Date.now() + DAY });
+    expect(await releaseDueRequests()).toEqual({ checked: 1, released: 0 });
+
+    getGameById.mockResolvedValueOnce({ release_date: null });
+    expect(await releaseDueRequests()).toEqual({ checked: 1, released: 0 });
+
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("leaves a request an admin has moved since the claim", async () => {
+    lockedStatus = "rejected";
+    const { releaseDueRequests } = await preRequests();
+
+    expect(await releaseDueRequests()).toEqual({ checked: 1, released: 0 });
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+    expect(runSideEffects).not.toHaveBeenCalled();
+  });
+
+  it("carries on past a game IGDB cannot answer for", async () => {
+    claimed = [
+      { id: "req-1", igdb_id: "2048", user_id: "12" },
+      { id: "req-2", igdb_id: "1027", user_id: "13" },
+    ];
+    getGameById.mockRejectedValueOnce(new Error("IGDB unreachable"));
+    const { releaseDueRequests } = await preRequests();
+
+    expect(await releaseDueRequests()).toEqual({ checked: 2, released: 1 });
+    expect(applyRequestStatusChange.mock.calls[0][0].id).toBe("req-2");
+  });
+});
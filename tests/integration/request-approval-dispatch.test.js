@@ -10,6 +10,7 @@
 import { beforeEach, describe, expect, it, vi } from "vitest";
 
 const sendGameRequestWebhook = vi.fn(async () => true);
+const dispatchRequestEvent = vi.fn(async () => 0);
 
 const ROW = {
   id: "req-1",
@@ -33,7 +34,10 @@ vi.mock("$lib/gotify.js", () => ({
   sendBulkRequestStatusNotification: vi.fn(async () => true),
 }));
 vi.mock("$lib/cache.js", () => ({ invalidateCache: vi.fn(async () => {}) }));
-vi.mock("$lib/webhooks.server.js", () => ({ sendGameRequestWebhook }));
+vi.mock("$lib/webhooks.server.js", () => ({
+  sendGameRequestWebhook,
+  dispatchRequestEvent,
+}));
 
 const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
 
@@ -101,6 +105,37 @@ describe("dispatch on the approval transition", () => {
     });
   });
 
+  // The managed endpoints hear about every way out of the queue, each under
+  // its own event name; the environment webhook still only hears approvals.
+
+  it("sends request.approved to the managed endpoints", async () => {
+    await apply("approved");
+
+    expect(dispatchRequestEvent).toHaveBeenCalledWith(
+      "request.approved",
+      expect.objectContaining({ id: "req-1" }),
+      { previousStatus: "pending" },
+    );
+  });
+
+  it("sends request.rejected to the managed endpoints", async () => {
+    transition = { status: "rejected", previous_status: "pending" };
+    await apply("rejected");
+
+    expect(dispatchRequestEvent).toHaveBeenCalledWith(
+      "request.rejected",
+      expect.objectContaining({ id: "req-1" }),
+      { previousStatus: "pending", notes: undefined },
+    );
+  });
+
+  it("sends nothing to the managed endpoints on a return to pending", async () => {
+    transition = { status: "pending", previous_status: "approved" };
+    await apply("pending");
+
+    expect(dispatchRequestEvent).not.toHaveBeenCalled();
+  });
+
   it("does not fail the transition when the receiver rejects", async () => {
     sendGameRequestWebhook.mockRejectedValueOnce(new Error("502"));
     const result = await apply("approved");
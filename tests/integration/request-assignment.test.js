@@ -0,0 +1,359 @@
+/**
+ * Regression tests for assigning requests to admins.
+ *
+ * An assignee is a user who may approve requests, set from the request page
+ * or the bulk actions. What is pinned: only a request whose assignee changes
+ * is written, so a repeated assignment neither resets assigned_at nor tells
+ * anyone again; an assignee who cannot approve is refused before anything is
+ * written -- including a status change in the same call; assigning needs
+ * request.approve of the admin doing it too; the assignee is told once per
+ * action, and not at all when they took the request themselves; and in a
+ * bulk update the assignment joins the batch's transaction, so a batch rolled
+ * back by a conflict is not left assigned and nobody is told about it.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+// Local ids: 7 is the admin making the call, 8 another admin, 9 an editor
+// without request.approve.
+const PERMISSIONS = {
+  7: ["request.approve", "request.edit"],
+  8: ["request.approve"],
+  9: ["request.edit"],
+};
+
+let actorId;
+let events;
+
+function answer(sql, params) {
+  if (sql.includes("FROM ggr_users WHERE authentik_sub")) {
+    return { rows: [{ id: actorId }] };
+  }
+  if (sql.includes("UPDATE ggr_game_requests")) {
+    return {
+      rows: params[0].map((id) => ({
+        id,
+        title: `Game ${id}`,
+        status: "approved",
+        assignee_user_id: params[1],
+      })),
+    };
+  }
+  return { rows: [] };
+}
+
+const query = vi.fn(async (sql, params) => answer(sql, params));
+const txQuery = vi.fn(async (sql, params) => answer(sql, params));
+const withTransaction = vi.fn(async (fn) => {
+  const result = await fn(txQuery);
+  events.push("COMMIT");
+  return result;
+});
+const userHasPermission = vi.fn(async (userId, permission) =>
+  (PERMISSIONS[userId] ?? []).includes(permission),
+);
+const notifyAssignee = vi.fn(async () => {
+  events.push("notify");
+  return 1;
+});
+const publishRequestEvent = vi.fn();
+const invalidateRequestCaches = vi.fn();
+const applyRequestStatusChange = vi.fn();
+const applyRequestStatusChangeBatch = vi.fn();
+const verifySessionToken = vi.fn();
+
+class RequestConflictError extends Error {
+  constructor(conflict, action) {
+    super(`Blocked ${action}`);
+    this.conflict = conflict;
+  }
+}
+
+vi.mock("$lib/database.js", () => ({ query, withTransaction }));
+vi.mock("$lib/userProfile.js", () => ({ userHasPermission }));
+vi.mock("$lib/userNotifications.server.js", () => ({ notifyAssignee }));
+vi.mock("$lib/liveEvents.server.js", () => ({ publishRequestEvent }));
+vi.mock("$lib/requestPolicy.server.js", () => ({
+  OPEN_STATUSES: ["awaiting_release", "pending", "approved", "in_progress"],
+}));
+vi.mock("$lib/requestStatus.server.js", () => ({
+  applyRequestStatusChange,
+  applyRequestStatusChangeBatch,
+  invalidateRequestCaches,
+  RequestConflictError,
+  requestConflictMessage: vi.fn(() => "Blocked"),
+}));
+vi.mock("$lib/auth.server.js", () => ({ verifySessionToken }));
+vi.mock("$lib/basicAuth.js", () => ({ getBasicAuthUser: vi.fn(() => null) }));
+
+const cookies = {
+  get: (name) => (name === "session" ? "session-token" : null),
+};
+
+async function requestAssignment() {
+  vi.resetModules();
+  return import("$lib/requestAssignment.server.js");
+}
+
+async function post(route, body) {
+  vi.resetModules();
+  const { POST } = await import(
+    `../../src/routes/admin/api/requests/${route}/+server.js`
+  );
+  return POST({
+    cookies,
+    request: new Request(`http://localhost/admin/api/requests/${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+  });
+}
+
+const assignmentWrites = (mock) =>
+  mock.mock.calls.filter(([sql]) => sql.includes("assignee_user_id = $2"));
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  actorId = 7;
+  events = [];
+  query.mockImplementation(async (sql, params) => answer(sql, params));
+  verifySessionToken.mockResolvedValue({ sub: "sub-7", name: "Alex" });
+  applyRequestStatusChange.mockResolvedValue({
+    row: { id: "r1", status: "approved", assignee_user_id: null },
+    conflict: null,
+  });
+  applyRequestStatusChangeBatch.mockResolvedValue({
+    rows: [{ id: "r1", title: "Game r1", status: "approved" }],
+    conflict: null,
+    runSideEffects: vi.fn(),
+  });
+});
+
+describe("assignRequests", () => {
+  it("writes only the requests whose assignee changes", async () => {
+    const { assignRequests } = await requestAssignment();
+
+    await assignRequests({ ids: ["r1", "r2"], assigneeId: 8, actorId: 7 });
+
+    const [[sql, params]] = assignmentWrites(query);
+    expect(sql).toContain("assignee_user_id IS DISTINCT FROM $2::int");
+    expect(params).toEqual([["r1", "r2"], 8]);
+  });
+
+  it("refuses an assignee who cannot approve, before writing", async () => {
+    const { assignRequests, InvalidAssigneeError } = await requestAssignment();
+
+    await expect(
+      assignRequests({ ids: ["r1"], assigneeId: 9 }),
+    ).rejects.toBeInstanceOf(InvalidAssigneeError);
+    await expect(
+      assignRequests({ ids: ["r1"], assigneeId: "someone" }),
+    ).rejects.toBeInstanceOf(InvalidAssigneeError);
+    expect(assignmentWrites(query)).toHaveLength(0);
+  });
+
+  it("tells the assignee once for the batch, and not when self-assigned", async () => {
+    const { assignRequests } = await requestAssignment();
+
+    await assignRequests({
+      ids: ["r1", "r2"],
+      assigneeId: 8,
+      actor: "Alex",
+      actorId: 7,
+    });
+    expect(notifyAssignee).toHaveBeenCalledTimes(1);
+    expect(notifyAssignee.mock.calls[0][0]).toMatchObject({
+      assigneeId: 8,
+      actor: "Alex",
+    });
+    expect(notifyAssignee.mock.calls[0][0].requests).toHaveLength(2);
+    expect(publishRequestEvent).toHaveBeenCalledTimes(2);
+
+    notifyAssignee.mockClear();
+    await assignRequests({ ids: ["r3"], assigneeId: 7, actorId: 7 });
+    expect(notifyAssignee).not.toHaveBeenCalled();
+  });
+
+  it("unassigns without asking about or telling anyone", async () => {
+    const { assignRequests } = await requestAssignment();
+
+    await assignRequests({ ids: ["r1"], assigneeId: null, actorId: 7 });
+
+    const [[sql, params]] = assignmentWrites(query);
+    expect(sql).toContain("CASE WHEN $2::int IS NULL THEN NULL ELSE NOW()");
+    expect(params[1]).toBeNull();
+    expect(userHasPermission).not.toHaveBeenCalled();
+    expect(notifyAssignee).not.toHaveBeenCalled();
+  });
+
+  it("holds the side effects until the caller's commit", async () => {
+    const { assignRequests } = await requestAssignment();
+
+    const { runSideEffects } = await assignRequests({
+      ids: ["r1"],
+      assigneeId: 8,
+      actorId: 7,
+      tx: txQuery,
+    });
+    expect(assignmentWrites(txQuery)).toHaveLength(1);
+    expect(notifyAssignee).not.toHaveBeenCalled();
+    expect(invalidateRequestCaches).not.toHaveBeenCalled();
+
+    runSideEffects();
+    expect(notifyAssignee).toHaveBeenCalledTimes(1);
+    expect(invalidateRequestCaches).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("POST /admin/api/requests/update", () => {
+  it("assigns without a status change", async () => {
+    const response = await post("update", {
+      request_id: "r1",
+      assignee_user_id: 8,
+    });
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.request.assignee_user_id).toBe(8);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+  });
+
+  it("needs request.approve to assign", async () => {
+    actorId = 9;
+    const response = await post("update", {
+      request_id: "r1",
+      assignee_user_id: 9,
+    });
+
+    expect(response.status).toBe(403);
+    expect(assignmentWrites(query)).toHaveLength(0);
+  });
+
+  it("checks the assignee before changing the status", async () => {
+    const response = await post("update", {
+      request_id: "r1",
+      status: "approved",
+      assignee_user_id: 9,
+    });
+
+    expect(response.status).toBe(400);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+    expect(assignmentWrites(query)).toHaveLength(0);
+  });
+
+  it("still needs a status or an assignee", async () => {
+    const response = await post("update", { request_id: "r1" });
+    expect(response.status).toBe(400);
+  });
+});
+
+describe("POST /admin/api/requests/bulk-update", () => {
+  it("assigns in the batch's transaction and tells the assignee after commit", async () => {
+    const response = await post("bulk-update", {
+      request_ids: ["r1", "r2"],
+      status: "approved",
+      assignee_user_id: 8,
+    });
+
+    expect(response.status).toBe(200);
+    expect(applyRequestStatusChangeBatch.mock.calls[0][0].tx).toBe(txQuery);
+    expect(assignmentWrites(txQuery)).toHaveLength(1);
+    expect(events).toEqual(["COMMIT", "notify"]);
+
+    const body = await response.json();
+    expect(body.updated_count).toBe(2);
+    expect(
+      body.updated_requests.map((request) => request.assignee_user_id),
+    ).toEqual([8, 8]);
+  });
+
+  it("leaves a batch rolled back by a conflict unassigned", async () => {
+    applyRequestStatusChangeBatch.mockResolvedValue({
+      rows: [],
+      conflict: { existing_request_id: "blocker-1" },
+      runSideEffects: vi.fn(),
+    });
+    withTransaction.mockImplementationOnce(async (fn) => fn(txQuery));
+
+    const response = await post("bulk-update", {
+      request_ids: ["r1"],
+      status: "approved",
+      assignee_user_id: 8,
+    });
+
+    expect(response.status).toBe(409);
+    expect(assignmentWrites(txQuery)).toHaveLength(0);
+    expect(notifyAssignee).not.toHaveBeenCalled();
+  });
+
+  it("takes an assignment alone, with no status", async () => {
+    const response = await post("bulk-update", {
+      request_ids: ["r1"],
+      assignee_user_id: 7,
+    });
+
+    expect(response.status).toBe(200);
+    expect(applyRequestStatusChangeBatch).not.toHaveBeenCalled();
+    // Assign to me: nobody to tell.
+    expect(notifyAssignee).not.toHaveBeenCalled();
+  });
+});
+
+describe("getWorkload", () => {
+  it("lists every assignee, idle or not, busiest first", async () => {
+    query.mockImplementation(async (sql) => {
+      if (sql.includes("GROUP BY u.id")) {
+        return {
+          rows: [
+            {
+              id: 8,
+              name: "Blair",
+              awaiting_release: 0,
+              pending: 1,
+              approved: 2,
+              in_progress: 0,
+              fulfilled_30d: 4,
+              oldest_assigned_at: "2026-10-01T00:00:00Z",
+            },
+            // No longer assignable, but still holding a request.
+            {
+              id: 11,
+              name: "Casey",
+              awaiting_release: 0,
+              pending: 1,
+              approved: 0,
+              in_progress: 0,
+              fulfilled_30d: 0,
+              oldest_assigned_at: "2026-09-01T00:00:00Z",
+            },
+          ],
+        };
+      }
+      if (sql.includes("assignee_user_id IS NULL")) {
+        return { rows: [{ count: 5 }] };
+      }
+      return {
+        rows: [
+          { id: 7, name: "Alex" },
+          { id: 8, name: "Blair" },
+        ],
+      };
+    });
+    const { getWorkload } = await requestAssignment();
+
+    const { assignees, unassigned } = await getWorkload();
+
+    expect(unassigned).toBe(5);
+    expect(assignees.map(({ id, open }) => [id, open])).toEqual([
+      [8, 3],
+      [11, 1],
+      [7, 0],
+    ]);
+    expect(assignees[2]).toMatchObject({
+      fulfilled_30d: 0,
+      oldest_assigned_at: null,
+      by_status: { pending: 0, in_progress: 0 },
+    });
+  });
+});
@@ -82,8 +82,10 @@ const sendRequestCancelledDeletedNotification = vi.fn();
 const sendBulkRequestStatusNotification = vi.fn();
 const invalidateCache = vi.fn();
 const sendGameRequestWebhook = vi.fn();
+const dispatchRequestEvent = vi.fn(async () => 0);
 const userHasPermission = vi.fn();
 const verifySessionToken = vi.fn();
+const notifyRequestParticipants = vi.fn(async () => 0);
 
 vi.mock("$lib/database.js", () => ({ query, withTransaction }));
 vi.mock("$lib/gotify.js", () => ({
@@ -92,10 +94,16 @@ vi.mock("$lib/gotify.js", () => ({
   sendBulkRequestStatusNotification,
 }));
 vi.mock("$lib/cache.js", () => ({ invalidateCache }));
-vi.mock("$lib/webhooks.server.js", () => ({ sendGameRequestWebhook }));
+vi.mock("$lib/webhooks.server.js", () => ({
+  sendGameRequestWebhook,
+  dispatchRequestEvent,
+}));
 vi.mock("$lib/userProfile.js", () => ({ userHasPermission }));
 vi.mock("$lib/auth.server.js", () => ({ verifySessionToken }));
 vi.mock("$lib/basicAuth.js", () => ({ getBasicAuthUser: vi.fn(() => null) }));
+vi.mock("$lib/userNotifications.server.js", () => ({
+  notifyRequestParticipants,
+}));
 
 const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
 
@@ -206,6 +214,7 @@ describe("bulk status change", () => {
 
       expect(sendBulkRequestStatusNotification).not.toHaveBeenCalled();
       expect(sendRequestStatusNotification).not.toHaveBeenCalled();
+      expect(notifyRequestParticipants).not.toHaveBeenCalled();
       expect(invalidateCache).not.toHaveBeenCalled();
     });
 
@@ -269,6 +278,21 @@ describe("bulk status change", () => {
       expect(summary.actor).toBe("admin");
     });
 
+    it("still tells each requester about their own request", async () => {
+      // The summary is for the admins. The people who asked for these games
+      // each hear about theirs, so that is per row, like the dispatch.
+      await bulkUpdate({ request_ids: IDS, status: "approved" });
+
+      expect(notifyRequestParticipants).toHaveBeenCalledTimes(3);
+      expect(
+        notifyRequestParticipants.mock.calls.map(([call]) => [
+          call.event,
+          call.request.id,
+          call.actorId,
+        ]),
+      ).toEqual(IDS.map((id) => ["request.approved", id, 7]));
+    });
+
     it("invalidates cache once for the batch, not once per row", async () => {
       await bulkUpdate({ request_ids: IDS, status: "approved" });
 
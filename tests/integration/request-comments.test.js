@@ -0,0 +1,227 @@
+/**
+ * Regression tests for comment threads on requests.
+ *
+ * The failure that matters is a leak: an internal comment -- "this uploader is
+ * unreliable", "user has asked for this three times" -- shown to the requester
+ * it is about. The reader fails closed, so a caller that forgets to ask for
+ * internal comments gets none, and the endpoint only asks on behalf of staff.
+ * The other rule is who may post at all: the requester and `request.edit`
+ * holders, nobody else.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const REQUEST_ROW = {
+  id: "req-1",
+  title: "Chrono Trigger",
+  user_id: "12",
+  user_name: "alice",
+  igdb_id: "1234",
+};
+
+let requestRow;
+const query = vi.fn(async (sql, params) => {
+  if (sql.includes("FROM ggr_game_requests")) {
+    return { rows: requestRow ? [requestRow] : [] };
+  }
+  if (sql.includes("INSERT INTO ggr_request_comments")) {
+    return {
+      rows: [
+        {
+          id: 7,
+          request_id: params[0],
+          author_user_id: params[1],
+          author_name: params[2],
+          body: params[3],
+          is_internal: params[4],
+        },
+      ],
+    };
+  }
+  return { rows: [] };
+});
+
+const userHasPermission = vi.fn(async () => false);
+const sendRequestCommentNotification = vi.fn(async () => true);
+const sendRequestCommentWebhook = vi.fn(async () => true);
+const getAuthenticatedUser = vi.fn();
+
+vi.mock("$lib/database.js", () => ({ query }));
+vi.mock("$lib/userProfile.js", () => ({ userHasPermission }));
+vi.mock("$lib/gotify.js", () => ({ sendRequestCommentNotification }));
+vi.mock("$lib/webhooks.server.js", () => ({
+  sendRequestCommentWebhook,
+  dispatchRequestCommentEvent: vi.fn(async () => 0),
+}));
+vi.mock("$lib/auth.server.js", () => ({ getAuthenticatedUser }));
+vi.mock("$lib/getUserId.js", () => ({
+  getUserIdFromAuth: vi.fn(async (user) => user.user_id),
+}));
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function route() {
+  vi.resetModules();
+  return import("../../src/routes/api/request/comments/+server.js");
+}
+
+async function post(body) {
+  const { POST } = await route();
+  return POST({
+    cookies: {},
+    request: new Request("http://localhost/api/request/comments", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ request_id: "req-1", ...body }),
+    }),
+  });
+}
+
+async function list() {
+  const { GET } = await route();
+  const url = new URL("http://localhost/api/request/comments?request_id=req-1");
+  return GET({ url, cookies: {}, request: new Request(url) });
+}
+
+/** The includeInternal flag bound to the thread SELECT. */
+function includedInternal() {
+  const call = query.mock.calls.find(([sql]) =>
+    sql.includes("FROM ggr_request_comments"),
+  );
+  expect(call).toBeDefined();
+  return call[1][1];
+}
+
+describe("listRequestComments", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("leaves internal comments out unless asked", async () => {
+    vi.resetModules();
+    const { listRequestComments } = await import(
+      "$lib/requestComments.server.js"
+    );
+
+    await listRequestComments(["req-1"]);
+
+    expect(includedInternal()).toBe(false);
+  });
+});
+
+describe("/api/request/comments", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    requestRow = REQUEST_ROW;
+    userHasPermission.mockResolvedValue(false);
+    sendRequestCommentNotification.mockResolvedValue(true);
+    sendRequestCommentWebhook.mockResolvedValue(true);
+    getAuthenticatedUser.mockResolvedValue({
+      auth_type: "api_key",
+      user_id: 12,
+      name: "alice",
+    });
+  });
+
+  it("lets the requester read the thread, without internal comments", async () => {
+    const response = await list();
+
+    expect(response.status).toBe(200);
+    expect(includedInternal()).toBe(false);
+    expect((await response.json()).can_post_internal).toBe(false);
+  });
+
+  it("shows staff the internal comments", async () => {
+    getAuthenticatedUser.mockResolvedValue({
+      auth_type: "api_key",
+      user_id: 3,
+    });
+    userHasPermission.mockResolvedValue(true);
+
+    await list();
+
+    expect(userHasPermission).toHaveBeenCalledWith(3, "request.edit");
+    expect(includedInternal()).toBe(true);
+  });
+
+  it("answers 404 to someone who is neither requester nor staff", async () => {
+    getAuthenticatedUser.mockResolvedValue({
+      auth_type: "api_key",
+      user_id: 99,
+    });
+
+    const response = await list();
+
+    expect(response.status).toBe(404);
+    expect(
+      query.mock.calls.some(([sql]) => sql.includes("ggr_request_comments")),
+    ).toBe(false);
+  });
+
+  it("lets the requester post, and announces it", async () => {
+    const response = await post({ body: "  EU, please.  " });
+    await settle();
+
+    expect(response.status).toBe(201);
+    const { comment } = await response.json();
+    expect(comment.body).toBe("EU, please.");
+    expect(comment.is_internal).toBe(false);
+    expect(sendRequestCommentNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "req-1", author_name: "alice" }),
+    );
+    expect(sendRequestCommentWebhook).toHaveBeenCalledWith(
+      REQUEST_ROW,
+      expect.objectContaining({ id: 7 }),
+    );
+  });
+
+  it("refuses an internal comment from a requester rather than publishing it", async () => {
+    const response = await post({ body: "private", internal: true });
+
+    expect(response.status).toBe(403);
+    expect(
+      query.mock.calls.some(([sql]) =>
+        sql.includes("INSERT INTO ggr_request_comments"),
+      ),
+    ).toBe(false);
+  });
+
+  it("lets staff post an internal comment on someone else's request", async () => {
+    getAuthenticatedUser.mockResolvedValue({
+      auth_type: "api_key",
+      user_id: 3,
+      name: "admin",
+    });
+    userHasPermission.mockResolvedValue(true);
+
+    const response = await post({
+      body: "Bad dump, find another",
+      internal: true,
+    });
+
+    expect(response.status).toBe(201);
+    expect((await response.json()).comment.is_internal).toBe(true);
+  });
+
+  it("rejects an empty comment", async () => {
+    const response = await post({ body: "   " });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("rejects an over-long comment", async () => {
+    const response = await post({ body: "x".repeat(4001) });
+
+    expect(response.status).toBe(400);
+  });
+
+  it("still stores the comment when the announcements fail", async () => {
+    sendRequestCommentNotification.mockRejectedValue(new Error("gotify down"));
+    sendRequestCommentWebhook.mockRejectedValue(new Error("receiver down"));
+
+    const response = await post({ body: "Still here?" });
+    await settle();
+
+    expect(response.status).toBe(201);
+  });
+});
@@ -15,7 +15,9 @@
  * This asserts on the parameter array handed to the mocked `query` for the
  * INSERT INTO ggr_game_requests statement -- not on the response body, which
  * does not echo the raw insert parameters -- so it pins what actually reaches
- * the database. Status is the 10th bound parameter ($10, index 9) in the
+ * the database. It also pins the one thing that outranks auto-approval: a game
+ * whose release date is still to come is held in awaiting_release, whoever
+ * asks (migration 028). Status is the 10th bound parameter ($10, index 9) in the
  * route's INSERT column list:
  *   user_id, user_name, request_type, title, igdb_id,
  *   platforms, priority, description, reason, status
@@ -27,6 +29,7 @@ const STATUS_PARAM_INDEX = 9;
 
 const findOpenDuplicate = vi.fn(async () => null);
 const mayAutoApprove = vi.fn(async () => false);
+const getGameById = vi.fn(async () => null);
 
 const query = vi.fn(async (sql) => {
   if (sql.includes("INSERT INTO ggr_game_requests")) {
@@ -69,6 +72,7 @@ vi.mock("$lib/gotify.js", () => ({
   sendNewRequestNotification: vi.fn(async () => {}),
 }));
 vi.mock("$lib/cache.js", () => ({ invalidateCache: vi.fn(async () => {}) }));
+vi.mock("$lib/gameCache.js", () => ({ getGameById }));
 // A vi.mock factory replaces the module wholesale: both exports the route
 // imports from $lib/requestPolicy.server.js must be present, or the route
 // crashes on the missing one.
@@ -116,6 +120,7 @@ describe("POST /api/request auto-approve status", () => {
     vi.clearAllMocks();
     findOpenDuplicate.mockResolvedValue(null);
     mayAutoApprove.mockResolvedValue(false);
+    getGameById.mockResolvedValue(null);
   });
 
   it('inserts status "approved" when mayAutoApprove resolves true', async () => {
@@ -135,4 +140,45 @@ describe("POST /api/request auto-approve status", () => {
     expect(response.status).toBe(201);
     expect(insertedStatus()).toBe("pending");
   });
+
+  it('inserts status "awaiting_release" for a game not out yet, even when auto-approving', async () => {
+    mayAutoApprove.mockResolvedValue(true);
+    getGameById.mockResolvedValue({
+      release_date: Date.now() + 30 * 24 * 60 * 60 * 1000,
+    });
+
+    const response = await submit();
+
+    expect(response.status).toBe(201);
+    expect(getGameById).toHaveBeenCalledWith("1234");
+    expect(insertedStatus()).toBe("awaiting_release");
+  });
+
+  it("queues a game whose release date has passed as before", async () => {
+    getGameById.mockResolvedValue({ release_date: "2024-09-13T00:00:00Z" });
+
+    await submit();
+
+    expect(insertedStatus()).toBe("pending");
+  });
+
+  it("never holds an update or fix request, whatever the date", async () => {
+    getGameById.mockResolvedValue({
+      release_date: Date.now() + 30 * 24 * 60 * 60 * 1000,
+    });
+
+    await submit({ request_type: "update" });
+
+    expect(getGameById).not.toHaveBeenCalled();
+    expect(insertedStatus()).toBe("pending");
+  });
+
+  it("queues the request when the release date cannot be read", async () => {
+    getGameById.mockRejectedValue(new Error("IGDB unreachable"));
+
+    const response = await submit();
+
+    expect(response.status).toBe(201);
+    expect(insertedStatus()).toBe("pending");
+  });
 });
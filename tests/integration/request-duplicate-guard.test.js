@@ -46,6 +46,8 @@ vi.mock("$lib/gotify.js", () => ({
   sendNewRequestNotification: vi.fn(async () => {}),
 }));
 vi.mock("$lib/cache.js", () => ({ invalidateCache: vi.fn(async () => {}) }));
+// A game with no release date on record: queued as before, never held.
+vi.mock("$lib/gameCache.js", () => ({ getGameById: vi.fn(async () => null) }));
 vi.mock("$lib/requestPolicy.server.js", () => ({
   findOpenDuplicate,
   // The route reads this too; default to the un-approved path so these tests
@@ -97,6 +99,22 @@ describe("duplicate request guard", () => {
     });
   });
 
+  it("offers support only on someone else's request", async () => {
+    findOpenDuplicate.mockResolvedValue({
+      id: "existing-1",
+      status: "pending",
+      user_id: "7",
+    });
+    expect((await (await submit()).json()).can_support).toBe(true);
+
+    findOpenDuplicate.mockResolvedValue({
+      id: "existing-1",
+      status: "pending",
+      user_id: "12",
+    });
+    expect((await (await submit()).json()).can_support).toBe(false);
+  });
+
   it("does not insert when it rejects a duplicate", async () => {
     findOpenDuplicate.mockResolvedValue({
       id: "existing-1",
@@ -0,0 +1,423 @@
+/**
+ * Regression tests for exporting and importing requests.
+ *
+ * The export is the admin queue as filtered, every page of it. The import is
+ * previewed before anything is written. What is pinned: the export applies
+ * the queue's own filters and needs request.view_all; each imported title
+ * comes out matched, ambiguous or unmatched against IGDB, and a title the
+ * file or the admin already settled is not searched again; IGDB being down
+ * stops the import rather than reading as "unmatched"; an open request
+ * for a game that already has one, here or earlier in the file, is skipped
+ * like the duplicate guard would; a dry run writes nothing; a real import
+ * writes each request with an `import` history entry in one transaction,
+ * under the requester's account when there is one; created_at survives an
+ * export and import in a zone other than UTC; and a file that cannot be
+ * read is a 400, not a half-import.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+let exportRows;
+let users;
+let events;
+
+function answer(sql, params) {
+  if (sql.includes("FROM ggr_users WHERE authentik_sub")) {
+    return { rows: [{ id: 7 }] };
+  }
+  // The export's subselects read ggr_users too.
+  if (sql.includes("FROM ggr_game_requests")) return { rows: exportRows };
+  if (sql.includes("FROM ggr_users")) return { rows: users };
+  if (sql.includes("INSERT INTO ggr_game_requests")) {
+    return { rows: [{ id: `new-${params[3]}`, title: params[3] }] };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+const query = vi.fn(async (sql, params) => answer(sql, params));
+const txQuery = vi.fn(async (sql, params) => answer(sql, params));
+const withTransaction = vi.fn(async (fn) => {
+  const result = await fn(txQuery);
+  events.push("COMMIT");
+  return result;
+});
+const searchGameCandidates = vi.fn(async () => []);
+const findOpenDuplicate = vi.fn();
+const invalidateRequestCaches = vi.fn(() => events.push("invalidate"));
+const userHasPermission = vi.fn(async () => true);
+const verifySessionToken = vi.fn();
+
+vi.mock("$lib/database.js", () => ({ query, withTransaction }));
+vi.mock("$lib/igdb.js", () => ({ searchGameCandidates }));
+vi.mock("$lib/requestPolicy.server.js", () => ({
+  findOpenDuplicate,
+  OPEN_STATUSES: ["awaiting_release", "pending", "approved", "in_progress"],
+}));
+vi.mock("$lib/requestStatus.server.js", () => ({
+  invalidateRequestCaches,
+  isDuplicateRequestViolation: (error) => error?.code === "23505",
+  REQUEST_SOURCES: { IMPORT: "import" },
+}));
+vi.mock("$lib/userProfile.js", () => ({ userHasPermission }));
+vi.mock("$lib/auth.server.js", () => ({ verifySessionToken }));
+vi.mock("$lib/basicAuth.js", () => ({ getBasicAuthUser: vi.fn(() => null) }));
+
+const cookies = {
+  get: (name) => (name === "session" ? "session-token" : null),
+};
+
+async function exportFile(search) {
+  vi.resetModules();
+  const { GET } = await import(
+    "../../src/routes/admin/api/requests/export/+server.js"
+  );
+  return GET({
+    url: new URL(`http://localhost/admin/api/requests/export?${search}`),
+    cookies,
+  });
+}
+
+async function importFile(body) {
+  vi.resetModules();
+  const { POST } = await import(
+    "../../src/routes/admin/api/requests/import/+server.js"
+  );
+  return POST({
+    cookies,
+    request: new Request("http://localhost/admin/api/requests/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+  });
+}
+
+const game = (id, title, year = 2006) => ({
+  igdb_id: String(id),
+  title,
+  release_date: Date.UTC(year, 0, 1),
+});
+
+const inserts = () =>
+  txQuery.mock.calls.filter(([sql]) =>
+    sql.includes("INSERT INTO ggr_game_requests"),
+  );
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  events = [];
+  exportRows = [];
+  findOpenDuplicate.mockResolvedValue(null);
+  users = [];
+  verifySessionToken.mockResolvedValue({ sub: "sub-7", name: "Casey" });
+  userHasPermission.mockResolvedValue(true);
+  searchGameCandidates.mockImplementation(async (title) => {
+    if (title === "Okami") return [game(1, "Okami"), game(2, "Okamiden")];
+    if (title === "Resident Evil") {
+      return [game(3, "Resident Evil", 1996), game(4, "Resident Evil", 2002)];
+    }
+    return [];
+  });
+});
+
+describe("GET /admin/api/requests/export", () => {
+  it("downloads the queue as filtered, as CSV", async () => {
+    exportRows = [
+      {
+        id: "r1",
+        title: "Okami",
+        igdb_id: "1",
+        request_type: "game",
+        status: "fulfilled",
+        priority: "high",
+        platforms: '["PlayStation 2","Wii"]',
+        user_name: "Alex",
+        user_email: "alex@example.org",
+        reason: "A classic, really",
+        created_at: new Date("2026-10-01T00:00:00Z"),
+        updated_at: new Date("2026-10-02T00:00:00Z"),
+        supporter_count: 2,
+      },
+    ];
+
+    const response = await exportFile(
+      "status=fulfilled&search=oka&sort=title&dir=asc",
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("Content-Type")).toContain("text/csv");
+    expect(response.headers.get("Content-Disposition")).toMatch(
+      /attachment; filename="requests-\d{4}-\d{2}-\d{2}\.csv"/,
+    );
+    const [header, row] = (await response.text()).split("\r\n");
+    expect(header).toBe(
+      "id,title,igdb_id,request_type,status,priority,platforms,user_name,user_email,reason,description,admin_notes,supporter_count,assignee_name,created_at,updated_at",
+    );
+    expect(row).toBe(
+      'r1,Okami,1,game,fulfilled,high,PlayStation 2; Wii,Alex,alex@example.org,"A classic, really",,,2,,2026-10-01T00:00:00.000Z,2026-10-02T00:00:00.000Z',
+    );
+
+    const [sql, params] = query.mock.calls.find(([text]) =>
+      text.includes("FROM ggr_game_requests"),
+    );
+    expect(sql).toContain("WHERE status = $1 AND (title ILIKE $2");
+    expect(sql).toContain("ORDER BY title ASC");
+    expect(params).toEqual(["fulfilled", "%oka%"]);
+  });
+
+  it("gives JSON with platforms as a list", async () => {
+    exportRows = [{ id: "r1", title: "Okami", platforms: ["Wii"] }];
+
+    const response = await exportFile("format=json");
+
+    expect(response.headers.get("Content-Type")).toContain("application/json");
+    const [request] = await response.json();
+    expect(request).toMatchObject({ id: "r1", platforms: ["Wii"] });
+  });
+
+  it("needs request.view_all and a known format", async () => {
+    let response = await exportFile("format=xlsx");
+    expect(response.status).toBe(400);
+
+    userHasPermission.mockResolvedValue(false);
+    response = await exportFile("format=csv");
+    expect(response.status).toBe(403);
+  });
+});
+
+describe("POST /admin/api/requests/import", () => {
+  const CSV = [
+    "title,status,user_name,platforms",
+    "Okami,fulfilled,Alex,PlayStation 2; Wii",
+    "Resident Evil,pending,,",
+    "Some Homebrew Game,pending,,",
+    "Okami,pending,,",
+    ",pending,,",
+  ].join("\n");
+
+  it("previews each row without writing anything", async () => {
+    users = [
+      {
+        id: 12,
+        email: "alex@example.org",
+        name: "alex",
+        display_name: "Alex",
+      },
+    ];
+
+    const response = await importFile({ format: "csv", content: CSV });
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.dry_run).toBe(true);
+    expect(
+      body.rows.map(({ line, match, outcome, igdb_id }) => [
+        line,
+        match,
+        outcome,
+        igdb_id,
+      ]),
+    ).toEqual([
+      [2, "matched", "import", "1"],
+      [3, "ambiguous", "ambiguous", null],
+      [4, "unmatched", "import", null],
+      [5, "matched", "import", "1"],
+      [6, null, "invalid", null],
+    ]);
+    expect(body.rows[0]).toMatchObject({
+      platforms: ["PlayStation 2", "Wii"],
+      requester_found: true,
+    });
+    expect(body.rows[1].candidates.map((c) => c.year)).toEqual([1996, 2002]);
+    expect(body.rows[4].problems).toEqual(["title is missing"]);
+    expect(body.summary).toMatchObject({
+      total: 5,
+      importable: 3,
+      matched: 2,
+      ambiguous: 1,
+      unmatched: 1,
+      invalid: 1,
+    });
+
+    // One search per title, however many rows carry it.
+    expect(searchGameCandidates).toHaveBeenCalledTimes(3);
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("skips an open request for a game already requested, here or earlier in the file", async () => {
+    const content = [
+      "title,igdb_id,status",
+      "Okami,1,pending",
+      "Okami HD,1,approved",
+      "Okami,1,fulfilled",
+      "Celeste,,pending",
+    ].join("\n");
+    findOpenDuplicate.mockImplementation(async ({ title }) =>
+      title === "Celeste" ? { id: "r9", status: "approved" } : null,
+    );
+
+    const body = await (await importFile({ format: "csv", content })).json();
+
+    expect(body.rows.map((row) => row.outcome)).toEqual([
+      "import",
+      "duplicate",
+      // Closed: history, and no duplicate of anything open.
+      "import",
+      "duplicate",
+    ]);
+    expect(body.rows[1].duplicate_of).toEqual({ line: 2 });
+    expect(body.rows[3].duplicate_of).toEqual({ id: "r9", status: "approved" });
+    // Every id came from the file.
+    expect(searchGameCandidates).toHaveBeenCalledTimes(1);
+  });
+
+  it("imports the previewed rows with the admin's picks, in one transaction", async () => {
+    users = [{ id: 12, name: "alex", display_name: "Alex" }];
+
+    const response = await importFile({
+      format: "csv",
+      content: CSV,
+      dry_run: false,
+      resolutions: { 2: "1", 3: "4", 4: null, 5: "1" },
+    });
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    // Line 2's Okami is fulfilled, so line 5's is the only open one.
+    expect(body.imported_ids).toEqual([
+      "new-Okami",
+      "new-Resident Evil",
+      "new-Some Homebrew Game",
+      "new-Okami",
+    ]);
+    expect(searchGameCandidates).not.toHaveBeenCalled();
+
+    const [sql, params] = inserts()[0];
+    expect(sql).toContain("INSERT INTO ggr_request_status_history");
+    expect(params.slice(0, 6)).toEqual([
+      "12",
+      "Alex",
+      "game",
+      "Okami",
+      "1",
+      '["PlayStation 2","Wii"]',
+    ]);
+    expect(params[9]).toBe("fulfilled");
+    expect(params.slice(12)).toEqual([
+      7,
+      "Casey",
+      "Imported from line 2",
+      "import",
+    ]);
+    // Nobody in the file's name: the importing admin's.
+    expect(inserts()[1][1][0]).toBe("7");
+    expect(inserts()[1][1][4]).toBe("4");
+    expect(events).toEqual(["COMMIT", "invalidate"]);
+  });
+
+  it("rolls the whole import back when a game is requested meanwhile", async () => {
+    txQuery.mockImplementationOnce(async () => {
+      throw Object.assign(new Error("duplicate key"), { code: "23505" });
+    });
+
+    const response = await importFile({
+      format: "json",
+      content: JSON.stringify([{ title: "Celeste" }]),
+      dry_run: false,
+      resolutions: { 1: null },
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toContain("nothing was imported");
+    expect(invalidateRequestCaches).not.toHaveBeenCalled();
+  });
+
+  it("refuses to preview while IGDB cannot be reached", async () => {
+    searchGameCandidates.mockRejectedValue(new Error("IGDB API error: 503"));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const response = await importFile({ format: "csv", content: CSV });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toContain(
+      "IGDB could not be reached",
+    );
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("imports without searching again, skipping rows the preview did not decide", async () => {
+    const response = await importFile({
+      format: "csv",
+      content: CSV,
+      dry_run: false,
+      resolutions: { 2: "1" },
+    });
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(searchGameCandidates).not.toHaveBeenCalled();
+    expect(body.imported_ids).toEqual(["new-Okami"]);
+    // Not imported without their ids, as if IGDB had found nothing.
+    expect(
+      body.rows
+        .filter((row) => row.outcome === "ambiguous")
+        .map((row) => row.line),
+    ).toEqual([3, 4, 5]);
+  });
+
+  it("gives created_at back as the instant it exported, outside UTC too", async () => {
+    const zone = process.env.TZ;
+    process.env.TZ = "America/Los_Angeles";
+    try {
+      exportRows = [
+        {
+          id: "r1",
+          title: "Okami",
+          igdb_id: "1",
+          status: "fulfilled",
+          created_at: new Date("2026-10-01T23:30:00Z"),
+        },
+      ];
+      const exported = await (await exportFile("format=json")).text();
+      expect(JSON.parse(exported)[0].created_at).toBe(
+        "2026-10-01T23:30:00.000Z",
+      );
+
+      await importFile({ format: "json", content: exported, dry_run: false });
+
+      const [sql, params] = inserts()[0];
+      expect(params[11]).toBe("2026-10-01T23:30:00.000Z");
+      // Into the zone NOW() fills the column in, not the UTC wall clock.
+      expect(sql).toContain("$12::timestamptz::timestamp");
+      const [exportSql] = query.mock.calls.find(([text]) =>
+        text.includes("FROM ggr_game_requests"),
+      );
+      expect(exportSql).toContain("created_at::timestamptz AS created_at");
+    } finally {
+      process.env.TZ = zone;
+    }
+  });
+
+  it("refuses a file it cannot read", async () => {
+    for (const body of [
+      { format: "csv", content: "name\nOkami" },
+      { format: "json", content: "{ not json" },
+      { format: "json", content: '{"rows": []}' },
+      { format: "xml", content: "<requests/>" },
+      { format: "csv", content: "" },
+    ]) {
+      const response = await importFile(body);
+      expect(response.status).toBe(400);
+    }
+    expect(searchGameCandidates).not.toHaveBeenCalled();
+  });
+
+  it("needs request.approve", async () => {
+    userHasPermission.mockResolvedValue(false);
+
+    const response = await importFile({ format: "csv", content: CSV });
+
+    expect(response.status).toBe(403);
+    expect(searchGameCandidates).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Regression tests for merging duplicate requests.
+ *
+ * An admin folds open duplicates into one request that survives. What is
+ * pinned: the survivor takes each duplicate's reason with whose it was and
+ * the platforms it lacked, and the duplicates' people become its supporters;
+ * each duplicate is cancelled through the status owner with source `merge`,
+ * in the same transaction, with its own "cancelled" notification held back
+ * and the merge notification sent after commit instead; a merge that cannot
+ * be made -- a closed request, another type, two IGDB games, a request into
+ * itself -- is refused before anything is written; and the duplicates panel
+ * groups the same game and keeps sequels apart.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+let requestRows;
+let events;
+
+function answer(sql, params) {
+  if (sql.includes("FROM ggr_users WHERE authentik_sub")) {
+    return { rows: [{ id: 7 }] };
+  }
+  if (sql.includes("UPDATE ggr_game_requests") && sql.includes("reason")) {
+    const survivor = requestRows.find((row) => row.id === params[0]);
+    return {
+      rows: [{ ...survivor, reason: params[1], platforms: params[2] }],
+    };
+  }
+  if (sql.includes("INSERT INTO ggr_request_supporters")) {
+    return { rows: [{ user_id: 12 }, { user_id: 20 }], rowCount: 2 };
+  }
+  if (sql.includes("FROM ggr_game_requests")) {
+    return {
+      rows: requestRows.filter(
+        (row) => !Array.isArray(params[0]) || params[0].includes(row.id),
+      ),
+    };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+const query = vi.fn(async (sql, params) => answer(sql, params));
+const txQuery = vi.fn(async (sql, params) => answer(sql, params));
+const withTransaction = vi.fn(async (fn) => {
+  const result = await fn(txQuery);
+  events.push("COMMIT");
+  return result;
+});
+const runSideEffects = vi.fn(() => events.push("side effects"));
+const applyRequestStatusChange = vi.fn(async ({ id, to }) => ({
+  row: { ...requestRows.find((row) => row.id === id), status: to },
+  changed: true,
+  runSideEffects,
+}));
+const invalidateRequestCaches = vi.fn();
+const notifyMerged = vi.fn(() => events.push("notify"));
+const userHasPermission = vi.fn(async () => true);
+const verifySessionToken = vi.fn();
+
+vi.mock("$lib/database.js", () => ({ query, withTransaction }));
+vi.mock("$lib/requestStatus.server.js", () => ({
+  applyRequestStatusChange,
+  invalidateRequestCaches,
+  REQUEST_SOURCES: { ADMIN: "admin", MERGE: "merge" },
+}));
+vi.mock("$lib/requestPolicy.server.js", () => ({
+  OPEN_STATUSES: ["awaiting_release", "pending", "approved", "in_progress"],
+}));
+vi.mock("$lib/userNotifications.server.js", () => ({ notifyMerged }));
+vi.mock("$lib/userProfile.js", () => ({ userHasPermission }));
+vi.mock("$lib/auth.server.js", () => ({ verifySessionToken }));
+vi.mock("$lib/basicAuth.js", () => ({ getBasicAuthUser: vi.fn(() => null) }));
+
+async function requestMerge() {
+  vi.resetModules();
+  return import("$lib/requestMerge.server.js");
+}
+
+async function post(body) {
+  vi.resetModules();
+  const { POST } = await import(
+    "../../src/routes/admin/api/requests/merge/+server.js"
+  );
+  return POST({
+    cookies: { get: (name) => (name === "session" ? "session-token" : null) },
+    request: new Request("http://localhost/admin/api/requests/merge", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+  });
+}
+
+const writes = () =>
+  txQuery.mock.calls.filter(([sql]) => /^\s*(INSERT|UPDATE)/.test(sql));
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  events = [];
+  requestRows = [
+    {
+      id: "keep",
+      user_id: "10",
+      user_name: "Alex",
+      request_type: "game",
+      title: "The Witcher 3: Wild Hunt",
+      igdb_id: "1942",
+      platforms: ["PC (Steam)"],
+      reason: "Finally getting to it",
+      status: "approved",
+      created_at: "2026-10-01T00:00:00Z",
+    },
+    {
+      id: "dup",
+      user_id: "12",
+      user_name: "Blair",
+      request_type: "game",
+      title: "Witcher 3",
+      igdb_id: null,
+      platforms: '["PC (Steam)","Nintendo Switch"]',
+      reason: "For the Switch please",
+      status: "pending",
+      created_at: "2026-10-05T00:00:00Z",
+    },
+  ];
+  verifySessionToken.mockResolvedValue({ sub: "sub-7", name: "Casey" });
+  userHasPermission.mockResolvedValue(true);
+});
+
+describe("mergeRequests", () => {
+  it("folds the duplicate into the survivor and cancels it through the owner", async () => {
+    const { mergeRequests } = await requestMerge();
+
+    const result = await mergeRequests({
+      survivorId: "keep",
+      duplicateIds: ["dup"],
+      actor: "Casey",
+      actorId: 7,
+    });
+
+    expect(result.survivor.reason).toBe(
+      "Finally getting to it\n\nFrom Blair (merged): For the Switch please",
+    );
+    expect(JSON.parse(result.survivor.platforms)).toEqual([
+      "PC (Steam)",
+      "Nintendo Switch",
+    ]);
+    expect(result.supportersAdded).toBe(2);
+
+    // The survivor's own requester is never made a supporter of it.
+    const supporterInsert = txQuery.mock.calls.find(([sql]) =>
+      sql.includes("INSERT INTO ggr_request_supporters"),
+    );
+    expect(supporterInsert[1]).toEqual(["keep", ["dup"], "10"]);
+
+    expect(applyRequestStatusChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: "dup",
+        to: "cancelled",
+        source: "merge",
+        actorId: 7,
+        historyNotes: 'Merged into "The Witcher 3: Wild Hunt" (keep)',
+        tx: txQuery,
+        deferSideEffects: true,
+        notifyParticipants: false,
+      }),
+    );
+    expect(result.merged.map((row) => row.status)).toEqual(["cancelled"]);
+  });
+
+  it("tells people about the merge only after commit", async () => {
+    const { mergeRequests } = await requestMerge();
+
+    await mergeRequests({ survivorId: "keep", duplicateIds: ["dup"] });
+
+    expect(events).toEqual(["COMMIT", "side effects", "notify"]);
+    expect(notifyMerged).toHaveBeenCalledWith(
+      expect.objectContaining({
+        survivor: expect.objectContaining({ id: "keep" }),
+        duplicates: [expect.objectContaining({ id: "dup" })],
+      }),
+    );
+    expect(invalidateRequestCaches).toHaveBeenCalledTimes(1);
+  });
+
+  it("refuses a merge that cannot be made, before writing", async () => {
+    const { mergeRequests, InvalidMergeError } = await requestMerge();
+
+    await expect(
+      mergeRequests({ survivorId: "keep", duplicateIds: ["keep"] }),
+    ).rejects.toBeInstanceOf(InvalidMergeError);
+    await expect(
+      mergeRequests({ survivorId: "keep", duplicateIds: ["gone"] }),
+    ).rejects.toThrow("no longer exists");
+
+    requestRows[1].status = "fulfilled";
+    await expect(
+      mergeRequests({ survivorId: "keep", duplicateIds: ["dup"] }),
+    ).rejects.toThrow("only open requests");
+
+    requestRows[1].status = "pending";
+    requestRows[1].request_type = "fix";
+    await expect(
+      mergeRequests({ survivorId: "keep", duplicateIds: ["dup"] }),
+    ).rejects.toThrow("same type");
+
+    requestRows[1].request_type = "game";
+    requestRows[1].igdb_id = "1943";
+    await expect(
+      mergeRequests({ survivorId: "keep", duplicateIds: ["dup"] }),
+    ).rejects.toThrow("different IGDB games");
+
+    expect(writes()).toHaveLength(0);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+    expect(notifyMerged).not.toHaveBeenCalled();
+  });
+});
+
+describe("findDuplicateGroups", () => {
+  const open = (id, title, extra = {}) => ({
+    id,
+    title,
+    request_type: "game",
+    igdb_id: null,
+    created_at: `2026-10-0${id.length}T00:00:00Z`,
+    ...extra,
+  });
+
+  it("groups one game however it was typed, suggesting the IGDB request", async () => {
+    const { findDuplicateGroups } = await requestMerge();
+
+    const groups = findDuplicateGroups([
+      open("a", "Witcher III: Wild Hunt"),
+      open("bb", "The Witcher 3: Wild Hunt", { igdb_id: "1942" }),
+      open("ccc", "witcher 3 wild hunt"),
+      open("dddd", "Okami"),
+    ]);
+
+    expect(groups).toHaveLength(1);
+    expect(groups[0].survivor_id).toBe("bb");
+    expect(groups[0].requests.map((row) => row.id)).toEqual(["a", "bb", "ccc"]);
+  });
+
+  it("keeps sequels, other types and other IGDB games apart", async () => {
+    const { findDuplicateGroups } = await requestMerge();
+
+    expect(
+      findDuplicateGroups([
+        open("a", "Final Fantasy VII"),
+        open("bb", "Final Fantasy VIII"),
+        open("ccc", "Celeste"),
+        open("dddd", "Celeste", { request_type: "fix" }),
+        open("eeeee", "Doom", { igdb_id: "1" }),
+        open("ffffff", "Doom", { igdb_id: "2" }),
+      ]),
+    ).toEqual([]);
+  });
+});
+
+describe("POST /admin/api/requests/merge", () => {
+  it("answers with the survivor and what went into it", async () => {
+    const response = await post({ survivor_id: "keep", request_ids: ["dup"] });
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.request.id).toBe("keep");
+    expect(body.merged_ids).toEqual(["dup"]);
+    expect(body.supporters_added).toBe(2);
+  });
+
+  it("needs request.approve or request.edit", async () => {
+    userHasPermission.mockResolvedValue(false);
+
+    const response = await post({ survivor_id: "keep", request_ids: ["dup"] });
+
+    expect(response.status).toBe(403);
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("turns a refused merge into a 400", async () => {
+    let response = await post({ survivor_id: "keep" });
+    expect(response.status).toBe(400);
+
+    response = await post({ survivor_id: "keep", request_ids: ["keep"] });
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toContain("into itself");
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Regression tests for admins fulfilling a request one platform at a time.
+ *
+ * An admin ticks a platform in, or unticks one nobody is fetching, from the
+ * request page. What is pinned: the request is fulfilled -- through the
+ * status owner, in the same transaction, with its side effects after commit
+ * -- exactly when that leaves every required platform in, and not before; a
+ * platform the request never named, or any change to a closed request, is
+ * refused before anything is written; the last required platform cannot be
+ * unticked, which would leave the request nothing to be fulfilled by; and
+ * the endpoint needs request.approve, since its outcome can be a fulfilment.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+let requestRow;
+let platformRows;
+let events;
+
+function answer(sql, params) {
+  if (sql.includes("FROM ggr_users WHERE authentik_sub")) {
+    return { rows: [{ id: 7 }] };
+  }
+  if (sql.includes("FROM ggr_game_requests")) {
+    return { rows: requestRow ? [requestRow] : [] };
+  }
+  if (sql.includes("INSERT INTO ggr_request_platforms")) {
+    // Stands in for the upsert, for the columns the code reads back.
+    const [, platform, required, fulfilled] = params;
+    const existing = platformRows.find((row) => row.platform === platform);
+    const row = existing ?? { platform, required: true, fulfilled_at: null };
+    if (required !== null) row.required = required;
+    if (fulfilled === true) row.fulfilled_at ??= "2026-10-19T00:00:00Z";
+    if (fulfilled === false) row.fulfilled_at = null;
+    if (!existing) platformRows.push(row);
+    return { rows: [] };
+  }
+  if (sql.includes("FROM ggr_request_platforms")) {
+    return {
+      rows: platformRows.map((row) => ({ request_id: "r1", ...row })),
+    };
+  }
+  return { rows: [] };
+}
+
+const query = vi.fn(async (sql, params) => answer(sql, params));
+const txQuery = vi.fn(async (sql, params) => answer(sql, params));
+const withTransaction = vi.fn(async (fn) => {
+  const result = await fn(txQuery);
+  events.push("COMMIT");
+  return result;
+});
+const runSideEffects = vi.fn(() => events.push("side effects"));
+const applyRequestStatusChange = vi.fn(async ({ id, to }) => ({
+  row: { ...requestRow, id, status: to },
+  changed: true,
+  runSideEffects,
+}));
+const userHasPermission = vi.fn(async () => true);
+const verifySessionToken = vi.fn();
+
+vi.mock("$lib/database.js", () => ({ query, withTransaction }));
+vi.mock("$lib/requestStatus.server.js", () => ({
+  applyRequestStatusChange,
+  REQUEST_SOURCES: { ADMIN: "admin" },
+}));
+vi.mock("$lib/requestPolicy.server.js", () => ({
+  OPEN_STATUSES: ["awaiting_release", "pending", "approved", "in_progress"],
+}));
+vi.mock("$lib/userProfile.js", () => ({ userHasPermission }));
+vi.mock("$lib/auth.server.js", () => ({ verifySessionToken }));
+vi.mock("$lib/basicAuth.js", () => ({ getBasicAuthUser: vi.fn(() => null) }));
+
+async function requestPlatforms() {
+  vi.resetModules();
+  return import("$lib/requestPlatforms.server.js");
+}
+
+async function post(body) {
+  vi.resetModules();
+  const { POST } = await import(
+    "../../src/routes/admin/api/requests/platforms/+server.js"
+  );
+  return POST({
+    cookies: { get: (name) => (name === "session" ? "session-token" : null) },
+    request: new Request("http://localhost/admin/api/requests/platforms", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }),
+  });
+}
+
+const platformWrites = () =>
+  txQuery.mock.calls.filter(([sql]) =>
+    sql.includes("INSERT INTO ggr_request_platforms"),
+  );
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  events = [];
+  requestRow = {
+    id: "r1",
+    title: "Okami",
+    status: "approved",
+    platforms: ["Nintendo Switch", "PlayStation 2"],
+  };
+  platformRows = [];
+  verifySessionToken.mockResolvedValue({ sub: "sub-7", name: "Alex" });
+  userHasPermission.mockResolvedValue(true);
+});
+
+describe("updateRequestPlatform", () => {
+  it("marks one platform without fulfilling a request that needs more", async () => {
+    const { updateRequestPlatform } = await requestPlatforms();
+
+    const result = await updateRequestPlatform({
+      requestId: "r1",
+      platform: "Nintendo Switch",
+      fulfilled: true,
+      actor: "Alex",
+    });
+
+    expect(result.completed).toBe(false);
+    expect(result.platforms.map((status) => status.fulfilled)).toEqual([
+      true,
+      false,
+    ]);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+  });
+
+  it("fulfils the request with the last required platform, side effects after commit", async () => {
+    platformRows = [
+      {
+        platform: "Nintendo Switch",
+        required: true,
+        fulfilled_at: "2026-10-01T00:00:00Z",
+      },
+    ];
+    const { updateRequestPlatform } = await requestPlatforms();
+
+    const result = await updateRequestPlatform({
+      requestId: "r1",
+      platform: "PlayStation 2",
+      fulfilled: true,
+      actor: "Alex",
+      actorId: 7,
+    });
+
+    expect(result.completed).toBe(true);
+    expect(applyRequestStatusChange).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: "r1",
+        to: "fulfilled",
+        actorId: 7,
+        tx: txQuery,
+        deferSideEffects: true,
+        historyNotes: "Fulfilled on Nintendo Switch, PlayStation 2",
+      }),
+    );
+    expect(events).toEqual(["COMMIT", "side effects"]);
+  });
+
+  it("fulfils the request when the platform left outstanding is unticked", async () => {
+    platformRows = [
+      {
+        platform: "Nintendo Switch",
+        required: true,
+        fulfilled_at: "2026-10-01T00:00:00Z",
+      },
+    ];
+    const { updateRequestPlatform } = await requestPlatforms();
+
+    const result = await updateRequestPlatform({
+      requestId: "r1",
+      platform: "PlayStation 2",
+      required: false,
+    });
+
+    expect(result.completed).toBe(true);
+  });
+
+  it("does not fulfil a request still pending", async () => {
+    requestRow.status = "pending";
+    requestRow.platforms = ["Nintendo Switch"];
+    const { updateRequestPlatform } = await requestPlatforms();
+
+    const result = await updateRequestPlatform({
+      requestId: "r1",
+      platform: "Nintendo Switch",
+      fulfilled: true,
+    });
+
+    expect(result.completed).toBe(false);
+    expect(applyRequestStatusChange).not.toHaveBeenCalled();
+  });
+
+  it("refuses what the request cannot take, before writing", async () => {
+    const { updateRequestPlatform, InvalidPlatformError } =
+      await requestPlatforms();
+
+    await expect(
+      updateRequestPlatform({
+        requestId: "r1",
+        platform: "Wii",
+        fulfilled: true,
+      }),
+    ).rejects.toBeInstanceOf(InvalidPlatformError);
+
+    platformRows = [
+      { platform: "Nintendo Switch", required: false, fulfilled_at: null },
+    ];
+    await expect(
+      updateRequestPlatform({
+        requestId: "r1",
+        platform: "PlayStation 2",
+        required: false,
+      }),
+    ).rejects.toThrow("At least one platform");
+
+    requestRow.status = "fulfilled";
+    await expect(
+      updateRequestPlatform({
+        requestId: "r1",
+        platform: "PlayStation 2",
+        fulfilled: false,
+      }),
+    ).rejects.toThrow("while the request is open");
+
+    expect(platformWrites()).toHaveLength(0);
+  });
+});
+
+describe("POST /admin/api/requests/platforms", () => {
+  it("answers with the platforms and whether the request was fulfilled", async () => {
+    const response = await post({
+      request_id: "r1",
+      platform: "Nintendo Switch",
+      fulfilled: true,
+    });
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.completed).toBe(false);
+    expect(body.platforms[0]).toMatchObject({
+      platform: "Nintendo Switch",
+      fulfilled: true,
+    });
+  });
+
+  it("needs request.approve", async () => {
+    userHasPermission.mockResolvedValue(false);
+
+    const response = await post({
+      request_id: "r1",
+      platform: "Nintendo Switch",
+      fulfilled: true,
+    });
+
+    expect(response.status).toBe(403);
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("wants a true or false to set", async () => {
+    const response = await post({
+      request_id: "r1",
+      platform: "Nintendo Switch",
+      fulfilled: "yes",
+    });
+
+    expect(response.status).toBe(400);
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("turns a refused change into a 400 and a missing request into a 404", async () => {
+    let response = await post({
+      request_id: "r1",
+      platform: "Wii",
+      fulfilled: true,
+    });
+    expect(response.status).toBe(400);
+
+    requestRow = null;
+    response = await post({
+      request_id: "r9",
+      platform: "Wii",
+      fulfilled: true,
+    });
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * Regression tests for the download pipeline's progress callbacks.
+ *
+ * The only way back from the pipeline used to be an admin API key on
+ * admin/api/requests/update. /api/webhooks/request-status replaces it with a
+ * signed callback, so what is pinned here is what the signature buys: nothing
+ * is read or written for a call that is unsigned, wrongly signed or stale, or
+ * when no secret is configured at all. Past that, the rules are the state
+ * mapping -- only an approved or in-progress request moves, `completed`
+ * fulfils, a repeat of `completed` is harmless -- and that the transitions go
+ * through the status owner, so they notify and dispatch like an admin's.
+ */
+
+import { beforeEach, afterEach, describe, expect, it, vi } from "vitest";
+
+const SECRET = "callback-secret";
+const REQUEST_ID = "0b6f3c52-6d0e-4c1e-9a53-2f0f3e1b7a10";
+
+let stored;
+const statements = [];
+
+// The transaction-scoped query: the row lock, the status owner's statement,
+// and the progress write, each answering as Postgres would.
+const tx = vi.fn(async (sql, params) => {
+  statements.push({ sql, params });
+  if (sql.includes("WITH previous")) {
+    const previous = stored.status;
+    stored = { ...stored, status: params[1] };
+    return { rows: [{ ...stored, previous_status: previous }] };
+  }
+  if (sql.includes("FOR UPDATE")) {
+    return { rows: stored ? [{ ...stored }] : [] };
+  }
+  if (sql.includes("SET progress_state")) {
+    const [, state, percent, message] = params;
+    stored = {
+      ...stored,
+      progress_state: state,
+      progress_percent:
+        state === "completed"
+          ? 100
+          : state === "failed"
+            ? (percent ?? stored.progress_percent)
+            : percent,
+      progress_message: message,
+      progress_updated_at: "2026-10-19T10:00:00Z",
+    };
+    return { rows: [{ ...stored }] };
+  }
+  return { rows: [] };
+});
+const withTransaction = vi.fn(async (fn) => fn(tx));
+const query = vi.fn(async () => ({ rows: [] }));
+
+const sendRequestStatusNotification = vi.fn(async () => true);
+const sendRequestDownloadFailedNotification = vi.fn(async () => true);
+const dispatchRequestEvent = vi.fn(async () => 0);
+const invalidateCache = vi.fn(async () => {});
+
+vi.mock("$lib/database.js", () => ({ query, withTransaction }));
+vi.mock("$lib/gotify.js", () => ({
+  sendRequestStatusNotification,
+  sendRequestCancelledDeletedNotification: vi.fn(async () => true),
+  sendBulkRequestStatusNotification: vi.fn(async () => true),
+  sendRequestDownloadFailedNotification,
+}));
+vi.mock("$lib/cache.js", () => ({ invalidateCache }));
+vi.mock("$lib/deliveryQueue.server.js", () => ({ enqueueDelivery: vi.fn() }));
+vi.mock("$lib/requestPolicy.server.js", () => ({
+  findOpenDuplicate: vi.fn(async () => null),
+}));
+vi.mock("$lib/requestSupport.server.js", () => ({
+  listSupporters: vi.fn(async () => new Map()),
+}));
+vi.mock("$lib/webhooks.server.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  dispatchRequestEvent,
+  sendGameRequestWebhook: vi.fn(async () => {}),
+}));
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/** POST a callback, signed with `secret` unless told otherwise. */
+async function callback(
+  body,
+  { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {},
+) {
+  vi.resetModules();
+  const { signWebhookPayload } = await import("$lib/webhooks.server.js");
+  const { POST } = await import(
+    "../../src/routes/api/webhooks/request-status/+server.js"
+  );
+  const raw = typeof body === "string" ? body : JSON.stringify(body);
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Webhook-Timestamp": String(timestamp),
+  };
+  if (secret) {
+    headers["X-Webhook-Signature"] = signWebhookPayload(secret, timestamp, raw);
+  }
+  const response = await POST({
+    request: new Request("http://localhost/api/webhooks/request-status", {
+      method: "POST",
+      headers,
+      body: raw,
+    }),
+  });
+  await settle();
+  return { status: response.status, body: await response.json() };
+}
+
+const report = (fields) => ({ request_id: REQUEST_ID, ...fields });
+
+/** The progress UPDATE, if one was issued. */
+const progressWrite = () =>
+  statements.find(({ sql }) => sql.includes("SET progress_state"));
+
+/** The status owner's statement, if one was issued. */
+const statusWrite = () =>
+  statements.find(({ sql }) => sql.includes("WITH previous"));
+
+describe("/api/webhooks/request-status", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    statements.length = 0;
+    process.env.REQUEST_CALLBACK_SECRET = SECRET;
+    stored = {
+      id: REQUEST_ID,
+      title: "Chrono Trigger",
+      user_id: "12",
+      user_name: "alice",
+      status: "approved",
+      progress_state: null,
+      progress_percent: null,
+      progress_message: null,
+    };
+  });
+
+  afterEach(() => {
+    delete process.env.REQUEST_CALLBACK_SECRET;
+  });
+
+  it("is not there at all until a secret is configured", async () => {
+    delete process.env.REQUEST_CALLBACK_SECRET;
+
+    const { status } = await callback(report({ state: "queued" }));
+
+    expect(status).toBe(404);
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("refuses a call signed with the wrong secret, or not signed", async () => {
+    const forged = await callback(report({ state: "completed" }), {
+      secret: "guessed",
+    });
+    const unsigned = await callback(report({ state: "completed" }), {
+      secret: null,
+    });
+
+    expect(forged.status).toBe(401);
+    expect(unsigned.status).toBe(401);
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("refuses a correctly signed call replayed outside the window", async () => {
+    const { status } = await callback(report({ state: "completed" }), {
+      timestamp: Math.floor(Date.now() / 1000) - 60 * 60,
+    });
+
+    expect(status).toBe(401);
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("refuses a body that is not a progress report", async () => {
+    const badJson = await callback("{not json");
+    const badState = await callback(report({ state: "paused" }));
+    const badPercent = await callback(
+      report({ state: "downloading", percent: 140 }),
+    );
+
+    expect(badJson.status).toBe(400);
+    expect(badState.status).toBe(400);
+    expect(badPercent.status).toBe(400);
+    expect(withTransaction).not.toHaveBeenCalled();
+  });
+
+  it("moves an approved request in progress through the status owner", async () => {
+    const { status, body } = await callback(
+      report({ state: "downloading", percent: 41.6 }),
+    );
+
+    expect(status).toBe(200);
+    expect(body.changed).toBe(true);
+    expect(body.request).toMatchObject({
+      status: "in_progress",
+      progress_state: "downloading",
+      progress_percent: 42,
+    });
+
+    const { params } = statusWrite();
+    expect(params[1]).toBe("in_progress");
+    expect(params[5]).toBe("Download pipeline");
+    expect(params[7]).toBe("downloader");
+
+    expect(dispatchRequestEvent).toHaveBeenCalledWith(
+      "request.in_progress",
+      expect.objectContaining({ id: REQUEST_ID }),
+      expect.objectContaining({ previousStatus: "approved" }),
+    );
+    expect(sendRequestStatusNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        old_status: "approved",
+        new_status: "in_progress",
+      }),
+    );
+  });
+
+  it("updates the percent without repeating the status side effects", async () => {
+    stored.status = "in_progress";
+    stored.progress_state = "downloading";
+    stored.progress_percent = 10;
+
+    const { status, body } = await callback(
+      report({ state: "downloading", percent: 80 }),
+    );
+
+    expect(status).toBe(200);
+    expect(body.changed).toBe(false);
+    expect(body.request.progress_percent).toBe(80);
+    expect(dispatchRequestEvent).not.toHaveBeenCalled();
+    expect(sendRequestStatusNotification).not.toHaveBeenCalled();
+    // The lists showing the percent are still cached.
+    expect(invalidateCache).toHaveBeenCalled();
+  });
+
+  it("fulfils on completed, and accepts completed again as a no-op", async () => {
+    stored.status = "in_progress";
+
+    const first = await callback(report({ state: "completed" }));
+
+    expect(first.status).toBe(200);
+    expect(first.body.request).toMatchObject({
+      status: "fulfilled",
+      progress_state: "completed",
+      progress_percent: 100,
+    });
+    expect(dispatchRequestEvent).toHaveBeenCalledWith(
+      "request.fulfilled",
+      expect.anything(),
+      expect.objectContaining({ previousStatus: "in_progress" }),
+    );
+
+    vi.clearAllMocks();
+    statements.length = 0;
+    const retry = await callback(report({ state: "completed" }));
+
+    expect(retry.status).toBe(200);
+    expect(retry.body.changed).toBe(false);
+    expect(statusWrite()).toBeUndefined();
+    expect(progressWrite()).toBeUndefined();
+    expect(dispatchRequestEvent).not.toHaveBeenCalled();
+  });
+
+  it("will not report on a request that is not approved", async () => {
+    for (const status of ["pending", "rejected", "cancelled"]) {
+      stored.status = status;
+      const response = await callback(report({ state: "downloading" }));
+      expect(response.status).toBe(409);
+      expect(response.body.status).toBe(status);
+    }
+
+    stored.status = "fulfilled";
+    const late = await callback(report({ state: "downloading" }));
+    expect(late.status).toBe(409);
+
+    expect(statusWrite()).toBeUndefined();
+    expect(progressWrite()).toBeUndefined();
+  });
+
+  it("answers 404 for a request that does not exist", async () => {
+    stored = null;
+
+    const { status } = await callback(report({ state: "queued" }));
+
+    expect(status).toBe(404);
+  });
+
+  it("records a failure in progress and tells the admin once", async () => {
+    stored.status = "in_progress";
+    stored.progress_state = "downloading";
+    stored.progress_percent = 63;
+
+    const { body } = await callback(
+      report({ state: "failed", message: "  Disk full  " }),
+    );
+
+    expect(body.request).toMatchObject({
+      status: "in_progress",
+      progress_state: "failed",
+      progress_percent: 63,
+      progress_message: "Disk full",
+    });
+    expect(sendRequestDownloadFailedNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ reason: "Disk full", percent: 63 }),
+    );
+
+    vi.clearAllMocks();
+    await callback(report({ state: "failed", message: "Disk full" }));
+
+    expect(sendRequestDownloadFailedNotification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Regression tests for per-role request quotas.
+ *
+ * Two rules are easy to get backwards. A user with several roles is held to
+ * the most generous one, so a quota on `user` must not bind someone who also
+ * holds a role without one. And the rolling window counts submissions, not
+ * open requests, so rescinding does not buy the slot back. The route's half is
+ * that a refusal is a 429 an integration can back off on, with the same
+ * numbers in the X-RateLimit-* headers.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (n) => new Date(Date.now() - n * DAY).toISOString();
+
+let roleRows;
+let requestRows;
+const query = vi.fn(async (sql) => {
+  if (sql.includes("FROM ggr_user_roles")) return { rows: roleRows };
+  if (sql.includes("FROM ggr_game_requests")) return { rows: requestRows };
+  return { rows: [] };
+});
+const userHasPermission = vi.fn(async () => false);
+
+vi.mock("$lib/database.js", () => ({ query, withTransaction: vi.fn() }));
+vi.mock("$lib/userProfile.js", () => ({ userHasPermission }));
+// A game with no release date on record: queued as before, never held.
+vi.mock("$lib/gameCache.js", () => ({ getGameById: vi.fn(async () => null) }));
+vi.mock("$lib/requestPolicy.server.js", () => ({
+  OPEN_STATUSES: ["pending", "approved"],
+}));
+
+async function quotas() {
+  vi.resetModules();
+  return import("$lib/requestQuota.server.js");
+}
+
+const rule = (roleId, fields) => ({
+  role_id: roleId,
+  request_type: "all",
+  max_open: null,
+  max_per_window: null,
+  window_days: 7,
+  ...fields,
+});
+
+describe("checkRequestQuota", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    userHasPermission.mockResolvedValue(false);
+    roleRows = [rule(1, { max_open: 2 })];
+    requestRows = [];
+  });
+
+  it("refuses once the open cap is reached", async () => {
+    requestRows = [
+      { request_type: "game", status: "pending", created_at: daysAgo(1) },
+      { request_type: "fix", status: "approved", created_at: daysAgo(30) },
+    ];
+    const { checkRequestQuota } = await quotas();
+
+    const quota = await checkRequestQuota(12, "game");
+
+    expect(quota).toMatchObject({
+      limited: true,
+      allowed: false,
+      kind: "open",
+      limit: 2,
+      remaining: 0,
+    });
+  });
+
+  it("counts only the rule's own type for a per-type rule", async () => {
+    roleRows = [rule(1, { request_type: "game", max_open: 1 })];
+    requestRows = [
+      { request_type: "fix", status: "pending", created_at: daysAgo(1) },
+    ];
+    const { checkRequestQuota } = await quotas();
+
+    expect((await checkRequestQuota(12, "game")).remaining).toBe(1);
+  });
+
+  it("counts rescinded submissions against the window", async () => {
+    roleRows = [rule(1, { max_per_window: 2, window_days: 7 })];
+    requestRows = [
+      { request_type: "game", status: "cancelled", created_at: daysAgo(2) },
+      { request_type: "game", status: "cancelled", created_at: daysAgo(5) },
+      { request_type: "game", status: "fulfilled", created_at: daysAgo(9) },
+    ];
+    const { checkRequestQuota } = await quotas();
+
+    const quota = await checkRequestQuota(12, "game");
+
+    expect(quota.allowed).toBe(false);
+    expect(quota.kind).toBe("window");
+    // The five-day-old submission ages out first, two days from now.
+    const expected = Date.now() + 2 * DAY;
+    expect(Math.abs(quota.reset_at.getTime() - expected)).toBeLessThan(5000);
+  });
+
+  it("holds a user to their most generous role", async () => {
+    roleRows = [rule(1, { max_open: 0 }), rule(2, { max_open: 3 })];
+    const { checkRequestQuota } = await quotas();
+
+    const quota = await checkRequestQuota(12, "game");
+
+    expect(quota.allowed).toBe(true);
+    expect(quota.remaining).toBe(3);
+  });
+
+  it("does not limit a user who also holds a role with no quota", async () => {
+    roleRows = [
+      rule(1, { max_open: 0 }),
+      { role_id: 2, request_type: null, max_open: null },
+    ];
+    const { checkRequestQuota } = await quotas();
+
+    expect((await checkRequestQuota(12, "game")).limited).toBe(false);
+  });
+
+  it("exempts holders of request.quota_exempt without reading quotas", async () => {
+    userHasPermission.mockResolvedValue(true);
+    const { checkRequestQuota } = await quotas();
+
+    const quota = await checkRequestQuota(12, "game");
+
+    expect(quota.limited).toBe(false);
+    expect(userHasPermission).toHaveBeenCalledWith(12, "request.quota_exempt");
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe("POST /api/request quota enforcement", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    userHasPermission.mockResolvedValue(false);
+    roleRows = [rule(1, { max_per_window: 1, window_days: 7 })];
+    requestRows = [
+      { request_type: "game", status: "rejected", created_at: daysAgo(3) },
+    ];
+  });
+
+  async function submit() {
+    vi.resetModules();
+    vi.doMock("$lib/auth.server.js", () => ({
+      getAuthenticatedUser: vi.fn(async () => ({
+        auth_type: "api_key",
+        user_id: 12,
+      })),
+    }));
+    vi.doMock("$lib/requestPolicy.server.js", () => ({
+      OPEN_STATUSES: ["pending", "approved"],
+      findOpenDuplicate: vi.fn(async () => null),
+      mayAutoApprove: vi.fn(async () => false),
+    }));
+    vi.doMock("$lib/gotify.js", () => ({
+      sendNewRequestNotification: vi.fn(async () => {}),
+    }));
+    vi.doMock("$lib/cache.js", () => ({
+      invalidateCache: vi.fn(async () => {}),
+    }));
+    query.mockImplementation(async (sql) => {
+      if (sql.includes("FROM ggr_users")) return { rows: [{ id: 12 }] };
+      if (sql.includes("FROM ggr_user_roles")) return { rows: roleRows };
+      if (sql.includes("INSERT INTO ggr_game_requests")) {
+        return { rows: [{ id: "req-new", status: "pending" }] };
+      }
+      if (sql.includes("FROM ggr_game_requests")) return { rows: requestRows };
+      return { rows: [] };
+    });
+
+    const { POST } = await import("../../src/routes/api/request/+server.js");
+    return POST({
+      cookies: {},
+      request: new Request("http://localhost/api/request", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ request_type: "game", title: "Chrono Trigger" }),
+      }),
+    });
+  }
+
+  it("answers 429 with rate-limit headers and does not insert", async () => {
+    const response = await submit();
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get("X-RateLimit-Limit")).toBe("1");
+    expect(response.headers.get("X-RateLimit-Remaining")).toBe("0");
+    expect(Number(response.headers.get("Retry-After"))).toBeGreaterThan(0);
+    expect((await response.json()).quota.kind).toBe("window");
+    expect(
+      query.mock.calls.some(([sql]) =>
+        sql.includes("INSERT INTO ggr_game_requests"),
+      ),
+    ).toBe(false);
+  });
+
+  it("reports what is left after an accepted submission", async () => {
+    roleRows = [rule(1, { max_per_window: 5, window_days: 7 })];
+
+    const response = await submit();
+
+    expect(response.status).toBe(201);
+    expect(response.headers.get("X-RateLimit-Limit")).toBe("5");
+    expect((await response.json()).quota.limit).toBe(5);
+  });
+
+  it("sends no rate-limit headers to an unlimited caller", async () => {
+    roleRows = [];
+
+    const response = await submit();
+
+    expect(response.status).toBe(201);
+    expect(response.headers.get("X-RateLimit-Limit")).toBeNull();
+  });
+
+  it("fails open when the quota cannot be read", async () => {
+    // A shape the evaluation cannot iterate, standing in for a broken read.
+    roleRows = null;
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const response = await submit();
+
+    expect(response.status).toBe(201);
+    warn.mockRestore();
+  });
+});
@@ -54,6 +54,7 @@ const sendRequestCancelledDeletedNotification = vi.fn();
 const sendBulkRequestStatusNotification = vi.fn();
 const invalidateCache = vi.fn();
 const sendGameRequestWebhook = vi.fn();
+const dispatchRequestEvent = vi.fn(async () => 0);
 const getAuthenticatedUser = vi.fn();
 
 vi.mock("$lib/database.js", () => ({ query }));
@@ -63,7 +64,10 @@ vi.mock("$lib/gotify.js", () => ({
   sendBulkRequestStatusNotification,
 }));
 vi.mock("$lib/cache.js", () => ({ invalidateCache }));
-vi.mock("$lib/webhooks.server.js", () => ({ sendGameRequestWebhook }));
+vi.mock("$lib/webhooks.server.js", () => ({
+  sendGameRequestWebhook,
+  dispatchRequestEvent,
+}));
 vi.mock("$lib/auth.server.js", () => ({ getAuthenticatedUser }));
 vi.mock("$lib/userProfile.js", () => ({
   userHasPermission: vi.fn(async () => false),
@@ -106,6 +106,7 @@ const sendRequestCancelledDeletedNotification = vi.fn();
 const sendBulkRequestStatusNotification = vi.fn();
 const invalidateCache = vi.fn();
 const sendGameRequestWebhook = vi.fn();
+const dispatchRequestEvent = vi.fn(async () => 0);
 const userHasPermission = vi.fn();
 const verifySessionToken = vi.fn();
 
@@ -116,7 +117,10 @@ vi.mock("$lib/gotify.js", () => ({
   sendBulkRequestStatusNotification,
 }));
 vi.mock("$lib/cache.js", () => ({ invalidateCache }));
-vi.mock("$lib/webhooks.server.js", () => ({ sendGameRequestWebhook }));
+vi.mock("$lib/webhooks.server.js", () => ({
+  sendGameRequestWebhook,
+  dispatchRequestEvent,
+}));
 vi.mock("$lib/userProfile.js", () => ({ userHasPermission }));
 vi.mock("$lib/auth.server.js", () => ({ verifySessionToken }));
 vi.mock("$lib/basicAuth.js", () => ({ getBasicAuthUser: vi.fn(() => null) }));
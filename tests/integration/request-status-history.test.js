@@ -0,0 +1,336 @@
+/**
+ * Regression tests for the request status history.
+ *
+ * The history is only worth having if it is complete and honest. Complete:
+ * every door a status can change through -- submission, the owner, a batch --
+ * must write an entry, and must write it in the same statement as the change,
+ * or a rolled-back transition leaves an entry for something that never
+ * happened. Honest: an entry carries the notes its own transition wrote, never
+ * whatever an earlier one left in admin_notes, and a re-save that changed
+ * nothing must not appear as a step.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const ROW = {
+  id: "req-1",
+  user_id: "12",
+  user_name: "alice",
+  title: "Chrono Trigger",
+  request_type: "game",
+  status: "approved",
+  admin_notes: null,
+  previous_status: "pending",
+};
+
+// Positions in STATUS_SQL's parameter list, after id, to, notes, setNotes.
+const ACTOR_ID = 4;
+const ACTOR_NAME = 5;
+const NOTES = 6;
+const SOURCE = 7;
+
+let historyRows = [];
+
+const query = vi.fn(async (sql, params) => {
+  if (sql.includes("FROM ggr_request_status_history")) {
+    return { rows: historyRows };
+  }
+  if (sql.includes("INSERT INTO ggr_game_requests")) {
+    return {
+      rows: [{ ...ROW, previous_status: undefined, status: params[9] }],
+    };
+  }
+  if (sql.includes("FROM ggr_users")) {
+    return { rows: [{ id: "12", username: "alice", email: "a@example.test" }] };
+  }
+  if (sql.includes("previous_status")) {
+    return { rows: [ROW] };
+  }
+  return { rows: [] };
+});
+
+const getAuthenticatedUser = vi.fn();
+const mayAutoApprove = vi.fn(async () => false);
+
+vi.mock("$lib/database.js", () => ({
+  query,
+  gameCache: { upsert: vi.fn(async () => {}) },
+}));
+vi.mock("$lib/gotify.js", () => ({
+  sendNewRequestNotification: vi.fn(async () => {}),
+  sendRequestStatusNotification: vi.fn(async () => {}),
+  sendRequestCancelledDeletedNotification: vi.fn(async () => {}),
+  sendBulkRequestStatusNotification: vi.fn(async () => {}),
+}));
+vi.mock("$lib/cache.js", () => ({ invalidateCache: vi.fn(async () => {}) }));
+vi.mock("$lib/webhooks.server.js", () => ({
+  sendGameRequestWebhook: vi.fn(async () => {}),
+  dispatchRequestEvent: vi.fn(async () => 0),
+}));
+vi.mock("$lib/auth.server.js", () => ({ getAuthenticatedUser }));
+// A game with no release date on record: queued as before, never held.
+vi.mock("$lib/gameCache.js", () => ({ getGameById: vi.fn(async () => null) }));
+vi.mock("$lib/requestPolicy.server.js", () => ({
+  findOpenDuplicate: vi.fn(async () => null),
+  mayAutoApprove,
+}));
+
+async function owner() {
+  vi.resetModules();
+  return import("$lib/requestStatus.server.js");
+}
+
+async function route() {
+  vi.resetModules();
+  return import("../../src/routes/api/request/+server.js");
+}
+
+/** The parameters of the one status statement the owner ran. */
+function statusParams() {
+  const call = query.mock.calls.find(([sql]) =>
+    sql.includes("INSERT INTO ggr_request_status_history"),
+  );
+  expect(call).toBeDefined();
+  return call[1];
+}
+
+describe("applyRequestStatusChange history", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("logs in the same statement, and only a real change", async () => {
+    const { applyRequestStatusChange } = await owner();
+
+    await applyRequestStatusChange({ id: "req-1", to: "approved" });
+
+    // The only write; the others are notify() reading supporters and the
+    // live event's NOTIFY.
+    const writes = query.mock.calls.filter(
+      ([sql]) =>
+        !sql.includes("FROM ggr_request_supporters") &&
+        !sql.includes("pg_notify"),
+    );
+    expect(writes).toHaveLength(1);
+    const [sql] = writes[0];
+    expect(sql).toContain("INSERT INTO ggr_request_status_history");
+    expect(sql).toContain("previous_status IS DISTINCT FROM status");
+  });
+
+  it("records who acted and through which door", async () => {
+    const { applyRequestStatusChange, REQUEST_SOURCES } = await owner();
+
+    await applyRequestStatusChange({
+      id: "req-1",
+      to: "approved",
+      actor: "admin",
+      actorId: 3,
+      source: REQUEST_SOURCES.RESCIND,
+    });
+
+    const params = statusParams();
+    expect(params[ACTOR_ID]).toBe(3);
+    expect(params[ACTOR_NAME]).toBe("admin");
+    expect(params[SOURCE]).toBe("rescind");
+  });
+
+  it("defaults to an admin with no local id", async () => {
+    const { applyRequestStatusChange } = await owner();
+
+    await applyRequestStatusChange({ id: "req-1", to: "approved" });
+
+    const params = statusParams();
+    expect(params[ACTOR_ID]).toBeNull();
+    expect(params[SOURCE]).toBe("admin");
+  });
+
+  it("records the notes this transition wrote", async () => {
+    const { applyRequestStatusChange } = await owner();
+
+    await applyRequestStatusChange({
+      id: "req-1",
+      to: "rejected",
+      adminNotes: "Not on any platform we serve",
+    });
+
+    expect(statusParams()[NOTES]).toBe("Not on any platform we serve");
+  });
+
+  it("records historyNotes when the caller wrote admin_notes itself", async () => {
+    // The edit form writes admin_notes in its own UPDATE and leaves adminNotes
+    // out so the owner does not write them twice. The entry still needs them.
+    const { applyRequestStatusChange } = await owner();
+
+    await applyRequestStatusChange({
+      id: "req-1",
+      to: "rejected",
+      historyNotes: "Duplicate of an older request",
+    });
+
+    const params = statusParams();
+    expect(params[NOTES]).toBe("Duplicate of an older request");
+    expect(params[3]).toBe(false);
+  });
+
+  it("never records notes the transition did not write", async () => {
+    const { applyRequestStatusChange } = await owner();
+
+    await applyRequestStatusChange({ id: "req-1", to: "approved" });
+
+    expect(statusParams()[NOTES]).toBeNull();
+  });
+
+  it("marks every row of a batch as bulk", async () => {
+    const { applyRequestStatusChangeBatch } = await owner();
+
+    await applyRequestStatusChangeBatch({
+      ids: ["req-1", "req-2"],
+      to: "approved",
+      actorId: 3,
+      tx: query,
+    });
+
+    const sources = query.mock.calls.map(([, params]) => params[SOURCE]);
+    expect(sources).toEqual(["bulk", "bulk"]);
+  });
+});
+
+describe("getRequestHistory", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    historyRows = [];
+  });
+
+  it("groups entries by request, in the order the database returned", async () => {
+    historyRows = [
+      { id: 1, request_id: "a", to_status: "pending" },
+      { id: 2, request_id: "b", to_status: "pending" },
+      { id: 3, request_id: "a", to_status: "approved" },
+    ];
+    const { getRequestHistory } = await owner();
+
+    const history = await getRequestHistory(["a", "b"]);
+
+    expect(history.get("a").map((e) => e.id)).toEqual([1, 3]);
+    expect(history.get("b").map((e) => e.id)).toEqual([2]);
+    const [sql] = query.mock.calls[0];
+    expect(sql).toContain("ORDER BY created_at, id");
+  });
+
+  it("does not query for an empty page", async () => {
+    const { getRequestHistory } = await owner();
+
+    const history = await getRequestHistory([]);
+
+    expect(history.size).toBe(0);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe("POST /api/request history", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mayAutoApprove.mockResolvedValue(false);
+    getAuthenticatedUser.mockResolvedValue({
+      auth_type: "api_key",
+      user_id: "12",
+      name: "alice",
+    });
+  });
+
+  async function submit() {
+    const { POST } = await route();
+    return POST({
+      cookies: {},
+      request: new Request("http://localhost/api/request", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ request_type: "game", title: "Chrono Trigger" }),
+      }),
+    });
+  }
+
+  /** The source bound to the creating INSERT. */
+  function creationSource() {
+    const call = query.mock.calls.find(([sql]) =>
+      sql.includes("INSERT INTO ggr_game_requests"),
+    );
+    expect(call[0]).toContain("INSERT INTO ggr_request_status_history");
+    return call[1][12];
+  }
+
+  it("starts the history in the statement that creates the request", async () => {
+    const response = await submit();
+
+    expect(response.status).toBe(201);
+    expect(creationSource()).toBe("api_key");
+  });
+
+  it("records an auto-approval as such, whatever the door", async () => {
+    mayAutoApprove.mockResolvedValue(true);
+
+    await submit();
+
+    expect(creationSource()).toBe("auto_approve");
+  });
+
+  it("records a signed-in submission", async () => {
+    getAuthenticatedUser.mockResolvedValue({
+      auth_type: "basic",
+      id: "12",
+      name: "alice",
+    });
+
+    await submit();
+
+    expect(creationSource()).toBe("submission");
+  });
+});
+
+describe("GET /api/request include_history", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getAuthenticatedUser.mockResolvedValue({
+      auth_type: "api_key",
+      user_id: "12",
+      name: "alice",
+    });
+    historyRows = [{ id: 1, request_id: "req-1", to_status: "pending" }];
+  });
+
+  async function list(search = "") {
+    const { GET } = await route();
+    const url = new URL(`http://localhost/api/request${search}`);
+    query.mockImplementationOnce(async () => ({
+      rows: [{ id: "12", username: "alice" }],
+    }));
+    query.mockImplementationOnce(async () => ({
+      rows: [{ id: "req-1", status: "pending", platforms: "[]" }],
+    }));
+    const response = await GET({
+      url,
+      cookies: {},
+      request: new Request(url),
+    });
+    return response.json();
+  }
+
+  it("leaves the history out unless asked", async () => {
+    const body = await list();
+
+    expect(body.requests[0]).not.toHaveProperty("history");
+    expect(
+      query.mock.calls.some(([sql]) =>
+        sql.includes("ggr_request_status_history"),
+      ),
+    ).toBe(false);
+  });
+
+  it("attaches each request's history when asked", async () => {
+    const body = await list("?include_history=true");
+
+    expect(body.requests[0].history).toEqual([
+      { id: 1, request_id: "req-1", to_status: "pending" },
+    ]);
+  });
+});
@@ -53,6 +53,7 @@ const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
 describe("applyRequestStatusChange", () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    query.mockReset();
     query.mockResolvedValue({ rows: [ROW] });
   });
 
@@ -143,6 +144,76 @@ describe("applyRequestStatusChange", () => {
     );
   });
 
+  it("names the request's supporters in the notification", async () => {
+    query.mockImplementation(async (sql) =>
+      sql.includes("FROM ggr_request_supporters")
+        ? { rows: [{ request_id: "req-1", user_id: 5, user_name: "bob" }] }
+        : { rows: [ROW] },
+    );
+    const { applyRequestStatusChange } = await freshModule();
+
+    await applyRequestStatusChange({ id: "req-1", to: "approved" });
+    await settle();
+
+    expect(sendRequestStatusNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ supporters: ["bob"] }),
+    );
+  });
+
+  it("tells every supporter of the change, not only the requester", async () => {
+    query.mockImplementation(async (sql) => {
+      if (sql.includes("FROM ggr_request_supporters")) {
+        return {
+          rows: [
+            { request_id: "req-1", user_id: 5, user_name: "bob" },
+            { request_id: "req-1", user_id: 6, user_name: "carol" },
+          ],
+        };
+      }
+      if (
+        sql.includes("INSERT INTO ggr_user_notifications") ||
+        sql.includes("ggr_user_notification_settings") ||
+        sql.includes("ggr_system_settings") ||
+        sql.includes("FROM ggr_users")
+      ) {
+        return { rows: [] };
+      }
+      return { rows: [ROW] };
+    });
+    const { applyRequestStatusChange } = await freshModule();
+
+    await applyRequestStatusChange({ id: "req-1", to: "approved" });
+    await vi.waitFor(() =>
+      expect(
+        query.mock.calls.filter(([sql]) =>
+          sql.includes("INSERT INTO ggr_user_notifications"),
+        ),
+      ).toHaveLength(3),
+    );
+
+    const told = query.mock.calls
+      .filter(([sql]) => sql.includes("INSERT INTO ggr_user_notifications"))
+      .map(([, params]) => params[0]);
+    expect(told).toEqual([12, 5, 6]);
+  });
+
+  it("still notifies when the supporters cannot be read", async () => {
+    query.mockImplementation(async (sql) => {
+      if (sql.includes("FROM ggr_request_supporters")) {
+        throw new Error("relation does not exist");
+      }
+      return { rows: [ROW] };
+    });
+    const { applyRequestStatusChange } = await freshModule();
+
+    await applyRequestStatusChange({ id: "req-1", to: "approved" });
+    await settle();
+
+    expect(sendRequestStatusNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ supporters: [] }),
+    );
+  });
+
   it("does not fail the transition when notifying throws", async () => {
     sendRequestStatusNotification.mockRejectedValueOnce(
       new Error("gotify down"),
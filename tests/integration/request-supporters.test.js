@@ -0,0 +1,174 @@
+/**
+ * Regression tests for "me too" supporters on open requests.
+ *
+ * The duplicate guard still turns a second request away with 409; what changed
+ * is that the 409 now says whether the caller may back the existing request,
+ * and /api/request/support is how they do it. The rules worth pinning are the
+ * refusals -- a requester backing their own request, or anyone backing one
+ * that is no longer open -- that the parameters of the single
+ * INSERT ... SELECT are typed, which Postgres needs to accept them, and that
+ * an id that is not a UUID is refused before it reaches a uuid comparison,
+ * where it would be a database error and a 500.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+let target;
+let supporterRows;
+const query = vi.fn(async (sql) => {
+  if (sql.includes("INSERT INTO ggr_request_supporters")) {
+    if (!target) return { rows: [] };
+    const open = ["pending", "approved"].includes(target.status);
+    const own = String(target.user_id) === "12";
+    return {
+      rows: [
+        {
+          status: target.status,
+          user_id: target.user_id,
+          added: open && !own,
+        },
+      ],
+    };
+  }
+  if (sql.includes("DELETE FROM ggr_request_supporters")) {
+    return { rows: [], rowCount: 1 };
+  }
+  if (sql.includes("FROM ggr_request_supporters")) {
+    return { rows: supporterRows };
+  }
+  return { rows: [] };
+});
+
+const getAuthenticatedUser = vi.fn();
+
+vi.mock("$lib/database.js", () => ({ query }));
+vi.mock("$lib/requestPolicy.server.js", () => ({
+  OPEN_STATUSES: ["pending", "approved"],
+}));
+vi.mock("$lib/auth.server.js", () => ({ getAuthenticatedUser }));
+vi.mock("$lib/getUserId.js", () => ({
+  getUserIdFromAuth: vi.fn(async (user) => user.user_id),
+}));
+
+const REQUEST_ID = "1f5fc8ab-0000-4000-8000-000000000000";
+
+async function call(method, requestId = REQUEST_ID) {
+  vi.resetModules();
+  const route = await import("../../src/routes/api/request/support/+server.js");
+  return route[method]({
+    cookies: {},
+    request: new Request("http://localhost/api/request/support", {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ request_id: requestId }),
+    }),
+  });
+}
+
+describe("/api/request/support", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    target = { status: "pending", user_id: "7" };
+    supporterRows = [
+      {
+        request_id: REQUEST_ID,
+        user_id: 12,
+        user_name: "alice",
+        created_at: "t",
+      },
+    ];
+    getAuthenticatedUser.mockResolvedValue({
+      auth_type: "api_key",
+      user_id: 12,
+      name: "alice",
+    });
+  });
+
+  it("adds the caller to someone else's open request", async () => {
+    const response = await call("POST");
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.added).toBe(true);
+    expect(body.supporter_count).toBe(1);
+    expect(body.supporters[0].user_name).toBe("alice");
+  });
+
+  it("types the INSERT ... SELECT parameters", async () => {
+    await call("POST");
+
+    const [sql, params] = query.mock.calls.find(([text]) =>
+      text.includes("INSERT INTO ggr_request_supporters"),
+    );
+    expect(sql).toContain("$2::int, $3::text");
+    expect(params).toEqual([REQUEST_ID, 12, "alice", ["pending", "approved"]]);
+  });
+
+  it("refuses the requester backing their own request", async () => {
+    target = { status: "pending", user_id: "12" };
+
+    const response = await call("POST");
+
+    expect(response.status).toBe(409);
+    expect((await response.json()).error).toMatch(/you made this request/i);
+  });
+
+  it("refuses a request that is no longer open", async () => {
+    target = { status: "fulfilled", user_id: "7" };
+
+    const response = await call("POST");
+
+    expect(response.status).toBe(409);
+  });
+
+  it("answers 404 for a request that does not exist", async () => {
+    target = null;
+
+    const response = await call("POST");
+
+    expect(response.status).toBe(404);
+  });
+
+  it("lets a supporter withdraw", async () => {
+    supporterRows = [];
+
+    const response = await call("DELETE");
+
+    expect(response.status).toBe(200);
+    const body = await response.json();
+    expect(body.removed).toBe(true);
+    expect(body.supporter_count).toBe(0);
+    expect(query).toHaveBeenCalledWith(
+      expect.stringContaining("DELETE FROM ggr_request_supporters"),
+      [REQUEST_ID, 12],
+    );
+  });
+
+  it("answers 400 for a request id that is not a UUID, asking nothing of the database", async () => {
+    for (const method of ["POST", "DELETE"]) {
+      await expect(call(method, "42; DROP TABLE")).rejects.toMatchObject({
+        status: 400,
+      });
+    }
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it("reports a malformed id to other callers as no such request", async () => {
+    const { addSupporter, removeSupporter } = await import(
+      "$lib/requestSupport.server.js"
+    );
+
+    expect(await addSupporter({ requestId: "req-1", userId: 12 })).toEqual({
+      added: false,
+      reason: "not_found",
+    });
+    expect(await removeSupporter({ requestId: 7, userId: 12 })).toBe(false);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it("requires authentication", async () => {
+    getAuthenticatedUser.mockResolvedValue(null);
+
+    await expect(call("POST")).rejects.toMatchObject({ status: 401 });
+  });
+});
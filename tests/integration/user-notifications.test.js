@@ -0,0 +1,501 @@
+/**
+ * Regression tests for per-user notifications.
+ *
+ * A request's requester and supporters hear about it on the channels each
+ * picked, and whoever caused the event does not. What is pinned: the in-app
+ * default for a user who never chose, and the email one once SMTP is set up; the link each recipient gets, since a
+ * supporter has no /profile entry for someone else's request; a personal ntfy
+ * topic going through the delivery queue without the topic in the stored
+ * delivery; a channel picked but no longer set up being skipped; settings that
+ * would fail on every event being refused on save; a personal Discord webhook
+ * that is not Discord's, or an ntfy server that is not on the public internet,
+ * being refused on save and again when sending; and the queued delivery
+ * reading the user's config when it sends.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+let supporters;
+let userSettings;
+let systemSettings = {};
+let accounts = [];
+const query = vi.fn(async (sql, params) => {
+  if (sql.includes("FROM ggr_system_settings")) {
+    return {
+      rows: Object.entries(systemSettings).map(([key, value]) => ({
+        key,
+        value,
+      })),
+    };
+  }
+  if (sql.includes("FROM ggr_users")) {
+    return { rows: accounts.filter(({ id }) => params[0].includes(id)) };
+  }
+  if (sql.includes("FROM ggr_request_supporters")) {
+    return { rows: supporters };
+  }
+  if (sql.includes("FROM ggr_user_notification_settings")) {
+    const ids = Array.isArray(params[0]) ? params[0] : [params[0]];
+    return {
+      rows: ids
+        .filter((id) => id in userSettings)
+        .map((id) => ({ user_id: id, ...userSettings[id] })),
+    };
+  }
+  return { rows: [], rowCount: 0 };
+});
+
+const enqueueDelivery = vi.fn(async (delivery) => ({ id: "1", ...delivery }));
+const lookup = vi.fn(async () => [{ address: "203.0.113.7", family: 4 }]);
+
+vi.mock("$lib/database.js", () => ({ query }));
+vi.mock("$lib/deliveryQueue.server.js", () => ({ enqueueDelivery }));
+vi.mock("node:dns/promises", () => ({ lookup, default: { lookup } }));
+
+const fetchMock = vi.fn();
+vi.stubGlobal("fetch", fetchMock);
+
+async function userNotifications() {
+  vi.resetModules();
+  return import("$lib/userNotifications.server.js");
+}
+
+const REQUEST = {
+  id: "9b2f6a52-0000-4000-8000-000000000001",
+  title: "Chrono Trigger",
+  user_id: "12",
+  igdb_id: "1234",
+};
+
+/** The in-app rows written, as [user_id, event, title, body, link, ...]. */
+function inAppRows() {
+  return query.mock.calls
+    .filter(([sql]) => sql.includes("INSERT INTO ggr_user_notifications"))
+    .map(([, params]) => params);
+}
+
+describe("notifyRequestParticipants", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    supporters = [];
+    userSettings = {};
+    systemSettings = {};
+    accounts = [];
+  });
+
+  it("tells the requester and each supporter in-app, but not the actor", async () => {
+    supporters = [
+      { request_id: REQUEST.id, user_id: 20 },
+      { request_id: REQUEST.id, user_id: 30 },
+    ];
+    const { notifyRequestParticipants } = await userNotifications();
+
+    const notified = await notifyRequestParticipants({
+      event: "request.approved",
+      request: REQUEST,
+      actorId: 30,
+    });
+
+    expect(notified).toBe(2);
+    expect(inAppRows().map(([userId]) => userId)).toEqual([12, 20]);
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+  });
+
+  it("links the requester to their request and a supporter to the game", async () => {
+    supporters = [{ request_id: REQUEST.id, user_id: 20 }];
+    const { notifyRequestParticipants } = await userNotifications();
+
+    await notifyRequestParticipants({
+      event: "request.fulfilled",
+      request: REQUEST,
+    });
+
+    const links = Object.fromEntries(
+      inAppRows().map(([userId, , , , link]) => [userId, link]),
+    );
+    expect(links).toEqual({
+      12: `/profile?tab=requests#request-${REQUEST.id}`,
+      20: "/game/1234",
+    });
+  });
+
+  it("carries the notes a rejection wrote", async () => {
+    const { notifyRequestParticipants } = await userNotifications();
+
+    await notifyRequestParticipants({
+      event: "request.rejected",
+      request: REQUEST,
+      notes: "Not available on any platform we support",
+    });
+
+    const [[, event, title, body]] = inAppRows();
+    expect(event).toBe("request.rejected");
+    expect(title).toContain("rejected");
+    expect(body).toContain('"Chrono Trigger"');
+    expect(body).toContain("Not available on any platform we support");
+  });
+
+  it("queues a personal ntfy delivery without the topic in it", async () => {
+    userSettings = {
+      12: {
+        events: { "request.approved": ["ntfy"] },
+        ntfy_topic: "alice-secret-topic",
+        ntfy_token: "tk_alice",
+      },
+    };
+    const { notifyRequestParticipants } = await userNotifications();
+
+    await notifyRequestParticipants({
+      event: "request.approved",
+      request: REQUEST,
+    });
+
+    expect(inAppRows()).toHaveLength(0);
+    expect(enqueueDelivery).toHaveBeenCalledTimes(1);
+    const [[delivery]] = enqueueDelivery.mock.calls;
+    expect(delivery).toMatchObject({
+      channel: "user_ntfy",
+      event: "request.approved",
+      targetUrl: "https://ntfy.sh",
+      payload: { user_id: 12 },
+    });
+    const stored = JSON.stringify(delivery);
+    expect(stored).not.toContain("alice-secret-topic");
+    expect(stored).not.toContain("tk_alice");
+  });
+
+  it("emails the events that default to email once SMTP is set up", async () => {
+    systemSettings = {
+      "smtp.host": "mailhog",
+      "smtp.port": "1025",
+      "smtp.security": "none",
+      "smtp.from": "Requests <requests@example.org>",
+    };
+    accounts = [
+      { id: 12, email: "alice@example.org", name: "Alice" },
+      { id: 20, email: "bob@example.org", name: "Bob" },
+    ];
+    supporters = [{ request_id: REQUEST.id, user_id: 20 }];
+    userSettings = { 20: { events: { "request.rejected": ["in_app"] } } };
+    const { notifyRequestParticipants } = await userNotifications();
+
+    await notifyRequestParticipants({
+      event: "request.rejected",
+      request: REQUEST,
+      notes: "Not available on any platform we support",
+    });
+
+    // Bob chose in-app only for rejections; Alice never chose.
+    expect(inAppRows().map(([userId]) => userId)).toEqual([12, 20]);
+    expect(enqueueDelivery).toHaveBeenCalledTimes(1);
+    const [[delivery]] = enqueueDelivery.mock.calls;
+    expect(delivery).toMatchObject({
+      channel: "email",
+      event: "request.rejected",
+      targetUrl: "mailto:alice@example.org",
+      payload: { to: "alice@example.org" },
+    });
+    expect(delivery.payload.subject).toContain("Chrono Trigger");
+    expect(delivery.payload.text).toContain("Hi Alice,");
+    expect(delivery.payload.text).toContain(
+      "Not available on any platform we support",
+    );
+  });
+
+  it("sends the requester a receipt for their own request, by email only", async () => {
+    systemSettings = {
+      "smtp.host": "mailhog",
+      "smtp.security": "none",
+      "smtp.from": "requests@example.org",
+    };
+    accounts = [{ id: 12, email: "alice@example.org", name: "Alice" }];
+    const { notifyRequestParticipants } = await userNotifications();
+
+    expect(
+      await notifyRequestParticipants({
+        event: "request.submitted",
+        request: REQUEST,
+      }),
+    ).toBe(1);
+
+    expect(inAppRows()).toHaveLength(0);
+    expect(enqueueDelivery.mock.calls[0][0]).toMatchObject({
+      channel: "email",
+      event: "request.submitted",
+      payload: { to: "alice@example.org" },
+    });
+  });
+
+  it("skips email while SMTP is not set up", async () => {
+    accounts = [{ id: 12, email: "alice@example.org", name: "Alice" }];
+    const { notifyRequestParticipants } = await userNotifications();
+
+    expect(
+      await notifyRequestParticipants({
+        event: "request.submitted",
+        request: REQUEST,
+      }),
+    ).toBe(0);
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+  });
+
+  it("sends nothing for an event turned off, and skips a channel no longer set up", async () => {
+    userSettings = {
+      12: {
+        events: {
+          "request.approved": [],
+          "request.fulfilled": ["discord"],
+        },
+      },
+    };
+    const { notifyRequestParticipants } = await userNotifications();
+
+    expect(
+      await notifyRequestParticipants({
+        event: "request.approved",
+        request: REQUEST,
+      }),
+    ).toBe(0);
+    expect(
+      await notifyRequestParticipants({
+        event: "request.fulfilled",
+        request: REQUEST,
+      }),
+    ).toBe(0);
+
+    expect(inAppRows()).toHaveLength(0);
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+  });
+});
+
+describe("notifyAssignee", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    userSettings = {};
+    systemSettings = {};
+  });
+
+  it("links one request to its page, and a bulk assignment to the queue", async () => {
+    const { notifyAssignee } = await userNotifications();
+
+    await notifyAssignee({
+      requests: [REQUEST],
+      assigneeId: 8,
+      actor: "Blair",
+    });
+    await notifyAssignee({
+      requests: [REQUEST, { ...REQUEST, id: "2", title: "Okami" }],
+      assigneeId: 8,
+    });
+
+    const [single, bulk] = inAppRows();
+    expect(single[0]).toBe(8);
+    expect(single[1]).toBe("request.assigned");
+    expect(single[3]).toContain("Assigned by Blair.");
+    expect(single[4]).toBe(`/admin/requests/${REQUEST.id}`);
+    expect(single[5]).toBe(REQUEST.id);
+
+    // One notification for the batch, not one per request.
+    expect(inAppRows()).toHaveLength(2);
+    expect(bulk[3]).toContain(
+      '2 requests were assigned to you: "Chrono Trigger", "Okami"',
+    );
+    expect(bulk[4]).toBe("/admin/requests?assigned=me");
+    expect(bulk[5]).toBeNull();
+  });
+});
+
+describe("notifyMerged", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    userSettings = {};
+    systemSettings = {};
+  });
+
+  it("tells everyone behind the duplicates once, as the survivor's supporters", async () => {
+    supporters = [
+      { request_id: "d1", user_id: 13 },
+      { request_id: "d2", user_id: 40 },
+      { request_id: "d2", user_id: 50 },
+    ];
+    const { notifyMerged } = await userNotifications();
+
+    const notified = await notifyMerged({
+      duplicates: [
+        { id: "d1", title: "Chrono Trigger DS", user_id: "12" },
+        { id: "d2", title: "Chrono Triger", user_id: "13" },
+      ],
+      survivor: { ...REQUEST, user_id: "40" },
+      actorId: 50,
+    });
+
+    // 13 made one duplicate and supported the other; 40 owns the survivor
+    // and 50 did the merge.
+    expect(notified).toBe(2);
+    const rows = inAppRows();
+    expect(rows.map(([userId]) => userId)).toEqual([12, 13]);
+    expect(rows[0][1]).toBe("request.merged");
+    expect(rows[0][3]).toContain('"Chrono Trigger", which you now support');
+    expect(rows[0][4]).toBe("/game/1234");
+    expect(rows[0][5]).toBe(REQUEST.id);
+  });
+});
+
+describe("validateUserNotificationSettings", () => {
+  it("refuses a channel picked without the details it needs", async () => {
+    const { validateUserNotificationSettings } = await userNotifications();
+
+    await expect(
+      validateUserNotificationSettings({
+        events: { "request.approved": ["in_app", "ntfy"] },
+      }),
+    ).rejects.toThrow(/ntfy topic/);
+    await expect(
+      validateUserNotificationSettings({
+        events: { "request.approved": ["discord"] },
+        discord_webhook_url: "not a url",
+      }),
+    ).rejects.toThrow(/Discord webhook URL/);
+  });
+
+  it("refuses unknown events and drops channels that do not exist", async () => {
+    const { validateUserNotificationSettings } = await userNotifications();
+
+    await expect(
+      validateUserNotificationSettings({ events: { "user.registered": [] } }),
+    ).rejects.toThrow(/Unknown event/);
+
+    const settings = await validateUserNotificationSettings({
+      events: { "request.comment": ["discord", "sms", "email", "in_app"] },
+      discord_webhook_url: " https://discord.com/api/webhooks/1/abc ",
+    });
+    expect(settings.events).toEqual({
+      "request.comment": ["in_app", "email", "discord"],
+    });
+    expect(settings.discord_webhook_url).toBe(
+      "https://discord.com/api/webhooks/1/abc",
+    );
+  });
+
+  it("refuses a Discord webhook that is not on Discord", async () => {
+    const { validateUserNotificationSettings } = await userNotifications();
+
+    for (const url of [
+      "http://localhost:8080/api/webhooks/1/abc",
+      "http://169.254.169.254/latest/meta-data/",
+      "https://hooks.example.org/api/webhooks/1/abc",
+    ]) {
+      await expect(
+        validateUserNotificationSettings({
+          events: { "request.approved": ["discord"] },
+          discord_webhook_url: url,
+        }),
+      ).rejects.toThrow(/discord\.com\/api\/webhooks/);
+    }
+  });
+
+  it("refuses an ntfy server on a local or private address", async () => {
+    const { validateUserNotificationSettings } = await userNotifications();
+    const ntfy = (server) =>
+      validateUserNotificationSettings({
+        events: { "request.approved": ["ntfy"] },
+        ntfy_topic: "alice",
+        ntfy_server_url: server,
+      });
+
+    await expect(ntfy("http://127.0.0.1:2586")).rejects.toThrow(
+      /public internet/,
+    );
+    await expect(ntfy("http://[::1]")).rejects.toThrow(/public internet/);
+    expect(lookup).not.toHaveBeenCalled();
+
+    // A name is judged by what it resolves to.
+    lookup.mockResolvedValueOnce([{ address: "10.0.0.8", family: 4 }]);
+    await expect(ntfy("https://ntfy.internal.example")).rejects.toThrow(
+      /public internet/,
+    );
+    await expect(ntfy("https://push.example.org")).resolves.toMatchObject({
+      ntfy_server_url: "https://push.example.org",
+    });
+  });
+});
+
+describe("deliverQueuedUserNotification", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    userSettings = {};
+  });
+
+  it("sends with the user's config as it is now", async () => {
+    userSettings = {
+      12: {
+        events: { "request.approved": ["ntfy"] },
+        ntfy_server_url: "https://push.example.org",
+        ntfy_topic: "alice-new-topic",
+      },
+    };
+    fetchMock.mockResolvedValue(new Response("{}", { status: 200 }));
+    const { deliverQueuedUserNotification } = await userNotifications();
+
+    const response = await deliverQueuedUserNotification({
+      id: "7",
+      channel: "user_ntfy",
+      payload: {
+        user_id: 12,
+        title: "✅ Request approved",
+        message: '"Chrono Trigger" was approved.',
+        priority: 5,
+      },
+    });
+
+    expect(response.status).toBe(200);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://push.example.org");
+    expect(JSON.parse(init.body)).toMatchObject({
+      topic: "alice-new-topic",
+      title: "✅ Request approved",
+    });
+    // A redirect would take the POST somewhere nobody checked.
+    expect(init.redirect).toBe("manual");
+  });
+
+  it("refuses to send where the user's destination now leads inside", async () => {
+    userSettings = {
+      12: {
+        events: { "request.approved": ["ntfy", "discord"] },
+        ntfy_server_url: "https://push.example.org",
+        ntfy_topic: "alice",
+        // Saved before Discord webhooks were checked.
+        discord_webhook_url: "http://127.0.0.1:9000/api/webhooks/1/abc",
+      },
+    };
+    lookup.mockResolvedValueOnce([{ address: "169.254.169.254", family: 4 }]);
+    const { deliverQueuedUserNotification } = await userNotifications();
+    const payload = { user_id: 12, title: "t", message: "m", priority: 5 };
+
+    await expect(
+      deliverQueuedUserNotification({ id: "9", channel: "user_ntfy", payload }),
+    ).rejects.toThrow(/public internet/);
+    await expect(
+      deliverQueuedUserNotification({
+        id: "10",
+        channel: "user_discord",
+        payload,
+      }),
+    ).rejects.toThrow(/discord\.com/);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("fails the delivery when the user has since removed the channel", async () => {
+    const { deliverQueuedUserNotification } = await userNotifications();
+
+    await expect(
+      deliverQueuedUserNotification({
+        id: "8",
+        channel: "user_discord",
+        payload: { user_id: 12, title: "t", message: "m", priority: 5 },
+      }),
+    ).rejects.toThrow(/no longer set up/);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
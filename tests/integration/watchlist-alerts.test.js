@@ -0,0 +1,139 @@
+/**
+ * Regression tests for watchlist alerts.
+ *
+ * A watcher hears once that a game landed in the library, and once that an
+ * unreleased one came out. "Once" is the claim: only the watches the UPDATE
+ * returned are told, so a watch another worker claimed first is not told
+ * again. What is pinned besides: one notification per watcher however many
+ * platforms the game arrived on; the release check leaving out a game watched
+ * after it came out and a game already in the library; each alert linking
+ * where its reader acts on it; a user's choice to turn one off holding; and a
+ * failed claim never failing the sync batch that asked for it.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+let claimed;
+let userSettings;
+const query = vi.fn(async (sql, params) => {
+  if (sql.includes("UPDATE ggr_user_watchlist")) return { rows: claimed };
+  if (sql.includes("FROM ggr_user_notification_settings")) {
+    return {
+      rows: params[0]
+        .filter((id) => id in userSettings)
+        .map((id) => ({ user_id: id, ...userSettings[id] })),
+    };
+  }
+  return { rows: [], rowCount: 0 };
+});
+
+vi.mock("$lib/database.js", () => ({ query }));
+vi.mock("$lib/deliveryQueue.server.js", () => ({ enqueueDelivery: vi.fn() }));
+
+async function watchlistAlerts() {
+  vi.resetModules();
+  return import("$lib/watchlistAlerts.server.js");
+}
+
+/** The in-app rows written, as [user_id, event, title, body, link, ...]. */
+function inAppRows() {
+  return query.mock.calls
+    .filter(([sql]) => sql.includes("INSERT INTO ggr_user_notifications"))
+    .map(([, params]) => params);
+}
+
+function claimStatement() {
+  return query.mock.calls.find(([sql]) =>
+    sql.includes("UPDATE ggr_user_watchlist"),
+  );
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  claimed = [];
+  userSettings = {};
+});
+
+describe("alertWatchersOfEntries", () => {
+  it("tells each claimed watcher once per game, linking to the game", async () => {
+    claimed = [
+      { user_id: "12", igdb_id: "1027", title: null },
+      { user_id: "13", igdb_id: "1027", title: null },
+    ];
+    const { alertWatchersOfEntries } = await watchlistAlerts();
+
+    const alerted = await alertWatchersOfEntries([
+      { igdb_id: "1027", name: "Ōkami HD", platform_name: "PS4" },
+      { igdb_id: "1027", name: "Ōkami HD", platform_name: "Switch" },
+      { igdb_id: null, name: "Homebrew" },
+    ]);
+
+    expect(alerted).toBe(2);
+    const [sql, [igdbIds]] = claimStatement();
+    expect(sql).toContain("library_alerted_at IS NULL");
+    expect(igdbIds).toEqual(["1027"]);
+
+    const rows = inAppRows();
+    expect(rows.map(([userId]) => userId)).toEqual([12, 13]);
+    const [, event, , body, link, requestId, igdbId] = rows[0];
+    expect(event).toBe("watchlist.in_library");
+    expect(body).toContain('"Ōkami HD"');
+    expect(link).toBe("/game/1027");
+    expect(requestId).toBeNull();
+    expect(igdbId).toBe("1027");
+  });
+
+  it("sends nothing for watches another worker claimed, or entries without an IGDB id", async () => {
+    const { alertWatchersOfEntries } = await watchlistAlerts();
+
+    expect(await alertWatchersOfEntries([{ igdb_id: "1027" }])).toBe(0);
+    expect(inAppRows()).toHaveLength(0);
+
+    query.mockClear();
+    expect(await alertWatchersOfEntries([{ igdb_id: null }])).toBe(0);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it("never throws when the claim does", async () => {
+    const { alertWatchersOfEntries } = await watchlistAlerts();
+    query.mockRejectedValueOnce(new Error("connection refused"));
+
+    await expect(alertWatchersOfEntries([{ igdb_id: "1027" }])).resolves.toBe(
+      0,
+    );
+  });
+});
+
+describe("alertReleasedGames", () => {
+  it("announces only releases after the watch, of games not in the library", async () => {
+    claimed = [
+      { user_id: "12", igdb_id: "2048", title: "Hollow Knight: Silksong" },
+    ];
+    const { alertReleasedGames } = await watchlistAlerts();
+
+    expect(await alertReleasedGames()).toBe(1);
+
+    const [sql] = claimStatement();
+    expect(sql).toContain("release_alerted_at IS NULL");
+    expect(sql).toContain("g.release_date <= NOW()");
+    expect(sql).toContain("g.release_date > w.added_at");
+    expect(sql).toMatch(/NOT EXISTS \(\s*SELECT 1\s*FROM ggr_library_entries/);
+    // Held through a match is held.
+    expect(sql).toContain("e.igdb_id IS NULL AND e.match_igdb_id = w.igdb_id");
+
+    const [[userId, event, , , link]] = inAppRows();
+    expect(userId).toBe(12);
+    expect(event).toBe("watchlist.released");
+    // Where the Request button is.
+    expect(link).toBe("/profile?tab=watchlist");
+  });
+
+  it("keeps to a user's choice to turn the alert off", async () => {
+    claimed = [{ user_id: "12", igdb_id: "2048", title: "Silksong" }];
+    userSettings = { 12: { events: { "watchlist.released": [] } } };
+    const { alertReleasedGames } = await watchlistAlerts();
+
+    expect(await alertReleasedGames()).toBe(0);
+    expect(inAppRows()).toHaveLength(0);
+  });
+});
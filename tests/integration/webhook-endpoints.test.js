@@ -0,0 +1,341 @@
+/**
+ * Regression tests for admin-managed webhook endpoints.
+ *
+ * Each endpoint hears only the events it subscribed to, and only while
+ * enabled -- that filter is the query, so its shape is pinned here. Endpoints
+ * are independent: each gets its own queued delivery, so one that cannot be
+ * queued or is down costs the others nothing. The queued delivery reads the
+ * endpoint when it is sent, so a removed or disabled endpoint fails the
+ * attempt rather than posting to where it used to point. Deliveries are signed
+ * with the endpoint's secret, never carry it, and keep one delivery id across
+ * retries, which is what a receiver deduplicates on. And validation refuses
+ * what would fail on every delivery, rather than storing it.
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+let endpointRows;
+const query = vi.fn(async (sql) => {
+  if (sql.includes("FROM ggr_webhook_endpoints")) return { rows: endpointRows };
+  return { rows: [] };
+});
+
+const enqueueDelivery = vi.fn(async (delivery) => ({ id: "1", ...delivery }));
+
+vi.mock("$lib/database.js", () => ({ query }));
+vi.mock("$lib/deliveryQueue.server.js", () => ({ enqueueDelivery }));
+
+const fetchMock = vi.fn();
+vi.stubGlobal("fetch", fetchMock);
+
+async function webhooks() {
+  vi.resetModules();
+  return import("$lib/webhooks.server.js");
+}
+
+const endpoint = (id, fields = {}) => ({
+  id,
+  name: `hook-${id}`,
+  url: `https://hooks.example/${id}`,
+  secret: null,
+  events: ["request.created"],
+  enabled: true,
+  ...fields,
+});
+
+const REQUEST = {
+  id: "req-1",
+  user_id: "12",
+  user_name: "alice",
+  title: "Chrono Trigger",
+  request_type: "game",
+  priority: "high",
+  igdb_id: "1234",
+  platforms: ["SNES"],
+  status: "rejected",
+};
+
+describe("dispatchWebhookEvent", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    endpointRows = [endpoint(1), endpoint(2, { secret: "s3cret" })];
+    fetchMock.mockResolvedValue(new Response("{}", { status: 200 }));
+  });
+
+  it("asks only for enabled endpoints subscribed to the event", async () => {
+    const { dispatchWebhookEvent } = await webhooks();
+
+    await dispatchWebhookEvent("request.created", { title: "t", message: "m" });
+
+    const [sql, params] = query.mock.calls[0];
+    expect(sql).toContain("WHERE enabled AND events @> ARRAY[$1::text]");
+    expect(params).toEqual(["request.created"]);
+  });
+
+  it("queues one delivery per endpoint, without its secret", async () => {
+    const { dispatchWebhookEvent } = await webhooks();
+
+    const queued = await dispatchWebhookEvent("request.created", {
+      title: "t",
+      message: "m",
+    });
+
+    expect(queued).toBe(2);
+    expect(enqueueDelivery.mock.calls[1][0]).toMatchObject({
+      channel: "webhook",
+      event: "request.created",
+      endpointId: 2,
+      targetUrl: "https://hooks.example/2",
+    });
+    const { payload } = enqueueDelivery.mock.calls[1][0];
+    expect(payload.type).toBe("request.created");
+    expect(JSON.stringify(payload)).not.toContain("s3cret");
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("keeps queueing when one endpoint cannot be queued", async () => {
+    enqueueDelivery.mockRejectedValueOnce(new Error("connection lost"));
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const { dispatchWebhookEvent } = await webhooks();
+
+    const queued = await dispatchWebhookEvent("request.created", {
+      title: "t",
+      message: "m",
+    });
+
+    expect(queued).toBe(1);
+    expect(enqueueDelivery).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+
+  it("posts nothing when no endpoint is subscribed", async () => {
+    endpointRows = [];
+    const { dispatchWebhookEvent } = await webhooks();
+
+    expect(
+      await dispatchWebhookEvent("user.registered", {
+        title: "t",
+        message: "m",
+      }),
+    ).toBe(0);
+    expect(enqueueDelivery).not.toHaveBeenCalled();
+  });
+});
+
+describe("deliverQueuedWebhook", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetchMock.mockResolvedValue(new Response("{}", { status: 200 }));
+  });
+
+  const delivery = {
+    id: "9",
+    delivery_uuid: "0b8f1a52-3c55-4c7e-9a51-9d1c6f0f2d10",
+    channel: "webhook",
+    endpoint_id: 2,
+    payload: { type: "request.created", data: {} },
+  };
+
+  it("posts to the endpoint as it is now, signed with its secret", async () => {
+    endpointRows = [
+      endpoint(2, { url: "https://moved.example/2", secret: "s3cret" }),
+    ];
+    const { deliverQueuedWebhook, verifyWebhookSignature } = await webhooks();
+
+    const response = await deliverQueuedWebhook(delivery);
+
+    expect(response.status).toBe(200);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://moved.example/2");
+    expect(init.headers["X-Webhook-Event"]).toBe("request.created");
+    expect(init.headers["X-Webhook-Delivery"]).toBe(delivery.delivery_uuid);
+    expect(JSON.parse(init.body)).toEqual(delivery.payload);
+    expect(
+      verifyWebhookSignature({
+        secret: "s3cret",
+        body: init.body,
+        timestamp: init.headers["X-Webhook-Timestamp"],
+        signature: init.headers["X-Webhook-Signature"],
+      }),
+    ).toBe(true);
+    // Signed, not sent.
+    expect(JSON.stringify(init.headers)).not.toContain("s3cret");
+  });
+
+  it("sends no signature when no secret is configured", async () => {
+    endpointRows = [endpoint(2)];
+    const { deliverQueuedWebhook } = await webhooks();
+
+    await deliverQueuedWebhook(delivery);
+
+    // No secret configured, no header -- not an empty one.
+    const { headers } = fetchMock.mock.calls[0][1];
+    expect(headers).not.toHaveProperty("X-Webhook-Signature");
+    expect(headers["X-Webhook-Delivery"]).toBe(delivery.delivery_uuid);
+  });
+
+  it("sends a retry with the same delivery id and a fresh signature", async () => {
+    endpointRows = [endpoint(2, { secret: "s3cret" })];
+    const { deliverQueuedWebhook } = await webhooks();
+
+    vi.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    await deliverQueuedWebhook(delivery);
+    vi.setSystemTime(new Date("2026-01-01T02:00:00Z"));
+    await deliverQueuedWebhook({ ...delivery, attempts: 2 });
+    vi.useRealTimers();
+
+    const [first, retry] = fetchMock.mock.calls.map(([, init]) => init.headers);
+    expect(retry["X-Webhook-Delivery"]).toBe(first["X-Webhook-Delivery"]);
+    expect(Number(retry["X-Webhook-Timestamp"])).toBe(
+      Number(first["X-Webhook-Timestamp"]) + 2 * 60 * 60,
+    );
+    expect(retry["X-Webhook-Signature"]).not.toBe(first["X-Webhook-Signature"]);
+  });
+
+  it("answers a receiver's error with its status instead of throwing", async () => {
+    endpointRows = [endpoint(2)];
+    fetchMock.mockResolvedValue(new Response("nope", { status: 500 }));
+    const { deliverQueuedWebhook } = await webhooks();
+
+    await expect(deliverQueuedWebhook(delivery)).resolves.toMatchObject({
+      status: 500,
+      body: "nope",
+    });
+  });
+
+  it("fails the attempt for an endpoint since disabled or removed", async () => {
+    const { deliverQueuedWebhook } = await webhooks();
+
+    endpointRows = [endpoint(2, { enabled: false })];
+    await expect(deliverQueuedWebhook(delivery)).rejects.toThrow(/disabled/);
+
+    endpointRows = [];
+    await expect(deliverQueuedWebhook(delivery)).rejects.toThrow(
+      /no longer exists/,
+    );
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("dispatchRequestEvent", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    endpointRows = [endpoint(1, { events: ["request.rejected"] })];
+    fetchMock.mockResolvedValue(new Response("{}", { status: 200 }));
+  });
+
+  it("carries the status the request left and the notes written", async () => {
+    const { dispatchRequestEvent } = await webhooks();
+
+    await dispatchRequestEvent("request.rejected", REQUEST, {
+      previousStatus: "pending",
+      notes: "Not on any platform we run",
+    });
+
+    const { payload } = enqueueDelivery.mock.calls[0][0];
+    expect(payload.type).toBe("request.rejected");
+    expect(payload.priority).toBe(8);
+    expect(payload.data).toMatchObject({
+      request_id: "req-1",
+      status: "rejected",
+      previous_status: "pending",
+      admin_notes: "Not on any platform we run",
+      platforms: ["SNES"],
+    });
+  });
+
+  it("marks an approval that is not the first", async () => {
+    endpointRows = [endpoint(1, { events: ["request.approved"] })];
+    const { dispatchRequestEvent } = await webhooks();
+
+    await dispatchRequestEvent(
+      "request.approved",
+      { ...REQUEST, status: "approved" },
+      { previousStatus: "fulfilled" },
+    );
+
+    const { payload } = enqueueDelivery.mock.calls[0][0];
+    expect(payload.data.redispatch).toBe(true);
+  });
+});
+
+describe("verifyWebhookSignature", () => {
+  const NOW = Date.parse("2026-01-01T00:00:00Z");
+  const timestamp = String(NOW / 1000);
+  const body = JSON.stringify({ type: "request.created", data: { id: 1 } });
+
+  async function signed(fields = {}) {
+    const { signWebhookPayload, verifyWebhookSignature } = await webhooks();
+    return verifyWebhookSignature({
+      secret: "s3cret",
+      body,
+      timestamp,
+      signature: signWebhookPayload("s3cret", timestamp, body),
+      now: NOW,
+      ...fields,
+    });
+  }
+
+  it("accepts what was signed with the shared secret", async () => {
+    expect(await signed()).toBe(true);
+  });
+
+  it("refuses a body changed after signing", async () => {
+    expect(await signed({ body: body.replace("1", "2") })).toBe(false);
+  });
+
+  it("refuses a signature made with another secret", async () => {
+    expect(await signed({ secret: "other" })).toBe(false);
+  });
+
+  it("refuses a replay from outside the tolerance, either side", async () => {
+    expect(await signed({ now: NOW + 6 * 60 * 1000 })).toBe(false);
+    expect(await signed({ now: NOW - 6 * 60 * 1000 })).toBe(false);
+    expect(await signed({ now: NOW + 4 * 60 * 1000 })).toBe(true);
+  });
+
+  it("refuses a missing or malformed signature without throwing", async () => {
+    expect(await signed({ signature: null })).toBe(false);
+    expect(await signed({ signature: "sha256=abc" })).toBe(false);
+    expect(await signed({ timestamp: "soon" })).toBe(false);
+  });
+});
+
+describe("validateWebhookEndpoint", () => {
+  async function validate(input) {
+    vi.resetModules();
+    const { validateWebhookEndpoint } = await import(
+      "$lib/webhookEndpoints.server.js"
+    );
+    return validateWebhookEndpoint(input);
+  }
+
+  const valid = {
+    name: " n8n ",
+    url: "https://n8n.example/webhook/1",
+    events: ["user.registered", "request.created"],
+  };
+
+  it("normalises a valid endpoint", async () => {
+    expect(await validate(valid)).toEqual({
+      name: "n8n",
+      url: "https://n8n.example/webhook/1",
+      secret: null,
+      // WEBHOOK_EVENTS order, not submission order.
+      events: ["request.created", "user.registered"],
+      enabled: true,
+    });
+  });
+
+  it("refuses a URL that is not http or https", async () => {
+    await expect(
+      validate({ ...valid, url: "ftp://n8n.example/x" }),
+    ).rejects.toThrow(/http/);
+  });
+
+  it("refuses an event that does not exist", async () => {
+    await expect(
+      validate({ ...valid, events: ["request.deleted"] }),
+    ).rejects.toThrow(/request\.deleted/);
+  });
+});